@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+const CouponPhoneUsage = require('../../models/CouponPhoneUsage');
+const couponService = require('../../services/CouponService');
+const orderService = require('../../services/OrderService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const couponId = new mongoose.Types.ObjectId();
+const popcorn = new mongoose.Types.ObjectId();
+const snacks = new mongoose.Types.ObjectId();
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+const coupon = (fields = {}) => ({
+  _id: couponId,
+  code: 'SAVE10',
+  isActive: true,
+  discountType: 'percent',
+  discountValue: 10,
+  usedCount: 0,
+  ...fields
+});
+
+const lines = [
+  { productId: popcorn, categoryId: snacks, amount: 200 },
+  { productId: new mongoose.Types.ObjectId(), categoryId: null, amount: 100 }
+];
+
+describe('couponService.applyCoupon', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('spreads a percent discount over the eligible lines by value', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon()));
+
+    const applied = await couponService.applyCoupon(theaterId, ' save10 ', lines);
+
+    expect(Coupon.findOne.mock.calls[0][0].code).toBe('SAVE10');
+    expect(applied.discountAmount).toBe(30);
+    expect(applied.allocations).toEqual([20, 10]);
+  });
+
+  it('caps a percent discount at its maximum and discounts only the coupon categories', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon({
+      discountValue: 50,
+      maxDiscountAmount: 60,
+      applicableCategories: [snacks]
+    })));
+
+    const applied = await couponService.applyCoupon(theaterId, 'SAVE10', lines);
+
+    expect(applied.discountAmount).toBe(60);
+    expect(applied.allocations).toEqual([60, 0]);
+  });
+
+  it('refuses a coupon that has reached its total usage limit', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon({ usageLimit: 5, usedCount: 5 })));
+
+    await expect(couponService.applyCoupon(theaterId, 'SAVE10', lines))
+      .rejects.toMatchObject({ statusCode: 400, code: 'COUPON_USAGE_LIMIT' });
+  });
+
+  it('refuses an order below the minimum order value', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon({ minOrderValue: 500 })));
+
+    await expect(couponService.applyCoupon(theaterId, 'SAVE10', lines))
+      .rejects.toMatchObject({ code: 'COUPON_MIN_ORDER', message: expect.stringContaining('₹200') });
+  });
+
+  it('needs a phone number for a coupon limited per phone', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon({ perPhoneLimit: 1 })));
+
+    await expect(couponService.applyCoupon(theaterId, 'SAVE10', lines, { phone: null }))
+      .rejects.toMatchObject({ code: 'COUPON_PHONE_REQUIRED' });
+  });
+
+  it('refuses a phone number that has used up its limit, in any format', async () => {
+    jest.spyOn(Coupon, 'findOne').mockReturnValue(lean(coupon({ perPhoneLimit: 1 })));
+    const usage = jest.spyOn(CouponPhoneUsage, 'findOne').mockReturnValue(lean({ count: 1 }));
+
+    await expect(couponService.applyCoupon(theaterId, 'SAVE10', lines, { phone: '98765 43210' }))
+      .rejects.toMatchObject({ code: 'COUPON_PHONE_LIMIT' });
+    expect(usage).toHaveBeenCalledWith({ couponId, phone: '+919876543210' });
+  });
+});
+
+describe('couponService.redeem', () => {
+  beforeEach(() => {
+    jest.spyOn(CouponPhoneUsage, 'findOne').mockReturnValue(lean({ count: 0 }));
+    jest.spyOn(CouponPhoneUsage, 'updateOne').mockResolvedValue({});
+    jest.spyOn(CouponRedemption, 'create').mockImplementation(async (data) => data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const redeem = (fields) => couponService.redeem(coupon(fields), {
+    theaterId,
+    orderId: new mongoose.Types.ObjectId(),
+    orderNumber: 'ORD-1',
+    phone: '9876543210',
+    discountAmount: 30,
+    orderTotal: 270
+  });
+
+  it('claims a phone use and a total use together', async () => {
+    jest.spyOn(CouponPhoneUsage, 'findOneAndUpdate').mockReturnValue(lean({ count: 1 }));
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockReturnValue(lean(coupon({ usedCount: 1 })));
+
+    const redemption = await redeem({ perPhoneLimit: 1 });
+
+    expect(CouponPhoneUsage.findOneAndUpdate.mock.calls[0][0]).toEqual({ couponId, phone: '+919876543210', count: { $lt: 1 } });
+    expect(redemption).toMatchObject({ couponId, phone: '+919876543210', discountAmount: 30 });
+  });
+
+  it('refuses a phone number whose last use was claimed by a parallel order', async () => {
+    jest.spyOn(CouponPhoneUsage, 'findOneAndUpdate').mockReturnValue(lean(null));
+    const claimTotal = jest.spyOn(Coupon, 'findOneAndUpdate');
+
+    await expect(redeem({ perPhoneLimit: 1 })).rejects.toMatchObject({ code: 'COUPON_PHONE_LIMIT' });
+    expect(claimTotal).not.toHaveBeenCalled();
+  });
+
+  it('gives the phone use back when the total limit is reached', async () => {
+    jest.spyOn(CouponPhoneUsage, 'findOneAndUpdate').mockReturnValue(lean({ count: 1 }));
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockReturnValue(lean(null));
+
+    await expect(redeem({ perPhoneLimit: 1, usageLimit: 5 })).rejects.toMatchObject({ code: 'COUPON_USAGE_LIMIT' });
+    expect(CouponPhoneUsage.updateOne).toHaveBeenCalledWith(
+      { couponId, phone: '+919876543210', count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+    expect(CouponRedemption.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('orderService.createOrder coupon phone', () => {
+  let quoteOrder;
+
+  beforeEach(() => {
+    // Stop once the order is priced; only the phone the coupon is checked against matters here
+    quoteOrder = jest.spyOn(orderService, 'quoteOrder').mockRejectedValue(new Error('priced'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const orderData = { items: [], couponCode: 'SAVE10', customerInfo: { phoneNumber: '9000000001' } };
+
+  it('counts a customer order against the verified session number, not the one typed in', async () => {
+    await expect(orderService.createOrder(theaterId, orderData, { customerPhone: '+919876543210' })).rejects.toThrow('priced');
+
+    expect(quoteOrder.mock.calls[0][1]).toMatchObject({ phone: '9000000001', couponPhone: '+919876543210' });
+  });
+
+  it('checks no number for a customer order without a session', async () => {
+    await expect(orderService.createOrder(theaterId, orderData)).rejects.toThrow('priced');
+
+    expect(quoteOrder.mock.calls[0][1].couponPhone).toBeNull();
+  });
+
+  it('counts a staff order against the number the customer gives', async () => {
+    await expect(orderService.createOrder(theaterId, orderData, { staff: true })).rejects.toThrow('priced');
+
+    expect(quoteOrder.mock.calls[0][1].couponPhone).toBe('9000000001');
+  });
+});
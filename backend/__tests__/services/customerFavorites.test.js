@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Customer = require('../../models/Customer');
+const customerFavoriteService = require('../../services/CustomerFavoriteService');
+
+const customerId = new mongoose.Types.ObjectId();
+const theaterId = String(new mongoose.Types.ObjectId());
+const otherTheater = String(new mongoose.Types.ObjectId());
+const popcorn = String(new mongoose.Types.ObjectId());
+const cola = String(new mongoose.Types.ObjectId());
+const nachos = String(new mongoose.Types.ObjectId());
+
+const favorite = (theater, productId, addedAt) => ({
+  theaterId: new mongoose.Types.ObjectId(theater),
+  productId: new mongoose.Types.ObjectId(productId),
+  addedAt: new Date(addedAt)
+});
+
+// Customer.findById is awaited after .select().lean()
+const storedFavorites = (favorites) =>
+  jest.spyOn(Customer, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ favorites }) }) });
+
+describe('customerFavoriteService', () => {
+  beforeEach(() => {
+    mongoose.connection.db = {
+      collection: () => ({ findOne: () => Promise.resolve({ productList: [{ _id: popcorn }, { _id: cola }] }) })
+    };
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it("lists a theater's favourites newest first", async () => {
+    storedFavorites([
+      favorite(theaterId, popcorn, '2026-10-01'),
+      favorite(otherTheater, nachos, '2026-10-10'),
+      favorite(theaterId, cola, '2026-10-05')
+    ]);
+
+    expect(await customerFavoriteService.getFavorites(customerId, theaterId)).toEqual([
+      { theaterId, productId: cola, addedAt: new Date('2026-10-05') },
+      { theaterId, productId: popcorn, addedAt: new Date('2026-10-01') }
+    ]);
+    expect(await customerFavoriteService.getFavorites(customerId)).toHaveLength(3);
+  });
+
+  it('adds a product only once', async () => {
+    const update = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+    storedFavorites([]);
+
+    await customerFavoriteService.addFavorite(customerId, theaterId, popcorn);
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter.favorites.$not.$elemMatch).toEqual({
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      productId: new mongoose.Types.ObjectId(popcorn)
+    });
+    expect(change.$push.favorites).toMatchObject({ productId: new mongoose.Types.ObjectId(popcorn) });
+  });
+
+  it('refuses a product the theater does not sell', async () => {
+    const update = jest.spyOn(Customer, 'updateOne');
+
+    await expect(customerFavoriteService.addFavorite(customerId, theaterId, nachos))
+      .rejects.toMatchObject({ statusCode: 404, code: 'PRODUCT_NOT_FOUND' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('imports device favourites the theater sells and the account does not have yet', async () => {
+    const update = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+    storedFavorites([favorite(theaterId, popcorn, '2026-10-01')]);
+
+    await customerFavoriteService.importFavorites(customerId, theaterId, [popcorn, cola, cola, nachos]);
+
+    expect(update.mock.calls[0][1].$push.favorites.$each.map(added => String(added.productId))).toEqual([cola]);
+  });
+
+  it('writes nothing when there is nothing new to import', async () => {
+    const update = jest.spyOn(Customer, 'updateOne');
+    storedFavorites([favorite(theaterId, popcorn, '2026-10-01')]);
+
+    await customerFavoriteService.importFavorites(customerId, theaterId, [popcorn, nachos]);
+
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Customer = require('../../models/Customer');
+const TheaterOrders = require('../../models/TheaterOrders');
+const customerAuthService = require('../../services/CustomerAuthService');
+const orderService = require('../../services/OrderService');
+const { authenticateCustomer, optionalCustomerAuth } = require('../../middleware/customerAuth');
+
+const phone = '+919876543210';
+const customer = { _id: new mongoose.Types.ObjectId(), phoneNumber: phone, tokenVersion: 0, createdAt: new Date('2026-10-01T00:00:00Z') };
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+// Customer.findById is awaited after .select().lean()
+const storedCustomer = (value) => jest.spyOn(Customer, 'findById').mockReturnValue({ select: () => lean(value) });
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('customerAuthService sessions', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'staff-test-secret';
+    jest.spyOn(Customer, 'findOneAndUpdate').mockReturnValue(lean(customer));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('issues a customer token for the verified phone number', async () => {
+    const session = await customerAuthService.createSession(phone);
+
+    expect(Customer.findOneAndUpdate.mock.calls[0][0]).toEqual({ phoneNumber: phone });
+    expect(session.customer).toEqual({ _id: customer._id, phoneNumber: phone, lastLoginAt: null, createdAt: customer.createdAt });
+    expect(jwt.decode(session.token)).toMatchObject({ customerId: String(customer._id), phoneNumber: phone, aud: 'customer', userType: 'customer' });
+    expect(session.expiresAt.getTime()).toBe(jwt.decode(session.token).exp * 1000);
+
+    storedCustomer(customer);
+    await expect(customerAuthService.verifySession(session.token)).resolves.toEqual({ customerId: String(customer._id), phoneNumber: phone });
+  });
+
+  it('refuses a staff login as a customer token', async () => {
+    const staffToken = jwt.sign({ userId: 'staff-1', customerId: String(customer._id) }, process.env.JWT_SECRET);
+
+    await expect(customerAuthService.verifySession(staffToken)).rejects.toMatchObject({ statusCode: 401, code: 'CUSTOMER_TOKEN_INVALID' });
+  });
+
+  it('tells an expired token apart', async () => {
+    const { token } = await customerAuthService.createSession(phone);
+    jest.useFakeTimers({ now: Date.now() + 3 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+
+    try {
+      await expect(customerAuthService.verifySession(token)).rejects.toMatchObject({ statusCode: 401, code: 'CUSTOMER_TOKEN_EXPIRED' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('ends every session once the customer logs out everywhere', async () => {
+    const { token } = await customerAuthService.createSession(phone);
+    const update = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+
+    await customerAuthService.logoutAll(customer._id);
+
+    expect(update.mock.calls[0][1].$inc).toEqual({ tokenVersion: 1 });
+    storedCustomer({ ...customer, tokenVersion: 1 });
+    await expect(customerAuthService.verifySession(token)).rejects.toMatchObject({ statusCode: 401, code: 'CUSTOMER_SESSION_REVOKED' });
+  });
+});
+
+describe('customer auth middleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sets the verified customer on the request', async () => {
+    jest.spyOn(customerAuthService, 'verifySession').mockResolvedValue({ customerId: 'c1', phoneNumber: phone });
+    const req = { headers: { authorization: 'Bearer "customer-token"' } };
+    const next = jest.fn();
+
+    await authenticateCustomer(req, response(), next);
+
+    expect(customerAuthService.verifySession).toHaveBeenCalledWith('customer-token');
+    expect(req.customer).toEqual({ customerId: 'c1', phoneNumber: phone });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 401 without a customer session', async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await authenticateCustomer({ headers: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].code).toBe('CUSTOMER_TOKEN_MISSING');
+
+    jest.spyOn(customerAuthService, 'verifySession').mockRejectedValue(Object.assign(new Error('Logged out'), { statusCode: 401, code: 'CUSTOMER_SESSION_REVOKED' }));
+    await authenticateCustomer({ headers: { authorization: 'Bearer old' } }, res, next);
+    expect(res.json.mock.calls[1][0].code).toBe('CUSTOMER_SESSION_REVOKED');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('carries on anonymously when the optional token does not check out', async () => {
+    jest.spyOn(customerAuthService, 'verifySession').mockRejectedValue(Object.assign(new Error('Invalid'), { statusCode: 401 }));
+    const req = { headers: { authorization: 'Bearer staff-token' } };
+    const next = jest.fn();
+
+    await optionalCustomerAuth(req, response(), next);
+
+    expect(req.customer).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('orderService customer orders', () => {
+  const orderList = [
+    { _id: 'o1', customerInfo: { phoneNumber: '9876543210' }, createdAt: new Date('2026-10-18T10:00:00Z') },
+    { _id: 'o2', customerInfo: { phoneNumber: '+919999999999' }, createdAt: new Date('2026-10-18T11:00:00Z') },
+    { _id: 'o3', customerInfo: { phone }, createdAt: new Date('2026-10-19T10:00:00Z') },
+    { _id: 'o4', customerInfo: {}, createdAt: new Date('2026-10-19T11:00:00Z') }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lists only the orders placed with the customer's phone number, newest first", async () => {
+    jest.spyOn(TheaterOrders, 'findOne').mockReturnValue({ lean: () => ({ maxTimeMS: () => Promise.resolve({ orderList }) }) });
+
+    const orders = await orderService.getCustomerOrders(String(new mongoose.Types.ObjectId()), phone);
+
+    expect(orders.map(order => order._id)).toEqual(['o3', 'o1']);
+  });
+
+  it("hides another customer's order", async () => {
+    jest.spyOn(orderService, 'getOrderById').mockResolvedValue(orderList[1]);
+
+    expect(await orderService.getCustomerOrder('theater-1', 'o2', phone)).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const TheaterOrders = require('../../models/TheaterOrders');
+const TheaterUserArray = require('../../models/TheaterUserArray');
+const Theater = require('../../models/Theater');
+const eventBus = require('../../services/eventBus');
+const orderService = require('../../services/OrderService');
+const deliveryService = require('../../services/DeliveryService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const asha = new mongoose.Types.ObjectId();
+const ravi = new mongoose.Types.ObjectId();
+
+// Both collections are read with .lean().maxTimeMS()
+const found = (value) => ({ lean: () => ({ maxTimeMS: () => Promise.resolve(value) }) });
+
+const order = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'ready',
+  items: [],
+  ...fields
+});
+
+const mockOrders = (orderList) => jest.spyOn(TheaterOrders, 'findOne').mockReturnValue(found({ orderList }));
+const mockRunners = (users = [
+  { _id: asha, fullName: 'Asha', isActive: true, onDuty: true },
+  { _id: ravi, fullName: 'Ravi', isActive: true, onDuty: true },
+  { _id: new mongoose.Types.ObjectId(), fullName: 'Off Duty', isActive: true, onDuty: false }
+]) => jest.spyOn(TheaterUserArray, 'findOne').mockReturnValue(found({ users }));
+
+describe('deliveryService.getDispatchBoard', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('groups ready seat orders by screen and row and lists runners with what they hold', async () => {
+    mockOrders([
+      order({ orderNumber: '1', qrName: 'Screen 10', seat: 'B4' }),
+      order({ orderNumber: '2', qrName: 'Screen 2', seat: 'A9', assignedTo: asha }),
+      order({ orderNumber: '3', qrName: 'Screen 2', seat: 'A3' }),
+      order({ orderNumber: '4', qrName: 'Screen 2', seat: 'C1', status: 'preparing' }),
+      order({ orderNumber: '5', qrName: 'Screen 2' })
+    ]);
+    mockRunners();
+    jest.spyOn(Theater, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ settings: { autoAssignDelivery: true } }) }) });
+
+    const board = await deliveryService.getDispatchBoard(theaterId);
+
+    expect(board.screens.map(screen => screen.screen)).toEqual(['Screen 2', 'Screen 10']);
+    expect(board.screens[0].rows[0].orders.map(o => o.orderNumber)).toEqual(['3', '2']);
+    expect(board.unassignedCount).toBe(2);
+    expect(board.autoAssign).toBe(true);
+    expect(board.runners.map(runner => [runner.name, runner.activeDeliveries])).toEqual([['Asha', 1], ['Ravi', 0]]);
+  });
+});
+
+describe('deliveryService assignment', () => {
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.fn().mockImplementation(async (filter, update) => ({
+      value: { orderList: [{ _id: filter.orderList.$elemMatch._id, status: 'ready', assignedTo: update.$set['orderList.$.assignedTo'] }] }
+    }));
+    mongoose.connection.db = { collection: () => ({ findOneAndUpdate }) };
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('gives each order to the runner holding the fewest, preferring one already going to that screen', async () => {
+    const screen2 = order({ qrName: 'Screen 2', seat: 'A1', timestamps: { readyAt: new Date('2026-10-19T18:00:00Z') } });
+    const screen1 = order({ qrName: 'Screen 1', seat: 'B1', timestamps: { readyAt: new Date('2026-10-19T18:01:00Z') } });
+    mockOrders([order({ qrName: 'Screen 1', seat: 'A1', assignedTo: ravi }), screen1, screen2]);
+    mockRunners();
+
+    const assigned = await deliveryService.autoAssign(theaterId);
+
+    // Asha is free for the older order; then both hold one and Ravi is already at Screen 1
+    expect(assigned.map(o => [String(o._id), String(o.assignedTo)])).toEqual([
+      [String(screen2._id), String(asha)],
+      [String(screen1._id), String(ravi)]
+    ]);
+    expect(findOneAndUpdate.mock.calls[0][0].orderList.$elemMatch).toMatchObject({ status: 'ready', assignedTo: null });
+  });
+
+  it('only assigns to runners on duty', async () => {
+    mockRunners([{ _id: asha, fullName: 'Asha', isActive: true, onDuty: false }]);
+
+    await expect(deliveryService.assignOrder(theaterId, String(new mongoose.Types.ObjectId()), asha))
+      .rejects.toMatchObject({ statusCode: 400, code: 'RUNNER_NOT_ON_DUTY' });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses orders that are no longer ready', async () => {
+    mockRunners();
+    findOneAndUpdate.mockResolvedValue({ value: null });
+    jest.spyOn(orderService, 'getOrderById').mockResolvedValue({ status: 'served' });
+
+    await expect(deliveryService.assignOrder(theaterId, String(new mongoose.Types.ObjectId()), asha))
+      .rejects.toMatchObject({ statusCode: 409, code: 'ORDER_NOT_READY' });
+  });
+});
+
+describe('deliveryService.markServed', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only the assigned runner hand the order over', async () => {
+    const orderId = String(new mongoose.Types.ObjectId());
+    jest.spyOn(orderService, 'getOrderById').mockResolvedValue({ _id: orderId, assignedTo: asha });
+    const updateStatus = jest.spyOn(orderService, 'updateOrderStatus').mockResolvedValue({ status: 'served' });
+
+    await expect(deliveryService.markServed(theaterId, orderId, String(ravi)))
+      .rejects.toMatchObject({ statusCode: 403, code: 'NOT_ASSIGNED_TO_RUNNER' });
+
+    await deliveryService.markServed(theaterId, orderId, String(asha));
+    expect(updateStatus).toHaveBeenCalledWith(theaterId, orderId, 'served', ['ready']);
+  });
+});
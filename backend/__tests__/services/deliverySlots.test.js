@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Showtime = require('../../models/Showtime');
+const showtimeService = require('../../services/ShowtimeService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const now = new Date('2026-10-19T12:00:00Z');
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+describe('showtimeService.resolveDeliverySlot', () => {
+  beforeEach(() => {
+    jest.spyOn(showtimeService, 'getTheaterSchedule').mockResolvedValue({ timeZone: 'Asia/Kolkata', settings: {}, preOrderLeadMinutes: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers now without a slot', async () => {
+    expect(await showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'now' }, now)).toBeNull();
+    expect(await showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', undefined, now)).toBeNull();
+  });
+
+  it("targets the screen's next interval, released the theater's lead time before it", async () => {
+    const show = { _id: 'show-1', movieTitle: 'Dune', intervalStart: minutesFromNow(90) };
+    const findOne = jest.spyOn(Showtime, 'findOne').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(show) }) });
+
+    const slot = await showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'interval' }, now);
+
+    expect(findOne.mock.calls[0][0]).toMatchObject({ screen: 'Screen 1', intervalStart: { $gt: now } });
+    expect(slot).toMatchObject({ type: 'interval', targetTime: show.intervalStart, showtimeId: 'show-1', releaseAt: minutesFromNow(70), releasedAt: null });
+  });
+
+  it('refuses an interval slot when no interval is coming up', async () => {
+    jest.spyOn(Showtime, 'findOne').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(null) }) });
+
+    await expect(showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'interval' }, now))
+      .rejects.toMatchObject({ statusCode: 400, code: 'NO_INTERVAL' });
+  });
+
+  it('takes a chosen time while the screen is taking orders then', async () => {
+    const getOrderingWindow = jest.spyOn(showtimeService, 'getOrderingWindow').mockResolvedValue({ open: true, show: { _id: 'show-1', movieTitle: 'Dune' } });
+
+    const slot = await showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'time', targetTime: minutesFromNow(45).toISOString() }, now);
+
+    expect(getOrderingWindow).toHaveBeenCalledWith(theaterId, 'Screen 1', minutesFromNow(45));
+    expect(slot).toMatchObject({ type: 'time', movieTitle: 'Dune', releaseAt: minutesFromNow(25) });
+  });
+
+  it('refuses a time when the screen could not be served', async () => {
+    jest.spyOn(showtimeService, 'getOrderingWindow').mockResolvedValue({ open: false });
+
+    await expect(showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'time', targetTime: minutesFromNow(45) }, now))
+      .rejects.toMatchObject({ statusCode: 400, code: 'DELIVERY_SLOT_UNAVAILABLE' });
+  });
+
+  it('refuses times in the past, too far ahead or that do not parse', async () => {
+    for (const targetTime of [minutesFromNow(-5), minutesFromNow(25 * 60), 'tonight']) {
+      await expect(showtimeService.resolveDeliverySlot(theaterId, 'Screen 1', { type: 'time', targetTime }, now))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DELIVERY_SLOT' });
+    }
+  });
+
+  it('schedules seat orders only', async () => {
+    await expect(showtimeService.resolveDeliverySlot(theaterId, null, { type: 'interval' }, now))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DELIVERY_SLOT' });
+  });
+});
@@ -0,0 +1,117 @@
+const eventBus = require('../../services/eventBus');
+
+const { EVENT_TYPES, registerBroker } = eventBus;
+
+// The memory broker delivers on setImmediate
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('eventBus', () => {
+  const env = { ...process.env };
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    await eventBus.stop();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('delivers published events to subscribers with their theater and pages', async () => {
+    const received = [];
+    unsubscribe = eventBus.subscribe(envelope => received.push(envelope));
+
+    const envelope = await eventBus.publish(EVENT_TYPES.ORDER_CREATED, {
+      theaterId: 42,
+      pages: ['TheaterKitchenDisplay'],
+      data: { orderNumber: 'A' }
+    });
+    await flush();
+
+    expect(received).toEqual([envelope]);
+    expect(envelope).toMatchObject({
+      type: 'order.created',
+      theaterId: '42',
+      pages: ['TheaterKitchenDisplay'],
+      data: { orderNumber: 'A' },
+      id: expect.any(String),
+      origin: expect.any(String)
+    });
+  });
+
+  it('stops delivering once a subscriber unsubscribes', async () => {
+    const handler = jest.fn();
+    eventBus.subscribe(handler)();
+
+    await eventBus.publish(EVENT_TYPES.ORDER_STATUS_CHANGED, { theaterId: '1' });
+    await flush();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('keeps delivering to other subscribers when one throws', async () => {
+    const handler = jest.fn();
+    const unsubscribeBroken = eventBus.subscribe(() => {
+      throw new Error('boom');
+    });
+    unsubscribe = eventBus.subscribe(handler);
+
+    await eventBus.publish(EVENT_TYPES.PAYMENT_CAPTURED, { theaterId: '1' });
+    await flush();
+    unsubscribeBroken();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses a registered broker picked by EVENT_BUS_BROKER', async () => {
+    const published = [];
+    registerBroker('test-recording', () => ({
+      name: 'test-recording',
+      start: async () => {},
+      publish: async (envelope) => { published.push(envelope); },
+      stop: async () => {}
+    }));
+    process.env.EVENT_BUS_BROKER = 'test-recording';
+
+    const envelope = await eventBus.publish(EVENT_TYPES.ORDER_ASSIGNED, { theaterId: '1' });
+
+    expect(published).toEqual([envelope]);
+  });
+
+  it('falls back to the in-process broker when the configured one cannot start', async () => {
+    registerBroker('test-unreachable', () => ({
+      name: 'test-unreachable',
+      start: async () => { throw new Error('not reachable'); },
+      publish: async () => {},
+      stop: async () => {}
+    }));
+    process.env.EVENT_BUS_BROKER = 'test-unreachable';
+    const handler = jest.fn();
+    unsubscribe = eventBus.subscribe(handler);
+
+    await eventBus.publish(EVENT_TYPES.ORDER_RELEASED, { theaterId: '1' });
+    await flush();
+
+    expect(eventBus.broker.name).toBe('memory');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('never throws when publishing fails', async () => {
+    registerBroker('test-failing', () => ({
+      name: 'test-failing',
+      start: async () => {},
+      publish: async () => { throw new Error('connection lost'); },
+      stop: async () => {}
+    }));
+    process.env.EVENT_BUS_BROKER = 'test-failing';
+
+    await expect(eventBus.publish(EVENT_TYPES.PAYMENT_REFUNDED, { theaterId: '1' })).resolves.toMatchObject({ type: 'payment.refunded' });
+    expect(console.error).toHaveBeenCalledWith('❌ [EventBus] Failed to publish payment.refunded:', 'connection lost');
+  });
+});
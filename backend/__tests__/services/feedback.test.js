@@ -0,0 +1,147 @@
+jest.mock('../../utils/emailService', () => ({
+  ...jest.requireActual('../../utils/emailService'),
+  sendFeedbackAlert: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const OrderFeedback = require('../../models/OrderFeedback');
+const Theater = require('../../models/Theater');
+const orderService = require('../../services/OrderService');
+const feedbackService = require('../../services/FeedbackService');
+const { sendFeedbackAlert } = require('../../utils/emailService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const orderId = new mongoose.Types.ObjectId();
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+
+const order = (status = 'served') => ({
+  _id: orderId,
+  orderNumber: 'ORD-1',
+  status,
+  items: [{ productId: popcorn, productName: 'Popcorn' }, { productId: cola, productName: 'Cola' }]
+});
+
+// The alert goes out after submitFeedback returns
+const flushAlert = () => new Promise(resolve => setImmediate(resolve));
+
+describe('feedbackService.submitFeedback', () => {
+  let updateProduct;
+
+  beforeEach(() => {
+    sendFeedbackAlert.mockReset();
+    jest.spyOn(orderService, 'getCustomerOrder').mockResolvedValue(order());
+    jest.spyOn(OrderFeedback, 'create').mockImplementation(data => Promise.resolve(new OrderFeedback(data)));
+    jest.spyOn(OrderFeedback, 'aggregate').mockResolvedValue([{ _id: popcorn, average: 3.666, count: 3 }]);
+    jest.spyOn(OrderFeedback, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Theater, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ _id: theaterId, name: 'Galaxy' }) }) });
+    updateProduct = jest.fn().mockResolvedValue({});
+    mongoose.connection.db = { collection: () => ({ updateOne: updateProduct }) };
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('saves the ratings for the order and rolls them up onto the products', async () => {
+    const feedback = await feedbackService.submitFeedback(theaterId, orderId, '9876543210', {
+      serviceRating: 4,
+      items: [{ productId: String(popcorn), rating: 4 }, { productId: String(new mongoose.Types.ObjectId()), rating: 1 }],
+      comment: '  Tasty  ',
+      tags: ['late', 'late', 'rude']
+    });
+
+    expect(feedback).toMatchObject({ orderNumber: 'ORD-1', phoneNumber: '+919876543210', comment: 'Tasty', tags: ['late'], lowScore: false });
+    expect(feedback.items).toHaveLength(1);
+    expect(updateProduct).toHaveBeenCalledWith(
+      { theater: new mongoose.Types.ObjectId(theaterId), 'productList._id': popcorn },
+      { $set: { 'productList.$.rating': { average: 3.7, count: 3 } } }
+    );
+    await flushAlert();
+    expect(sendFeedbackAlert).not.toHaveBeenCalled();
+  });
+
+  it('emails the theater about a low score and notes when it went out', async () => {
+    sendFeedbackAlert.mockResolvedValue({ success: true });
+
+    const feedback = await feedbackService.submitFeedback(theaterId, orderId, '9876543210', {
+      serviceRating: 5,
+      items: [{ productId: String(cola), rating: 1 }]
+    });
+    await flushAlert();
+
+    expect(feedback.lowScore).toBe(true);
+    expect(sendFeedbackAlert).toHaveBeenCalledWith({ _id: theaterId, name: 'Galaxy' }, feedback);
+    expect(OrderFeedback.updateOne).toHaveBeenCalledWith({ _id: feedback._id }, { $set: { alertSentAt: expect.any(Date) } });
+  });
+
+  it('keeps the feedback when the alert email fails', async () => {
+    sendFeedbackAlert.mockRejectedValue(new Error('SMTP down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(feedbackService.submitFeedback(theaterId, orderId, '9876543210', { serviceRating: 1 }))
+      .resolves.toMatchObject({ lowScore: true });
+    await flushAlert();
+
+    expect(console.error).toHaveBeenCalledWith('❌ Feedback alert error:', 'SMTP down');
+    expect(OrderFeedback.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('takes one rating per order', async () => {
+    OrderFeedback.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(feedbackService.submitFeedback(theaterId, orderId, '9876543210', { serviceRating: 4 }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'FEEDBACK_EXISTS' });
+  });
+
+  it('waits until the order has been served', async () => {
+    orderService.getCustomerOrder.mockResolvedValue(order('preparing'));
+
+    await expect(feedbackService.submitFeedback(theaterId, orderId, '9876543210', { serviceRating: 4 }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'FEEDBACK_NOT_ALLOWED' });
+    expect(OrderFeedback.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses another customer's order", async () => {
+    orderService.getCustomerOrder.mockResolvedValue(null);
+
+    await expect(feedbackService.submitFeedback(theaterId, orderId, '9999999999', { serviceRating: 4 }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'ORDER_NOT_FOUND' });
+  });
+});
+
+describe('feedbackService.getSummary', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fills in the rating spread and rounds the averages', async () => {
+    jest.spyOn(OrderFeedback, 'aggregate')
+      .mockResolvedValueOnce([{ count: 4, averageServiceRating: 3.25, lowScoreCount: 1 }])
+      .mockResolvedValueOnce([{ _id: 5, count: 2 }, { _id: 2, count: 1 }, { _id: 1, count: 1 }])
+      .mockResolvedValueOnce([{ _id: 'cold', count: 2 }])
+      .mockResolvedValueOnce([{ _id: popcorn, productName: 'Popcorn', average: 2.333, count: 3 }]);
+
+    expect(await feedbackService.getSummary(theaterId)).toEqual({
+      count: 4,
+      averageServiceRating: 3.3,
+      lowScoreCount: 1,
+      ratingDistribution: { 1: 1, 2: 1, 3: 0, 4: 0, 5: 2 },
+      tags: [{ tag: 'cold', count: 2 }],
+      products: [{ productId: popcorn, productName: 'Popcorn', average: 2.3, count: 3 }]
+    });
+  });
+
+  it('reports zeros for a period without feedback', async () => {
+    jest.spyOn(OrderFeedback, 'aggregate').mockResolvedValue([]);
+
+    expect(await feedbackService.getSummary(theaterId, { startDate: '2026-10-01' })).toMatchObject({
+      count: 0,
+      averageServiceRating: 0,
+      lowScoreCount: 0,
+      ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    });
+    expect(OrderFeedback.aggregate.mock.calls[0][0][0].$match.createdAt).toEqual({ $gte: new Date('2026-10-01') });
+  });
+});
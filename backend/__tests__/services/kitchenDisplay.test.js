@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const TheaterOrders = require('../../models/TheaterOrders');
+const eventBus = require('../../services/eventBus');
+const orderService = require('../../services/OrderService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const now = new Date('2026-10-19T18:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+
+// TheaterOrders.findOne is awaited after .lean().maxTimeMS()
+const mockTheaterOrders = (orderList) => jest.spyOn(TheaterOrders, 'findOne').mockReturnValue({
+  lean: () => ({ maxTimeMS: () => Promise.resolve({ orderList }) })
+});
+
+describe('orderService.getKitchenOrders', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('shows active tickets oldest first and leaves out finished ones', async () => {
+    mockTheaterOrders([
+      { _id: 'b', orderNumber: 'B', status: 'preparing', createdAt: minutesAgo(5), items: [] },
+      { _id: 'a', orderNumber: 'A', createdAt: minutesAgo(10), items: [{ productName: 'Popcorn', quantity: 2 }] },
+      { _id: 'c', orderNumber: 'C', status: 'ready', createdAt: minutesAgo(20), items: [] },
+      { _id: 'd', orderNumber: 'D', status: 'cancelled', createdAt: minutesAgo(30), items: [] }
+    ]);
+
+    const tickets = await orderService.getKitchenOrders(theaterId);
+
+    expect(tickets.map(ticket => ticket.orderNumber)).toEqual(['A', 'B']);
+    expect(tickets[0]).toMatchObject({ status: 'pending', items: [{ name: 'Popcorn', quantity: 2, variants: [] }] });
+  });
+
+  it('holds scheduled seat orders until their lead time and queues them from then', async () => {
+    mockTheaterOrders([
+      { _id: 'early', orderNumber: 'EARLY', status: 'confirmed', createdAt: minutesAgo(60), items: [],
+        deliverySlot: { type: 'interval', releaseAt: minutesAgo(1) } },
+      { _id: 'held', orderNumber: 'HELD', status: 'confirmed', createdAt: minutesAgo(90), items: [],
+        deliverySlot: { type: 'interval', releaseAt: new Date(now.getTime() + 60000) } },
+      { _id: 'now', orderNumber: 'NOW', status: 'pending', createdAt: minutesAgo(5), items: [] }
+    ]);
+
+    const tickets = await orderService.getKitchenOrders(theaterId);
+
+    expect(tickets.map(ticket => ticket.orderNumber)).toEqual(['NOW', 'EARLY']);
+  });
+});
+
+describe('orderService.bumpKitchenOrder', () => {
+  const orderId = new mongoose.Types.ObjectId();
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.fn();
+    mongoose.connection.db = { collection: () => ({ findOneAndUpdate }) };
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('moves a ticket on only from the statuses it can be bumped from, and tells the screens', async () => {
+    findOneAndUpdate.mockResolvedValue({ value: { orderList: [{ _id: orderId, orderNumber: 'A', status: 'ready' }] } });
+
+    const order = await orderService.bumpKitchenOrder(theaterId, String(orderId), 'ready');
+
+    expect(order.status).toBe('ready');
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.orderList.$elemMatch).toEqual({ _id: orderId, status: { $in: ['pending', 'confirmed', 'preparing'] } });
+    expect(update.$set).toMatchObject({ 'orderList.$.status': 'ready', 'orderList.$.timestamps.readyAt': expect.any(Date) });
+    expect(eventBus.publish).toHaveBeenCalledWith(eventBus.EVENT_TYPES.ORDER_STATUS_CHANGED, expect.objectContaining({
+      theaterId,
+      data: expect.objectContaining({ orderId: String(orderId), status: 'ready' })
+    }));
+  });
+
+  it('refuses a ticket that has already moved past the status', async () => {
+    findOneAndUpdate.mockResolvedValue({ value: null });
+    jest.spyOn(orderService, 'getOrderById').mockResolvedValue({ _id: orderId, status: 'ready' });
+
+    await expect(orderService.bumpKitchenOrder(theaterId, String(orderId), 'preparing'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_STATUS_TRANSITION' });
+    expect(eventBus.publish).not.toHaveBeenCalled();
+  });
+
+  it('refuses statuses the kitchen does not set', async () => {
+    await expect(orderService.bumpKitchenOrder(theaterId, String(orderId), 'completed'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS_TRANSITION' });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
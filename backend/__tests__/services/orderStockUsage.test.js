@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const eventBus = require('../../services/eventBus');
+const stockLocationService = require('../../services/StockLocationService');
+const orderService = require('../../services/OrderService');
+const { getFinancialYear } = require('../../utils/invoiceUtils');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+const combo = new mongoose.Types.ObjectId();
+
+const quote = () => ({
+  orderItems: [
+    { productId: popcorn, productName: 'Popcorn', quantity: 2, unitPrice: 100, total: 200 },
+    {
+      productId: combo,
+      productName: 'Movie Combo',
+      quantity: 1,
+      unitPrice: 150,
+      total: 150,
+      isCombo: true,
+      comboItems: [{ productId: popcorn, quantity: 1 }, { productId: cola, quantity: 2 }]
+    }
+  ],
+  pricing: { total: 350 },
+  coupon: null,
+  loyalty: null,
+  productMap: new Map([[String(popcorn), { _id: popcorn }], [String(cola), { _id: cola }]])
+});
+
+// theaterorders is used through the native driver
+const useOrders = (findOneAndUpdate) => {
+  mongoose.connection.db = { collection: () => ({ findOneAndUpdate }) };
+};
+
+describe('orderService.createOrder stock usage', () => {
+  let recordStockUsage;
+
+  beforeEach(() => {
+    jest.spyOn(orderService, 'quoteOrder').mockResolvedValue(quote());
+    jest.spyOn(stockLocationService, 'getSaleLocationResolver').mockResolvedValue(() => null);
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    recordStockUsage = jest.spyOn(orderService, 'recordStockUsage').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('records usage for each product and combo component once the order is saved', async () => {
+    const { key } = getFinancialYear(new Date());
+    useOrders(jest.fn().mockResolvedValue({ value: { invoiceCounters: { [key]: 7 } } }));
+
+    const order = await orderService.createOrder(theaterId, { items: [], source: 'pos' }, { staff: true });
+
+    expect(order.invoiceNumber).toBeTruthy();
+    expect(recordStockUsage.mock.calls.map(([, productId, quantity]) => [productId, quantity])).toEqual([
+      [popcorn, 2],
+      [popcorn, 1],
+      [cola, 2]
+    ]);
+    expect(recordStockUsage.mock.calls[0][4]).toMatchObject({ orderId: order._id, orderNumber: order.orderNumber });
+  });
+
+  it('uses up no stock when the order cannot be saved', async () => {
+    useOrders(jest.fn().mockRejectedValue(new Error('write conflict')));
+
+    await expect(orderService.createOrder(theaterId, { items: [], source: 'pos' }, { staff: true }))
+      .rejects.toThrow('write conflict');
+    expect(recordStockUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe('orderService.createOrder selling locations', () => {
+  const counter = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(orderService, 'quoteOrder').mockResolvedValue(quote());
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    jest.spyOn(orderService, 'recordStockUsage').mockResolvedValue();
+    const { key } = getFinancialYear(new Date());
+    useOrders(jest.fn().mockResolvedValue({ value: { invoiceCounters: { [key]: 1 } } }));
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the location each line and combo component is sold from, and takes usage off it', async () => {
+    // The counter sells popcorn; cola comes from the main store
+    jest.spyOn(stockLocationService, 'getSaleLocationResolver')
+      .mockResolvedValue(product => (String(product?._id) === String(popcorn) ? counter : null));
+
+    const order = await orderService.createOrder(theaterId, { items: [], source: 'pos' }, { staff: true });
+
+    expect(order.items[0].locationId).toBe(counter);
+    expect(order.items[1].comboItems.map(component => component.locationId)).toEqual([counter, null]);
+    expect(orderService.recordStockUsage.mock.calls.map(call => call[4].locationId)).toEqual([counter, counter, null]);
+  });
+});
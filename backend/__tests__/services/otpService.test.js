@@ -0,0 +1,157 @@
+const OtpVerification = require('../../models/OtpVerification');
+const settingsService = require('../../services/SettingsService');
+const smsService = require('../../services/smsService');
+const otpService = require('../../services/otpService');
+const { hashOtp } = require('../../utils/otpService');
+
+const phone = '+919876543210';
+const now = new Date('2026-10-19T12:00:00Z').getTime();
+const secondsAgo = (seconds) => new Date(now - seconds * 1000);
+const secondsFromNow = (seconds) => new Date(now + seconds * 1000);
+
+// OtpVerification.findOne is awaited after .maxTimeMS()
+const found = (record) => ({ maxTimeMS: () => Promise.resolve(record) });
+
+describe('otpService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.OTP_HASH_SECRET = 'otp-test-secret';
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(settingsService, 'getSmsSettings').mockResolvedValue({ maxRetries: 3, resendCooldown: 30, lockoutDuration: 900, otpExpiry: 300 });
+    jest.spyOn(smsService, 'sendOtpSms').mockResolvedValue({ provider: 'console', messageId: 'msg-1' });
+    jest.spyOn(OtpVerification, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(OtpVerification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('sendOtp', () => {
+    it('sends a code and stores only its hash', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(null));
+
+      const result = await otpService.sendOtp('9876543210');
+
+      expect(result).toMatchObject({ phoneNumber: '+91*****43210', expiresIn: 300, resendAfter: 30 });
+      const [filter, update] = OtpVerification.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ phoneNumber: phone, purpose: 'verification' });
+      const otp = smsService.sendOtpSms.mock.calls[0][1];
+      expect(update.$set.otpHash).toBe(hashOtp(otp, phone, 'verification'));
+      expect(update.$set).toMatchObject({ sendCount: 1, attempts: 0, expiresAt: secondsFromNow(300) });
+    });
+
+    it('refuses another send within the resend cooldown', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found({ lastSentAt: secondsAgo(10), sendCount: 1 }));
+
+      await expect(otpService.sendOtp(phone)).rejects.toMatchObject({ statusCode: 429, code: 'OTP_COOLDOWN', details: { retryAfter: 20 } });
+      expect(smsService.sendOtpSms).not.toHaveBeenCalled();
+    });
+
+    it('locks the phone once the resends are used up', async () => {
+      const record = { lastSentAt: secondsAgo(60), sendCount: 4, save: jest.fn().mockResolvedValue() };
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record));
+
+      await expect(otpService.sendOtp(phone)).rejects.toMatchObject({ statusCode: 429, code: 'OTP_LOCKED' });
+      expect(record).toMatchObject({ lockedUntil: secondsFromNow(900), otpHash: null });
+      expect(record.save).toHaveBeenCalled();
+      expect(smsService.sendOtpSms).not.toHaveBeenCalled();
+    });
+
+    it('starts a fresh window once a lockout has lapsed', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found({ lockedUntil: secondsAgo(1), lastSentAt: secondsAgo(901), sendCount: 4 }));
+
+      await otpService.sendOtp(phone);
+
+      expect(OtpVerification.findOneAndUpdate.mock.calls[0][1].$set.sendCount).toBe(1);
+    });
+
+    it('returns the code for local providers only when OTP_EXPOSE_DEV_CODE is on', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(null));
+      process.env.NODE_ENV = 'development';
+
+      expect((await otpService.sendOtp(phone)).devOtp).toBeUndefined();
+
+      process.env.OTP_EXPOSE_DEV_CODE = 'true';
+      const result = await otpService.sendOtp(phone);
+      expect(result.devOtp).toBe(smsService.sendOtpSms.mock.calls[1][1]);
+
+      process.env.NODE_ENV = 'production';
+      expect((await otpService.sendOtp(phone)).devOtp).toBeUndefined();
+    });
+  });
+
+  describe('verifyOtp', () => {
+    const record = (fields = {}) => ({
+      _id: 'otp-1',
+      otpHash: hashOtp('123456', phone, 'verification'),
+      expiresAt: secondsFromNow(120),
+      attempts: 0,
+      ...fields
+    });
+
+    it('consumes a correct code so it cannot be used again', async () => {
+      const stored = record();
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(stored));
+      OtpVerification.findOneAndUpdate.mockResolvedValue({ ...stored, otpHash: null });
+
+      await expect(otpService.verifyOtp(phone, '123456')).resolves.toMatchObject({ phoneNumber: phone, verified: true });
+      expect(OtpVerification.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'otp-1', otpHash: stored.otpHash },
+        { $set: expect.objectContaining({ otpHash: null }) },
+        { new: true }
+      );
+    });
+
+    it('lets only one of two racing verifications consume the code', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record()));
+      OtpVerification.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(otpService.verifyOtp(phone, '123456')).rejects.toMatchObject({ code: 'OTP_NOT_FOUND' });
+    });
+
+    it('refuses a code that was already used', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record({ otpHash: null })));
+
+      await expect(otpService.verifyOtp(phone, '123456')).rejects.toMatchObject({ code: 'OTP_NOT_FOUND' });
+    });
+
+    it('counts wrong codes and says how many tries are left', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record()));
+      OtpVerification.findOneAndUpdate.mockResolvedValue({ attempts: 1 });
+
+      await expect(otpService.verifyOtp(phone, '000000')).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'OTP_INVALID',
+        details: { attemptsRemaining: 2 }
+      });
+    });
+
+    it('locks the phone and drops the code after too many wrong codes', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record({ attempts: 2 })));
+      OtpVerification.findOneAndUpdate.mockResolvedValue({ attempts: 3 });
+
+      await expect(otpService.verifyOtp(phone, '000000')).rejects.toMatchObject({ statusCode: 429, code: 'OTP_LOCKED' });
+      expect(OtpVerification.updateOne).toHaveBeenCalledWith(
+        { _id: 'otp-1' },
+        { $set: { lockedUntil: secondsFromNow(900), otpHash: null, purgeAt: secondsFromNow(900) } }
+      );
+    });
+
+    it('refuses even the right code while locked', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record({ lockedUntil: secondsFromNow(600) })));
+
+      await expect(otpService.verifyOtp(phone, '123456')).rejects.toMatchObject({ code: 'OTP_LOCKED', details: { retryAfter: 600 } });
+    });
+
+    it('refuses an expired code', async () => {
+      jest.spyOn(OtpVerification, 'findOne').mockReturnValue(found(record({ expiresAt: secondsAgo(1) })));
+
+      await expect(otpService.verifyOtp(phone, '123456')).rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    });
+  });
+});
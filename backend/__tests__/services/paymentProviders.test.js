@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const razorpay = require('../../services/paymentProviders/razorpay');
+const stripe = require('../../services/paymentProviders/stripe');
+const phonepe = require('../../services/paymentProviders/phonepe');
+const paytm = require('../../services/paymentProviders/paytm');
+const paymentProviders = require('../../services/paymentProviders');
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('razorpay webhooks', () => {
+  const config = { razorpay: { webhookSecret: 'whsec_test' } };
+  const body = {
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 25000, method: 'upi' } } }
+  };
+  const rawBody = JSON.stringify(body);
+
+  it('accepts a body signed with the webhook secret', () => {
+    const headers = { 'x-razorpay-signature': hmac('whsec_test', rawBody) };
+    expect(razorpay.verifyWebhook(config, rawBody, headers)).toBe(true);
+  });
+
+  it('rejects a wrong signature, another secret or a changed body', () => {
+    expect(razorpay.verifyWebhook(config, rawBody, { 'x-razorpay-signature': 'bad' })).toBe(false);
+    expect(razorpay.verifyWebhook(config, rawBody, { 'x-razorpay-signature': hmac('other', rawBody) })).toBe(false);
+    expect(razorpay.verifyWebhook(config, `${rawBody} `, { 'x-razorpay-signature': hmac('whsec_test', rawBody) })).toBe(false);
+  });
+
+  it('rejects webhooks when no secret is set up', () => {
+    const headers = { 'x-razorpay-signature': hmac('', rawBody) };
+    expect(razorpay.verifyWebhook({ razorpay: {} }, rawBody, headers)).toBe(false);
+  });
+
+  it('parses a captured payment, keeping the gateway event id', () => {
+    const event = razorpay.parseWebhook(body, { 'x-razorpay-event-id': 'evt_1' }, rawBody);
+    expect(event).toMatchObject({
+      eventId: 'evt_1',
+      type: 'payment.captured',
+      gatewayOrderId: 'order_1',
+      paymentId: 'pay_1',
+      amount: 25000,
+      method: 'upi'
+    });
+  });
+
+  it('falls back to a hash of the body for the event id, so a redelivery gets the same id', () => {
+    const first = razorpay.parseWebhook(body, {}, rawBody);
+    const again = razorpay.parseWebhook(body, {}, rawBody);
+    expect(first.eventId).toBe(sha256(rawBody));
+    expect(again.eventId).toBe(first.eventId);
+  });
+
+  it('ignores events it does not handle', () => {
+    expect(razorpay.parseWebhook({ event: 'refund.created' }, {}, '{}').type).toBe('ignored');
+  });
+});
+
+describe('stripe webhooks', () => {
+  const config = { stripe: { webhookSecret: 'whsec_stripe' } };
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+  const signedHeader = (timestamp, secret = 'whsec_stripe') =>
+    `t=${timestamp},v1=${hmac(secret, `${timestamp}.${rawBody}`)}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('accepts a recent signature', () => {
+    expect(stripe.verifyWebhook(config, rawBody, { 'stripe-signature': signedHeader(now()) })).toBe(true);
+  });
+
+  it('accepts any matching v1 signature while secrets are rolled', () => {
+    const timestamp = now();
+    const header = `t=${timestamp},v1=${hmac('old_secret', `${timestamp}.${rawBody}`)},v1=${hmac('whsec_stripe', `${timestamp}.${rawBody}`)}`;
+    expect(stripe.verifyWebhook(config, rawBody, { 'stripe-signature': header })).toBe(true);
+  });
+
+  it('rejects old timestamps so a captured webhook cannot be replayed', () => {
+    expect(stripe.verifyWebhook(config, rawBody, { 'stripe-signature': signedHeader(now() - 600) })).toBe(false);
+  });
+
+  it('rejects a signature made with another secret or a header without one', () => {
+    expect(stripe.verifyWebhook(config, rawBody, { 'stripe-signature': signedHeader(now(), 'other') })).toBe(false);
+    expect(stripe.verifyWebhook(config, rawBody, { 'stripe-signature': `t=${now()}` })).toBe(false);
+  });
+
+  it('parses a succeeded payment intent', () => {
+    const event = stripe.parseWebhook({
+      id: 'evt_1',
+      type: 'payment_intent.succeeded',
+      data: { object: { object: 'payment_intent', id: 'pi_1', latest_charge: 'ch_1', amount_received: 25000 } }
+    });
+    expect(event).toMatchObject({ eventId: 'evt_1', type: 'payment.captured', gatewayOrderId: 'pi_1', paymentId: 'ch_1', amount: 25000 });
+  });
+});
+
+describe('phonepe webhooks', () => {
+  const config = { phonepe: { merchantId: 'M1', saltKey: 'salt', saltIndex: '1' } };
+  const callback = (code) => Buffer.from(JSON.stringify({
+    code,
+    message: code,
+    data: { merchantTransactionId: 'ORD1_abc', transactionId: 'T1', amount: 25000, paymentInstrument: { type: 'UPI' } }
+  })).toString('base64');
+
+  it('accepts a callback whose X-VERIFY matches the salt key', () => {
+    const response = callback('PAYMENT_SUCCESS');
+    const rawBody = JSON.stringify({ response });
+    const headers = { 'x-verify': `${sha256(`${response}salt`)}###1` };
+    expect(phonepe.verifyWebhook(config, rawBody, headers)).toBe(true);
+  });
+
+  it('rejects a callback signed with another salt key', () => {
+    const response = callback('PAYMENT_SUCCESS');
+    const headers = { 'x-verify': `${sha256(`${response}other`)}###1` };
+    expect(phonepe.verifyWebhook(config, JSON.stringify({ response }), headers)).toBe(false);
+  });
+
+  it('gives each transaction outcome its own event id', () => {
+    const success = phonepe.parseWebhook({ response: callback('PAYMENT_SUCCESS') });
+    const failed = phonepe.parseWebhook({ response: callback('PAYMENT_ERROR') });
+    expect(success).toMatchObject({ eventId: 'ORD1_abc:PAYMENT_SUCCESS', type: 'payment.captured', method: 'upi' });
+    expect(failed).toMatchObject({ eventId: 'ORD1_abc:PAYMENT_ERROR', type: 'payment.failed' });
+  });
+});
+
+describe('paytm webhooks', () => {
+  const merchantKey = 'abcdefghijklmnop';
+  const config = { paytm: { merchantId: 'M1', merchantKey } };
+
+  // Same scheme as the adapter: AES-128-CBC of sha256(values|salt) + salt
+  const checksum = (params, key = merchantKey) => {
+    const data = Object.keys(params).sort().map(name => params[name]).join('|');
+    const salt = 'ab12';
+    const cipher = crypto.createCipheriv('aes-128-cbc', key, '@@@@&&&&####$$$$');
+    return cipher.update(`${sha256(`${data}|${salt}`)}${salt}`, 'binary', 'base64') + cipher.final('base64');
+  };
+  const params = { ORDERID: 'ORD1_abc', TXNID: 'T1', TXNAMOUNT: '250.00', STATUS: 'TXN_SUCCESS', PAYMENTMODE: 'UPI' };
+  const formBody = (fields) => new URLSearchParams(fields).toString();
+
+  it('accepts a form notification with a valid checksum', () => {
+    const rawBody = formBody({ ...params, CHECKSUMHASH: checksum(params) });
+    expect(paytm.verifyWebhook(config, rawBody)).toBe(true);
+  });
+
+  it('rejects a checksum from another key or over other values', () => {
+    expect(paytm.verifyWebhook(config, formBody({ ...params, CHECKSUMHASH: checksum(params, 'ponmlkjihgfedcba') }))).toBe(false);
+    expect(paytm.verifyWebhook(config, formBody({ ...params, TXNAMOUNT: '1.00', CHECKSUMHASH: checksum(params) }))).toBe(false);
+    expect(paytm.verifyWebhook(config, formBody(params))).toBe(false);
+  });
+
+  it('parses the amount into paise', () => {
+    expect(paytm.parseWebhook(params)).toMatchObject({
+      eventId: 'T1:TXN_SUCCESS',
+      type: 'payment.captured',
+      gatewayOrderId: 'ORD1_abc',
+      amount: 25000,
+      method: 'upi'
+    });
+  });
+});
+
+describe('provider registry', () => {
+  it('refuses providers that are not registered', () => {
+    expect(() => paymentProviders.getProvider('nope')).toThrow(expect.objectContaining({ statusCode: 400, code: 'UNSUPPORTED_PROVIDER' }));
+  });
+
+  it('reads the gateway config for a channel', () => {
+    const theater = { paymentGateway: { kiosk: { provider: 'razorpay' }, online: { provider: 'stripe' } } };
+    expect(paymentProviders.getGatewayConfig(theater, 'kiosk').provider).toBe('razorpay');
+    expect(paymentProviders.getGatewayConfig(theater, 'online').provider).toBe('stripe');
+    expect(paymentProviders.getGatewayConfig({}, 'online')).toBeNull();
+  });
+});
@@ -0,0 +1,213 @@
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  getUserRole: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { getUserRole } = require('../../middleware/auth');
+const StockService = require('../../services/StockService');
+const rawMaterialService = require('../../services/RawMaterialService');
+const stockLocationService = require('../../services/StockLocationService');
+const shiftService = require('../../services/ShiftService');
+const loyaltyService = require('../../services/LoyaltyService');
+const eventBus = require('../../services/eventBus');
+const paymentService = require('../../services/paymentService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const orderId = new mongoose.Types.ObjectId();
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+
+const paidOrder = (payment = {}) => ({
+  _id: orderId,
+  orderNumber: 'ORD-1',
+  items: [
+    { productId: popcorn, name: 'Popcorn', quantity: 2, unitPrice: 100 },
+    { productId: cola, name: 'Cola', quantity: 1, unitPrice: 50 }
+  ],
+  pricing: { subtotal: 250, total: 250 },
+  payment: {
+    status: 'paid',
+    tenders: [{ _id: new mongoose.Types.ObjectId(), method: 'cash', amount: 250, status: 'paid' }],
+    ...payment
+  }
+});
+
+const cashier = { userId: String(new mongoose.Types.ObjectId()), username: 'asha', role: 'cashier' };
+
+// theaterorders is used through the native driver; calls are recorded in order
+const useOrders = (order, { claimed = true } = {}) => {
+  const calls = [];
+  const collection = {
+    calls,
+    updateOne: jest.fn(async (filter, update) => {
+      calls.push(update.$set ? 'claim' : 'release');
+      return { modifiedCount: update.$set && !claimed ? 0 : 1 };
+    }),
+    findOne: jest.fn(async (filter, options) => {
+      calls.push('read');
+      if (!order) return null;
+      return options.projection._id ? { _id: 'doc' } : { orderList: [order] };
+    }),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      calls.push('write');
+      return { value: { orderList: [{ ...order, payment: { ...order.payment, status: update.$set['orderList.$.payment.status'] } }] } };
+    })
+  };
+  mongoose.connection.db = { collection: () => collection };
+  return collection;
+};
+
+describe('paymentService.refund', () => {
+  beforeEach(() => {
+    getUserRole.mockReset().mockResolvedValue({ refundLimit: null });
+    jest.spyOn(StockService, 'addStockEntry').mockResolvedValue({});
+    jest.spyOn(rawMaterialService, 'returnForRefund').mockResolvedValue([]);
+    jest.spyOn(stockLocationService, 'recordReturn').mockResolvedValue();
+    jest.spyOn(shiftService, 'getOpenShift').mockResolvedValue(null);
+    jest.spyOn(loyaltyService, 'reverseOrder').mockResolvedValue();
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('claims the order before reading the balance it refunds against', async () => {
+    const orders = useOrders(paidOrder({ status: 'partially_refunded', refundAmount: 100 }));
+
+    const result = await paymentService.refund(String(orderId), 50, 'Spilled', [], { theaterId, user: cashier });
+
+    expect(orders.calls).toEqual(['claim', 'read', 'write']);
+    const [, update] = orders.findOneAndUpdate.mock.calls[0];
+    expect(update.$set['orderList.$.payment.refundAmount']).toBe(150);
+    expect(update.$unset).toEqual({ 'orderList.$.payment.refundInProgress': '' });
+    expect(result.refundable).toBe(100);
+  });
+
+  it('refuses a second refund while one is in progress', async () => {
+    const orders = useOrders(paidOrder(), { claimed: false });
+
+    await expect(paymentService.refund(String(orderId), 50, '', [], { theaterId, user: cashier }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'REFUND_IN_PROGRESS' });
+    expect(orders.calls).toEqual(['claim', 'read']);
+  });
+
+  it('reports a missing order as not found', async () => {
+    useOrders(null, { claimed: false });
+
+    await expect(paymentService.refund(String(orderId), 50, '', [], { theaterId }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'ORDER_NOT_FOUND' });
+  });
+
+  it.each([
+    ['an unpaid order', paidOrder({ status: 'pending' }), 50, 'ORDER_NOT_PAID'],
+    ['more than is left', paidOrder({ status: 'partially_refunded', refundAmount: 200 }), 60, 'REFUND_EXCEEDS_BALANCE'],
+    ['a fully refunded order', paidOrder({ status: 'partially_refunded', refundAmount: 250 }), 10, 'ALREADY_REFUNDED']
+  ])('releases the claim when refusing %s', async (_, order, amount, code) => {
+    const orders = useOrders(order);
+
+    await expect(paymentService.refund(String(orderId), amount, '', [], { theaterId, user: cashier }))
+      .rejects.toMatchObject({ code });
+    expect(orders.calls).toEqual(['claim', 'read', 'release']);
+    expect(orders.updateOne.mock.calls[1][0].orderList.$elemMatch['payment.refundInProgress']).toBeInstanceOf(Date);
+  });
+
+  it('holds refunds above the role limit for a higher role', async () => {
+    getUserRole.mockResolvedValue({ refundLimit: 100 });
+    const orders = useOrders(paidOrder());
+
+    await expect(paymentService.refund(String(orderId), 150, '', [], { theaterId, user: cashier }))
+      .rejects.toMatchObject({ statusCode: 403, code: 'REFUND_LIMIT_EXCEEDED' });
+    expect(orders.calls).toEqual(['claim', 'read', 'release']);
+  });
+
+  it('lets a super admin refund any amount', async () => {
+    getUserRole.mockResolvedValue({ refundLimit: 0 });
+    useOrders(paidOrder());
+
+    const result = await paymentService.refund(String(orderId), 250, '', [], { theaterId, user: { role: 'super_admin' } });
+
+    expect(result.order.payment.status).toBe('refunded');
+    expect(getUserRole).not.toHaveBeenCalled();
+  });
+
+  it('values returned items with their share of charges and restocks them', async () => {
+    const order = paidOrder();
+    order.pricing.total = 275;
+    useOrders(order);
+
+    const result = await paymentService.refund(String(orderId), null, 'Cold', [{ productId: String(popcorn), quantity: 1 }], { theaterId, user: cashier });
+
+    expect(result.refund).toMatchObject({ amount: 110, method: 'cash', items: [{ name: 'Popcorn', quantity: 1 }] });
+    expect(StockService.addStockEntry).toHaveBeenCalledWith(theaterId, String(popcorn), expect.objectContaining({ type: 'RETURNED', quantity: 1 }));
+    expect(rawMaterialService.returnForRefund).toHaveBeenCalledWith(theaterId, String(popcorn), 1, expect.objectContaining({ orderId, orderNumber: 'ORD-1' }));
+  });
+
+  it('refuses to return more of an item than is left to refund', async () => {
+    const order = paidOrder({
+      status: 'partially_refunded',
+      refundAmount: 200,
+      refunds: [{ amount: 200, items: [{ productId: popcorn, quantity: 2 }] }]
+    });
+    useOrders(order);
+
+    await expect(paymentService.refund(String(orderId), null, '', [{ productId: String(popcorn), quantity: 1 }], { theaterId, user: cashier }))
+      .rejects.toMatchObject({ code: 'INVALID_REFUND_QUANTITY' });
+  });
+});
+
+describe('paymentService._restockRefundItems', () => {
+  const counter = new mongoose.Types.ObjectId();
+  const kiosk = new mongoose.Types.ObjectId();
+  const combo = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(StockService, 'addStockEntry').mockResolvedValue({});
+    jest.spyOn(rawMaterialService, 'returnForRefund').mockResolvedValue([]);
+    jest.spyOn(stockLocationService, 'recordReturn').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns units to the location they were sold from, combo components to their own', async () => {
+    const order = {
+      _id: orderId,
+      orderNumber: 'ORD-1',
+      items: [
+        { productId: cola, quantity: 1, locationId: kiosk },
+        { productId: combo, quantity: 2, isCombo: true, comboItems: [{ productId: popcorn, quantity: 1, locationId: counter }, { productId: cola, quantity: 1, locationId: null }] }
+      ],
+      payment: { refunds: [] }
+    };
+
+    await paymentService._restockRefundItems(theaterId, order, [
+      { productId: String(cola), quantity: 1 },
+      { productId: String(combo), quantity: 2 }
+    ], new Date());
+
+    expect(stockLocationService.recordReturn.mock.calls).toEqual([
+      [theaterId, kiosk, String(cola), 1],
+      [theaterId, counter, String(popcorn), 2],
+      [theaterId, null, String(cola), 2]
+    ]);
+  });
+
+  it('keeps restocking the rest when one product fails', async () => {
+    StockService.addStockEntry.mockRejectedValueOnce(new Error('locked'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const order = { _id: orderId, orderNumber: 'ORD-1', items: [{ productId: popcorn, quantity: 1 }, { productId: cola, quantity: 1 }] };
+
+    await paymentService._restockRefundItems(theaterId, order, [
+      { productId: String(popcorn), quantity: 1 },
+      { productId: String(cola), quantity: 1 }
+    ], new Date());
+
+    expect(StockService.addStockEntry).toHaveBeenCalledTimes(2);
+    expect(stockLocationService.recordReturn).toHaveBeenCalledTimes(2);
+  });
+});
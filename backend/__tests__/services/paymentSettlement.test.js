@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const paymentService = require('../../services/paymentService');
+
+const orderId = new mongoose.Types.ObjectId();
+const transaction = {
+  _id: new mongoose.Types.ObjectId(),
+  orderId,
+  gateway: { provider: 'razorpay', orderId: 'order_1' }
+};
+
+// theaterorders is used through the native driver
+const useCollection = (collection) => {
+  mongoose.connection.db = { collection: () => collection };
+  return collection;
+};
+
+describe('paymentService.updateOrderPayment', () => {
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('marks the order paid whatever its current status', async () => {
+    const collection = useCollection({
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: { orderList: [{ _id: orderId, payment: { status: 'paid' } }] } })
+    });
+
+    const order = await paymentService.updateOrderPayment(transaction, { status: 'paid', paidAt: new Date() });
+
+    expect(order.payment.status).toBe('paid');
+    expect(collection.findOneAndUpdate.mock.calls[0][0]).toEqual({ 'orderList._id': orderId });
+  });
+
+  it('only marks an order failed while it is not paid or refunded', async () => {
+    const collection = useCollection({
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: { orderList: [{ _id: orderId, payment: { status: 'failed' } }] } })
+    });
+
+    await paymentService.updateOrderPayment(transaction, { status: 'failed' });
+
+    const [filter, update] = collection.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      orderList: { $elemMatch: { _id: orderId, 'payment.status': { $nin: ['paid', 'refunded', 'partially_refunded'] } } }
+    });
+    expect(update.$set['orderList.$.payment.status']).toBe('failed');
+  });
+
+  it('leaves an order paid some other way as it is when a checkout fails or expires', async () => {
+    const paidOrder = { _id: orderId, payment: { status: 'paid' } };
+    const collection = useCollection({
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: null }),
+      findOne: jest.fn().mockResolvedValue({ orderList: [paidOrder] })
+    });
+    const legacyUpdate = jest.spyOn(Order, 'findOneAndUpdate');
+
+    const order = await paymentService.updateOrderPayment(transaction, { status: 'failed' });
+
+    expect(order).toBe(paidOrder);
+    expect(collection.findOne).toHaveBeenCalledWith({ 'orderList._id': orderId }, { projection: { 'orderList.$': 1 } });
+    expect(legacyUpdate).not.toHaveBeenCalled();
+  });
+
+  it('guards legacy orders the same way', async () => {
+    useCollection({
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: null }),
+      findOne: jest.fn().mockResolvedValue(null)
+    });
+    const legacyOrder = { _id: orderId, payment: { status: 'paid' } };
+    const legacyUpdate = jest.spyOn(Order, 'findOneAndUpdate').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(Order, 'findById').mockReturnValue({ lean: () => Promise.resolve(legacyOrder) });
+
+    const order = await paymentService.updateOrderPayment(transaction, { status: 'failed' });
+
+    expect(legacyUpdate.mock.calls[0][0]).toEqual({ _id: orderId, 'payment.status': { $nin: ['paid', 'refunded', 'partially_refunded'] } });
+    expect(order).toBe(legacyOrder);
+  });
+});
+
+describe('paymentService tender payments', () => {
+  const tenderId = new mongoose.Types.ObjectId();
+  const tenderTransaction = { ...transaction, tenderId };
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('settles an unpaid tender and recalculates the order from its tenders', async () => {
+    const settled = {
+      _id: orderId,
+      pricing: { total: 300 },
+      payment: {
+        status: 'partial',
+        tenders: [{ _id: new mongoose.Types.ObjectId(), method: 'cash', amount: 100, status: 'paid' }, { _id: tenderId, method: 'upi', amount: 200, status: 'paid' }]
+      }
+    };
+    const collection = useCollection({
+      findOneAndUpdate: jest.fn()
+        .mockResolvedValueOnce({ value: { orderList: [settled] } })
+        .mockResolvedValueOnce({ value: { orderList: [{ ...settled, payment: { ...settled.payment, status: 'paid' } }] } })
+    });
+
+    const order = await paymentService.updateOrderPayment(tenderTransaction, { status: 'paid', paidAt: new Date() });
+
+    const [filter, , options] = collection.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      orderList: { $elemMatch: { _id: orderId, 'payment.tenders': { $elemMatch: { _id: tenderId, status: { $ne: 'paid' } } } } }
+    });
+    expect(options.arrayFilters).toEqual([{ 'tender._id': tenderId, 'tender.status': { $ne: 'paid' } }]);
+    expect(collection.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+      'orderList.$.payment.status': 'paid',
+      'orderList.$.payment.amountPaid': 300
+    });
+    expect(order.payment.status).toBe('paid');
+  });
+
+  it('leaves a paid tender and the order status alone when another attempt fails', async () => {
+    const paidOrder = { _id: orderId, payment: { status: 'paid', tenders: [{ _id: tenderId, status: 'paid' }] } };
+    const collection = useCollection({
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: null }),
+      findOne: jest.fn().mockResolvedValue({ orderList: [paidOrder] })
+    });
+
+    const order = await paymentService.updateOrderPayment(tenderTransaction, { status: 'failed' });
+
+    expect(order).toBe(paidOrder);
+    expect(collection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('paymentService._resolvePayableTender', () => {
+  const tender = (method, status) => ({ _id: new mongoose.Types.ObjectId(), method, status, amount: 100 });
+
+  it('picks the first unpaid non-cash tender', () => {
+    const upi = tender('upi', 'pending');
+    expect(paymentService._resolvePayableTender({ payment: { status: 'partial', tenders: [tender('cash', 'paid'), upi] } })).toBe(upi);
+  });
+
+  it('charges orders without tenders in full', () => {
+    expect(paymentService._resolvePayableTender({ payment: { status: 'pending' } })).toBeNull();
+  });
+
+  it('refuses an order that is already paid', () => {
+    expect(() => paymentService._resolvePayableTender({ payment: { status: 'paid' } }))
+      .toThrow(expect.objectContaining({ statusCode: 409, code: 'ORDER_ALREADY_PAID' }));
+  });
+
+  it('refuses an order whose tenders leave nothing for the gateway', () => {
+    const order = { payment: { status: 'partial', tenders: [tender('upi', 'paid'), tender('cash', 'pending')] } };
+    expect(() => paymentService._resolvePayableTender(order))
+      .toThrow(expect.objectContaining({ statusCode: 409, code: 'ORDER_ALREADY_PAID' }));
+  });
+
+  it('refuses a named tender that is already paid', () => {
+    const paid = tender('card', 'paid');
+    expect(() => paymentService._resolvePayableTender({ payment: { status: 'partial', tenders: [paid] } }, paid._id))
+      .toThrow(expect.objectContaining({ code: 'TENDER_NOT_PAYABLE' }));
+  });
+});
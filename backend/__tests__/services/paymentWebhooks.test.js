@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Theater = require('../../models/Theater');
+const PaymentTransaction = require('../../models/PaymentTransaction');
+const PaymentWebhookEvent = require('../../models/PaymentWebhookEvent');
+const paymentService = require('../../services/paymentService');
+
+const theaterId = new mongoose.Types.ObjectId();
+const theater = {
+  _id: theaterId,
+  paymentGateway: { online: { provider: 'razorpay', razorpay: { webhookSecret: 'whsec_test' } } }
+};
+const transaction = { _id: new mongoose.Types.ObjectId(), theaterId };
+
+const body = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 25000, method: 'card' } } }
+};
+const rawBody = JSON.stringify(body);
+const signedHeaders = () => ({
+  'x-razorpay-signature': crypto.createHmac('sha256', 'whsec_test').update(rawBody).digest('hex'),
+  'x-razorpay-event-id': 'evt_1'
+});
+
+// Mongoose queries here are awaited after .maxTimeMS()
+const query = (value) => ({ maxTimeMS: () => Promise.resolve(value) });
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('paymentService.handleWebhook', () => {
+  let settle;
+
+  beforeEach(() => {
+    jest.spyOn(Theater, 'findById').mockReturnValue(query(theater));
+    jest.spyOn(PaymentTransaction, 'findOne').mockReturnValue(query(transaction));
+    jest.spyOn(PaymentWebhookEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    settle = jest.spyOn(paymentService, 'settleTransaction').mockResolvedValue({ changed: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses an unsigned webhook before recording anything', async () => {
+    const create = jest.spyOn(PaymentWebhookEvent, 'create');
+
+    await expect(paymentService.handleWebhook('razorpay', String(theaterId), {
+      rawBody,
+      body,
+      headers: { 'x-razorpay-signature': 'forged' }
+    })).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_SIGNATURE' });
+
+    expect(create).not.toHaveBeenCalled();
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  it('settles the transaction the first time an event arrives', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(PaymentWebhookEvent, 'create').mockResolvedValue(record);
+
+    const result = await paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() });
+
+    expect(result).toMatchObject({ eventId: 'evt_1', status: 'processed', transactionId: transaction._id });
+    expect(settle).toHaveBeenCalledTimes(1);
+    expect(settle).toHaveBeenCalledWith(transaction, 'success', expect.objectContaining({ source: 'webhook', paymentId: 'pay_1' }));
+    expect(PaymentWebhookEvent.updateOne).toHaveBeenCalledWith(
+      { _id: record._id },
+      { $set: expect.objectContaining({ status: 'processed', transactionId: transaction._id }) }
+    );
+  });
+
+  it('does nothing for a redelivered event that was already handled', async () => {
+    jest.spyOn(PaymentWebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentWebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() });
+
+    expect(result).toEqual({ eventId: 'evt_1', status: 'duplicate' });
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  it('only takes back failed events or ones left processing past the staleness window', async () => {
+    jest.spyOn(PaymentWebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    const reclaim = jest.spyOn(PaymentWebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const now = new Date('2026-10-19T12:00:00Z').getTime();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() });
+
+    const [filter, update] = reclaim.mock.calls[0];
+    expect(filter).toEqual({
+      provider: 'razorpay',
+      eventId: 'evt_1',
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(now - 5 * 60 * 1000) } }
+      ]
+    });
+    expect(update).toMatchObject({ $set: { status: 'processing' }, $inc: { attempts: 1 } });
+  });
+
+  it('handles a reclaimed event again', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(PaymentWebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentWebhookEvent, 'findOneAndUpdate').mockResolvedValue(record);
+
+    const result = await paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() });
+
+    expect(result.status).toBe('processed');
+    expect(settle).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the event failed when settling throws, so the retry can claim it', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(PaymentWebhookEvent, 'create').mockResolvedValue(record);
+    settle.mockRejectedValue(new Error('database down'));
+
+    await expect(paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() }))
+      .rejects.toThrow('database down');
+
+    expect(PaymentWebhookEvent.updateOne).toHaveBeenCalledWith(
+      { _id: record._id },
+      { $set: expect.objectContaining({ status: 'failed', error: 'database down' }) }
+    );
+  });
+
+  it('records events for unknown gateway orders as ignored', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(PaymentWebhookEvent, 'create').mockResolvedValue(record);
+    PaymentTransaction.findOne.mockReturnValue(query(null));
+
+    const result = await paymentService.handleWebhook('razorpay', String(theaterId), { rawBody, body, headers: signedHeaders() });
+
+    expect(result.status).toBe('ignored');
+    expect(settle).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('../../utils/documentNumber', () => ({
+  ...jest.requireActual('../../utils/documentNumber'),
+  nextNumber: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../../models/PurchaseOrder');
+const GoodsReceipt = require('../../models/GoodsReceipt');
+const MonthlyStock = require('../../models/MonthlyStock');
+const stockService = require('../../services/StockService');
+const purchaseOrderService = require('../../services/PurchaseOrderService');
+const { nextNumber } = require('../../utils/documentNumber');
+
+const theaterId = new mongoose.Types.ObjectId();
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+const user = { userId: String(new mongoose.Types.ObjectId()), username: 'manager' };
+
+const purchaseOrder = (status = 'ordered', received = 0) => new PurchaseOrder({
+  theaterId,
+  poNumber: 'PO-1',
+  supplierId: new mongoose.Types.ObjectId(),
+  supplierName: 'Corn Co',
+  status,
+  items: [
+    { productId: popcorn, productName: 'Popcorn', quantity: 10, unitCost: 40, receivedQuantity: received },
+    { productId: cola, productName: 'Cola', quantity: 5, unitCost: 25 }
+  ]
+});
+
+// addStockEntry hands back the month with the new entry in it
+const mockAddStockEntry = () => jest.spyOn(stockService, 'addStockEntry').mockImplementation(async (theater, productId, entry) => ({
+  stockDetails: [{ _id: new mongoose.Types.ObjectId(), ...entry }]
+}));
+
+describe('purchaseOrderService.receiveGoods', () => {
+  beforeEach(() => {
+    nextNumber.mockReset().mockResolvedValue('GRN-0001');
+    jest.spyOn(GoodsReceipt.prototype, 'save').mockResolvedValue();
+    jest.spyOn(PurchaseOrder.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds a stock entry per line with its batch and cost, and links it to the receipt', async () => {
+    const order = purchaseOrder();
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(order);
+    const addStockEntry = mockAddStockEntry();
+
+    const { purchaseOrder: saved, receipt } = await purchaseOrderService.receiveGoods(theaterId, order._id, {
+      items: [{ itemId: order.items[0]._id, quantity: 6, batchNumber: 'B1', unitCost: 42 }],
+      invoiceNumber: 'INV-9'
+    }, user);
+
+    expect(addStockEntry.mock.calls[0][2]).toMatchObject({
+      type: 'ADDED',
+      quantity: 6,
+      batchNumber: 'B1',
+      costPrice: 42,
+      purchaseOrderId: order._id,
+      goodsReceiptId: receipt._id,
+      notes: 'GRN-0001 from Corn Co (PO-1)'
+    });
+    expect(receipt).toMatchObject({ grnNumber: 'GRN-0001', invoiceNumber: 'INV-9', totalCost: 252 });
+    expect(receipt.items[0].stockEntries).toHaveLength(1);
+    expect(saved.status).toBe('partially_received');
+    expect(saved.items[0].receivedQuantity).toBe(6);
+  });
+
+  it('marks the order received once every line has arrived', async () => {
+    const order = purchaseOrder('partially_received', 10);
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(order);
+    mockAddStockEntry();
+
+    const { purchaseOrder: saved } = await purchaseOrderService.receiveGoods(theaterId, order._id, {
+      items: [{ productId: cola, quantity: 5 }]
+    }, user);
+
+    expect(saved.status).toBe('received');
+  });
+
+  it('refuses more than is still to be received, across batches', async () => {
+    const order = purchaseOrder('partially_received', 6);
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(order);
+    const addStockEntry = mockAddStockEntry();
+
+    await expect(purchaseOrderService.receiveGoods(theaterId, order._id, {
+      items: [
+        { productId: popcorn, quantity: 3, batchNumber: 'B2' },
+        { productId: popcorn, quantity: 2, batchNumber: 'B3' }
+      ]
+    }, user)).rejects.toMatchObject({ statusCode: 400, code: 'QUANTITY_EXCEEDS_ORDER', message: 'Only 4 Popcorn still to be received' });
+    expect(addStockEntry).not.toHaveBeenCalled();
+  });
+
+  it('refuses goods on a draft order', async () => {
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(purchaseOrder('draft'));
+
+    await expect(purchaseOrderService.receiveGoods(theaterId, 'po', { items: [{ productId: popcorn, quantity: 1 }] }, user))
+      .rejects.toMatchObject({ code: 'PURCHASE_ORDER_NOT_OPEN', message: 'Place the purchase order before receiving goods' });
+  });
+});
+
+describe('purchaseOrderService.returnGoods', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the units off the entries this order received and records the return', async () => {
+    const order = purchaseOrder('received', 10);
+    order.items[0].returnedQuantity = 2;
+    const entryId = new mongoose.Types.ObjectId();
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(order);
+    jest.spyOn(PurchaseOrder.prototype, 'save').mockResolvedValue();
+    jest.spyOn(GoodsReceipt, 'find').mockReturnValue({ lean: () => Promise.resolve([
+      { items: [{ productId: popcorn, stockEntries: [{ entryId }] }, { productId: cola, stockEntries: [] }] }
+    ]) });
+    nextNumber.mockReset().mockResolvedValue('RTN-0001');
+    const returnToSupplier = jest.spyOn(stockService, 'returnToSupplier').mockResolvedValue([{ entryId, batchNumber: null, quantity: 3 }]);
+    const create = jest.spyOn(GoodsReceipt, 'create').mockImplementation(async (data) => ({ toObject: () => data }));
+
+    const { purchaseOrder: saved, receipt } = await purchaseOrderService.returnGoods(theaterId, order._id, {
+      items: [{ productId: popcorn, quantity: 3 }]
+    }, user);
+
+    expect(returnToSupplier).toHaveBeenCalledWith(theaterId, popcorn, [entryId], 3, {
+      batchNumber: null,
+      note: '3 returned to Corn Co (RTN-0001)'
+    });
+    expect(create).toHaveBeenCalled();
+    expect(receipt).toMatchObject({ type: 'return', grnNumber: 'RTN-0001', totalCost: 120 });
+    expect(saved.items[0].returnedQuantity).toBe(5);
+  });
+
+  it('refuses to return more than was received and not yet returned', async () => {
+    const order = purchaseOrder('partially_received', 4);
+    order.items[0].returnedQuantity = 1;
+    jest.spyOn(purchaseOrderService, 'getOrderDocument').mockResolvedValue(order);
+
+    await expect(purchaseOrderService.returnGoods(theaterId, order._id, { items: [{ productId: popcorn, quantity: 4 }] }, user))
+      .rejects.toMatchObject({ code: 'QUANTITY_EXCEEDS_ORDER', message: 'Only 3 Popcorn received and not yet returned' });
+  });
+});
+
+describe('stockService.returnToSupplier', () => {
+  const older = { _id: new mongoose.Types.ObjectId(), type: 'ADDED', batchNumber: 'B1', invordStock: 10, sales: 8 };
+  const newer = { _id: new mongoose.Types.ObjectId(), type: 'ADDED', batchNumber: 'B2', invordStock: 5, sales: 0 };
+  let month;
+
+  beforeEach(() => {
+    month = {
+      stockDetails: [{ ...older }, { ...newer }],
+      markModified: jest.fn(),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(MonthlyStock, 'find').mockReturnValue({ sort: () => ({ maxTimeMS: () => Promise.resolve([month]) }) });
+    jest.spyOn(stockService, 'recalculateBalances').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes what is left on the oldest entries first', async () => {
+    const taken = await stockService.returnToSupplier(theaterId, popcorn, [older._id, newer._id], 4, { note: 'returned' });
+
+    expect(taken).toEqual([
+      { entryId: older._id, batchNumber: 'B1', quantity: 2 },
+      { entryId: newer._id, batchNumber: 'B2', quantity: 2 }
+    ]);
+    expect(month.stockDetails.map(entry => entry.returnedStock)).toEqual([2, 2]);
+    expect(month.stockDetails[0].notes).toBe('returned');
+    expect(month.save).toHaveBeenCalled();
+  });
+
+  it('only takes from the batch asked for', async () => {
+    await expect(stockService.returnToSupplier(theaterId, popcorn, [older._id, newer._id], 3, { batchNumber: 'B1' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_RECEIVED_STOCK', message: 'Only 2 unit(s) left in stock from this purchase order (batch B1)' });
+    expect(month.save).not.toHaveBeenCalled();
+  });
+
+  it('ignores entries that are not from the purchase order', async () => {
+    await expect(stockService.returnToSupplier(theaterId, popcorn, [newer._id], 6))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_RECEIVED_STOCK', message: 'Only 5 unit(s) left in stock from this purchase order' });
+  });
+});
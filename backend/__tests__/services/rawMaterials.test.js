@@ -0,0 +1,154 @@
+jest.mock('../../utils/lowStockChecker', () => ({
+  checkAndNotifyLowRawMaterial: jest.fn().mockResolvedValue()
+}));
+
+const mongoose = require('mongoose');
+const RawMaterial = require('../../models/RawMaterial');
+const RawMaterialMovement = require('../../models/RawMaterialMovement');
+const Recipe = require('../../models/Recipe');
+const rawMaterialService = require('../../services/RawMaterialService');
+
+const theaterId = new mongoose.Types.ObjectId();
+const orderId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+const corn = new mongoose.Types.ObjectId();
+const butter = new mongoose.Types.ObjectId();
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+// $inc the stock and hand back the material as it is afterwards
+const stock = { [corn]: 5000, [butter]: 1000 };
+const mockStockUpdates = () => jest.spyOn(RawMaterial, 'findOneAndUpdate').mockImplementation((filter, update) => {
+  stock[filter._id] += update.$inc.currentStock;
+  return lean({ _id: filter._id, theaterId, currentStock: stock[filter._id] });
+});
+
+describe('rawMaterialService.saveRecipe', () => {
+  const materials = [
+    { _id: corn, name: 'Corn', unit: 'g', costPerUnit: 0.2 },
+    { _id: butter, name: 'Butter', unit: 'g', costPerUnit: 0.5 }
+  ];
+
+  beforeEach(() => {
+    mongoose.connection.db = {
+      collection: () => ({ findOne: () => Promise.resolve({ productList: [{ _id: productId, name: 'Popcorn' }] }) })
+    };
+    jest.spyOn(RawMaterial, 'find').mockReturnValue(lean(materials));
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('stores the ingredients with their names and prices one product unit', async () => {
+    const save = jest.spyOn(Recipe, 'findOneAndUpdate').mockImplementation((filter, update) => lean(update.$set));
+
+    const recipe = await rawMaterialService.saveRecipe(theaterId, productId, {
+      yield: 2,
+      ingredients: [{ rawMaterialId: corn, quantity: 0.2, unit: 'kg' }, { rawMaterialId: butter, quantity: '30' }]
+    });
+
+    expect(save.mock.calls[0][1].$set.ingredients).toEqual([
+      { rawMaterialId: corn, name: 'Corn', quantity: 0.2, unit: 'kg' },
+      { rawMaterialId: butter, name: 'Butter', quantity: 30, unit: 'g' }
+    ]);
+    // (200 g × 0.2 + 30 g × 0.5) / 2
+    expect(recipe).toMatchObject({ productName: 'Popcorn', yield: 2, unitCost: 27.5 });
+  });
+
+  it('refuses an ingredient listed twice', async () => {
+    await expect(rawMaterialService.saveRecipe(theaterId, productId, {
+      ingredients: [{ rawMaterialId: corn, quantity: 1 }, { rawMaterialId: corn, quantity: 2 }]
+    })).rejects.toMatchObject({ statusCode: 400, code: 'DUPLICATE_INGREDIENT' });
+  });
+
+  it('refuses a unit the material is not measured in', async () => {
+    await expect(rawMaterialService.saveRecipe(theaterId, productId, {
+      ingredients: [{ rawMaterialId: butter, quantity: 1, unit: 'l' }]
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_UNIT' });
+  });
+
+  it('refuses a product that is not on the menu', async () => {
+    await expect(rawMaterialService.saveRecipe(theaterId, new mongoose.Types.ObjectId(), { ingredients: [] }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'PRODUCT_NOT_FOUND' });
+  });
+});
+
+describe('rawMaterialService.consumeForSale', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the recipe per unit sold, converted to the base unit and divided by the yield', async () => {
+    jest.spyOn(Recipe, 'findOne').mockReturnValue(lean({
+      yield: 2,
+      ingredients: [
+        { rawMaterialId: corn, quantity: 0.2, unit: 'kg' },
+        { rawMaterialId: butter, quantity: 30, unit: 'g' }
+      ]
+    }));
+    jest.spyOn(RawMaterial, 'findOne').mockReturnValue({ select: () => lean({ _id: 'material', unit: 'g' }) });
+    const update = jest.spyOn(RawMaterial, 'findOneAndUpdate').mockImplementation((filter, change) =>
+      lean({ _id: new mongoose.Types.ObjectId(), theaterId, currentStock: 1000 + change.$inc.currentStock })
+    );
+    const insert = jest.spyOn(RawMaterialMovement, 'insertMany').mockResolvedValue([]);
+
+    const consumed = await rawMaterialService.consumeForSale(theaterId, productId, 3, { orderId, orderNumber: 'ORD-1' });
+
+    expect(update.mock.calls.map(([, change]) => change.$inc.currentStock)).toEqual([-300, -45]);
+    expect(consumed).toHaveLength(2);
+    expect(consumed[0]).toMatchObject({ type: 'consumed', change: -300, balanceAfter: 700, orderId, productQuantity: 3 });
+    expect(insert).toHaveBeenCalledWith(consumed);
+  });
+
+  it('does nothing for products without a recipe', async () => {
+    jest.spyOn(Recipe, 'findOne').mockReturnValue(lean(null));
+    const update = jest.spyOn(RawMaterial, 'findOneAndUpdate');
+
+    expect(await rawMaterialService.consumeForSale(theaterId, productId, 1)).toEqual([]);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('rawMaterialService.returnForRefund', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives back what the sale consumed for the refunded units', async () => {
+    jest.spyOn(RawMaterialMovement, 'find').mockReturnValue(lean([
+      { rawMaterialId: corn, change: -300, productQuantity: 3 },
+      { rawMaterialId: butter, change: -45, productQuantity: 3 }
+    ]));
+    const update = mockStockUpdates();
+    const insert = jest.spyOn(RawMaterialMovement, 'insertMany').mockResolvedValue([]);
+
+    const returned = await rawMaterialService.returnForRefund(theaterId, productId, 1, { orderId, orderNumber: 'ORD-1' });
+
+    expect(update.mock.calls.map(([, change]) => change.$inc.currentStock)).toEqual([100, 15]);
+    expect(returned[0]).toMatchObject({ type: 'consumed', change: 100, orderId, productId, notes: 'Refund on order ORD-1' });
+    expect(insert).toHaveBeenCalledWith(returned);
+  });
+
+  it('never gives back more than the sale used', async () => {
+    jest.spyOn(RawMaterialMovement, 'find').mockReturnValue(lean([
+      { rawMaterialId: corn, change: -300, productQuantity: 3 },
+      { rawMaterialId: corn, change: 250, productQuantity: 2 }
+    ]));
+    const update = mockStockUpdates();
+    jest.spyOn(RawMaterialMovement, 'insertMany').mockResolvedValue([]);
+
+    await rawMaterialService.returnForRefund(theaterId, productId, 1, { orderId, orderNumber: 'ORD-1' });
+
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { currentStock: 50 } });
+  });
+
+  it('does nothing for a sale that used no ingredients', async () => {
+    jest.spyOn(RawMaterialMovement, 'find').mockReturnValue(lean([]));
+    const insert = jest.spyOn(RawMaterialMovement, 'insertMany');
+
+    expect(await rawMaterialService.returnForRefund(theaterId, productId, 1, { orderId })).toEqual([]);
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('../../utils/documentNumber', () => ({
+  ...jest.requireActual('../../utils/documentNumber'),
+  createNumbered: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Shift = require('../../models/Shift');
+const shiftService = require('../../services/ShiftService');
+const { createNumbered } = require('../../utils/documentNumber');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const cashier = { userId: String(new mongoose.Types.ObjectId()), username: 'meena' };
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+const openShift = (fields = {}) => new Shift({
+  theaterId,
+  shiftNumber: 'SH-0001',
+  drawer: 'Counter 1',
+  cashier,
+  openingFloat: 500,
+  ...fields
+});
+
+// Orders on the shift come from an aggregate over theaterorders
+const useOrders = (orders) => {
+  mongoose.connection.db = {
+    collection: () => ({ aggregate: () => ({ toArray: () => Promise.resolve(orders) }) })
+  };
+};
+
+describe('shiftService.openShift', () => {
+  beforeEach(() => {
+    createNumbered.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens a numbered shift with the counted float', async () => {
+    jest.spyOn(Shift, 'findOne').mockReturnValue({ select: () => lean(null) });
+    createNumbered.mockImplementation((model, field, prefix, data) => Promise.resolve(new Shift({ ...data, [field]: `${prefix}-0001` })));
+
+    const shift = await shiftService.openShift(theaterId, { openingFloat: '500.004', drawer: 'Counter 1' }, cashier);
+
+    expect(createNumbered.mock.calls[0].slice(1, 3)).toEqual(['shiftNumber', 'SH']);
+    expect(shift).toMatchObject({ shiftNumber: 'SH-0001', status: 'open', openingFloat: 500, drawer: 'Counter 1' });
+    expect(String(shift.cashier.userId)).toBe(cashier.userId);
+  });
+
+  it('allows one open shift per cashier', async () => {
+    jest.spyOn(Shift, 'findOne').mockReturnValue({ select: () => lean({ _id: 'shift-1', shiftNumber: 'SH-0001' }) });
+
+    await expect(shiftService.openShift(theaterId, { openingFloat: 500 }, cashier))
+      .rejects.toMatchObject({ statusCode: 409, code: 'SHIFT_ALREADY_OPEN', message: 'Shift SH-0001 is still open' });
+    expect(createNumbered).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second shift opened on another till at the same moment', async () => {
+    jest.spyOn(Shift, 'findOne').mockReturnValue({ select: () => lean(null) });
+    createNumbered.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(shiftService.openShift(theaterId, {}, cashier)).rejects.toMatchObject({ statusCode: 409, code: 'SHIFT_ALREADY_OPEN' });
+  });
+
+  it('needs a signed-in cashier', async () => {
+    await expect(shiftService.openShift(theaterId, {}, null)).rejects.toMatchObject({ statusCode: 400, code: 'CASHIER_REQUIRED' });
+  });
+});
+
+describe('shiftService.resolveOrderShift', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("puts orders on the user's own open shift, whatever the till sent", async () => {
+    const own = new mongoose.Types.ObjectId();
+    jest.spyOn(Shift, 'findOne').mockReturnValue({ select: () => lean({ _id: own }) });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await shiftService.resolveOrderShift(theaterId, new mongoose.Types.ObjectId(), cashier)).toBe(own);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('never puts customer orders on a shift', async () => {
+    const findOne = jest.spyOn(Shift, 'findOne');
+
+    expect(await shiftService.resolveOrderShift(theaterId, new mongoose.Types.ObjectId(), null)).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('shiftService X and Z reports', () => {
+  let shift;
+  let shiftId;
+  let otherShift;
+
+  const orders = () => [
+    // Cash sale
+    { _id: 'o1', shiftId, status: 'completed', source: 'pos', pricing: { total: 200, taxAmount: 10 }, payment: { method: 'cash', status: 'paid' } },
+    // Split between card and cash
+    {
+      _id: 'o2',
+      shiftId,
+      status: 'completed',
+      source: 'pos',
+      pricing: { total: 300, discountAmount: 20, taxAmount: 15 },
+      payment: { tenders: [{ method: 'card', amount: 100, status: 'paid' }, { method: 'cash', amount: 200, status: 'paid' }] }
+    },
+    // UPI still waiting on the gateway
+    { _id: 'o3', shiftId, status: 'pending', source: 'kiosk', pricing: { total: 150 }, payment: { method: 'upi', status: 'pending' } },
+    { _id: 'o4', shiftId, status: 'cancelled', source: 'pos', pricing: { total: 80 }, payment: { method: 'cash', status: 'pending' } },
+    // Sold on another shift, refunded in cash from this drawer
+    {
+      _id: 'o5',
+      shiftId: otherShift,
+      status: 'completed',
+      pricing: { total: 120 },
+      payment: { method: 'cash', status: 'refunded', refunds: [{ shiftId, amount: 120, method: 'cash' }] }
+    }
+  ];
+
+  beforeEach(() => {
+    shift = openShift({
+      cashMovements: [
+        { type: 'in', category: 'float', amount: 100 },
+        { type: 'out', category: 'drop', amount: 250 }
+      ]
+    });
+    shiftId = shift._id;
+    otherShift = new mongoose.Types.ObjectId();
+    useOrders(orders());
+    jest.spyOn(Shift, 'findOne').mockResolvedValue(shift);
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  it('totals sales by tender and works out the cash the drawer should hold', async () => {
+    const report = await shiftService.getReport(theaterId, shiftId);
+
+    expect(report.type).toBe('X');
+    expect(report.sales).toEqual({ orders: 2, gross: 500, discounts: 20, tax: 25, refunds: 120, net: 380 });
+    expect(report.byPaymentMethod).toEqual([
+      { method: 'cash', orders: 2, amount: 400 },
+      { method: 'card', orders: 1, amount: 100 }
+    ]);
+    expect(report.unpaid).toEqual({ orders: 1, amount: 150 });
+    expect(report.cancelled).toEqual({ orders: 1, amount: 80 });
+    expect(report.refunds).toEqual({ count: 1, amount: 120, cash: 120, gateway: 0 });
+    // 500 float + 400 cash sales + 100 in - 250 out - 120 refunded
+    expect(report.cash).toMatchObject({ cashSales: 400, cashIn: 100, cashOut: 250, cashRefunds: 120, expected: 630 });
+  });
+
+  it('refuses to take out more cash than the drawer should hold', async () => {
+    const save = jest.spyOn(Shift.prototype, 'save').mockResolvedValue();
+
+    await expect(shiftService.addCashMovement(theaterId, shiftId, { type: 'out', amount: 700 }, cashier))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_CASH' });
+    expect(save).not.toHaveBeenCalled();
+
+    const result = await shiftService.addCashMovement(theaterId, shiftId, { type: 'out', category: 'petty_cash', amount: 30, reason: 'Milk' }, cashier);
+    expect(result.cashMovements[2]).toMatchObject({ type: 'out', category: 'petty_cash', amount: 30, reason: 'Milk' });
+    expect(save).toHaveBeenCalled();
+  });
+
+  it('keeps a Z report with the counted cash and its variance at close', async () => {
+    const update = jest.spyOn(Shift, 'findOneAndUpdate').mockImplementation((filter, change) => lean({ _id: filter._id, ...change.$set }));
+
+    const closed = await shiftService.closeShift(theaterId, shiftId, { countedCash: '620', notes: 'Short by a note' }, cashier);
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: shiftId, status: 'open' });
+    expect(closed.closing).toEqual({ expectedCash: 630, countedCash: 620, variance: -10, notes: 'Short by a note' });
+    expect(closed.zReport).toMatchObject({ type: 'Z', cash: { expected: 630, counted: 620, variance: -10 } });
+    expect(closed.closedBy).toMatchObject({ username: 'meena' });
+  });
+
+  it('lets only the first of two tills close the shift', async () => {
+    jest.spyOn(Shift, 'findOneAndUpdate').mockReturnValue(lean(null));
+
+    await expect(shiftService.closeShift(theaterId, shiftId, { countedCash: 630 }, cashier))
+      .rejects.toMatchObject({ statusCode: 400, code: 'SHIFT_CLOSED' });
+  });
+
+  it('returns the Z report kept at close once the shift is closed', async () => {
+    const zReport = { type: 'Z', cash: { expected: 630, counted: 630, variance: 0 } };
+    shift.set({ status: 'closed', closedAt: new Date(), zReport });
+
+    expect(await shiftService.getReport(theaterId, shiftId)).toMatchObject(zReport);
+    await expect(shiftService.addCashMovement(theaterId, shiftId, { type: 'in', amount: 10 }, cashier))
+      .rejects.toMatchObject({ code: 'SHIFT_CLOSED' });
+  });
+});
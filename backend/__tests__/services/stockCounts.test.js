@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const StockCount = require('../../models/StockCount');
+const stockService = require('../../services/StockService');
+const stockLocationService = require('../../services/StockLocationService');
+const stockCountService = require('../../services/StockCountService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const user = { userId: String(new mongoose.Types.ObjectId()), username: 'auditor' };
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+const chips = new mongoose.Types.ObjectId();
+
+const count = (status = 'open') => new StockCount({
+  theaterId,
+  countNumber: 'SC-0001',
+  status,
+  items: [
+    { productId: popcorn, productName: 'Popcorn', barcode: '8901', expectedQuantity: 10, unitValue: 40 },
+    { productId: cola, productName: 'Cola', barcode: '8902', expectedQuantity: 5, unitValue: 25 },
+    { productId: chips, productName: 'Chips', expectedQuantity: 7, unitValue: 10 }
+  ]
+});
+
+describe('stockCountService counting', () => {
+  beforeEach(() => {
+    jest.spyOn(StockCount.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('works out the variance against the book balance at the time each product is counted', async () => {
+    const sheet = count();
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(sheet);
+    // Two popcorn sold since the count was opened
+    jest.spyOn(stockService, 'getCurrentBalances').mockResolvedValue(new Map([[String(popcorn), 8], [String(cola), 5]]));
+
+    const counted = await stockCountService.updateItems(theaterId, sheet._id, {
+      items: [
+        { itemId: sheet.items[0]._id, quantity: 7 },
+        { barcode: '8902', quantity: 1, mode: 'add' }
+      ]
+    }, user);
+
+    expect(counted.items[0]).toMatchObject({ expectedQuantity: 8, countedQuantity: 7, variance: -1, varianceValue: -40 });
+    expect(counted.items[1]).toMatchObject({ countedQuantity: 1, variance: -4, varianceValue: -100 });
+    expect(counted.items[2].countedQuantity).toBeNull();
+    expect(counted.totals).toMatchObject({ itemCount: 3, countedCount: 2, shortUnits: 5, shortValue: 140, netValue: -140 });
+  });
+
+  it('adds each scan to what was counted so far', async () => {
+    const sheet = count();
+    sheet.items[1].countedQuantity = 4;
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(sheet);
+    jest.spyOn(stockService, 'getCurrentBalances').mockResolvedValue(new Map([[String(cola), 5]]));
+
+    const counted = await stockCountService.updateItems(theaterId, sheet._id, {
+      items: [{ barcode: ' 8902 ', quantity: 2, mode: 'add' }]
+    }, user);
+
+    expect(counted.items[1]).toMatchObject({ countedQuantity: 6, variance: 1, varianceValue: 25 });
+    expect(counted.totals).toMatchObject({ excessUnits: 1, excessValue: 25, netValue: 25 });
+  });
+
+  it('says when a scanned barcode is not on the count', async () => {
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(count());
+
+    await expect(stockCountService.updateItems(theaterId, 'count', { items: [{ barcode: '0000', quantity: 1 }] }, user))
+      .rejects.toMatchObject({ statusCode: 404, code: 'BARCODE_NOT_IN_COUNT' });
+  });
+
+  it('takes no counts once the count is submitted', async () => {
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(count('submitted'));
+
+    await expect(stockCountService.updateItems(theaterId, 'count', { items: [] }, user))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', message: 'A submitted count cannot be counted' });
+  });
+
+  it('needs something counted before it is submitted', async () => {
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(count());
+
+    await expect(stockCountService.submitCount(theaterId, 'count', user)).rejects.toMatchObject({ code: 'NOTHING_COUNTED' });
+  });
+});
+
+describe('stockCountService.approveCount', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts each counted variance with the approver and reason, leaving uncounted products alone', async () => {
+    const sheet = count('submitted');
+    Object.assign(sheet.items[0], { countedQuantity: 7, variance: -3 });
+    Object.assign(sheet.items[1], { countedQuantity: 6, variance: 1 });
+    const statuses = [];
+    jest.spyOn(StockCount.prototype, 'save').mockImplementation(async function save() {
+      statuses.push(this.status);
+    });
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(sheet);
+    const post = jest.spyOn(stockService, 'postAdjustment').mockImplementation(async (theater, productId, variance) => variance);
+    const settle = jest.spyOn(stockLocationService, 'settleShortfall').mockResolvedValue();
+
+    const approved = await stockCountService.approveCount(theaterId, sheet._id, { reason: 'Monthly count' }, user);
+
+    // Approved before anything is posted, so a second approval can't post twice
+    expect(statuses[0]).toBe('approved');
+    expect(post.mock.calls).toEqual([
+      [theaterId, popcorn, -3, 'SC-0001 approved by auditor: Monthly count'],
+      [theaterId, cola, 1, 'SC-0001 approved by auditor: Monthly count']
+    ]);
+    expect(settle).toHaveBeenCalledTimes(1);
+    expect(approved.items.map(item => item.adjustedQuantity)).toEqual([-3, 1, 0]);
+  });
+
+  it('only approves a submitted count', async () => {
+    jest.spyOn(stockCountService, 'getCountDocument').mockResolvedValue(count('open'));
+
+    await expect(stockCountService.approveCount(theaterId, 'count', { reason: 'x' }, user))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+  });
+});
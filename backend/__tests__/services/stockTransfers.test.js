@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../../models/StockTransfer');
+const stockService = require('../../services/StockService');
+const stockLocationService = require('../../services/StockLocationService');
+
+const theaterId = String(new mongoose.Types.ObjectId());
+const user = { userId: String(new mongoose.Types.ObjectId()), username: 'manager' };
+const mainStore = { _id: new mongoose.Types.ObjectId(), name: 'Main Store', isMain: true, isActive: true };
+const counter = { _id: new mongoose.Types.ObjectId(), name: 'Counter 1', isMain: false, isActive: true };
+const popcorn = new mongoose.Types.ObjectId();
+const cola = new mongoose.Types.ObjectId();
+
+const transfer = (status, fields = {}) => new StockTransfer({
+  theaterId,
+  transferNumber: 'TRF-0001',
+  fromLocationId: mainStore._id,
+  fromLocationName: mainStore.name,
+  toLocationId: counter._id,
+  toLocationName: counter.name,
+  status,
+  items: [
+    { productId: popcorn, productName: 'Popcorn', requestedQuantity: 10 },
+    { productId: cola, productName: 'Cola', requestedQuantity: 4 }
+  ],
+  ...fields
+});
+
+describe('stockLocationService transfers', () => {
+  let adjust;
+
+  beforeEach(() => {
+    jest.spyOn(StockTransfer.prototype, 'save').mockResolvedValue();
+    jest.spyOn(stockLocationService, 'getLocation').mockImplementation(async (theater, locationId) =>
+      [mainStore, counter].find(location => String(location._id) === String(locationId)));
+    adjust = jest.spyOn(stockLocationService, 'adjustLocationStock').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends what was requested unless told otherwise, within what the sender has', async () => {
+    const requested = transfer('requested');
+    jest.spyOn(stockLocationService, 'getTransferDocument').mockResolvedValue(requested);
+    jest.spyOn(stockLocationService, 'getAvailable').mockResolvedValue(10);
+
+    const dispatched = await stockLocationService.dispatchTransfer(theaterId, requested._id, {
+      items: [{ itemId: requested.items[1]._id, quantity: 0 }]
+    }, user);
+
+    expect(dispatched.status).toBe('dispatched');
+    expect(dispatched.items.map(item => item.dispatchedQuantity)).toEqual([10, 0]);
+    expect(dispatched.dispatchedBy).toMatchObject({ username: 'manager', at: expect.any(Date) });
+    // The main store's stock is derived from the theater total, so nothing is taken off a location row
+    expect(adjust).not.toHaveBeenCalled();
+  });
+
+  it('refuses to send more than the sender has', async () => {
+    const requested = transfer('requested');
+    jest.spyOn(stockLocationService, 'getTransferDocument').mockResolvedValue(requested);
+    jest.spyOn(stockLocationService, 'getAvailable').mockResolvedValue(6);
+
+    await expect(stockLocationService.dispatchTransfer(theaterId, requested._id, {}, user))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_LOCATION_STOCK', message: 'Main Store only has 6 Popcorn to send' });
+    expect(StockTransfer.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('books what arrived in at the counter and writes off what went missing', async () => {
+    const dispatched = transfer('dispatched');
+    dispatched.items[0].dispatchedQuantity = 10;
+    dispatched.items[1].dispatchedQuantity = 4;
+    jest.spyOn(stockLocationService, 'getTransferDocument').mockResolvedValue(dispatched);
+    const writeOff = jest.spyOn(stockService, 'writeOff').mockResolvedValue(2);
+    const settle = jest.spyOn(stockLocationService, 'settleShortfall').mockResolvedValue();
+
+    const received = await stockLocationService.receiveTransfer(theaterId, dispatched._id, {
+      items: [{ itemId: dispatched.items[0]._id, quantity: 8, reason: 'torn bags' }]
+    }, user);
+
+    expect(received.items.map(item => [item.receivedQuantity, item.discrepancy])).toEqual([[8, 2], [4, 0]]);
+    expect(adjust.mock.calls.map(([, locationId, productId, change]) => [locationId, productId, change])).toEqual([
+      [counter._id, popcorn, 8],
+      [counter._id, cola, 4]
+    ]);
+    expect(writeOff).toHaveBeenCalledWith(theaterId, popcorn, 2, 'TRF-0001: 2 short (torn bags)');
+    expect(settle).toHaveBeenCalledWith(theaterId, popcorn);
+  });
+
+  it('refuses to receive more than was dispatched', async () => {
+    const dispatched = transfer('dispatched');
+    dispatched.items[0].dispatchedQuantity = 5;
+    jest.spyOn(stockLocationService, 'getTransferDocument').mockResolvedValue(dispatched);
+
+    await expect(stockLocationService.receiveTransfer(theaterId, dispatched._id, {
+      items: [{ itemId: dispatched.items[0]._id, quantity: 6 }]
+    }, user)).rejects.toMatchObject({ code: 'RECEIVED_MORE_THAN_DISPATCHED' });
+  });
+
+  it('only cancels a transfer that has not gone out', async () => {
+    jest.spyOn(stockLocationService, 'getTransferDocument').mockResolvedValue(transfer('dispatched'));
+
+    await expect(stockLocationService.cancelTransfer(theaterId, 'transfer', user))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS_TRANSITION', message: 'A dispatched transfer cannot be cancelled' });
+  });
+
+  it('refuses a transfer to the same location', async () => {
+    await expect(stockLocationService.requestTransfer(theaterId, { fromLocationId: counter._id, toLocationId: String(counter._id), items: [] }, user))
+      .rejects.toMatchObject({ code: 'SAME_LOCATION' });
+  });
+});
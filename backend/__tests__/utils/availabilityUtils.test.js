@@ -0,0 +1,100 @@
+const {
+  parseAvailability,
+  normalizeAvailability,
+  hasRules,
+  wallClock,
+  getUnavailableReason,
+  checkAvailability
+} = require('../../utils/availabilityUtils');
+
+// Monday 19 October 2026, 13:30 in India
+const monday = new Date('2026-10-19T08:00:00Z');
+const kolkata = (time) => ({ now: new Date(`2026-10-19T${time}:00+05:30`), timeZone: 'Asia/Kolkata' });
+
+describe('parseAvailability', () => {
+  it('reads the JSON string a multipart form sends', () => {
+    expect(parseAvailability('{"days":[1]}')).toEqual({ days: [1] });
+    expect(parseAvailability(' ')).toBeNull();
+    expect(parseAvailability(undefined)).toBeUndefined();
+  });
+
+  it('refuses invalid JSON', () => {
+    expect(() => parseAvailability('{days')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_AVAILABILITY' }));
+  });
+});
+
+describe('normalizeAvailability', () => {
+  it('cleans up the rules', () => {
+    expect(normalizeAvailability({
+      days: ['5', 1, 1],
+      timeRanges: [{ start: ' 07:00', end: '11:00 ' }],
+      screens: ['Screen 1', ' ', 'Screen 1']
+    })).toEqual({ days: [1, 5], timeRanges: [{ start: '07:00', end: '11:00' }], startDate: null, endDate: null, screens: ['Screen 1'], kioskTypes: [] });
+  });
+
+  it('stores nothing when nothing is restricted', () => {
+    expect(normalizeAvailability({ days: [], timeRanges: [] })).toBeNull();
+    expect(normalizeAvailability(null)).toBeNull();
+    expect(hasRules({ days: [] })).toBe(false);
+  });
+
+  it.each([
+    [{ days: [7] }, 'Days must be numbers from 0 (Sunday) to 6 (Saturday)'],
+    [{ timeRanges: [{ start: '7:00', end: '11:00' }] }, 'Times must be in HH:mm format'],
+    [{ timeRanges: [{ start: '11:00', end: '11:00' }] }, 'Time range 11:00-11:00 needs a different start and end'],
+    [{ startDate: '2026-12-01', endDate: '2026-11-01' }, 'The end date must be on or after the start date'],
+    [{ kioskTypes: ['lobby'] }, 'Kiosk types must be kiosk type IDs']
+  ])('refuses %j', (rules, message) => {
+    expect(() => normalizeAvailability(rules)).toThrow(expect.objectContaining({ message, code: 'INVALID_AVAILABILITY' }));
+  });
+});
+
+describe('wallClock', () => {
+  it('reads the day, time and date in the theater time zone', () => {
+    expect(wallClock(monday, 'Asia/Kolkata')).toEqual({ day: 1, time: '13:30', date: '2026-10-19' });
+    expect(wallClock(new Date('2026-10-19T20:00:00Z'), 'Asia/Kolkata')).toEqual({ day: 2, time: '01:30', date: '2026-10-20' });
+    expect(wallClock(monday, 'America/New_York')).toEqual({ day: 1, time: '04:00', date: '2026-10-19' });
+  });
+});
+
+describe('getUnavailableReason', () => {
+  it('allows anything without rules', () => {
+    expect(getUnavailableReason(null, kolkata('13:30'))).toBeNull();
+  });
+
+  it('checks time ranges, including ones that run past midnight', () => {
+    const breakfast = { timeRanges: [{ start: '07:00', end: '11:00' }] };
+    expect(getUnavailableReason(breakfast, kolkata('10:59'))).toBeNull();
+    expect(getUnavailableReason(breakfast, kolkata('11:00'))).toBe('Available 07:00-11:00');
+
+    const lateNight = { timeRanges: [{ start: '22:00', end: '02:00' }] };
+    expect(getUnavailableReason(lateNight, kolkata('23:30'))).toBeNull();
+    expect(getUnavailableReason(lateNight, kolkata('01:00'))).toBeNull();
+    expect(getUnavailableReason(lateNight, kolkata('03:00'))).toBe('Available 22:00-02:00');
+  });
+
+  it('checks days and dates on the theater wall clock', () => {
+    expect(getUnavailableReason({ days: [0, 6] }, kolkata('13:30'))).toBe('Available on Sun, Sat');
+    expect(getUnavailableReason({ days: [1] }, kolkata('13:30'))).toBeNull();
+    expect(getUnavailableReason({ startDate: '2026-10-20' }, kolkata('13:30'))).toBe('Available from 2026-10-20');
+    expect(getUnavailableReason({ endDate: '2026-10-18' }, kolkata('13:30'))).toBe('No longer available');
+  });
+
+  it('checks screens and kiosk types only when the menu says where it is', () => {
+    const rules = { screens: ['Screen 1'], kioskTypes: ['507f1f77bcf86cd799439011'] };
+    expect(getUnavailableReason(rules, kolkata('13:30'))).toBeNull();
+    expect(getUnavailableReason(rules, { ...kolkata('13:30'), screen: ' screen 1' })).toBeNull();
+    expect(getUnavailableReason(rules, { ...kolkata('13:30'), qrName: 'Screen 2' })).toBe('Not available on this screen');
+    expect(getUnavailableReason(rules, { ...kolkata('13:30'), kioskType: '507f1f77bcf86cd799439012' })).toBe('Not available at this kiosk');
+  });
+});
+
+describe('checkAvailability', () => {
+  it('checks the category before the product', () => {
+    const product = { availability: { days: [0] } };
+    const category = { availability: { timeRanges: [{ start: '07:00', end: '11:00' }] } };
+    expect(checkAvailability(product, category, kolkata('13:30'))).toEqual({ isAvailableNow: false, availabilityReason: 'Available 07:00-11:00' });
+    expect(checkAvailability(product, null, kolkata('13:30'))).toEqual({ isAvailableNow: false, availabilityReason: 'Available on Sun' });
+    expect(checkAvailability({}, null, kolkata('13:30'))).toEqual({ isAvailableNow: true, availabilityReason: null });
+  });
+});
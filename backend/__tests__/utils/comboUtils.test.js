@@ -0,0 +1,91 @@
+const {
+  isCombo,
+  buildProductMap,
+  getComponentStock,
+  getComboStock,
+  describeComboItems,
+  resolveComboComponents
+} = require('../../utils/comboUtils');
+
+const popcorn = { _id: 'popcorn', name: 'Popcorn', inventory: { currentStock: 9 } };
+const caramel = { _id: 'caramel', name: 'Caramel Popcorn', inventory: { currentStock: 20 } };
+const cola = { _id: 'cola', name: 'Cola', inventory: { currentStock: 5 } };
+const water = { _id: 'water', name: 'Water', inventory: { trackStock: false } };
+
+const combo = {
+  _id: 'combo',
+  name: 'Movie Combo',
+  isCombo: true,
+  comboItems: [
+    { productId: 'popcorn', quantity: 1, swapOptions: ['caramel'] },
+    { productId: 'cola', quantity: 2 }
+  ]
+};
+
+const productMap = buildProductMap([popcorn, caramel, cola, water, combo]);
+
+describe('isCombo', () => {
+  it('needs the flag and at least one component', () => {
+    expect(isCombo(combo)).toBe(true);
+    expect(isCombo({ isCombo: true, comboItems: [] })).toBe(false);
+    expect(isCombo(popcorn)).toBe(false);
+  });
+});
+
+describe('getComponentStock', () => {
+  it('counts inactive or unavailable products as out of stock and untracked ones as unlimited', () => {
+    expect(getComponentStock(cola)).toBe(5);
+    expect(getComponentStock({ ...cola, isActive: false })).toBe(0);
+    expect(getComponentStock(water)).toBeNull();
+    expect(getComponentStock(undefined)).toBe(0);
+  });
+});
+
+describe('getComboStock', () => {
+  it('is limited by the scarcest slot, counting each slot by its best-stocked option', () => {
+    // Popcorn slot: caramel covers 20; cola slot: 5 cans at 2 a combo
+    expect(getComboStock(combo, productMap)).toBe(2);
+  });
+
+  it('ignores slots that do not track stock', () => {
+    const withWater = { ...combo, comboItems: [{ productId: 'water' }, { productId: 'popcorn', quantity: 3 }] };
+    expect(getComboStock(withWater, productMap)).toBe(3);
+    expect(getComboStock({ comboItems: [{ productId: 'water' }] }, productMap)).toBeNull();
+  });
+});
+
+describe('describeComboItems', () => {
+  it('names the components and says which swaps are available', () => {
+    const soldOut = buildProductMap([popcorn, { ...caramel, inventory: { currentStock: 0 } }, cola]);
+    expect(describeComboItems(combo, soldOut)[0]).toEqual({
+      productId: 'popcorn',
+      productName: 'Popcorn',
+      quantity: 1,
+      swapOptions: [{ productId: 'caramel', productName: 'Caramel Popcorn', isAvailable: false }]
+    });
+  });
+});
+
+describe('resolveComboComponents', () => {
+  it('uses the default component for slots the customer did not change', () => {
+    expect(resolveComboComponents(combo, productMap)).toEqual([
+      { productId: 'popcorn', productName: 'Popcorn', quantity: 1 },
+      { productId: 'cola', productName: 'Cola', quantity: 2 }
+    ]);
+  });
+
+  it('takes a swap the slot offers', () => {
+    const [slot] = resolveComboComponents(combo, productMap, [{ slot: '0', productId: 'caramel' }]);
+    expect(slot).toMatchObject({ productId: 'caramel', productName: 'Caramel Popcorn' });
+  });
+
+  it('refuses a swap the slot does not offer', () => {
+    expect(() => resolveComboComponents(combo, productMap, [{ slot: 1, productId: 'water' }]))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_COMBO_SELECTION' }));
+  });
+
+  it('refuses a combo whose component is gone from the product list', () => {
+    expect(() => resolveComboComponents(combo, buildProductMap([popcorn])))
+      .toThrow(expect.objectContaining({ code: 'COMBO_COMPONENT_UNAVAILABLE' }));
+  });
+});
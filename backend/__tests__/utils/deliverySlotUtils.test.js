@@ -0,0 +1,100 @@
+const {
+  isScheduledSlot,
+  buildDeliverySlot,
+  isHeld,
+  isDueForRelease,
+  deliveredAt,
+  isOnTime,
+  onTimeSummary
+} = require('../../utils/deliverySlotUtils');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+describe('isScheduledSlot', () => {
+  it('treats only interval and time slots as scheduled', () => {
+    expect(isScheduledSlot({ type: 'interval' })).toBe(true);
+    expect(isScheduledSlot({ type: 'time', targetTime: now })).toBe(true);
+    expect(isScheduledSlot({ type: 'now' })).toBe(false);
+    expect(isScheduledSlot(null)).toBe(false);
+  });
+});
+
+describe('buildDeliverySlot', () => {
+  it('holds the order until the lead time before the slot', () => {
+    const show = { _id: 'show-1', movieTitle: 'Dune' };
+    const slot = buildDeliverySlot({ type: 'interval', targetTime: minutesFromNow(60), show, leadMinutes: 20, now });
+
+    expect(slot).toEqual({
+      type: 'interval',
+      targetTime: minutesFromNow(60),
+      showtimeId: 'show-1',
+      movieTitle: 'Dune',
+      leadMinutes: 20,
+      releaseAt: minutesFromNow(40),
+      releasedAt: null
+    });
+  });
+
+  it('releases straight away when the lead time has already begun', () => {
+    const slot = buildDeliverySlot({ type: 'time', targetTime: minutesFromNow(10), now });
+
+    expect(slot.releaseAt).toEqual(now);
+    expect(slot.releasedAt).toEqual(now);
+    expect(slot.leadMinutes).toBe(15);
+  });
+});
+
+describe('isHeld and isDueForRelease', () => {
+  const order = (deliverySlot) => ({ deliverySlot });
+
+  it('holds a scheduled order until its release time', () => {
+    const held = order({ releaseAt: minutesFromNow(5), releasedAt: null });
+
+    expect(isHeld(held, now)).toBe(true);
+    expect(isDueForRelease(held, now)).toBe(false);
+    expect(isHeld(held, minutesFromNow(5))).toBe(false);
+    expect(isDueForRelease(held, minutesFromNow(5))).toBe(true);
+  });
+
+  it('releases an order to the kitchen only once', () => {
+    expect(isDueForRelease(order({ releaseAt: minutesFromNow(-5), releasedAt: minutesFromNow(-5) }), now)).toBe(false);
+  });
+
+  it('never holds orders for delivery now', () => {
+    expect(isHeld({}, now)).toBe(false);
+    expect(isDueForRelease({ deliverySlot: null }, now)).toBe(false);
+  });
+});
+
+describe('on-time delivery', () => {
+  const delivered = (targetMinutes, servedMinutes) => ({
+    deliverySlot: { targetTime: minutesFromNow(targetMinutes) },
+    timestamps: { servedAt: minutesFromNow(servedMinutes) }
+  });
+
+  it('takes the served time, falling back to completion', () => {
+    expect(deliveredAt({ timestamps: { completedAt: now } })).toBe(now);
+    expect(deliveredAt({ timestamps: {} })).toBeNull();
+  });
+
+  it('allows the grace minutes after the target time', () => {
+    expect(isOnTime(delivered(0, 5))).toBe(true);
+    expect(isOnTime(delivered(0, 6))).toBe(false);
+    expect(isOnTime(delivered(0, 6), 10)).toBe(true);
+  });
+
+  it('sums up the on-time rate and how late the late ones were', () => {
+    expect(onTimeSummary([delivered(0, -2), delivered(0, 3), delivered(0, 10), delivered(0, 20)])).toEqual({
+      scheduled: 4,
+      onTime: 2,
+      late: 2,
+      onTimeRate: 50,
+      avgLateMinutes: 15
+    });
+  });
+
+  it('has no rate without scheduled orders', () => {
+    expect(onTimeSummary([])).toEqual({ scheduled: 0, onTime: 0, late: 0, onTimeRate: null, avgLateMinutes: 0 });
+  });
+});
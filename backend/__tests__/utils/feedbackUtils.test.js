@@ -0,0 +1,42 @@
+const { roundRating, isLowScore, matchRatedItems } = require('../../utils/feedbackUtils');
+
+describe('isLowScore', () => {
+  it('flags a low service rating or any low item rating', () => {
+    expect(isLowScore({ serviceRating: 2 })).toBe(true);
+    expect(isLowScore({ serviceRating: 4, items: [{ rating: 5 }, { rating: 1 }] })).toBe(true);
+    expect(isLowScore({ serviceRating: 3, items: [{ rating: 3 }] })).toBe(false);
+  });
+});
+
+describe('matchRatedItems', () => {
+  const order = {
+    items: [
+      { productId: 'popcorn', productName: 'Popcorn' },
+      { productId: 'cola', name: 'Cola' },
+      { productId: 'popcorn', productName: 'Popcorn' }
+    ]
+  };
+
+  it("keeps ratings for the order's products, once each, with their names", () => {
+    expect(matchRatedItems(order, [
+      { productId: 'popcorn', rating: 2 },
+      { productId: 'nachos', rating: 1 },
+      { productId: 'cola', rating: 5 },
+      { productId: 'popcorn', rating: 4 }
+    ])).toEqual([
+      { productId: 'popcorn', productName: 'Popcorn', rating: 4 },
+      { productId: 'cola', productName: 'Cola', rating: 5 }
+    ]);
+  });
+
+  it('rates nothing without item ratings', () => {
+    expect(matchRatedItems(order)).toEqual([]);
+  });
+});
+
+describe('roundRating', () => {
+  it('rounds to one decimal', () => {
+    expect(roundRating(3.666)).toBe(3.7);
+    expect(roundRating(4)).toBe(4);
+  });
+});
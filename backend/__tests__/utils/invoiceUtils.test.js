@@ -0,0 +1,53 @@
+const {
+  getFinancialYear,
+  formatInvoiceNumber,
+  getStateCode,
+  isInterState,
+  amountInWords
+} = require('../../utils/invoiceUtils');
+
+describe('getFinancialYear', () => {
+  it('runs April to March on Indian time', () => {
+    // 23:30 and 00:30 IST either side of 1 April
+    expect(getFinancialYear(new Date('2026-03-31T18:00:00Z'))).toEqual({ key: 'FY2025_26', label: '25-26' });
+    expect(getFinancialYear(new Date('2026-03-31T19:00:00Z'))).toEqual({ key: 'FY2026_27', label: '26-27' });
+  });
+
+  it('keeps January to March in the year that started the April before', () => {
+    expect(getFinancialYear(new Date('2027-01-15T06:00:00Z')).key).toBe('FY2026_27');
+  });
+});
+
+describe('formatInvoiceNumber', () => {
+  it('pads the sequence to five digits', () => {
+    expect(formatInvoiceNumber('26-27', 12)).toBe('INV/26-27/00012');
+    expect(formatInvoiceNumber('26-27', 123456)).toBe('INV/26-27/123456');
+  });
+});
+
+describe('place of supply', () => {
+  it('reads the state code from a GSTIN', () => {
+    expect(getStateCode('29ABCDE1234F1Z5')).toBe('29');
+    expect(getStateCode('99ABCDE1234F1Z5')).toBeNull();
+    expect(getStateCode(null)).toBeNull();
+  });
+
+  it('is inter-state only for a buyer GSTIN from another state', () => {
+    expect(isInterState('29ABCDE1234F1Z5', '27PQRST6789K1Z2')).toBe(true);
+    expect(isInterState('29ABCDE1234F1Z5', '29PQRST6789K1Z2')).toBe(false);
+    expect(isInterState('29ABCDE1234F1Z5', null)).toBe(false);
+    expect(isInterState(null, '27PQRST6789K1Z2')).toBe(false);
+  });
+});
+
+describe('amountInWords', () => {
+  it('writes rupees and paise', () => {
+    expect(amountInWords(118.5)).toBe('Rupees One Hundred Eighteen and Fifty Paise Only');
+    expect(amountInWords(0)).toBe('Rupees Zero Only');
+  });
+
+  it('uses thousands, lakhs and crores', () => {
+    expect(amountInWords(1234567)).toBe('Rupees Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven Only');
+    expect(amountInWords(20000005)).toBe('Rupees Two Crore Five Only');
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  normalizeLoyaltyRules,
+  resolveTier,
+  pointsForAmount,
+  pointsValue,
+  maxRedeemablePoints,
+  getExpiryDate,
+  allocateRedemption
+} = require('../../utils/loyaltyUtils');
+
+describe('normalizeLoyaltyRules', () => {
+  it('fills in defaults', () => {
+    expect(normalizeLoyaltyRules({})).toMatchObject({ earnPointsPerRupee: 0.1, pointValue: 0.25, minRedeemPoints: 100, maxRedeemPercent: 50, expiryMonths: 12 });
+  });
+
+  it('sorts tiers and cleans up their names', () => {
+    const { tiers } = normalizeLoyaltyRules({ tiers: [{ name: ' Gold ', minPoints: '500', multiplier: 2 }, { name: 'Base', minPoints: 0 }] });
+    expect(tiers).toEqual([
+      { name: 'base', minPoints: 0, multiplier: 1 },
+      { name: 'gold', minPoints: 500, multiplier: 2 }
+    ]);
+  });
+});
+
+describe('resolveTier', () => {
+  it('finds the tier for the qualifying points and what the next one needs', () => {
+    expect(resolveTier({}, 1200)).toMatchObject({ tier: { name: 'silver' }, nextTier: { name: 'gold' }, pointsToNextTier: 3800 });
+    expect(resolveTier({}, 0).tier.name).toBe('member');
+    expect(resolveTier({}, 9000)).toMatchObject({ tier: { name: 'gold' }, nextTier: null, pointsToNextTier: 0 });
+  });
+});
+
+describe('points', () => {
+  it('earns whole points per rupee paid, times the tier multiplier', () => {
+    expect(pointsForAmount(259, {})).toBe(25);
+    expect(pointsForAmount(250, {}, 1.5)).toBe(37);
+    expect(pointsForAmount(-100, {})).toBe(0);
+  });
+
+  it('values points in rupees', () => {
+    expect(pointsValue(150, {})).toBe(37.5);
+  });
+
+  it('caps redemption at the balance and the share of the order points may pay', () => {
+    expect(maxRedeemablePoints({}, 400, 1000)).toBe(800);
+    expect(maxRedeemablePoints({}, 400, 300.7)).toBe(300);
+    expect(maxRedeemablePoints({ pointValue: 0 }, 400, 1000)).toBe(0);
+  });
+});
+
+describe('getExpiryDate', () => {
+  it('expires points expiryMonths after they were earned', () => {
+    expect(getExpiryDate({ expiryMonths: 6 }, new Date(2026, 0, 15)).getTime()).toBe(new Date(2026, 6, 15).getTime());
+  });
+
+  it('never expires points when expiryMonths is zero', () => {
+    expect(getExpiryDate({ expiryMonths: 0 })).toBeNull();
+  });
+});
+
+describe('allocateRedemption', () => {
+  const entries = [
+    { _id: 'never', remaining: 100, expiresAt: null, createdAt: '2026-01-01' },
+    { _id: 'late', remaining: 50, expiresAt: '2027-06-01', createdAt: '2026-06-01' },
+    { _id: 'soon', remaining: 30, expiresAt: '2026-11-01', createdAt: '2025-11-01' }
+  ];
+
+  it('uses the points that expire first', () => {
+    expect(allocateRedemption(entries, 60)).toEqual([
+      { entryId: 'soon', points: 30 },
+      { entryId: 'late', points: 30 }
+    ]);
+  });
+
+  it('uses points that never expire last', () => {
+    expect(allocateRedemption(entries, 120).map(allocation => allocation.entryId)).toEqual(['soon', 'late', 'never']);
+  });
+
+  it('returns null when the entries do not hold enough points', () => {
+    expect(allocateRedemption(entries, 181)).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  hasModifiers,
+  normalizeModifierGroups,
+  resolveModifiers,
+  getModifierTotal
+} = require('../../utils/modifierUtils');
+
+const burger = {
+  name: 'Burger',
+  variants: [
+    {
+      name: 'Size',
+      required: true,
+      maxSelections: 1,
+      options: [{ label: 'Regular', price: 0 }, { label: 'Large', price: 40 }]
+    },
+    {
+      name: 'Extras',
+      maxSelections: 0,
+      options: [{ label: 'Cheese', price: 20 }, { label: 'Jalapeno', price: 15 }, { label: 'Bacon', price: 50, isAvailable: false }]
+    }
+  ]
+};
+
+describe('hasModifiers', () => {
+  it('needs a group with options', () => {
+    expect(hasModifiers(burger)).toBe(true);
+    expect(hasModifiers({ variants: [{ name: 'Size', options: [] }] })).toBe(false);
+    expect(hasModifiers({})).toBe(false);
+  });
+});
+
+describe('normalizeModifierGroups', () => {
+  it('trims names, reads form values and keeps options available unless switched off', () => {
+    const [group] = normalizeModifierGroups([{
+      name: ' Size ',
+      required: 'true',
+      maxSelections: '1',
+      options: [{ label: ' Large ', price: '40' }, { label: 'Regular', isAvailable: false }]
+    }]);
+
+    expect(group).toEqual({
+      name: 'Size',
+      required: true,
+      minSelections: 0,
+      maxSelections: 1,
+      options: [{ label: 'Large', price: 40, isAvailable: true }, { label: 'Regular', price: 0, isAvailable: false }]
+    });
+  });
+
+  it.each([
+    ['a group without a name', [{ options: [{ label: 'A' }] }], 'needs a name'],
+    ['the same group twice', [{ name: 'Size', options: [{ label: 'A' }] }, { name: 'size', options: [{ label: 'A' }] }], 'listed twice'],
+    ['a group without options', [{ name: 'Size', options: [] }], 'at least one option'],
+    ['the same option twice', [{ name: 'Size', options: [{ label: 'A' }, { label: 'a' }] }], 'listed twice in "Size"'],
+    ['a negative price', [{ name: 'Size', options: [{ label: 'A', price: -1 }] }], 'cannot be negative'],
+    ['limits that cannot be met', [{ name: 'Size', minSelections: 3, options: [{ label: 'A' }, { label: 'B' }] }], 'cannot be met']
+  ])('refuses %s', (_, groups, message) => {
+    expect(() => normalizeModifierGroups(groups))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_MODIFIERS', message: expect.stringContaining(message) }));
+  });
+});
+
+describe('resolveModifiers', () => {
+  it('prices the picks in the product group order and drops repeats', () => {
+    const modifiers = resolveModifiers(burger, [
+      { name: 'Extras', option: 'Cheese' },
+      { name: 'Size', option: 'Large' },
+      { name: 'Extras', option: 'Cheese' },
+      { name: 'Extras', option: 'Jalapeno' }
+    ]);
+
+    expect(modifiers).toEqual([
+      { name: 'Size', option: 'Large', price: 40 },
+      { name: 'Extras', option: 'Cheese', price: 20 },
+      { name: 'Extras', option: 'Jalapeno', price: 15 }
+    ]);
+    expect(getModifierTotal(modifiers)).toBe(75);
+  });
+
+  it('needs a pick from a required group', () => {
+    expect(() => resolveModifiers(burger, []))
+      .toThrow(expect.objectContaining({ code: 'INVALID_MODIFIER_SELECTION', message: 'Choose a Size for Burger' }));
+  });
+
+  it('refuses more picks than the group allows', () => {
+    expect(() => resolveModifiers(burger, [{ name: 'Size', option: 'Regular' }, { name: 'Size', option: 'Large' }]))
+      .toThrow(expect.objectContaining({ message: 'Choose at most 1 Size for Burger' }));
+  });
+
+  it('refuses groups and options the product does not have', () => {
+    expect(() => resolveModifiers(burger, [{ name: 'Sauce', option: 'Mayo' }]))
+      .toThrow(expect.objectContaining({ code: 'INVALID_MODIFIER_SELECTION' }));
+    expect(() => resolveModifiers(burger, [{ name: 'Size', option: 'Huge' }]))
+      .toThrow(expect.objectContaining({ message: '"Huge" is not a Size option for Burger' }));
+  });
+
+  it('refuses an option that is switched off', () => {
+    expect(() => resolveModifiers(burger, [{ name: 'Size', option: 'Regular' }, { name: 'Extras', option: 'Bacon' }]))
+      .toThrow(expect.objectContaining({ code: 'MODIFIER_UNAVAILABLE' }));
+  });
+
+  it('takes no picks for a product without modifiers', () => {
+    expect(resolveModifiers({ name: 'Water' })).toEqual([]);
+  });
+});
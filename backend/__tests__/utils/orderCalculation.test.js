@@ -0,0 +1,67 @@
+const { calculateOrderTotals, calculateLineItemTotal } = require('../../utils/orderCalculation');
+
+describe('calculateOrderTotals', () => {
+  it('adds GST on top for GST-exclusive prices and splits it into CGST and SGST', () => {
+    const totals = calculateOrderTotals([{ unitPrice: 100, quantity: 2, taxRate: 5, gstType: 'EXCLUDE' }]);
+    expect(totals).toMatchObject({ subtotal: 200, tax: 10, total: 210, taxableValue: 200, cgst: 5, sgst: 5, igst: 0 });
+  });
+
+  it('takes GST out of GST-inclusive prices', () => {
+    const totals = calculateOrderTotals([{ unitPrice: 105, quantity: 1, taxRate: 5, gstType: 'INCLUDE' }]);
+    expect(totals).toMatchObject({ subtotal: 105, tax: 5, total: 105, taxableValue: 100, cgst: 2.5, sgst: 2.5 });
+  });
+
+  it('charges IGST instead for inter-state supplies', () => {
+    const totals = calculateOrderTotals([{ unitPrice: 100, quantity: 1, taxRate: 18 }], { interState: true });
+    expect(totals).toMatchObject({ tax: 18, total: 118, cgst: 0, sgst: 0, igst: 18 });
+    expect(totals.taxLines[0]).toMatchObject({ cgst: 0, sgst: 0, igst: 18 });
+  });
+
+  it('gives CGST the rounded half and SGST the rest, so the parts add up to the tax', () => {
+    const totals = calculateOrderTotals([{ unitPrice: 1, quantity: 1, taxRate: 5 }]);
+    expect(totals.tax).toBe(0.05);
+    expect(totals.cgst).toBe(0.03);
+    expect(totals.sgst).toBe(0.02);
+  });
+
+  it('rounds each tax line to paise and keeps their split consistent', () => {
+    const totals = calculateOrderTotals([
+      { unitPrice: 33.33, quantity: 3, taxRate: 18 },
+      { unitPrice: 12.99, quantity: 1, taxRate: 12 }
+    ]);
+    totals.taxLines.forEach(line => {
+      expect(line.taxAmount).toBe(Math.round(line.taxAmount * 100) / 100);
+      expect(line.cgst + line.sgst).toBeCloseTo(line.taxAmount, 10);
+      expect(Math.abs(line.cgst - line.sgst)).toBeLessThanOrEqual(0.01);
+    });
+    expect(totals.tax).toBe(19.56);
+    expect(totals.total).toBe(132.54);
+  });
+
+  it('applies product discounts and coupon shares before tax', () => {
+    const totals = calculateOrderTotals([
+      { unitPrice: 100, quantity: 1, taxRate: 5, discountPercentage: 10 },
+      { unitPrice: 100, quantity: 1, taxRate: 5, couponDiscount: 20 }
+    ]);
+    expect(totals).toMatchObject({ subtotal: 200, totalDiscount: 10, couponDiscount: 20, taxableValue: 170, tax: 8.5, total: 178.5 });
+    expect(totals.taxLines.map(line => line.discountAmount)).toEqual([10, 20]);
+  });
+
+  it('takes loyalty points off after tax without going below zero', () => {
+    const items = [{ unitPrice: 100, quantity: 1, taxRate: 5 }];
+    expect(calculateOrderTotals(items, { loyaltyDiscount: 50 })).toMatchObject({ tax: 5, total: 55, loyaltyDiscount: 50 });
+    expect(calculateOrderTotals(items, { loyaltyDiscount: 500 })).toMatchObject({ total: 0, loyaltyDiscount: 105 });
+  });
+
+  it('reads tax settings from the product when the item has none', () => {
+    const totals = calculateOrderTotals([{ unitPrice: 100, quantity: 1, product: { pricing: { taxRate: 12, gstType: 'Inclusive (GST INCLUDE)' } } }]);
+    expect(totals).toMatchObject({ total: 100, tax: 10.71 });
+  });
+});
+
+describe('calculateLineItemTotal', () => {
+  it('prices a line after discount, with tax only for GST-exclusive prices', () => {
+    expect(calculateLineItemTotal({ unitPrice: 100, quantity: 2, taxRate: 5, discountPercentage: 10 })).toBe(189);
+    expect(calculateLineItemTotal({ unitPrice: 100, quantity: 2, taxRate: 5, gstType: 'INCLUDE' })).toBe(200);
+  });
+});
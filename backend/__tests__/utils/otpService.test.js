@@ -0,0 +1,66 @@
+const {
+  generateOtp,
+  hashOtp,
+  compareOtp,
+  normalizePhoneNumber,
+  phoneNumberVariants,
+  maskPhoneNumber
+} = require('../../utils/otpService');
+
+describe('generateOtp', () => {
+  it('makes zero-padded codes of 4 to 8 digits', () => {
+    expect(generateOtp(6)).toMatch(/^\d{6}$/);
+    expect(generateOtp(2)).toMatch(/^\d{4}$/);
+    expect(generateOtp(12)).toMatch(/^\d{8}$/);
+  });
+});
+
+describe('hashOtp / compareOtp', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.OTP_HASH_SECRET = 'otp-test-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('matches only the same code for the same phone and purpose', () => {
+    const stored = hashOtp('123456', '+919876543210', 'verification');
+    expect(compareOtp(' 123456 ', '+919876543210', 'verification', stored)).toBe(true);
+    expect(compareOtp('123457', '+919876543210', 'verification', stored)).toBe(false);
+    expect(compareOtp('123456', '+919876543211', 'verification', stored)).toBe(false);
+    expect(compareOtp('123456', '+919876543210', 'login', stored)).toBe(false);
+    expect(compareOtp('123456', '+919876543210', 'verification', null)).toBe(false);
+  });
+
+  it('keys the hash with the secret', () => {
+    const stored = hashOtp('123456', '+919876543210');
+    process.env.OTP_HASH_SECRET = 'another-secret';
+    expect(compareOtp('123456', '+919876543210', 'verification', stored)).toBe(false);
+  });
+
+  it('refuses to hash without a secret rather than use a default', () => {
+    delete process.env.OTP_HASH_SECRET;
+    delete process.env.JWT_SECRET;
+    expect(() => hashOtp('123456', '+919876543210')).toThrow('OTP_HASH_SECRET or JWT_SECRET must be set');
+  });
+});
+
+describe('phone numbers', () => {
+  it('normalizes to E.164, treating 10 digits as Indian mobiles', () => {
+    expect(normalizePhoneNumber('98765 43210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('919876543210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('0044 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhoneNumber('12345')).toBeNull();
+  });
+
+  it('lists the forms older records may hold', () => {
+    expect(phoneNumberVariants('9876543210')).toEqual(['+919876543210', '919876543210', '9876543210']);
+  });
+
+  it('masks all but the country code and last five digits', () => {
+    expect(maskPhoneNumber('+919876543210')).toBe('+91*****43210');
+  });
+});
@@ -0,0 +1,100 @@
+const { buildProductMap } = require('../../utils/comboUtils');
+const { getCurrentUnitPrice, buildReorderLine, buildReorder } = require('../../utils/reorderUtils');
+
+const burger = {
+  _id: 'burger',
+  name: 'Burger',
+  pricing: { basePrice: 120, sellingPrice: 110 },
+  inventory: { currentStock: 10 },
+  variants: [
+    { name: 'Size', required: true, maxSelections: 1, options: [{ label: 'Regular', price: 0 }, { label: 'Large', price: 40 }] },
+    { name: 'Extras', maxSelections: 0, options: [{ label: 'Cheese', price: 20 }, { label: 'Bacon', price: 50, isAvailable: false }] }
+  ]
+};
+const popcorn = { _id: 'popcorn', name: 'Popcorn', pricing: { basePrice: 100 }, inventory: { currentStock: 9 } };
+const caramel = { _id: 'caramel', name: 'Caramel Popcorn', pricing: { basePrice: 130 }, inventory: { currentStock: 20 } };
+const cola = { _id: 'cola', name: 'Cola', pricing: { basePrice: 60 }, inventory: { currentStock: 5 } };
+const nachos = { _id: 'nachos', name: 'Nachos', pricing: { basePrice: 90 }, inventory: { currentStock: 0 } };
+const breakfast = { _id: 'breakfast', name: 'Breakfast Roll', categoryId: 'morning', pricing: { basePrice: 80 }, inventory: { trackStock: false } };
+const combo = {
+  _id: 'combo',
+  name: 'Movie Combo',
+  isCombo: true,
+  pricing: { basePrice: 200 },
+  comboItems: [
+    { productId: 'popcorn', quantity: 1, swapOptions: ['caramel'] },
+    { productId: 'cola', quantity: 2 }
+  ]
+};
+
+const productMap = buildProductMap([burger, popcorn, caramel, cola, nachos, breakfast, combo]);
+
+describe('getCurrentUnitPrice', () => {
+  it('charges the selling price plus the picked modifiers', () => {
+    expect(getCurrentUnitPrice(burger)).toBe(110);
+    expect(getCurrentUnitPrice(burger, [{ price: 40 }, { price: 20 }])).toBe(170);
+    expect(getCurrentUnitPrice(popcorn)).toBe(100);
+  });
+});
+
+describe('buildReorderLine', () => {
+  it("reprices a line with today's price and keeps the picked modifiers", () => {
+    const line = buildReorderLine({
+      productId: 'burger',
+      productName: 'Burger',
+      quantity: 2,
+      unitPrice: 150,
+      variants: [{ name: 'Size', option: 'Large' }, { name: 'Extras', option: 'Cheese' }]
+    }, productMap);
+
+    expect(line).toMatchObject({ name: 'Burger', quantity: 2, previousPrice: 150, price: 170, available: true, repriced: true, limited: false, reason: null });
+    expect(line.modifiers.map(modifier => modifier.option)).toEqual(['Large', 'Cheese']);
+    expect(line.product).toMatchObject({ _id: 'burger', price: 110 });
+  });
+
+  it('keeps the combo choices and limits the quantity to what the chosen components allow', () => {
+    const line = buildReorderLine({
+      productId: 'combo',
+      quantity: 3,
+      unitPrice: 200,
+      comboItems: [{ productId: 'caramel', quantity: 1 }, { productId: 'cola', quantity: 2 }]
+    }, productMap);
+
+    // Cola runs out first: 5 on hand, 2 per combo
+    expect(line).toMatchObject({ quantity: 2, orderedQuantity: 3, limited: true, repriced: false, reason: 'Only 2 left' });
+    expect(line.comboSelections).toEqual([{ slot: 0, productId: 'caramel' }, { slot: 1, productId: 'cola' }]);
+  });
+
+  it('explains why a line cannot be ordered again', () => {
+    expect(buildReorderLine({ productId: 'gone', productName: 'Hot Dog', quantity: 1 }, productMap))
+      .toMatchObject({ name: 'Hot Dog', available: false, quantity: 0, reason: 'No longer on the menu' });
+    expect(buildReorderLine({ productId: 'nachos', quantity: 1 }, productMap))
+      .toMatchObject({ available: false, reason: 'Out of stock' });
+    expect(buildReorderLine({ productId: 'burger', quantity: 1, variants: [{ name: 'Size', option: 'Regular' }, { name: 'Extras', option: 'Bacon' }] }, productMap))
+      .toMatchObject({ available: false, reason: 'Bacon is not available right now' });
+  });
+
+  it("checks the product's category availability rules for the menu asking", () => {
+    const categoryMap = new Map([['morning', { availability: { screens: ['Screen 2'] } }]]);
+
+    expect(buildReorderLine({ productId: 'breakfast', quantity: 1 }, productMap, { categoryMap, context: { screen: 'Screen 1' } }))
+      .toMatchObject({ available: false, reason: 'Not available on this screen' });
+    expect(buildReorderLine({ productId: 'breakfast', quantity: 4 }, productMap, { categoryMap, context: { screen: 'Screen 2' } }))
+      .toMatchObject({ available: true, quantity: 4 });
+  });
+});
+
+describe('buildReorder', () => {
+  it('counts the lines that can, cannot, or can only partly be ordered again', () => {
+    const reorder = buildReorder({
+      items: [
+        { productId: 'popcorn', quantity: 1, unitPrice: 100 },
+        { productId: 'nachos', quantity: 1, unitPrice: 90 },
+        { productId: 'burger', quantity: 1, unitPrice: 120, variants: [{ name: 'Size', option: 'Regular' }] },
+        { productId: 'cola', quantity: 8, unitPrice: 60 }
+      ]
+    }, productMap);
+
+    expect(reorder).toMatchObject({ availableCount: 3, unavailableCount: 1, repricedCount: 1, limitedCount: 1 });
+  });
+});
@@ -0,0 +1,16 @@
+const { parseSeat, compareSeats } = require('../../utils/seatUtils');
+
+describe('parseSeat', () => {
+  it('splits row letters from the seat number', () => {
+    expect(parseSeat(' b12 ')).toEqual({ row: 'B', number: 12 });
+    expect(parseSeat('AA-3')).toEqual({ row: 'AA', number: 3 });
+    expect(parseSeat('7')).toEqual({ row: '', number: 7 });
+    expect(parseSeat(null)).toEqual({ row: '', number: 0 });
+  });
+});
+
+describe('compareSeats', () => {
+  it('walks the hall row by row, with double-letter rows after Z, then by seat number', () => {
+    expect(['AA1', 'B2', 'A10', 'Z1', 'A2'].sort(compareSeats)).toEqual(['A2', 'A10', 'B2', 'Z1', 'AA1']);
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  orderingWindow,
+  closedMessage,
+  zonedDateTime,
+  parseCsv,
+  parseShowtimeCsv
+} = require('../../utils/showtimeUtils');
+
+describe('zonedDateTime', () => {
+  it('reads a wall-clock time in the theater time zone', () => {
+    expect(zonedDateTime('2026-10-19', '18:30', 'Asia/Kolkata').toISOString()).toBe('2026-10-19T13:00:00.000Z');
+  });
+
+  it('follows daylight saving time', () => {
+    expect(zonedDateTime('2026-01-15', '12:00', 'America/New_York').toISOString()).toBe('2026-01-15T17:00:00.000Z');
+    expect(zonedDateTime('2026-07-15', '12:00', 'America/New_York').toISOString()).toBe('2026-07-15T16:00:00.000Z');
+  });
+
+  it('returns null for dates or times that do not parse', () => {
+    expect(zonedDateTime('19/10/2026', '18:30')).toBeNull();
+    expect(zonedDateTime('2026-10-19', '24:00')).toBeNull();
+    expect(zonedDateTime('2026-10-19', '6pm')).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  it('keeps commas, quotes and line breaks inside quoted cells', () => {
+    const text = '\uFEFFScreen,Movie\r\n"Screen 1","Dune, ""Part Two"""\n"Screen 2","Line\nbreak"\n\n';
+    expect(parseCsv(text)).toEqual([
+      ['Screen', 'Movie'],
+      ['Screen 1', 'Dune, "Part Two"'],
+      ['Screen 2', 'Line\nbreak']
+    ]);
+  });
+});
+
+describe('parseShowtimeCsv', () => {
+  it('builds showtimes in the theater time zone, with late ends and intervals on the next day', () => {
+    const csv = [
+      'Screen,Movie,Language,Date,Start,End,Interval,Interval Minutes',
+      'Screen 1,"Dune, Part Two",English,2026-10-19,22:30,01:15,23:50,20'
+    ].join('\n');
+    const { showtimes, errors } = parseShowtimeCsv(csv, 'Asia/Kolkata');
+
+    expect(errors).toEqual([]);
+    expect(showtimes).toHaveLength(1);
+    expect(showtimes[0]).toMatchObject({ line: 2, screen: 'Screen 1', movieTitle: 'Dune, Part Two', language: 'English', intervalMinutes: 20 });
+    expect(showtimes[0].startTime.toISOString()).toBe('2026-10-19T17:00:00.000Z');
+    expect(showtimes[0].endTime.toISOString()).toBe('2026-10-19T19:45:00.000Z');
+    expect(showtimes[0].intervalStart.toISOString()).toBe('2026-10-19T18:20:00.000Z');
+  });
+
+  it('takes a duration instead of an end time', () => {
+    const { showtimes } = parseShowtimeCsv('screen,film,show_date,show time,runtime\nAudi 2,Jawan,2026-10-20,10:00,170', 'Asia/Kolkata');
+    expect(showtimes[0].endTime.toISOString()).toBe('2026-10-20T07:20:00.000Z');
+  });
+
+  it('reports missing columns', () => {
+    expect(parseShowtimeCsv('Screen,Movie,Date\nScreen 1,Jawan,2026-10-20')).toEqual({
+      showtimes: [],
+      errors: [{ line: 1, error: 'Missing column: start, end or duration' }]
+    });
+  });
+
+  it('reports bad rows by line and keeps the good ones', () => {
+    const csv = [
+      'Screen,Movie,Date,Start,End,Interval',
+      'Screen 1,Jawan,2026-10-20,10:00,13:00,',
+      ',Jawan,2026-10-20,10:00,13:00,',
+      'Screen 1,Jawan,20-10-2026,10:00,13:00,',
+      'Screen 1,Jawan,2026-10-20,10:00,13:00,14:00'
+    ].join('\n');
+    const { showtimes, errors } = parseShowtimeCsv(csv);
+    expect(showtimes.map(show => show.line)).toEqual([2]);
+    expect(errors).toEqual([
+      { line: 3, error: 'Screen is required' },
+      { line: 4, error: 'Date must be YYYY-MM-DD and start HH:mm' },
+      { line: 5, error: 'Interval must be an HH:mm time during the show' }
+    ]);
+  });
+});
+
+describe('orderingWindow', () => {
+  // 18:00-21:00 with a 15 minute interval at 19:30 (UTC times)
+  const show = {
+    _id: 'show1',
+    movieTitle: 'Jawan',
+    startTime: new Date('2026-10-19T18:00:00Z'),
+    endTime: new Date('2026-10-19T21:00:00Z'),
+    intervalStart: new Date('2026-10-19T19:30:00Z')
+  };
+  const at = (time) => orderingWindow([show], new Date(`2026-10-19T${time}:00Z`));
+
+  it('is open before the show until it starts', () => {
+    expect(at('17:45')).toMatchObject({ scheduled: true, open: true, phase: 'pre_show' });
+    expect(at('17:45').closesAt.toISOString()).toBe('2026-10-19T18:00:00.000Z');
+  });
+
+  it('is closed during the film until shortly before the interval', () => {
+    const window = at('18:30');
+    expect(window).toMatchObject({ open: false, phase: 'in_show' });
+    expect(window.opensAt.toISOString()).toBe('2026-10-19T19:20:00.000Z');
+  });
+
+  it('is open around the interval and closed for the climax', () => {
+    expect(at('19:25')).toMatchObject({ open: true, phase: 'interval' });
+    expect(at('19:25').closesAt.toISOString()).toBe('2026-10-19T19:45:00.000Z');
+    expect(at('20:45')).toMatchObject({ open: false, phase: 'blackout' });
+  });
+
+  it('stays open during the film when the theater allows it', () => {
+    expect(orderingWindow([show], new Date('2026-10-19T18:30:00Z'), { orderDuringShow: true }).open).toBe(true);
+  });
+
+  it('is always open on screens without shows around now', () => {
+    expect(orderingWindow([], new Date())).toMatchObject({ scheduled: false, open: true });
+    expect(orderingWindow([show], new Date('2026-10-25T18:00:00Z')).scheduled).toBe(false);
+  });
+
+  it('explains why ordering is closed', () => {
+    expect(closedMessage(at('20:45'))).toBe('Ordering is paused for the climax of Jawan.');
+    expect(closedMessage(at('18:30'), 'UTC')).toMatch(/^Ordering is closed while Jawan is playing\. Ordering opens again at 07:20/);
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  buildTenders,
+  buildOrderPayment,
+  paymentMethodOf,
+  summarizeTenders,
+  orderTenders,
+  tenderBreakdown
+} = require('../../utils/tenderUtils');
+
+describe('buildTenders', () => {
+  it('makes one tender for the whole total when none are sent', () => {
+    const [tender] = buildTenders([], 250, { method: 'upi', status: 'pending' });
+    expect(tender).toMatchObject({ method: 'upi', amount: 250, status: 'pending', paidAt: null });
+  });
+
+  it('lets the last tender pay the balance', () => {
+    const tenders = buildTenders([{ method: 'upi', amount: 200 }, { method: 'cash' }], 450.5);
+    expect(tenders.map(tender => tender.amount)).toEqual([200, 250.5]);
+  });
+
+  it('gives change on cash tendered and marks cash paid', () => {
+    const [, cash] = buildTenders([{ method: 'card', amount: 100 }, { method: 'cash', tendered: 500 }], 400);
+    expect(cash).toMatchObject({ amount: 300, tendered: 500, change: 200, status: 'paid' });
+  });
+
+  it('marks card or UPI paid only with a terminal reference', () => {
+    const [withReference, without] = buildTenders([
+      { method: 'card', amount: 100, reference: ' SLIP-1 ' },
+      { method: 'upi', amount: 50 }
+    ], 150);
+    expect(withReference).toMatchObject({ reference: 'SLIP-1', status: 'paid' });
+    expect(without).toMatchObject({ reference: null, status: 'pending', paidAt: null });
+  });
+
+  it('refuses tenders that do not add up to the total', () => {
+    expect(() => buildTenders([{ method: 'cash', amount: 100 }, { method: 'upi', amount: 100 }], 250))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'TENDER_TOTAL_MISMATCH' }));
+  });
+
+  it('refuses less cash than the cash tender', () => {
+    expect(() => buildTenders([{ method: 'cash', amount: 300, tendered: 200 }], 300))
+      .toThrow(expect.objectContaining({ code: 'INSUFFICIENT_CASH_TENDERED' }));
+  });
+
+  it('refuses unknown methods and empty amounts', () => {
+    expect(() => buildTenders([{ method: 'cheque', amount: 100 }], 100)).toThrow(expect.objectContaining({ code: 'INVALID_TENDER' }));
+    expect(() => buildTenders([{ method: 'cash', amount: 0 }, { method: 'upi' }], 100)).toThrow(expect.objectContaining({ code: 'INVALID_TENDER' }));
+  });
+});
+
+describe('buildOrderPayment', () => {
+  const orderData = {
+    tenders: [{ method: 'cash', tendered: 500 }],
+    paymentMethod: 'cash',
+    paymentStatus: 'paid',
+    transactionId: 'TXN-1'
+  };
+
+  it('takes tenders from staff', () => {
+    const payment = buildOrderPayment(orderData, 400, { staff: true });
+    expect(payment).toMatchObject({ method: 'cash', status: 'paid', amountPaid: 400, changeDue: 100, transactionId: 'TXN-1' });
+    expect(payment.paidAt).toBeInstanceOf(Date);
+  });
+
+  it('trusts a staff paymentStatus when no tenders are sent', () => {
+    const payment = buildOrderPayment({ paymentMethod: 'card', paymentStatus: 'paid' }, 400, { staff: true });
+    expect(payment).toMatchObject({ method: 'card', status: 'paid', amountPaid: 400 });
+  });
+
+  it('starts everyone else pending, whatever they send', () => {
+    const payment = buildOrderPayment(orderData, 400);
+    expect(payment).toMatchObject({ status: 'pending', amountPaid: 0, changeDue: 0, paidAt: null, transactionId: null });
+    expect(payment.tenders).toHaveLength(1);
+    expect(payment.tenders[0]).toMatchObject({ method: 'cash', amount: 400, status: 'pending', reference: null, transactionId: null });
+  });
+});
+
+describe('summarizeTenders', () => {
+  it('is paid once the paid tenders cover the total', () => {
+    expect(summarizeTenders([
+      { amount: 200, status: 'paid', change: 0 },
+      { amount: 200, status: 'paid', change: 50 }
+    ], 400)).toEqual({ status: 'paid', amountPaid: 400, balanceDue: 0, changeDue: 50 });
+  });
+
+  it('stays pending while a tender is outstanding, and fails only when every tender failed', () => {
+    expect(summarizeTenders([{ amount: 200, status: 'paid' }, { amount: 200, status: 'pending' }], 400))
+      .toMatchObject({ status: 'pending', amountPaid: 200, balanceDue: 200 });
+    expect(summarizeTenders([{ amount: 400, status: 'failed' }], 400).status).toBe('failed');
+    expect(summarizeTenders([], 400).status).toBe('pending');
+  });
+});
+
+describe('paymentMethodOf', () => {
+  it('is split when more than one method paid', () => {
+    expect(paymentMethodOf([{ method: 'cash' }, { method: 'cash' }])).toBe('cash');
+    expect(paymentMethodOf([{ method: 'cash' }, { method: 'upi' }])).toBe('split');
+  });
+});
+
+describe('tenderBreakdown', () => {
+  it('counts money by tender, nets refunds and leaves out unpaid tenders', () => {
+    const orders = [
+      { payment: { tenders: [
+        { method: 'cash', amount: 100, status: 'paid' },
+        { method: 'upi', amount: 150, status: 'partially_refunded', refundedAmount: 50 }
+      ] } },
+      { payment: { tenders: [
+        { method: 'cash', amount: 60, status: 'paid' },
+        { method: 'cash', amount: 40, status: 'paid' },
+        { method: 'card', amount: 500, status: 'pending' }
+      ] } }
+    ];
+    expect(tenderBreakdown(orders)).toEqual([
+      { method: 'cash', tenders: 3, orders: 2, amount: 200, refunded: 0, net: 200 },
+      { method: 'upi', tenders: 1, orders: 1, amount: 150, refunded: 50, net: 100 }
+    ]);
+  });
+
+  it('treats orders from before split tenders as one tender', () => {
+    expect(orderTenders({ paymentMethod: 'upi', paymentStatus: 'refunded', totalAmount: 300, payment: { refundAmount: 300 } }))
+      .toEqual([{ method: 'upi', amount: 300, status: 'paid', refundedAmount: 300 }]);
+  });
+});
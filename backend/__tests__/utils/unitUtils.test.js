@@ -0,0 +1,21 @@
+const { compatibleUnits, toBaseQuantity } = require('../../utils/unitUtils');
+
+describe('toBaseQuantity', () => {
+  it('converts larger units to the base unit', () => {
+    expect(toBaseQuantity(0.25, 'kg', 'g')).toBe(250);
+    expect(toBaseQuantity(2, 'l', 'ml')).toBe(2000);
+    expect(toBaseQuantity(3, undefined, 'pcs')).toBe(3);
+  });
+
+  it('refuses a unit that measures something else', () => {
+    expect(() => toBaseQuantity(1, 'kg', 'ml'))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_UNIT' }));
+  });
+});
+
+describe('compatibleUnits', () => {
+  it('lists the units a material can be entered in', () => {
+    expect(compatibleUnits('g')).toEqual(['g', 'kg']);
+    expect(compatibleUnits('pcs')).toEqual(['pcs']);
+  });
+});
@@ -31,6 +31,33 @@ class BaseController {
     return res.status(statusCode).json(response);
   }
 
+  /**
+   * Send a service error (see utils/serviceError) with its status and code
+   * Anything without a client status is logged as a 500 under the fallback message; a provider
+   * failure (502) keeps its message so staff can see what the gateway or SMS provider said.
+   */
+  static serviceError(res, error, fallbackMessage = 'An error occurred') {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        message: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    if (error.statusCode === 502) {
+      return BaseController.error(res, error.message || fallbackMessage, 502, {
+        code: error.code
+      });
+    }
+
+    return BaseController.error(res, fallbackMessage, 500, {
+      message: error.message
+    });
+  }
+
   /**
    * Send paginated response
    */
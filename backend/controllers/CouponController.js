@@ -0,0 +1,113 @@
+const BaseController = require('./BaseController');
+const couponService = require('../services/CouponService');
+const orderService = require('../services/OrderService');
+
+/**
+ * Coupon Controller
+ * Handles HTTP requests and responses for coupon endpoints
+ */
+class CouponController extends BaseController {
+  /**
+   * GET /api/coupons/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await couponService.getCoupons(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get coupons error:', error);
+      return BaseController.error(res, 'Failed to fetch coupons', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/coupons/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const coupon = await couponService.createCoupon(req.params.theaterId, req.body, req.user?.userId);
+      return BaseController.success(res, coupon, 'Coupon created successfully', 201);
+    } catch (error) {
+      console.error('Create coupon error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create coupon');
+    }
+  }
+
+  /**
+   * PUT /api/coupons/:theaterId/:couponId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, couponId } = req.params;
+      const coupon = await couponService.updateCoupon(theaterId, couponId, req.body);
+      return BaseController.success(res, coupon, 'Coupon updated successfully');
+    } catch (error) {
+      console.error('Update coupon error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update coupon');
+    }
+  }
+
+  /**
+   * DELETE /api/coupons/:theaterId/:couponId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, couponId } = req.params;
+      await couponService.deleteCoupon(theaterId, couponId);
+      return BaseController.success(res, null, 'Coupon deleted successfully');
+    } catch (error) {
+      console.error('Delete coupon error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete coupon');
+    }
+  }
+
+  /**
+   * POST /api/coupons/:theaterId/validate
+   * Preview a code against a cart - the order itself is priced again when it is placed
+   * Per-phone limits are checked for the customer's verified number, as the order will be; staff
+   * may check the number a customer gives at the counter.
+   */
+  static async validateCode(req, res) {
+    try {
+      const { code, items, phone } = req.body;
+      const { pricing, coupon } = await orderService.quoteOrder(req.params.theaterId, {
+        items,
+        couponCode: code,
+        phone,
+        couponPhone: req.user ? phone : req.customer?.phoneNumber
+      });
+
+      return BaseController.success(res, {
+        code: coupon.coupon.code,
+        description: coupon.coupon.description,
+        discountAmount: coupon.discountAmount,
+        pricing
+      }, 'Coupon applied');
+    } catch (error) {
+      console.error('Validate coupon error:', error);
+      if (!error.statusCode && error.message.includes('not found')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.serviceError(res, error, 'Failed to validate coupon');
+    }
+  }
+
+  /**
+   * GET /api/coupons/:theaterId/report
+   */
+  static async getReport(req, res) {
+    try {
+      const report = await couponService.getRedemptionReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Coupon report error:', error);
+      return BaseController.error(res, 'Failed to fetch coupon report', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = CouponController;
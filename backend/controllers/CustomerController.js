@@ -0,0 +1,258 @@
+const BaseController = require('./BaseController');
+const customerAuthService = require('../services/CustomerAuthService');
+const orderService = require('../services/OrderService');
+const customerFavoriteService = require('../services/CustomerFavoriteService');
+const loyaltyService = require('../services/LoyaltyService');
+const feedbackService = require('../services/FeedbackService');
+const {
+  getCustomerNotifications,
+  markNotificationAsRead,
+  markAllAsRead,
+  getUnreadCount
+} = require('../services/notificationService');
+
+/**
+ * Customer Controller
+ * Endpoints for the signed-in customer. Everything is scoped to the phone number in the customer token.
+ */
+class CustomerController extends BaseController {
+  /**
+   * GET /api/customers/me
+   */
+  static async getProfile(req, res) {
+    try {
+      const profile = await customerAuthService.getProfile(req.customer.customerId);
+      return BaseController.success(res, profile);
+    } catch (error) {
+      console.error('Get customer profile error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch profile');
+    }
+  }
+
+  /**
+   * POST /api/customers/logout-all
+   * End the customer's sessions on every device, including this one
+   */
+  static async logoutAll(req, res) {
+    try {
+      const result = await customerAuthService.logoutAll(req.customer.customerId);
+      return BaseController.success(res, result, 'Logged out from all devices');
+    } catch (error) {
+      console.error('Customer logout error:', error);
+      return BaseController.serviceError(res, error, 'Failed to log out');
+    }
+  }
+
+  /**
+   * GET /api/customers/orders?theaterId=
+   * The customer's orders at a theater, newest first
+   */
+  static async getOrders(req, res) {
+    try {
+      const orders = await orderService.getCustomerOrders(req.query.theaterId, req.customer.phoneNumber);
+      return BaseController.success(res, orders);
+    } catch (error) {
+      console.error('Get customer orders error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch orders');
+    }
+  }
+
+  /**
+   * GET /api/customers/orders/:theaterId/:orderId
+   */
+  static async getOrder(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const order = await orderService.getCustomerOrder(theaterId, orderId, req.customer.phoneNumber);
+      if (!order) {
+        return BaseController.error(res, 'Order not found', 404, {
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      return BaseController.success(res, order);
+    } catch (error) {
+      console.error('Get customer order error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch order');
+    }
+  }
+
+  /**
+   * GET /api/customers/orders/:theaterId/:orderId/reorder?qrName=&screen=
+   * The order's items at today's prices, stock and availability, ready to go back in the cart
+   */
+  static async getReorder(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const { qrName, screen } = req.query;
+      const reorder = await orderService.getReorder(theaterId, orderId, req.customer.phoneNumber, { qrName, screen });
+      if (!reorder) {
+        return BaseController.error(res, 'Order not found', 404, {
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      return BaseController.success(res, reorder);
+    } catch (error) {
+      console.error('Reorder check error:', error);
+      return BaseController.serviceError(res, error, 'Failed to check order');
+    }
+  }
+
+  /**
+   * GET /api/customers/orders/:theaterId/:orderId/feedback
+   * The customer's ratings for the order, or null before they rate it
+   */
+  static async getOrderFeedback(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const feedback = await feedbackService.getOrderFeedback(theaterId, orderId, req.customer.phoneNumber);
+      return BaseController.success(res, feedback);
+    } catch (error) {
+      console.error('Get order feedback error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch feedback');
+    }
+  }
+
+  /**
+   * POST /api/customers/orders/:theaterId/:orderId/feedback
+   */
+  static async submitOrderFeedback(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const feedback = await feedbackService.submitFeedback(theaterId, orderId, req.customer.phoneNumber, req.body);
+      return BaseController.success(res, feedback, 'Thanks for your feedback', 201);
+    } catch (error) {
+      console.error('Submit order feedback error:', error);
+      return BaseController.serviceError(res, error, 'Failed to save feedback');
+    }
+  }
+
+  /**
+   * GET /api/customers/favorites?theaterId=
+   * Without theaterId, favourites at every theater
+   */
+  static async getFavorites(req, res) {
+    try {
+      const favorites = await customerFavoriteService.getFavorites(req.customer.customerId, req.query.theaterId);
+      return BaseController.success(res, favorites);
+    } catch (error) {
+      console.error('Get favorites error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch favorites');
+    }
+  }
+
+  /**
+   * PUT /api/customers/favorites/:theaterId/:productId
+   */
+  static async addFavorite(req, res) {
+    try {
+      const { theaterId, productId } = req.params;
+      const favorites = await customerFavoriteService.addFavorite(req.customer.customerId, theaterId, productId);
+      return BaseController.success(res, favorites, 'Added to favorites');
+    } catch (error) {
+      console.error('Add favorite error:', error);
+      return BaseController.serviceError(res, error, 'Failed to add favorite');
+    }
+  }
+
+  /**
+   * DELETE /api/customers/favorites/:theaterId/:productId
+   */
+  static async removeFavorite(req, res) {
+    try {
+      const { theaterId, productId } = req.params;
+      const favorites = await customerFavoriteService.removeFavorite(req.customer.customerId, theaterId, productId);
+      return BaseController.success(res, favorites, 'Removed from favorites');
+    } catch (error) {
+      console.error('Remove favorite error:', error);
+      return BaseController.serviceError(res, error, 'Failed to remove favorite');
+    }
+  }
+
+  /**
+   * POST /api/customers/favorites/:theaterId/import
+   * Merge favourites saved on the device before signing in ({ productIds })
+   */
+  static async importFavorites(req, res) {
+    try {
+      const favorites = await customerFavoriteService.importFavorites(
+        req.customer.customerId,
+        req.params.theaterId,
+        req.body.productIds
+      );
+      return BaseController.success(res, favorites);
+    } catch (error) {
+      console.error('Import favorites error:', error);
+      return BaseController.serviceError(res, error, 'Failed to save favorites');
+    }
+  }
+
+  /**
+   * GET /api/customers/loyalty?theaterId=
+   * Points balance and tier in the theater's loyalty program
+   */
+  static async getLoyalty(req, res) {
+    try {
+      const account = await loyaltyService.getAccount(req.query.theaterId, req.customer.phoneNumber);
+      return BaseController.success(res, account);
+    } catch (error) {
+      console.error('Get loyalty account error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch loyalty points');
+    }
+  }
+
+  /**
+   * GET /api/customers/loyalty/ledger?theaterId=&page=&limit=
+   */
+  static async getLoyaltyLedger(req, res) {
+    try {
+      const result = await loyaltyService.getLedger(req.query.theaterId, req.customer.phoneNumber, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get loyalty ledger error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch points history');
+    }
+  }
+
+  /**
+   * GET /api/customers/notifications?limit=
+   */
+  static async getNotifications(req, res) {
+    try {
+      const { phoneNumber } = req.customer;
+      const [notifications, unreadCount] = await Promise.all([
+        getCustomerNotifications(phoneNumber, req.query.limit || 20),
+        getUnreadCount(phoneNumber)
+      ]);
+      return BaseController.success(res, { notifications, unreadCount });
+    } catch (error) {
+      console.error('Get customer notifications error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch notifications');
+    }
+  }
+
+  /**
+   * PUT /api/customers/notifications/read-all
+   */
+  static async markAllNotificationsRead(req, res) {
+    const success = await markAllAsRead(req.customer.phoneNumber);
+    if (!success) {
+      return BaseController.error(res, 'Failed to mark notifications as read', 500);
+    }
+    return BaseController.success(res, null, 'All notifications marked as read');
+  }
+
+  /**
+   * PUT /api/customers/notifications/:notificationId/read
+   */
+  static async markNotificationRead(req, res) {
+    const success = await markNotificationAsRead(req.params.notificationId, req.customer.phoneNumber);
+    if (!success) {
+      return BaseController.error(res, 'Notification not found', 404, {
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+    return BaseController.success(res, null, 'Notification marked as read');
+  }
+}
+
+module.exports = CustomerController;
@@ -0,0 +1,181 @@
+const BaseController = require('./BaseController');
+const deliveryService = require('../services/DeliveryService');
+const { sendOrderNotification } = require('../services/notificationService');
+
+/**
+ * Delivery Controller
+ * Handles HTTP requests and responses for seat delivery endpoints
+ */
+class DeliveryController extends BaseController {
+  /**
+   * Send delivery errors (runner off duty, order not ready...) with their status and code
+   */
+  static handleDeliveryError(res, error, fallbackMessage) {
+    if (error.message === 'Order not found') {
+      return BaseController.error(res, 'Order not found', 404, {
+        code: 'ORDER_NOT_FOUND'
+      });
+    }
+    return BaseController.serviceError(res, error, fallbackMessage);
+  }
+
+  /**
+   * GET /api/delivery/:theaterId/board
+   * Ready seat orders by screen and row, plus on-duty runners
+   */
+  static async getBoard(req, res) {
+    try {
+      if (!BaseController.checkDatabaseConnection()) {
+        return res.status(503).json(
+          BaseController.getDatabaseErrorResponse(req)
+        );
+      }
+
+      const board = await deliveryService.getDispatchBoard(req.params.theaterId);
+      return BaseController.success(res, { ...board, serverTime: new Date() });
+    } catch (error) {
+      console.error('Get dispatch board error:', error);
+      return BaseController.error(res, 'Failed to fetch dispatch board', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/delivery/:theaterId/orders/:orderId/runner
+   */
+  static async assign(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const order = await deliveryService.assignOrder(theaterId, orderId, req.body.runnerId, {
+        assignedBy: req.user
+      });
+      return BaseController.success(res, order, `Order assigned to ${order.runnerName}`);
+    } catch (error) {
+      console.error('Assign delivery error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to assign order');
+    }
+  }
+
+  /**
+   * DELETE /api/delivery/:theaterId/orders/:orderId/runner
+   */
+  static async unassign(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const order = await deliveryService.unassignOrder(theaterId, orderId);
+      return BaseController.success(res, order, 'Order unassigned');
+    } catch (error) {
+      console.error('Unassign delivery error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to unassign order');
+    }
+  }
+
+  /**
+   * POST /api/delivery/:theaterId/auto-assign
+   */
+  static async autoAssign(req, res) {
+    try {
+      const assigned = await deliveryService.autoAssign(req.params.theaterId, req.user);
+      return BaseController.success(res, { assigned }, `${assigned.length} order(s) assigned`);
+    } catch (error) {
+      console.error('Auto-assign error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to auto-assign orders');
+    }
+  }
+
+  /**
+   * PUT /api/delivery/:theaterId/settings
+   * Turn automatic assignment of ready seat orders on or off, and set the pre-order lead time
+   */
+  static async updateSettings(req, res) {
+    try {
+      const { theaterId } = req.params;
+      const settings = await deliveryService.updateSettings(theaterId, req.body);
+      if (req.body.autoAssign === true) {
+        await deliveryService.autoAssign(theaterId, req.user);
+      }
+      return BaseController.success(res, settings, 'Delivery settings updated');
+    } catch (error) {
+      console.error('Update delivery settings error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to update delivery settings');
+    }
+  }
+
+  /**
+   * GET /api/delivery/:theaterId/report
+   * Delivery times per runner (?startDate=&endDate=)
+   */
+  static async getReport(req, res) {
+    try {
+      const report = await deliveryService.getDeliveryReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Delivery report error:', error);
+      return BaseController.error(res, 'Failed to fetch delivery report', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/delivery/:theaterId/my-queue
+   * The signed-in runner's deliveries, sorted by seat
+   */
+  static async getMyQueue(req, res) {
+    try {
+      const queue = await deliveryService.getRunnerQueue(req.params.theaterId, req.user.userId);
+      return BaseController.success(res, { ...queue, serverTime: new Date() });
+    } catch (error) {
+      console.error('Get runner queue error:', error);
+      return BaseController.error(res, 'Failed to fetch delivery queue', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/delivery/:theaterId/duty
+   */
+  static async setDuty(req, res) {
+    try {
+      const { theaterId } = req.params;
+      const duty = await deliveryService.setDuty(theaterId, req.user.userId, req.body.onDuty);
+      if (duty.onDuty) {
+        await deliveryService.autoAssignIfEnabled(theaterId).catch(err =>
+          console.warn('Auto-assign failed:', err.message)
+        );
+      }
+      return BaseController.success(res, duty, duty.onDuty ? 'You are on duty' : 'You are off duty');
+    } catch (error) {
+      console.error('Set runner duty error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to update duty status');
+    }
+  }
+
+  /**
+   * PUT /api/delivery/:theaterId/orders/:orderId/served
+   * Runner hands the order over at the seat
+   */
+  static async markServed(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const updatedOrder = await deliveryService.markServed(theaterId, orderId, req.user.userId);
+
+      await sendOrderNotification(updatedOrder, 'served').catch(err =>
+        console.warn('Notification failed:', err.message)
+      );
+
+      return BaseController.success(res, {
+        orderId: updatedOrder._id,
+        status: updatedOrder.status,
+        timestamps: updatedOrder.timestamps || {}
+      }, 'Order marked as served');
+    } catch (error) {
+      console.error('Mark served error:', error);
+      return DeliveryController.handleDeliveryError(res, error, 'Failed to mark order as served');
+    }
+  }
+}
+
+module.exports = DeliveryController;
@@ -0,0 +1,40 @@
+const BaseController = require('./BaseController');
+const feedbackService = require('../services/FeedbackService');
+
+/**
+ * Feedback Controller
+ * Handles HTTP requests and responses for the theater's customer feedback dashboard
+ */
+class FeedbackController extends BaseController {
+  /**
+   * GET /api/feedback/:theaterId
+   */
+  static async getFeedback(req, res) {
+    try {
+      const result = await feedbackService.getFeedback(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get feedback error:', error);
+      return BaseController.error(res, 'Failed to fetch feedback', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/feedback/:theaterId/summary
+   */
+  static async getSummary(req, res) {
+    try {
+      const summary = await feedbackService.getSummary(req.params.theaterId, req.query);
+      return BaseController.success(res, summary);
+    } catch (error) {
+      console.error('Get feedback summary error:', error);
+      return BaseController.error(res, 'Failed to fetch feedback summary', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = FeedbackController;
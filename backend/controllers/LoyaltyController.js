@@ -0,0 +1,112 @@
+const BaseController = require('./BaseController');
+const loyaltyService = require('../services/LoyaltyService');
+
+/**
+ * Loyalty Controller
+ * Handles HTTP requests and responses for loyalty program and points endpoints
+ */
+class LoyaltyController extends BaseController {
+  /**
+   * GET /api/loyalty/programs
+   */
+  static async getPrograms(req, res) {
+    try {
+      const programs = await loyaltyService.getPrograms();
+      return BaseController.success(res, programs);
+    } catch (error) {
+      console.error('Get loyalty programs error:', error);
+      return BaseController.error(res, 'Failed to fetch loyalty programs', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/loyalty/programs
+   * Create a program shared by a chain of theaters
+   */
+  static async createProgram(req, res) {
+    try {
+      const program = await loyaltyService.createProgram(req.body, req.user);
+      return res.status(201).json({
+        success: true,
+        message: 'Loyalty program created',
+        data: program
+      });
+    } catch (error) {
+      console.error('Create loyalty program error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create loyalty program');
+    }
+  }
+
+  /**
+   * PUT /api/loyalty/programs/:programId
+   */
+  static async updateProgram(req, res) {
+    try {
+      const program = await loyaltyService.updateProgram(req.params.programId, req.body);
+      return BaseController.success(res, program, 'Loyalty program updated');
+    } catch (error) {
+      console.error('Update loyalty program error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update loyalty program');
+    }
+  }
+
+  /**
+   * GET /api/loyalty/:theaterId/program
+   */
+  static async getTheaterProgram(req, res) {
+    try {
+      const result = await loyaltyService.getTheaterProgram(req.params.theaterId);
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('Get theater loyalty program error:', error);
+      return BaseController.error(res, 'Failed to fetch loyalty program', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/loyalty/:theaterId/program
+   */
+  static async saveTheaterProgram(req, res) {
+    try {
+      const result = await loyaltyService.saveTheaterProgram(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, result, 'Loyalty program saved');
+    } catch (error) {
+      console.error('Save theater loyalty program error:', error);
+      return BaseController.serviceError(res, error, 'Failed to save loyalty program');
+    }
+  }
+
+  /**
+   * GET /api/loyalty/:theaterId/accounts/:phoneNumber
+   * Look up a customer's points at the POS
+   */
+  static async getAccount(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      const account = await loyaltyService.getAccount(req.params.theaterId, req.params.phoneNumber);
+      return BaseController.success(res, account);
+    } catch (error) {
+      console.error('Get loyalty account error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch loyalty points');
+    }
+  }
+
+  /**
+   * GET /api/loyalty/:theaterId/accounts/:phoneNumber/ledger
+   */
+  static async getLedger(req, res) {
+    try {
+      const result = await loyaltyService.getLedger(req.params.theaterId, req.params.phoneNumber, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get loyalty ledger error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch points history');
+    }
+  }
+}
+
+module.exports = LoyaltyController;
@@ -1,5 +1,9 @@
 const BaseController = require('./BaseController');
 const orderService = require('../services/OrderService');
+const deliveryService = require('../services/DeliveryService');
+const invoiceService = require('../services/InvoiceService');
+const shiftService = require('../services/ShiftService');
+const showtimeService = require('../services/ShowtimeService');
 const { sendOrderNotification } = require('../services/notificationService');
 
 /**
@@ -64,15 +68,76 @@ class OrderController extends BaseController {
     }
   }
 
+  /**
+   * GET /api/orders/theater/:theaterId/:orderId/invoice
+   * Download the GST tax invoice for an order (format=html|pdf, default json)
+   * Customers need a customer session for the phone number the order was placed with.
+   */
+  static async getInvoice(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const isStaff = req.user && (
+        req.user.role === 'super_admin' || req.user.role === 'admin' || req.user.userType === 'admin' ||
+        String(req.user.theaterId) === theaterId
+      );
+
+      const invoice = await invoiceService.getInvoice(theaterId, orderId, isStaff ? {} : { phone: req.customer?.phoneNumber || '' });
+      const fileName = invoice.invoiceNumber.replace(/\//g, '-');
+
+      if (req.query.format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+        return res.send(invoiceService.renderPdf(invoice));
+      }
+      if (req.query.format === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+        return res.send(invoiceService.renderHtml(invoice));
+      }
+      return BaseController.success(res, invoice);
+    } catch (error) {
+      console.error('Get invoice error:', error);
+      return BaseController.serviceError(res, error, 'Failed to generate invoice');
+    }
+  }
+
   /**
    * POST /api/orders/theater
    * Create a new order
    */
   static async create(req, res) {
     try {
+      // Seat orders from a screen QR can be scheduled for the interval or a set time.
+      // Orders for now only go through while the screen's ordering window is open.
+      const isSeatOrder = req.body.orderType === 'qr_order' || !req.user;
+      const deliverySlot = isSeatOrder
+        ? await showtimeService.resolveDeliverySlot(req.body.theaterId, req.body.qrName, req.body.deliverySlot)
+        : null;
+      if (isSeatOrder && !deliverySlot) {
+        await showtimeService.assertOrderingOpen(req.body.theaterId, req.body.qrName);
+      }
+
+      // Customers spend only their own points, so redeeming needs their session; at the POS
+      // the cashier redeems for the phone number the customer gives
+      let customerInfo = req.body.customerInfo;
+      if (req.body.loyaltyPoints && !req.user) {
+        if (!req.customer) {
+          return res.status(401).json({
+            success: false,
+            error: 'Please verify your phone number to redeem points',
+            message: 'Please verify your phone number to redeem points',
+            code: 'CUSTOMER_TOKEN_MISSING'
+          });
+        }
+        customerInfo = { ...customerInfo, phoneNumber: req.customer.phoneNumber };
+      }
+
+      // POS orders go on the cashier's shift
+      const shiftId = await shiftService.resolveOrderShift(req.body.theaterId, req.body.shiftId, req.user);
       const order = await orderService.createOrder(
         req.body.theaterId,
-        req.body
+        { ...req.body, customerInfo, shiftId, deliverySlot },
+        { staff: Boolean(req.user), customerPhone: req.customer?.phoneNumber }
       );
 
       return res.status(201).json({
@@ -82,14 +147,14 @@ class OrderController extends BaseController {
       });
     } catch (error) {
       console.error('Create order error:', error);
-      if (error.message.includes('not found')) {
+      // Coupon, points, combo choice or modifier rejected (invalid, expired, limit reached...), a product outside its
+      // availability, or the screen isn't taking orders then
+      if (!error.statusCode && error.message.includes('not found')) {
         return BaseController.error(res, error.message, 400, {
           code: 'PRODUCT_NOT_FOUND'
         });
       }
-      return BaseController.error(res, 'Failed to create order', 500, {
-        message: error.message
-      });
+      return BaseController.serviceError(res, error, 'Failed to create order');
     }
   }
 
@@ -127,6 +192,12 @@ class OrderController extends BaseController {
         );
       }
 
+      if (status === 'ready') {
+        await deliveryService.autoAssignIfEnabled(theaterId).catch(err =>
+          console.warn('Auto-assign failed:', err.message)
+        );
+      }
+
       return BaseController.success(res, {
         orderId: updatedOrder._id,
         status: updatedOrder.status,
@@ -144,6 +215,70 @@ class OrderController extends BaseController {
       });
     }
   }
+
+  /**
+   * GET /api/orders/theater/:theaterId/kitchen
+   * Get pending, confirmed and preparing orders for the kitchen display
+   */
+  static async getKitchenOrders(req, res) {
+    try {
+      if (!BaseController.checkDatabaseConnection()) {
+        return res.status(503).json(
+          BaseController.getDatabaseErrorResponse(req)
+        );
+      }
+
+      const orders = await orderService.getKitchenOrders(req.params.theaterId);
+
+      return BaseController.success(res, {
+        orders,
+        serverTime: new Date()
+      });
+    } catch (error) {
+      console.error('Get kitchen orders error:', error);
+      return BaseController.error(res, 'Failed to fetch kitchen orders', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/orders/theater/:theaterId/:orderId/kitchen-status
+   * Bump a kitchen ticket to preparing or ready
+   */
+  static async bumpKitchenOrder(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const { status } = req.body;
+
+      const updatedOrder = await orderService.bumpKitchenOrder(theaterId, orderId, status);
+
+      await sendOrderNotification(updatedOrder, status).catch(err =>
+        console.warn('Notification failed:', err.message)
+      );
+
+      if (status === 'ready') {
+        await deliveryService.autoAssignIfEnabled(theaterId).catch(err =>
+          console.warn('Auto-assign failed:', err.message)
+        );
+      }
+
+      return BaseController.success(res, {
+        orderId: updatedOrder._id,
+        status: updatedOrder.status,
+        timestamps: updatedOrder.timestamps || {},
+        updatedAt: updatedOrder.updatedAt
+      }, `Order moved to ${status}`);
+    } catch (error) {
+      console.error('Kitchen bump error:', error);
+      if (error.message === 'Order not found') {
+        return BaseController.error(res, 'Order not found', 404, {
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      return BaseController.serviceError(res, error, 'Failed to update order status');
+    }
+  }
 }
 
 module.exports = OrderController;
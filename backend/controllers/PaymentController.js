@@ -1,5 +1,5 @@
 const BaseController = require('./BaseController');
-const paymentService = require('../services/PaymentService');
+const paymentService = require('../services/paymentService');
 
 /**
  * Payment Controller
@@ -29,17 +29,18 @@ class PaymentController extends BaseController {
    */
   static async createOrder(req, res) {
     try {
-      const { orderId, paymentMethod } = req.body;
-      const result = await paymentService.createPaymentOrder(orderId, paymentMethod);
-      return BaseController.success(res, result);
+      const { orderId, paymentMethod, returnUrl, tenderId } = req.body;
+      const { isTheaterOrdersArray, ...result } = await paymentService.createPaymentOrder(orderId, paymentMethod, { returnUrl, tenderId });
+      // Checkout pages read paymentOrder/provider/channel at the top level
+      return res.status(200).json({
+        success: true,
+        message: 'Payment order created',
+        ...result,
+        data: result
+      });
     } catch (error) {
       console.error('Create payment order error:', error);
-      if (error.message === 'Order ID is required' || error.message === 'Order not found' || error.message === 'Theater not found') {
-        return BaseController.error(res, error.message, 400);
-      }
-      return BaseController.error(res, 'Failed to create payment order', 500, {
-        message: error.message
-      });
+      return BaseController.serviceError(res, error, 'Failed to create payment order');
     }
   }
 
@@ -48,13 +49,63 @@ class PaymentController extends BaseController {
    */
   static async verify(req, res) {
     try {
-      const result = await paymentService.verifyPayment(req.body);
-      return BaseController.success(res, result);
+      const body = req.body;
+      // Checkouts name the gateway order id after their provider
+      const result = await paymentService.verifyPayment({
+        ...body,
+        transactionId: body.transactionId,
+        gatewayOrderId: body.gatewayOrderId || body.razorpayOrderId || body.razorpay_order_id
+          || body.paytmOrderId || body.merchantTransactionId || body.paymentIntentId,
+        paymentId: body.paymentId || body.razorpay_payment_id,
+        signature: body.signature || body.razorpay_signature
+      });
+      return BaseController.success(res, {
+        order: result.order,
+        transaction: result.transaction
+      }, result.message);
     } catch (error) {
       console.error('Verify payment error:', error);
-      return BaseController.error(res, 'Failed to verify payment', 500, {
-        message: error.message
+      return BaseController.serviceError(res, error, 'Failed to verify payment');
+    }
+  }
+
+  /**
+   * POST /api/payments/webhook/:provider/:theaterId
+   * Gateway webhook - signature checked against the theater's gateway config
+   */
+  static async webhook(req, res) {
+    try {
+      const { provider, theaterId } = req.params;
+      const result = await paymentService.handleWebhook(provider, theaterId, {
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}),
+        headers: req.headers,
+        body: req.body
+      });
+      return BaseController.success(res, result, 'Webhook received');
+    } catch (error) {
+      console.error(`❌ Payment webhook error (${req.params.provider}):`, error.message);
+      // 5xx makes the gateway retry; rejected signatures and unknown theaters must not be retried
+      return BaseController.serviceError(res, error, 'Failed to process webhook');
+    }
+  }
+
+  /**
+   * POST /api/payments/refunds/:theaterId/:orderId
+   * Full or partial refund; restocks returned items
+   */
+  static async refund(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const { amount, reason, items, tenderId } = req.body;
+      const result = await paymentService.refund(orderId, amount, reason, items, {
+        theaterId,
+        user: req.user,
+        tenderId
       });
+      return BaseController.success(res, result, 'Refund issued successfully');
+    } catch (error) {
+      console.error('Refund error:', error);
+      return BaseController.serviceError(res, error, 'Failed to issue refund');
     }
   }
 
@@ -0,0 +1,79 @@
+const BaseController = require('./BaseController');
+const printerService = require('../services/PrinterService');
+
+/**
+ * Printer Controller
+ * Handles HTTP requests and responses for printer endpoints
+ */
+class PrinterController extends BaseController {
+  /**
+   * GET /api/printers/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const printers = await printerService.getPrinters(req.params.theaterId);
+      return BaseController.success(res, printers);
+    } catch (error) {
+      console.error('Get printers error:', error);
+      return BaseController.error(res, 'Failed to fetch printers', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/printers/:theaterId/profile
+   */
+  static async getProfile(req, res) {
+    try {
+      const profile = await printerService.getPrintProfile(req.params.theaterId);
+      return BaseController.success(res, profile);
+    } catch (error) {
+      console.error('Get print profile error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch print profile');
+    }
+  }
+
+  /**
+   * POST /api/printers/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const printer = await printerService.createPrinter(req.params.theaterId, req.body);
+      return BaseController.success(res, printer, 'Printer added successfully', 201);
+    } catch (error) {
+      console.error('Create printer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to add printer');
+    }
+  }
+
+  /**
+   * PUT /api/printers/:theaterId/:printerId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, printerId } = req.params;
+      const printer = await printerService.updatePrinter(theaterId, printerId, req.body);
+      return BaseController.success(res, printer, 'Printer updated successfully');
+    } catch (error) {
+      console.error('Update printer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update printer');
+    }
+  }
+
+  /**
+   * DELETE /api/printers/:theaterId/:printerId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, printerId } = req.params;
+      await printerService.deletePrinter(theaterId, printerId);
+      return BaseController.success(res, null, 'Printer deleted successfully');
+    } catch (error) {
+      console.error('Delete printer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete printer');
+    }
+  }
+}
+
+module.exports = PrinterController;
@@ -1,6 +1,59 @@
 const BaseController = require('./BaseController');
 const productService = require('../services/ProductService');
 const { uploadFile, deleteFile } = require('../utils/gcsUploadUtil');
+const { modifierError } = require('../utils/modifierUtils');
+const { parseAvailability } = require('../utils/availabilityUtils');
+
+/**
+ * Read combo fields from a JSON or multipart body (multipart sends comboItems as a JSON string)
+ */
+const parseComboFields = (body) => {
+  const fields = {};
+  if (body.isCombo !== undefined) {
+    fields.isCombo = body.isCombo === true || body.isCombo === 'true';
+  }
+  if (body.comboItems !== undefined) {
+    fields.comboItems = typeof body.comboItems === 'string' ? JSON.parse(body.comboItems || '[]') : body.comboItems;
+  }
+  return fields;
+};
+
+/**
+ * Read modifier groups (sent as `variants`) from a JSON or multipart body
+ */
+const parseModifierFields = (body) => {
+  if (body.variants === undefined) return {};
+  if (typeof body.variants !== 'string') return { variants: body.variants };
+  try {
+    return { variants: JSON.parse(body.variants || '[]') };
+  } catch (error) {
+    throw modifierError('Modifier groups are not valid JSON', 'INVALID_MODIFIERS');
+  }
+};
+
+/**
+ * Read availability rules from a JSON or multipart body
+ */
+const parseAvailabilityFields = (body) => {
+  const availability = parseAvailability(body.availability);
+  return availability === undefined ? {} : { availability };
+};
+
+/**
+ * Read GST fields: tax rate and GST type (under pricing in JSON, flat in multipart) and the HSN/SAC code
+ */
+const parseTaxFields = (body) => {
+  const taxRate = body.pricing?.taxRate ?? body.taxRate;
+  const gstType = body.pricing?.gstType ?? body.gstType;
+  const pricing = {};
+  if (taxRate !== undefined && taxRate !== '') pricing.taxRate = parseFloat(taxRate) || 0;
+  if (gstType) pricing.gstType = String(gstType).toUpperCase().includes('INCLUDE') ? 'INCLUDE' : 'EXCLUDE';
+
+  return {
+    pricing,
+    ...(body.hsnCode !== undefined && { hsnCode: String(body.hsnCode).trim() || null })
+  };
+};
 
 /**
  * Product Controller
@@ -185,6 +238,7 @@ class ProductController extends BaseController {
       }
 
       // Prepare product data
+      const taxFields = parseTaxFields(req.body);
       const productData = {
         name: req.body.name.trim(),
         description: req.body.description || '',
@@ -195,8 +249,10 @@ class ProductController extends BaseController {
         pricing: {
           basePrice: parseFloat(req.body.pricing?.basePrice || req.body.basePrice || 0),
           sellingPrice: parseFloat(req.body.pricing?.sellingPrice || req.body.sellingPrice || 0),
-          discount: parseFloat(req.body.pricing?.discount || req.body.discount || 0)
+          discount: parseFloat(req.body.pricing?.discount || req.body.discount || 0),
+          ...taxFields.pricing
         },
+        hsnCode: taxFields.hsnCode || null,
         inventory: {
           currentStock: parseInt(req.body.inventory?.currentStock || req.body.stockQuantity || 0),
           minStock: parseInt(req.body.inventory?.minStock || req.body.minStock || 0),
@@ -212,7 +268,10 @@ class ProductController extends BaseController {
         status: req.body.status || 'active',
         sku: req.body.sku || `SKU-${Date.now()}`,
         barcode: req.body.barcode || null,
-        tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : req.body.tags.split(',')) : []
+        tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : req.body.tags.split(',')) : [],
+        ...parseComboFields(req.body),
+        ...parseModifierFields(req.body),
+        ...parseAvailabilityFields(req.body)
       };
 
       const product = await productService.createProduct(theaterId, productData);
@@ -234,9 +293,13 @@ class ProductController extends BaseController {
           code: 'INVALID_CATEGORY'
         });
       }
-      return BaseController.error(res, 'Failed to create product', 500, {
-        message: error.message
-      });
+      if (error instanceof SyntaxError) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_COMBO'
+        });
+      }
+      // Combo, modifier or availability rules rejected
+      return BaseController.serviceError(res, error, 'Failed to create product');
     }
   }
 
@@ -437,6 +500,11 @@ class ProductController extends BaseController {
           discount: parseFloat(req.body.pricing.discount || 0)
         };
       }
+      const taxFields = parseTaxFields(req.body);
+      if (Object.keys(taxFields.pricing).length > 0) {
+        updateData.pricing = { ...updateData.pricing, ...taxFields.pricing };
+      }
+      if (taxFields.hsnCode !== undefined) updateData.hsnCode = taxFields.hsnCode;
       if (req.body.inventory) {
         updateData.inventory = {
           currentStock: parseInt(req.body.inventory.currentStock || 0),
@@ -507,6 +575,7 @@ class ProductController extends BaseController {
           ? req.body.tags 
           : req.body.tags.split(',');
       }
+      Object.assign(updateData, parseComboFields(req.body), parseModifierFields(req.body), parseAvailabilityFields(req.body));
 
       const updatedProduct = await productService.updateProduct(theaterId, productId, updateData);
 
@@ -523,9 +592,13 @@ class ProductController extends BaseController {
           code: 'INVALID_ID'
         });
       }
-      return BaseController.error(res, 'Failed to update product', 500, {
-        message: error.message
-      });
+      if (error instanceof SyntaxError) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_COMBO'
+        });
+      }
+      // Combo, modifier or availability rules rejected
+      return BaseController.serviceError(res, error, 'Failed to update product');
     }
   }
 
@@ -539,14 +612,15 @@ class ProductController extends BaseController {
 
       // Get product to delete image
       const product = await productService.getProductById(productId, theaterId);
+
+      await productService.deleteProduct(theaterId, productId);
+
       if (product?.image) {
         await deleteFile(product.image).catch(err => 
           console.warn('Failed to delete product image:', err.message)
         );
       }
 
-      await productService.deleteProduct(theaterId, productId);
-
       return BaseController.success(res, null, 'Product deleted successfully');
     } catch (error) {
       console.error('Delete product error:', error);
@@ -560,9 +634,8 @@ class ProductController extends BaseController {
           code: 'INVALID_ID'
         });
       }
-      return BaseController.error(res, 'Failed to delete product', 500, {
-        message: error.message
-      });
+      // Still part of a combo
+      return BaseController.serviceError(res, error, 'Failed to delete product');
     }
   }
 }
@@ -0,0 +1,142 @@
+const BaseController = require('./BaseController');
+const purchaseOrderService = require('../services/PurchaseOrderService');
+
+/**
+ * Purchase Order Controller
+ * Handles HTTP requests and responses for purchase order, goods receipt and supplier return endpoints
+ */
+class PurchaseOrderController extends BaseController {
+  /**
+   * GET /api/purchase-orders/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await purchaseOrderService.getPurchaseOrders(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get purchase orders error:', error);
+      return BaseController.error(res, 'Failed to fetch purchase orders', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/purchase-orders/:theaterId/:poId
+   * Purchase order with its goods receipts and returns
+   */
+  static async getById(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      const purchaseOrder = await purchaseOrderService.getPurchaseOrder(theaterId, poId);
+      return BaseController.success(res, purchaseOrder);
+    } catch (error) {
+      console.error('Get purchase order error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchase-orders/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, purchaseOrder, `Purchase order ${purchaseOrder.poNumber} created`, 201);
+    } catch (error) {
+      console.error('Create purchase order error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create purchase order');
+    }
+  }
+
+  /**
+   * PUT /api/purchase-orders/:theaterId/:poId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(theaterId, poId, req.body);
+      return BaseController.success(res, purchaseOrder, 'Purchase order updated successfully');
+    } catch (error) {
+      console.error('Update purchase order error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update purchase order');
+    }
+  }
+
+  /**
+   * PUT /api/purchase-orders/:theaterId/:poId/status
+   * Place (ordered) or cancel a purchase order
+   */
+  static async updateStatus(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      const purchaseOrder = await purchaseOrderService.setStatus(theaterId, poId, req.body.status);
+      return BaseController.success(res, purchaseOrder, `Purchase order ${req.body.status}`);
+    } catch (error) {
+      console.error('Update purchase order status error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update purchase order status');
+    }
+  }
+
+  /**
+   * DELETE /api/purchase-orders/:theaterId/:poId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      await purchaseOrderService.deletePurchaseOrder(theaterId, poId);
+      return BaseController.success(res, null, 'Purchase order deleted successfully');
+    } catch (error) {
+      console.error('Delete purchase order error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchase-orders/:theaterId/:poId/receipts
+   * Record a goods received note; received lines are added to stock
+   */
+  static async receive(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      const result = await purchaseOrderService.receiveGoods(theaterId, poId, req.body, req.user);
+      return BaseController.success(res, result, `${result.receipt.grnNumber} recorded`, 201);
+    } catch (error) {
+      console.error('Receive goods error:', error);
+      return BaseController.serviceError(res, error, 'Failed to receive goods');
+    }
+  }
+
+  /**
+   * POST /api/purchase-orders/:theaterId/:poId/returns
+   * Send received goods back to the supplier; returned lines are taken off stock
+   */
+  static async returnGoods(req, res) {
+    try {
+      const { theaterId, poId } = req.params;
+      const result = await purchaseOrderService.returnGoods(theaterId, poId, req.body, req.user);
+      return BaseController.success(res, result, `${result.receipt.grnNumber} recorded`, 201);
+    } catch (error) {
+      console.error('Return to supplier error:', error);
+      return BaseController.serviceError(res, error, 'Failed to return goods');
+    }
+  }
+
+  /**
+   * GET /api/purchase-orders/:theaterId/report
+   * Supplier-wise purchases against sales (?startDate=&endDate=&supplierId=)
+   */
+  static async getSupplierReport(req, res) {
+    try {
+      const report = await purchaseOrderService.getSupplierReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Supplier report error:', error);
+      return BaseController.error(res, 'Failed to fetch supplier report', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = PurchaseOrderController;
@@ -0,0 +1,170 @@
+const BaseController = require('./BaseController');
+const rawMaterialService = require('../services/RawMaterialService');
+
+/**
+ * Raw Material Controller
+ * Handles HTTP requests and responses for raw material, recipe and ingredient stock endpoints
+ */
+class RawMaterialController extends BaseController {
+  /**
+   * GET /api/raw-materials/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await rawMaterialService.getRawMaterials(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get raw materials error:', error);
+      return BaseController.error(res, 'Failed to fetch raw materials', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/raw-materials/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const material = await rawMaterialService.createRawMaterial(req.params.theaterId, req.body);
+      return BaseController.success(res, material, 'Raw material created successfully', 201);
+    } catch (error) {
+      console.error('Create raw material error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create raw material');
+    }
+  }
+
+  /**
+   * PUT /api/raw-materials/:theaterId/:materialId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, materialId } = req.params;
+      const material = await rawMaterialService.updateRawMaterial(theaterId, materialId, req.body);
+      return BaseController.success(res, material, 'Raw material updated successfully');
+    } catch (error) {
+      console.error('Update raw material error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update raw material');
+    }
+  }
+
+  /**
+   * DELETE /api/raw-materials/:theaterId/:materialId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, materialId } = req.params;
+      await rawMaterialService.deleteRawMaterial(theaterId, materialId);
+      return BaseController.success(res, null, 'Raw material deleted successfully');
+    } catch (error) {
+      console.error('Delete raw material error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete raw material');
+    }
+  }
+
+  /**
+   * GET /api/raw-materials/:theaterId/:materialId/movements
+   */
+  static async getMovements(req, res) {
+    try {
+      const { theaterId, materialId } = req.params;
+      const result = await rawMaterialService.getMovements(theaterId, materialId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get raw material movements error:', error);
+      return BaseController.error(res, 'Failed to fetch stock history', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/raw-materials/:theaterId/:materialId/movements
+   * Delivery, wastage or physical count
+   */
+  static async recordMovement(req, res) {
+    try {
+      const { theaterId, materialId } = req.params;
+      const result = await rawMaterialService.recordMovement(theaterId, materialId, req.body, req.user);
+      return BaseController.success(res, result, 'Stock updated', 201);
+    } catch (error) {
+      console.error('Record raw material movement error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update stock');
+    }
+  }
+
+  /**
+   * GET /api/raw-materials/:theaterId/recipes
+   */
+  static async getRecipes(req, res) {
+    try {
+      const recipes = await rawMaterialService.getRecipes(req.params.theaterId);
+      return BaseController.success(res, recipes);
+    } catch (error) {
+      console.error('Get recipes error:', error);
+      return BaseController.error(res, 'Failed to fetch recipes', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/raw-materials/:theaterId/recipes/:productId
+   */
+  static async getRecipe(req, res) {
+    try {
+      const { theaterId, productId } = req.params;
+      const recipe = await rawMaterialService.getRecipe(theaterId, productId);
+      return BaseController.success(res, recipe);
+    } catch (error) {
+      console.error('Get recipe error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch recipe');
+    }
+  }
+
+  /**
+   * PUT /api/raw-materials/:theaterId/recipes/:productId
+   */
+  static async saveRecipe(req, res) {
+    try {
+      const { theaterId, productId } = req.params;
+      const recipe = await rawMaterialService.saveRecipe(theaterId, productId, req.body);
+      return BaseController.success(res, recipe, 'Recipe saved');
+    } catch (error) {
+      console.error('Save recipe error:', error);
+      return BaseController.serviceError(res, error, 'Failed to save recipe');
+    }
+  }
+
+  /**
+   * DELETE /api/raw-materials/:theaterId/recipes/:productId
+   */
+  static async deleteRecipe(req, res) {
+    try {
+      const { theaterId, productId } = req.params;
+      await rawMaterialService.deleteRecipe(theaterId, productId);
+      return BaseController.success(res, null, 'Recipe deleted');
+    } catch (error) {
+      console.error('Delete recipe error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete recipe');
+    }
+  }
+
+  /**
+   * GET /api/raw-materials/:theaterId/report
+   * Theoretical vs actual consumption (?startDate=&endDate=)
+   */
+  static async getConsumptionReport(req, res) {
+    try {
+      const report = await rawMaterialService.getConsumptionReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Consumption report error:', error);
+      return BaseController.error(res, 'Failed to fetch consumption report', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = RawMaterialController;
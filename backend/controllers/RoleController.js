@@ -48,14 +48,15 @@ class RoleController extends BaseController {
    */
   static async create(req, res) {
     try {
-      const { theaterId, name, description, permissions, priority, isGlobal, isDefault } = req.body;
+      const { theaterId, name, description, permissions, priority, isGlobal, isDefault, refundLimit } = req.body;
       const result = await roleService.createRole(theaterId, {
         name,
         description,
         permissions,
         priority,
         isGlobal,
-        isDefault
+        isDefault,
+        refundLimit
       });
 
       return res.status(201).json({
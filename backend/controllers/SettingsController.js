@@ -567,8 +567,9 @@ If you can see this file in your bucket, GCS is working correctly!`;
       // Get SMS settings
       const smsConfig = await settingsService.getSmsSettings();
 
-      // Check if SMS is enabled
-      if (!smsConfig.enabled) {
+      // Check if SMS is enabled (local console/file providers work without it)
+      const provider = require('../services/smsService').resolveProvider(smsConfig);
+      if (!smsConfig.enabled && !['console', 'file'].includes(provider)) {
         return BaseController.error(res, 'SMS service is not enabled. Please enable it in SMS settings.', 400);
       }
 
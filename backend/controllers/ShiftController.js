@@ -0,0 +1,99 @@
+const BaseController = require('./BaseController');
+const shiftService = require('../services/ShiftService');
+
+/**
+ * Shift Controller
+ * Handles HTTP requests and responses for cashier shift endpoints
+ */
+class ShiftController extends BaseController {
+  /**
+   * GET /api/shifts/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await shiftService.getShifts(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get shifts error:', error);
+      return BaseController.error(res, 'Failed to fetch shifts', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/shifts/:theaterId/current
+   * The signed-in cashier's open shift (null when none)
+   */
+  static async getCurrent(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      const shift = await shiftService.getOpenShift(req.params.theaterId, req.user.userId);
+      return BaseController.success(res, shift);
+    } catch (error) {
+      console.error('Get current shift error:', error);
+      return BaseController.error(res, 'Failed to fetch current shift', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/shifts/:theaterId/open
+   */
+  static async open(req, res) {
+    try {
+      const shift = await shiftService.openShift(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, shift, `Shift ${shift.shiftNumber} opened`, 201);
+    } catch (error) {
+      console.error('Open shift error:', error);
+      return BaseController.serviceError(res, error, 'Failed to open shift');
+    }
+  }
+
+  /**
+   * POST /api/shifts/:theaterId/:shiftId/cash
+   */
+  static async addCashMovement(req, res) {
+    try {
+      const { theaterId, shiftId } = req.params;
+      const shift = await shiftService.addCashMovement(theaterId, shiftId, req.body, req.user);
+      return BaseController.success(res, shift, req.body.type === 'in' ? 'Cash in recorded' : 'Cash out recorded');
+    } catch (error) {
+      console.error('Shift cash movement error:', error);
+      return BaseController.serviceError(res, error, 'Failed to record cash movement');
+    }
+  }
+
+  /**
+   * GET /api/shifts/:theaterId/:shiftId/report
+   * X report for an open shift, Z report for a closed one
+   */
+  static async getReport(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      const { theaterId, shiftId } = req.params;
+      const report = await shiftService.getReport(theaterId, shiftId);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Get shift report error:', error);
+      return BaseController.serviceError(res, error, 'Failed to build shift report');
+    }
+  }
+
+  /**
+   * PUT /api/shifts/:theaterId/:shiftId/close
+   */
+  static async close(req, res) {
+    try {
+      const { theaterId, shiftId } = req.params;
+      const shift = await shiftService.closeShift(theaterId, shiftId, req.body, req.user);
+      return BaseController.success(res, shift, `Shift ${shift.shiftNumber} closed`);
+    } catch (error) {
+      console.error('Close shift error:', error);
+      return BaseController.serviceError(res, error, 'Failed to close shift');
+    }
+  }
+}
+
+module.exports = ShiftController;
@@ -0,0 +1,136 @@
+const BaseController = require('./BaseController');
+const showtimeService = require('../services/ShowtimeService');
+
+/**
+ * Showtime Controller
+ * Handles HTTP requests and responses for showtime schedule endpoints
+ */
+class ShowtimeController extends BaseController {
+  /**
+   * GET /api/showtimes/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await showtimeService.getShowtimes(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get showtimes error:', error);
+      return BaseController.error(res, 'Failed to fetch showtimes', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/showtimes/:theaterId/screens
+   */
+  static async getScreens(req, res) {
+    try {
+      const screens = await showtimeService.getScreens(req.params.theaterId);
+      return BaseController.success(res, screens);
+    } catch (error) {
+      console.error('Get screens error:', error);
+      return BaseController.error(res, 'Failed to fetch screens', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/showtimes/:theaterId/ordering?screen=
+   * Public: whether the screen is taking seat orders, the current show and time left to order
+   */
+  static async getOrderingWindow(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+      const window = await showtimeService.getOrderingWindow(req.params.theaterId, req.query.screen);
+      return BaseController.success(res, window);
+    } catch (error) {
+      console.error('Get ordering window error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch ordering window');
+    }
+  }
+
+  /**
+   * GET /api/showtimes/:theaterId/settings
+   */
+  static async getSettings(req, res) {
+    try {
+      const settings = await showtimeService.getSettings(req.params.theaterId);
+      return BaseController.success(res, settings);
+    } catch (error) {
+      console.error('Get showtime settings error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch showtime settings');
+    }
+  }
+
+  /**
+   * PUT /api/showtimes/:theaterId/settings
+   */
+  static async updateSettings(req, res) {
+    try {
+      const settings = await showtimeService.updateSettings(req.params.theaterId, req.body);
+      return BaseController.success(res, settings, 'Ordering windows updated');
+    } catch (error) {
+      console.error('Update showtime settings error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update showtime settings');
+    }
+  }
+
+  /**
+   * POST /api/showtimes/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const showtime = await showtimeService.createShowtime(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, showtime, 'Showtime added', 201);
+    } catch (error) {
+      console.error('Create showtime error:', error);
+      return BaseController.serviceError(res, error, 'Failed to add showtime');
+    }
+  }
+
+  /**
+   * POST /api/showtimes/:theaterId/import
+   * Body: { csv } - the CSV file's text
+   */
+  static async importCsv(req, res) {
+    try {
+      const result = await showtimeService.importCsv(req.params.theaterId, req.body.csv, req.user);
+      return BaseController.success(res, result, `Imported ${result.total} showtimes`);
+    } catch (error) {
+      console.error('Import showtimes error:', error);
+      return BaseController.serviceError(res, error, 'Failed to import showtimes');
+    }
+  }
+
+  /**
+   * PUT /api/showtimes/:theaterId/:showtimeId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, showtimeId } = req.params;
+      const showtime = await showtimeService.updateShowtime(theaterId, showtimeId, req.body);
+      return BaseController.success(res, showtime, 'Showtime updated');
+    } catch (error) {
+      console.error('Update showtime error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update showtime');
+    }
+  }
+
+  /**
+   * DELETE /api/showtimes/:theaterId/:showtimeId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, showtimeId } = req.params;
+      await showtimeService.deleteShowtime(theaterId, showtimeId);
+      return BaseController.success(res, null, 'Showtime deleted');
+    } catch (error) {
+      console.error('Delete showtime error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete showtime');
+    }
+  }
+}
+
+module.exports = ShowtimeController;
@@ -0,0 +1,82 @@
+const BaseController = require('./BaseController');
+const otpService = require('../services/otpService');
+const customerAuthService = require('../services/CustomerAuthService');
+
+/**
+ * SMS Controller
+ * Handles customer OTP send/verify/resend endpoints
+ */
+class SmsController extends BaseController {
+  /**
+   * Send OTP errors, with a Retry-After header while the resend cooldown or lockout lasts
+   */
+  static handleOtpError(res, error, fallbackMessage) {
+    if (error.details?.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return BaseController.serviceError(res, error, fallbackMessage);
+  }
+
+  /**
+   * POST /api/sms/send-otp
+   * Send OTP to a customer phone number
+   */
+  static async sendOtp(req, res) {
+    try {
+      const { phoneNumber, purpose } = req.body;
+      const result = await otpService.sendOtp(phoneNumber, purpose || 'verification');
+      return BaseController.success(res, result, 'OTP sent successfully');
+    } catch (error) {
+      console.error('❌ Send OTP error:', error.message);
+      return SmsController.handleOtpError(res, error, 'Failed to send OTP');
+    }
+  }
+
+  /**
+   * POST /api/sms/resend-otp
+   * Resend OTP (respects the resend cooldown)
+   */
+  static async resendOtp(req, res) {
+    try {
+      const { phoneNumber, purpose } = req.body;
+      const result = await otpService.resendOtp(phoneNumber, purpose || 'verification');
+      return BaseController.success(res, result, 'OTP resent successfully');
+    } catch (error) {
+      console.error('❌ Resend OTP error:', error.message);
+      return SmsController.handleOtpError(res, error, 'Failed to resend OTP');
+    }
+  }
+
+  /**
+   * POST /api/sms/verify-otp
+   * Verify OTP for a phone number and start a customer session ({ token, expiresAt, customer })
+   */
+  static async verifyOtp(req, res) {
+    try {
+      const { phoneNumber, otp, purpose } = req.body;
+      const result = await otpService.verifyOtp(phoneNumber, otp, purpose || 'verification');
+      const session = await customerAuthService.createSession(result.phoneNumber);
+      return BaseController.success(res, { ...result, ...session }, 'OTP verified successfully');
+    } catch (error) {
+      console.error('❌ Verify OTP error:', error.message);
+      return SmsController.handleOtpError(res, error, 'Failed to verify OTP');
+    }
+  }
+
+  /**
+   * GET /api/sms/otp-status?phoneNumber=&purpose=
+   * Get remaining OTP time, cooldown and lockout state
+   */
+  static async getOtpStatus(req, res) {
+    try {
+      const { phoneNumber, purpose } = req.query;
+      const result = await otpService.getOtpStatus(phoneNumber, purpose || 'verification');
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('❌ OTP status error:', error.message);
+      return SmsController.handleOtpError(res, error, 'Failed to get OTP status');
+    }
+  }
+}
+
+module.exports = SmsController;
@@ -0,0 +1,123 @@
+const BaseController = require('./BaseController');
+const stockCountService = require('../services/StockCountService');
+
+/**
+ * Stock Count Controller
+ * Handles HTTP requests and responses for stock-take endpoints
+ */
+class StockCountController extends BaseController {
+  /**
+   * GET /api/stock-takes/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await stockCountService.getCounts(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get stock counts error:', error);
+      return BaseController.error(res, 'Failed to fetch stock counts', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/stock-takes/:theaterId/:countId
+   */
+  static async getById(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.getCount(theaterId, countId);
+      return BaseController.success(res, count);
+    } catch (error) {
+      console.error('Get stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to fetch stock count');
+    }
+  }
+
+  /**
+   * POST /api/stock-takes/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const count = await stockCountService.createCount(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, count, `Stock count ${count.countNumber} opened`, 201);
+    } catch (error) {
+      console.error('Create stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to open stock count');
+    }
+  }
+
+  /**
+   * PUT /api/stock-takes/:theaterId/:countId/items
+   */
+  static async updateItems(req, res) {
+    try {
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.updateItems(theaterId, countId, req.body, req.user);
+      return BaseController.success(res, count, 'Count recorded');
+    } catch (error) {
+      console.error('Update stock count items error:', error);
+      return BaseController.serviceError(res, error, 'Failed to record count');
+    }
+  }
+
+  /**
+   * PUT /api/stock-takes/:theaterId/:countId/submit
+   */
+  static async submit(req, res) {
+    try {
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.submitCount(theaterId, countId, req.user);
+      return BaseController.success(res, count, `Stock count ${count.countNumber} submitted for approval`);
+    } catch (error) {
+      console.error('Submit stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to submit stock count');
+    }
+  }
+
+  /**
+   * PUT /api/stock-takes/:theaterId/:countId/reopen
+   */
+  static async reopen(req, res) {
+    try {
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.reopenCount(theaterId, countId);
+      return BaseController.success(res, count, `Stock count ${count.countNumber} reopened`);
+    } catch (error) {
+      console.error('Reopen stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to reopen stock count');
+    }
+  }
+
+  /**
+   * PUT /api/stock-takes/:theaterId/:countId/approve
+   */
+  static async approve(req, res) {
+    try {
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.approveCount(theaterId, countId, req.body, req.user);
+      return BaseController.success(res, count, `Stock count ${count.countNumber} approved and adjustments posted`);
+    } catch (error) {
+      console.error('Approve stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to approve stock count');
+    }
+  }
+
+  /**
+   * PUT /api/stock-takes/:theaterId/:countId/cancel
+   */
+  static async cancel(req, res) {
+    try {
+      const { theaterId, countId } = req.params;
+      const count = await stockCountService.cancelCount(theaterId, countId, req.user);
+      return BaseController.success(res, count, `Stock count ${count.countNumber} cancelled`);
+    } catch (error) {
+      console.error('Cancel stock count error:', error);
+      return BaseController.serviceError(res, error, 'Failed to cancel stock count');
+    }
+  }
+}
+
+module.exports = StockCountController;
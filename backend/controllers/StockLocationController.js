@@ -0,0 +1,160 @@
+const BaseController = require('./BaseController');
+const stockLocationService = require('../services/StockLocationService');
+
+/**
+ * Stock Location Controller
+ * Handles HTTP requests and responses for stock location and transfer endpoints
+ */
+class StockLocationController extends BaseController {
+  /**
+   * GET /api/stock-locations/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const locations = await stockLocationService.getLocations(req.params.theaterId, req.query);
+      return BaseController.success(res, locations);
+    } catch (error) {
+      console.error('Get stock locations error:', error);
+      return BaseController.error(res, 'Failed to fetch stock locations', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/stock-locations/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const location = await stockLocationService.createLocation(req.params.theaterId, req.body);
+      return BaseController.success(res, location, 'Location created successfully', 201);
+    } catch (error) {
+      console.error('Create stock location error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create location');
+    }
+  }
+
+  /**
+   * PUT /api/stock-locations/:theaterId/:locationId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, locationId } = req.params;
+      const location = await stockLocationService.updateLocation(theaterId, locationId, req.body);
+      return BaseController.success(res, location, 'Location updated successfully');
+    } catch (error) {
+      console.error('Update stock location error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update location');
+    }
+  }
+
+  /**
+   * DELETE /api/stock-locations/:theaterId/:locationId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, locationId } = req.params;
+      await stockLocationService.deleteLocation(theaterId, locationId);
+      return BaseController.success(res, null, 'Location deleted successfully');
+    } catch (error) {
+      console.error('Delete stock location error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete location');
+    }
+  }
+
+  /**
+   * GET /api/stock-locations/:theaterId/balances
+   * Stock per product at each location (?productId=&search=)
+   */
+  static async getBalances(req, res) {
+    try {
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      const balances = await stockLocationService.getBalances(req.params.theaterId, req.query);
+      return BaseController.success(res, balances);
+    } catch (error) {
+      console.error('Get location balances error:', error);
+      return BaseController.error(res, 'Failed to fetch location balances', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/stock-locations/:theaterId/transfers
+   */
+  static async getTransfers(req, res) {
+    try {
+      const result = await stockLocationService.getTransfers(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get stock transfers error:', error);
+      return BaseController.error(res, 'Failed to fetch transfers', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/stock-locations/:theaterId/transfers
+   */
+  static async requestTransfer(req, res) {
+    try {
+      const transfer = await stockLocationService.requestTransfer(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} requested`, 201);
+    } catch (error) {
+      console.error('Request stock transfer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to request transfer');
+    }
+  }
+
+  /**
+   * PUT /api/stock-locations/:theaterId/transfers/:transferId/dispatch
+   */
+  static async dispatchTransfer(req, res) {
+    try {
+      const { theaterId, transferId } = req.params;
+      const transfer = await stockLocationService.dispatchTransfer(theaterId, transferId, req.body, req.user);
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} dispatched`);
+    } catch (error) {
+      console.error('Dispatch stock transfer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to dispatch transfer');
+    }
+  }
+
+  /**
+   * PUT /api/stock-locations/:theaterId/transfers/:transferId/receive
+   */
+  static async receiveTransfer(req, res) {
+    try {
+      const { theaterId, transferId } = req.params;
+      const transfer = await stockLocationService.receiveTransfer(theaterId, transferId, req.body, req.user);
+      const shortBy = transfer.items.reduce((sum, item) => sum + item.discrepancy, 0);
+      return BaseController.success(
+        res,
+        transfer,
+        shortBy > 0
+          ? `Transfer ${transfer.transferNumber} received, ${shortBy} unit(s) short`
+          : `Transfer ${transfer.transferNumber} received`
+      );
+    } catch (error) {
+      console.error('Receive stock transfer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to receive transfer');
+    }
+  }
+
+  /**
+   * PUT /api/stock-locations/:theaterId/transfers/:transferId/cancel
+   */
+  static async cancelTransfer(req, res) {
+    try {
+      const { theaterId, transferId } = req.params;
+      const transfer = await stockLocationService.cancelTransfer(theaterId, transferId, req.user);
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} cancelled`);
+    } catch (error) {
+      console.error('Cancel stock transfer error:', error);
+      return BaseController.serviceError(res, error, 'Failed to cancel transfer');
+    }
+  }
+}
+
+module.exports = StockLocationController;
@@ -0,0 +1,66 @@
+const BaseController = require('./BaseController');
+const supplierService = require('../services/SupplierService');
+
+/**
+ * Supplier Controller
+ * Handles HTTP requests and responses for supplier endpoints
+ */
+class SupplierController extends BaseController {
+  /**
+   * GET /api/suppliers/:theaterId
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await supplierService.getSuppliers(req.params.theaterId, req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get suppliers error:', error);
+      return BaseController.error(res, 'Failed to fetch suppliers', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/suppliers/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const supplier = await supplierService.createSupplier(req.params.theaterId, req.body, req.user?.userId);
+      return BaseController.success(res, supplier, 'Supplier created successfully', 201);
+    } catch (error) {
+      console.error('Create supplier error:', error);
+      return BaseController.serviceError(res, error, 'Failed to create supplier');
+    }
+  }
+
+  /**
+   * PUT /api/suppliers/:theaterId/:supplierId
+   */
+  static async update(req, res) {
+    try {
+      const { theaterId, supplierId } = req.params;
+      const supplier = await supplierService.updateSupplier(theaterId, supplierId, req.body);
+      return BaseController.success(res, supplier, 'Supplier updated successfully');
+    } catch (error) {
+      console.error('Update supplier error:', error);
+      return BaseController.serviceError(res, error, 'Failed to update supplier');
+    }
+  }
+
+  /**
+   * DELETE /api/suppliers/:theaterId/:supplierId
+   */
+  static async delete(req, res) {
+    try {
+      const { theaterId, supplierId } = req.params;
+      await supplierService.deleteSupplier(theaterId, supplierId);
+      return BaseController.success(res, null, 'Supplier deleted successfully');
+    } catch (error) {
+      console.error('Delete supplier error:', error);
+      return BaseController.serviceError(res, error, 'Failed to delete supplier');
+    }
+  }
+}
+
+module.exports = SupplierController;
@@ -370,10 +370,19 @@ class TheaterController extends BaseController {
         updateData.uniqueNumber = req.body.uniqueNumber ? req.body.uniqueNumber.trim() : null;
       }
       if (req.body.paymentGateway) {
-        updateData.paymentGateway = {
-          ...req.body.paymentGateway,
-          lastUpdated: new Date()
-        };
+        const paymentGateway = { ...req.body.paymentGateway, lastUpdated: new Date() };
+        // Clients that only toggle provider sections get the first enabled one as the active provider
+        ['kiosk', 'online'].forEach(channel => {
+          const channelConfig = paymentGateway[channel];
+          if (!channelConfig || channelConfig.provider !== undefined) return;
+          const active = ['razorpay', 'phonepe', 'paytm', 'stripe'].find(name => channelConfig[name]?.enabled);
+          paymentGateway[channel] = {
+            ...channelConfig,
+            provider: active || 'none',
+            enabled: channelConfig.enabled ?? !!active
+          };
+        });
+        updateData.paymentGateway = paymentGateway;
       }
 
       const updatedTheater = await theaterService.updateTheater(req.params.id, updateData);
@@ -0,0 +1,46 @@
+const cron = require('node-cron');
+const loyaltyService = require('../services/LoyaltyService');
+
+let running = false;
+
+/**
+ * Expire loyalty points
+ * Earned points past their program's expiry come off the customer's balance.
+ */
+async function expireLoyaltyPoints() {
+  // Skip if the previous run hasn't finished
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await loyaltyService.expirePoints();
+    if (result.points > 0) {
+      console.log(`🎟️  Loyalty points: expired ${result.points} points from ${result.entries} entries`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Loyalty Points Expiry Error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduled job
+ * Runs every day at 2:30 AM
+ */
+function startLoyaltyExpiry() {
+  cron.schedule('30 2 * * *', async () => {
+    await expireLoyaltyPoints();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+}
+
+// Export functions
+module.exports = {
+  startLoyaltyExpiry,
+  expireLoyaltyPoints // For manual testing
+};
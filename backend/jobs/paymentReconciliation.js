@@ -0,0 +1,51 @@
+const cron = require('node-cron');
+const paymentService = require('../services/paymentService');
+
+let running = false;
+
+/**
+ * Sweep payment transactions stuck in initiated/pending
+ * Catches payments whose checkout callback and webhook never arrived by
+ * asking the gateway for the real status.
+ */
+async function processStaleTransactions() {
+  // Skip if the previous sweep is still talking to gateways
+  if (running) return null;
+  running = true;
+
+  try {
+    const summary = await paymentService.reconcileStaleTransactions({
+      olderThanMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || 15,
+      expireAfterHours: parseInt(process.env.PAYMENT_EXPIRE_AFTER_HOURS, 10) || 24
+    });
+
+    if (summary.checked > 0) {
+      console.log(`💳 Payment reconciliation: checked ${summary.checked}, captured ${summary.captured}, failed ${summary.failed}, expired ${summary.expired}, pending ${summary.pending}, errors ${summary.errors}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Payment Reconciliation Error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduled job
+ * Runs every 5 minutes
+ */
+function startPaymentReconciliation() {
+  cron.schedule('*/5 * * * *', async () => {
+    await processStaleTransactions();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+}
+
+// Export functions
+module.exports = {
+  startPaymentReconciliation,
+  processStaleTransactions // For manual testing
+};
@@ -0,0 +1,47 @@
+const cron = require('node-cron');
+const orderService = require('../services/OrderService');
+
+let running = false;
+
+/**
+ * Release scheduled seat orders
+ * Orders for the interval or a set time reach the kitchen display once the theater's
+ * lead time before their slot begins.
+ */
+async function releaseDueOrders() {
+  // Skip if the previous run hasn't finished
+  if (running) return null;
+  running = true;
+
+  try {
+    const released = await orderService.releaseScheduledOrders();
+    if (released > 0) {
+      console.log(`⏰ Scheduled orders: released ${released} to the kitchen`);
+    }
+    return released;
+  } catch (error) {
+    console.error('❌ Scheduled Order Release Error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduled job
+ * Runs every minute
+ */
+function startScheduledOrderRelease() {
+  cron.schedule('* * * * *', async () => {
+    await releaseDueOrders();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+}
+
+// Export functions
+module.exports = {
+  startScheduledOrderRelease,
+  releaseDueOrders // For manual testing
+};
@@ -421,6 +421,49 @@ const getUserDataScope = async (userId) => {
   }
 };
 
+// Get the active role document assigned to a theater user (null if none)
+const getUserRole = async (user) => {
+  if (!user || !user.userId || !mongoose.Types.ObjectId.isValid(user.userId)) return null;
+
+  const theaterUser = await mongoose.connection.db.collection('theaterusers')
+    .findOne({ _id: new mongoose.Types.ObjectId(user.userId) });
+
+  if (!theaterUser || !theaterUser.role || !mongoose.Types.ObjectId.isValid(theaterUser.role)) {
+    return null;
+  }
+
+  const roleId = new mongoose.Types.ObjectId(theaterUser.role);
+  const roles = mongoose.connection.db.collection('roles');
+  const role = await roles.findOne({ _id: roleId, isActive: true });
+  if (role) return role;
+
+  // Roles stored per theater in a roleList array
+  const rolesDoc = await roles.findOne(
+    { 'roleList._id': roleId },
+    { projection: { 'roleList.$': 1 } }
+  );
+  const listRole = rolesDoc?.roleList?.[0];
+  return listRole && listRole.isActive !== false ? listRole : null;
+};
+
+// Get the pages a user's role can access (null = unrestricted, e.g. super admin)
+const getAllowedPages = async (user) => {
+  if (!user) return [];
+  if (user.role === 'super_admin' || user.userType === 'super_admin') {
+    return null;
+  }
+
+  try {
+    const role = await getUserRole(user);
+    return (role?.permissions || [])
+      .filter(p => p.hasAccess === true)
+      .map(p => p.page);
+  } catch (error) {
+    console.error('❌ Error loading page permissions:', error);
+    return [];
+  }
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
@@ -428,5 +471,7 @@ module.exports = {
   requireTheaterAccess,
   requirePageAccess,
   requireTheaterAdminRole, // ✅ New
-  getUserDataScope // ✅ New
+  getUserDataScope, // ✅ New
+  getAllowedPages,
+  getUserRole
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const customerAuthService = require('../services/CustomerAuthService');
+
+/**
+ * Customer Authentication Middleware
+ * Customer tokens come from OTP verification and are separate from staff logins (middleware/auth.js).
+ * A verified customer is set on req.customer as { customerId, phoneNumber }.
+ */
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  return token ? String(token).trim().replace(/^["']|["']$/g, '') : null;
+};
+
+// Require a customer session
+const authenticateCustomer = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Please verify your phone number to continue',
+      message: 'Please verify your phone number to continue',
+      code: 'CUSTOMER_TOKEN_MISSING'
+    });
+  }
+
+  try {
+    req.customer = await customerAuthService.verifySession(token);
+    return next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        message: error.message,
+        code: error.code
+      });
+    }
+    return next(error);
+  }
+};
+
+// Set req.customer when a valid customer token is sent, otherwise carry on without one
+const optionalCustomerAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      req.customer = await customerAuthService.verifySession(token);
+    } catch (error) {
+      // Not a customer token (or an expired one) - treat as anonymous
+    }
+  }
+  next();
+};
+
+module.exports = {
+  authenticateCustomer,
+  optionalCustomerAuth
+};
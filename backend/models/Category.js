@@ -34,6 +34,23 @@ const itemSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Availability subdocument schema (when and where a category's products can be ordered)
+const availabilitySchema = new mongoose.Schema({
+  days: [Number], // 0 = Sunday
+  timeRanges: [{
+    start: String, // HH:mm, theater time
+    end: String,
+    _id: false
+  }],
+  startDate: String, // YYYY-MM-DD
+  endDate: String,
+  screens: [String],
+  kioskTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskType'
+  }]
+}, { _id: false });
+
 // Category subdocument schema (each category within the list)
 const categoryObjectSchema = new mongoose.Schema({
   categoryName: {
@@ -63,6 +80,10 @@ const categoryObjectSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  availability: {
+    type: availabilitySchema,
+    default: null
+  },
   items: [itemSchema],  // Array of items within this category
   createdAt: {
     type: Date,
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon
+ * Theater-scoped promo code applied at checkout (customer app and POS).
+ */
+const couponSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: ['flat', 'percent'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscountAmount: {
+    type: Number,
+    default: null,  // Cap for percent coupons (null = no cap)
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Restrictions (empty = whole order)
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+
+  // Validity window
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Usage caps (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perPhoneLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ theaterId: 1, code: 1 }, { unique: true });
+couponSchema.index({ theaterId: 1, isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
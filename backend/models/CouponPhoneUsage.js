@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Phone Usage
+ * How many times a phone number has used a coupon - one counter per coupon and normalized
+ * phone number, claimed with a conditional $inc so per-phone limits hold under concurrent checkouts.
+ */
+const couponPhoneUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponPhoneUsageSchema.index({ couponId: 1, phone: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponPhoneUsage', couponPhoneUsageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Redemption
+ * One document per order that used a coupon. Feeds per-phone caps and coupon reports.
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  orderNumber: String,
+  phone: {
+    type: String,
+    default: null
+  },
+  source: String,
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderTotal: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponRedemptionSchema.index({ couponId: 1, phone: 1 });
+couponRedemptionSchema.index({ theaterId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ orderId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer
+ * A customer account is a verified phone number. Created on the first OTP verification.
+ * tokenVersion is carried in every customer token; bumping it logs the customer out everywhere.
+ * favorites are kept per theater, since every theater has its own product list.
+ */
+const favoriteSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const customerSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: Date,
+  loggedOutAllAt: Date,
+  favorites: {
+    type: [favoriteSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Customer', customerSchema);
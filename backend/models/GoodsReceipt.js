@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Goods Receipt
+ * A delivery against a purchase order (GRN), or stock sent back to the supplier.
+ * Receipt lines become MonthlyStock ADDED entries; return lines are taken off those entries.
+ */
+const goodsReceiptSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  grnNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'return'],
+    default: 'receipt'
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true
+  },
+  poNumber: String,
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  invoiceNumber: { type: String, trim: true, default: '' },  // Supplier invoice / delivery challan
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitCost: Number,
+    batchNumber: String,
+    expireDate: Date,
+    // MonthlyStock entries the line was booked to (one for a receipt, one or more for a return)
+    stockEntries: [{
+      entryId: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      quantity: Number
+    }]
+  }],
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  notes: { type: String, trim: true, default: '' },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+goodsReceiptSchema.index({ theaterId: 1, grnNumber: 1 }, { unique: true });
+goodsReceiptSchema.index({ theaterId: 1, purchaseOrderId: 1 });
+goodsReceiptSchema.index({ theaterId: 1, supplierId: 1, date: -1 });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Location Stock
+ * Units of a product held at a counter or kiosk.
+ * The main store has no documents - its balance is the theater total less every other location.
+ */
+const locationStockSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+locationStockSchema.index({ locationId: 1, productId: 1 }, { unique: true });
+locationStockSchema.index({ theaterId: 1, productId: 1 });
+
+module.exports = mongoose.model('LocationStock', locationStockSchema);
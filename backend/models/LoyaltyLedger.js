@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Loyalty Ledger
+ * Every change to a customer's points balance in a program, one document per change.
+ * The balance is the sum of `points`.
+ *
+ * earn entries keep the points not yet redeemed or expired in `remaining`; a redeem entry
+ * records which earn entries it used in `consumed`, so a reversed redemption puts them back.
+ *
+ * Types:
+ *   earn             - Points for a paid order (+)
+ *   redeem           - Points spent on an order (-)
+ *   earn_reversed    - Earned points taken back after a refund or cancellation (-)
+ *   redeem_reversed  - Spent points given back after a refund or cancellation (+)
+ *   expire           - Earned points past their expiry date (-)
+ */
+const loyaltyLedgerSchema = new mongoose.Schema({
+  programId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoyaltyProgram',
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  orderNumber: String,
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'earn_reversed', 'redeem_reversed', 'expire'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  // Rupees paid (earn) or taken off the order (redeem)
+  amount: {
+    type: Number,
+    default: 0
+  },
+  remaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  consumed: [{
+    _id: false,
+    entryId: mongoose.Schema.Types.ObjectId,
+    points: Number
+  }],
+  tier: String,
+  multiplier: Number,
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loyaltyLedgerSchema.index({ programId: 1, phoneNumber: 1, createdAt: -1 });
+loyaltyLedgerSchema.index({ orderId: 1 });
+// An order earns and redeems at most once
+loyaltyLedgerSchema.index(
+  { orderId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ['earn', 'redeem'] } }, name: 'order_earn_redeem_once' }
+);
+loyaltyLedgerSchema.index({ type: 1, remaining: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('LoyaltyLedger', loyaltyLedgerSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Points earned over the last 12 months to reach the tier
+  minPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
+/**
+ * Loyalty Program
+ * Points rules shared by one theater or a chain of theaters. Customers earn and redeem
+ * against one balance across every theater in the program (see LoyaltyLedger).
+ * A theater belongs to at most one program.
+ */
+const loyaltyProgramSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  theaters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  rules: {
+    earnPointsPerRupee: {
+      type: Number,
+      default: 0.1,
+      min: 0
+    },
+    // ₹ off per point redeemed
+    pointValue: {
+      type: Number,
+      default: 0.25,
+      min: 0.01
+    },
+    minRedeemPoints: {
+      type: Number,
+      default: 100,
+      min: 1
+    },
+    // Share of an order's total that points can pay
+    maxRedeemPercent: {
+      type: Number,
+      default: 50,
+      min: 1,
+      max: 100
+    },
+    // 0 = points never expire
+    expiryMonths: {
+      type: Number,
+      default: 12,
+      min: 0
+    },
+    tiers: [tierSchema]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loyaltyProgramSchema.index({ theaters: 1 });
+
+module.exports = mongoose.model('LoyaltyProgram', loyaltyProgramSchema);
@@ -50,6 +50,16 @@ const stockDetailSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Sent back to the supplier out of this entry's stock
+  returnedStock: {
+    type: Number,
+    default: 0
+  },
+  // Found missing from this entry's stock by an approved stock-take
+  adjustedStock: {
+    type: Number,
+    default: 0
+  },
   balance: {
     type: Number,
     required: true,
@@ -58,6 +68,11 @@ const stockDetailSchema = new mongoose.Schema({
   expireDate: Date,
   batchNumber: String,
   notes: String,
+  // Set on entries booked from a goods receipt
+  costPrice: Number,
+  supplierId: mongoose.Schema.Types.ObjectId,
+  purchaseOrderId: mongoose.Schema.Types.ObjectId,
+  goodsReceiptId: mongoose.Schema.Types.ObjectId,
   // FIFO tracking: stores details of which stocks were deducted for SOLD entries
   fifoDetails: [{
     date: Date,
@@ -128,6 +143,14 @@ const monthlyStockSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  totalReturnedStock: {
+    type: Number,
+    default: 0
+  },
+  totalAdjustedStock: {
+    type: Number,
+    default: 0
+  },
   
   // Old stock from previous month
   oldStock: {
@@ -164,16 +187,20 @@ monthlyStockSchema.pre('save', function(next) {
   this.totalSales = 0;
   this.totalExpiredStock = 0;
   this.totalDamageStock = 0;
+  this.totalReturnedStock = 0;
+  this.totalAdjustedStock = 0;
   
   this.stockDetails.forEach(detail => {
     this.totalInvordStock += detail.invordStock || 0;
-    // ✅ FIFO FIX: Only count sales from ADDED entries to avoid double counting
-    // SOLD entries are for display/tracking only; actual deductions are in ADDED entries
-    if (detail.type === 'ADDED') {
+    // ✅ FIFO FIX: Only count sales from ADDED/RETURNED entries to avoid double counting
+    // SOLD entries are for display/tracking only; actual deductions are in ADDED/RETURNED/ADJUSTMENT entries
+    if (detail.type === 'ADDED' || detail.type === 'RETURNED' || detail.type === 'ADJUSTMENT') {
       this.totalSales += detail.sales || 0;
     }
     this.totalExpiredStock += detail.expiredStock || 0;
     this.totalDamageStock += detail.damageStock || 0;
+    this.totalReturnedStock += detail.returnedStock || 0;
+    this.totalAdjustedStock += detail.adjustedStock || 0;
   });
   
   // ✅ CRITICAL FIX: Calculate closing balance from old stock + totals
@@ -184,7 +211,9 @@ monthlyStockSchema.pre('save', function(next) {
     (this.totalSales || 0) - 
     (this.totalExpiredStock || 0) - 
     (this.expiredStock || 0) - 
-    (this.totalDamageStock || 0)
+    (this.totalDamageStock || 0) -
+    (this.totalReturnedStock || 0) -
+    (this.totalAdjustedStock || 0)
   );
   
   this.updatedAt = new Date();
@@ -237,7 +266,7 @@ monthlyStockSchema.statics.getOrCreateMonthlyDoc = async function(theaterId, pro
       let runningBalance = oldStock;
       for (let i = 0; i < doc.stockDetails.length; i++) {
         const entry = doc.stockDetails[i];
-        runningBalance = runningBalance + entry.invordStock - entry.sales - entry.expiredStock - entry.damageStock;
+        runningBalance = runningBalance + entry.invordStock - entry.sales - entry.expiredStock - entry.damageStock - (entry.returnedStock || 0) - (entry.adjustedStock || 0);
         entry.balance = Math.max(0, runningBalance);
         runningBalance = entry.balance;
       }
@@ -89,6 +89,9 @@ const orderSchema = new mongoose.Schema({
       default: 'pending'
     },
     transactionId: String,  // Our internal transaction document ID
+    provider: String,  // Gateway used (razorpay, phonepe, paytm, stripe)
+    gatewayOrderId: String,  // Gateway order / transaction reference
+    gatewayPaymentId: String,  // Gateway payment ID once captured
     razorpayPaymentId: String,  // Razorpay payment ID (e.g., pay_XXXXXX)
     razorpayOrderId: String,  // Razorpay order ID (e.g., order_XXXXXX)
     razorpaySignature: String,  // Payment signature for verification
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { FEEDBACK_TAGS } = require('../utils/feedbackUtils');
+
+/**
+ * Order Feedback
+ * A customer's ratings for a served or completed order: the service and each product they rate,
+ * 1-5 stars, with an optional comment and issue tags. One per order.
+ * Product ratings roll up into `rating` on the product.
+ */
+const orderFeedbackSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  orderNumber: String,
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  serviceRating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  items: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productName: String,
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    }
+  }],
+  comment: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  tags: [{
+    type: String,
+    enum: FEEDBACK_TAGS
+  }],
+  // Service or an item rated at or below LOW_SCORE_THRESHOLD
+  lowScore: {
+    type: Boolean,
+    default: false
+  },
+  alertSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderFeedbackSchema.index({ orderId: 1 }, { unique: true });
+orderFeedbackSchema.index({ theaterId: 1, createdAt: -1 });
+orderFeedbackSchema.index({ theaterId: 1, 'items.productId': 1 });
+
+module.exports = mongoose.model('OrderFeedback', orderFeedbackSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * OTP Verification
+ * One document per phone number + purpose. Only the HMAC of the OTP is stored.
+ * Documents are purged by a TTL index once both the OTP and any lockout have lapsed.
+ */
+const otpVerificationSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    default: 'verification',
+    trim: true
+  },
+  otpHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Delivery
+  provider: String,
+  messageId: String,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+
+  // Verification attempts
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // TTL anchor - the document is removed after this date
+  purgeAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+otpVerificationSchema.index({ phoneNumber: 1, purpose: 1 }, { unique: true });
+otpVerificationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for lock status
+otpVerificationSchema.virtual('isLocked').get(function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Virtual for OTP expiry status
+otpVerificationSchema.virtual('isExpired').get(function() {
+  return !this.expiresAt || this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('OtpVerification', otpVerificationSchema);
@@ -13,6 +13,8 @@ const paymentTransactionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Tender of a split payment this transaction pays (theaterorders)
+  tenderId: mongoose.Schema.Types.ObjectId,
   
   // Payment Gateway Details
   gateway: {
@@ -42,7 +44,7 @@ const paymentTransactionSchema = new mongoose.Schema({
   // Payment Status
   status: {
     type: String,
-    enum: ['initiated', 'pending', 'processing', 'success', 'failed', 'cancelled', 'refunded'],
+    enum: ['initiated', 'pending', 'processing', 'success', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
     default: 'initiated',
     index: true
   },
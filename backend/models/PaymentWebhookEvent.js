@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Webhook Event
+ * One document per gateway event id - makes webhook handling idempotent when gateways retry.
+ */
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  type: String,          // Normalized type (payment.captured, payment.failed, ignored)
+  gatewayEvent: String,  // Event name as sent by the gateway
+  gatewayOrderId: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentTransaction',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ theaterId: 1, createdAt: -1 });
+paymentWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Printer
+ * A thermal printer reached through the local print agent, with the rules for what it prints.
+ *
+ * Receipt printers print customer receipts for orders from the listed sources (all sources when empty).
+ * Kitchen printers print a ticket with the order's items from the listed categories (all when empty).
+ */
+const printerSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  role: {
+    type: String,
+    enum: ['receipt', 'kitchen'],
+    default: 'receipt'
+  },
+  paperWidth: {
+    type: Number,
+    enum: [58, 80],
+    default: 80
+  },
+  // How the print agent reaches the printer: a network printer's host:port (raw, usually 9100)
+  // or a USB / serial device path on the agent's machine
+  connection: {
+    type: {
+      type: String,
+      enum: ['network', 'device'],
+      default: 'network'
+    },
+    address: {
+      type: String,
+      trim: true,
+      required: true
+    }
+  },
+  sources: [{
+    type: String,
+    enum: ['pos', 'offline-pos', 'kiosk', 'qr_code', 'online']
+  }],
+  categoryIds: [mongoose.Schema.Types.ObjectId],
+  copies: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 1
+  },
+  printLogo: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+printerSchema.index({ theaterId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Printer', printerSchema);
@@ -40,6 +40,12 @@ const productSchema = new mongoose.Schema({
     default: ''
   },
   barcode: String,
+  // HSN (goods) or SAC (services) code printed on tax invoices
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+  },
   pricing: {
     basePrice: {
       type: Number,
@@ -104,16 +110,40 @@ const productSchema = new mongoose.Schema({
       sugar: Number
     }
   },
+  // Modifier groups the customer picks from; option prices are added to the unit price
   variants: [{
-    name: String, // Size, Color, etc.
+    name: String, // Size, Extra Cheese, Flavour, etc.
+    required: { type: Boolean, default: false },
+    minSelections: { type: Number, default: 0 },
+    maxSelections: { type: Number, default: 0 }, // 0 = no limit
     options: [{
       label: String, // Small, Medium, Large
       price: Number,
       sku: String,
-      stock: Number
+      stock: Number,
+      isAvailable: { type: Boolean, default: true }
     }]
   }],
+  // Combo products bundle other products; stock is taken from the components
+  isCombo: { type: Boolean, default: false },
+  comboItems: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+    swapOptions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }] // Products the customer may pick instead
+  }],
   tags: [String],
+  // When and where it can be ordered, on top of isActive (see utils/availabilityUtils.js)
+  availability: {
+    type: new mongoose.Schema({
+      days: [Number], // 0 = Sunday
+      timeRanges: [{ start: String, end: String, _id: false }], // HH:mm, theater time
+      startDate: String, // YYYY-MM-DD
+      endDate: String,
+      screens: [String],
+      kioskTypes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'KioskType' }]
+    }, { _id: false }),
+    default: null
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'out_of_stock', 'discontinued'],
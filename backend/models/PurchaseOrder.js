@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Ordered product with what has come in and gone back so far
+const purchaseOrderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+  returnedQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: true });
+
+/**
+ * Purchase Order
+ * Stock ordered from a supplier. Goods come in (and go back) through GoodsReceipt documents.
+ *
+ * Status flow: draft → ordered → partially_received → received, or cancelled before anything arrives.
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  items: [purchaseOrderItemSchema],
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedDeliveryDate: {
+    type: Date,
+    default: null
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+purchaseOrderSchema.index({ theaterId: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ theaterId: 1, supplierId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ theaterId: 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
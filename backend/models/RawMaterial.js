@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { BASE_UNITS } = require('../utils/unitUtils');
+
+/**
+ * Raw Material
+ * Ingredient or consumable (kernels, oil, cups...) that prepared products are made from.
+ * Stock is kept in the base unit and moved only through RawMaterialMovement entries.
+ */
+const rawMaterialSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  unit: {
+    type: String,
+    enum: BASE_UNITS,
+    required: true
+  },
+  currentStock: {
+    type: Number,
+    default: 0
+  },
+  minStock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  costPerUnit: {  // Last purchase cost per base unit
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rawMaterialSchema.index({ theaterId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RawMaterial', rawMaterialSchema);
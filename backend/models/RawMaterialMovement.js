@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Raw Material Movement
+ * Ledger of every change to a raw material's stock, in its base unit.
+ *
+ * Types:
+ * - received: delivery (change > 0)
+ * - consumed: used by a sale through the product's recipe (change < 0), or given back when
+ *   the sale is refunded (change > 0)
+ * - wastage: spilt, burnt or expired (change < 0)
+ * - count: physical count; change is counted minus expected stock
+ */
+const rawMaterialMovementSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  rawMaterialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RawMaterial',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['received', 'consumed', 'wastage', 'count'],
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: Number,
+  countedQuantity: Number,
+  costPerUnit: Number,
+  // Sale that consumed the material
+  orderId: mongoose.Schema.Types.ObjectId,
+  orderNumber: String,
+  productId: mongoose.Schema.Types.ObjectId,
+  productQuantity: Number,
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rawMaterialMovementSchema.index({ theaterId: 1, rawMaterialId: 1, date: -1 });
+rawMaterialMovementSchema.index({ theaterId: 1, date: -1, type: 1 });
+
+module.exports = mongoose.model('RawMaterialMovement', rawMaterialMovementSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recipe
+ * Bill of materials for a prepared product: the raw materials one batch uses
+ * and how many product units the batch yields.
+ */
+const recipeSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: String,
+  yield: {  // Product units one batch makes
+    type: Number,
+    default: 1,
+    min: 0.001
+  },
+  ingredients: [{
+    rawMaterialId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RawMaterial',
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unit: String  // As entered (e.g. kg); converted to the material's base unit on use
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+recipeSchema.index({ theaterId: 1, productId: 1 }, { unique: true });
+recipeSchema.index({ theaterId: 1, 'ingredients.rawMaterialId': 1 });
+
+module.exports = mongoose.model('Recipe', recipeSchema);
@@ -40,6 +40,12 @@ const roleSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Max amount (INR) a user with this role may refund per refund; null = no limit, 0 = no refunds
+  refundLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   priority: {
     type: Number,
     default: 1,
@@ -71,6 +71,13 @@ const roleArraySchema = new mongoose.Schema({
       max: 10
     },
     
+    // Max amount (INR) this role may refund at once; null = no limit, 0 = no refunds
+    refundLimit: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    
     // Active status (soft delete support)
     isActive: {
       type: Boolean,
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const actionSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String,
+  at: Date
+};
+
+// Cash put into or taken out of the drawer outside a sale
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true
+  },
+  // petty_cash: paid out for expenses, drop: taken to the safe, float: change added to the drawer
+  category: {
+    type: String,
+    enum: ['petty_cash', 'drop', 'float', 'other'],
+    default: 'other'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  recordedBy: actionSchema
+}, { _id: true });
+
+/**
+ * Shift
+ * A cashier's session on a cash drawer, from the opening float to the counted cash at close.
+ *
+ * POS orders and cash refunds are tagged with the shift they were taken in. The X report is the
+ * shift's running totals; closing the shift compares expected and counted cash and keeps the
+ * Z report as it stood at close.
+ */
+const shiftSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  shiftNumber: {
+    type: String,
+    required: true
+  },
+  // Counter or till the drawer belongs to, e.g. "Counter 1"
+  drawer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  cashier: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cashMovements: [cashMovementSchema],
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  closing: {
+    expectedCash: Number,
+    countedCash: Number,
+    // counted − expected: negative when the drawer is short
+    variance: Number,
+    notes: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  zReport: mongoose.Schema.Types.Mixed,
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  closedBy: actionSchema
+}, {
+  timestamps: true
+});
+
+// Indexes
+shiftSchema.index({ theaterId: 1, shiftNumber: 1 }, { unique: true });
+shiftSchema.index({ theaterId: 1, status: 1, openedAt: -1 });
+// A cashier works one shift at a time
+shiftSchema.index(
+  { theaterId: 1, 'cashier.userId': 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('Shift', shiftSchema);
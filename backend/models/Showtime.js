@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Time during a show when seat ordering is paused, e.g. a twist the audience shouldn't be disturbed for
+const blackoutSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: true });
+
+/**
+ * Showtime
+ * A film showing on a screen. The screen is the qrName of the theater's screen QR code
+ * (SingleQRCode.qrDetails with qrType 'screen'), the same name seat orders carry.
+ *
+ * Seat QR ordering on the screen follows its showtimes: open before the show and around the
+ * interval, paused for the climax and any blackouts (see utils/showtimeUtils.js).
+ */
+const showtimeSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  screen: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  movieTitle: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  language: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // No interval when the film runs straight through
+  intervalStart: {
+    type: Date,
+    default: null
+  },
+  intervalMinutes: {
+    type: Number,
+    min: 1,
+    default: 15
+  },
+  blackouts: [blackoutSchema],
+  source: {
+    type: String,
+    enum: ['manual', 'csv'],
+    default: 'manual'
+  },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+showtimeSchema.index({ theaterId: 1, screen: 1, startTime: 1 }, { unique: true });
+showtimeSchema.index({ theaterId: 1, startTime: 1 });
+
+module.exports = mongoose.model('Showtime', showtimeSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One product on the count sheet: what the books say, what was found and what the difference is worth
+const countItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: String,
+  barcode: String,
+  categoryId: mongoose.Schema.Types.ObjectId,
+  // Book balance, refreshed each time the product is counted
+  expectedQuantity: { type: Number, default: 0 },
+  // null until counted
+  countedQuantity: { type: Number, default: null, min: 0 },
+  variance: { type: Number, default: 0 },
+  unitValue: { type: Number, default: 0 },
+  varianceValue: { type: Number, default: 0 },
+  countedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String,
+    at: Date
+  },
+  // Units actually adjusted on approval (less than the variance if the stock had moved on)
+  adjustedQuantity: { type: Number, default: 0 }
+}, { _id: true });
+
+const actionSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String,
+  at: Date
+};
+
+/**
+ * Stock Count
+ * A physical stock-take of one or more categories.
+ *
+ * Status flow: open → submitted → approved, or cancelled before approval.
+ * A submitted count can be reopened for recounting. Approval posts the variances as stock adjustments.
+ */
+const stockCountSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  countNumber: {
+    type: String,
+    required: true
+  },
+  categories: [{
+    categoryId: mongoose.Schema.Types.ObjectId,
+    categoryName: String
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved', 'cancelled'],
+    default: 'open'
+  },
+  items: [countItemSchema],
+  totals: {
+    itemCount: { type: Number, default: 0 },
+    countedCount: { type: Number, default: 0 },
+    shortUnits: { type: Number, default: 0 },
+    excessUnits: { type: Number, default: 0 },
+    shortValue: { type: Number, default: 0 },
+    excessValue: { type: Number, default: 0 },
+    netValue: { type: Number, default: 0 }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Why the variances were accepted, given on approval
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  openedBy: actionSchema,
+  submittedBy: actionSchema,
+  approvedBy: actionSchema,
+  cancelledBy: actionSchema
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockCountSchema.index({ theaterId: 1, countNumber: 1 }, { unique: true });
+stockCountSchema.index({ theaterId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
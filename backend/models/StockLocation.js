@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Location
+ * A place a theater keeps stock: the main store, a counter or a kiosk.
+ *
+ * The main store is created automatically and holds whatever stock is not at another location.
+ * Sales come out of the location serving the product's kiosk type or the order's source.
+ */
+const stockLocationSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  type: {
+    type: String,
+    enum: ['store', 'counter', 'kiosk'],
+    default: 'counter'
+  },
+  isMain: {
+    type: Boolean,
+    default: false
+  },
+  // Kiosk type (from the theater's KioskType list) whose products this location sells
+  kioskTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Order sources (pos, kiosk, qr_code...) this location fills
+  orderSources: [{
+    type: String,
+    enum: ['qr_code', 'staff', 'online', 'app', 'pos', 'kiosk']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockLocationSchema.index({ theaterId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockLocation', stockLocationSchema);
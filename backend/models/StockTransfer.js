@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Product moved between locations, with what was asked for, sent and counted on arrival
+const transferItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: String,
+  requestedQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dispatchedQuantity: { type: Number, default: 0, min: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+  // Dispatched but not received (lost, damaged or miscounted in transit)
+  discrepancy: { type: Number, default: 0, min: 0 },
+  discrepancyReason: { type: String, trim: true, default: '' }
+}, { _id: true });
+
+const actionSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String,
+  at: Date
+};
+
+/**
+ * Stock Transfer
+ * Stock moved from one location to another.
+ *
+ * Status flow: requested → dispatched → received, or cancelled before dispatch.
+ * Dispatched stock is in transit: it has left the source but is not at the destination yet.
+ */
+const stockTransferSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  transferNumber: {
+    type: String,
+    required: true
+  },
+  fromLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    required: true
+  },
+  fromLocationName: String,
+  toLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation',
+    required: true
+  },
+  toLocationName: String,
+  status: {
+    type: String,
+    enum: ['requested', 'dispatched', 'received', 'cancelled'],
+    default: 'requested'
+  },
+  items: [transferItemSchema],
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  requestedBy: actionSchema,
+  dispatchedBy: actionSchema,
+  receivedBy: actionSchema,
+  cancelledBy: actionSchema
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockTransferSchema.index({ theaterId: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ theaterId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier
+ * Theater-scoped vendor that purchase orders are raised against.
+ */
+const supplierSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  contactPerson: { type: String, trim: true, default: '' },
+  phone: { type: String, trim: true, default: '' },
+  email: { type: String, trim: true, lowercase: true, default: '' },
+  gstNumber: { type: String, trim: true, uppercase: true, default: '' },
+  address: { type: String, trim: true, default: '' },
+  paymentTerms: { type: String, trim: true, default: '' },  // e.g. "Net 15"
+  notes: { type: String, trim: true, default: '' },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+supplierSchema.index({ theaterId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -81,7 +81,16 @@ const theaterSchema = new mongoose.Schema({
     timezone: { type: String, default: 'Asia/Kolkata' },
     language: { type: String, default: 'en' },
     taxRate: { type: Number, default: 0, min: 0, max: 100 },
-    serviceChargeRate: { type: Number, default: 0, min: 0, max: 100 }
+    serviceChargeRate: { type: Number, default: 0, min: 0, max: 100 },
+    autoAssignDelivery: { type: Boolean, default: false }, // Hand ready seat orders to runners automatically
+    preOrderLeadMinutes: { type: Number, min: 0, max: 180, default: 15 }, // Scheduled seat orders reach the kitchen this long before their slot
+    // Seat ordering windows around showtimes (minutes)
+    showtimeOrdering: {
+      preShowMinutes: { type: Number, min: 0, default: 30 },
+      intervalLeadMinutes: { type: Number, min: 0, default: 10 },
+      climaxBlackoutMinutes: { type: Number, min: 0, default: 20 },
+      orderDuringShow: { type: Boolean, default: false }
+    }
   },
   branding: {
     logoUrl: String,
@@ -204,6 +213,15 @@ const theaterSchema = new mongoose.Schema({
         testMode: { type: Boolean, default: true }
       },
       
+      // Stripe Configuration for Kiosk/POS
+      stripe: {
+        enabled: { type: Boolean, default: false },
+        publishableKey: { type: String, default: '' },
+        secretKey: { type: String, default: '' },
+        webhookSecret: { type: String, default: '' },
+        testMode: { type: Boolean, default: true }
+      },
+      
       // Accepted payment methods for Kiosk/POS
       acceptedMethods: {
         cash: { type: Boolean, default: true },
@@ -254,6 +272,15 @@ const theaterSchema = new mongoose.Schema({
         testMode: { type: Boolean, default: true }
       },
       
+      // Stripe Configuration for Online
+      stripe: {
+        enabled: { type: Boolean, default: false },
+        publishableKey: { type: String, default: '' },
+        secretKey: { type: String, default: '' },
+        webhookSecret: { type: String, default: '' },
+        testMode: { type: Boolean, default: true }
+      },
+      
       // Accepted payment methods for Online
       acceptedMethods: {
         cash: { type: Boolean, default: false },
@@ -22,7 +22,53 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
-  specialInstructions: String
+  specialInstructions: String,
+  // Modifiers picked for this line; their prices are included in unitPrice
+  variants: [{
+    name: String,
+    option: String,
+    price: Number
+  }],
+  // Set on combo lines: the products each combo was made of (quantities per combo)
+  isCombo: { type: Boolean, default: false },
+  comboItems: [{
+    productId: mongoose.Schema.Types.ObjectId,
+    productName: String,
+    quantity: Number
+  }],
+  // GST on this line, as printed on the tax invoice
+  hsnCode: String,
+  taxRate: Number,
+  gstType: String,
+  discountAmount: Number,
+  taxableValue: Number,
+  taxAmount: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number
+}, { _id: true });
+
+// One part of an order's payment (split tender)
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'wallet', 'bank_transfer'],
+    required: true
+  },
+  amount: { type: Number, required: true, min: 0 },  // Paid towards the order
+  tendered: Number,   // Cash handed over by the customer
+  change: { type: Number, default: 0 },
+  reference: String,  // Card slip / UPI reference when paid outside the gateway
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+    default: 'pending'
+  },
+  transactionId: String,  // Gateway transaction that paid this tender
+  provider: String,
+  gatewayPaymentId: String,
+  refundedAmount: { type: Number, default: 0 },
+  paidAt: Date
 }, { _id: true });
 
 // Individual order schema (will be stored in array)
@@ -31,12 +77,16 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Tax invoice number, sequential per theater per financial year (e.g. INV/24-25/00001)
+  invoiceNumber: String,
+  invoiceDate: Date,
   customerInfo: {
     name: { type: String, default: 'Walk-in Customer' },
     phone: String,
     phoneNumber: String,  // Added for new orders
     email: String,
-    tableNumber: String
+    tableNumber: String,
+    gstin: String  // Business buyer; decides CGST + SGST vs IGST
   },
   items: [orderItemSchema],
   pricing: {
@@ -50,6 +100,21 @@ const orderSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    discountAmount: {   // Product discounts + coupon discount
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    couponDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // GST split of taxAmount: cgst + sgst within the state, igst to another state
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
     total: {
       type: Number,
       required: true,
@@ -57,20 +122,54 @@ const orderSchema = new mongoose.Schema({
     },
     currency: { type: String, default: 'INR' }
   },
+  coupon: {
+    couponId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    discountAmount: Number
+  },
   payment: {
-    method: {
+    method: {   // 'split' when the order was paid with more than one method
       type: String,
-      enum: ['cash', 'card', 'upi', 'wallet', 'bank_transfer'],
+      enum: ['cash', 'card', 'upi', 'wallet', 'bank_transfer', 'split'],
       default: 'cash'
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending'
     },
     paidAt: Date,
+    amountPaid: { type: Number, default: 0 },
+    changeDue: { type: Number, default: 0 },  // Cash handed back to the customer
+    // Split tender: each part of the payment with its own method, amount and status
+    tenders: [tenderSchema],
+    refundAmount: { type: Number, default: 0 },
+    refunds: [{
+      amount: Number,
+      reason: String,
+      method: String,      // 'gateway', 'cash' or 'manual' (card terminal / UPI paid outside the gateway)
+      tenderId: mongoose.Schema.Types.ObjectId,  // Tender the money went back to
+      refundId: String,
+      status: String,      // Gateway refund status (processed / pending)
+      items: [{
+        productId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        quantity: Number
+      }],
+      refundedBy: {
+        userId: mongoose.Schema.Types.ObjectId,
+        username: String,
+        role: String
+      },
+      // Shift whose drawer a cash refund was paid from
+      shiftId: mongoose.Schema.Types.ObjectId,
+      createdAt: { type: Date, default: Date.now }
+    }],
     // Payment gateway transaction details
     transactionId: String,  // Our internal transaction document ID
+    provider: String,  // Gateway used (razorpay, phonepe, paytm, stripe)
+    gatewayOrderId: String,  // Gateway order / transaction reference
+    gatewayPaymentId: String,  // Gateway payment ID once captured
     razorpayPaymentId: String,  // Razorpay payment ID (e.g., pay_XXXXXX)
     razorpayOrderId: String,  // Razorpay order ID (e.g., order_XXXXXX)
     razorpaySignature: String  // Payment signature for verification
@@ -96,9 +195,22 @@ const orderSchema = new mongoose.Schema({
     enum: ['qr_code', 'staff', 'online', 'app', 'pos', 'kiosk'],
     default: 'staff'
   },
+  // Cashier shift the order was taken in (POS orders)
+  shiftId: mongoose.Schema.Types.ObjectId,
   tableNumber: String,
   qrName: String,     // ✅ QR code name (e.g., "Screen 1", "YQ S-1")
   seat: String,       // ✅ Seat identifier (e.g., "A1", "B2")
+  // Seat delivery: the runner (theater user) taking a ready screen order to the seat
+  assignedTo: mongoose.Schema.Types.ObjectId,
+  delivery: {
+    runnerName: String,
+    assignedAt: Date,
+    assignedBy: {
+      userId: mongoose.Schema.Types.ObjectId,
+      username: String
+    },
+    autoAssigned: { type: Boolean, default: false }
+  },
   specialInstructions: String,
   timestamps: {
     placedAt: { type: Date, default: Date.now },
@@ -122,6 +234,12 @@ const theaterOrdersSchema = new mongoose.Schema({
     unique: true
   },
   orderList: [orderSchema],  // ✅ Array of orders
+  // Last invoice number issued per financial year, keyed like FY2024_25
+  invoiceCounters: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
   metadata: {
     totalOrders: { type: Number, default: 0 },
     pendingOrders: { type: Number, default: 0 },
@@ -90,6 +90,16 @@ const theaterUserArraySchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+
+    // Seat delivery runner on duty (set from the runner view)
+    onDuty: {
+      type: Boolean,
+      default: false
+    },
+
+    dutyChangedAt: {
+      type: Date
+    },
     
     // Profile information
     profileImage: {
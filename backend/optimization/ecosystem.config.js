@@ -13,11 +13,13 @@ module.exports = {
       exec_mode: 'cluster', // Cluster mode for load balancing
       env: {
         NODE_ENV: 'development',
-        PORT: 5000
+        PORT: 5000,
+        EVENT_BUS_BROKER: 'redis' // Share order/payment events across cluster instances
       },
       env_production: {
         NODE_ENV: 'production',
-        PORT: 5000
+        PORT: 5000,
+        EVENT_BUS_BROKER: 'redis'
       },
       // Auto restart on crash
       autorestart: true,
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const CouponController = require('../controllers/CouponController');
+const { authenticateToken, optionalAuth, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { optionalCustomerAuth } = require('../middleware/customerAuth');
+const { couponValidator, validate } = require('../validators/couponValidator');
+
+/**
+ * Coupon Routes (MVC Pattern)
+ */
+
+// GET /api/coupons/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterCoupons'),
+  couponValidator.list,
+  validate,
+  BaseController.asyncHandler(CouponController.getAll)
+);
+
+// GET /api/coupons/:theaterId/report
+router.get('/:theaterId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterCoupons'),
+  couponValidator.report,
+  validate,
+  BaseController.asyncHandler(CouponController.getReport)
+);
+
+// POST /api/coupons/:theaterId/validate
+// "Apply code" preview for the customer app and POS carts (no login needed)
+router.post('/:theaterId/validate',
+  optionalAuth,
+  optionalCustomerAuth,
+  couponValidator.validateCode,
+  validate,
+  BaseController.asyncHandler(CouponController.validateCode)
+);
+
+// POST /api/coupons/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterCoupons'),
+  couponValidator.create,
+  validate,
+  BaseController.asyncHandler(CouponController.create)
+);
+
+// PUT /api/coupons/:theaterId/:couponId
+router.put('/:theaterId/:couponId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterCoupons'),
+  couponValidator.update,
+  validate,
+  BaseController.asyncHandler(CouponController.update)
+);
+
+// DELETE /api/coupons/:theaterId/:couponId
+router.delete('/:theaterId/:couponId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterCoupons'),
+  couponValidator.remove,
+  validate,
+  BaseController.asyncHandler(CouponController.delete)
+);
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const CustomerController = require('../controllers/CustomerController');
+const { authenticateCustomer } = require('../middleware/customerAuth');
+const { customerValidator, validate } = require('../validators/customerValidator');
+
+/**
+ * Customer Routes (MVC Pattern)
+ * All routes need the customer token issued by POST /api/sms/verify-otp
+ */
+
+router.use(authenticateCustomer);
+
+// GET /api/customers/me
+router.get('/me',
+  BaseController.asyncHandler(CustomerController.getProfile)
+);
+
+// POST /api/customers/logout-all
+router.post('/logout-all',
+  BaseController.asyncHandler(CustomerController.logoutAll)
+);
+
+// GET /api/customers/orders?theaterId=
+router.get('/orders',
+  customerValidator.orders,
+  validate,
+  BaseController.asyncHandler(CustomerController.getOrders)
+);
+
+// GET /api/customers/orders/:theaterId/:orderId
+router.get('/orders/:theaterId/:orderId',
+  customerValidator.order,
+  validate,
+  BaseController.asyncHandler(CustomerController.getOrder)
+);
+
+// GET /api/customers/orders/:theaterId/:orderId/reorder
+router.get('/orders/:theaterId/:orderId/reorder',
+  customerValidator.order,
+  validate,
+  BaseController.asyncHandler(CustomerController.getReorder)
+);
+
+// GET /api/customers/orders/:theaterId/:orderId/feedback
+router.get('/orders/:theaterId/:orderId/feedback',
+  customerValidator.order,
+  validate,
+  BaseController.asyncHandler(CustomerController.getOrderFeedback)
+);
+
+// POST /api/customers/orders/:theaterId/:orderId/feedback
+router.post('/orders/:theaterId/:orderId/feedback',
+  customerValidator.feedback,
+  validate,
+  BaseController.asyncHandler(CustomerController.submitOrderFeedback)
+);
+
+// GET /api/customers/favorites?theaterId=
+router.get('/favorites',
+  customerValidator.favorites,
+  validate,
+  BaseController.asyncHandler(CustomerController.getFavorites)
+);
+
+// POST /api/customers/favorites/:theaterId/import
+router.post('/favorites/:theaterId/import',
+  customerValidator.importFavorites,
+  validate,
+  BaseController.asyncHandler(CustomerController.importFavorites)
+);
+
+// PUT /api/customers/favorites/:theaterId/:productId
+router.put('/favorites/:theaterId/:productId',
+  customerValidator.favorite,
+  validate,
+  BaseController.asyncHandler(CustomerController.addFavorite)
+);
+
+// DELETE /api/customers/favorites/:theaterId/:productId
+router.delete('/favorites/:theaterId/:productId',
+  customerValidator.favorite,
+  validate,
+  BaseController.asyncHandler(CustomerController.removeFavorite)
+);
+
+// GET /api/customers/loyalty?theaterId=
+router.get('/loyalty',
+  customerValidator.loyalty,
+  validate,
+  BaseController.asyncHandler(CustomerController.getLoyalty)
+);
+
+// GET /api/customers/loyalty/ledger?theaterId=
+router.get('/loyalty/ledger',
+  customerValidator.loyalty,
+  validate,
+  BaseController.asyncHandler(CustomerController.getLoyaltyLedger)
+);
+
+// GET /api/customers/notifications
+router.get('/notifications',
+  customerValidator.notifications,
+  validate,
+  BaseController.asyncHandler(CustomerController.getNotifications)
+);
+
+// PUT /api/customers/notifications/read-all
+router.put('/notifications/read-all',
+  BaseController.asyncHandler(CustomerController.markAllNotificationsRead)
+);
+
+// PUT /api/customers/notifications/:notificationId/read
+router.put('/notifications/:notificationId/read',
+  customerValidator.notification,
+  validate,
+  BaseController.asyncHandler(CustomerController.markNotificationRead)
+);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const DeliveryController = require('../controllers/DeliveryController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { deliveryValidator, validate } = require('../validators/deliveryValidator');
+
+/**
+ * Seat Delivery Routes (MVC Pattern)
+ * Dispatch board for supervisors, queue and duty for runners
+ */
+
+// GET /api/delivery/:theaterId/board
+router.get('/:theaterId/board',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.theater,
+  validate,
+  BaseController.asyncHandler(DeliveryController.getBoard)
+);
+
+// GET /api/delivery/:theaterId/report
+router.get('/:theaterId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.report,
+  validate,
+  BaseController.asyncHandler(DeliveryController.getReport)
+);
+
+// POST /api/delivery/:theaterId/auto-assign
+router.post('/:theaterId/auto-assign',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.theater,
+  validate,
+  BaseController.asyncHandler(DeliveryController.autoAssign)
+);
+
+// PUT /api/delivery/:theaterId/settings
+router.put('/:theaterId/settings',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.settings,
+  validate,
+  BaseController.asyncHandler(DeliveryController.updateSettings)
+);
+
+// PUT /api/delivery/:theaterId/orders/:orderId/runner
+router.put('/:theaterId/orders/:orderId/runner',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.assign,
+  validate,
+  BaseController.asyncHandler(DeliveryController.assign)
+);
+
+// DELETE /api/delivery/:theaterId/orders/:orderId/runner
+router.delete('/:theaterId/orders/:orderId/runner',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterDispatchBoard'),
+  deliveryValidator.order,
+  validate,
+  BaseController.asyncHandler(DeliveryController.unassign)
+);
+
+// GET /api/delivery/:theaterId/my-queue
+router.get('/:theaterId/my-queue',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRunnerView'),
+  deliveryValidator.theater,
+  validate,
+  BaseController.asyncHandler(DeliveryController.getMyQueue)
+);
+
+// PUT /api/delivery/:theaterId/duty
+router.put('/:theaterId/duty',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRunnerView'),
+  deliveryValidator.duty,
+  validate,
+  BaseController.asyncHandler(DeliveryController.setDuty)
+);
+
+// PUT /api/delivery/:theaterId/orders/:orderId/served
+router.put('/:theaterId/orders/:orderId/served',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRunnerView'),
+  deliveryValidator.order,
+  validate,
+  BaseController.asyncHandler(DeliveryController.markServed)
+);
+
+module.exports = router;
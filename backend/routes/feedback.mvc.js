@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const FeedbackController = require('../controllers/FeedbackController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { feedbackValidator, validate } = require('../validators/feedbackValidator');
+
+/**
+ * Feedback Routes (MVC Pattern)
+ * The theater's feedback dashboard, for users with TheaterFeedback page access.
+ * Customers rate their orders through /api/customers/orders/:theaterId/:orderId/feedback.
+ */
+
+// GET /api/feedback/:theaterId/summary
+router.get('/:theaterId/summary',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterFeedback'),
+  feedbackValidator.summary,
+  validate,
+  BaseController.asyncHandler(FeedbackController.getSummary)
+);
+
+// GET /api/feedback/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterFeedback'),
+  feedbackValidator.list,
+  validate,
+  BaseController.asyncHandler(FeedbackController.getFeedback)
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const LoyaltyController = require('../controllers/LoyaltyController');
+const { authenticateToken, requireRole, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { loyaltyValidator, validate } = require('../validators/loyaltyValidator');
+
+/**
+ * Loyalty Routes (MVC Pattern)
+ * Chain programs are set up by super admins; a theater's own program from its TheaterLoyalty page.
+ * Cashiers look up a customer's points at the POS by phone number.
+ * Customers see their own points through /api/customers/loyalty.
+ */
+
+// GET /api/loyalty/programs
+router.get('/programs',
+  authenticateToken,
+  requireRole(['super_admin']),
+  BaseController.asyncHandler(LoyaltyController.getPrograms)
+);
+
+// POST /api/loyalty/programs
+router.post('/programs',
+  authenticateToken,
+  requireRole(['super_admin']),
+  loyaltyValidator.createProgram,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.createProgram)
+);
+
+// PUT /api/loyalty/programs/:programId
+router.put('/programs/:programId',
+  authenticateToken,
+  requireRole(['super_admin']),
+  loyaltyValidator.updateProgram,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.updateProgram)
+);
+
+// GET /api/loyalty/:theaterId/program
+router.get('/:theaterId/program',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterLoyalty'),
+  loyaltyValidator.theater,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.getTheaterProgram)
+);
+
+// PUT /api/loyalty/:theaterId/program
+router.put('/:theaterId/program',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterLoyalty'),
+  loyaltyValidator.saveTheaterProgram,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.saveTheaterProgram)
+);
+
+// GET /api/loyalty/:theaterId/accounts/:phoneNumber
+router.get('/:theaterId/accounts/:phoneNumber',
+  authenticateToken,
+  requireTheaterAccess,
+  loyaltyValidator.account,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.getAccount)
+);
+
+// GET /api/loyalty/:theaterId/accounts/:phoneNumber/ledger
+router.get('/:theaterId/accounts/:phoneNumber/ledger',
+  authenticateToken,
+  requireTheaterAccess,
+  loyaltyValidator.account,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.getLedger)
+);
+
+module.exports = router;
@@ -1,108 +1,97 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-const { 
-  getCustomerNotifications, 
-  markNotificationAsRead, 
-  markAllAsRead,
-  getUnreadCount 
-} = require('../services/notificationService');
+const { authenticateToken, getAllowedPages } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
 
 // Store SSE connections for real-time notifications
 const connections = new Map();
 
+// Keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Check whether an event envelope may be delivered to a stream subscriber
+ */
+function canReceiveEvent(envelope, scope) {
+  if (scope.theaterId && envelope.theaterId !== scope.theaterId) {
+    return false;
+  }
+  if (scope.events && !scope.events.includes(envelope.type)) {
+    return false;
+  }
+  if (envelope.pages && scope.allowedPages) {
+    return envelope.pages.some(page => scope.allowedPages.includes(page));
+  }
+  return true;
+}
+
 /**
  * GET /api/notifications/stream
  * Server-Sent Events endpoint for real-time notifications
+ *
+ * Also streams order/payment events from the event bus:
+ * - theater users only receive events for their own theater, filtered by their role's page access
+ * - super admins receive all theaters, or one theater with ?theaterId=
+ * - ?events=order.created,payment.captured limits the event types
  */
-router.get('/stream', authenticateToken, (req, res) => {
+router.get('/stream', authenticateToken, async (req, res) => {
   const userId = req.user.userId;
+  const isSuperAdmin = req.user.role === 'super_admin' || req.user.userType === 'super_admin';
+
   // Set headers for SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for nginx
-  
+  res.flushHeaders();
+
   // Send initial connection message
   res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Notification stream connected' })}\n\n`);
 
   // Store connection
   connections.set(userId, res);
 
+  const userTheaterId = req.user.theaterId || req.user.theater;
+  const scope = {
+    theaterId: isSuperAdmin
+      ? (req.query.theaterId || null)
+      : (userTheaterId ? String(userTheaterId) : null),
+    events: req.query.events ? String(req.query.events).split(',').map(e => e.trim()).filter(Boolean) : null,
+    allowedPages: []
+  };
+
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
   // Handle client disconnect
   req.on('close', () => {
-    connections.delete(userId);
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    if (connections.get(userId) === res) {
+      connections.delete(userId);
+    }
   });
-});
 
-/**
- * GET /api/notifications/customer/:phoneNumber
- * Get notifications for a customer by phone number
- */
-router.get('/customer/:phoneNumber', async (req, res) => {
-  try {
-    const { phoneNumber } = req.params;
-    const { limit = 20 } = req.query;
-    
-    const notifications = await getCustomerNotifications(phoneNumber, parseInt(limit));
-    const unreadCount = await getUnreadCount(phoneNumber);
-    
-    res.json({
-      success: true,
-      notifications,
-      unreadCount
-    });
-  } catch (error) {
-    console.error('❌ Error fetching customer notifications:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch notifications'
-    });
+  // Theater users without a theater get no order events
+  if (!isSuperAdmin && !scope.theaterId) {
+    return;
   }
-});
 
-/**
- * PUT /api/notifications/:notificationId/read
- * Mark a notification as read
- */
-router.put('/:notificationId/read', async (req, res) => {
-  try {
-    const { notificationId } = req.params;
-    const success = await markNotificationAsRead(notificationId);
-    
-    res.json({
-      success,
-      message: success ? 'Notification marked as read' : 'Failed to mark notification as read'
-    });
-  } catch (error) {
-    console.error('❌ Error marking notification as read:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to mark notification as read'
-    });
-  }
-});
+  scope.allowedPages = await getAllowedPages(req.user);
+  if (closed) return;
 
-/**
- * PUT /api/notifications/customer/:phoneNumber/read-all
- * Mark all notifications as read for a customer
- */
-router.put('/customer/:phoneNumber/read-all', async (req, res) => {
-  try {
-    const { phoneNumber } = req.params;
-    const success = await markAllAsRead(phoneNumber);
-    
-    res.json({
-      success,
-      message: success ? 'All notifications marked as read' : 'Failed to mark notifications as read'
-    });
-  } catch (error) {
-    console.error('❌ Error marking all notifications as read:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to mark all notifications as read'
-    });
-  }
+  unsubscribe = eventBus.subscribe((envelope) => {
+    if (!canReceiveEvent(envelope, scope)) return;
+
+    const { pages, origin, ...event } = envelope;
+    try {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    } catch (error) {
+      console.error(`❌ Error streaming ${event.type} to user ${userId}:`, error);
+    }
+  });
 });
 
 /**
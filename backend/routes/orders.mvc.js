@@ -2,30 +2,53 @@ const express = require('express');
 const router = express.Router();
 const BaseController = require('../controllers/BaseController');
 const OrderController = require('../controllers/OrderController');
-const { authenticateToken, optionalAuth, requireTheaterAccess } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { optionalCustomerAuth } = require('../middleware/customerAuth');
 const { orderValidator, validate } = require('../validators/orderValidator');
 
 /**
  * Order Routes (MVC Pattern)
+ * Order lists are for theater staff; customers read their own orders through /api/customers.
  */
 
 // GET /api/orders/theater/:theaterId
 router.get('/theater/:theaterId',
-  optionalAuth,
+  authenticateToken,
+  requireTheaterAccess,
   orderValidator.getByTheater,
   validate,
   BaseController.asyncHandler(OrderController.getByTheater)
 );
 
+// GET /api/orders/theater/:theaterId/kitchen
+// Active tickets for the kitchen display (must be registered before /:orderId)
+router.get('/theater/:theaterId/kitchen',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterKitchenDisplay'),
+  BaseController.asyncHandler(OrderController.getKitchenOrders)
+);
+
 // GET /api/orders/theater/:theaterId/:orderId
 router.get('/theater/:theaterId/:orderId',
-  optionalAuth,
+  authenticateToken,
+  requireTheaterAccess,
   BaseController.asyncHandler(OrderController.getById)
 );
 
+// GET /api/orders/theater/:theaterId/:orderId/invoice
+router.get('/theater/:theaterId/:orderId/invoice',
+  optionalAuth,
+  optionalCustomerAuth,
+  orderValidator.invoice,
+  validate,
+  BaseController.asyncHandler(OrderController.getInvoice)
+);
+
 // POST /api/orders/theater
 router.post('/theater',
   optionalAuth,
+  optionalCustomerAuth,
   orderValidator.create,
   validate,
   BaseController.asyncHandler(OrderController.create)
@@ -40,5 +63,16 @@ router.put('/theater/:theaterId/:orderId/status',
   BaseController.asyncHandler(OrderController.updateStatus)
 );
 
+// PUT /api/orders/theater/:theaterId/:orderId/kitchen-status
+// Kitchen bump: move a ticket to preparing or ready
+router.put('/theater/:theaterId/:orderId/kitchen-status',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterKitchenDisplay'),
+  orderValidator.kitchenBump,
+  validate,
+  BaseController.asyncHandler(OrderController.bumpKitchenOrder)
+);
+
 module.exports = router;
 
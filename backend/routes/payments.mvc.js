@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const BaseController = require('../controllers/BaseController');
 const PaymentController = require('../controllers/PaymentController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { paymentValidator, validate } = require('../validators/paymentValidator');
 
 /**
  * Payment Routes (MVC Pattern)
@@ -23,14 +24,28 @@ router.post('/verify',
   BaseController.asyncHandler(PaymentController.verify)
 );
 
+// POST /api/payments/refunds/:theaterId/:orderId
+// Refund limits per role are enforced in the service
+router.post('/refunds/:theaterId/:orderId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterOrderHistory'),
+  paymentValidator.refund,
+  validate,
+  BaseController.asyncHandler(PaymentController.refund)
+);
+
 // GET /api/payments/transactions/:theaterId
 router.get('/transactions/:theaterId',
   authenticateToken,
   BaseController.asyncHandler(PaymentController.getTransactions)
 );
 
-// Note: Webhook routes should be handled separately as they need raw body parsing
-// Keep webhook routes in old payments.js for now or create separate webhook handler
+// POST /api/payments/webhook/:provider/:theaterId
+// No auth - requests are authenticated by the gateway signature over the raw body
+router.post('/webhook/:provider/:theaterId',
+  BaseController.asyncHandler(PaymentController.webhook)
+);
 
 module.exports = router;
 
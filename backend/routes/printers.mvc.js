@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const PrinterController = require('../controllers/PrinterController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { printerValidator, validate } = require('../validators/printerValidator');
+
+/**
+ * Printer Routes (MVC Pattern)
+ */
+
+// GET /api/printers/:theaterId/profile
+// Receipt header, active printers and product categories for the POS, kiosk and offline POS
+router.get('/:theaterId/profile',
+  authenticateToken,
+  requireTheaterAccess,
+  printerValidator.theater,
+  validate,
+  BaseController.asyncHandler(PrinterController.getProfile)
+);
+
+// GET /api/printers/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSettingsWithId'),
+  printerValidator.theater,
+  validate,
+  BaseController.asyncHandler(PrinterController.getAll)
+);
+
+// POST /api/printers/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSettingsWithId'),
+  printerValidator.create,
+  validate,
+  BaseController.asyncHandler(PrinterController.create)
+);
+
+// PUT /api/printers/:theaterId/:printerId
+router.put('/:theaterId/:printerId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSettingsWithId'),
+  printerValidator.update,
+  validate,
+  BaseController.asyncHandler(PrinterController.update)
+);
+
+// DELETE /api/printers/:theaterId/:printerId
+router.delete('/:theaterId/:printerId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSettingsWithId'),
+  printerValidator.remove,
+  validate,
+  BaseController.asyncHandler(PrinterController.delete)
+);
+
+module.exports = router;
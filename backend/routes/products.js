@@ -8,6 +8,7 @@ const Theater = require('../models/Theater');
 const MonthlyStock = require('../models/MonthlyStock');  // ✅ Import MonthlyStock
 const { authenticateToken, optionalAuth, requireTheaterAccess } = require('../middleware/auth');
 const { uploadFile, deleteFile } = require('../utils/gcsUploadUtil');
+const { parseAvailability, normalizeAvailability } = require('../utils/availabilityUtils');
 const mongoose = require('mongoose');
 
 // Configure multer for memory storage (for GCS uploads)
@@ -1287,6 +1288,17 @@ categoriesRouter.post('/:theaterId', [
         details: [{ msg: 'Category name is required', param: 'name' }]
       });
     }
+
+    // Availability rules apply to every product in the category (sent as a JSON string with an image upload)
+    let availability = null;
+    try {
+      availability = normalizeAvailability(parseAvailability(req.body.availability));
+    } catch (availabilityError) {
+      return res.status(400).json({
+        error: availabilityError.message,
+        code: availabilityError.code
+      });
+    }
     // Find or create category document for this theater
     let categoryDoc = await Category.findOne({ theater: theaterId });
     
@@ -1318,6 +1330,7 @@ categoriesRouter.post('/:theaterId', [
       sortOrder: sortOrder || 0,
       isActive: isActive !== undefined ? isActive : true,
       kioskTypeId: kioskTypeId ? new mongoose.Types.ObjectId(kioskTypeId) : null,
+      availability,
       imageUrl: null,
       items: [],
       createdAt: new Date(),
@@ -1436,6 +1449,17 @@ categoriesRouter.put('/:theaterId/:categoryId', [
       });
     }
 
+    let availability;
+    try {
+      const sentAvailability = parseAvailability(req.body.availability);
+      if (sentAvailability !== undefined) availability = normalizeAvailability(sentAvailability);
+    } catch (availabilityError) {
+      return res.status(400).json({
+        error: availabilityError.message,
+        code: availabilityError.code
+      });
+    }
+
     // Check for duplicate name if name is being changed
     if (categoryName && categoryName.toLowerCase() !== category.categoryName.toLowerCase()) {
       const duplicateCategory = categoryDoc.categoryList.find(
@@ -1528,6 +1552,7 @@ categoriesRouter.put('/:theaterId/:categoryId', [
     if (kioskTypeId !== undefined) {
       updateFields['categoryList.$.kioskTypeId'] = kioskTypeId ? new mongoose.Types.ObjectId(kioskTypeId) : null;
     }
+    if (availability !== undefined) updateFields['categoryList.$.availability'] = availability;
     updateFields['categoryList.$.updatedAt'] = new Date();
     updateFields['categoryList.$.imageUrl'] = imageUrl;
     updateFields['updatedAt'] = new Date();
@@ -78,6 +78,8 @@ router.put('/:theaterId/:productId',
   authenticateToken,
   requireTheaterAccess,
   optionalUpload, // Optional file upload - also allows JSON body with base64
+  productValidator.update,
+  validate,
   BaseController.asyncHandler(ProductController.update)
 );
 
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const PurchaseOrderController = require('../controllers/PurchaseOrderController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { purchaseOrderValidator, validate } = require('../validators/purchaseOrderValidator');
+
+/**
+ * Purchase Order Routes (MVC Pattern)
+ */
+
+// GET /api/purchase-orders/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.list,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getAll)
+);
+
+// GET /api/purchase-orders/:theaterId/report
+// Supplier-wise purchases against sales
+router.get('/:theaterId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.report,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getSupplierReport)
+);
+
+// GET /api/purchase-orders/:theaterId/:poId
+router.get('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.getById,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getById)
+);
+
+// POST /api/purchase-orders/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.create,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.create)
+);
+
+// PUT /api/purchase-orders/:theaterId/:poId
+router.put('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.update,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.update)
+);
+
+// PUT /api/purchase-orders/:theaterId/:poId/status
+router.put('/:theaterId/:poId/status',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.updateStatus,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.updateStatus)
+);
+
+// DELETE /api/purchase-orders/:theaterId/:poId
+router.delete('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.remove,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.delete)
+);
+
+// POST /api/purchase-orders/:theaterId/:poId/receipts
+// Goods received note - adds the received lines to stock
+router.post('/:theaterId/:poId/receipts',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.receive,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.receive)
+);
+
+// POST /api/purchase-orders/:theaterId/:poId/returns
+// Return to supplier - takes the returned lines off stock
+router.post('/:theaterId/:poId/returns',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterPurchaseOrders'),
+  purchaseOrderValidator.returnGoods,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.returnGoods)
+);
+
+module.exports = router;
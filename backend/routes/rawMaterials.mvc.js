@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const RawMaterialController = require('../controllers/RawMaterialController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { rawMaterialValidator, validate } = require('../validators/rawMaterialValidator');
+
+/**
+ * Raw Material Routes (MVC Pattern)
+ * Fixed paths (recipes, report) come before /:materialId
+ */
+
+// GET /api/raw-materials/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.list,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.getAll)
+);
+
+// GET /api/raw-materials/:theaterId/recipes
+router.get('/:theaterId/recipes',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.recipes,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.getRecipes)
+);
+
+// GET /api/raw-materials/:theaterId/report
+// Theoretical vs actual ingredient consumption
+router.get('/:theaterId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.report,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.getConsumptionReport)
+);
+
+// GET /api/raw-materials/:theaterId/recipes/:productId
+router.get('/:theaterId/recipes/:productId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.recipe,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.getRecipe)
+);
+
+// PUT /api/raw-materials/:theaterId/recipes/:productId
+// Create or replace the product's recipe
+router.put('/:theaterId/recipes/:productId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.saveRecipe,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.saveRecipe)
+);
+
+// DELETE /api/raw-materials/:theaterId/recipes/:productId
+router.delete('/:theaterId/recipes/:productId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.recipe,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.deleteRecipe)
+);
+
+// POST /api/raw-materials/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.create,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.create)
+);
+
+// PUT /api/raw-materials/:theaterId/:materialId
+router.put('/:theaterId/:materialId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.update,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.update)
+);
+
+// DELETE /api/raw-materials/:theaterId/:materialId
+router.delete('/:theaterId/:materialId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.remove,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.delete)
+);
+
+// GET /api/raw-materials/:theaterId/:materialId/movements
+router.get('/:theaterId/:materialId/movements',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.movements,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.getMovements)
+);
+
+// POST /api/raw-materials/:theaterId/:materialId/movements
+// Delivery, wastage or physical count
+router.post('/:theaterId/:materialId/movements',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterRawMaterials'),
+  rawMaterialValidator.recordMovement,
+  validate,
+  BaseController.asyncHandler(RawMaterialController.recordMovement)
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const ExcelJS = require('exceljs');
+const couponService = require('../services/CouponService');
+const { orderTenders, tenderBreakdown } = require('../utils/tenderUtils');
 const { 
   authenticateToken, 
   requirePageAccess,
@@ -74,6 +76,9 @@ router.get('/full-report/:theaterId',
         }
       });
 
+      // Coupon redemptions in the same date range
+      const couponSummary = await couponService.getRedemptionReport(theaterId, { startDate, endDate });
+
       // Prepare full report data
       const reportData = {
         reportType: 'FULL_REPORT',
@@ -86,7 +91,9 @@ router.get('/full-report/:theaterId',
           totalRevenue,
           avgOrderValue,
           statusBreakdown,
-          categoryBreakdown
+          categoryBreakdown,
+          paymentBreakdown: tenderBreakdown(orders),
+          coupons: couponSummary
         },
         orders: orders
       };
@@ -254,7 +261,8 @@ router.get('/my-sales/:theaterId',
           avgOrderValue,
           completedOrders: orders.filter(o => o.status === 'completed').length,
           pendingOrders: orders.filter(o => o.status === 'pending').length,
-          categoryBreakdown
+          categoryBreakdown,
+          paymentBreakdown: tenderBreakdown(orders)
         },
         orders: orders
       };
@@ -370,6 +378,15 @@ router.get('/my-stats/:theaterId',
   }
 );
 
+/**
+ * Payment methods of an order, e.g. "cash ₹300 + upi ₹200" for a split payment
+ */
+function formatTenders(order) {
+  const tenders = orderTenders(order);
+  if (tenders.length === 1) return tenders[0].method || 'N/A';
+  return tenders.map(tender => `${tender.method} ₹${tender.amount}`).join(' + ');
+}
+
 /**
  * ✅ CSV Generator
  */
@@ -393,7 +410,7 @@ function generateCSV(orders, reportName, generatedBy) {
     order.items?.map(i => i.categoryName || i.category).filter(Boolean).join('; ') || 'N/A',
     `₹${order.pricing?.total || 0}`,
     order.status || 'unknown',
-    order.paymentMethod || 'N/A'
+    formatTenders(order)
   ]);
 
   const csvContent = [
@@ -564,6 +581,77 @@ router.get('/excel/:theaterId',
       summaryRow.getCell(7).numFmt = '₹#,##0.00';
       summaryRow.getCell(7).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
 
+      // Payments sheet - money taken per method, counted by tender so split payments land under each method
+      const paymentSheet = workbook.addWorksheet('Payments');
+      paymentSheet.columns = [
+        { key: 'method', width: 18 },
+        { key: 'orders', width: 12 },
+        { key: 'tenders', width: 12 },
+        { key: 'amount', width: 16 },
+        { key: 'refunded', width: 16 },
+        { key: 'net', width: 16 }
+      ];
+      paymentSheet.getRow(1).values = ['Payment Method', 'Orders', 'Tenders', 'Amount', 'Refunded', 'Net'];
+      paymentSheet.getRow(1).eachCell((cell) => {
+        cell.style = headerStyle;
+      });
+
+      const paymentBreakdown = tenderBreakdown(orders);
+      paymentBreakdown.forEach((row, index) => {
+        const sheetRow = paymentSheet.getRow(index + 2);
+        sheetRow.values = [row.method, row.orders, row.tenders, row.amount, row.refunded, row.net];
+        [4, 5, 6].forEach(column => {
+          sheetRow.getCell(column).numFmt = '₹#,##0.00';
+        });
+      });
+
+      const paymentTotalRow = paymentSheet.getRow(paymentBreakdown.length + 3);
+      paymentTotalRow.values = [
+        'TOTAL:',
+        '',
+        paymentBreakdown.reduce((sum, row) => sum + row.tenders, 0),
+        paymentBreakdown.reduce((sum, row) => sum + row.amount, 0),
+        paymentBreakdown.reduce((sum, row) => sum + row.refunded, 0),
+        paymentBreakdown.reduce((sum, row) => sum + row.net, 0)
+      ];
+      paymentTotalRow.font = { bold: true };
+      [4, 5, 6].forEach(column => {
+        paymentTotalRow.getCell(column).numFmt = '₹#,##0.00';
+      });
+
+      // Coupon redemptions sheet (theater-wide, so not for category-restricted users)
+      if (isTheaterAdmin || dataScope.scope.type !== 'user_specific') {
+        const endDateTime = endDate ? new Date(endDate) : null;
+        if (endDateTime) endDateTime.setHours(23, 59, 59, 999);
+        const couponReport = await couponService.getRedemptionReport(theaterId, { startDate, endDate: endDateTime });
+
+        const couponSheet = workbook.addWorksheet('Coupons');
+        couponSheet.columns = [
+          { key: 'code', width: 20 },
+          { key: 'redemptions', width: 14 },
+          { key: 'customers', width: 14 },
+          { key: 'discount', width: 16 },
+          { key: 'orderValue', width: 16 }
+        ];
+        couponSheet.getRow(1).values = ['Coupon', 'Redemptions', 'Customers', 'Discount Given', 'Order Value'];
+        couponSheet.getRow(1).eachCell((cell) => {
+          cell.style = headerStyle;
+        });
+
+        couponReport.coupons.forEach((coupon, index) => {
+          const row = couponSheet.getRow(index + 2);
+          row.values = [coupon.code, coupon.redemptions, coupon.uniqueCustomers, coupon.totalDiscount, coupon.totalOrderValue];
+          row.getCell(4).numFmt = '₹#,##0.00';
+          row.getCell(5).numFmt = '₹#,##0.00';
+        });
+
+        const couponTotalRow = couponSheet.getRow(couponReport.coupons.length + 3);
+        couponTotalRow.values = ['TOTAL:', couponReport.summary.redemptions, '', couponReport.summary.totalDiscount, couponReport.summary.totalOrderValue];
+        couponTotalRow.font = { bold: true };
+        couponTotalRow.getCell(4).numFmt = '₹#,##0.00';
+        couponTotalRow.getCell(5).numFmt = '₹#,##0.00';
+      }
+
       // Log access
       await mongoose.connection.db.collection('report_access_logs').insertOne({
         userId: new mongoose.Types.ObjectId(req.user.userId),
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const ShiftController = require('../controllers/ShiftController');
+const Shift = require('../models/Shift');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { shiftValidator, validate } = require('../validators/shiftValidator');
+
+/**
+ * Shift Routes (MVC Pattern)
+ * Cashiers run their own shift from the POS; anyone else needs TheaterShifts access to see or close it.
+ */
+
+const requireShiftOwnerOrPageAccess = async (req, res, next) => {
+  try {
+    const shift = await Shift.findOne({ _id: req.params.shiftId, theaterId: req.params.theaterId })
+      .select('cashier.userId')
+      .lean();
+    if (shift && req.user?.userId && String(shift.cashier?.userId) === String(req.user.userId)) {
+      return next();
+    }
+    return requirePageAccess('TheaterShifts')(req, res, next);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// GET /api/shifts/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShifts'),
+  shiftValidator.list,
+  validate,
+  BaseController.asyncHandler(ShiftController.getAll)
+);
+
+// GET /api/shifts/:theaterId/current
+router.get('/:theaterId/current',
+  authenticateToken,
+  requireTheaterAccess,
+  shiftValidator.theater,
+  validate,
+  BaseController.asyncHandler(ShiftController.getCurrent)
+);
+
+// POST /api/shifts/:theaterId/open
+router.post('/:theaterId/open',
+  authenticateToken,
+  requireTheaterAccess,
+  shiftValidator.open,
+  validate,
+  BaseController.asyncHandler(ShiftController.open)
+);
+
+// POST /api/shifts/:theaterId/:shiftId/cash
+router.post('/:theaterId/:shiftId/cash',
+  authenticateToken,
+  requireTheaterAccess,
+  shiftValidator.cash,
+  validate,
+  requireShiftOwnerOrPageAccess,
+  BaseController.asyncHandler(ShiftController.addCashMovement)
+);
+
+// GET /api/shifts/:theaterId/:shiftId/report
+router.get('/:theaterId/:shiftId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  shiftValidator.shift,
+  validate,
+  requireShiftOwnerOrPageAccess,
+  BaseController.asyncHandler(ShiftController.getReport)
+);
+
+// PUT /api/shifts/:theaterId/:shiftId/close
+router.put('/:theaterId/:shiftId/close',
+  authenticateToken,
+  requireTheaterAccess,
+  shiftValidator.close,
+  validate,
+  requireShiftOwnerOrPageAccess,
+  BaseController.asyncHandler(ShiftController.close)
+);
+
+module.exports = router;
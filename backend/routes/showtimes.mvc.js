@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const ShowtimeController = require('../controllers/ShowtimeController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { showtimeValidator, validate } = require('../validators/showtimeValidator');
+
+/**
+ * Showtime Routes (MVC Pattern)
+ * The schedule is managed with TheaterShowtimes page access; the ordering window is public for customer seat QR pages.
+ */
+
+// GET /api/showtimes/:theaterId/ordering?screen=
+router.get('/:theaterId/ordering',
+  showtimeValidator.ordering,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.getOrderingWindow)
+);
+
+// GET /api/showtimes/:theaterId/screens
+router.get('/:theaterId/screens',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.theater,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.getScreens)
+);
+
+// GET /api/showtimes/:theaterId/settings
+router.get('/:theaterId/settings',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.theater,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.getSettings)
+);
+
+// PUT /api/showtimes/:theaterId/settings
+router.put('/:theaterId/settings',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.settings,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.updateSettings)
+);
+
+// POST /api/showtimes/:theaterId/import
+router.post('/:theaterId/import',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.import,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.importCsv)
+);
+
+// GET /api/showtimes/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.list,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.getAll)
+);
+
+// POST /api/showtimes/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.create,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.create)
+);
+
+// PUT /api/showtimes/:theaterId/:showtimeId
+router.put('/:theaterId/:showtimeId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.update,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.update)
+);
+
+// DELETE /api/showtimes/:theaterId/:showtimeId
+router.delete('/:theaterId/:showtimeId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterShowtimes'),
+  showtimeValidator.showtime,
+  validate,
+  BaseController.asyncHandler(ShowtimeController.delete)
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { body, param, validationResult } = require('express-validator');
 const { generateSingleQRCode } = require('../utils/singleQRGenerator');
 const { deleteFile } = require('../utils/gcsUploadUtil');
+const showtimeService = require('../services/ShowtimeService');
 
 const router = express.Router();
 
@@ -1477,6 +1478,11 @@ router.get('/verify-qr/:qrName', async (req, res) => {
       qrType: qrDetail.qrType
     });
 
+    // Screen QR codes take orders around the screen's showtimes
+    const ordering = qrDetail.qrType === 'screen'
+      ? await showtimeService.getOrderingWindow(qrCodeDoc.theater?._id || qrCodeDoc.theater, qrDetail.qrName)
+      : null;
+
     res.json({
       success: true,
       isActive: true,
@@ -1485,6 +1491,7 @@ router.get('/verify-qr/:qrName', async (req, res) => {
         seatClass: qrDetail.seatClass,
         qrType: qrDetail.qrType,
         theater: qrCodeDoc.theater,
+        ordering,
         message: 'QR code is active and valid'
       }
     });
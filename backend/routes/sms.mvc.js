@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const BaseController = require('../controllers/BaseController');
 const SettingsController = require('../controllers/SettingsController');
+const SmsController = require('../controllers/SmsController');
 const { authenticateToken } = require('../middleware/auth');
+const { smsValidator, validate } = require('../validators/smsValidator');
 
 /**
  * SMS Routes (MVC Pattern)
@@ -15,5 +17,36 @@ router.post('/send-test-otp',
   BaseController.asyncHandler(SettingsController.sendTestOtp)
 );
 
-module.exports = router;
+// POST /api/sms/send-otp
+// Send customer OTP
+router.post('/send-otp',
+  smsValidator.sendOtp,
+  validate,
+  BaseController.asyncHandler(SmsController.sendOtp)
+);
 
+// POST /api/sms/resend-otp
+// Resend customer OTP (cooldown enforced)
+router.post('/resend-otp',
+  smsValidator.sendOtp,
+  validate,
+  BaseController.asyncHandler(SmsController.resendOtp)
+);
+
+// POST /api/sms/verify-otp
+// Verify customer OTP
+router.post('/verify-otp',
+  smsValidator.verifyOtp,
+  validate,
+  BaseController.asyncHandler(SmsController.verifyOtp)
+);
+
+// GET /api/sms/otp-status
+// Remaining OTP time, resend cooldown and lockout state
+router.get('/otp-status',
+  smsValidator.otpStatus,
+  validate,
+  BaseController.asyncHandler(SmsController.getOtpStatus)
+);
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const StockLocationController = require('../controllers/StockLocationController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { stockLocationValidator, validate } = require('../validators/stockLocationValidator');
+
+/**
+ * Stock Location Routes (MVC Pattern)
+ */
+
+// GET /api/stock-locations/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.list,
+  validate,
+  BaseController.asyncHandler(StockLocationController.getAll)
+);
+
+// POST /api/stock-locations/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.create,
+  validate,
+  BaseController.asyncHandler(StockLocationController.create)
+);
+
+// GET /api/stock-locations/:theaterId/balances
+// Also used by the stock page of each product, so no page access check
+router.get('/:theaterId/balances',
+  authenticateToken,
+  requireTheaterAccess,
+  stockLocationValidator.balances,
+  validate,
+  BaseController.asyncHandler(StockLocationController.getBalances)
+);
+
+// GET /api/stock-locations/:theaterId/transfers
+router.get('/:theaterId/transfers',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.transfers,
+  validate,
+  BaseController.asyncHandler(StockLocationController.getTransfers)
+);
+
+// POST /api/stock-locations/:theaterId/transfers
+router.post('/:theaterId/transfers',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.requestTransfer,
+  validate,
+  BaseController.asyncHandler(StockLocationController.requestTransfer)
+);
+
+// PUT /api/stock-locations/:theaterId/transfers/:transferId/dispatch
+router.put('/:theaterId/transfers/:transferId/dispatch',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.dispatchTransfer,
+  validate,
+  BaseController.asyncHandler(StockLocationController.dispatchTransfer)
+);
+
+// PUT /api/stock-locations/:theaterId/transfers/:transferId/receive
+router.put('/:theaterId/transfers/:transferId/receive',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.receiveTransfer,
+  validate,
+  BaseController.asyncHandler(StockLocationController.receiveTransfer)
+);
+
+// PUT /api/stock-locations/:theaterId/transfers/:transferId/cancel
+router.put('/:theaterId/transfers/:transferId/cancel',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.cancelTransfer,
+  validate,
+  BaseController.asyncHandler(StockLocationController.cancelTransfer)
+);
+
+// PUT /api/stock-locations/:theaterId/:locationId
+router.put('/:theaterId/:locationId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.update,
+  validate,
+  BaseController.asyncHandler(StockLocationController.update)
+);
+
+// DELETE /api/stock-locations/:theaterId/:locationId
+router.delete('/:theaterId/:locationId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTransfers'),
+  stockLocationValidator.remove,
+  validate,
+  BaseController.asyncHandler(StockLocationController.delete)
+);
+
+module.exports = router;
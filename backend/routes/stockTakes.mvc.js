@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const StockCountController = require('../controllers/StockCountController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { stockCountValidator, validate } = require('../validators/stockCountValidator');
+
+/**
+ * Stock Count Routes (MVC Pattern)
+ */
+
+// GET /api/stock-takes/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.list,
+  validate,
+  BaseController.asyncHandler(StockCountController.getAll)
+);
+
+// POST /api/stock-takes/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.create,
+  validate,
+  BaseController.asyncHandler(StockCountController.create)
+);
+
+// GET /api/stock-takes/:theaterId/:countId
+router.get('/:theaterId/:countId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.get,
+  validate,
+  BaseController.asyncHandler(StockCountController.getById)
+);
+
+// PUT /api/stock-takes/:theaterId/:countId/items
+router.put('/:theaterId/:countId/items',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.updateItems,
+  validate,
+  BaseController.asyncHandler(StockCountController.updateItems)
+);
+
+// PUT /api/stock-takes/:theaterId/:countId/submit
+router.put('/:theaterId/:countId/submit',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.action,
+  validate,
+  BaseController.asyncHandler(StockCountController.submit)
+);
+
+// PUT /api/stock-takes/:theaterId/:countId/reopen
+router.put('/:theaterId/:countId/reopen',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.action,
+  validate,
+  BaseController.asyncHandler(StockCountController.reopen)
+);
+
+// PUT /api/stock-takes/:theaterId/:countId/approve
+router.put('/:theaterId/:countId/approve',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.approve,
+  validate,
+  BaseController.asyncHandler(StockCountController.approve)
+);
+
+// PUT /api/stock-takes/:theaterId/:countId/cancel
+router.put('/:theaterId/:countId/cancel',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterStockTakes'),
+  stockCountValidator.action,
+  validate,
+  BaseController.asyncHandler(StockCountController.cancel)
+);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const SupplierController = require('../controllers/SupplierController');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { supplierValidator, validate } = require('../validators/supplierValidator');
+
+/**
+ * Supplier Routes (MVC Pattern)
+ */
+
+// GET /api/suppliers/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSuppliers'),
+  supplierValidator.list,
+  validate,
+  BaseController.asyncHandler(SupplierController.getAll)
+);
+
+// POST /api/suppliers/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSuppliers'),
+  supplierValidator.create,
+  validate,
+  BaseController.asyncHandler(SupplierController.create)
+);
+
+// PUT /api/suppliers/:theaterId/:supplierId
+router.put('/:theaterId/:supplierId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSuppliers'),
+  supplierValidator.update,
+  validate,
+  BaseController.asyncHandler(SupplierController.update)
+);
+
+// DELETE /api/suppliers/:theaterId/:supplierId
+router.delete('/:theaterId/:supplierId',
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterSuppliers'),
+  supplierValidator.remove,
+  validate,
+  BaseController.asyncHandler(SupplierController.delete)
+);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireTheaterAccess, requirePageAccess } = require('../middleware/auth');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * GET /api/theater-product-sales/:theaterId
+ * Units and revenue per product for a date range
+ * Combos are reported as sold, with the component products they used up;
+ * `components` totals every product's units whether sold on its own or inside a combo.
+ */
+router.get('/:theaterId', [
+  authenticateToken,
+  requireTheaterAccess,
+  requirePageAccess('TheaterReports'),
+  param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { theaterId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const orderMatch = { 'orderList.status': { $ne: 'cancelled' } };
+    if (startDate || endDate) {
+      orderMatch['orderList.createdAt'] = {};
+      if (startDate) orderMatch['orderList.createdAt'].$gte = new Date(startDate);
+      if (endDate) orderMatch['orderList.createdAt'].$lte = new Date(endDate);
+    }
+
+    const orders = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      { $match: orderMatch },
+      { $project: { _id: 0, items: '$orderList.items' } }
+    ]).maxTimeMS(20000).toArray();
+
+    const products = new Map();
+    const combos = new Map();
+    const components = new Map();
+
+    const addComponentUnits = (productId, name, quantity, field) => {
+      const key = String(productId);
+      if (!components.has(key)) {
+        components.set(key, { productId: key, name, soldDirect: 0, soldInCombos: 0, totalQuantity: 0 });
+      }
+      const row = components.get(key);
+      row[field] += quantity;
+      row.totalQuantity += quantity;
+    };
+
+    for (const order of orders) {
+      for (const item of order.items || []) {
+        const key = String(item.productId);
+        const name = item.productName || item.name || 'Unknown';
+        const quantity = item.quantity || 0;
+        const revenue = item.total ?? item.totalPrice ?? (item.unitPrice || 0) * quantity;
+
+        if (!products.has(key)) {
+          products.set(key, { productId: key, name, isCombo: Boolean(item.isCombo), quantity: 0, revenue: 0 });
+        }
+        const productRow = products.get(key);
+        productRow.quantity += quantity;
+        productRow.revenue += revenue;
+
+        if (!item.isCombo || !item.comboItems?.length) {
+          addComponentUnits(key, name, quantity, 'soldDirect');
+          continue;
+        }
+
+        if (!combos.has(key)) {
+          combos.set(key, { productId: key, name, quantity: 0, revenue: 0, components: new Map() });
+        }
+        const comboRow = combos.get(key);
+        comboRow.quantity += quantity;
+        comboRow.revenue += revenue;
+
+        for (const component of item.comboItems) {
+          const componentKey = String(component.productId);
+          const units = (component.quantity || 1) * quantity;
+          const componentRow = comboRow.components.get(componentKey) ||
+            { productId: componentKey, name: component.productName, quantity: 0 };
+          componentRow.quantity += units;
+          comboRow.components.set(componentKey, componentRow);
+          addComponentUnits(componentKey, component.productName, units, 'soldInCombos');
+        }
+      }
+    }
+
+    const productRows = [...products.values()]
+      .map(row => ({ ...row, revenue: roundAmount(row.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue);
+    const comboRows = [...combos.values()]
+      .map(row => ({ ...row, revenue: roundAmount(row.revenue), components: [...row.components.values()] }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    res.json({
+      success: true,
+      data: {
+        products: productRows,
+        combos: comboRows,
+        components: [...components.values()].sort((a, b) => b.totalQuantity - a.totalQuantity),
+        summary: {
+          orders: orders.length,
+          itemsSold: productRows.reduce((sum, row) => sum + row.quantity, 0),
+          revenue: roundAmount(productRows.reduce((sum, row) => sum + row.revenue, 0)),
+          comboRevenue: roundAmount(comboRows.reduce((sum, row) => sum + row.revenue, 0))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Product sales report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product sales',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Fake Payment Gateway (local testing)
+ *
+ * A small in-memory Razorpay-compatible API that can also deliver signed
+ * webhooks, so create-order → pay → webhook/verify → reconciliation → refund can be
+ * exercised end to end without real gateway credentials.
+ *
+ * 1. Start the fake gateway:
+ *      node backend/scripts/fake-payment-gateway.js
+ * 2. Start the backend against it:
+ *      RAZORPAY_API_BASE=http://localhost:4010/v1 npm start
+ *    The theater's razorpay webhookSecret must equal FAKE_GATEWAY_WEBHOOK_SECRET.
+ * 3. Create a payment order as usual (POST /api/payments/create-order), then pay it:
+ *      curl -X POST localhost:4010/_fake/orders/<gatewayOrderId>/pay
+ *      curl -X POST localhost:4010/_fake/orders/<gatewayOrderId>/pay -d '{"status":"failed"}'
+ *      curl -X POST localhost:4010/_fake/orders/<gatewayOrderId>/pay -d '{"webhook":false}'
+ *    The last form skips the webhook, leaving the payment for the reconciliation job.
+ *    Pay responses include razorpay_* fields that can be posted to /api/payments/verify.
+ *
+ * Environment:
+ *   FAKE_GATEWAY_PORT            (default 4010)
+ *   FAKE_GATEWAY_WEBHOOK_SECRET  (default fake_webhook_secret)
+ *   BACKEND_URL                  (default http://localhost:8080)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PORT = parseInt(process.env.FAKE_GATEWAY_PORT, 10) || 4010;
+const WEBHOOK_SECRET = process.env.FAKE_GATEWAY_WEBHOOK_SECRET || 'fake_webhook_secret';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+
+const orders = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const hmacHex = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+// Basic auth carries keyId:keySecret, which the checkout signature needs
+const readKeySecret = (req) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return null;
+  const [, keySecret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+  return keySecret || null;
+};
+
+async function deliverWebhook(order, payment) {
+  const theaterId = order.notes?.theaterId;
+  if (!theaterId) {
+    console.warn(`⚠️  Order ${order.id} has no theaterId note - webhook skipped`);
+    return null;
+  }
+
+  const event = payment.status === 'captured' ? 'payment.captured' : 'payment.failed';
+  const rawBody = JSON.stringify({
+    entity: 'event',
+    event,
+    payload: { payment: { entity: payment } },
+    created_at: Math.floor(Date.now() / 1000)
+  });
+
+  const url = `${BACKEND_URL}/api/payments/webhook/razorpay/${theaterId}`;
+  try {
+    const response = await axios.post(url, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': hmacHex(WEBHOOK_SECRET, rawBody),
+        'X-Razorpay-Event-Id': randomId('evt')
+      },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+    console.log(`📨 Webhook ${event} for ${order.id} → ${response.status}`);
+    return { status: response.status, body: response.data };
+  } catch (error) {
+    console.error(`❌ Webhook delivery failed: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  // POST /v1/orders
+  if (req.method === 'POST' && url.pathname === '/v1/orders') {
+    const body = await readBody(req);
+    const order = {
+      id: randomId('order'),
+      entity: 'order',
+      amount: body.amount,
+      amount_paid: 0,
+      currency: body.currency || 'INR',
+      receipt: body.receipt,
+      notes: body.notes || {},
+      status: 'created',
+      created_at: Math.floor(Date.now() / 1000),
+      payments: [],
+      keySecret: readKeySecret(req)
+    };
+    orders.set(order.id, order);
+    console.log(`🧾 Order ${order.id} created for ${order.amount} ${order.currency}`);
+    const { payments, keySecret, ...publicOrder } = order;
+    return send(res, 200, publicOrder);
+  }
+
+  // GET /v1/orders/:id/payments
+  if (req.method === 'GET' && parts[0] === 'v1' && parts[1] === 'orders' && parts[3] === 'payments') {
+    const order = orders.get(parts[2]);
+    if (!order) {
+      return send(res, 404, { error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+    }
+    return send(res, 200, { entity: 'collection', count: order.payments.length, items: order.payments });
+  }
+
+  // POST /v1/payments/:id/refund
+  if (req.method === 'POST' && parts[0] === 'v1' && parts[1] === 'payments' && parts[3] === 'refund') {
+    const order = [...orders.values()].find(o => o.payments.some(p => p.id === parts[2]));
+    const payment = order?.payments.find(p => p.id === parts[2]);
+    if (!payment || payment.status !== 'captured') {
+      return send(res, 400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The payment has not been captured' } });
+    }
+
+    const body = await readBody(req);
+    const amount = body.amount || payment.amount;
+    if ((payment.amount_refunded || 0) + amount > payment.amount) {
+      return send(res, 400, { error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount exceeds the amount captured' } });
+    }
+    payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+
+    console.log(`↩️  Refund of ${amount} on ${payment.id}`);
+    return send(res, 200, {
+      id: randomId('rfnd'),
+      entity: 'refund',
+      payment_id: payment.id,
+      amount,
+      currency: payment.currency,
+      status: 'processed',
+      created_at: Math.floor(Date.now() / 1000)
+    });
+  }
+
+  // POST /_fake/orders/:id/pay
+  if (req.method === 'POST' && parts[0] === '_fake' && parts[1] === 'orders' && parts[3] === 'pay') {
+    const order = orders.get(parts[2]);
+    if (!order) {
+      return send(res, 404, { error: 'Order not found' });
+    }
+
+    const body = await readBody(req);
+    const status = body.status === 'failed' ? 'failed' : 'captured';
+    const payment = {
+      id: randomId('pay'),
+      entity: 'payment',
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      status,
+      method: body.method || 'upi',
+      error_code: status === 'failed' ? 'BAD_REQUEST_ERROR' : null,
+      error_description: status === 'failed' ? 'Payment declined by fake gateway' : null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    order.payments.push(payment);
+    if (status === 'captured') {
+      order.status = 'paid';
+      order.amount_paid = order.amount;
+    }
+
+    const webhook = body.webhook === false ? null : await deliverWebhook(order, payment);
+
+    return send(res, 200, {
+      payment,
+      webhook,
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: order.keySecret ? hmacHex(order.keySecret, `${order.id}|${payment.id}`) : null
+    });
+  }
+
+  // GET /_fake/orders
+  if (req.method === 'GET' && url.pathname === '/_fake/orders') {
+    return send(res, 200, [...orders.values()].map(({ keySecret, ...order }) => order));
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    console.error('❌ Fake gateway error:', error);
+    send(res, 500, { error: error.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`💳 Fake payment gateway listening on http://localhost:${PORT}`);
+  console.log(`   Set RAZORPAY_API_BASE=http://localhost:${PORT}/v1 for the backend`);
+  console.log(`   Webhooks → ${BACKEND_URL} (secret: ${WEBHOOK_SECRET})`);
+});
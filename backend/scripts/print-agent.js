@@ -0,0 +1,196 @@
+/**
+ * Print Agent
+ *
+ * Runs on the till (or any machine on the counter's network) and passes ESC/POS jobs
+ * from the POS, kiosk and offline POS to thermal printers. Browsers can't open raw
+ * printer sockets or USB devices, so the web app renders the bytes and posts them here.
+ *
+ *   node backend/scripts/print-agent.js
+ *
+ * Protocol (JSON over HTTP, bound to 127.0.0.1 only):
+ *   GET  /status  → { ok: true, agent: 'yqpay-print-agent', version }
+ *   POST /print   ← { jobs: [{ id, printer: { name, connection: { type, address } }, copies, data }] }
+ *                 → { results: [{ id, ok, error? }] }
+ *
+ *   data is the ESC/POS byte stream, base64 encoded.
+ *   connection.type 'network' sends the bytes to address host[:port] (raw printing, port 9100 by default);
+ *   'device' writes them to a device path on this machine (e.g. /dev/usb/lp0, COM3 or \\localhost\Receipt).
+ *
+ * Any page open in a browser on this machine can reach 127.0.0.1, so the agent only talks to the
+ * web app's origin, every request must carry the shared key in X-Print-Agent-Key (which also makes
+ * the browser ask first), /print only takes application/json, and jobs only go to the printers
+ * listed here - never to an address or path named in the request.
+ *
+ * Environment:
+ *   PRINT_AGENT_PORT      (default 9130)
+ *   PRINT_AGENT_KEY       shared key, entered in Settings → Printers on this computer (required)
+ *   PRINT_AGENT_ORIGINS   web app origins allowed to print, comma separated, e.g. https://pos.example.com (required)
+ *   PRINT_AGENT_PRINTERS  printers this agent sends to, comma separated: host[:port] for network printers,
+ *                         device:<path> for local ones, e.g. 192.168.1.50:9100,device:/dev/usb/lp0 (required)
+ */
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PRINT_AGENT_PORT, 10) || 9130;
+const VERSION = 2;
+const JOB_TIMEOUT_MS = 10000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_PRINTER_PORT = 9100;
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// host:port with the default raw printing port filled in, so 10.0.0.5 and 10.0.0.5:9100 are the same printer
+const normalizeNetworkAddress = (address) => {
+  const [host, port] = String(address).trim().toLowerCase().split(':');
+  return `${host}:${parseInt(port, 10) || DEFAULT_PRINTER_PORT}`;
+};
+
+const AGENT_KEY = process.env.PRINT_AGENT_KEY || '';
+const ALLOWED_ORIGINS = new Set(splitList(process.env.PRINT_AGENT_ORIGINS).map(origin => origin.replace(/\/+$/, '')));
+const NETWORK_PRINTERS = new Set();
+const DEVICE_PRINTERS = new Set();
+splitList(process.env.PRINT_AGENT_PRINTERS).forEach(entry => {
+  if (entry.startsWith('device:')) {
+    DEVICE_PRINTERS.add(entry.slice('device:'.length));
+  } else {
+    NETWORK_PRINTERS.add(normalizeNetworkAddress(entry));
+  }
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sendToNetworkPrinter = (address, data) => new Promise((resolve, reject) => {
+  const [host, port] = address.split(':');
+  const socket = net.connect({ host, port: parseInt(port, 10) });
+  socket.setTimeout(JOB_TIMEOUT_MS, () => socket.destroy(new Error(`Printer ${address} did not respond`)));
+  socket.on('error', reject);
+  socket.on('connect', () => socket.end(data));
+  socket.on('close', (hadError) => { if (!hadError) resolve(); });
+});
+
+const sendToDevice = (path, data) => fs.promises.writeFile(path, data);
+
+const runJob = async (job) => {
+  const connection = job.printer?.connection || {};
+  if (!connection.address || typeof job.data !== 'string') {
+    throw new Error('Job needs printer.connection.address and data');
+  }
+
+  const isDevice = connection.type === 'device';
+  const address = isDevice ? String(connection.address) : normalizeNetworkAddress(connection.address);
+  if (!(isDevice ? DEVICE_PRINTERS : NETWORK_PRINTERS).has(address)) {
+    throw new Error(`Printer ${connection.address} is not set up on this print agent (PRINT_AGENT_PRINTERS)`);
+  }
+
+  const data = Buffer.from(job.data, 'base64');
+  const copies = Math.min(Math.max(parseInt(job.copies, 10) || 1, 1), 5);
+  for (let copy = 0; copy < copies; copy++) {
+    if (isDevice) {
+      await sendToDevice(address, data);
+    } else {
+      await sendToNetworkPrinter(address, data);
+    }
+  }
+};
+
+const hasValidKey = (req) => {
+  const given = Buffer.from(String(req.headers['x-print-agent-key'] || ''));
+  const expected = Buffer.from(AGENT_KEY);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  // The web app is served from another origin; Chrome also asks before a public page reaches localhost.
+  // Other pages get no CORS headers, and are turned away before anything runs.
+  const origin = req.headers.origin;
+  if (origin) {
+    if (!ALLOWED_ORIGINS.has(origin)) {
+      return send(res, 403, { error: 'Origin not allowed' });
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Print-Agent-Key');
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (!hasValidKey(req)) {
+    return send(res, 401, { error: 'Missing or wrong print agent key' });
+  }
+
+  if (req.method === 'GET' && req.url === '/status') {
+    return send(res, 200, { ok: true, agent: 'yqpay-print-agent', version: VERSION });
+  }
+
+  if (req.method === 'POST' && req.url === '/print') {
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+      return send(res, 415, { error: 'Content-Type must be application/json' });
+    }
+
+    let jobs;
+    try {
+      jobs = JSON.parse(await readBody(req)).jobs;
+    } catch (error) {
+      return send(res, 400, { error: 'Invalid JSON body' });
+    }
+    if (!Array.isArray(jobs)) {
+      return send(res, 400, { error: 'jobs must be a list' });
+    }
+
+    const results = [];
+    for (const job of jobs) {
+      try {
+        await runJob(job);
+        results.push({ id: job.id, ok: true });
+        console.log(`🖨️  ${job.id || 'job'} → ${job.printer?.name || job.printer?.connection?.address}`);
+      } catch (error) {
+        results.push({ id: job.id, ok: false, error: error.message });
+        console.error(`❌ ${job.id || 'job'} → ${job.printer?.name || job.printer?.connection?.address}: ${error.message}`);
+      }
+    }
+    return send(res, 200, { results });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+});
+
+const missing = [
+  !AGENT_KEY && 'PRINT_AGENT_KEY',
+  ALLOWED_ORIGINS.size === 0 && 'PRINT_AGENT_ORIGINS',
+  NETWORK_PRINTERS.size + DEVICE_PRINTERS.size === 0 && 'PRINT_AGENT_PRINTERS'
+].filter(Boolean);
+if (missing.length > 0) {
+  console.error(`❌ Set ${missing.join(', ')} before starting the print agent`);
+  process.exit(1);
+}
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`🖨️  Print agent listening on http://127.0.0.1:${PORT}`);
+});
@@ -164,8 +164,14 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Payment webhooks are signed over the exact bytes received (JSON, or form posts from Paytm)
+const keepWebhookRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+    req.rawBody = buf;
+  }
+};
+app.use(express.json({ limit: '50mb', verify: keepWebhookRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: keepWebhookRawBody }));
 
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -193,6 +199,13 @@ if (!MONGODB_URI.startsWith('mongodb://') && !MONGODB_URI.startsWith('mongodb+sr
   process.exit(1);
 }
 
+// Customer OTPs are hashed with OTP_HASH_SECRET (or JWT_SECRET); there is no default
+if (!process.env.OTP_HASH_SECRET && !process.env.JWT_SECRET) {
+  console.error('❌ OTP_HASH_SECRET is not set in environment variables!');
+  console.error('   Please set OTP_HASH_SECRET (or JWT_SECRET) in your .env file');
+  process.exit(1);
+}
+
 // Check for common connection string issues
 if (MONGODB_URI.startsWith('mongodb+srv://')) {
   console.log('ℹ️  Using MongoDB Atlas connection (mongodb+srv://)');
@@ -271,6 +284,18 @@ if (connectWithOptimizedPooling) {
       // Start expired stock scheduler after DB connection
       const { startExpiredStockScheduler } = require('./jobs/expiredStockScheduler');
       startExpiredStockScheduler();
+
+      // Reconcile payments the gateway never confirmed
+      const { startPaymentReconciliation } = require('./jobs/paymentReconciliation');
+      startPaymentReconciliation();
+
+      // Send scheduled seat orders to the kitchen ahead of their slot
+      const { startScheduledOrderRelease } = require('./jobs/scheduledOrderRelease');
+      startScheduledOrderRelease();
+
+      // Take expired loyalty points off customer balances
+      const { startLoyaltyExpiry } = require('./jobs/loyaltyExpiry');
+      startLoyaltyExpiry();
       
       // Initialize stock email notification jobs
       try {
@@ -381,6 +406,18 @@ if (connectWithOptimizedPooling) {
     // Start expired stock scheduler after DB connection
     const { startExpiredStockScheduler } = require('./jobs/expiredStockScheduler');
     startExpiredStockScheduler();
+
+    // Reconcile payments the gateway never confirmed
+    const { startPaymentReconciliation } = require('./jobs/paymentReconciliation');
+    startPaymentReconciliation();
+
+    // Send scheduled seat orders to the kitchen ahead of their slot
+    const { startScheduledOrderRelease } = require('./jobs/scheduledOrderRelease');
+    startScheduledOrderRelease();
+
+    // Take expired loyalty points off customer balances
+    const { startLoyaltyExpiry } = require('./jobs/loyaltyExpiry');
+    startLoyaltyExpiry();
     
     // Initialize stock email notification jobs
     try {
@@ -635,6 +672,7 @@ if (cacheMiddleware) {
 
 app.use('/api/theater-kiosk-types', require('./routes/theater-kiosk-types'));
 app.use('/api/theater-banners', require('./routes/theater-banners')); // Theater Banners CRUD
+app.use('/api/theater-product-sales', require('./routes/theater-product-sales')); // Product and combo sales
 
 // Orders (MVC pattern - no cache - real-time data)
 app.use('/api/orders', authenticatedLimiter || generalLimiter, orderRoutesMVC);
@@ -716,6 +754,56 @@ const paymentRoutesMVC = require('./routes/payments.mvc');
 app.use('/api/payments', paymentRoutesMVC);
 // app.use('/api/payments', paymentRoutes); // OLD - kept for reference
 
+// Coupons (MVC pattern - no cache - usage counts change per order)
+const couponRoutesMVC = require('./routes/coupons.mvc');
+app.use('/api/coupons', couponRoutesMVC);
+
+// Seat delivery (MVC pattern - no cache - runner queues change every minute)
+const deliveryRoutesMVC = require('./routes/delivery.mvc');
+app.use('/api/delivery', deliveryRoutesMVC);
+
+// Suppliers and purchase orders (MVC pattern - no cache - receipts change stock)
+const supplierRoutesMVC = require('./routes/suppliers.mvc');
+app.use('/api/suppliers', supplierRoutesMVC);
+const purchaseOrderRoutesMVC = require('./routes/purchaseOrders.mvc');
+app.use('/api/purchase-orders', purchaseOrderRoutesMVC);
+
+// Raw materials and recipes (MVC pattern - no cache - every sale consumes ingredients)
+const rawMaterialRoutesMVC = require('./routes/rawMaterials.mvc');
+app.use('/api/raw-materials', rawMaterialRoutesMVC);
+
+// Stock locations and transfers (MVC pattern - no cache - sales move location balances)
+const stockLocationRoutesMVC = require('./routes/stockLocations.mvc');
+app.use('/api/stock-locations', stockLocationRoutesMVC);
+
+// Stock-takes (MVC pattern - no cache - counts are recorded live)
+const stockTakeRoutesMVC = require('./routes/stockTakes.mvc');
+app.use('/api/stock-takes', stockTakeRoutesMVC);
+
+// Receipt and kitchen printers (MVC pattern - no cache - tills cache the print profile themselves)
+const printerRoutesMVC = require('./routes/printers.mvc');
+app.use('/api/printers', printerRoutesMVC);
+
+// Cashier shifts and X/Z reports (MVC pattern - no cache - drawer totals change with every sale)
+const shiftRoutesMVC = require('./routes/shifts.mvc');
+app.use('/api/shifts', shiftRoutesMVC);
+
+// Showtimes and seat ordering windows (MVC pattern - no cache - the window moves with the clock)
+const showtimeRoutesMVC = require('./routes/showtimes.mvc');
+app.use('/api/showtimes', showtimeRoutesMVC);
+
+// Loyalty programs and points (MVC pattern - no cache - balances change with every order)
+const loyaltyRoutesMVC = require('./routes/loyalty.mvc');
+app.use('/api/loyalty', loyaltyRoutesMVC);
+
+// Order feedback dashboard (MVC pattern - no cache - new ratings come in all the time)
+const feedbackRoutesMVC = require('./routes/feedback.mvc');
+app.use('/api/feedback', feedbackRoutesMVC);
+
+// Customer accounts - orders and notifications for the signed-in customer (MVC pattern - no cache - per customer)
+const customerRoutesMVC = require('./routes/customers.mvc');
+app.use('/api/customers', customerRoutesMVC);
+
 // Theater users (MVC pattern - cache for 2 minutes)
 const theaterUserRoutesMVC = require('./routes/theaterUsers.mvc');
 // const theaterUserRoutes = require('./routes/theaterUsersArray'); // OLD - file removed
@@ -0,0 +1,366 @@
+const BaseService = require('./BaseService');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponPhoneUsage = require('../models/CouponPhoneUsage');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+const { normalizePhoneNumber, phoneNumberVariants } = require('../utils/otpService');
+
+// Fields an admin can set on a coupon
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscountAmount', 'minOrderValue',
+  'applicableCategories', 'applicableProducts', 'validFrom', 'validUntil',
+  'usageLimit', 'perPhoneLimit', 'isActive'
+];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Coupon Service
+ * Handles coupon management, validation at checkout and redemption tracking
+ */
+class CouponService extends BaseService {
+  constructor() {
+    super(Coupon);
+  }
+
+  /**
+   * Current state of a coupon for listings
+   * @returns {string} active | inactive | scheduled | expired | exhausted
+   */
+  getCouponStatus(coupon, now = new Date()) {
+    if (!coupon.isActive) return 'inactive';
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) return 'scheduled';
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) return 'expired';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return 'exhausted';
+    return 'active';
+  }
+
+  /**
+   * Get coupons for theater
+   */
+  async getCoupons(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === 'true';
+    }
+
+    const result = await this.findAll(filter, { page, limit, sort: { createdAt: -1 } });
+    const now = new Date();
+    result.data = result.data.map(coupon => ({ ...coupon, status: this.getCouponStatus(coupon, now) }));
+    return result;
+  }
+
+  /**
+   * Pick editable fields and check they make sense together
+   */
+  buildCouponData(data, existing = {}) {
+    const couponData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) couponData[field] = data[field];
+    });
+    if (couponData.code !== undefined) couponData.code = normalizeCode(couponData.code);
+
+    const merged = { ...existing, ...couponData };
+    if (merged.discountType === 'percent' && merged.discountValue > 100) {
+      throw serviceError('Percentage discount cannot exceed 100', 400, 'INVALID_COUPON');
+    }
+    if (merged.validFrom && merged.validUntil && new Date(merged.validUntil) <= new Date(merged.validFrom)) {
+      throw serviceError('Valid until must be after valid from', 400, 'INVALID_COUPON');
+    }
+    return couponData;
+  }
+
+  /**
+   * Create coupon
+   */
+  async createCoupon(theaterId, data, userId = null) {
+    const couponData = this.buildCouponData(data);
+
+    try {
+      const coupon = await Coupon.create({
+        ...couponData,
+        theaterId,
+        createdBy: userId && mongoose.Types.ObjectId.isValid(userId) ? userId : null
+      });
+      return coupon.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Coupon code ${couponData.code} already exists`, 409, 'COUPON_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update coupon
+   */
+  async updateCoupon(theaterId, couponId, data) {
+    const existing = await Coupon.findOne({ _id: couponId, theaterId }).lean();
+    if (!existing) {
+      throw serviceError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+    }
+
+    const couponData = this.buildCouponData(data, existing);
+
+    try {
+      return await Coupon.findByIdAndUpdate(couponId, { $set: couponData }, { new: true, runValidators: true }).lean();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Coupon code ${couponData.code} already exists`, 409, 'COUPON_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete coupon
+   * Redemptions keep the code so past orders still report correctly.
+   */
+  async deleteCoupon(theaterId, couponId) {
+    const coupon = await Coupon.findOneAndDelete({ _id: couponId, theaterId }).lean();
+    if (!coupon) {
+      throw serviceError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+    }
+    return coupon;
+  }
+
+  /**
+   * Check a code against an order and work out the discount
+   * @param {Array} lines - [{ productId, categoryId, amount }] where amount is the line value after product discounts
+   * @param {Object} context - { phone }
+   * @returns {Promise<Object>} { coupon, discountAmount, allocations } - allocations[i] is the share of line i
+   */
+  async applyCoupon(theaterId, code, lines, { phone } = {}) {
+    const coupon = await Coupon.findOne({
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      code: normalizeCode(code)
+    }).lean();
+
+    if (!coupon) {
+      throw serviceError('Invalid coupon code', 404, 'COUPON_NOT_FOUND');
+    }
+
+    const status = this.getCouponStatus(coupon);
+    const statusErrors = {
+      inactive: ['This coupon is no longer active', 'COUPON_INACTIVE'],
+      scheduled: ['This coupon is not valid yet', 'COUPON_NOT_STARTED'],
+      expired: ['This coupon has expired', 'COUPON_EXPIRED'],
+      exhausted: ['This coupon has reached its usage limit', 'COUPON_USAGE_LIMIT']
+    };
+    if (statusErrors[status]) {
+      throw serviceError(statusErrors[status][0], 400, statusErrors[status][1]);
+    }
+
+    // Checked again atomically when the order claims the coupon (redeem)
+    if (coupon.perPhoneLimit) {
+      const normalizedPhone = normalizePhoneNumber(phone);
+      if (!normalizedPhone) {
+        throw serviceError('A phone number is required to use this coupon', 400, 'COUPON_PHONE_REQUIRED');
+      }
+      if (await this.getPhoneUsage(coupon._id, normalizedPhone) >= coupon.perPhoneLimit) {
+        throw serviceError('You have already used this coupon', 400, 'COUPON_PHONE_LIMIT');
+      }
+    }
+
+    const orderValue = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (orderValue < (coupon.minOrderValue || 0)) {
+      throw serviceError(`Add items worth ₹${roundAmount(coupon.minOrderValue - orderValue)} more to use this coupon`, 400, 'COUPON_MIN_ORDER');
+    }
+
+    const categories = (coupon.applicableCategories || []).map(String);
+    const products = (coupon.applicableProducts || []).map(String);
+    const restricted = categories.length > 0 || products.length > 0;
+    const isEligible = (line) => !restricted ||
+      products.includes(String(line.productId)) ||
+      (line.categoryId && categories.includes(String(line.categoryId)));
+
+    const eligibleIndexes = lines.map((line, index) => (isEligible(line) && line.amount > 0 ? index : -1))
+      .filter(index => index >= 0);
+    const eligibleValue = eligibleIndexes.reduce((sum, index) => sum + lines[index].amount, 0);
+    if (eligibleValue <= 0) {
+      throw serviceError('This coupon does not apply to any item in your order', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    let discountAmount = coupon.discountType === 'percent'
+      ? eligibleValue * (coupon.discountValue / 100)
+      : coupon.discountValue;
+    if (coupon.discountType === 'percent' && coupon.maxDiscountAmount) {
+      discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+    }
+    discountAmount = roundAmount(Math.min(discountAmount, eligibleValue));
+
+    // Spread the discount over eligible lines by value so tax is computed on the discounted price
+    const allocations = lines.map(() => 0);
+    let remaining = discountAmount;
+    eligibleIndexes.forEach((index, position) => {
+      const share = position === eligibleIndexes.length - 1
+        ? remaining
+        : roundAmount(discountAmount * (lines[index].amount / eligibleValue));
+      allocations[index] = share;
+      remaining = roundAmount(remaining - share);
+    });
+
+    return { coupon, discountAmount, allocations };
+  }
+
+  /**
+   * Times a phone number has used a coupon
+   * Redemptions from before the usage counters, possibly stored in another phone format, are
+   * counted once into a new counter.
+   */
+  async getPhoneUsage(couponId, phone) {
+    const usage = await CouponPhoneUsage.findOne({ couponId, phone }).lean();
+    if (usage) return usage.count;
+
+    const count = await CouponRedemption.countDocuments({ couponId, phone: { $in: phoneNumberVariants(phone) } });
+    try {
+      await CouponPhoneUsage.create({ couponId, phone, count });
+      return count;
+    } catch (error) {
+      // Another checkout created it first
+      if (error.code !== 11000) throw error;
+      return (await CouponPhoneUsage.findOne({ couponId, phone }).lean()).count;
+    }
+  }
+
+  /**
+   * Claim one use of a coupon for a phone number, within its per-phone limit when it has one
+   * @returns {Promise<boolean>} false when the phone number has used up its limit
+   */
+  async claimPhoneUse(coupon, phone) {
+    await this.getPhoneUsage(coupon._id, phone);
+    const claimed = await CouponPhoneUsage.findOneAndUpdate(
+      {
+        couponId: coupon._id,
+        phone,
+        ...(coupon.perPhoneLimit && { count: { $lt: coupon.perPhoneLimit } })
+      },
+      { $inc: { count: 1 } },
+      { new: true }
+    ).lean();
+    return Boolean(claimed);
+  }
+
+  async releasePhoneUse(couponId, phone) {
+    await CouponPhoneUsage.updateOne(
+      { couponId, phone, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Record a coupon use against an order
+   * Claims the phone number's use and a global use atomically so both limits hold under concurrent checkouts.
+   */
+  async redeem(coupon, { theaterId, orderId, orderNumber, phone, source, discountAmount, orderTotal }) {
+    const normalizedPhone = normalizePhoneNumber(phone);
+    if (coupon.perPhoneLimit && !normalizedPhone) {
+      throw serviceError('A phone number is required to use this coupon', 400, 'COUPON_PHONE_REQUIRED');
+    }
+    if (normalizedPhone && !await this.claimPhoneUse(coupon, normalizedPhone)) {
+      throw serviceError('You have already used this coupon', 400, 'COUPON_PHONE_LIMIT');
+    }
+
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    ).lean();
+
+    if (!claimed) {
+      if (normalizedPhone) await this.releasePhoneUse(coupon._id, normalizedPhone);
+      throw serviceError('This coupon has reached its usage limit', 400, 'COUPON_USAGE_LIMIT');
+    }
+
+    return CouponRedemption.create({
+      couponId: coupon._id,
+      theaterId,
+      code: coupon.code,
+      orderId,
+      orderNumber,
+      phone: normalizedPhone,
+      source,
+      discountAmount,
+      orderTotal
+    });
+  }
+
+  /**
+   * Undo a redemption when the order could not be saved
+   */
+  async releaseRedemption(redemption) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    await Coupon.updateOne(
+      { _id: redemption.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    const phone = normalizePhoneNumber(redemption.phone);
+    if (phone) {
+      await this.releasePhoneUse(redemption.couponId, phone);
+    }
+  }
+
+  /**
+   * Redemptions per coupon for reports
+   */
+  async getRedemptionReport(theaterId, { startDate, endDate } = {}) {
+    const match = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const coupons = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$couponId',
+          code: { $last: '$code' },
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discountAmount' },
+          totalOrderValue: { $sum: '$orderTotal' },
+          phones: { $addToSet: '$phone' },
+          lastRedeemedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+
+    const rows = coupons.map(({ phones, ...row }) => ({
+      couponId: row._id,
+      code: row.code,
+      redemptions: row.redemptions,
+      uniqueCustomers: phones.filter(Boolean).length,
+      totalDiscount: roundAmount(row.totalDiscount),
+      totalOrderValue: roundAmount(row.totalOrderValue),
+      lastRedeemedAt: row.lastRedeemedAt
+    }));
+
+    return {
+      coupons: rows,
+      summary: {
+        redemptions: rows.reduce((sum, row) => sum + row.redemptions, 0),
+        totalDiscount: roundAmount(rows.reduce((sum, row) => sum + row.totalDiscount, 0)),
+        totalOrderValue: roundAmount(rows.reduce((sum, row) => sum + row.totalOrderValue, 0))
+      }
+    };
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const BaseService = require('./BaseService');
+const Customer = require('../models/Customer');
+const { maskPhoneNumber } = require('../utils/otpService');
+const { serviceError } = require('../utils/serviceError');
+
+const CUSTOMER_TOKEN_AUDIENCE = 'customer';
+const CUSTOMER_TOKEN_TTL = process.env.CUSTOMER_TOKEN_TTL || '2h';
+
+// Customer tokens are signed with their own secret so they can never pass as a staff login
+const getCustomerSecret = () => process.env.CUSTOMER_JWT_SECRET ||
+  `${process.env.JWT_SECRET || 'yqpaynow-super-secret-jwt-key-development-only'}:customer`;
+
+/**
+ * Customer Auth Service
+ * Customer sessions: a short-lived JWT issued after OTP verification, scoped to one phone number
+ */
+class CustomerAuthService extends BaseService {
+  constructor() {
+    super(Customer);
+  }
+
+  toProfile(customer) {
+    return {
+      _id: customer._id,
+      phoneNumber: customer.phoneNumber,
+      lastLoginAt: customer.lastLoginAt || null,
+      createdAt: customer.createdAt
+    };
+  }
+
+  /**
+   * Start a session for a phone number that has just passed OTP verification
+   * @returns {Object} { token, expiresAt, customer }
+   */
+  async createSession(phoneNumber) {
+    const customer = await Customer.findOneAndUpdate(
+      { phoneNumber },
+      { $set: { lastLoginAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const token = jwt.sign(
+      {
+        customerId: String(customer._id),
+        phoneNumber: customer.phoneNumber,
+        tokenVersion: customer.tokenVersion,
+        userType: 'customer'
+      },
+      getCustomerSecret(),
+      { expiresIn: CUSTOMER_TOKEN_TTL, audience: CUSTOMER_TOKEN_AUDIENCE }
+    );
+
+    console.log(`✅ Customer session started for ${maskPhoneNumber(customer.phoneNumber)}`);
+
+    return {
+      token,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+      customer: this.toProfile(customer)
+    };
+  }
+
+  /**
+   * Check a customer token and that the customer hasn't logged out everywhere since it was issued
+   * @returns {Object} { customerId, phoneNumber }
+   */
+  async verifySession(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getCustomerSecret(), { audience: CUSTOMER_TOKEN_AUDIENCE });
+    } catch (error) {
+      throw serviceError(
+        'Your session has expired. Please verify your phone number again.',
+        401,
+        error.name === 'TokenExpiredError' ? 'CUSTOMER_TOKEN_EXPIRED' : 'CUSTOMER_TOKEN_INVALID'
+      );
+    }
+
+    const customer = await Customer.findById(decoded.customerId).select('phoneNumber tokenVersion').lean();
+    if (!customer || customer.tokenVersion !== decoded.tokenVersion) {
+      throw serviceError('You have been logged out. Please verify your phone number again.', 401, 'CUSTOMER_SESSION_REVOKED');
+    }
+
+    return { customerId: String(customer._id), phoneNumber: customer.phoneNumber };
+  }
+
+  async getProfile(customerId) {
+    const customer = await Customer.findById(customerId).lean();
+    if (!customer) {
+      throw serviceError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+    return this.toProfile(customer);
+  }
+
+  /**
+   * End every session of a customer, on all devices
+   */
+  async logoutAll(customerId) {
+    const loggedOutAllAt = new Date();
+    await Customer.updateOne(
+      { _id: customerId },
+      { $inc: { tokenVersion: 1 }, $set: { loggedOutAllAt } }
+    );
+    return { loggedOutAllAt };
+  }
+}
+
+module.exports = new CustomerAuthService();
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const Customer = require('../models/Customer');
+const { serviceError } = require('../utils/serviceError');
+
+const toFavorite = (favorite) => ({
+  theaterId: String(favorite.theaterId),
+  productId: String(favorite.productId),
+  addedAt: favorite.addedAt
+});
+
+/**
+ * Customer Favorite Service
+ * A customer's favourite products, stored on their account per theater
+ */
+class CustomerFavoriteService extends BaseService {
+  constructor() {
+    super(Customer);
+  }
+
+  /**
+   * Ids of the products a theater sells
+   */
+  async getTheaterProductIds(theaterId) {
+    const productContainer = await mongoose.connection.db.collection('productlist').findOne(
+      { theater: new mongoose.Types.ObjectId(theaterId) },
+      { projection: { 'productList._id': 1 } }
+    );
+    return new Set((productContainer?.productList || []).map(product => String(product._id)));
+  }
+
+  /**
+   * Favourites, newest first - at one theater, or at every theater when theaterId is left out
+   * @returns {Promise<Array>} [{ theaterId, productId, addedAt }]
+   */
+  async getFavorites(customerId, theaterId = null) {
+    const customer = await Customer.findById(customerId).select('favorites').lean();
+    return (customer?.favorites || [])
+      .filter(favorite => !theaterId || String(favorite.theaterId) === String(theaterId))
+      .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt))
+      .map(toFavorite);
+  }
+
+  /**
+   * Add a product to the customer's favourites at a theater (no-op when it is already there)
+   */
+  async addFavorite(customerId, theaterId, productId) {
+    const productIds = await this.getTheaterProductIds(theaterId);
+    if (!productIds.has(String(productId))) {
+      throw serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const productObjectId = new mongoose.Types.ObjectId(productId);
+    await Customer.updateOne(
+      {
+        _id: customerId,
+        favorites: { $not: { $elemMatch: { theaterId: theaterObjectId, productId: productObjectId } } }
+      },
+      { $push: { favorites: { theaterId: theaterObjectId, productId: productObjectId, addedAt: new Date() } } }
+    );
+
+    return this.getFavorites(customerId, theaterId);
+  }
+
+  async removeFavorite(customerId, theaterId, productId) {
+    await Customer.updateOne(
+      { _id: customerId },
+      {
+        $pull: {
+          favorites: {
+            theaterId: new mongoose.Types.ObjectId(theaterId),
+            productId: new mongoose.Types.ObjectId(productId)
+          }
+        }
+      }
+    );
+
+    return this.getFavorites(customerId, theaterId);
+  }
+
+  /**
+   * Merge favourites saved on a device before the customer signed in
+   * Ids the theater doesn't sell are skipped.
+   */
+  async importFavorites(customerId, theaterId, productIds = []) {
+    const [theaterProductIds, existing] = await Promise.all([
+      this.getTheaterProductIds(theaterId),
+      this.getFavorites(customerId, theaterId)
+    ]);
+    const existingIds = new Set(existing.map(favorite => favorite.productId));
+    const addedAt = new Date();
+
+    const additions = [...new Set(productIds.map(String))]
+      .filter(productId => theaterProductIds.has(productId) && !existingIds.has(productId))
+      .map(productId => ({
+        theaterId: new mongoose.Types.ObjectId(theaterId),
+        productId: new mongoose.Types.ObjectId(productId),
+        addedAt
+      }));
+
+    if (additions.length > 0) {
+      await Customer.updateOne({ _id: customerId }, { $push: { favorites: { $each: additions } } });
+    }
+
+    return this.getFavorites(customerId, theaterId);
+  }
+}
+
+module.exports = new CustomerFavoriteService();
@@ -0,0 +1,438 @@
+const BaseService = require('./BaseService');
+const TheaterOrders = require('../models/TheaterOrders');
+const TheaterUserArray = require('../models/TheaterUserArray');
+const Theater = require('../models/Theater');
+const orderService = require('./OrderService');
+const eventBus = require('./eventBus');
+const { parseSeat, compareRows, compareSeats } = require('../utils/seatUtils');
+const { DEFAULT_PRE_ORDER_LEAD_MINUTES, deliveredAt, isOnTime, onTimeSummary } = require('../utils/deliverySlotUtils');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+
+// Staff pages that receive delivery assignment events
+const DELIVERY_EVENT_PAGES = ['TheaterDispatchBoard', 'TheaterRunnerView'];
+
+const roundMinutes = (ms) => Math.round(ms / 6000) / 10;
+
+const getSeat = (order) => order.seat || order.customerInfo?.seat || null;
+const getScreen = (order) => order.qrName || order.customerInfo?.screen || 'Other';
+
+const compareScreens = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+const toDeliverySettings = (theater) => ({
+  autoAssign: Boolean(theater?.settings?.autoAssignDelivery),
+  preOrderLeadMinutes: theater?.settings?.preOrderLeadMinutes ?? DEFAULT_PRE_ORDER_LEAD_MINUTES
+});
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null);
+
+/**
+ * Delivery Service
+ * Seat delivery for screen QR orders: dispatch board, runner assignment and delivery times
+ */
+class DeliveryService extends BaseService {
+  constructor() {
+    super(TheaterOrders);
+  }
+
+  /**
+   * Ready orders that go to a seat
+   */
+  async getReadySeatOrders(theaterId) {
+    const theaterOrders = await TheaterOrders.findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    })
+    .lean()
+    .maxTimeMS(20000);
+
+    return (theaterOrders?.orderList || []).filter(o => o.status === 'ready' && getSeat(o));
+  }
+
+  /**
+   * Active theater users who are on duty or still hold deliveries
+   */
+  async getRunners(theaterId, readyOrders = []) {
+    const usersDoc = await TheaterUserArray.findOne({
+      theaterId: new mongoose.Types.ObjectId(theaterId)
+    })
+    .lean()
+    .maxTimeMS(20000);
+
+    const activeDeliveries = new Map();
+    readyOrders.filter(o => o.assignedTo).forEach(o => {
+      const runnerId = String(o.assignedTo);
+      activeDeliveries.set(runnerId, (activeDeliveries.get(runnerId) || 0) + 1);
+    });
+
+    return (usersDoc?.users || [])
+      .filter(user => user.isActive && (user.onDuty || activeDeliveries.has(String(user._id))))
+      .map(user => ({
+        _id: user._id,
+        name: user.fullName || user.username,
+        username: user.username,
+        onDuty: Boolean(user.onDuty),
+        dutyChangedAt: user.dutyChangedAt || null,
+        activeDeliveries: activeDeliveries.get(String(user._id)) || 0
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Order fields shown on the dispatch board and runner queue
+   */
+  toDeliveryOrder(order) {
+    const seat = getSeat(order);
+    return {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      screen: getScreen(order),
+      seat,
+      row: parseSeat(seat).row,
+      customerName: order.customerInfo?.name || null,
+      items: (order.items || order.products || []).map(item => ({
+        name: item.productName || item.name,
+        quantity: item.quantity,
+        variants: item.variants || [],
+        comboItems: item.comboItems || []
+      })),
+      total: order.pricing?.total ?? order.totalAmount ?? 0,
+      paymentStatus: order.payment?.status || null,
+      specialInstructions: order.specialInstructions || '',
+      readyAt: order.timestamps?.readyAt || order.updatedAt,
+      targetTime: order.deliverySlot?.targetTime || null,
+      assignedTo: order.assignedTo || null,
+      runnerName: order.delivery?.runnerName || null,
+      assignedAt: order.delivery?.assignedAt || null,
+      autoAssigned: Boolean(order.delivery?.autoAssigned)
+    };
+  }
+
+  /**
+   * Ready seat orders grouped by screen and seat row, with the runners they can go to
+   */
+  async getDispatchBoard(theaterId) {
+    const [readyOrders, theater] = await Promise.all([
+      this.getReadySeatOrders(theaterId),
+      Theater.findById(theaterId).select('settings.autoAssignDelivery settings.preOrderLeadMinutes').lean()
+    ]);
+
+    const screens = new Map();
+    readyOrders.map(o => this.toDeliveryOrder(o)).forEach(order => {
+      if (!screens.has(order.screen)) screens.set(order.screen, new Map());
+      const rows = screens.get(order.screen);
+      if (!rows.has(order.row)) rows.set(order.row, []);
+      rows.get(order.row).push(order);
+    });
+
+    return {
+      screens: [...screens.entries()]
+        .sort(([a], [b]) => compareScreens(a, b))
+        .map(([screen, rows]) => ({
+          screen,
+          orderCount: [...rows.values()].reduce((sum, orders) => sum + orders.length, 0),
+          rows: [...rows.entries()]
+            .sort(([a], [b]) => compareRows(a, b))
+            .map(([row, orders]) => ({
+              row,
+              orders: orders.sort((a, b) => compareSeats(a.seat, b.seat))
+            }))
+        })),
+      runners: await this.getRunners(theaterId, readyOrders),
+      unassignedCount: readyOrders.filter(o => !o.assignedTo).length,
+      ...toDeliverySettings(theater)
+    };
+  }
+
+  /**
+   * Hand a ready seat order to an on-duty runner
+   * @param {Object} options - { assignedBy: req.user, autoAssigned, onlyIfUnassigned }
+   */
+  async assignOrder(theaterId, orderId, runnerId, { assignedBy = null, autoAssigned = false, onlyIfUnassigned = false } = {}) {
+    const runners = await this.getRunners(theaterId);
+    const runner = runners.find(r => String(r._id) === String(runnerId));
+    if (!runner || !runner.onDuty) {
+      throw serviceError('Runner is not on duty', 400, 'RUNNER_NOT_ON_DUTY');
+    }
+
+    const now = new Date();
+    const orderObjectId = new mongoose.Types.ObjectId(orderId);
+    const result = await mongoose.connection.db.collection('theaterorders').findOneAndUpdate(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        orderList: {
+          $elemMatch: {
+            _id: orderObjectId,
+            status: 'ready',
+            ...(onlyIfUnassigned && { assignedTo: null })
+          }
+        }
+      },
+      {
+        $set: {
+          'orderList.$.assignedTo': new mongoose.Types.ObjectId(String(runner._id)),
+          'orderList.$.delivery': {
+            runnerName: runner.name,
+            assignedAt: now,
+            assignedBy: assignedBy ? {
+              userId: toObjectId(assignedBy.userId),
+              username: assignedBy.username || null
+            } : null,
+            autoAssigned
+          },
+          'orderList.$.updatedAt': now,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!result.value) {
+      if (onlyIfUnassigned) return null;
+      const order = await orderService.getOrderById(theaterId, orderId);
+      if (!order) throw new Error('Order not found');
+      throw serviceError('Only ready orders can be assigned', 409, 'ORDER_NOT_READY');
+    }
+
+    const updatedOrder = result.value.orderList.find(o => String(o._id) === String(orderId));
+    this.publishAssignment(theaterId, updatedOrder);
+    return this.toDeliveryOrder(updatedOrder);
+  }
+
+  /**
+   * Take a ready order back from its runner
+   */
+  async unassignOrder(theaterId, orderId) {
+    const now = new Date();
+    const result = await mongoose.connection.db.collection('theaterorders').findOneAndUpdate(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        orderList: { $elemMatch: { _id: new mongoose.Types.ObjectId(orderId), status: 'ready' } }
+      },
+      {
+        $set: { 'orderList.$.updatedAt': now, updatedAt: now },
+        $unset: { 'orderList.$.assignedTo': '', 'orderList.$.delivery': '' }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!result.value) {
+      const order = await orderService.getOrderById(theaterId, orderId);
+      if (!order) throw new Error('Order not found');
+      throw serviceError('Only ready orders can be unassigned', 409, 'ORDER_NOT_READY');
+    }
+
+    const updatedOrder = result.value.orderList.find(o => String(o._id) === String(orderId));
+    this.publishAssignment(theaterId, updatedOrder);
+    return this.toDeliveryOrder(updatedOrder);
+  }
+
+  /**
+   * Spread unassigned ready seat orders over on-duty runners, oldest order first
+   * Each order goes to the runner with the fewest deliveries in hand, preferring one
+   * already heading to the same screen.
+   * @returns {Promise<Array>} The orders that were assigned
+   */
+  async autoAssign(theaterId, assignedBy = null) {
+    const readyOrders = await this.getReadySeatOrders(theaterId);
+    const runners = (await this.getRunners(theaterId, readyOrders)).filter(r => r.onDuty);
+    if (runners.length === 0) return [];
+
+    const screensByRunner = new Map(runners.map(r => [String(r._id), new Set()]));
+    readyOrders.filter(o => o.assignedTo).forEach(o => {
+      screensByRunner.get(String(o.assignedTo))?.add(getScreen(o));
+    });
+
+    const unassigned = readyOrders
+      .filter(o => !o.assignedTo)
+      .sort((a, b) => new Date(a.timestamps?.readyAt || a.updatedAt) - new Date(b.timestamps?.readyAt || b.updatedAt));
+
+    const assigned = [];
+    for (const order of unassigned) {
+      const screen = getScreen(order);
+      const runner = [...runners].sort((a, b) =>
+        a.activeDeliveries - b.activeDeliveries ||
+        Number(screensByRunner.get(String(b._id)).has(screen)) - Number(screensByRunner.get(String(a._id)).has(screen))
+      )[0];
+
+      const result = await this.assignOrder(theaterId, String(order._id), runner._id, {
+        assignedBy,
+        autoAssigned: true,
+        onlyIfUnassigned: true
+      });
+      if (result) {
+        runner.activeDeliveries += 1;
+        screensByRunner.get(String(runner._id)).add(screen);
+        assigned.push(result);
+      }
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Run the auto-assigner when the theater has it switched on
+   */
+  async autoAssignIfEnabled(theaterId) {
+    const theater = await Theater.findById(theaterId).select('settings.autoAssignDelivery').lean();
+    if (!theater?.settings?.autoAssignDelivery) return [];
+    return this.autoAssign(theaterId);
+  }
+
+  /**
+   * Update a theater's seat delivery settings
+   * @param {Object} data - Any of { autoAssign, preOrderLeadMinutes }
+   */
+  async updateSettings(theaterId, { autoAssign, preOrderLeadMinutes } = {}) {
+    const update = {};
+    if (autoAssign !== undefined) update['settings.autoAssignDelivery'] = Boolean(autoAssign);
+    if (preOrderLeadMinutes !== undefined) update['settings.preOrderLeadMinutes'] = preOrderLeadMinutes;
+
+    const theater = await Theater.findByIdAndUpdate(theaterId, { $set: update }, { new: true })
+      .select('settings.autoAssignDelivery settings.preOrderLeadMinutes')
+      .lean();
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+    return toDeliverySettings(theater);
+  }
+
+  /**
+   * A runner's ready deliveries in walking order: by screen, then seat
+   */
+  async getRunnerQueue(theaterId, runnerId) {
+    const readyOrders = await this.getReadySeatOrders(theaterId);
+    const runner = (await this.getRunners(theaterId, readyOrders)).find(r => String(r._id) === String(runnerId));
+
+    const orders = readyOrders
+      .filter(o => String(o.assignedTo) === String(runnerId))
+      .map(o => this.toDeliveryOrder(o))
+      .sort((a, b) => compareScreens(a.screen, b.screen) || compareSeats(a.seat, b.seat));
+
+    return {
+      onDuty: Boolean(runner?.onDuty),
+      orders
+    };
+  }
+
+  /**
+   * Clock a runner on or off duty
+   */
+  async setDuty(theaterId, userId, onDuty) {
+    const now = new Date();
+    const result = await mongoose.connection.db.collection('theaterusers').updateOne(
+      {
+        theaterId: new mongoose.Types.ObjectId(theaterId),
+        'users._id': new mongoose.Types.ObjectId(userId)
+      },
+      {
+        $set: {
+          'users.$.onDuty': Boolean(onDuty),
+          'users.$.dutyChangedAt': now
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw serviceError('Only theater staff can go on duty as runners', 403, 'NOT_A_THEATER_USER');
+    }
+
+    return { onDuty: Boolean(onDuty), dutyChangedAt: now };
+  }
+
+  /**
+   * Runner hands the order over at the seat
+   */
+  async markServed(theaterId, orderId, runnerId) {
+    const order = await orderService.getOrderById(theaterId, orderId);
+    if (!order) throw new Error('Order not found');
+    if (String(order.assignedTo) !== String(runnerId)) {
+      throw serviceError('This order is not assigned to you', 403, 'NOT_ASSIGNED_TO_RUNNER');
+    }
+
+    return orderService.updateOrderStatus(theaterId, orderId, 'served', ['ready']);
+  }
+
+  /**
+   * Delivery times per runner for served seat orders
+   * Minutes are measured from assignment (and from the kitchen marking the order ready) to served.
+   * Scheduled orders also count towards the on-time rate: served by their target time.
+   */
+  async getDeliveryReport(theaterId, { startDate, endDate } = {}) {
+    const theaterOrders = await TheaterOrders.findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    })
+    .lean()
+    .maxTimeMS(20000);
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+
+    const inRange = (date) => Boolean(date) &&
+      (!from || new Date(date) >= from) &&
+      (!to || new Date(date) <= to);
+
+    const orderList = theaterOrders?.orderList || [];
+    const delivered = orderList.filter(o => o.assignedTo && o.delivery?.assignedAt && inRange(o.timestamps?.servedAt));
+    const scheduled = orderList.filter(o => o.deliverySlot?.targetTime && inRange(deliveredAt(o)));
+
+    const byRunner = new Map();
+    delivered.forEach(o => {
+      const runnerId = String(o.assignedTo);
+      if (!byRunner.has(runnerId)) {
+        byRunner.set(runnerId, { runnerId, runnerName: o.delivery.runnerName, deliveryMs: [], fromReadyMs: [], scheduled: 0, onTime: 0 });
+      }
+      const servedAt = new Date(o.timestamps.servedAt).getTime();
+      const row = byRunner.get(runnerId);
+      row.deliveryMs.push(servedAt - new Date(o.delivery.assignedAt).getTime());
+      if (o.timestamps.readyAt) {
+        row.fromReadyMs.push(servedAt - new Date(o.timestamps.readyAt).getTime());
+      }
+      if (o.deliverySlot?.targetTime) {
+        row.scheduled += 1;
+        if (isOnTime(o)) row.onTime += 1;
+      }
+    });
+
+    const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+    const runners = [...byRunner.values()]
+      .map(row => ({
+        runnerId: row.runnerId,
+        runnerName: row.runnerName,
+        deliveries: row.deliveryMs.length,
+        avgDeliveryMinutes: roundMinutes(average(row.deliveryMs)),
+        avgReadyToServedMinutes: roundMinutes(average(row.fromReadyMs)),
+        slowestDeliveryMinutes: roundMinutes(Math.max(...row.deliveryMs)),
+        scheduledDeliveries: row.scheduled,
+        onTimeRate: row.scheduled > 0 ? Math.round((row.onTime / row.scheduled) * 1000) / 10 : null
+      }))
+      .sort((a, b) => b.deliveries - a.deliveries);
+
+    const allDeliveryMs = [...byRunner.values()].flatMap(row => row.deliveryMs);
+    return {
+      runners,
+      summary: {
+        deliveries: allDeliveryMs.length,
+        avgDeliveryMinutes: roundMinutes(average(allDeliveryMs))
+      },
+      onTime: onTimeSummary(scheduled)
+    };
+  }
+
+  /**
+   * Tell the dispatch board and runner views that an order changed hands
+   */
+  publishAssignment(theaterId, order) {
+    eventBus.publish(eventBus.EVENT_TYPES.ORDER_ASSIGNED, {
+      theaterId,
+      pages: DELIVERY_EVENT_PAGES,
+      data: {
+        ...orderService.toOrderEvent(order),
+        assignedTo: order.assignedTo ? String(order.assignedTo) : null,
+        runnerName: order.delivery?.runnerName || null
+      }
+    });
+  }
+}
+
+module.exports = new DeliveryService();
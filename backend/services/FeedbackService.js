@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const OrderFeedback = require('../models/OrderFeedback');
+const Theater = require('../models/Theater');
+const orderService = require('./OrderService');
+const { sendFeedbackAlert } = require('../utils/emailService');
+const { normalizePhoneNumber } = require('../utils/otpService');
+const {
+  FEEDBACK_STATUSES,
+  FEEDBACK_TAGS,
+  roundRating,
+  isLowScore,
+  matchRatedItems
+} = require('../utils/feedbackUtils');
+const { serviceError } = require('../utils/serviceError');
+
+const buildDateMatch = (theaterId, { startDate, endDate } = {}) => {
+  const match = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+  return match;
+};
+
+/**
+ * Feedback Service
+ * Customer ratings for served orders, the product rating roll-up and the theater's feedback dashboard
+ */
+class FeedbackService extends BaseService {
+  constructor() {
+    super(OrderFeedback);
+  }
+
+  /**
+   * The customer's feedback for one of their orders, or null when they haven't left any
+   * @returns {Promise<Object|null>} Feedback, or null; throws 404 when the order isn't theirs
+   */
+  async getOrderFeedback(theaterId, orderId, phoneNumber) {
+    const order = await orderService.getCustomerOrder(theaterId, orderId, phoneNumber);
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    return OrderFeedback.findOne({ orderId: order._id }).lean();
+  }
+
+  /**
+   * Save a customer's ratings for a served or completed order and update the product ratings
+   * @param {Object} data - { serviceRating, items: [{ productId, rating }], comment, tags }
+   */
+  async submitFeedback(theaterId, orderId, phoneNumber, data) {
+    const order = await orderService.getCustomerOrder(theaterId, orderId, phoneNumber);
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (!FEEDBACK_STATUSES.includes(order.status)) {
+      throw serviceError('You can rate an order once it has been served', 409, 'FEEDBACK_NOT_ALLOWED');
+    }
+
+    const items = matchRatedItems(order, data.items);
+    const feedbackData = {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      phoneNumber: normalizePhoneNumber(phoneNumber),
+      serviceRating: data.serviceRating,
+      items,
+      comment: (data.comment || '').trim(),
+      tags: [...new Set(data.tags || [])].filter(tag => FEEDBACK_TAGS.includes(tag))
+    };
+    feedbackData.lowScore = isLowScore(feedbackData);
+
+    let feedback;
+    try {
+      feedback = (await OrderFeedback.create(feedbackData)).toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError('You have already rated this order', 409, 'FEEDBACK_EXISTS');
+      }
+      throw error;
+    }
+
+    await this.updateProductRatings(theaterId, items.map(item => item.productId));
+
+    // The email goes out in the background; the customer doesn't wait for SMTP
+    if (feedback.lowScore) {
+      this.sendLowScoreAlert(theaterId, feedback)
+        .catch(error => console.error('❌ Feedback alert error:', error.message));
+    }
+
+    return feedback;
+  }
+
+  /**
+   * Recalculate `rating` on each product from all its feedback
+   */
+  async updateProductRatings(theaterId, productIds) {
+    if (productIds.length === 0) return;
+
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const objectIds = productIds.map(id => new mongoose.Types.ObjectId(id));
+    const ratings = await OrderFeedback.aggregate([
+      { $match: { theaterId: theaterObjectId, 'items.productId': { $in: objectIds } } },
+      { $unwind: '$items' },
+      { $match: { 'items.productId': { $in: objectIds } } },
+      { $group: { _id: '$items.productId', average: { $avg: '$items.rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const db = mongoose.connection.db;
+    for (const { _id, average, count } of ratings) {
+      await db.collection('productlist').updateOne(
+        { theater: theaterObjectId, 'productList._id': _id },
+        { $set: { 'productList.$.rating': { average: roundRating(average), count } } }
+      );
+    }
+  }
+
+  /**
+   * Email the theater about a low score and note when it went out
+   */
+  async sendLowScoreAlert(theaterId, feedback) {
+    const theater = await Theater.findById(theaterId).select('name').lean();
+    if (!theater) return;
+
+    const result = await sendFeedbackAlert(theater, feedback);
+    if (result.success) {
+      await OrderFeedback.updateOne({ _id: feedback._id }, { $set: { alertSentAt: new Date() } });
+    }
+  }
+
+  /**
+   * Feedback at a theater, newest first
+   * @param {Object} queryParams - { page, limit, lowScore, tag, rating, startDate, endDate }
+   */
+  async getFeedback(theaterId, queryParams = {}) {
+    const filter = buildDateMatch(theaterId, queryParams);
+    if (queryParams.lowScore === true || queryParams.lowScore === 'true') filter.lowScore = true;
+    if (queryParams.tag) filter.tags = queryParams.tag;
+    if (queryParams.rating) filter.serviceRating = parseInt(queryParams.rating);
+
+    return this.findAll(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20,
+      sort: { createdAt: -1 }
+    });
+  }
+
+  /**
+   * Dashboard figures: average service rating and its spread, issue tags, low scores,
+   * and the products rated in the period, lowest first
+   */
+  async getSummary(theaterId, { startDate, endDate } = {}) {
+    const match = buildDateMatch(theaterId, { startDate, endDate });
+
+    const [[totals], distribution, tags, products] = await Promise.all([
+      OrderFeedback.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            averageServiceRating: { $avg: '$serviceRating' },
+            lowScoreCount: { $sum: { $cond: ['$lowScore', 1, 0] } }
+          }
+        }
+      ]),
+      OrderFeedback.aggregate([
+        { $match: match },
+        { $group: { _id: '$serviceRating', count: { $sum: 1 } } }
+      ]),
+      OrderFeedback.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      OrderFeedback.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.productId',
+            productName: { $last: '$items.productName' },
+            average: { $avg: '$items.rating' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { average: 1, count: -1 } }
+      ])
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(row => { ratingDistribution[row._id] = row.count; });
+
+    return {
+      count: totals?.count || 0,
+      averageServiceRating: totals ? roundRating(totals.averageServiceRating) : 0,
+      lowScoreCount: totals?.lowScoreCount || 0,
+      ratingDistribution,
+      tags: tags.map(row => ({ tag: row._id, count: row.count })),
+      products: products.map(row => ({
+        productId: row._id,
+        productName: row.productName,
+        average: roundRating(row.average),
+        count: row.count
+      }))
+    };
+  }
+}
+
+module.exports = new FeedbackService();
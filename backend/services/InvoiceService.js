@@ -0,0 +1,440 @@
+const BaseService = require('./BaseService');
+const TheaterOrders = require('../models/TheaterOrders');
+const Theater = require('../models/Theater');
+const orderService = require('./OrderService');
+const { GST_STATE_CODES, getStateCode, amountInWords } = require('../utils/invoiceUtils');
+const { createCanvas } = require('canvas');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+
+const money = (value) => (Number(value) || 0).toFixed(2);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const lineDescription = (item) => {
+  const name = item.productName || item.name || 'Item';
+  const options = (item.variants || []).map(variant => variant.option).filter(Boolean);
+  return options.length > 0 ? `${name} (${options.join(', ')})` : name;
+};
+
+/**
+ * Invoice Service
+ * Builds GST tax invoices for orders, as data, printable HTML or PDF
+ */
+class InvoiceService extends BaseService {
+  constructor() {
+    super(TheaterOrders);
+  }
+
+  /**
+   * Tax invoice for an order
+   * Only orders placed since invoice numbering began have one.
+   * @param {Object} access - { phone }: when given, the order must have been placed with this phone number
+   */
+  async getInvoice(theaterId, orderId, access = {}) {
+    const [order, theater] = await Promise.all([
+      orderService.getOrderById(theaterId, orderId),
+      Theater.findById(theaterId).select('name gstNumber fssaiNumber phone email address').lean()
+    ]);
+
+    const orderPhone = order?.customerInfo?.phoneNumber || order?.customerInfo?.phone;
+    if (!order || !theater || (access.phone !== undefined && !orderService.isCustomerOrder(order, access.phone))) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (!order.invoiceNumber) {
+      throw serviceError('No tax invoice was issued for this order', 409, 'INVOICE_NOT_ISSUED');
+    }
+
+    const pricing = order.pricing || {};
+    const interState = (pricing.igst || 0) > 0;
+    const supplierStateCode = getStateCode(theater.gstNumber);
+    const buyerStateCode = getStateCode(order.customerInfo?.gstin);
+
+    const lines = (order.items || []).map((item, index) => ({
+      sno: index + 1,
+      description: lineDescription(item),
+      hsnCode: item.hsnCode || '',
+      quantity: item.quantity,
+      unitPrice: roundAmount(item.unitPrice || 0),
+      discountAmount: item.discountAmount || 0,
+      taxableValue: item.taxableValue || 0,
+      taxRate: item.taxRate || 0,
+      cgst: item.cgst || 0,
+      sgst: item.sgst || 0,
+      igst: item.igst || 0,
+      total: roundAmount((item.taxableValue || 0) + (item.taxAmount || 0))
+    }));
+
+    // One row per HSN code and rate, as the invoice summary requires
+    const summary = new Map();
+    lines.forEach(line => {
+      const key = `${line.hsnCode}|${line.taxRate}`;
+      const row = summary.get(key) || { hsnCode: line.hsnCode, taxRate: line.taxRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+      row.taxableValue += line.taxableValue;
+      row.cgst += line.cgst;
+      row.sgst += line.sgst;
+      row.igst += line.igst;
+      summary.set(key, row);
+    });
+    const hsnSummary = [...summary.values()].map(row => ({
+      ...row,
+      taxableValue: roundAmount(row.taxableValue),
+      cgst: roundAmount(row.cgst),
+      sgst: roundAmount(row.sgst),
+      igst: roundAmount(row.igst)
+    }));
+
+    const taxableValue = pricing.taxableValue || 0;
+    const tax = pricing.taxAmount || 0;
+    // Loyalty points pay part of the bill like a tender, so the invoice value is the total before them
+    const loyaltyDiscount = pricing.loyaltyDiscount || 0;
+    const total = roundAmount((pricing.total || 0) + loyaltyDiscount);
+
+    return {
+      invoiceNumber: order.invoiceNumber,
+      invoiceDate: order.invoiceDate || order.createdAt,
+      orderNumber: order.orderNumber,
+      orderId: order._id,
+      cancelled: order.status === 'cancelled',
+      supplier: {
+        name: theater.name,
+        gstin: theater.gstNumber || '',
+        fssaiNumber: theater.fssaiNumber || '',
+        address: [theater.address?.street, theater.address?.city, theater.address?.state, theater.address?.zipCode]
+          .filter(Boolean).join(', '),
+        phone: theater.phone || '',
+        email: theater.email || '',
+        stateCode: supplierStateCode
+      },
+      buyer: {
+        name: order.customerInfo?.name || 'Walk-in Customer',
+        phone: orderPhone || '',
+        gstin: order.customerInfo?.gstin || ''
+      },
+      placeOfSupply: (() => {
+        const code = buyerStateCode || supplierStateCode;
+        return code ? `${GST_STATE_CODES[code]} (${code})` : theater.address?.state || '';
+      })(),
+      interState,
+      lines,
+      hsnSummary,
+      totals: {
+        subtotal: pricing.subtotal || 0,
+        discountAmount: pricing.discountAmount || 0,
+        taxableValue,
+        cgst: pricing.cgst || 0,
+        sgst: pricing.sgst || 0,
+        igst: pricing.igst || 0,
+        tax,
+        roundOff: roundAmount(total - taxableValue - tax),
+        total,
+        loyaltyDiscount,
+        pointsRedeemed: order.loyalty?.pointsRedeemed || 0,
+        amountPayable: pricing.total || 0
+      },
+      amountInWords: amountInWords(total),
+      payment: {
+        // A split payment is printed as its tenders, e.g. "cash 300.00 + upi 200.00"
+        method: order.payment?.method === 'split'
+          ? order.payment.tenders.map(tender => `${tender.method} ${money(tender.amount)}`).join(' + ')
+          : order.payment?.method || 'cash',
+        status: order.payment?.status || 'pending'
+      }
+    };
+  }
+
+  /**
+   * Printable HTML invoice
+   */
+  renderHtml(invoice) {
+    const taxColumns = invoice.interState ? ['IGST'] : ['CGST', 'SGST'];
+    const taxCells = (row) => (invoice.interState
+      ? [`<td class="num">${money(row.igst)}</td>`]
+      : [`<td class="num">${money(row.cgst)}</td>`, `<td class="num">${money(row.sgst)}</td>`]).join('');
+
+    const lineRows = invoice.lines.map(line => `
+        <tr>
+          <td>${line.sno}</td>
+          <td>${escapeHtml(line.description)}</td>
+          <td>${escapeHtml(line.hsnCode)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.discountAmount)}</td>
+          <td class="num">${money(line.taxableValue)}</td>
+          <td class="num">${line.taxRate}%</td>
+          ${taxCells(line)}
+          <td class="num">${money(line.total)}</td>
+        </tr>`).join('');
+
+    const summaryRows = invoice.hsnSummary.map(row => `
+        <tr>
+          <td>${escapeHtml(row.hsnCode) || '-'}</td>
+          <td class="num">${row.taxRate}%</td>
+          <td class="num">${money(row.taxableValue)}</td>
+          ${taxCells(row)}
+        </tr>`).join('');
+
+    const { supplier, buyer, totals } = invoice;
+    const totalRows = [
+      ['Taxable value', totals.taxableValue],
+      ...(invoice.interState ? [['IGST', totals.igst]] : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+      ...(totals.roundOff !== 0 ? [['Round off', totals.roundOff]] : [])
+    ].map(([label, value]) => `<tr><td>${label}</td><td class="num">${money(value)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 24px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 2px solid #222; padding-bottom: 12px; }
+    .muted { color: #666; }
+    .cancelled { color: #c62828; font-weight: bold; font-size: 16px; }
+    .parties { display: flex; gap: 24px; margin: 16px 0; }
+    .parties > div { flex: 1; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    th { background: #f3f3f3; }
+    .num { text-align: right; }
+    .totals { width: 320px; margin-left: auto; }
+    .grand td { font-weight: bold; font-size: 15px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${escapeHtml(supplier.name)}</h1>
+      <div>${escapeHtml(supplier.address)}</div>
+      ${supplier.gstin ? `<div>GSTIN: ${escapeHtml(supplier.gstin)}</div>` : ''}
+      ${supplier.fssaiNumber ? `<div>FSSAI: ${escapeHtml(supplier.fssaiNumber)}</div>` : ''}
+      ${supplier.phone ? `<div class="muted">${escapeHtml(supplier.phone)}</div>` : ''}
+    </div>
+    <div>
+      <h1>Tax Invoice</h1>
+      ${invoice.cancelled ? '<div class="cancelled">CANCELLED</div>' : ''}
+      <div>Invoice No: <strong>${escapeHtml(invoice.invoiceNumber)}</strong></div>
+      <div>Date: ${escapeHtml(formatDate(invoice.invoiceDate))}</div>
+      <div>Order: ${escapeHtml(invoice.orderNumber)}</div>
+      <div>Place of supply: ${escapeHtml(invoice.placeOfSupply)}</div>
+    </div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>Bill to</strong>
+      <div>${escapeHtml(buyer.name)}</div>
+      ${buyer.phone ? `<div>${escapeHtml(buyer.phone)}</div>` : ''}
+      ${buyer.gstin ? `<div>GSTIN: ${escapeHtml(buyer.gstin)}</div>` : ''}
+    </div>
+    <div>
+      <strong>Payment</strong>
+      <div>${escapeHtml(invoice.payment.method.toUpperCase())} - ${escapeHtml(invoice.payment.status)}</div>
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>HSN/SAC</th><th class="num">Qty</th><th class="num">Rate</th>
+        <th class="num">Discount</th><th class="num">Taxable</th><th class="num">GST</th>
+        ${taxColumns.map(column => `<th class="num">${column}</th>`).join('')}
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+  </table>
+  <table>
+    <thead>
+      <tr>
+        <th>HSN/SAC</th><th class="num">GST</th><th class="num">Taxable value</th>
+        ${taxColumns.map(column => `<th class="num">${column}</th>`).join('')}
+      </tr>
+    </thead>
+    <tbody>${summaryRows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tbody>
+      ${totalRows}
+      <tr class="grand"><td>Invoice total</td><td class="num">₹${money(totals.total)}</td></tr>
+      ${totals.loyaltyDiscount > 0 ? `
+      <tr><td>Paid with ${totals.pointsRedeemed} loyalty points</td><td class="num">-${money(totals.loyaltyDiscount)}</td></tr>
+      <tr class="grand"><td>Amount payable</td><td class="num">₹${money(totals.amountPayable)}</td></tr>` : ''}
+    </tbody>
+  </table>
+  <p>${escapeHtml(invoice.amountInWords)}</p>
+  <p class="muted">This is a computer generated invoice.</p>
+</body>
+</html>`;
+  }
+
+  /**
+   * A4 PDF invoice, drawn on a PDF canvas
+   * @returns {Buffer}
+   */
+  renderPdf(invoice) {
+    const width = 595;
+    const height = 842;
+    const margin = 36;
+    const canvas = createCanvas(width, height, 'pdf');
+    const ctx = canvas.getContext('2d');
+    let y = margin;
+
+    const text = (value, x, options = {}) => {
+      ctx.font = `${options.bold ? 'bold ' : ''}${options.size || 9}px Helvetica`;
+      ctx.textAlign = options.align || 'left';
+      ctx.fillStyle = options.color || '#222222';
+      ctx.fillText(String(value ?? ''), x, y);
+    };
+    const rule = () => {
+      ctx.strokeStyle = '#cccccc';
+      ctx.beginPath();
+      ctx.moveTo(margin, y);
+      ctx.lineTo(width - margin, y);
+      ctx.stroke();
+    };
+    const ensureSpace = (needed) => {
+      if (y + needed > height - margin) {
+        ctx.addPage();
+        y = margin;
+      }
+    };
+
+    const { supplier, buyer, totals } = invoice;
+
+    // Header: supplier on the left, invoice details on the right
+    y += 14;
+    text(supplier.name, margin, { bold: true, size: 15 });
+    text('TAX INVOICE', width - margin, { bold: true, size: 15, align: 'right' });
+    const left = [supplier.address, supplier.gstin && `GSTIN: ${supplier.gstin}`, supplier.fssaiNumber && `FSSAI: ${supplier.fssaiNumber}`, supplier.phone]
+      .filter(Boolean);
+    const right = [
+      `Invoice No: ${invoice.invoiceNumber}`,
+      `Date: ${formatDate(invoice.invoiceDate)}`,
+      `Order: ${invoice.orderNumber}`,
+      `Place of supply: ${invoice.placeOfSupply}`
+    ];
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      y += 13;
+      if (left[i]) text(left[i], margin);
+      if (right[i]) text(right[i], width - margin, { align: 'right' });
+    }
+    if (invoice.cancelled) {
+      y += 16;
+      text('CANCELLED', width - margin, { bold: true, size: 12, align: 'right', color: '#c62828' });
+    }
+
+    y += 12;
+    rule();
+    y += 16;
+    text('Bill to', margin, { bold: true });
+    text('Payment', width / 2, { bold: true });
+    [[buyer.name, `${invoice.payment.method.toUpperCase()} - ${invoice.payment.status}`], [buyer.phone, ''], [buyer.gstin && `GSTIN: ${buyer.gstin}`, '']]
+      .filter(([first, second]) => first || second)
+      .forEach(([first, second]) => {
+        y += 12;
+        text(first || '', margin);
+        text(second, width / 2);
+      });
+
+    // Line items
+    const taxHeads = invoice.interState ? ['IGST'] : ['CGST', 'SGST'];
+    const columns = [
+      { label: '#', x: margin },
+      { label: 'Item', x: margin + 18 },
+      { label: 'HSN/SAC', x: margin + 180 },
+      { label: 'Qty', x: margin + 245, align: 'right' },
+      { label: 'Rate', x: margin + 290, align: 'right' },
+      { label: 'Taxable', x: margin + 345, align: 'right' },
+      { label: 'GST', x: margin + 375, align: 'right' },
+      ...(invoice.interState
+        ? [{ label: 'IGST', x: margin + 460, align: 'right' }]
+        : [{ label: 'CGST', x: margin + 420, align: 'right' }, { label: 'SGST', x: margin + 465, align: 'right' }]),
+      { label: 'Amount', x: width - margin, align: 'right' }
+    ];
+    const drawHeader = () => {
+      y += 22;
+      columns.forEach(column => text(column.label, column.x, { bold: true, align: column.align }));
+      y += 5;
+      rule();
+    };
+    drawHeader();
+
+    invoice.lines.forEach(line => {
+      ensureSpace(16);
+      if (y === margin) drawHeader();
+      y += 13;
+      const taxValues = invoice.interState ? [line.igst] : [line.cgst, line.sgst];
+      const description = line.description.length > 34 ? `${line.description.slice(0, 33)}…` : line.description;
+      [line.sno, description, line.hsnCode, line.quantity, money(line.unitPrice), money(line.taxableValue), `${line.taxRate}%`,
+        ...taxValues.map(money), money(line.total)]
+        .forEach((value, index) => text(value, columns[index].x, { align: columns[index].align }));
+    });
+    y += 6;
+    rule();
+
+    // HSN summary
+    ensureSpace(40 + invoice.hsnSummary.length * 13);
+    y += 18;
+    text('HSN/SAC summary', margin, { bold: true });
+    const summaryColumns = [margin, margin + 130, margin + 230, ...taxHeads.map((_, index) => margin + 310 + index * 80)];
+    y += 14;
+    ['HSN/SAC', 'GST', 'Taxable value', ...taxHeads].forEach((label, index) =>
+      text(label, summaryColumns[index] + (index === 0 ? 0 : 60), { bold: true, align: index === 0 ? 'left' : 'right' }));
+    invoice.hsnSummary.forEach(row => {
+      y += 13;
+      const taxValues = invoice.interState ? [row.igst] : [row.cgst, row.sgst];
+      [row.hsnCode || '-', `${row.taxRate}%`, money(row.taxableValue), ...taxValues.map(money)].forEach((value, index) =>
+        text(value, summaryColumns[index] + (index === 0 ? 0 : 60), { align: index === 0 ? 'left' : 'right' }));
+    });
+
+    // Totals
+    const totalRows = [
+      ['Taxable value', totals.taxableValue],
+      ...(invoice.interState ? [['IGST', totals.igst]] : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+      ...(totals.roundOff !== 0 ? [['Round off', totals.roundOff]] : [])
+    ];
+    ensureSpace(90 + totalRows.length * 13);
+    y += 10;
+    totalRows.forEach(([label, value]) => {
+      y += 13;
+      text(label, width - margin - 160);
+      text(money(value), width - margin, { align: 'right' });
+    });
+    y += 17;
+    text('Invoice total', width - margin - 160, { bold: true, size: 11 });
+    text(`Rs. ${money(totals.total)}`, width - margin, { bold: true, size: 11, align: 'right' });
+    if (totals.loyaltyDiscount > 0) {
+      y += 15;
+      text(`Paid with ${totals.pointsRedeemed} loyalty points`, width - margin - 160);
+      text(`-${money(totals.loyaltyDiscount)}`, width - margin, { align: 'right' });
+      y += 15;
+      text('Amount payable', width - margin - 160, { bold: true, size: 11 });
+      text(`Rs. ${money(totals.amountPayable)}`, width - margin, { bold: true, size: 11, align: 'right' });
+    }
+    y += 20;
+    text(invoice.amountInWords, margin);
+    y += 14;
+    text('This is a computer generated invoice.', margin, { color: '#666666' });
+
+    return canvas.toBuffer('application/pdf');
+  }
+}
+
+module.exports = new InvoiceService();
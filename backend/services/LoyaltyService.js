@@ -0,0 +1,524 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const LoyaltyLedger = require('../models/LoyaltyLedger');
+const { normalizePhoneNumber } = require('../utils/otpService');
+const {
+  normalizeLoyaltyRules,
+  resolveTier,
+  pointsForAmount,
+  pointsValue,
+  maxRedeemablePoints,
+  getExpiryDate,
+  getTierWindowStart,
+  allocateRedemption
+} = require('../utils/loyaltyUtils');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+
+// Points expiring within this many days are flagged on the customer's account
+const EXPIRING_SOON_DAYS = 30;
+
+const sumPoints = (entries) => entries.reduce((sum, entry) => sum + entry.points, 0);
+
+/**
+ * Loyalty Service
+ * Points programs, customer balances and the ledger behind them.
+ * Points are earned once an order is paid, redeemed as a discount on the order total,
+ * and reversed in proportion when the order is refunded or cancelled.
+ */
+class LoyaltyService extends BaseService {
+  constructor() {
+    super(LoyaltyLedger);
+  }
+
+  /**
+   * Program a theater belongs to
+   * @param {Object} options - { activeOnly: skip a paused program }
+   */
+  async getProgramForTheater(theaterId, { activeOnly = true } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(theaterId)) return null;
+    const filter = { theaters: new mongoose.Types.ObjectId(theaterId) };
+    if (activeOnly) filter.isActive = true;
+    return LoyaltyProgram.findOne(filter).lean();
+  }
+
+  /**
+   * Program settings for a theater's loyalty page
+   * Before a program is set up the default rules are shown.
+   * @returns {Promise<Object>} { program, isChain, rules } - program is null until one is saved
+   */
+  async getTheaterProgram(theaterId) {
+    const program = await this.getProgramForTheater(theaterId, { activeOnly: false });
+    return {
+      program,
+      isChain: (program?.theaters || []).length > 1,
+      rules: normalizeLoyaltyRules(program?.rules)
+    };
+  }
+
+  /**
+   * Pick the program fields an admin can set and check the rules
+   */
+  buildProgramData(data) {
+    const programData = {};
+    if (data.name !== undefined) programData.name = String(data.name).trim();
+    if (data.isActive !== undefined) programData.isActive = Boolean(data.isActive);
+    if (data.theaters !== undefined) {
+      programData.theaters = [...new Set(data.theaters.map(String))].map(id => new mongoose.Types.ObjectId(id));
+    }
+    if (data.rules !== undefined) {
+      const rules = normalizeLoyaltyRules(data.rules);
+      const names = rules.tiers.map(tier => tier.name);
+      if (new Set(names).size !== names.length) {
+        throw serviceError('Tier names must be unique', 400, 'INVALID_LOYALTY_RULES');
+      }
+      if (rules.tiers[0].minPoints !== 0) {
+        throw serviceError('The first tier must start at 0 points', 400, 'INVALID_LOYALTY_RULES');
+      }
+      programData.rules = rules;
+    }
+    return programData;
+  }
+
+  /**
+   * A theater can only be in one program
+   */
+  async assertTheatersFree(theaterIds, exceptProgramId = null) {
+    const filter = { theaters: { $in: theaterIds } };
+    if (exceptProgramId) filter._id = { $ne: exceptProgramId };
+    const taken = await LoyaltyProgram.findOne(filter).select('name').lean();
+    if (taken) {
+      throw serviceError(`A theater is already in the "${taken.name}" program`, 409, 'THEATER_IN_PROGRAM');
+    }
+  }
+
+  /**
+   * Save a theater's program rules
+   * A theater without a program gets its own; chain programs are managed by super admins.
+   */
+  async saveTheaterProgram(theaterId, data, user) {
+    const existing = await this.getProgramForTheater(theaterId, { activeOnly: false });
+    const programData = this.buildProgramData({ name: data.name, isActive: data.isActive, rules: data.rules });
+
+    if (!existing) {
+      await LoyaltyProgram.create({
+        name: programData.name || 'Loyalty Points',
+        ...programData,
+        theaters: [new mongoose.Types.ObjectId(theaterId)],
+        createdBy: user?.userId && mongoose.Types.ObjectId.isValid(user.userId) ? user.userId : null
+      });
+      return this.getTheaterProgram(theaterId);
+    }
+
+    if (existing.theaters.length > 1 && user?.role !== 'super_admin') {
+      throw serviceError('This theater is part of a chain program, which only a super admin can change', 403, 'CHAIN_PROGRAM');
+    }
+
+    await LoyaltyProgram.updateOne({ _id: existing._id }, { $set: programData }, { runValidators: true });
+    return this.getTheaterProgram(theaterId);
+  }
+
+  /**
+   * All programs, for super admins
+   */
+  async getPrograms() {
+    return LoyaltyProgram.find({})
+      .populate('theaters', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Create a program for a chain of theaters
+   * @param {Object} data - { name, theaters, isActive, rules }
+   */
+  async createProgram(data, user) {
+    const programData = this.buildProgramData(data);
+    await this.assertTheatersFree(programData.theaters || []);
+
+    const program = await LoyaltyProgram.create({
+      ...programData,
+      createdBy: user?.userId && mongoose.Types.ObjectId.isValid(user.userId) ? user.userId : null
+    });
+    return program.toObject();
+  }
+
+  async updateProgram(programId, data) {
+    const existing = await LoyaltyProgram.findById(programId).lean();
+    if (!existing) {
+      throw serviceError('Loyalty program not found', 404, 'PROGRAM_NOT_FOUND');
+    }
+
+    const programData = this.buildProgramData(data);
+    if (programData.theaters) {
+      await this.assertTheatersFree(programData.theaters, existing._id);
+    }
+
+    return LoyaltyProgram.findByIdAndUpdate(programId, { $set: programData }, { new: true, runValidators: true }).lean();
+  }
+
+  /**
+   * Program and normalized phone number for a customer at a theater
+   */
+  async resolveMember(theaterId, phoneNumber) {
+    const program = await this.getProgramForTheater(theaterId);
+    if (!program) {
+      throw serviceError('This theater does not have a loyalty program', 400, 'LOYALTY_NOT_AVAILABLE');
+    }
+    const phone = normalizePhoneNumber(phoneNumber);
+    if (!phone) {
+      throw serviceError('A valid phone number is required for loyalty points', 400, 'LOYALTY_PHONE_REQUIRED');
+    }
+    return { program, phone };
+  }
+
+  async getBalance(programId, phone) {
+    const [result] = await LoyaltyLedger.aggregate([
+      { $match: { programId: new mongoose.Types.ObjectId(String(programId)), phoneNumber: phone } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    return result?.points || 0;
+  }
+
+  /**
+   * Points earned (less points taken back) over the tier window
+   */
+  async getQualifyingPoints(programId, phone, now = new Date()) {
+    const entries = await LoyaltyLedger.find({
+      programId,
+      phoneNumber: phone,
+      type: { $in: ['earn', 'earn_reversed'] },
+      createdAt: { $gte: getTierWindowStart(now) }
+    }).select('points').lean();
+    return Math.max(0, sumPoints(entries));
+  }
+
+  /**
+   * A customer's balance, tier and points about to expire
+   */
+  async getAccount(theaterId, phoneNumber) {
+    const { program, phone } = await this.resolveMember(theaterId, phoneNumber);
+    const rules = normalizeLoyaltyRules(program.rules);
+    const now = new Date();
+    const soon = new Date(now.getTime() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+
+    const [balance, qualifyingPoints, expiring] = await Promise.all([
+      this.getBalance(program._id, phone),
+      this.getQualifyingPoints(program._id, phone, now),
+      LoyaltyLedger.find({
+        programId: program._id,
+        phoneNumber: phone,
+        type: 'earn',
+        remaining: { $gt: 0 },
+        expiresAt: { $gt: now, $lte: soon }
+      }).select('remaining expiresAt').sort({ expiresAt: 1 }).lean()
+    ]);
+    const { tier, nextTier, pointsToNextTier } = resolveTier(rules, qualifyingPoints);
+
+    return {
+      program: { _id: program._id, name: program.name, theaterCount: program.theaters.length },
+      rules: {
+        earnPointsPerRupee: rules.earnPointsPerRupee,
+        pointValue: rules.pointValue,
+        minRedeemPoints: rules.minRedeemPoints,
+        maxRedeemPercent: rules.maxRedeemPercent,
+        expiryMonths: rules.expiryMonths,
+        tiers: rules.tiers
+      },
+      phoneNumber: phone,
+      balance,
+      balanceValue: pointsValue(balance, rules),
+      qualifyingPoints,
+      tier,
+      nextTier,
+      pointsToNextTier,
+      expiringSoon: {
+        points: expiring.reduce((sum, entry) => sum + entry.remaining, 0),
+        nextExpiry: expiring[0]?.expiresAt || null
+      }
+    };
+  }
+
+  /**
+   * A customer's ledger in the theater's program, newest first
+   */
+  async getLedger(theaterId, phoneNumber, queryParams = {}) {
+    const { program, phone } = await this.resolveMember(theaterId, phoneNumber);
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+
+    return this.findAll(
+      { programId: program._id, phoneNumber: phone },
+      { page, limit, sort: { createdAt: -1 }, select: '-consumed' }
+    );
+  }
+
+  /**
+   * Check points a customer wants to spend on an order and work out the discount
+   * @param {number} orderTotal - Order total before points
+   * @returns {Promise<Object>} { program, phone, points, discount }
+   */
+  async quoteRedemption(theaterId, phoneNumber, points, orderTotal) {
+    const { program, phone } = await this.resolveMember(theaterId, phoneNumber);
+    const rules = normalizeLoyaltyRules(program.rules);
+    const requested = Math.floor(Number(points) || 0);
+
+    if (requested < rules.minRedeemPoints) {
+      throw serviceError(`Redeem at least ${rules.minRedeemPoints} points`, 400, 'BELOW_MIN_REDEEM');
+    }
+
+    const balance = await this.getBalance(program._id, phone);
+    if (requested > balance) {
+      throw serviceError(`Only ${balance} points available`, 400, 'INSUFFICIENT_POINTS');
+    }
+
+    const maxPoints = maxRedeemablePoints(rules, orderTotal, balance);
+    if (requested > maxPoints) {
+      throw serviceError(
+        `Points can pay up to ${rules.maxRedeemPercent}% of this order (${maxPoints} points)`,
+        400,
+        'REDEEM_LIMIT'
+      );
+    }
+
+    return { program, phone, points: requested, discount: pointsValue(requested, rules) };
+  }
+
+  /**
+   * Spend quoted points on an order
+   * Each earn entry is taken down only while it still holds the points, so two orders
+   * redeeming at once can't spend the same points.
+   */
+  async redeem(quote, { theaterId, orderId, orderNumber }) {
+    const now = new Date();
+    const entries = await LoyaltyLedger.find({
+      programId: quote.program._id,
+      phoneNumber: quote.phone,
+      type: 'earn',
+      remaining: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).select('remaining expiresAt createdAt').lean();
+
+    const allocations = allocateRedemption(entries, quote.points);
+    if (!allocations) {
+      throw serviceError('Not enough points available', 400, 'INSUFFICIENT_POINTS');
+    }
+
+    const taken = [];
+    for (const allocation of allocations) {
+      const result = await LoyaltyLedger.updateOne(
+        { _id: allocation.entryId, remaining: { $gte: allocation.points } },
+        { $inc: { remaining: -allocation.points } }
+      );
+      if (result.modifiedCount === 0) {
+        await this.restoreAllocations(taken);
+        throw serviceError('Your points balance changed, please try again', 409, 'POINTS_CHANGED');
+      }
+      taken.push(allocation);
+    }
+
+    try {
+      return await LoyaltyLedger.create({
+        programId: quote.program._id,
+        phoneNumber: quote.phone,
+        theaterId,
+        orderId,
+        orderNumber,
+        type: 'redeem',
+        points: -quote.points,
+        amount: quote.discount,
+        consumed: taken,
+        description: `Redeemed on order ${orderNumber}`
+      });
+    } catch (error) {
+      await this.restoreAllocations(taken);
+      throw error;
+    }
+  }
+
+  async restoreAllocations(allocations) {
+    for (const allocation of allocations) {
+      await LoyaltyLedger.updateOne({ _id: allocation.entryId }, { $inc: { remaining: allocation.points } });
+    }
+  }
+
+  /**
+   * Undo a redemption when the order could not be saved
+   */
+  async releaseRedemption(entry) {
+    await LoyaltyLedger.deleteOne({ _id: entry._id });
+    await this.restoreAllocations(entry.consumed || []);
+  }
+
+  /**
+   * Award points for a paid order
+   * Points are earned on what the customer paid, at their current tier's multiplier.
+   * Safe to call more than once per order.
+   * @returns {Promise<Object|null>} The earn entry, or null when nothing was earned
+   */
+  async awardForOrder(theaterId, order) {
+    if (!order || order.status === 'cancelled') return null;
+
+    const phone = normalizePhoneNumber(order.customerInfo?.phoneNumber || order.customerInfo?.phone);
+    const amount = order.pricing?.total || 0;
+    if (!phone || !(amount > 0)) return null;
+
+    const program = await this.getProgramForTheater(theaterId);
+    if (!program) return null;
+
+    const rules = normalizeLoyaltyRules(program.rules);
+    const now = new Date();
+    const { tier } = resolveTier(rules, await this.getQualifyingPoints(program._id, phone, now));
+    const points = pointsForAmount(amount, rules, tier.multiplier);
+    if (points <= 0) return null;
+
+    try {
+      return await LoyaltyLedger.create({
+        programId: program._id,
+        phoneNumber: phone,
+        theaterId,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        type: 'earn',
+        points,
+        amount: roundAmount(amount),
+        remaining: points,
+        expiresAt: getExpiryDate(rules, now),
+        tier: tier.name,
+        multiplier: tier.multiplier,
+        description: `Earned on order ${order.orderNumber}`
+      });
+    } catch (error) {
+      // Already awarded (payment confirmed twice)
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Reverse an order's points after a refund or cancellation
+   * `share` is the part of the order now refunded (1 when cancelled). Reversals add up, so
+   * calling this after every partial refund leaves the order reversed by its total refunded share.
+   * Spent points go back to the entries they came from; earned points are only taken back
+   * while they are still in the balance.
+   * @returns {Promise<Object>} { pointsRestored, pointsReversed }
+   */
+  async reverseOrder(theaterId, order, share = 1, reason = 'refund') {
+    const fraction = Math.min(Math.max(share, 0), 1);
+    const entries = await LoyaltyLedger.find({ orderId: order._id }).lean();
+    const result = { pointsRestored: 0, pointsReversed: 0 };
+    if (entries.length === 0) return result;
+
+    const label = reason === 'cancel' ? 'cancelled' : 'refunded';
+    const redeem = entries.find(entry => entry.type === 'redeem');
+    if (redeem) {
+      const restoredEntries = entries.filter(entry => entry.type === 'redeem_reversed');
+      const due = Math.round(-redeem.points * fraction) - sumPoints(restoredEntries);
+      if (due > 0) {
+        // Give back each earn entry what it lent, less what earlier reversals already returned
+        const returned = new Map();
+        restoredEntries.flatMap(entry => entry.consumed || []).forEach(allocation => {
+          const key = String(allocation.entryId);
+          returned.set(key, (returned.get(key) || 0) + allocation.points);
+        });
+
+        const restored = [];
+        let left = due;
+        for (const allocation of redeem.consumed || []) {
+          if (left <= 0) break;
+          const points = Math.min(allocation.points - (returned.get(String(allocation.entryId)) || 0), left);
+          if (points > 0) {
+            restored.push({ entryId: allocation.entryId, points });
+            left -= points;
+          }
+        }
+        await this.restoreAllocations(restored);
+
+        const pointsBack = due - left;
+        await LoyaltyLedger.create({
+          programId: redeem.programId,
+          phoneNumber: redeem.phoneNumber,
+          theaterId,
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          type: 'redeem_reversed',
+          points: pointsBack,
+          amount: roundAmount(redeem.amount * (pointsBack / -redeem.points)),
+          consumed: restored,
+          description: `Points returned - order ${order.orderNumber} ${label}`
+        });
+        result.pointsRestored = pointsBack;
+      }
+    }
+
+    const earn = entries.find(entry => entry.type === 'earn');
+    if (earn) {
+      const alreadyReversed = -sumPoints(entries.filter(entry => entry.type === 'earn_reversed'));
+      const due = Math.round(earn.points * fraction) - alreadyReversed;
+      const current = due > 0 ? await LoyaltyLedger.findById(earn._id).select('remaining').lean() : null;
+      const points = Math.min(due, current?.remaining || 0);
+      if (points > 0) {
+        const taken = await LoyaltyLedger.updateOne(
+          { _id: earn._id, remaining: { $gte: points } },
+          { $inc: { remaining: -points } }
+        );
+        if (taken.modifiedCount > 0) {
+          await LoyaltyLedger.create({
+            programId: earn.programId,
+            phoneNumber: earn.phoneNumber,
+            theaterId,
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            type: 'earn_reversed',
+            points: -points,
+            description: `Points taken back - order ${order.orderNumber} ${label}`
+          });
+          result.pointsReversed = points;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Expire earned points past their expiry date
+   * Points given back to an entry that has since expired (a late refund) expire on the next run.
+   * @returns {Promise<Object>} { entries, points }
+   */
+  async expirePoints(now = new Date()) {
+    const due = await LoyaltyLedger.find({
+      type: 'earn',
+      remaining: { $gt: 0 },
+      expiresAt: { $ne: null, $lte: now }
+    }).select('programId phoneNumber theaterId remaining expiresAt orderNumber').lean();
+
+    let points = 0;
+    let expired = 0;
+    for (const entry of due) {
+      // Only expire what is still there if the entry was redeemed from in the meantime
+      const cleared = await LoyaltyLedger.findOneAndUpdate(
+        { _id: entry._id, remaining: { $gt: 0 } },
+        { $set: { remaining: 0 } },
+        { new: false }
+      ).select('remaining').lean();
+      if (!cleared || !(cleared.remaining > 0)) continue;
+
+      await LoyaltyLedger.create({
+        programId: entry.programId,
+        phoneNumber: entry.phoneNumber,
+        theaterId: entry.theaterId,
+        type: 'expire',
+        points: -cleared.remaining,
+        description: entry.orderNumber ? `Expired - earned on order ${entry.orderNumber}` : 'Expired'
+      });
+      points += cleared.remaining;
+      expired += 1;
+    }
+
+    return { entries: expired, points };
+  }
+}
+
+module.exports = new LoyaltyService();
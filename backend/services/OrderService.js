@@ -2,9 +2,58 @@ const BaseService = require('./BaseService');
 const Order = require('../models/Order');
 const TheaterOrders = require('../models/TheaterOrders');
 const MonthlyStock = require('../models/MonthlyStock');
+const Theater = require('../models/Theater');
+const Category = require('../models/Category');
 const { calculateOrderTotals } = require('../utils/orderCalculation');
+const { getFinancialYear, formatInvoiceNumber, invoiceNumberExpression, isInterState } = require('../utils/invoiceUtils');
+const { isCombo, buildProductMap, resolveComboComponents } = require('../utils/comboUtils');
+const { resolveModifiers, getModifierTotal } = require('../utils/modifierUtils');
+const { buildOrderPayment } = require('../utils/tenderUtils');
+const { isHeld, isDueForRelease } = require('../utils/deliverySlotUtils');
+const { buildReorder } = require('../utils/reorderUtils');
+const { checkAvailability } = require('../utils/availabilityUtils');
+const { serviceError } = require('../utils/serviceError');
+const { normalizePhoneNumber } = require('../utils/otpService');
+const eventBus = require('./eventBus');
+const couponService = require('./CouponService');
+const loyaltyService = require('./LoyaltyService');
+const rawMaterialService = require('./RawMaterialService');
+const stockLocationService = require('./StockLocationService');
 const mongoose = require('mongoose');
 
+// Timestamp recorded on the order when it enters each status
+const STATUS_TIMESTAMP_FIELDS = {
+  confirmed: 'confirmedAt',
+  preparing: 'preparingAt',
+  ready: 'readyAt',
+  served: 'servedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Statuses shown on the kitchen display
+const KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing'];
+
+// Staff pages that receive live order events
+const ORDER_EVENT_PAGES = [
+  'OnlinePOSInterface',
+  'ProfessionalPOSInterface',
+  'OfflinePOSInterface',
+  'TheaterOrderHistory',
+  'OnlineOrderHistory',
+  'KioskOrderHistory',
+  'OrderManagement',
+  'TheaterKitchenDisplay',
+  'TheaterDispatchBoard',
+  'TheaterRunnerView'
+];
+
+// Allowed kitchen bumps: target status → statuses it can be bumped from
+const KITCHEN_BUMP_TRANSITIONS = {
+  preparing: ['pending', 'confirmed'],
+  ready: ['pending', 'confirmed', 'preparing']
+};
+
 /**
  * Order Service
  * Handles all order-related business logic
@@ -123,37 +172,126 @@ class OrderService extends BaseService {
   }
 
   /**
-   * Create order
+   * Whether an order was placed with a customer's phone number
    */
-  async createOrder(theaterId, orderData) {
-    const db = mongoose.connection.db;
-    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
-    const orderDate = new Date();
+  isCustomerOrder(order, phoneNumber) {
+    const orderPhone = normalizePhoneNumber(order?.customerInfo?.phoneNumber || order?.customerInfo?.phone || order?.customerPhone);
+    return Boolean(orderPhone) && orderPhone === normalizePhoneNumber(phoneNumber);
+  }
 
-    // Validate products and calculate totals
-    const productContainer = await db.collection('productlist').findOne({
-      theater: theaterObjectId
-    });
+  /**
+   * A customer's orders at a theater, newest first
+   */
+  async getCustomerOrders(theaterId, phoneNumber) {
+    const theaterOrders = await TheaterOrders.findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    })
+    .lean()
+    .maxTimeMS(20000);
+
+    return (theaterOrders?.orderList || [])
+      .filter(o => this.isCustomerOrder(o, phoneNumber))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * One of a customer's orders, or null when it isn't theirs
+   */
+  async getCustomerOrder(theaterId, orderId, phoneNumber) {
+    const order = await this.getOrderById(theaterId, orderId);
+    return order && this.isCustomerOrder(order, phoneNumber) ? order : null;
+  }
+
+  /**
+   * Check a customer's past order against today's prices, stock and availability rules so it can be ordered again
+   * @param {Object} [menu] - { qrName, screen } of the menu asking, for screen availability rules
+   * @returns {Promise<Object|null>} { orderId, orderNumber, items, ...counts } from buildReorder, or null when the order isn't theirs
+   */
+  async getReorder(theaterId, orderId, phoneNumber, { qrName, screen } = {}) {
+    const order = await this.getCustomerOrder(theaterId, orderId, phoneNumber);
+    if (!order) return null;
+
+    const [productContainer, theater, categoryDoc] = await Promise.all([
+      mongoose.connection.db.collection('productlist').findOne({
+        theater: new mongoose.Types.ObjectId(theaterId)
+      }),
+      Theater.findById(theaterId).select('settings.timezone').lean(),
+      Category.findOne({ theater: theaterId }).select('categoryList._id categoryList.availability').lean()
+    ]);
+    const productMap = buildProductMap(productContainer?.productList || []);
+    const categoryMap = new Map((categoryDoc?.categoryList || []).map(category => [String(category._id), category]));
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      ...buildReorder(order, productMap, {
+        categoryMap,
+        context: {
+          now: new Date(),
+          timeZone: theater?.settings?.timezone || 'Asia/Kolkata',
+          qrName,
+          screen
+        }
+      })
+    };
+  }
+
+  /**
+   * Price order items from the product list and apply a coupon code and loyalty points
+   * Shared by createOrder and the coupon preview so both agree on the totals.
+   * Each item carries its GST split; a buyer GSTIN from another state is charged IGST instead of CGST + SGST.
+   * Points are redeemed against the total after tax and coupon.
+   * Products outside their own or their category's availability rules are refused (409 PRODUCT_UNAVAILABLE).
+   * @param {Object} params - { items: [{ productId, quantity, specialInstructions, comboSelections, variants }], couponCode, phone, couponPhone, gstin, loyaltyPoints, qrName, screen, kioskType }
+   *   couponPhone is the number per-phone coupon limits are counted against (defaults to phone)
+   * @returns {Promise<Object>} { orderItems, pricing, coupon, loyalty, productMap } - coupon and loyalty are null when not used
+   */
+  async quoteOrder(theaterId, { items = [], couponCode, phone, couponPhone = phone, gstin, loyaltyPoints, qrName, screen, kioskType } = {}) {
+    const db = mongoose.connection.db;
+    const [productContainer, theater, categoryDoc] = await Promise.all([
+      db.collection('productlist').findOne({
+        theater: new mongoose.Types.ObjectId(theaterId)
+      }),
+      Theater.findById(theaterId).select('gstNumber settings.timezone').lean(),
+      Category.findOne({ theater: theaterId }).select('categoryList._id categoryList.availability').lean()
+    ]);
 
     if (!productContainer || !productContainer.productList) {
       throw new Error('No products found for this theater');
     }
 
+    const productMap = buildProductMap(productContainer.productList);
+    const categoryMap = new Map((categoryDoc?.categoryList || []).map(category => [String(category._id), category]));
+    const availabilityContext = {
+      now: new Date(),
+      timeZone: theater?.settings?.timezone || 'Asia/Kolkata',
+      qrName,
+      screen,
+      kioskType
+    };
     const orderItems = [];
-    let subtotal = 0;
+    const pricedItems = [];
 
-    for (const item of orderData.items) {
-      const product = productContainer.productList.find(
-        p => String(p._id) === item.productId
-      );
+    for (const item of items) {
+      const product = productMap.get(String(item.productId));
 
       if (!product) {
         throw new Error(`Product ${item.productId} not found`);
       }
 
-      const itemPrice = product.pricing?.sellingPrice || product.pricing?.basePrice || 0;
+      const { isAvailableNow, availabilityReason } = checkAvailability(
+        product,
+        categoryMap.get(String(product.categoryId)),
+        availabilityContext
+      );
+      if (!isAvailableNow) {
+        throw serviceError(`${product.name} is not available right now (${availabilityReason})`, 409, 'PRODUCT_UNAVAILABLE');
+      }
+
+      // Picked modifiers are validated against the product's groups and added to the unit price
+      const modifiers = resolveModifiers(product, item.variants);
+      const itemPrice = (product.pricing?.sellingPrice || product.pricing?.basePrice || 0) + getModifierTotal(modifiers);
       const itemTotal = itemPrice * item.quantity;
-      subtotal += itemTotal;
 
       orderItems.push({
         productId: item.productId,
@@ -161,19 +299,120 @@ class OrderService extends BaseService {
         quantity: item.quantity,
         unitPrice: itemPrice,
         total: itemTotal,
-        image: product.image || product.imageUrl
+        image: product.image || product.imageUrl,
+        specialInstructions: item.specialInstructions || '',
+        ...(modifiers.length > 0 && { variants: modifiers }),
+        ...(isCombo(product) && {
+          isCombo: true,
+          comboItems: resolveComboComponents(product, productMap, item.comboSelections)
+        })
       });
+      pricedItems.push({ unitPrice: itemPrice, quantity: item.quantity, product });
     }
 
-    // Calculate totals
-    const totals = calculateOrderTotals({
-      items: orderItems,
-      subtotal,
-      tax: orderData.tax || 0,
-      discount: orderData.discount || 0,
-      deliveryCharge: orderData.deliveryCharge || 0
+    let coupon = null;
+    if (couponCode) {
+      const lines = pricedItems.map(item => {
+        const discountPercentage = parseFloat(item.product.pricing?.discountPercentage || item.product.discountPercentage) || 0;
+        return {
+          productId: item.product._id,
+          categoryId: item.product.categoryId,
+          amount: item.unitPrice * item.quantity * (1 - discountPercentage / 100)
+        };
+      });
+      const applied = await couponService.applyCoupon(theaterId, couponCode, lines, { phone: couponPhone });
+      applied.allocations.forEach((amount, index) => {
+        pricedItems[index].couponDiscount = amount;
+      });
+      coupon = applied;
+    }
+
+    const interState = isInterState(theater?.gstNumber, gstin);
+    let totals = calculateOrderTotals(pricedItems, { interState });
+
+    let loyalty = null;
+    if (loyaltyPoints > 0) {
+      loyalty = await loyaltyService.quoteRedemption(theaterId, phone, loyaltyPoints, totals.total);
+      totals = calculateOrderTotals(pricedItems, { interState, loyaltyDiscount: loyalty.discount });
+    }
+
+    totals.taxLines.forEach((line, index) => {
+      Object.assign(orderItems[index], {
+        hsnCode: pricedItems[index].product.hsnCode || null,
+        taxRate: line.taxRate,
+        gstType: line.gstType,
+        discountAmount: line.discountAmount,
+        taxableValue: line.taxableValue,
+        taxAmount: line.taxAmount,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        igst: line.igst
+      });
     });
 
+    return {
+      orderItems,
+      coupon,
+      loyalty,
+      productMap,
+      pricing: {
+        subtotal: totals.subtotal,
+        taxAmount: totals.tax,
+        discountAmount: Math.round((totals.totalDiscount + totals.couponDiscount) * 100) / 100,
+        couponDiscount: totals.couponDiscount,
+        loyaltyDiscount: totals.loyaltyDiscount,
+        taxableValue: totals.taxableValue,
+        cgst: totals.cgst,
+        sgst: totals.sgst,
+        igst: totals.igst,
+        total: totals.total,
+        currency: 'INR'
+      }
+    };
+  }
+
+  /**
+   * Create order
+   * @param {Object} options - { staff: placed by a signed-in staff member, who may record payment taken at the counter,
+   *   customerPhone: the phone number of the customer's verified session }
+   */
+  async createOrder(theaterId, orderData, { staff = false, customerPhone = null } = {}) {
+    const db = mongoose.connection.db;
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const orderDate = new Date();
+    const phone = orderData.customerInfo?.phoneNumber || orderData.customerInfo?.phone || null;
+    // Per-phone coupon limits count against the customer's verified number; a typed-in one could be
+    // anyone's. Staff take the number the customer gives at the counter.
+    const couponPhone = staff ? phone : customerPhone;
+
+    // Validate products, apply the coupon and points, and calculate totals
+    const { orderItems, pricing, coupon, loyalty, productMap } = await this.quoteOrder(theaterId, {
+      items: orderData.items,
+      couponCode: orderData.couponCode,
+      phone,
+      couponPhone,
+      gstin: orderData.customerInfo?.gstin,
+      loyaltyPoints: orderData.loyaltyPoints,
+      qrName: orderData.qrName,
+      screen: orderData.customerInfo?.screen,
+      kioskType: orderData.kioskType
+    });
+
+    // Each product comes out of the counter or kiosk it is sold from. The location is kept on the
+    // line (on each component for combos) so a refund can put the units back there.
+    const locationFor = await stockLocationService.getSaleLocationResolver(theaterId, {
+      locationId: orderData.locationId,
+      source: orderData.source || 'pos'
+    });
+    const stockLocationOf = (productId) => locationFor(productMap.get(String(productId))) || null;
+    for (const item of orderItems) {
+      if (item.isCombo) {
+        item.comboItems.forEach(component => { component.locationId = stockLocationOf(component.productId); });
+      } else {
+        item.locationId = stockLocationOf(item.productId);
+      }
+    }
+
     // Create order
     const newOrder = {
       _id: new mongoose.Types.ObjectId(),
@@ -183,62 +422,169 @@ class OrderService extends BaseService {
       tableNumber: orderData.tableNumber || null,
       seat: orderData.seat || null,
       qrName: orderData.qrName || null,
+      deliverySlot: orderData.deliverySlot || null,
       source: orderData.source || 'pos',
+      shiftId: orderData.shiftId ? new mongoose.Types.ObjectId(orderData.shiftId) : null,
       specialInstructions: orderData.specialInstructions || '',
-      pricing: totals.pricing,
-      payment: {
-        method: orderData.paymentMethod || 'cash',
-        status: orderData.paymentStatus || 'pending',
-        transactionId: orderData.transactionId || null
-      },
+      pricing,
+      coupon: coupon
+        ? { couponId: coupon.coupon._id, code: coupon.coupon.code, discountAmount: coupon.discountAmount }
+        : null,
+      loyalty: loyalty
+        ? { programId: loyalty.program._id, phoneNumber: loyalty.phone, pointsRedeemed: loyalty.points, discountAmount: loyalty.discount }
+        : null,
+      payment: buildOrderPayment(orderData, pricing.total, { staff }),
       status: 'pending',
       createdAt: orderDate,
       updatedAt: orderDate
     };
 
-    // Record stock usage
-    for (const item of orderData.items) {
-      await this.recordStockUsage(theaterId, item.productId, item.quantity, orderDate);
+    // Claim the coupon before saving so its usage caps hold
+    const redemption = coupon
+      ? await couponService.redeem(coupon.coupon, {
+        theaterId,
+        orderId: newOrder._id,
+        orderNumber: newOrder.orderNumber,
+        phone: couponPhone,
+        source: newOrder.source,
+        discountAmount: coupon.discountAmount,
+        orderTotal: pricing.total
+      })
+      : null;
+
+    // Spend the points the same way; released below if the order can't be saved
+    let pointsRedemption = null;
+    if (loyalty) {
+      try {
+        pointsRedemption = await loyaltyService.redeem(loyalty, {
+          theaterId,
+          orderId: newOrder._id,
+          orderNumber: newOrder.orderNumber
+        });
+      } catch (error) {
+        if (redemption) await couponService.releaseRedemption(redemption).catch(() => {});
+        throw error;
+      }
     }
 
-    // Add to theater orders
-    await db.collection('theaterorders').findOneAndUpdate(
-      { theater: theaterObjectId },
-      {
-        $push: { orderList: newOrder },
-        $setOnInsert: { theater: theaterObjectId, createdAt: orderDate },
-        $set: { updatedAt: orderDate }
-      },
-      { upsert: true }
-    );
+    // Add to theater orders. The invoice number is taken from the theater's counter for the
+    // financial year in the same update that saves the order, so numbers are never skipped or reused.
+    const financialYear = getFinancialYear(orderDate);
+    const counterPath = `invoiceCounters.${financialYear.key}`;
+    newOrder.invoiceDate = orderDate;
+    try {
+      const result = await db.collection('theaterorders').findOneAndUpdate(
+        { theater: theaterObjectId },
+        [
+          {
+            $set: {
+              [counterPath]: { $add: [{ $ifNull: [`$${counterPath}`, 0] }, 1] },
+              createdAt: { $ifNull: ['$createdAt', orderDate] },
+              updatedAt: orderDate
+            }
+          },
+          {
+            $set: {
+              orderList: {
+                $concatArrays: [
+                  { $ifNull: ['$orderList', []] },
+                  [{ $mergeObjects: [{ $literal: newOrder }, { invoiceNumber: invoiceNumberExpression(financialYear.label, `$${counterPath}`) }] }]
+                ]
+              }
+            }
+          }
+        ],
+        { upsert: true, returnDocument: 'after', projection: { invoiceCounters: 1 } }
+      );
+      newOrder.invoiceNumber = formatInvoiceNumber(financialYear.label, result.value.invoiceCounters[financialYear.key]);
+    } catch (error) {
+      if (redemption) {
+        await couponService.releaseRedemption(redemption).catch(releaseError =>
+          console.error('Failed to release coupon redemption:', releaseError.message)
+        );
+      }
+      if (pointsRedemption) {
+        await loyaltyService.releaseRedemption(pointsRedemption).catch(releaseError =>
+          console.error('Failed to release loyalty points:', releaseError.message)
+        );
+      }
+      throw error;
+    }
+
+    // Record stock usage once the order is saved, so an order that fails to save uses nothing up.
+    // Combos use up their components, prepared items their recipe ingredients.
+    for (const item of orderItems) {
+      const usage = item.isCombo
+        ? item.comboItems.map(component => ({
+          productId: component.productId,
+          quantity: component.quantity * item.quantity,
+          locationId: component.locationId
+        }))
+        : [{ productId: item.productId, quantity: item.quantity, locationId: item.locationId }];
+      for (const { productId, quantity, locationId } of usage) {
+        await this.recordStockUsage(theaterId, productId, quantity, orderDate, {
+          orderId: newOrder._id,
+          orderNumber: newOrder.orderNumber,
+          locationId
+        });
+      }
+    }
+
+    // Orders a cashier took full payment for earn points straight away; everything else earns
+    // them when the gateway settles the payment (paymentService.settleTransaction)
+    if (staff && newOrder.payment.status === 'paid') {
+      await loyaltyService.awardForOrder(theaterId, newOrder).catch(awardError =>
+        console.error('Failed to award loyalty points:', awardError.message)
+      );
+    }
+
+    eventBus.publish(eventBus.EVENT_TYPES.ORDER_CREATED, {
+      theaterId,
+      pages: ORDER_EVENT_PAGES,
+      data: this.toOrderEvent(newOrder)
+    });
 
     return newOrder;
   }
 
   /**
    * Update order status
+   * @param {Array<string>} [fromStatuses] - Only update when the order is currently in one of these statuses
    */
-  async updateOrderStatus(theaterId, orderId, status) {
+  async updateOrderStatus(theaterId, orderId, status, fromStatuses = null) {
     const db = mongoose.connection.db;
     const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
     const orderObjectId = new mongoose.Types.ObjectId(orderId);
+    const now = new Date();
+
+    const orderMatch = fromStatuses
+      ? { orderList: { $elemMatch: { _id: orderObjectId, status: { $in: fromStatuses } } } }
+      : { 'orderList._id': orderObjectId };
+
+    const update = {
+      'orderList.$.status': status,
+      'orderList.$.updatedAt': now,
+      updatedAt: now
+    };
+    if (STATUS_TIMESTAMP_FIELDS[status]) {
+      update[`orderList.$.timestamps.${STATUS_TIMESTAMP_FIELDS[status]}`] = now;
+    }
 
     const result = await db.collection('theaterorders').findOneAndUpdate(
       {
         theater: theaterObjectId,
-        'orderList._id': orderObjectId
-      },
-      {
-        $set: {
-          'orderList.$.status': status,
-          'orderList.$.updatedAt': new Date(),
-          updatedAt: new Date()
-        }
+        ...orderMatch
       },
+      { $set: update },
       { returnDocument: 'after' }
     );
 
     if (!result.value) {
+      if (fromStatuses && await this.getOrderById(theaterId, orderId)) {
+        throw serviceError(
+          `Order can only be moved to ${status} from ${fromStatuses.join(' or ')}`, 409, 'INVALID_STATUS_TRANSITION'
+        );
+      }
       throw new Error('Order not found');
     }
 
@@ -246,13 +592,149 @@ class OrderService extends BaseService {
       o => String(o._id) === orderId
     );
 
+    // A cancelled order gives back the points spent on it and loses the points it earned
+    if (status === 'cancelled') {
+      await loyaltyService.reverseOrder(theaterId, updatedOrder, 1, 'cancel').catch(loyaltyError =>
+        console.error('Failed to reverse loyalty points:', loyaltyError.message)
+      );
+    }
+
+    eventBus.publish(eventBus.EVENT_TYPES.ORDER_STATUS_CHANGED, {
+      theaterId,
+      pages: ORDER_EVENT_PAGES,
+      data: this.toOrderEvent(updatedOrder)
+    });
+
     return updatedOrder;
   }
 
+  /**
+   * Compact order summary carried by order events
+   */
+  toOrderEvent(order) {
+    return {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      status: order.status,
+      source: order.source || order.orderType || null,
+      customerName: order.customerInfo?.name || null,
+      itemCount: (order.items || order.products || []).length,
+      total: order.pricing?.total ?? order.totalAmount ?? null,
+      paymentStatus: order.payment?.status || null,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    };
+  }
+
+  /**
+   * Get active orders for the kitchen display, oldest first
+   * Scheduled seat orders stay off until their lead time and queue from when they were released.
+   */
+  async getKitchenOrders(theaterId) {
+    const theaterOrders = await TheaterOrders.findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    })
+    .lean()
+    .maxTimeMS(20000);
+
+    if (!theaterOrders || !theaterOrders.orderList) {
+      return [];
+    }
+
+    const now = new Date();
+    return theaterOrders.orderList
+      .filter(o => KITCHEN_STATUSES.includes(o.status || 'pending') && !isHeld(o, now))
+      .map(o => ({
+        _id: o._id,
+        orderNumber: o.orderNumber,
+        status: o.status || 'pending',
+        source: o.source,
+        orderType: o.orderType,
+        tableNumber: o.tableNumber || null,
+        seat: o.seat || o.customerInfo?.seat || null,
+        screen: o.qrName || o.customerInfo?.screen || null,
+        customerName: o.customerInfo?.name || null,
+        specialInstructions: o.specialInstructions || '',
+        items: (o.items || o.products || []).map(item => ({
+          productId: item.productId,
+          name: item.productName || item.name,
+          quantity: item.quantity,
+          variant: item.variant || null,
+          variants: item.variants || [],
+          comboItems: item.comboItems || [],
+          specialInstructions: item.specialInstructions || ''
+        })),
+        deliverySlot: o.deliverySlot
+          ? { type: o.deliverySlot.type, targetTime: o.deliverySlot.targetTime, movieTitle: o.deliverySlot.movieTitle }
+          : null,
+        timestamps: o.timestamps || {},
+        queuedAt: o.deliverySlot?.releaseAt || o.createdAt,
+        createdAt: o.createdAt,
+        updatedAt: o.updatedAt
+      }))
+      .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+  }
+
+  /**
+   * Announce scheduled seat orders whose lead time has come, so kitchen displays pick them up
+   * @returns {number} Orders released
+   */
+  async releaseScheduledOrders(now = new Date()) {
+    const collection = mongoose.connection.db.collection('theaterorders');
+    const docs = await collection.find(
+      {
+        orderList: {
+          $elemMatch: {
+            'deliverySlot.releaseAt': { $lte: now },
+            'deliverySlot.releasedAt': null,
+            status: { $in: KITCHEN_STATUSES }
+          }
+        }
+      },
+      { projection: { theater: 1, orderList: 1 } }
+    ).toArray();
+
+    let released = 0;
+    for (const doc of docs) {
+      const orders = doc.orderList.filter(o => KITCHEN_STATUSES.includes(o.status) && isDueForRelease(o, now));
+      if (orders.length === 0) continue;
+
+      await collection.updateOne(
+        { _id: doc._id },
+        { $set: { 'orderList.$[order].deliverySlot.releasedAt': now } },
+        { arrayFilters: [{ 'order._id': { $in: orders.map(o => o._id) } }] }
+      );
+
+      orders.forEach(order => eventBus.publish(eventBus.EVENT_TYPES.ORDER_RELEASED, {
+        theaterId: String(doc.theater),
+        pages: ORDER_EVENT_PAGES,
+        data: { ...this.toOrderEvent(order), targetTime: order.deliverySlot.targetTime }
+      }));
+      released += orders.length;
+    }
+    return released;
+  }
+
+  /**
+   * Bump a kitchen ticket to its next status
+   * pending/confirmed → preparing, any active ticket → ready
+   */
+  async bumpKitchenOrder(theaterId, orderId, status) {
+    const fromStatuses = KITCHEN_BUMP_TRANSITIONS[status];
+    if (!fromStatuses) {
+      throw serviceError(`Kitchen cannot move orders to ${status}`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    return this.updateOrderStatus(theaterId, orderId, status, fromStatuses);
+  }
+
   /**
    * Record stock usage (FIFO logic)
+   * Also takes the units off the selling location and consumes the raw materials of the product's recipe, if it has one.
+   * @param {Object} reference - { orderId, orderNumber } of the sale, kept on the ingredient movements,
+   *                             and the selling locationId (null for the main store)
    */
-  async recordStockUsage(theaterId, productId, quantity, orderDate) {
+  async recordStockUsage(theaterId, productId, quantity, orderDate, reference = {}) {
     try {
       const entryDate = new Date(orderDate);
       const year = entryDate.getFullYear();
@@ -276,9 +758,12 @@ class OrderService extends BaseService {
 
           const entry = monthlyDoc.stockDetails[i];
           
-          if (entry.type === 'ADDED' && (!entry.expireDate || new Date(entry.expireDate) > now)) {
+          // Refunded items come back as RETURNED entries and stock found by a stock-take as ADJUSTMENT entries;
+          // both are sold again like ADDED stock
+          if (['ADDED', 'RETURNED', 'ADJUSTMENT'].includes(entry.type) && (!entry.expireDate || new Date(entry.expireDate) > now)) {
             const availableStock = Math.max(0,
-              entry.invordStock - (entry.sales || 0) - (entry.expiredStock || 0) - (entry.damageStock || 0)
+              entry.invordStock - (entry.sales || 0) - (entry.expiredStock || 0) - (entry.damageStock || 0) -
+              (entry.returnedStock || 0) - (entry.adjustedStock || 0)
             );
 
             if (availableStock > 0) {
@@ -309,6 +794,22 @@ class OrderService extends BaseService {
       console.error('Stock usage recording error:', error);
       // Don't throw - allow order to complete even if stock recording fails
     }
+
+    try {
+      await stockLocationService.recordSale(theaterId, reference.locationId || null, productId, quantity);
+    } catch (error) {
+      console.error('Location stock recording error:', error);
+    }
+
+    try {
+      await rawMaterialService.consumeForSale(theaterId, productId, quantity, {
+        orderId: reference.orderId,
+        orderNumber: reference.orderNumber,
+        date: new Date(orderDate)
+      });
+    } catch (error) {
+      console.error('Ingredient usage recording error:', error);
+    }
   }
 }
 
@@ -0,0 +1,133 @@
+const BaseService = require('./BaseService');
+const Printer = require('../models/Printer');
+const Theater = require('../models/Theater');
+const purchaseOrderService = require('./PurchaseOrderService');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+
+// Fields an admin can set on a printer
+const EDITABLE_FIELDS = [
+  'name', 'role', 'paperWidth', 'connection', 'sources', 'categoryIds', 'copies', 'printLogo', 'isActive'
+];
+
+const pickFields = (data) => {
+  const printerData = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) printerData[field] = data[field];
+  });
+  if (printerData.categoryIds) {
+    printerData.categoryIds = [...new Set(printerData.categoryIds.map(String))];
+  }
+  return printerData;
+};
+
+/**
+ * Printer Service
+ * Handles a theater's thermal printers and what each one prints
+ */
+class PrinterService extends BaseService {
+  constructor() {
+    super(Printer);
+  }
+
+  /**
+   * Get all printers of the theater, receipt printers first
+   */
+  async getPrinters(theaterId) {
+    return Printer.find({ theaterId: new mongoose.Types.ObjectId(theaterId) })
+      .sort({ role: -1, name: 1 })
+      .lean();
+  }
+
+  /**
+   * Create printer
+   */
+  async createPrinter(theaterId, data) {
+    const printerData = pickFields(data);
+
+    try {
+      const printer = await Printer.create({ ...printerData, theaterId });
+      return printer.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Printer ${printerData.name} already exists`, 409, 'PRINTER_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update printer
+   */
+  async updatePrinter(theaterId, printerId, data) {
+    const printerData = pickFields(data);
+
+    try {
+      const printer = await Printer.findOneAndUpdate(
+        { _id: printerId, theaterId },
+        { $set: printerData },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!printer) {
+        throw serviceError('Printer not found', 404, 'PRINTER_NOT_FOUND');
+      }
+      return printer;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Printer ${printerData.name} already exists`, 409, 'PRINTER_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete printer
+   */
+  async deletePrinter(theaterId, printerId) {
+    const printer = await Printer.findOneAndDelete({ _id: printerId, theaterId }).lean();
+    if (!printer) {
+      throw serviceError('Printer not found', 404, 'PRINTER_NOT_FOUND');
+    }
+    return printer;
+  }
+
+  /**
+   * Everything a till needs to print without the server: the receipt header, the active printers
+   * and each product's category for kitchen routing.
+   * The POS, kiosk and offline POS cache this so receipts still print while offline.
+   */
+  async getPrintProfile(theaterId) {
+    const [theater, printers, productMap] = await Promise.all([
+      Theater.findById(theaterId).select('name address phone gstNumber fssaiNumber branding').lean(),
+      Printer.find({ theaterId: new mongoose.Types.ObjectId(theaterId), isActive: true }).sort({ role: -1, name: 1 }).lean(),
+      purchaseOrderService.getProductMap(theaterId)
+    ]);
+
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+
+    const productCategories = {};
+    productMap.forEach((product, productId) => {
+      if (product.categoryId) productCategories[productId] = String(product.categoryId);
+    });
+
+    return {
+      theater: {
+        name: theater.name,
+        address: [theater.address?.street, theater.address?.city, theater.address?.state, theater.address?.zipCode]
+          .filter(Boolean).join(', '),
+        phone: theater.phone || '',
+        gstNumber: theater.gstNumber || '',
+        fssaiNumber: theater.fssaiNumber || '',
+        logoUrl: theater.branding?.logoUrl || theater.branding?.logo || ''
+      },
+      printers,
+      productCategories,
+      updatedAt: new Date()
+    };
+  }
+}
+
+module.exports = new PrinterService();
@@ -1,8 +1,21 @@
 const BaseService = require('./BaseService');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const Theater = require('../models/Theater');
+const { isCombo, buildProductMap, getComboStock, describeComboItems } = require('../utils/comboUtils');
+const { modifierError, normalizeModifierGroups } = require('../utils/modifierUtils');
+const { normalizeAvailability, checkAvailability } = require('../utils/availabilityUtils');
+const { serviceError } = require('../utils/serviceError');
 const mongoose = require('mongoose');
 
+/**
+ * Availability rules as stored on a product, with kiosk type IDs as ObjectIds
+ */
+const storedAvailability = (availability) => {
+  const rules = normalizeAvailability(availability);
+  return rules && { ...rules, kioskTypes: rules.kioskTypes.map(id => new mongoose.Types.ObjectId(id)) };
+};
+
 /**
  * Product Service
  * Handles all product-related business logic
@@ -15,6 +28,8 @@ class ProductService extends BaseService {
   /**
    * Get products for a theater (supports both array and individual document structures)
    * 🚀 OPTIMIZED: Use MongoDB aggregation for faster filtering, sorting, and pagination
+   * Each product is marked with isAvailableNow / availabilityReason from its and its category's
+   * availability rules; pass screen, qrName or kioskType to check those for the menu asking.
    */
   async getProductsByTheater(theaterId, queryParams) {
     const {
@@ -26,11 +41,15 @@ class ProductService extends BaseService {
       isActive,
       isFeatured,
       sortBy = 'name',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      screen,
+      qrName,
+      kioskType
     } = queryParams;
 
     const db = mongoose.connection.db;
     const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const availabilityContext = { now: new Date(), timeZone: await this.getTheaterTimeZone(theaterId), screen, qrName, kioskType };
     
     // 🚀 OPTIMIZATION: Use aggregation pipeline for better performance
     const pipeline = [
@@ -384,7 +403,8 @@ class ProductService extends BaseService {
           // Override original image fields with migrated GCS URLs
           image: imageData, // Always use migrated GCS URL, not original base64
           imageUrl: imageData, // Always use migrated GCS URL, not original base64
-          productImage: imageData // Also override productImage for backward compatibility
+          productImage: imageData, // Also override productImage for backward compatibility
+          ...checkAvailability(product, categoryData, availabilityContext)
         };
         
         // Debug: Verify final return values
@@ -400,6 +420,11 @@ class ProductService extends BaseService {
       }));
     }
 
+    // Combos take their names and stock from their component products
+    if (paginated.some(isCombo)) {
+      paginated = await this.attachComboDetails(theaterObjectId, paginated);
+    }
+
     // Fallback to individual documents if no array structure found
     if (paginated.length === 0 && total === 0) {
       console.log('📦 ProductService: No array structure found, using individual documents');
@@ -555,7 +580,8 @@ class ProductService extends BaseService {
           imageData: imageData, // Add imageData for easy frontend access (like kioskTypeData)
           // Also set image and imageUrl for backward compatibility
           image: imageData,
-          imageUrl: imageData
+          imageUrl: imageData,
+          ...checkAvailability(product, null, availabilityContext)
         };
       }));
 
@@ -589,6 +615,86 @@ class ProductService extends BaseService {
     };
   }
 
+  /**
+   * Time zone the theater's availability rules are written in
+   */
+  async getTheaterTimeZone(theaterId) {
+    const theater = await Theater.findById(theaterId).select('settings.timezone').lean();
+    return theater?.settings?.timezone || 'Asia/Kolkata';
+  }
+
+  /**
+   * Add component names and derived stock to combo products
+   */
+  async attachComboDetails(theaterObjectId, products) {
+    const db = mongoose.connection.db;
+    const productContainer = await db.collection('productlist').findOne(
+      { theater: theaterObjectId },
+      { projection: { 'productList._id': 1, 'productList.name': 1, 'productList.inventory': 1, 'productList.isActive': 1, 'productList.isAvailable': 1 } }
+    );
+    const productMap = buildProductMap(productContainer?.productList);
+
+    return products.map(product => {
+      if (!isCombo(product)) return product;
+
+      const comboStock = getComboStock(product, productMap);
+      return {
+        ...product,
+        comboItems: describeComboItems(product, productMap),
+        inventory: {
+          ...product.inventory,
+          trackStock: comboStock !== null,
+          currentStock: comboStock ?? 0
+        }
+      };
+    });
+  }
+
+  /**
+   * Check and normalise the components of a combo
+   * @param {Array} comboItems - [{ productId, quantity, swapOptions: [productId] }]
+   * @param {string} [comboId] - The combo being edited, so it can't contain itself
+   */
+  async buildComboItems(theaterId, comboItems, comboId = null) {
+    if (!Array.isArray(comboItems) || comboItems.length === 0) {
+      throw serviceError('A combo needs at least one item', 400, 'INVALID_COMBO');
+    }
+
+    const db = mongoose.connection.db;
+    const productContainer = await db.collection('productlist').findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    });
+    const productMap = buildProductMap(productContainer?.productList);
+
+    const getComponent = (productId) => {
+      const product = productMap.get(String(productId));
+      if (!product || (comboId && String(productId) === String(comboId))) {
+        throw serviceError(`Product ${productId} cannot be part of this combo`, 400, 'INVALID_COMBO');
+      }
+      if (isCombo(product)) {
+        throw serviceError(`${product.name} is a combo and cannot be part of another combo`, 400, 'INVALID_COMBO');
+      }
+      return product;
+    };
+
+    return comboItems.map(comboItem => {
+      const product = getComponent(comboItem.productId);
+      const quantity = parseInt(comboItem.quantity) || 1;
+      if (quantity < 1) {
+        throw serviceError(`Quantity for ${product.name} must be at least 1`, 400, 'INVALID_COMBO');
+      }
+
+      const swapIds = [...new Set((comboItem.swapOptions || []).map(String))]
+        .filter(optionId => optionId !== String(product._id));
+
+      return {
+        productId: product._id,
+        quantity,
+        swapOptions: swapIds.map(optionId => getComponent(optionId)._id)
+      };
+    });
+  }
+
   /**
    * Get product by ID
    */
@@ -634,6 +740,14 @@ class ProductService extends BaseService {
       throw new Error('Invalid category');
     }
 
+    const comboItems = productData.isCombo
+      ? await this.buildComboItems(theaterId, productData.comboItems)
+      : [];
+    const variants = productData.variants ? normalizeModifierGroups(productData.variants) : [];
+    if (comboItems.length > 0 && variants.length > 0) {
+      throw modifierError('Combos cannot have modifiers', 'INVALID_MODIFIERS');
+    }
+
     // Create product with proper structure and defaults
     const newProduct = {
       _id: new mongoose.Types.ObjectId(),
@@ -645,6 +759,8 @@ class ProductService extends BaseService {
       productTypeId: productData.productTypeId ? new mongoose.Types.ObjectId(productData.productTypeId) : null,
       sku: productData.sku || `SKU-${Date.now()}`,
       barcode: productData.barcode || null,
+      // HSN (goods) or SAC (services) code printed on tax invoices
+      hsnCode: productData.hsnCode || null,
       quantity: productData.quantity || '',
       pricing: {
         basePrice: productData.pricing?.basePrice || 0,
@@ -654,8 +770,15 @@ class ProductService extends BaseService {
         currency: productData.pricing?.currency || 'INR',
         gstType: productData.pricing?.gstType || 'EXCLUDE'
       },
+      isCombo: comboItems.length > 0,
+      comboItems,
+      variants,
+      availability: storedAvailability(productData.availability),
       inventory: {
-        trackStock: productData.inventory?.trackStock !== undefined ? productData.inventory.trackStock : true,
+        // Combos are stocked through their components
+        trackStock: comboItems.length > 0
+          ? false
+          : (productData.inventory?.trackStock !== undefined ? productData.inventory.trackStock : true),
         currentStock: productData.inventory?.currentStock || 0,
         minStock: productData.inventory?.minStock || 0,
         maxStock: productData.inventory?.maxStock || 1000,
@@ -738,6 +861,24 @@ class ProductService extends BaseService {
         ? new mongoose.Types.ObjectId(processedUpdateData.productTypeId) 
         : null;
     }
+    if (processedUpdateData.isCombo !== undefined || processedUpdateData.comboItems !== undefined) {
+      const makeCombo = processedUpdateData.isCombo ?? existingProduct.isCombo;
+      processedUpdateData.comboItems = makeCombo
+        ? await this.buildComboItems(theaterId, processedUpdateData.comboItems ?? existingProduct.comboItems, productId)
+        : [];
+      processedUpdateData.isCombo = processedUpdateData.comboItems.length > 0;
+    }
+    if (processedUpdateData.variants !== undefined) {
+      processedUpdateData.variants = normalizeModifierGroups(processedUpdateData.variants || []);
+    }
+    if (processedUpdateData.availability !== undefined) {
+      processedUpdateData.availability = storedAvailability(processedUpdateData.availability);
+    }
+    const willBeCombo = processedUpdateData.isCombo ?? existingProduct.isCombo;
+    const willHaveModifiers = (processedUpdateData.variants ?? existingProduct.variants ?? []).length > 0;
+    if (willBeCombo && willHaveModifiers) {
+      throw modifierError('Combos cannot have modifiers', 'INVALID_MODIFIERS');
+    }
 
     // Merge existing product with update data
     const mergedProduct = {
@@ -762,6 +903,13 @@ class ProductService extends BaseService {
       };
     }
 
+    if (processedUpdateData.isCombo !== undefined) {
+      mergedProduct.inventory = {
+        ...mergedProduct.inventory,
+        trackStock: !processedUpdateData.isCombo
+      };
+    }
+
     const result = await db.collection('productlist').findOneAndUpdate(
       {
         theater: theaterObjectId,
@@ -798,6 +946,23 @@ class ProductService extends BaseService {
     const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
     const productObjectId = new mongoose.Types.ObjectId(productId);
 
+    // Keep combos intact - their components must be removed from them first
+    const comboContainer = await db.collection('productlist').findOne(
+      {
+        theater: theaterObjectId,
+        productList: {
+          $elemMatch: {
+            isCombo: true,
+            $or: [{ 'comboItems.productId': productObjectId }, { 'comboItems.swapOptions': productObjectId }]
+          }
+        }
+      },
+      { projection: { 'productList.$': 1 } }
+    );
+    if (comboContainer) {
+      throw serviceError(`This product is part of the combo ${comboContainer.productList[0].name}`, 409, 'PRODUCT_IN_COMBO');
+    }
+
     const result = await db.collection('productlist').findOneAndUpdate(
       { theater: theaterObjectId },
       {
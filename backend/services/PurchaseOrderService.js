@@ -0,0 +1,514 @@
+const BaseService = require('./BaseService');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const MonthlyStock = require('../models/MonthlyStock');
+const Supplier = require('../models/Supplier');
+const stockService = require('./StockService');
+const { buildProductMap } = require('../utils/comboUtils');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+const { nextNumber, createNumbered } = require('../utils/documentNumber');
+
+// Statuses a purchase order can still be edited in
+const EDITABLE_STATUSES = ['draft', 'ordered'];
+
+// Statuses goods can be received in
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+
+// Manual status changes: target status → statuses it can be set from
+const STATUS_TRANSITIONS = {
+  ordered: ['draft'],
+  cancelled: ['draft', 'ordered']
+};
+
+const toUser = (user) => (user ? {
+  userId: mongoose.Types.ObjectId.isValid(user.userId) ? user.userId : undefined,
+  username: user.username
+} : undefined);
+
+/**
+ * Purchase Order Service
+ * Handles purchase orders, goods received notes, returns to supplier and the supplier purchase report
+ */
+class PurchaseOrderService extends BaseService {
+  constructor() {
+    super(PurchaseOrder);
+  }
+
+  async getProductMap(theaterId) {
+    const productContainer = await mongoose.connection.db.collection('productlist').findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    });
+    return buildProductMap(productContainer?.productList);
+  }
+
+  async getActiveSupplier(theaterId, supplierId) {
+    const supplier = await Supplier.findOne({ _id: supplierId, theaterId }).lean();
+    if (!supplier) {
+      throw serviceError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+    }
+    if (!supplier.isActive) {
+      throw serviceError(`${supplier.name} is inactive`, 400, 'SUPPLIER_INACTIVE');
+    }
+    return supplier;
+  }
+
+  /**
+   * Check ordered lines against the product list and price them
+   */
+  async buildItems(theaterId, items) {
+    const productMap = await this.getProductMap(theaterId);
+    const seen = new Set();
+
+    return items.map(item => {
+      const product = productMap.get(String(item.productId));
+      if (!product) {
+        throw serviceError(`Product ${item.productId} not found`, 400, 'PRODUCT_NOT_FOUND');
+      }
+      if (seen.has(String(item.productId))) {
+        throw serviceError(`${product.name} is listed more than once`, 400, 'DUPLICATE_ITEM');
+      }
+      seen.add(String(item.productId));
+
+      return {
+        productId: product._id,
+        productName: product.name,
+        quantity: Number(item.quantity),
+        unitCost: roundAmount(Number(item.unitCost)),
+        receivedQuantity: 0,
+        returnedQuantity: 0
+      };
+    });
+  }
+
+  getTotalCost(items) {
+    return roundAmount(items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0));
+  }
+
+  async getOrderDocument(theaterId, poId) {
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: poId, theaterId });
+    if (!purchaseOrder) {
+      throw serviceError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND');
+    }
+    return purchaseOrder;
+  }
+
+  /**
+   * Get purchase orders for theater
+   */
+  async getPurchaseOrders(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.supplierId) filter.supplierId = new mongoose.Types.ObjectId(queryParams.supplierId);
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { poNumber: { $regex: search, $options: 'i' } },
+        { supplierName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    return this.findAll(filter, { page, limit, sort: { createdAt: -1 } });
+  }
+
+  /**
+   * Get a purchase order with its receipts and returns
+   */
+  async getPurchaseOrder(theaterId, poId) {
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: poId, theaterId }).lean();
+    if (!purchaseOrder) {
+      throw serviceError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND');
+    }
+
+    const receipts = await GoodsReceipt.find({ theaterId, purchaseOrderId: poId })
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    return { ...purchaseOrder, receipts };
+  }
+
+  /**
+   * Create purchase order (as a draft unless status 'ordered' is given)
+   */
+  async createPurchaseOrder(theaterId, data, user) {
+    const supplier = await this.getActiveSupplier(theaterId, data.supplierId);
+    const items = await this.buildItems(theaterId, data.items);
+
+    const purchaseOrder = await createNumbered(PurchaseOrder, 'poNumber', 'PO', {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      status: data.status === 'ordered' ? 'ordered' : 'draft',
+      items,
+      orderDate: data.orderDate || new Date(),
+      expectedDeliveryDate: data.expectedDeliveryDate || null,
+      totalCost: this.getTotalCost(items),
+      notes: data.notes || '',
+      createdBy: toUser(user)
+    });
+
+    return purchaseOrder.toObject();
+  }
+
+  /**
+   * Update purchase order before anything has been received
+   */
+  async updatePurchaseOrder(theaterId, poId, data) {
+    const purchaseOrder = await this.getOrderDocument(theaterId, poId);
+    if (!EDITABLE_STATUSES.includes(purchaseOrder.status)) {
+      throw serviceError(`A ${purchaseOrder.status.replace('_', ' ')} purchase order cannot be edited`, 400, 'PURCHASE_ORDER_LOCKED');
+    }
+
+    if (data.supplierId && String(data.supplierId) !== String(purchaseOrder.supplierId)) {
+      const supplier = await this.getActiveSupplier(theaterId, data.supplierId);
+      purchaseOrder.supplierId = supplier._id;
+      purchaseOrder.supplierName = supplier.name;
+    }
+    if (data.items) {
+      purchaseOrder.items = await this.buildItems(theaterId, data.items);
+      purchaseOrder.totalCost = this.getTotalCost(purchaseOrder.items);
+    }
+    ['orderDate', 'expectedDeliveryDate', 'notes'].forEach(field => {
+      if (data[field] !== undefined) purchaseOrder[field] = data[field];
+    });
+
+    await purchaseOrder.save();
+    return purchaseOrder.toObject();
+  }
+
+  /**
+   * Place or cancel a purchase order
+   */
+  async setStatus(theaterId, poId, status) {
+    const purchaseOrder = await this.getOrderDocument(theaterId, poId);
+    const allowedFrom = STATUS_TRANSITIONS[status] || [];
+
+    if (!allowedFrom.includes(purchaseOrder.status)) {
+      throw serviceError(
+        `Cannot change a ${purchaseOrder.status.replace('_', ' ')} purchase order to ${status}`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    purchaseOrder.status = status;
+    await purchaseOrder.save();
+    return purchaseOrder.toObject();
+  }
+
+  /**
+   * Delete a draft purchase order
+   */
+  async deletePurchaseOrder(theaterId, poId) {
+    const purchaseOrder = await PurchaseOrder.findOneAndDelete({ _id: poId, theaterId, status: 'draft' }).lean();
+    if (!purchaseOrder) {
+      const exists = await PurchaseOrder.exists({ _id: poId, theaterId });
+      throw exists
+        ? serviceError('Only draft purchase orders can be deleted. Cancel it instead.', 400, 'PURCHASE_ORDER_LOCKED')
+        : serviceError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND');
+    }
+    return purchaseOrder;
+  }
+
+  /**
+   * Receive goods against a purchase order (GRN)
+   * Each line becomes an ADDED stock entry carrying its batch, expiry and cost price.
+   * @param {Object} data - { items: [{ itemId, quantity, batchNumber, expireDate, unitCost }], date, invoiceNumber, notes }
+   */
+  async receiveGoods(theaterId, poId, data, user) {
+    const purchaseOrder = await this.getOrderDocument(theaterId, poId);
+    if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+      throw serviceError(
+        purchaseOrder.status === 'draft'
+          ? 'Place the purchase order before receiving goods'
+          : `Goods cannot be received on a ${purchaseOrder.status.replace('_', ' ')} purchase order`,
+        400,
+        'PURCHASE_ORDER_NOT_OPEN'
+      );
+    }
+
+    const lines = this.matchLines(purchaseOrder, data.items, (orderItem) => orderItem.quantity - orderItem.receivedQuantity, 'still to be received');
+    const receiptDate = data.date ? new Date(data.date) : new Date();
+
+    const receipt = new GoodsReceipt({
+      theaterId: purchaseOrder.theaterId,
+      type: 'receipt',
+      purchaseOrderId: purchaseOrder._id,
+      poNumber: purchaseOrder.poNumber,
+      supplierId: purchaseOrder.supplierId,
+      supplierName: purchaseOrder.supplierName,
+      date: receiptDate,
+      invoiceNumber: data.invoiceNumber || '',
+      notes: data.notes || '',
+      createdBy: toUser(user)
+    });
+    receipt.grnNumber = await nextNumber(GoodsReceipt, 'grnNumber', 'GRN', purchaseOrder.theaterId, receiptDate);
+
+    for (const { orderItem, line } of lines) {
+      const unitCost = line.unitCost !== undefined ? roundAmount(Number(line.unitCost)) : orderItem.unitCost;
+      const monthlyDoc = await stockService.addStockEntry(theaterId, orderItem.productId, {
+        date: receiptDate,
+        type: 'ADDED',
+        quantity: line.quantity,
+        expireDate: line.expireDate || null,
+        batchNumber: line.batchNumber || null,
+        notes: `${receipt.grnNumber} from ${purchaseOrder.supplierName} (${purchaseOrder.poNumber})`,
+        costPrice: unitCost,
+        supplierId: purchaseOrder.supplierId,
+        purchaseOrderId: purchaseOrder._id,
+        goodsReceiptId: receipt._id
+      });
+
+      // The entry just added is the receipt's entry for this product not yet booked to another line
+      const booked = receipt.items.flatMap(item => item.stockEntries.map(entry => String(entry.entryId)));
+      const stockEntry = monthlyDoc.stockDetails
+        .filter(entry => String(entry.goodsReceiptId) === String(receipt._id) && !booked.includes(String(entry._id)))
+        .pop();
+
+      receipt.items.push({
+        productId: orderItem.productId,
+        productName: orderItem.productName,
+        quantity: line.quantity,
+        unitCost,
+        batchNumber: line.batchNumber || null,
+        expireDate: line.expireDate || null,
+        stockEntries: stockEntry ? [{ entryId: stockEntry._id, batchNumber: stockEntry.batchNumber, quantity: line.quantity }] : []
+      });
+      orderItem.receivedQuantity += line.quantity;
+    }
+
+    receipt.totalCost = roundAmount(receipt.items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0));
+    await receipt.save();
+
+    purchaseOrder.status = purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity)
+      ? 'received'
+      : 'partially_received';
+    await purchaseOrder.save();
+
+    return { purchaseOrder: purchaseOrder.toObject(), receipt: receipt.toObject() };
+  }
+
+  /**
+   * Send received goods back to the supplier
+   * Stock is taken off the entries this purchase order's receipts created.
+   * @param {Object} data - { items: [{ itemId, quantity, batchNumber }], date, notes }
+   */
+  async returnGoods(theaterId, poId, data, user) {
+    const purchaseOrder = await this.getOrderDocument(theaterId, poId);
+    const lines = this.matchLines(purchaseOrder, data.items, (orderItem) => orderItem.receivedQuantity - orderItem.returnedQuantity, 'received and not yet returned');
+    const returnDate = data.date ? new Date(data.date) : new Date();
+
+    const receipts = await GoodsReceipt.find({ theaterId, purchaseOrderId: purchaseOrder._id, type: 'receipt' }).lean();
+    const returnNumber = await nextNumber(GoodsReceipt, 'grnNumber', 'RTN', purchaseOrder.theaterId, returnDate);
+    const returnItems = [];
+
+    for (const { orderItem, line } of lines) {
+      const entryIds = receipts
+        .flatMap(receipt => receipt.items)
+        .filter(item => String(item.productId) === String(orderItem.productId))
+        .flatMap(item => item.stockEntries.map(entry => entry.entryId));
+
+      const stockEntries = await stockService.returnToSupplier(theaterId, orderItem.productId, entryIds, line.quantity, {
+        batchNumber: line.batchNumber || null,
+        note: `${line.quantity} returned to ${purchaseOrder.supplierName} (${returnNumber})`
+      });
+
+      returnItems.push({
+        productId: orderItem.productId,
+        productName: orderItem.productName,
+        quantity: line.quantity,
+        unitCost: orderItem.unitCost,
+        batchNumber: line.batchNumber || null,
+        stockEntries
+      });
+      orderItem.returnedQuantity += line.quantity;
+    }
+
+    const supplierReturn = await GoodsReceipt.create({
+      theaterId: purchaseOrder.theaterId,
+      grnNumber: returnNumber,
+      type: 'return',
+      purchaseOrderId: purchaseOrder._id,
+      poNumber: purchaseOrder.poNumber,
+      supplierId: purchaseOrder.supplierId,
+      supplierName: purchaseOrder.supplierName,
+      date: returnDate,
+      items: returnItems,
+      totalCost: roundAmount(returnItems.reduce((sum, item) => sum + item.quantity * item.unitCost, 0)),
+      notes: data.notes || '',
+      createdBy: toUser(user)
+    });
+
+    await purchaseOrder.save();
+    return { purchaseOrder: purchaseOrder.toObject(), receipt: supplierReturn.toObject() };
+  }
+
+  /**
+   * Pair requested lines with purchase order items and check the quantities
+   * @param {Function} getLimit - Most units the line may move for an item
+   */
+  matchLines(purchaseOrder, items = [], getLimit, limitLabel) {
+    const lines = items
+      .filter(line => Number(line.quantity) > 0)
+      .map(line => {
+        const orderItem = purchaseOrder.items.find(item =>
+          String(item._id) === String(line.itemId) || String(item.productId) === String(line.productId)
+        );
+        if (!orderItem) {
+          throw serviceError('Item is not on this purchase order', 400, 'ITEM_NOT_ON_ORDER');
+        }
+        return { orderItem, line: { ...line, quantity: Number(line.quantity) } };
+      });
+
+    if (lines.length === 0) {
+      throw serviceError('Enter a quantity for at least one item', 400, 'NO_ITEMS');
+    }
+
+    // The same item may appear on several lines (one per batch)
+    const totals = new Map();
+    lines.forEach(({ orderItem, line }) => {
+      totals.set(orderItem, (totals.get(orderItem) || 0) + line.quantity);
+    });
+    totals.forEach((quantity, orderItem) => {
+      const limit = getLimit(orderItem);
+      if (quantity > limit) {
+        throw serviceError(`Only ${limit} ${orderItem.productName} ${limitLabel}`, 400, 'QUANTITY_EXCEEDS_ORDER');
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * What was bought from each supplier against what has sold
+   * Sold units come from FIFO sales on the stock entries the supplier's receipts created.
+   */
+  async getSupplierReport(theaterId, { startDate, endDate, supplierId } = {}) {
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    const match = { theaterId: theaterObjectId };
+    if (supplierId) match.supplierId = new mongoose.Types.ObjectId(supplierId);
+    if (start || end) {
+      match.date = {};
+      if (start) match.date.$gte = start;
+      if (end) match.date.$lte = end;
+    }
+
+    const movements = await GoodsReceipt.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: { supplierId: '$supplierId', type: '$type' },
+          supplierName: { $last: '$supplierName' },
+          quantity: { $sum: '$items.quantity' },
+          cost: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitCost', 0] }] } },
+          purchaseOrders: { $addToSet: '$purchaseOrderId' }
+        }
+      }
+    ]);
+
+    const stockMatch = { theaterId: theaterObjectId, 'stockDetails.supplierId': { $exists: true } };
+    const stockDocs = await MonthlyStock.find(stockMatch)
+      .select('productId stockDetails')
+      .lean()
+      .maxTimeMS(20000);
+
+    const [productMap, suppliers] = await Promise.all([
+      this.getProductMap(theaterId),
+      Supplier.find({ theaterId: theaterObjectId }).select('name').lean()
+    ]);
+
+    const rows = new Map();
+    const getRow = (id, name) => {
+      const key = String(id);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          supplierId: id,
+          supplierName: name || suppliers.find(s => String(s._id) === key)?.name || 'Unknown supplier',
+          purchaseOrders: 0,
+          receivedQuantity: 0,
+          purchaseCost: 0,
+          returnedQuantity: 0,
+          returnedCost: 0,
+          soldQuantity: 0,
+          costOfSold: 0,
+          salesValue: 0,
+          onHandQuantity: 0
+        });
+      }
+      return rows.get(key);
+    };
+
+    movements.forEach(({ _id, supplierName, quantity, cost, purchaseOrders }) => {
+      const row = getRow(_id.supplierId, supplierName);
+      if (_id.type === 'return') {
+        row.returnedQuantity += quantity;
+        row.returnedCost += cost;
+      } else {
+        row.receivedQuantity += quantity;
+        row.purchaseCost += cost;
+        row.purchaseOrders += purchaseOrders.length;
+      }
+    });
+
+    const inPeriod = (date) => (!start || date >= start) && (!end || date <= end);
+
+    stockDocs.forEach(doc => {
+      const product = productMap.get(String(doc.productId));
+      const sellingPrice = product?.pricing?.sellingPrice || product?.pricing?.basePrice || 0;
+
+      doc.stockDetails
+        .filter(entry => entry.supplierId && (!supplierId || String(entry.supplierId) === String(supplierId)))
+        .forEach(entry => {
+          const row = getRow(entry.supplierId);
+          const sold = (start || end)
+            ? (entry.usageHistory || []).filter(use => inPeriod(new Date(use.orderDate))).reduce((sum, use) => sum + (use.quantity || 0), 0)
+            : (entry.sales || 0);
+
+          row.soldQuantity += sold;
+          row.costOfSold += sold * (entry.costPrice || 0);
+          row.salesValue += sold * sellingPrice;
+          row.onHandQuantity += Math.max(0,
+            (entry.invordStock || 0) - (entry.sales || 0) - (entry.expiredStock || 0) -
+            (entry.damageStock || 0) - (entry.returnedStock || 0)
+          );
+        });
+    });
+
+    const report = [...rows.values()]
+      .map(row => ({
+        ...row,
+        purchaseCost: roundAmount(row.purchaseCost),
+        returnedCost: roundAmount(row.returnedCost),
+        netPurchaseCost: roundAmount(row.purchaseCost - row.returnedCost),
+        costOfSold: roundAmount(row.costOfSold),
+        salesValue: roundAmount(row.salesValue),
+        grossMargin: roundAmount(row.salesValue - row.costOfSold)
+      }))
+      .sort((a, b) => b.netPurchaseCost - a.netPurchaseCost);
+
+    const sum = (field) => roundAmount(report.reduce((total, row) => total + row[field], 0));
+
+    return {
+      suppliers: report,
+      summary: {
+        purchaseCost: sum('purchaseCost'),
+        returnedCost: sum('returnedCost'),
+        netPurchaseCost: sum('netPurchaseCost'),
+        soldQuantity: sum('soldQuantity'),
+        costOfSold: sum('costOfSold'),
+        salesValue: sum('salesValue'),
+        grossMargin: sum('grossMargin')
+      }
+    };
+  }
+}
+
+module.exports = new PurchaseOrderService();
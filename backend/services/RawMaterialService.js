@@ -0,0 +1,506 @@
+const BaseService = require('./BaseService');
+const RawMaterial = require('../models/RawMaterial');
+const RawMaterialMovement = require('../models/RawMaterialMovement');
+const Recipe = require('../models/Recipe');
+const { buildProductMap } = require('../utils/comboUtils');
+const { toBaseQuantity } = require('../utils/unitUtils');
+const { checkAndNotifyLowRawMaterial } = require('../utils/lowStockChecker');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+
+// Raw materials are measured to the milligram / millilitre
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+// Fields an admin can set on a raw material (the unit is fixed once created)
+const EDITABLE_FIELDS = ['name', 'minStock', 'costPerUnit', 'isActive'];
+
+const toUser = (user) => (user ? {
+  userId: mongoose.Types.ObjectId.isValid(user.userId) ? user.userId : undefined,
+  username: user.username
+} : undefined);
+
+/**
+ * Raw Material Service
+ * Handles the ingredient catalogue, recipes, ingredient stock movements and consumption reporting
+ */
+class RawMaterialService extends BaseService {
+  constructor() {
+    super(RawMaterial);
+  }
+
+  withStatus(material) {
+    return { ...material, isLow: material.minStock > 0 && material.currentStock <= material.minStock };
+  }
+
+  /**
+   * Get raw materials for theater (?search=&isActive=&lowStock=true)
+   */
+  async getRawMaterials(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.name = { $regex: search, $options: 'i' };
+    }
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === 'true';
+    }
+    if (queryParams.lowStock === 'true') {
+      filter.minStock = { $gt: 0 };
+      filter.$expr = { $lte: ['$currentStock', '$minStock'] };
+    }
+
+    const result = await this.findAll(filter, { page, limit, sort: { name: 1 } });
+    result.data = result.data.map(material => this.withStatus(material));
+    return result;
+  }
+
+  /**
+   * Create raw material
+   */
+  async createRawMaterial(theaterId, data) {
+    try {
+      const material = await RawMaterial.create({
+        theaterId,
+        name: data.name,
+        unit: data.unit,
+        minStock: data.minStock || 0,
+        costPerUnit: data.costPerUnit || 0,
+        isActive: data.isActive !== false
+      });
+      return this.withStatus(material.toObject());
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Raw material ${data.name} already exists`, 409, 'RAW_MATERIAL_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update raw material
+   */
+  async updateRawMaterial(theaterId, materialId, data) {
+    const update = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) update[field] = data[field];
+    });
+
+    try {
+      const material = await RawMaterial.findOneAndUpdate(
+        { _id: materialId, theaterId },
+        { $set: update },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!material) {
+        throw serviceError('Raw material not found', 404, 'RAW_MATERIAL_NOT_FOUND');
+      }
+      if (update.name) {
+        await Recipe.updateMany(
+          { theaterId, 'ingredients.rawMaterialId': material._id },
+          { $set: { 'ingredients.$[ingredient].name': material.name } },
+          { arrayFilters: [{ 'ingredient.rawMaterialId': material._id }] }
+        );
+      }
+      return this.withStatus(material);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Raw material ${update.name} already exists`, 409, 'RAW_MATERIAL_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete raw material
+   * Materials used by a recipe or with stock history are kept; deactivate them instead.
+   */
+  async deleteRawMaterial(theaterId, materialId) {
+    const recipe = await Recipe.findOne({ theaterId, 'ingredients.rawMaterialId': materialId }).select('productName').lean();
+    if (recipe) {
+      throw serviceError(`Used in the recipe for ${recipe.productName}. Remove it from the recipe first.`, 409, 'RAW_MATERIAL_IN_USE');
+    }
+    const hasHistory = await RawMaterialMovement.exists({ theaterId, rawMaterialId: materialId });
+    if (hasHistory) {
+      throw serviceError('Raw material has stock history. Mark it inactive instead.', 409, 'RAW_MATERIAL_IN_USE');
+    }
+
+    const material = await RawMaterial.findOneAndDelete({ _id: materialId, theaterId }).lean();
+    if (!material) {
+      throw serviceError('Raw material not found', 404, 'RAW_MATERIAL_NOT_FOUND');
+    }
+    return material;
+  }
+
+  /**
+   * Record a delivery, wastage or physical count
+   * @param {Object} data - { type: received | wastage | count, quantity, unit, costPerUnit, date, notes }
+   */
+  async recordMovement(theaterId, materialId, data, user) {
+    const material = await RawMaterial.findOne({ _id: materialId, theaterId }).lean();
+    if (!material) {
+      throw serviceError('Raw material not found', 404, 'RAW_MATERIAL_NOT_FOUND');
+    }
+
+    const quantity = roundQuantity(toBaseQuantity(Number(data.quantity), data.unit, material.unit));
+    const movement = {
+      theaterId: material.theaterId,
+      rawMaterialId: material._id,
+      type: data.type,
+      date: data.date ? new Date(data.date) : new Date(),
+      notes: data.notes || '',
+      createdBy: toUser(user)
+    };
+
+    let updated;
+    if (data.type === 'count') {
+      // Counted stock replaces the book stock; the difference is the count variance
+      const previous = await RawMaterial.findOneAndUpdate(
+        { _id: material._id },
+        { $set: { currentStock: quantity } },
+        { new: false }
+      ).lean();
+      updated = { ...previous, currentStock: quantity };
+      movement.countedQuantity = quantity;
+      movement.change = roundQuantity(quantity - previous.currentStock);
+    } else {
+      const change = data.type === 'received' ? quantity : -quantity;
+      const update = { $inc: { currentStock: change } };
+      if (data.type === 'received' && data.costPerUnit !== undefined && data.costPerUnit !== null) {
+        // Cost is entered per unit as received (e.g. per kg)
+        movement.costPerUnit = Number(data.costPerUnit) / toBaseQuantity(1, data.unit, material.unit);
+        update.$set = { costPerUnit: movement.costPerUnit };
+      }
+      updated = await RawMaterial.findOneAndUpdate({ _id: material._id }, update, { new: true }).lean();
+      movement.change = change;
+    }
+
+    movement.balanceAfter = roundQuantity(updated.currentStock);
+    const saved = await RawMaterialMovement.create(movement);
+
+    if (movement.change < 0) {
+      checkAndNotifyLowRawMaterial(theaterId, updated).catch(() => {});
+    }
+
+    return { rawMaterial: this.withStatus(updated), movement: saved.toObject() };
+  }
+
+  /**
+   * Stock history of a raw material, newest first
+   */
+  async getMovements(theaterId, materialId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      rawMaterialId: new mongoose.Types.ObjectId(materialId)
+    };
+    if (queryParams.type) filter.type = queryParams.type;
+
+    const [data, total] = await Promise.all([
+      RawMaterialMovement.find(filter)
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+        .maxTimeMS(15000),
+      RawMaterialMovement.countDocuments(filter).maxTimeMS(10000)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    return {
+      data,
+      pagination: {
+        current: page,
+        limit,
+        total,
+        totalItems: total,
+        pages: totalPages,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Cost of one product unit made with the recipe
+   */
+  getRecipeCost(recipe, materialMap) {
+    const batchCost = recipe.ingredients.reduce((sum, ingredient) => {
+      const material = materialMap.get(String(ingredient.rawMaterialId));
+      if (!material) return sum;
+      return sum + toBaseQuantity(ingredient.quantity, ingredient.unit, material.unit) * (material.costPerUnit || 0);
+    }, 0);
+    return roundAmount(batchCost / (recipe.yield || 1));
+  }
+
+  async getMaterialMap(theaterId) {
+    const materials = await RawMaterial.find({ theaterId }).lean();
+    return new Map(materials.map(material => [String(material._id), material]));
+  }
+
+  /**
+   * All recipes of the theater with their cost per product unit
+   */
+  async getRecipes(theaterId) {
+    const [recipes, materialMap] = await Promise.all([
+      Recipe.find({ theaterId }).sort({ productName: 1 }).lean(),
+      this.getMaterialMap(theaterId)
+    ]);
+    return recipes.map(recipe => ({ ...recipe, unitCost: this.getRecipeCost(recipe, materialMap) }));
+  }
+
+  async getRecipe(theaterId, productId) {
+    const recipe = await Recipe.findOne({ theaterId, productId }).lean();
+    if (!recipe) {
+      throw serviceError('No recipe for this product', 404, 'RECIPE_NOT_FOUND');
+    }
+    const materialMap = await this.getMaterialMap(theaterId);
+    return { ...recipe, unitCost: this.getRecipeCost(recipe, materialMap) };
+  }
+
+  /**
+   * Create or replace the recipe of a product
+   * @param {Object} data - { yield, ingredients: [{ rawMaterialId, quantity, unit }], notes }
+   */
+  async saveRecipe(theaterId, productId, data) {
+    const productContainer = await mongoose.connection.db.collection('productlist').findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    });
+    const product = buildProductMap(productContainer?.productList).get(String(productId));
+    if (!product) {
+      throw serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const materialMap = await this.getMaterialMap(theaterId);
+    const seen = new Set();
+    const ingredients = data.ingredients.map(ingredient => {
+      const material = materialMap.get(String(ingredient.rawMaterialId));
+      if (!material) {
+        throw serviceError('Raw material not found', 400, 'RAW_MATERIAL_NOT_FOUND');
+      }
+      if (seen.has(String(material._id))) {
+        throw serviceError(`${material.name} is listed more than once`, 400, 'DUPLICATE_INGREDIENT');
+      }
+      seen.add(String(material._id));
+
+      const unit = ingredient.unit || material.unit;
+      toBaseQuantity(1, unit, material.unit); // Rejects units of another kind
+      return {
+        rawMaterialId: material._id,
+        name: material.name,
+        quantity: Number(ingredient.quantity),
+        unit
+      };
+    });
+
+    const recipe = await Recipe.findOneAndUpdate(
+      { theaterId, productId },
+      {
+        $set: {
+          productName: product.name,
+          yield: Number(data.yield) || 1,
+          ingredients,
+          notes: data.notes || ''
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    return { ...recipe, unitCost: this.getRecipeCost(recipe, materialMap) };
+  }
+
+  async deleteRecipe(theaterId, productId) {
+    const recipe = await Recipe.findOneAndDelete({ theaterId, productId }).lean();
+    if (!recipe) {
+      throw serviceError('No recipe for this product', 404, 'RECIPE_NOT_FOUND');
+    }
+    return recipe;
+  }
+
+  /**
+   * Use up the ingredients of a sold product
+   * Stock may go negative - a sale is never blocked on ingredient stock, the count corrects it.
+   * @param {Object} reference - { orderId, orderNumber, date }
+   */
+  async consumeForSale(theaterId, productId, quantity, { orderId, orderNumber, date } = {}) {
+    const recipe = await Recipe.findOne({ theaterId, productId }).lean();
+    if (!recipe || recipe.ingredients.length === 0) return [];
+
+    const consumed = [];
+    for (const ingredient of recipe.ingredients) {
+      const material = await RawMaterial.findOne({ _id: ingredient.rawMaterialId, theaterId }).select('unit').lean();
+      if (!material) continue;
+
+      const amount = roundQuantity(
+        toBaseQuantity(ingredient.quantity, ingredient.unit, material.unit) * quantity / (recipe.yield || 1)
+      );
+      if (amount <= 0) continue;
+
+      const updated = await RawMaterial.findOneAndUpdate(
+        { _id: material._id },
+        { $inc: { currentStock: -amount } },
+        { new: true }
+      ).lean();
+
+      consumed.push({
+        theaterId: updated.theaterId,
+        rawMaterialId: updated._id,
+        type: 'consumed',
+        change: -amount,
+        balanceAfter: roundQuantity(updated.currentStock),
+        orderId,
+        orderNumber,
+        productId,
+        productQuantity: quantity,
+        date: date || new Date()
+      });
+
+      checkAndNotifyLowRawMaterial(theaterId, updated).catch(() => {});
+    }
+
+    if (consumed.length > 0) {
+      await RawMaterialMovement.insertMany(consumed);
+    }
+    return consumed;
+  }
+
+  /**
+   * Give back the ingredients of refunded units of a sale
+   * Reverses what the sale itself consumed, so a recipe changed since doesn't matter. The return is
+   * a `consumed` movement with a positive change, which takes it off the sale's theoretical usage.
+   * @param {Object} reference - { orderId, orderNumber, date } of the refunded sale
+   */
+  async returnForRefund(theaterId, productId, quantity, { orderId, orderNumber, date } = {}) {
+    if (!orderId) return [];
+
+    const movements = await RawMaterialMovement.find({ theaterId, orderId, productId, type: 'consumed' }).lean();
+    const byMaterial = new Map();
+    for (const movement of movements) {
+      const key = String(movement.rawMaterialId);
+      const totals = byMaterial.get(key) || { used: 0, units: 0, returned: 0 };
+      if (movement.change < 0) {
+        totals.used -= movement.change;
+        totals.units += movement.productQuantity || 0;
+      } else {
+        totals.returned += movement.change;
+      }
+      byMaterial.set(key, totals);
+    }
+
+    const returned = [];
+    for (const [rawMaterialId, { used, units, returned: alreadyReturned }] of byMaterial) {
+      if (units <= 0) continue;
+      const amount = roundQuantity(Math.min(used * quantity / units, used - alreadyReturned));
+      if (amount <= 0) continue;
+
+      const updated = await RawMaterial.findOneAndUpdate(
+        { _id: rawMaterialId, theaterId },
+        { $inc: { currentStock: amount } },
+        { new: true }
+      ).lean();
+      if (!updated) continue;
+
+      returned.push({
+        theaterId: updated.theaterId,
+        rawMaterialId: updated._id,
+        type: 'consumed',
+        change: amount,
+        balanceAfter: roundQuantity(updated.currentStock),
+        orderId,
+        orderNumber,
+        productId,
+        productQuantity: quantity,
+        date: date || new Date(),
+        notes: `Refund on order ${orderNumber}`
+      });
+    }
+
+    if (returned.length > 0) {
+      await RawMaterialMovement.insertMany(returned);
+    }
+    return returned;
+  }
+
+  /**
+   * Theoretical (recipe × sales) against actual consumption per raw material
+   * Actual = theoretical + wastage - count variance, so shortages found at a count show up as extra usage.
+   */
+  async getConsumptionReport(theaterId, { startDate, endDate } = {}) {
+    const match = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
+    }
+
+    const [totals, materialMap] = await Promise.all([
+      RawMaterialMovement.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { rawMaterialId: '$rawMaterialId', type: '$type' },
+            change: { $sum: '$change' }
+          }
+        }
+      ]),
+      this.getMaterialMap(theaterId)
+    ]);
+
+    const rows = new Map();
+    totals.forEach(({ _id, change }) => {
+      const key = String(_id.rawMaterialId);
+      const material = materialMap.get(key);
+      if (!material) return;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          rawMaterialId: material._id,
+          name: material.name,
+          unit: material.unit,
+          costPerUnit: material.costPerUnit || 0,
+          currentStock: roundQuantity(material.currentStock),
+          received: 0,
+          theoretical: 0,
+          wastage: 0,
+          countVariance: 0
+        });
+      }
+      const row = rows.get(key);
+      if (_id.type === 'received') row.received = change;
+      if (_id.type === 'consumed') row.theoretical = -change;
+      if (_id.type === 'wastage') row.wastage = -change;
+      if (_id.type === 'count') row.countVariance = change;
+    });
+
+    const materials = [...rows.values()].map(row => {
+      const actual = row.theoretical + row.wastage - row.countVariance;
+      const difference = actual - row.theoretical;
+      return {
+        ...row,
+        received: roundQuantity(row.received),
+        theoretical: roundQuantity(row.theoretical),
+        wastage: roundQuantity(row.wastage),
+        countVariance: roundQuantity(row.countVariance),
+        actual: roundQuantity(actual),
+        difference: roundQuantity(difference),
+        differencePercent: row.theoretical > 0 ? roundAmount((difference / row.theoretical) * 100) : null,
+        theoreticalCost: roundAmount(row.theoretical * row.costPerUnit),
+        actualCost: roundAmount(actual * row.costPerUnit)
+      };
+    }).sort((a, b) => (b.actualCost - b.theoreticalCost) - (a.actualCost - a.theoreticalCost));
+
+    return {
+      materials,
+      summary: {
+        theoreticalCost: roundAmount(materials.reduce((sum, row) => sum + row.theoreticalCost, 0)),
+        actualCost: roundAmount(materials.reduce((sum, row) => sum + row.actualCost, 0))
+      }
+    };
+  }
+}
+
+module.exports = new RawMaterialService();
@@ -42,7 +42,8 @@ class RoleService extends BaseService {
       permissions = [],
       priority = 1,
       isGlobal = false,
-      isDefault = false
+      isDefault = false,
+      refundLimit = null
     } = roleData;
 
     let rolesDoc = await RoleArray.findOrCreateByTheater(theaterId);
@@ -63,6 +64,7 @@ class RoleService extends BaseService {
       priority,
       isGlobal,
       isDefault,
+      refundLimit,
       canDelete: !isDefault,
       canEdit: true
     });
@@ -109,6 +111,7 @@ class RoleService extends BaseService {
       if (updateData.description !== undefined) role.description = updateData.description.trim();
       if (updateData.permissions) role.permissions = updateData.permissions;
       if (updateData.priority) role.priority = updateData.priority;
+      if (updateData.refundLimit !== undefined) role.refundLimit = updateData.refundLimit;
       if (updateData.isGlobal !== undefined) role.isGlobal = updateData.isGlobal;
       if (updateData.isActive !== undefined) role.isActive = updateData.isActive;
     }
@@ -671,6 +671,8 @@ class SettingsService extends BaseService {
       otpLength: 6,
       otpExpiry: 300,
       maxRetries: 3,
+      resendCooldown: 30,
+      lockoutDuration: 900,
       enabled: false
     };
   }
@@ -704,6 +706,8 @@ class SettingsService extends BaseService {
       otpLength,
       otpExpiry,
       maxRetries,
+      resendCooldown,
+      lockoutDuration,
       enabled
       // Note: testPhoneNumber is intentionally excluded from being saved
     } = configData;
@@ -740,6 +744,8 @@ class SettingsService extends BaseService {
       ...(otpLength !== undefined && { otpLength }),
       ...(otpExpiry !== undefined && { otpExpiry }),
       ...(maxRetries !== undefined && { maxRetries }),
+      ...(resendCooldown !== undefined && { resendCooldown }),
+      ...(lockoutDuration !== undefined && { lockoutDuration }),
       ...(enabled !== undefined && { enabled })
     };
 
@@ -1264,92 +1270,23 @@ class SettingsService extends BaseService {
    */
   async sendTestOtp(phoneNumber, otp, smsConfig) {
     try {
-      const axios = require('axios');
-      const provider = smsConfig.provider || 'msg91';
+      const smsService = require('./smsService');
+      const provider = smsService.resolveProvider(smsConfig);
 
       console.log(`📱 Sending test OTP via ${provider} to ${phoneNumber}`);
 
-      if (provider === 'msg91') {
-        // Validate MSG91 configuration
-        if (!smsConfig.msg91ApiKey) {
-          throw new Error('MSG91 API Key is not configured');
-        }
-        if (!smsConfig.msg91SenderId) {
-          throw new Error('MSG91 Sender ID is not configured');
-        }
-        if (!smsConfig.msg91TemplateId) {
-          throw new Error('MSG91 Template ID is not configured');
-        }
+      const delivery = await smsService.sendOtpSms(phoneNumber, otp, smsConfig);
 
-        // MSG91 API endpoint for OTP sending
-        // Use the newer v5 API for flow-based templates
-        const msg91Url = 'https://control.msg91.com/api/v5/flow/';
-        
-        // Prepare message content with OTP
-        const templateVariable = smsConfig.msg91TemplateVariable || 'OTP';
-        const messageData = {
-          template_id: smsConfig.msg91TemplateId,
-          sender: smsConfig.msg91SenderId,
-          short_url: '0', // Disable URL shortening
-          mobiles: phoneNumber.replace(/\+/g, ''), // Remove + from phone number for MSG91
-          [templateVariable]: otp
-        };
-
-        // Send SMS via MSG91
-        const response = await axios.post(msg91Url, messageData, {
-          headers: {
-            'Content-Type': 'application/json',
-            'authkey': smsConfig.msg91ApiKey,
-            'Accept': 'application/json'
-          },
-          timeout: 15000 // 15 second timeout
-        });
-
-        // Check response - MSG91 v5 API returns type: "success" or error message
-        if (response.data && (response.data.type === 'success' || response.data.request_id)) {
-          console.log('✅ Test OTP sent successfully via MSG91');
-          return {
-            success: true,
-            message: 'Test OTP sent successfully via MSG91',
-            details: {
-              provider: 'msg91',
-              phoneNumber: phoneNumber,
-              messageId: response.data.request_id || response.data.messageId || null
-            }
-          };
-        } else {
-          // MSG91 error response format
-          const errorMsg = response.data?.message || response.data?.error || 'Failed to send SMS via MSG91';
-          throw new Error(errorMsg);
-        }
-      } else if (provider === 'twilio') {
-        // Twilio implementation
-        if (!smsConfig.twilioAccountSid || !smsConfig.twilioAuthToken || !smsConfig.twilioPhoneNumber) {
-          throw new Error('Twilio configuration is incomplete');
+      console.log(`✅ Test OTP sent successfully via ${delivery.provider}`);
+      return {
+        success: true,
+        message: `Test OTP sent successfully via ${delivery.provider}`,
+        details: {
+          provider: delivery.provider,
+          phoneNumber: phoneNumber,
+          messageId: delivery.messageId
         }
-
-        const twilio = require('twilio');
-        const client = twilio(smsConfig.twilioAccountSid, smsConfig.twilioAuthToken);
-
-        const message = await client.messages.create({
-          body: `Your test OTP is: ${otp}`,
-          from: smsConfig.twilioPhoneNumber,
-          to: phoneNumber
-        });
-
-        console.log('✅ Test OTP sent successfully via Twilio');
-        return {
-          success: true,
-          message: 'Test OTP sent successfully via Twilio',
-          details: {
-            provider: 'twilio',
-            phoneNumber: phoneNumber,
-            messageId: message.sid
-          }
-        };
-      } else {
-        throw new Error(`SMS provider "${provider}" is not yet implemented`);
-      }
+      };
     } catch (error) {
       console.error('❌ Error sending test OTP:', error.message);
       return {
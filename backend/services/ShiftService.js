@@ -0,0 +1,343 @@
+const BaseService = require('./BaseService');
+const Shift = require('../models/Shift');
+const mongoose = require('mongoose');
+const { orderTenders } = require('../utils/tenderUtils');
+const { serviceError } = require('../utils/serviceError');
+const { createNumbered } = require('../utils/documentNumber');
+const { roundAmount } = require('../utils/money');
+const { toUserAt } = require('../utils/userRef');
+
+/**
+ * Whether a tender's money was taken: cash is collected at the counter, other methods once the payment went through
+ */
+const isCollected = (tender) => tender.status !== 'failed' &&
+  (tender.method === 'cash' || tender.status !== 'pending');
+
+/**
+ * Add an amount to a breakdown row keyed by name
+ */
+const addTo = (rows, key, amount) => {
+  if (!rows[key]) rows[key] = { orders: 0, amount: 0 };
+  rows[key].orders += 1;
+  rows[key].amount += amount;
+};
+
+const toRows = (rows, keyName) => Object.entries(rows)
+  .map(([key, row]) => ({ [keyName]: key, orders: row.orders, amount: roundAmount(row.amount) }))
+  .sort((a, b) => b.amount - a.amount);
+
+/**
+ * Shift Service
+ * Handles cashier shifts: the opening float, cash in and out of the drawer, X and Z reports and cash-up at close
+ */
+class ShiftService extends BaseService {
+  constructor() {
+    super(Shift);
+  }
+
+  /**
+   * Get shifts for theater, without their reports
+   */
+  async getShifts(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.userId) filter['cashier.userId'] = new mongoose.Types.ObjectId(queryParams.userId);
+    if (queryParams.startDate || queryParams.endDate) {
+      filter.openedAt = {};
+      if (queryParams.startDate) filter.openedAt.$gte = new Date(queryParams.startDate);
+      if (queryParams.endDate) filter.openedAt.$lte = new Date(queryParams.endDate);
+    }
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { shiftNumber: { $regex: search, $options: 'i' } },
+        { drawer: { $regex: search, $options: 'i' } },
+        { 'cashier.username': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    return this.findAll(filter, { page, limit, sort: { openedAt: -1 }, select: '-zReport' });
+  }
+
+  async getShiftDocument(theaterId, shiftId) {
+    const shift = await Shift.findOne({ _id: shiftId, theaterId });
+    if (!shift) {
+      throw serviceError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+    }
+    return shift;
+  }
+
+  /**
+   * The user's open shift, if any
+   */
+  async getOpenShift(theaterId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(theaterId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return null;
+    }
+    return Shift.findOne({ theaterId, 'cashier.userId': userId, status: 'open' }).select('-zReport').lean();
+  }
+
+  /**
+   * Shift to tag a new order with: the ordering user's open shift
+   * A shiftId sent by the till is only taken when it is that shift, so nobody can book orders or
+   * cash on another cashier's drawer; customer and anonymous orders never go on a shift.
+   */
+  async resolveOrderShift(theaterId, shiftId, user) {
+    if (!user) return null;
+
+    const openShift = await this.getOpenShift(theaterId, user.userId);
+    if (shiftId && String(shiftId) !== String(openShift?._id)) {
+      console.warn(`Ignoring shift ${shiftId} sent for an order by ${user.username || user.userId}: not their open shift`);
+    }
+    return openShift?._id || null;
+  }
+
+  /**
+   * Open a shift for the user with the cash counted into the drawer
+   * @param {Object} data - { openingFloat, drawer, notes }
+   */
+  async openShift(theaterId, data, user) {
+    if (!user || !mongoose.Types.ObjectId.isValid(user.userId)) {
+      throw serviceError('Only a signed-in cashier can open a shift', 400, 'CASHIER_REQUIRED');
+    }
+
+    const existing = await this.getOpenShift(theaterId, user.userId);
+    if (existing) {
+      throw serviceError(`Shift ${existing.shiftNumber} is still open`, 409, 'SHIFT_ALREADY_OPEN');
+    }
+
+    try {
+      const shift = await createNumbered(Shift, 'shiftNumber', 'SH', {
+        theaterId: new mongoose.Types.ObjectId(theaterId),
+        drawer: data.drawer || '',
+        cashier: { userId: user.userId, username: user.username },
+        openingFloat: roundAmount(Number(data.openingFloat) || 0),
+        notes: data.notes || '',
+        openedAt: new Date()
+      });
+      return shift.toObject();
+    } catch (error) {
+      // Opened on another till at the same moment
+      if (error.code === 11000) {
+        throw serviceError('You already have an open shift', 409, 'SHIFT_ALREADY_OPEN');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record cash put into or taken out of the drawer
+   * @param {Object} data - { type: in | out, category, amount, reason }
+   */
+  async addCashMovement(theaterId, shiftId, data, user) {
+    const shift = await this.getShiftDocument(theaterId, shiftId);
+    if (shift.status !== 'open') {
+      throw serviceError('Cash can only be moved on an open shift', 400, 'SHIFT_CLOSED');
+    }
+
+    const amount = roundAmount(Number(data.amount));
+    if (data.type === 'out') {
+      const { cash } = await this.buildReport(shift.toObject());
+      if (amount > cash.expected) {
+        throw serviceError(`Only ₹${cash.expected.toFixed(2)} is expected in the drawer`, 400, 'INSUFFICIENT_CASH');
+      }
+    }
+
+    shift.cashMovements.push({
+      type: data.type,
+      category: data.category || 'other',
+      amount,
+      reason: data.reason || '',
+      recordedBy: toUserAt(user)
+    });
+    await shift.save();
+
+    const result = shift.toObject();
+    delete result.zReport;
+    return result;
+  }
+
+  /**
+   * Sales, refunds and cash for a shift
+   * Orders count once their money is taken; cash refunds come out of the drawer of the shift they were given in.
+   */
+  async buildReport(shift) {
+    const shiftObjectId = new mongoose.Types.ObjectId(shift._id);
+    const orders = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(shift.theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          $or: [
+            { 'orderList.shiftId': shiftObjectId },
+            { 'orderList.payment.refunds.shiftId': shiftObjectId }
+          ]
+        }
+      },
+      {
+        $project: {
+          _id: '$orderList._id',
+          shiftId: '$orderList.shiftId',
+          status: '$orderList.status',
+          source: '$orderList.source',
+          pricing: '$orderList.pricing',
+          payment: '$orderList.payment'
+        }
+      }
+    ], { maxTimeMS: 20000 }).toArray();
+
+    const sales = { orders: 0, gross: 0, discounts: 0, tax: 0 };
+    const byPaymentMethod = {};
+    const bySource = {};
+    const cancelled = { orders: 0, amount: 0 };
+    const unpaid = { orders: 0, amount: 0 };
+    const refunds = { count: 0, amount: 0, cash: 0, gateway: 0 };
+    let cashSales = 0;
+
+    orders.forEach(order => {
+      const total = order.pricing?.total || 0;
+
+      if (String(order.shiftId) === String(shiftObjectId)) {
+        if (order.status === 'cancelled') {
+          cancelled.orders += 1;
+          cancelled.amount += total;
+        } else {
+          // Split payments count towards each method by tender, as soon as that tender is taken
+          const tenders = orderTenders(order);
+          const collected = tenders.filter(isCollected);
+          const methods = new Set();
+          collected.forEach(tender => {
+            if (!byPaymentMethod[tender.method]) byPaymentMethod[tender.method] = { orders: 0, amount: 0 };
+            if (!methods.has(tender.method)) byPaymentMethod[tender.method].orders += 1;
+            byPaymentMethod[tender.method].amount += tender.amount || 0;
+            methods.add(tender.method);
+            if (tender.method === 'cash') cashSales += tender.amount || 0;
+          });
+
+          if (collected.length < tenders.length) {
+            unpaid.orders += 1;
+            unpaid.amount += total - collected.reduce((sum, tender) => sum + (tender.amount || 0), 0);
+          } else {
+            sales.orders += 1;
+            sales.gross += total;
+            sales.discounts += order.pricing?.discountAmount || 0;
+            sales.tax += order.pricing?.taxAmount || 0;
+            addTo(bySource, order.source || 'pos', total);
+          }
+        }
+      }
+
+      (order.payment?.refunds || [])
+        .filter(refund => String(refund.shiftId) === String(shiftObjectId))
+        .forEach(refund => {
+          refunds.count += 1;
+          refunds.amount += refund.amount || 0;
+          if (refund.method === 'cash') {
+            refunds.cash += refund.amount || 0;
+          } else {
+            refunds.gateway += refund.amount || 0;
+          }
+        });
+    });
+
+    const cashIn = shift.cashMovements.filter(movement => movement.type === 'in').reduce((sum, movement) => sum + movement.amount, 0);
+    const cashOut = shift.cashMovements.filter(movement => movement.type === 'out').reduce((sum, movement) => sum + movement.amount, 0);
+    const expected = roundAmount(shift.openingFloat + cashSales + cashIn - cashOut - refunds.cash);
+
+    return {
+      type: shift.status === 'closed' ? 'Z' : 'X',
+      shiftId: shift._id,
+      shiftNumber: shift.shiftNumber,
+      drawer: shift.drawer,
+      cashier: shift.cashier,
+      openedAt: shift.openedAt,
+      closedAt: shift.closedAt || null,
+      generatedAt: new Date(),
+      sales: {
+        orders: sales.orders,
+        gross: roundAmount(sales.gross),
+        discounts: roundAmount(sales.discounts),
+        tax: roundAmount(sales.tax),
+        refunds: roundAmount(refunds.amount),
+        net: roundAmount(sales.gross - refunds.amount)
+      },
+      byPaymentMethod: toRows(byPaymentMethod, 'method'),
+      bySource: toRows(bySource, 'source'),
+      refunds: {
+        count: refunds.count,
+        amount: roundAmount(refunds.amount),
+        cash: roundAmount(refunds.cash),
+        gateway: roundAmount(refunds.gateway)
+      },
+      cancelled: { orders: cancelled.orders, amount: roundAmount(cancelled.amount) },
+      unpaid: { orders: unpaid.orders, amount: roundAmount(unpaid.amount) },
+      cash: {
+        openingFloat: shift.openingFloat,
+        cashSales: roundAmount(cashSales),
+        cashIn: roundAmount(cashIn),
+        cashOut: roundAmount(cashOut),
+        cashRefunds: roundAmount(refunds.cash),
+        expected
+      },
+      cashMovements: shift.cashMovements
+    };
+  }
+
+  /**
+   * X report while the shift is open; the Z report kept at close once it is closed
+   */
+  async getReport(theaterId, shiftId) {
+    const shift = await this.getShiftDocument(theaterId, shiftId);
+    if (shift.status === 'closed' && shift.zReport) {
+      return shift.zReport;
+    }
+    return this.buildReport(shift.toObject());
+  }
+
+  /**
+   * Close the shift: compare the counted cash with what the drawer should hold and keep the Z report
+   * @param {Object} data - { countedCash, notes }
+   */
+  async closeShift(theaterId, shiftId, data, user) {
+    const shift = await this.getShiftDocument(theaterId, shiftId);
+    if (shift.status !== 'open') {
+      throw serviceError(`Shift ${shift.shiftNumber} is already closed`, 400, 'SHIFT_CLOSED');
+    }
+
+    const closedAt = new Date();
+    const report = await this.buildReport({ ...shift.toObject(), status: 'closed', closedAt });
+    const countedCash = roundAmount(Number(data.countedCash));
+    const closing = {
+      expectedCash: report.cash.expected,
+      countedCash,
+      variance: roundAmount(countedCash - report.cash.expected),
+      notes: data.notes || ''
+    };
+    report.cash = { ...report.cash, counted: countedCash, variance: closing.variance };
+
+    // Only the first close wins if two tills close the shift together
+    const closed = await Shift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      {
+        $set: {
+          status: 'closed',
+          closedAt,
+          closing,
+          zReport: report,
+          closedBy: toUserAt(user)
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!closed) {
+      throw serviceError(`Shift ${shift.shiftNumber} is already closed`, 400, 'SHIFT_CLOSED');
+    }
+
+    return closed;
+  }
+}
+
+module.exports = new ShiftService();
@@ -0,0 +1,375 @@
+const BaseService = require('./BaseService');
+const Showtime = require('../models/Showtime');
+const Theater = require('../models/Theater');
+const SingleQRCode = require('../models/SingleQRCode');
+const mongoose = require('mongoose');
+const {
+  DEFAULT_SHOWTIME_SETTINGS,
+  showtimeSettings,
+  orderingWindow,
+  closedMessage,
+  parseShowtimeCsv
+} = require('../utils/showtimeUtils');
+const {
+  DEFAULT_PRE_ORDER_LEAD_MINUTES,
+  MAX_SLOT_AHEAD_HOURS,
+  isScheduledSlot,
+  buildDeliverySlot
+} = require('../utils/deliverySlotUtils');
+const { serviceError } = require('../utils/serviceError');
+const { toUser } = require('../utils/userRef');
+
+const formatTime = (date, timeZone) => new Date(date).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone
+});
+
+/**
+ * Showtime Service
+ * Handles the per-screen showtime schedule and the seat ordering windows that follow from it
+ */
+class ShowtimeService extends BaseService {
+  constructor() {
+    super(Showtime);
+  }
+
+  /**
+   * Get showtimes for theater, earliest first
+   */
+  async getShowtimes(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 50;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.screen) filter.screen = queryParams.screen;
+    if (queryParams.startDate || queryParams.endDate) {
+      filter.startTime = {};
+      if (queryParams.startDate) filter.startTime.$gte = new Date(queryParams.startDate);
+      if (queryParams.endDate) filter.startTime.$lte = new Date(queryParams.endDate);
+    }
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.movieTitle = { $regex: search, $options: 'i' };
+    }
+
+    return this.findAll(filter, { page, limit, sort: { startTime: 1, screen: 1 } });
+  }
+
+  /**
+   * Names of the theater's active screen QR codes
+   */
+  async getScreens(theaterId) {
+    const docs = await SingleQRCode.find({ theater: theaterId }).select('qrDetails.qrName qrDetails.qrType qrDetails.isActive').lean();
+    const names = docs.flatMap(doc => (doc.qrDetails || [])
+      .filter(detail => detail.qrType === 'screen' && detail.isActive !== false)
+      .map(detail => detail.qrName));
+    return [...new Set(names)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  async getTheaterSchedule(theaterId) {
+    const theater = await Theater.findById(theaterId)
+      .select('settings.timezone settings.showtimeOrdering settings.preOrderLeadMinutes')
+      .lean();
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+    return {
+      timeZone: theater.settings?.timezone || 'Asia/Kolkata',
+      settings: showtimeSettings(theater.settings?.showtimeOrdering),
+      preOrderLeadMinutes: theater.settings?.preOrderLeadMinutes ?? DEFAULT_PRE_ORDER_LEAD_MINUTES
+    };
+  }
+
+  async getSettings(theaterId) {
+    return (await this.getTheaterSchedule(theaterId)).settings;
+  }
+
+  /**
+   * Update the theater's ordering window settings
+   * @param {Object} data - Any of { preShowMinutes, intervalLeadMinutes, climaxBlackoutMinutes, orderDuringShow }
+   */
+  async updateSettings(theaterId, data) {
+    const update = {};
+    Object.keys(DEFAULT_SHOWTIME_SETTINGS).forEach(key => {
+      if (data[key] !== undefined) update[`settings.showtimeOrdering.${key}`] = data[key];
+    });
+
+    const theater = await Theater.findByIdAndUpdate(theaterId, { $set: update }, { new: true })
+      .select('settings.showtimeOrdering')
+      .lean();
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+    return showtimeSettings(theater.settings?.showtimeOrdering);
+  }
+
+  /**
+   * Check a showtime's times hang together: the interval and blackouts fall inside the show
+   */
+  checkTimes(showtime) {
+    const start = new Date(showtime.startTime);
+    const end = new Date(showtime.endTime);
+    if (!(end > start)) {
+      throw serviceError('The show must end after it starts', 400, 'INVALID_SHOWTIME');
+    }
+    if (showtime.intervalStart) {
+      const interval = new Date(showtime.intervalStart);
+      if (!(interval > start && interval < end)) {
+        throw serviceError('The interval must fall during the show', 400, 'INVALID_SHOWTIME');
+      }
+    }
+    (showtime.blackouts || []).forEach(blackout => {
+      const blackoutStart = new Date(blackout.start);
+      const blackoutEnd = new Date(blackout.end);
+      if (!(blackoutEnd > blackoutStart) || blackoutStart < start || blackoutEnd > end) {
+        throw serviceError('Blackouts must fall during the show', 400, 'INVALID_SHOWTIME');
+      }
+    });
+  }
+
+  async checkScreen(theaterId, screen) {
+    const screens = await this.getScreens(theaterId);
+    if (!screens.includes(screen)) {
+      throw serviceError(`"${screen}" is not one of the theater's screens`, 400, 'SCREEN_NOT_FOUND');
+    }
+  }
+
+  /**
+   * A screen shows one film at a time
+   */
+  async checkOverlap(theaterId, showtime, excludeId = null) {
+    const clash = await Showtime.findOne({
+      theaterId,
+      screen: showtime.screen,
+      startTime: { $lt: new Date(showtime.endTime) },
+      endTime: { $gt: new Date(showtime.startTime) },
+      ...(excludeId && { _id: { $ne: excludeId } })
+    }).lean();
+
+    if (clash) {
+      const { timeZone } = await this.getTheaterSchedule(theaterId);
+      throw serviceError(
+        `${showtime.screen} is already showing ${clash.movieTitle} at ${formatTime(clash.startTime, timeZone)}`,
+        409,
+        'SHOWTIME_OVERLAP'
+      );
+    }
+  }
+
+  toShowtimeFields(data) {
+    return {
+      screen: data.screen,
+      movieTitle: data.movieTitle,
+      language: data.language || '',
+      startTime: new Date(data.startTime),
+      endTime: new Date(data.endTime),
+      intervalStart: data.intervalStart ? new Date(data.intervalStart) : null,
+      ...(data.intervalMinutes !== undefined && { intervalMinutes: data.intervalMinutes }),
+      blackouts: (data.blackouts || []).map(blackout => ({
+        start: new Date(blackout.start),
+        end: new Date(blackout.end),
+        reason: blackout.reason || ''
+      }))
+    };
+  }
+
+  /**
+   * Add a showtime to a screen
+   * @param {Object} data - { screen, movieTitle, language, startTime, endTime, intervalStart, intervalMinutes, blackouts }
+   */
+  async createShowtime(theaterId, data, user) {
+    const fields = this.toShowtimeFields(data);
+    this.checkTimes(fields);
+    await this.checkScreen(theaterId, fields.screen);
+    await this.checkOverlap(theaterId, fields);
+
+    const showtime = await Showtime.create({
+      ...fields,
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      source: 'manual',
+      createdBy: toUser(user)
+    });
+    return showtime.toObject();
+  }
+
+  async updateShowtime(theaterId, showtimeId, data) {
+    const showtime = await Showtime.findOne({ _id: showtimeId, theaterId });
+    if (!showtime) {
+      throw serviceError('Showtime not found', 404, 'SHOWTIME_NOT_FOUND');
+    }
+
+    const fields = this.toShowtimeFields({ ...showtime.toObject(), ...data });
+    this.checkTimes(fields);
+    if (fields.screen !== showtime.screen) {
+      await this.checkScreen(theaterId, fields.screen);
+    }
+    await this.checkOverlap(theaterId, fields, showtime._id);
+
+    showtime.set(fields);
+    await showtime.save();
+    return showtime.toObject();
+  }
+
+  async deleteShowtime(theaterId, showtimeId) {
+    const showtime = await Showtime.findOneAndDelete({ _id: showtimeId, theaterId }).lean();
+    if (!showtime) {
+      throw serviceError('Showtime not found', 404, 'SHOWTIME_NOT_FOUND');
+    }
+    return showtime;
+  }
+
+  /**
+   * Import showtimes from CSV text (columns in utils/showtimeUtils.js parseShowtimeCsv)
+   * Nothing is saved unless every row is valid. A row for a screen and start time already in the
+   * schedule replaces that showtime.
+   * @returns {Object} { created, updated, total }
+   */
+  async importCsv(theaterId, csv, user) {
+    const { timeZone } = await this.getTheaterSchedule(theaterId);
+    const { showtimes, errors } = parseShowtimeCsv(csv, timeZone);
+
+    const screens = await this.getScreens(theaterId);
+    showtimes.forEach(showtime => {
+      if (!screens.includes(showtime.screen)) {
+        errors.push({ line: showtime.line, error: `"${showtime.screen}" is not one of the theater's screens` });
+      }
+    });
+
+    // Shows in the file mustn't overlap each other...
+    const byScreen = new Map();
+    showtimes.forEach(showtime => {
+      if (!byScreen.has(showtime.screen)) byScreen.set(showtime.screen, []);
+      byScreen.get(showtime.screen).push(showtime);
+    });
+    byScreen.forEach(screenShows => {
+      screenShows.sort((a, b) => a.startTime - b.startTime).forEach((showtime, index) => {
+        const previous = screenShows[index - 1];
+        if (previous && showtime.startTime < previous.endTime) {
+          errors.push({ line: showtime.line, error: `Overlaps ${previous.movieTitle} on line ${previous.line}` });
+        }
+      });
+    });
+
+    // ...or shows already scheduled, other than the ones they replace
+    for (const showtime of showtimes) {
+      const clash = await Showtime.findOne({
+        theaterId,
+        screen: showtime.screen,
+        startTime: { $lt: showtime.endTime, $ne: showtime.startTime },
+        endTime: { $gt: showtime.startTime }
+      }).lean();
+      if (clash) {
+        errors.push({ line: showtime.line, error: `Overlaps ${clash.movieTitle} already on ${showtime.screen} at ${formatTime(clash.startTime, timeZone)}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw serviceError(`The CSV has ${errors.length} problem${errors.length === 1 ? '' : 's'}`, 400, 'INVALID_CSV', errors);
+    }
+    if (showtimes.length === 0) {
+      throw serviceError('The CSV has no showtimes', 400, 'INVALID_CSV');
+    }
+
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const result = await Showtime.bulkWrite(showtimes.map(({ line, ...showtime }) => ({
+      updateOne: {
+        filter: { theaterId: theaterObjectId, screen: showtime.screen, startTime: showtime.startTime },
+        update: {
+          $set: { ...showtime, source: 'csv' },
+          $setOnInsert: { theaterId: theaterObjectId, createdBy: toUser(user) }
+        },
+        upsert: true
+      }
+    })));
+
+    return {
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      total: showtimes.length
+    };
+  }
+
+  /**
+   * Whether a screen is taking seat orders now, with the current show and time left to order
+   * @returns {Object} orderingWindow() result plus { screen, message, timeZone }
+   */
+  async getOrderingWindow(theaterId, screen, now = new Date()) {
+    const { timeZone, settings } = await this.getTheaterSchedule(theaterId);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const shows = await Showtime.find({
+      theaterId,
+      screen,
+      endTime: { $gt: new Date(now.getTime() - dayMs) },
+      startTime: { $lt: new Date(now.getTime() + 2 * dayMs) }
+    }).lean();
+
+    const window = orderingWindow(shows, now, settings);
+    return {
+      screen,
+      ...window,
+      message: window.open ? null : closedMessage(window, timeZone),
+      timeZone,
+      serverTime: now
+    };
+  }
+
+  /**
+   * Refuse a seat order while its screen isn't taking orders
+   */
+  async assertOrderingOpen(theaterId, screen) {
+    if (!screen || !mongoose.Types.ObjectId.isValid(theaterId)) return;
+
+    const window = await this.getOrderingWindow(theaterId, screen);
+    if (!window.open) {
+      throw serviceError(window.message, 409, 'ORDERING_CLOSED');
+    }
+  }
+
+  /**
+   * Work out when a scheduled seat order is due and when it reaches the kitchen
+   * 'interval' takes the screen's next interval; 'time' must fall while the screen takes orders.
+   * @param {Object} slot - { type: 'now' | 'interval' | 'time', targetTime }
+   * @returns {Object|null} Slot to store on the order, null for delivery now
+   */
+  async resolveDeliverySlot(theaterId, screen, slot, now = new Date()) {
+    if (!isScheduledSlot(slot)) return null;
+    if (!screen) {
+      throw serviceError('Scheduled delivery is only available for seat orders', 400, 'INVALID_DELIVERY_SLOT');
+    }
+
+    const { timeZone, preOrderLeadMinutes } = await this.getTheaterSchedule(theaterId);
+    const latest = new Date(now.getTime() + MAX_SLOT_AHEAD_HOURS * 60 * 60 * 1000);
+
+    if (slot.type === 'interval') {
+      const show = await Showtime.findOne({
+        theaterId,
+        screen,
+        intervalStart: { $gt: now, $lte: latest }
+      }).sort({ intervalStart: 1 }).lean();
+      if (!show) {
+        throw serviceError(`No upcoming interval is scheduled on ${screen}`, 400, 'NO_INTERVAL');
+      }
+      return buildDeliverySlot({ type: 'interval', targetTime: show.intervalStart, show, leadMinutes: preOrderLeadMinutes, now });
+    }
+
+    const targetTime = new Date(slot.targetTime);
+    if (Number.isNaN(targetTime.getTime()) || targetTime <= now || targetTime > latest) {
+      throw serviceError(`Delivery time must be within the next ${MAX_SLOT_AHEAD_HOURS} hours`, 400, 'INVALID_DELIVERY_SLOT');
+    }
+
+    const window = await this.getOrderingWindow(theaterId, screen, targetTime);
+    if (!window.open) {
+      throw serviceError(
+        `Seats on ${screen} can't be served at ${formatTime(targetTime, timeZone)}. Pick the interval or another time.`,
+        400,
+        'DELIVERY_SLOT_UNAVAILABLE'
+      );
+    }
+    return buildDeliverySlot({ type: 'time', targetTime, show: window.show, leadMinutes: preOrderLeadMinutes, now });
+  }
+}
+
+module.exports = new ShowtimeService();
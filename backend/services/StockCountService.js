@@ -0,0 +1,272 @@
+const BaseService = require('./BaseService');
+const StockCount = require('../models/StockCount');
+const Category = require('../models/Category');
+const stockService = require('./StockService');
+const stockLocationService = require('./StockLocationService');
+const purchaseOrderService = require('./PurchaseOrderService');
+const { isCombo } = require('../utils/comboUtils');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+const { createNumbered } = require('../utils/documentNumber');
+const { roundAmount } = require('../utils/money');
+const { toUserAt } = require('../utils/userRef');
+
+// Statuses a count still has to be finished or cancelled in
+const ACTIVE_STATUSES = ['open', 'submitted'];
+
+/**
+ * Recompute a count's totals from its counted items
+ */
+const summarize = (items) => {
+  const totals = { itemCount: items.length, countedCount: 0, shortUnits: 0, excessUnits: 0, shortValue: 0, excessValue: 0, netValue: 0 };
+
+  items.forEach(item => {
+    if (item.countedQuantity === null || item.countedQuantity === undefined) return;
+    totals.countedCount += 1;
+    if (item.variance < 0) {
+      totals.shortUnits += -item.variance;
+      totals.shortValue += -item.varianceValue;
+    } else if (item.variance > 0) {
+      totals.excessUnits += item.variance;
+      totals.excessValue += item.varianceValue;
+    }
+  });
+
+  totals.shortValue = roundAmount(totals.shortValue);
+  totals.excessValue = roundAmount(totals.excessValue);
+  totals.netValue = roundAmount(totals.excessValue - totals.shortValue);
+  return totals;
+};
+
+/**
+ * Stock Count Service
+ * Handles physical stock-takes: count sessions, variances against the book balance and posting them on approval
+ */
+class StockCountService extends BaseService {
+  constructor() {
+    super(StockCount);
+  }
+
+  /**
+   * Get counts for theater, without their count sheets
+   */
+  async getCounts(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.countNumber = { $regex: search, $options: 'i' };
+    }
+
+    return this.findAll(filter, { page, limit, sort: { createdAt: -1 }, select: '-items' });
+  }
+
+  async getCountDocument(theaterId, countId) {
+    const count = await StockCount.findOne({ _id: countId, theaterId });
+    if (!count) {
+      throw serviceError('Stock count not found', 404, 'COUNT_NOT_FOUND');
+    }
+    return count;
+  }
+
+  async getCount(theaterId, countId) {
+    const count = await this.getCountDocument(theaterId, countId);
+    return count.toObject();
+  }
+
+  checkStatus(count, statuses, action) {
+    if (!statuses.includes(count.status)) {
+      throw serviceError(`A ${count.status} count cannot be ${action}`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+  }
+
+  /**
+   * Open a count for the given categories
+   * The count sheet lists every stock-tracked product in them; combos are counted through their components.
+   * @param {Object} data - { categoryIds, notes }
+   */
+  async createCount(theaterId, data, user) {
+    const categoryIds = [...new Set(data.categoryIds.map(String))];
+
+    const [categoryDoc, productMap, activeCounts] = await Promise.all([
+      Category.findOne({ theater: new mongoose.Types.ObjectId(theaterId) }).lean(),
+      purchaseOrderService.getProductMap(theaterId),
+      StockCount.find({ theaterId, status: { $in: ACTIVE_STATUSES } }).select('countNumber categories').lean()
+    ]);
+
+    const categories = categoryIds.map(categoryId => {
+      const category = categoryDoc?.categoryList?.find(cat => String(cat._id) === categoryId);
+      if (!category) {
+        throw serviceError(`Category ${categoryId} not found`, 400, 'CATEGORY_NOT_FOUND');
+      }
+      return { categoryId: category._id, categoryName: category.categoryName };
+    });
+
+    // Two counts of the same shelf would post the same variance twice
+    for (const active of activeCounts) {
+      const overlap = active.categories.find(category => categoryIds.includes(String(category.categoryId)));
+      if (overlap) {
+        throw serviceError(`${overlap.categoryName} is already being counted in ${active.countNumber}`, 409, 'COUNT_IN_PROGRESS');
+      }
+    }
+
+    const products = [...productMap.values()].filter(product =>
+      product.categoryId && categoryIds.includes(String(product.categoryId)) &&
+      !isCombo(product) && product.inventory?.trackStock !== false
+    );
+    if (products.length === 0) {
+      throw serviceError('No stock-tracked products in the selected categories', 400, 'NO_PRODUCTS');
+    }
+
+    const productIds = products.map(product => product._id);
+    const [balances, costPrices] = await Promise.all([
+      stockService.getCurrentBalances(theaterId, productIds),
+      stockService.getLatestCostPrices(theaterId, productIds)
+    ]);
+
+    const items = products
+      .map(product => ({
+        productId: product._id,
+        productName: product.name,
+        barcode: product.barcode || null,
+        categoryId: product.categoryId,
+        expectedQuantity: balances.get(String(product._id)) || 0,
+        // Value variances at what the stock cost, or the selling price when it was never bought in
+        unitValue: roundAmount(costPrices.get(String(product._id)) ?? product.pricing?.basePrice ?? 0)
+      }))
+      .sort((a, b) => a.productName.localeCompare(b.productName));
+
+    const count = await createNumbered(StockCount, 'countNumber', 'SC', {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      categories,
+      items,
+      totals: summarize(items),
+      notes: data.notes || '',
+      openedBy: toUserAt(user)
+    });
+
+    return count.toObject();
+  }
+
+  /**
+   * Record counted quantities
+   * Lines are matched by itemId or, from a scanner, by barcode. Mode "add" adds to the
+   * quantity counted so far (one scan per unit); "set" replaces it.
+   * The expected quantity is refreshed as each product is counted so sales made before the count are not variances.
+   * @param {Object} data - { items: [{ itemId, barcode, quantity, mode }] }
+   */
+  async updateItems(theaterId, countId, data, user) {
+    const count = await this.getCountDocument(theaterId, countId);
+    this.checkStatus(count, ['open'], 'counted');
+
+    const lines = data.items.map(line => {
+      const item = line.itemId
+        ? count.items.id(line.itemId)
+        : count.items.find(entry => entry.barcode && entry.barcode === String(line.barcode).trim());
+      if (!item) {
+        throw line.itemId
+          ? serviceError(`Item ${line.itemId} is not on this count`, 400, 'COUNT_ITEM_NOT_FOUND')
+          : serviceError(`No product with barcode ${line.barcode} in this count`, 404, 'BARCODE_NOT_IN_COUNT');
+      }
+      return { item, line };
+    });
+
+    const balances = await stockService.getCurrentBalances(theaterId, lines.map(({ item }) => item.productId));
+    const counter = toUserAt(user);
+
+    for (const { item, line } of lines) {
+      const quantity = Number(line.quantity);
+      const counted = line.mode === 'add' ? (item.countedQuantity || 0) + quantity : quantity;
+      if (counted < 0) {
+        throw serviceError(`${item.productName} cannot be counted below zero`, 400, 'NEGATIVE_COUNT');
+      }
+
+      item.expectedQuantity = balances.get(String(item.productId)) || 0;
+      item.countedQuantity = counted;
+      item.variance = counted - item.expectedQuantity;
+      item.varianceValue = roundAmount(item.variance * item.unitValue);
+      item.countedBy = counter;
+    }
+
+    count.totals = summarize(count.items);
+    await count.save();
+    return count.toObject();
+  }
+
+  /**
+   * Hand the count in for approval
+   * Products left uncounted are not adjusted.
+   */
+  async submitCount(theaterId, countId, user) {
+    const count = await this.getCountDocument(theaterId, countId);
+    this.checkStatus(count, ['open'], 'submitted');
+    if (count.totals.countedCount === 0) {
+      throw serviceError('Count at least one product before submitting', 400, 'NOTHING_COUNTED');
+    }
+
+    count.status = 'submitted';
+    count.submittedBy = toUserAt(user);
+    await count.save();
+    return count.toObject();
+  }
+
+  /**
+   * Send a submitted count back for recounting
+   */
+  async reopenCount(theaterId, countId) {
+    const count = await this.getCountDocument(theaterId, countId);
+    this.checkStatus(count, ['submitted'], 'reopened');
+
+    count.status = 'open';
+    count.submittedBy = undefined;
+    await count.save();
+    return count.toObject();
+  }
+
+  /**
+   * Approve the count and post each variance as a stock adjustment
+   * Every adjusted entry is noted with the count number, the approver and the reason.
+   * @param {Object} data - { reason }
+   */
+  async approveCount(theaterId, countId, data, user) {
+    const count = await this.getCountDocument(theaterId, countId);
+    this.checkStatus(count, ['submitted'], 'approved');
+
+    // Mark the count approved first so a second approval cannot post the variances again
+    count.status = 'approved';
+    count.reason = data.reason;
+    count.approvedBy = toUserAt(user);
+    await count.save();
+
+    const note = `${count.countNumber} approved by ${count.approvedBy.username || 'unknown'}: ${count.reason}`;
+    for (const item of count.items) {
+      if (item.countedQuantity === null || item.variance === 0) continue;
+
+      item.adjustedQuantity = await stockService.postAdjustment(theaterId, item.productId, item.variance, note);
+      if (item.adjustedQuantity < 0) {
+        await stockLocationService.settleShortfall(theaterId, item.productId);
+      }
+    }
+
+    await count.save();
+    return count.toObject();
+  }
+
+  /**
+   * Cancel a count that has not been approved
+   */
+  async cancelCount(theaterId, countId, user) {
+    const count = await this.getCountDocument(theaterId, countId);
+    this.checkStatus(count, ACTIVE_STATUSES, 'cancelled');
+
+    count.status = 'cancelled';
+    count.cancelledBy = toUserAt(user);
+    await count.save();
+    return count.toObject();
+  }
+}
+
+module.exports = new StockCountService();
@@ -0,0 +1,543 @@
+const BaseService = require('./BaseService');
+const StockLocation = require('../models/StockLocation');
+const LocationStock = require('../models/LocationStock');
+const StockTransfer = require('../models/StockTransfer');
+const KioskType = require('../models/KioskType');
+const stockService = require('./StockService');
+const purchaseOrderService = require('./PurchaseOrderService');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+const { createNumbered } = require('../utils/documentNumber');
+const { toUserAt } = require('../utils/userRef');
+
+// Fields an admin can set on a location (the main store only takes a new name)
+const EDITABLE_FIELDS = ['name', 'type', 'kioskTypeId', 'orderSources', 'isActive'];
+
+const pickFields = (data, isMain) => {
+  const locationData = {};
+  (isMain ? ['name'] : EDITABLE_FIELDS).forEach(field => {
+    if (data[field] !== undefined) locationData[field] = data[field];
+  });
+  if (locationData.kioskTypeId === '') locationData.kioskTypeId = null;
+  return locationData;
+};
+
+/**
+ * Stock Location Service
+ * Handles stock locations, per-location balances and transfers between them
+ */
+class StockLocationService extends BaseService {
+  constructor() {
+    super(StockTransfer);
+  }
+
+  /**
+   * Get the theater's main store, creating it the first time
+   */
+  async ensureMainStore(theaterId) {
+    return StockLocation.findOneAndUpdate(
+      { theaterId: new mongoose.Types.ObjectId(theaterId), isMain: true },
+      { $setOnInsert: { name: 'Main Store', type: 'store', orderSources: [] } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  /**
+   * Get locations for theater, main store first
+   */
+  async getLocations(theaterId, queryParams = {}) {
+    await this.ensureMainStore(theaterId);
+
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === 'true';
+    }
+
+    return StockLocation.find(filter).sort({ isMain: -1, name: 1 }).lean();
+  }
+
+  async getLocation(theaterId, locationId) {
+    const location = await StockLocation.findOne({ _id: locationId, theaterId }).lean();
+    if (!location) {
+      throw serviceError('Location not found', 404, 'LOCATION_NOT_FOUND');
+    }
+    return location;
+  }
+
+  /**
+   * Check a location's kiosk type and order sources
+   * Each kiosk type and order source is filled by one location so sales have a single place to come out of.
+   */
+  async checkAssignments(theaterId, locationData, locationId = null) {
+    const others = { theaterId, ...(locationId && { _id: { $ne: locationId } }) };
+
+    if (locationData.kioskTypeId) {
+      const kioskTypes = await KioskType.findOne({ theater: theaterId }).lean();
+      const kioskType = kioskTypes?.kioskTypeList?.find(kt => String(kt._id) === String(locationData.kioskTypeId));
+      if (!kioskType) {
+        throw serviceError('Kiosk type not found', 400, 'KIOSK_TYPE_NOT_FOUND');
+      }
+
+      const taken = await StockLocation.findOne({ ...others, kioskTypeId: locationData.kioskTypeId }).lean();
+      if (taken) {
+        throw serviceError(`${kioskType.name} products are already sold from ${taken.name}`, 409, 'KIOSK_TYPE_TAKEN');
+      }
+    }
+
+    if (locationData.orderSources?.length > 0) {
+      const taken = await StockLocation.findOne({ ...others, orderSources: { $in: locationData.orderSources } }).lean();
+      if (taken) {
+        const source = taken.orderSources.find(s => locationData.orderSources.includes(s));
+        throw serviceError(`${source} orders are already filled from ${taken.name}`, 409, 'ORDER_SOURCE_TAKEN');
+      }
+    }
+  }
+
+  /**
+   * Create location
+   */
+  async createLocation(theaterId, data) {
+    const locationData = pickFields(data, false);
+    await this.checkAssignments(theaterId, locationData);
+
+    try {
+      const location = await StockLocation.create({ ...locationData, theaterId, isMain: false });
+      return location.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Location ${locationData.name} already exists`, 409, 'LOCATION_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update location
+   * Transfers keep the location names they were raised with.
+   */
+  async updateLocation(theaterId, locationId, data) {
+    const existing = await this.getLocation(theaterId, locationId);
+    const locationData = pickFields(data, existing.isMain);
+    await this.checkAssignments(theaterId, locationData, locationId);
+
+    try {
+      return await StockLocation.findOneAndUpdate(
+        { _id: locationId, theaterId },
+        { $set: locationData },
+        { new: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Location ${locationData.name} already exists`, 409, 'LOCATION_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete location
+   * Locations holding stock or with transfers are kept; move the stock out or deactivate them instead.
+   */
+  async deleteLocation(theaterId, locationId) {
+    const location = await this.getLocation(theaterId, locationId);
+    if (location.isMain) {
+      throw serviceError('The main store cannot be deleted', 400, 'MAIN_LOCATION');
+    }
+
+    const [stocked, transferCount] = await Promise.all([
+      LocationStock.exists({ locationId, quantity: { $gt: 0 } }),
+      StockTransfer.countDocuments({ theaterId, $or: [{ fromLocationId: locationId }, { toLocationId: locationId }] })
+    ]);
+    if (stocked) {
+      throw serviceError(`${location.name} still holds stock. Transfer it out first.`, 409, 'LOCATION_IN_USE');
+    }
+    if (transferCount > 0) {
+      throw serviceError(`${location.name} has ${transferCount} transfer(s). Mark it inactive instead.`, 409, 'LOCATION_IN_USE');
+    }
+
+    await Promise.all([
+      StockLocation.deleteOne({ _id: locationId, theaterId }),
+      LocationStock.deleteMany({ locationId })
+    ]);
+    return location;
+  }
+
+  /**
+   * Units dispatched and not yet received, per product
+   */
+  async getInTransit(theaterId, productIds = null) {
+    const match = { theaterId: new mongoose.Types.ObjectId(theaterId), status: 'dispatched' };
+    const itemMatch = productIds
+      ? { 'items.productId': { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) } }
+      : {};
+
+    const rows = await StockTransfer.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      { $match: itemMatch },
+      { $group: { _id: '$items.productId', quantity: { $sum: '$items.dispatchedQuantity' } } }
+    ]);
+
+    return new Map(rows.map(row => [String(row._id), row.quantity]));
+  }
+
+  /**
+   * Stock held at each location, per product
+   * The main store holds the theater total less the other locations and anything in transit.
+   * @param {Object} queryParams - { productId, search }
+   * @returns {Promise<Object>} { locations, products: [{ productId, productName, total, inTransit, balances: { locationId: units } }] }
+   */
+  async getBalances(theaterId, queryParams = {}) {
+    const locations = await this.getLocations(theaterId);
+    const mainStore = locations.find(location => location.isMain);
+    const productIds = queryParams.productId ? [queryParams.productId] : null;
+
+    const stockFilter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (productIds) stockFilter.productId = new mongoose.Types.ObjectId(queryParams.productId);
+
+    const [totals, inTransit, locationStock, productMap] = await Promise.all([
+      stockService.getCurrentBalances(theaterId, productIds),
+      this.getInTransit(theaterId, productIds),
+      LocationStock.find(stockFilter).lean(),
+      purchaseOrderService.getProductMap(theaterId)
+    ]);
+
+    const productKeys = new Set([
+      ...(productIds || []).map(String),
+      ...totals.keys(),
+      ...inTransit.keys(),
+      ...locationStock.filter(row => row.quantity > 0).map(row => String(row.productId))
+    ]);
+
+    const search = (queryParams.search || '').trim().toLowerCase();
+    const products = [];
+    for (const productId of productKeys) {
+      const product = productMap.get(productId);
+      const productName = product?.name || 'Unknown product';
+      if (search && !productName.toLowerCase().includes(search)) continue;
+
+      const balances = {};
+      let elsewhere = 0;
+      locationStock
+        .filter(row => String(row.productId) === productId)
+        .forEach(row => {
+          balances[String(row.locationId)] = row.quantity;
+          elsewhere += row.quantity;
+        });
+
+      const total = totals.get(productId) || 0;
+      const transit = inTransit.get(productId) || 0;
+      balances[String(mainStore._id)] = Math.max(0, total - elsewhere - transit);
+
+      products.push({ productId, productName, total, inTransit: transit, balances });
+    }
+
+    products.sort((a, b) => a.productName.localeCompare(b.productName));
+    return { locations, products };
+  }
+
+  /**
+   * Units of a product the location can send (the main store's derived balance for the main store)
+   */
+  async getAvailable(theaterId, location, productId) {
+    if (!location.isMain) {
+      const row = await LocationStock.findOne({ locationId: location._id, productId }).lean();
+      return row?.quantity || 0;
+    }
+
+    const [totals, inTransit, elsewhere] = await Promise.all([
+      stockService.getCurrentBalances(theaterId, [productId]),
+      this.getInTransit(theaterId, [productId]),
+      LocationStock.aggregate([
+        { $match: { theaterId: new mongoose.Types.ObjectId(theaterId), productId: new mongoose.Types.ObjectId(String(productId)) } },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    return Math.max(0, (totals.get(String(productId)) || 0) - (inTransit.get(String(productId)) || 0) - (elsewhere[0]?.quantity || 0));
+  }
+
+  async adjustLocationStock(theaterId, locationId, productId, change) {
+    await LocationStock.findOneAndUpdate(
+      { locationId, productId },
+      [{
+        $set: {
+          theaterId: new mongoose.Types.ObjectId(theaterId),
+          quantity: { $max: [0, { $add: [{ $ifNull: ['$quantity', 0] }, change] }] }
+        }
+      }],
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Keep the main store from going below zero after the theater total dropped
+   * Stock sold or written off beyond what the main store held must have come from the counters.
+   */
+  async settleShortfall(theaterId, productId) {
+    const [totals, inTransit, rows] = await Promise.all([
+      stockService.getCurrentBalances(theaterId, [productId]),
+      this.getInTransit(theaterId, [productId]),
+      LocationStock.find({ theaterId, productId, quantity: { $gt: 0 } }).sort({ quantity: -1 })
+    ]);
+
+    const elsewhere = rows.reduce((sum, row) => sum + row.quantity, 0);
+    let shortfall = elsewhere + (inTransit.get(String(productId)) || 0) - (totals.get(String(productId)) || 0);
+
+    for (const row of rows) {
+      if (shortfall <= 0) break;
+      const amount = Math.min(shortfall, row.quantity);
+      row.quantity -= amount;
+      shortfall -= amount;
+      await row.save();
+    }
+  }
+
+  /**
+   * Pick the location each product of an order comes out of
+   * An explicit location wins, then the location selling the product's kiosk type,
+   * then the one filling the order's source. Anything else comes from the main store.
+   * @param {Object} options - { locationId, source }
+   * @returns {Promise<Function>} (product) → locationId, or null for the main store
+   */
+  async getSaleLocationResolver(theaterId, { locationId, source } = {}) {
+    const locations = await StockLocation.find({ theaterId, isMain: false, isActive: true }).lean();
+
+    const explicit = locationId && locations.find(location => String(location._id) === String(locationId));
+    const bySource = source && locations.find(location => (location.orderSources || []).includes(source));
+
+    return (product) => {
+      if (explicit) return explicit._id;
+      const byKioskType = product?.kioskType &&
+        locations.find(location => location.kioskTypeId && String(location.kioskTypeId) === String(product.kioskType));
+      if (byKioskType) return byKioskType._id;
+      return bySource ? bySource._id : null;
+    };
+  }
+
+  /**
+   * Take sold units off the selling location
+   * Called after the sale has been booked against the theater's stock.
+   * @param {string|null} locationId - Selling location, null for the main store
+   */
+  async recordSale(theaterId, locationId, productId, quantity) {
+    if (locationId) {
+      await this.adjustLocationStock(theaterId, locationId, productId, -quantity);
+    }
+    await this.settleShortfall(theaterId, productId);
+  }
+
+  /**
+   * Put refunded units back on the location they were sold from
+   * Called after the units have been returned to the theater's stock; the main store (null) is
+   * derived from that stock, so only counters and kiosks are adjusted.
+   * @param {string|null} locationId - Selling location, null for the main store
+   */
+  async recordReturn(theaterId, locationId, productId, quantity) {
+    if (!locationId) return;
+    const location = await StockLocation.exists({ _id: locationId, theaterId });
+    if (location) {
+      await this.adjustLocationStock(theaterId, locationId, productId, quantity);
+    }
+  }
+
+  /**
+   * Get transfers for theater
+   */
+  async getTransfers(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.locationId) {
+      const locationId = new mongoose.Types.ObjectId(queryParams.locationId);
+      filter.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+    }
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.transferNumber = { $regex: search, $options: 'i' };
+    }
+
+    return this.findAll(filter, { page, limit, sort: { createdAt: -1 } });
+  }
+
+  async getTransferDocument(theaterId, transferId) {
+    const transfer = await StockTransfer.findOne({ _id: transferId, theaterId });
+    if (!transfer) {
+      throw serviceError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+    }
+    return transfer;
+  }
+
+  checkStatus(transfer, status, action) {
+    if (transfer.status !== status) {
+      throw serviceError(`A ${transfer.status} transfer cannot be ${action}`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+  }
+
+  /**
+   * Match submitted lines to the transfer's items by itemId
+   */
+  matchItems(transfer, lines) {
+    return lines.map(line => {
+      const item = transfer.items.id(line.itemId);
+      if (!item) {
+        throw serviceError(`Item ${line.itemId} is not on this transfer`, 400, 'TRANSFER_ITEM_NOT_FOUND');
+      }
+      return { item, line };
+    });
+  }
+
+  /**
+   * Request stock from one location to another
+   * @param {Object} data - { fromLocationId, toLocationId, items: [{ productId, quantity }], notes }
+   */
+  async requestTransfer(theaterId, data, user) {
+    if (String(data.fromLocationId) === String(data.toLocationId)) {
+      throw serviceError('Pick two different locations', 400, 'SAME_LOCATION');
+    }
+
+    const [from, to, productMap] = await Promise.all([
+      this.getLocation(theaterId, data.fromLocationId),
+      this.getLocation(theaterId, data.toLocationId),
+      purchaseOrderService.getProductMap(theaterId)
+    ]);
+    [from, to].forEach(location => {
+      if (!location.isActive) {
+        throw serviceError(`${location.name} is inactive`, 400, 'LOCATION_INACTIVE');
+      }
+    });
+
+    const seen = new Set();
+    const items = data.items.map(item => {
+      const product = productMap.get(String(item.productId));
+      if (!product) {
+        throw serviceError(`Product ${item.productId} not found`, 400, 'PRODUCT_NOT_FOUND');
+      }
+      if (seen.has(String(item.productId))) {
+        throw serviceError(`${product.name} is listed more than once`, 400, 'DUPLICATE_ITEM');
+      }
+      seen.add(String(item.productId));
+      return { productId: product._id, productName: product.name, requestedQuantity: Number(item.quantity) };
+    });
+
+    const transfer = await createNumbered(StockTransfer, 'transferNumber', 'TRF', {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      fromLocationId: from._id,
+      fromLocationName: from.name,
+      toLocationId: to._id,
+      toLocationName: to.name,
+      items,
+      notes: data.notes || '',
+      requestedBy: toUserAt(user)
+    });
+
+    return transfer.toObject();
+  }
+
+  /**
+   * Send the stock on its way
+   * Quantities default to what was requested; a line may go out short or not at all (0).
+   * @param {Object} data - { items: [{ itemId, quantity }] }
+   */
+  async dispatchTransfer(theaterId, transferId, data = {}, user) {
+    const transfer = await this.getTransferDocument(theaterId, transferId);
+    this.checkStatus(transfer, 'requested', 'dispatched');
+
+    const from = await this.getLocation(theaterId, transfer.fromLocationId);
+    const quantities = new Map(this.matchItems(transfer, data.items || [])
+      .map(({ item, line }) => [String(item._id), Number(line.quantity)]));
+
+    for (const item of transfer.items) {
+      const quantity = quantities.has(String(item._id)) ? quantities.get(String(item._id)) : item.requestedQuantity;
+      const available = await this.getAvailable(theaterId, from, item.productId);
+      if (quantity > available) {
+        throw serviceError(`${from.name} only has ${available} ${item.productName} to send`, 400, 'INSUFFICIENT_LOCATION_STOCK');
+      }
+      item.dispatchedQuantity = quantity;
+    }
+    if (transfer.items.every(item => item.dispatchedQuantity === 0)) {
+      throw serviceError('Nothing to dispatch. Cancel the transfer instead.', 400, 'EMPTY_TRANSFER');
+    }
+
+    for (const item of transfer.items) {
+      if (item.dispatchedQuantity > 0 && !from.isMain) {
+        await this.adjustLocationStock(theaterId, from._id, item.productId, -item.dispatchedQuantity);
+      }
+    }
+
+    transfer.status = 'dispatched';
+    transfer.dispatchedBy = toUserAt(user);
+    await transfer.save();
+    return transfer.toObject();
+  }
+
+  /**
+   * Book the stock in at the destination
+   * Quantities default to what was dispatched. Anything short is recorded as a discrepancy
+   * and written off the theater's stock as damaged.
+   * @param {Object} data - { items: [{ itemId, quantity, reason }] }
+   */
+  async receiveTransfer(theaterId, transferId, data = {}, user) {
+    const transfer = await this.getTransferDocument(theaterId, transferId);
+    this.checkStatus(transfer, 'dispatched', 'received');
+
+    const lines = new Map(this.matchItems(transfer, data.items || [])
+      .map(({ item, line }) => [String(item._id), line]));
+
+    for (const item of transfer.items) {
+      const line = lines.get(String(item._id));
+      const quantity = line ? Number(line.quantity) : item.dispatchedQuantity;
+      if (quantity > item.dispatchedQuantity) {
+        throw serviceError(
+          `Only ${item.dispatchedQuantity} ${item.productName} were dispatched`,
+          400,
+          'RECEIVED_MORE_THAN_DISPATCHED'
+        );
+      }
+      item.receivedQuantity = quantity;
+      item.discrepancy = item.dispatchedQuantity - quantity;
+      item.discrepancyReason = item.discrepancy > 0 ? (line?.reason || '') : '';
+    }
+
+    const to = await this.getLocation(theaterId, transfer.toLocationId);
+
+    // Mark the transfer received first so its stock no longer counts as in transit
+    transfer.status = 'received';
+    transfer.receivedBy = toUserAt(user);
+    await transfer.save();
+
+    for (const item of transfer.items) {
+      if (item.receivedQuantity > 0 && !to.isMain) {
+        await this.adjustLocationStock(theaterId, to._id, item.productId, item.receivedQuantity);
+      }
+      if (item.discrepancy > 0) {
+        await stockService.writeOff(
+          theaterId,
+          item.productId,
+          item.discrepancy,
+          `${transfer.transferNumber}: ${item.discrepancy} short${item.discrepancyReason ? ` (${item.discrepancyReason})` : ''}`
+        );
+        await this.settleShortfall(theaterId, item.productId);
+      }
+    }
+
+    return transfer.toObject();
+  }
+
+  /**
+   * Cancel a transfer that has not been dispatched
+   */
+  async cancelTransfer(theaterId, transferId, user) {
+    const transfer = await this.getTransferDocument(theaterId, transferId);
+    this.checkStatus(transfer, 'requested', 'cancelled');
+
+    transfer.status = 'cancelled';
+    transfer.cancelledBy = toUserAt(user);
+    await transfer.save();
+    return transfer.toObject();
+  }
+}
+
+module.exports = new StockLocationService();
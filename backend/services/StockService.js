@@ -2,6 +2,17 @@ const BaseService = require('./BaseService');
 const MonthlyStock = require('../models/MonthlyStock');
 const Product = require('../models/Product');
 const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+
+// Entry types that bring stock in (and can later be sold from)
+// ADJUSTMENT entries are stock found by a stock-take
+const STOCK_IN_TYPES = ['ADDED', 'RETURNED', 'ADJUSTMENT'];
+
+// Units of an incoming entry not yet sold, expired, damaged, returned or found missing
+const availableStock = (entry) => Math.max(0,
+  (entry.invordStock || 0) - (entry.sales || 0) - (entry.expiredStock || 0) -
+  (entry.damageStock || 0) - (entry.returnedStock || 0) - (entry.adjustedStock || 0)
+);
 
 /**
  * Stock Service
@@ -112,14 +123,19 @@ class StockService extends BaseService {
       date: entryDate,
       type: entryData.type,
       quantity: entryData.quantity,
-      invordStock: entryData.type === 'ADDED' ? entryData.quantity : 0,
+      invordStock: STOCK_IN_TYPES.includes(entryData.type) ? entryData.quantity : 0,
       sales: entryData.sales || 0,
       damageStock: entryData.damageStock || 0,
       expiredStock: entryData.expiredStock || 0,
       expireDate: entryData.expireDate || null,
       batchNumber: entryData.batchNumber || null,
       notes: entryData.notes || '',
-      oldStock: previousDayBalance
+      oldStock: previousDayBalance,
+      // Goods receipt link (purchase orders)
+      ...(entryData.costPrice !== undefined && { costPrice: entryData.costPrice }),
+      ...(entryData.supplierId && { supplierId: entryData.supplierId }),
+      ...(entryData.purchaseOrderId && { purchaseOrderId: entryData.purchaseOrderId }),
+      ...(entryData.goodsReceiptId && { goodsReceiptId: entryData.goodsReceiptId })
     };
 
     // Calculate balance
@@ -141,6 +157,172 @@ class StockService extends BaseService {
     return monthlyDoc;
   }
 
+  /**
+   * Send stock back to the supplier from the given ADDED entries, oldest first
+   * @param {Array<string>} entryIds - Entries the stock may come from (a purchase order's receipts)
+   * @param {number} quantity - Units going back
+   * @param {Object} options - { batchNumber: only take from this batch, note: appended to each entry's notes }
+   * @returns {Promise<Array>} [{ entryId, batchNumber, quantity }] taken from each entry
+   */
+  async returnToSupplier(theaterId, productId, entryIds, quantity, { batchNumber = null, note = '' } = {}) {
+    const allowedIds = entryIds.map(String);
+    const monthlyDocs = await MonthlyStock.find({
+      theaterId,
+      productId,
+      'stockDetails._id': { $in: entryIds.map(id => new mongoose.Types.ObjectId(String(id))) }
+    })
+    .sort({ year: 1, monthNumber: 1 })
+    .maxTimeMS(20000);
+
+    const candidates = monthlyDocs.flatMap(doc => doc.stockDetails
+      .filter(entry => allowedIds.includes(String(entry._id)) && (!batchNumber || entry.batchNumber === batchNumber))
+      .map(entry => ({ doc, entry })));
+
+    const totalAvailable = candidates.reduce((sum, { entry }) => sum + availableStock(entry), 0);
+    if (totalAvailable < quantity) {
+      throw serviceError(
+        `Only ${totalAvailable} unit(s) left in stock from this purchase order${batchNumber ? ` (batch ${batchNumber})` : ''}`,
+        400,
+        'INSUFFICIENT_RECEIVED_STOCK'
+      );
+    }
+
+    const taken = [];
+    let remaining = quantity;
+    for (const { doc, entry } of candidates) {
+      if (remaining <= 0) break;
+      const amount = Math.min(remaining, availableStock(entry));
+      if (amount <= 0) continue;
+
+      entry.returnedStock = (entry.returnedStock || 0) + amount;
+      if (note) {
+        entry.notes = entry.notes ? `${entry.notes}; ${note}` : note;
+      }
+      taken.push({ entryId: entry._id, batchNumber: entry.batchNumber || null, quantity: amount });
+      remaining -= amount;
+    }
+
+    for (const doc of new Set(candidates.map(({ doc }) => doc))) {
+      this.recalculateBalances(doc);
+      doc.markModified('stockDetails');
+      await doc.save();
+    }
+
+    return taken;
+  }
+
+  /**
+   * Write stock off as damaged, oldest incoming entries first
+   * Used for stock lost outside a sale, e.g. short on arrival after a transfer.
+   * @returns {Promise<number>} Units written off (less than asked for if the stock ran out)
+   */
+  async writeOff(theaterId, productId, quantity, note = '') {
+    return this.takeOldestFirst(theaterId, productId, quantity, 'damageStock', note);
+  }
+
+  /**
+   * Book units against a deduction field of incoming entries, oldest first
+   * @param {string} field - damageStock or adjustedStock
+   * @returns {Promise<number>} Units booked
+   */
+  async takeOldestFirst(theaterId, productId, quantity, field, note = '') {
+    const monthlyDocs = await MonthlyStock.find({ theaterId, productId })
+      .sort({ year: 1, monthNumber: 1 })
+      .maxTimeMS(20000);
+
+    let remaining = quantity;
+    for (const doc of monthlyDocs) {
+      if (remaining <= 0) break;
+      const remainingBefore = remaining;
+
+      for (const entry of doc.stockDetails) {
+        if (remaining <= 0) break;
+        if (!STOCK_IN_TYPES.includes(entry.type)) continue;
+
+        const amount = Math.min(remaining, availableStock(entry));
+        if (amount <= 0) continue;
+
+        entry[field] = (entry[field] || 0) + amount;
+        if (note) {
+          entry.notes = entry.notes ? `${entry.notes}; ${note}` : note;
+        }
+        remaining -= amount;
+      }
+
+      if (remaining < remainingBefore) {
+        this.recalculateBalances(doc);
+        doc.markModified('stockDetails');
+        await doc.save();
+      }
+    }
+
+    return quantity - remaining;
+  }
+
+  /**
+   * Bring the book balance in line with a physical count
+   * Stock found is added as an ADJUSTMENT entry that sells like received stock;
+   * stock missing is taken off the oldest incoming entries as adjustedStock.
+   * @param {number} variance - Counted minus expected units
+   * @returns {Promise<number>} Units adjusted (signed)
+   */
+  async postAdjustment(theaterId, productId, variance, note = '') {
+    if (variance > 0) {
+      await this.addStockEntry(theaterId, productId, {
+        date: new Date(),
+        type: 'ADJUSTMENT',
+        quantity: variance,
+        notes: note
+      });
+      return variance;
+    }
+    if (variance < 0) {
+      return -(await this.takeOldestFirst(theaterId, productId, -variance, 'adjustedStock', note));
+    }
+    return 0;
+  }
+
+  /**
+   * Latest goods receipt cost of each product
+   * @returns {Promise<Map>} productId → cost price
+   */
+  async getLatestCostPrices(theaterId, productIds) {
+    const rows = await MonthlyStock.aggregate([
+      {
+        $match: {
+          theaterId: new mongoose.Types.ObjectId(theaterId),
+          productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) }
+        }
+      },
+      { $unwind: '$stockDetails' },
+      { $match: { 'stockDetails.costPrice': { $ne: null } } },
+      { $sort: { 'stockDetails.date': -1 } },
+      { $group: { _id: '$productId', costPrice: { $first: '$stockDetails.costPrice' } } }
+    ]);
+
+    return new Map(rows.map(row => [String(row._id), row.costPrice]));
+  }
+
+  /**
+   * Current theater-wide balance of each product (closing balance of its latest month)
+   * @param {Array<string>} [productIds] - Only these products
+   * @returns {Promise<Map>} productId → units in stock
+   */
+  async getCurrentBalances(theaterId, productIds = null) {
+    const match = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (productIds) {
+      match.productId = { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+
+    const latest = await MonthlyStock.aggregate([
+      { $match: match },
+      { $sort: { year: -1, monthNumber: -1 } },
+      { $group: { _id: '$productId', balance: { $first: '$closingBalance' } } }
+    ]);
+
+    return new Map(latest.map(row => [String(row._id), row.balance || 0]));
+  }
+
   /**
    * Update stock entry
    */
@@ -173,7 +355,7 @@ class StockService extends BaseService {
       date: entryDate,
       type: updateData.type,
       quantity: updateData.quantity,
-      invordStock: updateData.type === 'ADDED' ? updateData.quantity : 0,
+      invordStock: STOCK_IN_TYPES.includes(updateData.type) ? updateData.quantity : 0,
       expireDate: updateData.expireDate || null,
       notes: updateData.notes || '',
       batchNumber: updateData.batchNumber || null,
@@ -226,7 +408,9 @@ class StockService extends BaseService {
         (entry.invordStock || 0) -
         (entry.sales || 0) -
         (entry.expiredStock || 0) -
-        (entry.damageStock || 0)
+        (entry.damageStock || 0) -
+        (entry.returnedStock || 0) -
+        (entry.adjustedStock || 0)
       );
       runningBalance = entry.balance;
     }
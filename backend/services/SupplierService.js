@@ -0,0 +1,132 @@
+const BaseService = require('./BaseService');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const mongoose = require('mongoose');
+const { serviceError } = require('../utils/serviceError');
+
+// Fields an admin can set on a supplier
+const EDITABLE_FIELDS = [
+  'name', 'contactPerson', 'phone', 'email', 'gstNumber', 'address', 'paymentTerms', 'notes', 'isActive'
+];
+
+const pickFields = (data) => {
+  const supplierData = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) supplierData[field] = data[field];
+  });
+  return supplierData;
+};
+
+/**
+ * Supplier Service
+ * Handles the vendors a theater raises purchase orders against
+ */
+class SupplierService extends BaseService {
+  constructor() {
+    super(Supplier);
+  }
+
+  /**
+   * Get suppliers for theater
+   */
+  async getSuppliers(theaterId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+
+    if (queryParams.search) {
+      const search = queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactPerson: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === 'true';
+    }
+
+    return this.findAll(filter, { page, limit, sort: { name: 1 } });
+  }
+
+  /**
+   * Get an active or inactive supplier of the theater
+   */
+  async getSupplier(theaterId, supplierId) {
+    const supplier = await Supplier.findOne({ _id: supplierId, theaterId }).lean();
+    if (!supplier) {
+      throw serviceError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+    }
+    return supplier;
+  }
+
+  /**
+   * Create supplier
+   */
+  async createSupplier(theaterId, data, userId = null) {
+    const supplierData = pickFields(data);
+
+    try {
+      const supplier = await Supplier.create({
+        ...supplierData,
+        theaterId,
+        createdBy: userId && mongoose.Types.ObjectId.isValid(userId) ? userId : null
+      });
+      return supplier.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Supplier ${supplierData.name} already exists`, 409, 'SUPPLIER_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update supplier
+   * Purchase orders keep the supplier name they were raised with.
+   */
+  async updateSupplier(theaterId, supplierId, data) {
+    const supplierData = pickFields(data);
+
+    try {
+      const supplier = await Supplier.findOneAndUpdate(
+        { _id: supplierId, theaterId },
+        { $set: supplierData },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!supplier) {
+        throw serviceError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+      }
+      return supplier;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw serviceError(`Supplier ${supplierData.name} already exists`, 409, 'SUPPLIER_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete supplier
+   * Suppliers with purchase orders are kept for the purchase history; deactivate them instead.
+   */
+  async deleteSupplier(theaterId, supplierId) {
+    const orderCount = await PurchaseOrder.countDocuments({ theaterId, supplierId });
+    if (orderCount > 0) {
+      throw serviceError(
+        `Supplier has ${orderCount} purchase order(s). Mark it inactive instead.`,
+        409,
+        'SUPPLIER_IN_USE'
+      );
+    }
+
+    const supplier = await Supplier.findOneAndDelete({ _id: supplierId, theaterId }).lean();
+    if (!supplier) {
+      throw serviceError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+    }
+    return supplier;
+  }
+}
+
+module.exports = new SupplierService();
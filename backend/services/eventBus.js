@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Event Bus
+ * Publishes domain events (order.created, order.status_changed, payment.captured) to
+ * every server instance so SSE streams can push them to theater staff.
+ *
+ * The transport is a pluggable broker:
+ * - memory (default): in-process only, fine for a single node process
+ * - redis: Redis pub/sub, required when running several PM2 cluster instances
+ *
+ * Pick the broker with EVENT_BUS_BROKER (memory | redis). The redis broker uses REDIS_URL
+ * and falls back to the in-process broker if Redis cannot be reached.
+ *
+ * Every broker exposes:
+ *   start(onEnvelope) - begin delivering envelopes to onEnvelope
+ *   publish(envelope) - send an envelope to all instances (including this one)
+ *   stop()
+ */
+
+const EVENT_TYPES = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  PAYMENT_CAPTURED: 'payment.captured',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  ORDER_ASSIGNED: 'order.assigned',
+  ORDER_RELEASED: 'order.released'
+};
+
+const REDIS_CHANNEL = process.env.EVENT_BUS_CHANNEL || 'yqpaynow:events';
+
+const INSTANCE_ID = `${os.hostname()}:${process.env.INSTANCE_ID || process.env.NODE_APP_INSTANCE || process.pid}`;
+
+const brokers = {};
+
+/**
+ * Register an event broker factory
+ */
+const registerBroker = (name, factory) => {
+  brokers[name] = factory;
+};
+
+// ==============================================
+// In-process broker
+// ==============================================
+registerBroker('memory', () => {
+  let deliver = null;
+  return {
+    name: 'memory',
+    async start(onEnvelope) {
+      deliver = onEnvelope;
+    },
+    async publish(envelope) {
+      if (deliver) {
+        // Deliver asynchronously so publishers never wait on subscribers
+        setImmediate(() => deliver(envelope));
+      }
+    },
+    async stop() {
+      deliver = null;
+    }
+  };
+});
+
+// ==============================================
+// Redis pub/sub broker (multi-instance)
+// ==============================================
+registerBroker('redis', () => {
+  const redis = require('redis');
+  let publisher = null;
+  let subscriber = null;
+  let connected = false;
+
+  return {
+    name: 'redis',
+    async start(onEnvelope) {
+      const config = {
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        socket: {
+          connectTimeout: 3000,
+          // Give up on the initial connection quickly so start() can fall back;
+          // once connected, keep reconnecting through Redis outages
+          reconnectStrategy: (retries) => (
+            retries > 2 && !connected
+              ? new Error('Redis is not reachable')
+              : Math.min(retries * 200, 2000)
+          )
+        }
+      };
+      if (process.env.REDIS_PASSWORD) {
+        config.password = process.env.REDIS_PASSWORD;
+      }
+
+      publisher = redis.createClient(config);
+      subscriber = publisher.duplicate();
+      publisher.on('error', (err) => console.error('❌ [EventBus] Redis publisher error:', err.message));
+      subscriber.on('error', (err) => console.error('❌ [EventBus] Redis subscriber error:', err.message));
+
+      await publisher.connect();
+      await subscriber.connect();
+      await subscriber.subscribe(REDIS_CHANNEL, (message) => {
+        try {
+          onEnvelope(JSON.parse(message));
+        } catch (error) {
+          console.error('❌ [EventBus] Invalid event payload:', error.message);
+        }
+      });
+      connected = true;
+    },
+    async publish(envelope) {
+      await publisher.publish(REDIS_CHANNEL, JSON.stringify(envelope));
+    },
+    async stop() {
+      await Promise.allSettled([
+        subscriber && subscriber.quit(),
+        publisher && publisher.quit()
+      ]);
+    }
+  };
+});
+
+class EventBus {
+  constructor() {
+    this.broker = null;
+    this.starting = null;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Start the configured broker (idempotent)
+   */
+  async start() {
+    if (this.broker) return this.broker;
+    if (this.starting) return this.starting;
+
+    const brokerName = process.env.EVENT_BUS_BROKER || 'memory';
+
+    this.starting = (async () => {
+      const factory = brokers[brokerName] || brokers.memory;
+      if (!brokers[brokerName]) {
+        console.warn(`⚠️ [EventBus] Unknown broker "${brokerName}", using in-process broker`);
+      }
+
+      let broker = factory();
+      try {
+        await broker.start((envelope) => this._dispatch(envelope));
+      } catch (error) {
+        console.warn(`⚠️ [EventBus] ${broker.name} broker unavailable (${error.message}), using in-process broker`);
+        await broker.stop().catch(() => {});
+        broker = brokers.memory();
+        await broker.start((envelope) => this._dispatch(envelope));
+      }
+
+      console.log(`✅ [EventBus] Started with ${broker.name} broker`);
+      this.broker = broker;
+      return broker;
+    })();
+
+    try {
+      return await this.starting;
+    } finally {
+      this.starting = null;
+    }
+  }
+
+  /**
+   * Publish an event
+   * Never throws - a failed publish must not break the order or payment flow.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} options
+   * @param {string} options.theaterId - Theater the event belongs to
+   * @param {Object} options.data - Event payload
+   * @param {Array<string>} [options.pages] - Role page permissions allowed to receive the event (any of)
+   */
+  async publish(type, { theaterId, data = {}, pages = null } = {}) {
+    const envelope = {
+      id: crypto.randomUUID(),
+      type,
+      theaterId: theaterId ? String(theaterId) : null,
+      pages,
+      data,
+      occurredAt: new Date().toISOString(),
+      origin: INSTANCE_ID
+    };
+
+    try {
+      const broker = await this.start();
+      await broker.publish(envelope);
+    } catch (error) {
+      console.error(`❌ [EventBus] Failed to publish ${type}:`, error.message);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Subscribe to all events delivered to this instance
+   * @returns {Function} unsubscribe
+   */
+  subscribe(handler) {
+    this.subscribers.add(handler);
+    this.start().catch(error => console.error('❌ [EventBus] Failed to start:', error.message));
+    return () => this.subscribers.delete(handler);
+  }
+
+  async stop() {
+    if (this.broker) {
+      await this.broker.stop();
+      this.broker = null;
+    }
+  }
+
+  _dispatch(envelope) {
+    for (const handler of this.subscribers) {
+      try {
+        handler(envelope);
+      } catch (error) {
+        console.error('❌ [EventBus] Subscriber error:', error.message);
+      }
+    }
+  }
+}
+
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.registerBroker = registerBroker;
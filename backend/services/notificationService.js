@@ -1,8 +1,12 @@
 const mongoose = require('mongoose');
+const { phoneNumberVariants } = require('../utils/otpService');
 
 // Store for customer notifications (phone number -> notifications array)
 const customerNotifications = new Map();
 
+// Notifications are saved with the phone number as the order had it
+const phoneFilter = (phoneNumber) => ({ $in: phoneNumberVariants(phoneNumber) });
+
 /**
  * Save notification to database
  */
@@ -56,6 +60,11 @@ async function sendOrderNotification(orderData, status) {
         message = 'Your order is ready for pickup!';
         type = 'ready';
         break;
+      case 'served':
+        title = 'Order Delivered';
+        message = 'Your order has been delivered to your seat. Enjoy the show!';
+        type = 'delivered';
+        break;
       case 'cancelled':
         title = 'Order Cancelled';
         message = 'Your order has been cancelled.';
@@ -116,7 +125,7 @@ async function getCustomerNotifications(phoneNumber, limit = 20) {
     const db = mongoose.connection.db;
     
     const notifications = await db.collection('notifications')
-      .find({ phoneNumber })
+      .find({ phoneNumber: phoneFilter(phoneNumber) })
       .sort({ createdAt: -1 })
       .limit(limit)
       .toArray();
@@ -129,16 +138,16 @@ async function getCustomerNotifications(phoneNumber, limit = 20) {
 }
 
 /**
- * Mark notification as read
+ * Mark one of a customer's notifications as read
  */
-async function markNotificationAsRead(notificationId) {
+async function markNotificationAsRead(notificationId, phoneNumber) {
   try {
     const db = mongoose.connection.db;
-    await db.collection('notifications').updateOne(
-      { _id: new mongoose.Types.ObjectId(notificationId) },
+    const result = await db.collection('notifications').updateOne(
+      { _id: new mongoose.Types.ObjectId(notificationId), phoneNumber: phoneFilter(phoneNumber) },
       { $set: { read: true, readAt: new Date() } }
     );
-    return true;
+    return result.matchedCount > 0;
   } catch (error) {
     console.error('❌ Error marking notification as read:', error);
     return false;
@@ -152,7 +161,7 @@ async function markAllAsRead(phoneNumber) {
   try {
     const db = mongoose.connection.db;
     await db.collection('notifications').updateMany(
-      { phoneNumber, read: false },
+      { phoneNumber: phoneFilter(phoneNumber), read: false },
       { $set: { read: true, readAt: new Date() } }
     );
     return true;
@@ -169,7 +178,7 @@ async function getUnreadCount(phoneNumber) {
   try {
     const db = mongoose.connection.db;
     const count = await db.collection('notifications').countDocuments({
-      phoneNumber,
+      phoneNumber: phoneFilter(phoneNumber),
       read: false
     });
     return count;
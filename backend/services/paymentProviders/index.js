@@ -0,0 +1,75 @@
+/**
+ * Payment Providers
+ * Gateway adapters, selected per theater channel from Theater.paymentGateway.
+ *
+ * Every adapter exposes:
+ *   createOrder(config, { amount, currency, receipt, notes, callbackUrl, returnUrl }) → { gatewayOrderId, amount, currency, checkout }
+ *   verifyPayment(config, { gatewayOrderId, ...checkoutResult }) → { verified, pending, paymentId, signature, method, error }
+ *   fetchStatus(config, transaction) → { status: 'success' | 'failed' | 'pending', paymentId, method }
+ *   refund(config, { transaction, amount, notes, callbackUrl }) → { refundId, status: 'processed' | 'pending' }
+ *   verifyWebhook(config, rawBody, headers) → boolean
+ *   parseWebhook(body, headers, rawBody) → { eventId, type, gatewayOrderId, paymentId, amount, method }
+ *
+ * `checkout` holds what the browser needs to open the provider's checkout (keys, tokens,
+ * redirect URL). callbackUrl is the provider's server-to-server notification URL and
+ * returnUrl is where redirect-based checkouts send the customer back to.
+ *
+ * Amounts passed to and returned by adapters are in the smallest currency unit (paise).
+ * Webhook event types are normalized to: payment.captured, payment.failed or ignored.
+ */
+
+const { serviceError } = require('../../utils/serviceError');
+
+const providers = {};
+
+/**
+ * Register a payment provider adapter
+ */
+const registerProvider = (name, adapter) => {
+  providers[name] = adapter;
+};
+
+/**
+ * Get the adapter for a provider or throw a 400
+ */
+const getProvider = (name) => {
+  const adapter = providers[name];
+  if (!adapter) {
+    throw serviceError(`Payment provider "${name}" is not supported`, 400, 'UNSUPPORTED_PROVIDER');
+  }
+  return adapter;
+};
+
+/**
+ * Map an order source/type to the theater gateway channel
+ * Kiosk, POS and counter orders use the kiosk gateway; QR/customer orders use the online gateway.
+ */
+const determineChannel = (orderTypeOrSource) => {
+  const value = String(orderTypeOrSource || '').toLowerCase();
+  if (['kiosk', 'pos', 'counter', 'offline-pos', 'offline_pos', 'staff'].includes(value)) {
+    return 'kiosk';
+  }
+  return 'online';
+};
+
+/**
+ * Get the gateway configuration for a theater channel (kiosk | online)
+ */
+const getGatewayConfig = (theater, channel) => {
+  const gateway = theater?.paymentGateway || {};
+  const config = channel === 'kiosk' ? gateway.kiosk : gateway.online;
+  return config && typeof config.toObject === 'function' ? config.toObject() : (config || null);
+};
+
+registerProvider('razorpay', require('./razorpay'));
+registerProvider('phonepe', require('./phonepe'));
+registerProvider('paytm', require('./paytm'));
+registerProvider('stripe', require('./stripe'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  determineChannel,
+  getGatewayConfig,
+  providers
+};
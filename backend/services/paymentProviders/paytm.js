@@ -0,0 +1,184 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { REQUEST_TIMEOUT, sha256Hex, safeEqual, attemptId, normalizeMethod, parseRawBody } = require('./utils');
+
+/**
+ * Paytm adapter (JS Checkout + server APIs, no SDK required)
+ * Requests and notifications carry a Paytm checksum: sha256(data|salt)+salt,
+ * AES-128-CBC encrypted with the merchant key.
+ * PAYTM_API_BASE points the adapter at another API host.
+ */
+
+const CHECKSUM_IV = '@@@@&&&&####$$$$';
+
+const apiBase = (config) => process.env.PAYTM_API_BASE || (config?.paytm?.testMode === false
+  ? 'https://securegw.paytm.in'
+  : 'https://securegw-stage.paytm.in');
+
+const credentials = (config) => {
+  const paytm = config?.paytm || {};
+  if (!paytm.merchantId || !paytm.merchantKey) {
+    throw new Error('Paytm merchant credentials are not configured');
+  }
+  return paytm;
+};
+
+const toRupees = (paise) => (paise / 100).toFixed(2);
+
+const checksumHash = (data, salt) => `${sha256Hex(`${data}|${salt}`)}${salt}`;
+
+const generateChecksum = (data, merchantKey) => {
+  const salt = crypto.randomBytes(3).toString('base64');
+  const cipher = crypto.createCipheriv('aes-128-cbc', merchantKey, CHECKSUM_IV);
+  return cipher.update(checksumHash(data, salt), 'binary', 'base64') + cipher.final('base64');
+};
+
+const verifyChecksum = (data, merchantKey, checksum) => {
+  try {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', merchantKey, CHECKSUM_IV);
+    const decrypted = decipher.update(checksum, 'base64', 'binary') + decipher.final('binary');
+    return safeEqual(decrypted, checksumHash(data, decrypted.slice(-4)));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Form notifications are signed over the values sorted by key, joined with '|'
+const paramsString = (params) => Object.keys(params)
+  .filter(key => key !== 'CHECKSUMHASH')
+  .sort()
+  .map(key => (params[key] === null || params[key] === undefined || String(params[key]).toLowerCase() === 'null' ? '' : params[key]))
+  .join('|');
+
+const request = async (config, path, body) => {
+  const paytm = credentials(config);
+  try {
+    const response = await axios.post(`${apiBase(config)}${path}`, {
+      body,
+      head: { signature: generateChecksum(JSON.stringify(body), paytm.merchantKey) }
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data?.body || {};
+  } catch (error) {
+    throw new Error(error.response?.data?.body?.resultInfo?.resultMsg || error.message || 'Paytm request failed');
+  }
+};
+
+const statusFromResult = (resultStatus) => {
+  if (resultStatus === 'TXN_SUCCESS') return 'success';
+  if (resultStatus === 'TXN_FAILURE') return 'failed';
+  return 'pending';
+};
+
+module.exports = {
+  name: 'paytm',
+
+  async createOrder(config, { amount, currency = 'INR', receipt, notes = {}, callbackUrl }) {
+    const paytm = credentials(config);
+    const orderId = attemptId(receipt, 50);
+
+    const result = await request(config, `/theia/api/v1/initiateTransaction?mid=${paytm.merchantId}&orderId=${orderId}`, {
+      requestType: 'Payment',
+      mid: paytm.merchantId,
+      websiteName: paytm.websiteName || 'DEFAULT',
+      orderId,
+      callbackUrl,
+      txnAmount: { value: toRupees(amount), currency },
+      userInfo: { custId: `CUST_${String(notes.orderId || orderId).slice(-20)}` }
+    });
+
+    if (result.resultInfo?.resultStatus !== 'S' || !result.txnToken) {
+      throw new Error(result.resultInfo?.resultMsg || 'Paytm did not return a transaction token');
+    }
+
+    return {
+      gatewayOrderId: orderId,
+      amount,
+      currency,
+      checkout: {
+        merchantId: paytm.merchantId,
+        txnToken: result.txnToken,
+        host: apiBase(config)
+      }
+    };
+  },
+
+  // The JS Checkout callback is not trusted on its own; confirm with the status API
+  async verifyPayment(config, { gatewayOrderId }) {
+    const result = await this.fetchStatus(config, { gateway: { orderId: gatewayOrderId } });
+    return {
+      verified: result.status === 'success',
+      pending: result.status === 'pending',
+      paymentId: result.paymentId,
+      method: result.method,
+      error: result.error
+    };
+  },
+
+  async fetchStatus(config, transaction) {
+    const paytm = credentials(config);
+    const result = await request(config, '/v3/order/status', {
+      mid: paytm.merchantId,
+      orderId: transaction.gateway.orderId
+    });
+    const status = statusFromResult(result.resultInfo?.resultStatus);
+
+    return {
+      status,
+      paymentId: result.txnId || null,
+      method: normalizeMethod(result.paymentMode),
+      error: status === 'failed'
+        ? { code: result.resultInfo?.resultCode, message: result.resultInfo?.resultMsg }
+        : undefined
+    };
+  },
+
+  async refund(config, { transaction, amount }) {
+    const paytm = credentials(config);
+    if (!transaction.gateway?.paymentId) {
+      throw new Error('Paytm transaction ID missing on transaction');
+    }
+
+    const result = await request(config, '/refund/apply', {
+      mid: paytm.merchantId,
+      txnType: 'REFUND',
+      orderId: transaction.gateway.orderId,
+      txnId: transaction.gateway.paymentId,
+      refId: attemptId(`R${transaction.gateway.orderId}`, 50),
+      refundAmount: toRupees(amount)
+    });
+
+    const status = statusFromResult(result.resultInfo?.resultStatus);
+    if (status === 'failed') {
+      throw new Error(result.resultInfo?.resultMsg || 'Paytm refund failed');
+    }
+    return {
+      refundId: result.refundId || result.refId,
+      status: status === 'success' ? 'processed' : 'pending'
+    };
+  },
+
+  verifyWebhook(config, rawBody) {
+    const merchantKey = config?.paytm?.merchantKey;
+    const params = parseRawBody(rawBody);
+    if (!merchantKey || !params.CHECKSUMHASH) return false;
+    return verifyChecksum(paramsString(params), merchantKey, params.CHECKSUMHASH);
+  },
+
+  parseWebhook(body, headers, rawBody) {
+    const params = body && body.ORDERID ? body : parseRawBody(rawBody);
+    const status = statusFromResult(params.STATUS);
+    return {
+      eventId: `${params.TXNID || params.ORDERID || 'unknown'}:${params.STATUS || 'UNKNOWN'}`,
+      type: status === 'success' ? 'payment.captured' : status === 'failed' ? 'payment.failed' : 'ignored',
+      gatewayEvent: params.STATUS,
+      gatewayOrderId: params.ORDERID || null,
+      paymentId: params.TXNID || null,
+      amount: params.TXNAMOUNT ? Math.round(parseFloat(params.TXNAMOUNT) * 100) : null,
+      method: normalizeMethod(params.PAYMENTMODE),
+      error: status === 'failed' ? { code: params.RESPCODE, message: params.RESPMSG } : null
+    };
+  }
+};
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const { REQUEST_TIMEOUT, sha256Hex, safeEqual, attemptId, normalizeMethod, parseRawBody } = require('./utils');
+
+/**
+ * PhonePe adapter (PG pay page API, no SDK required)
+ * Checkout is a redirect to the PhonePe pay page; requests are signed with
+ * X-VERIFY = sha256(payload + path + saltKey) + '###' + saltIndex.
+ * PHONEPE_API_BASE points the adapter at another API host.
+ */
+
+const apiBase = (config) => process.env.PHONEPE_API_BASE || (config?.phonepe?.testMode === false
+  ? 'https://api.phonepe.com/apis/hermes'
+  : 'https://api-preprod.phonepe.com/apis/pg-sandbox');
+
+const SUCCESS_CODES = ['PAYMENT_SUCCESS'];
+const FAILED_CODES = ['PAYMENT_ERROR', 'PAYMENT_DECLINED', 'TIMED_OUT', 'AUTHORIZATION_FAILED', 'TRANSACTION_NOT_FOUND'];
+
+const credentials = (config) => {
+  const phonepe = config?.phonepe || {};
+  if (!phonepe.merchantId || !phonepe.saltKey || !phonepe.saltIndex) {
+    throw new Error('PhonePe merchant credentials are not configured');
+  }
+  return phonepe;
+};
+
+const xVerify = (phonepe, data) => `${sha256Hex(`${data}${phonepe.saltKey}`)}###${phonepe.saltIndex}`;
+
+const request = async (config, method, path, payload) => {
+  const phonepe = credentials(config);
+  const encoded = payload ? Buffer.from(JSON.stringify(payload)).toString('base64') : null;
+
+  try {
+    const response = await axios({
+      method,
+      url: `${apiBase(config)}${path}`,
+      data: encoded ? { request: encoded } : undefined,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-VERIFY': xVerify(phonepe, encoded ? `${encoded}${path}` : path),
+        'X-MERCHANT-ID': phonepe.merchantId
+      },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  } catch (error) {
+    // Declined/unknown transactions come back as 4xx with a normal response body
+    if (error.response?.data?.code) {
+      return error.response.data;
+    }
+    throw new Error(error.response?.data?.message || error.message || 'PhonePe request failed');
+  }
+};
+
+const statusFromCode = (code) => {
+  if (SUCCESS_CODES.includes(code)) return 'success';
+  if (FAILED_CODES.includes(code)) return 'failed';
+  return 'pending';
+};
+
+module.exports = {
+  name: 'phonepe',
+
+  async createOrder(config, { amount, receipt, notes = {}, callbackUrl, returnUrl }) {
+    const { merchantId } = credentials(config);
+    const merchantTransactionId = attemptId(receipt, 35);
+
+    const result = await request(config, 'post', '/pg/v1/pay', {
+      merchantId,
+      merchantTransactionId,
+      merchantUserId: `U${String(notes.theaterId || 'GUEST').slice(-24)}`,
+      amount,
+      redirectUrl: returnUrl,
+      redirectMode: 'REDIRECT',
+      callbackUrl,
+      paymentInstrument: { type: 'PAY_PAGE' }
+    });
+
+    const redirectUrl = result?.data?.instrumentResponse?.redirectInfo?.url;
+    if (!result?.success || !redirectUrl) {
+      throw new Error(result?.message || 'PhonePe did not return a pay page');
+    }
+
+    return {
+      gatewayOrderId: merchantTransactionId,
+      amount,
+      currency: 'INR',
+      checkout: { merchantTransactionId, redirectUrl }
+    };
+  },
+
+  // The redirect back from the pay page is unsigned, so ask PhonePe for the status
+  async verifyPayment(config, { gatewayOrderId }) {
+    const result = await this.fetchStatus(config, { gateway: { orderId: gatewayOrderId } });
+    return {
+      verified: result.status === 'success',
+      pending: result.status === 'pending',
+      paymentId: result.paymentId,
+      method: result.method,
+      error: result.error
+    };
+  },
+
+  async fetchStatus(config, transaction) {
+    const { merchantId } = credentials(config);
+    const result = await request(config, 'get', `/pg/v1/status/${merchantId}/${transaction.gateway.orderId}`);
+    const status = statusFromCode(result?.code);
+
+    return {
+      status,
+      paymentId: result?.data?.transactionId || null,
+      method: normalizeMethod(result?.data?.paymentInstrument?.type),
+      error: status === 'failed' ? { code: result.code, message: result.message } : undefined
+    };
+  },
+
+  async refund(config, { transaction, amount, callbackUrl }) {
+    const { merchantId } = credentials(config);
+    const result = await request(config, 'post', '/pg/v1/refund', {
+      merchantId,
+      merchantUserId: `U${String(transaction.theaterId || 'GUEST').slice(-24)}`,
+      originalTransactionId: transaction.gateway.orderId,
+      merchantTransactionId: attemptId(`R${transaction.gateway.orderId}`, 35),
+      amount,
+      callbackUrl
+    });
+
+    const status = statusFromCode(result?.code);
+    if (status === 'failed' || !result?.success) {
+      throw new Error(result?.message || 'PhonePe refund failed');
+    }
+    return {
+      refundId: result.data?.merchantTransactionId || result.data?.transactionId,
+      status: status === 'success' ? 'processed' : 'pending'
+    };
+  },
+
+  verifyWebhook(config, rawBody, headers) {
+    const phonepe = config?.phonepe || {};
+    const signature = headers['x-verify'];
+    const encoded = parseRawBody(rawBody).response;
+    if (!phonepe.saltKey || !signature || !encoded) return false;
+    return safeEqual(xVerify(phonepe, encoded), signature);
+  },
+
+  parseWebhook(body) {
+    let decoded = {};
+    try {
+      decoded = JSON.parse(Buffer.from(body?.response || '', 'base64').toString('utf8'));
+    } catch (error) {
+      decoded = {};
+    }
+
+    const data = decoded.data || {};
+    const status = statusFromCode(decoded.code);
+    return {
+      // PhonePe has no event id; one callback per transaction outcome
+      eventId: `${data.merchantTransactionId || 'unknown'}:${decoded.code || 'UNKNOWN'}`,
+      type: status === 'success' ? 'payment.captured' : status === 'failed' ? 'payment.failed' : 'ignored',
+      gatewayEvent: decoded.code,
+      gatewayOrderId: data.merchantTransactionId || null,
+      paymentId: data.transactionId || null,
+      amount: data.amount ?? null,
+      method: normalizeMethod(data.paymentInstrument?.type),
+      error: status === 'failed' ? { code: decoded.code, message: decoded.message } : null
+    };
+  }
+};
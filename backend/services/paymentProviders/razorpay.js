@@ -0,0 +1,129 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { REQUEST_TIMEOUT, hmacHex, safeEqual, normalizeMethod } = require('./utils');
+
+/**
+ * Razorpay adapter (REST API, no SDK required)
+ * RAZORPAY_API_BASE points the adapter at another API host, e.g. scripts/fake-payment-gateway.js.
+ */
+
+const apiBase = () => process.env.RAZORPAY_API_BASE || 'https://api.razorpay.com/v1';
+
+const credentials = (config) => {
+  const razorpay = config?.razorpay || {};
+  if (!razorpay.keyId || !razorpay.keySecret) {
+    throw new Error('Razorpay API keys are not configured');
+  }
+  return razorpay;
+};
+
+const request = async (config, method, path, data) => {
+  const { keyId, keySecret } = credentials(config);
+  try {
+    const response = await axios({
+      method,
+      url: `${apiBase()}${path}`,
+      data,
+      auth: { username: keyId, password: keySecret },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.error?.description || error.message || 'Razorpay request failed');
+  }
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  async createOrder(config, { amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await request(config, 'post', '/orders', {
+      amount,
+      currency,
+      receipt,
+      notes,
+      payment_capture: 1
+    });
+
+    return {
+      gatewayOrderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      checkout: { keyId: config.razorpay.keyId }
+    };
+  },
+
+  async verifyPayment(config, { gatewayOrderId, paymentId, signature }) {
+    const { keySecret } = credentials(config);
+    const expected = hmacHex(keySecret, `${gatewayOrderId}|${paymentId}`);
+    return {
+      verified: !!(gatewayOrderId && paymentId && signature) && safeEqual(expected, signature),
+      paymentId,
+      signature
+    };
+  },
+
+  async fetchStatus(config, transaction) {
+    const result = await request(config, 'get', `/orders/${transaction.gateway.orderId}/payments`);
+    const payments = result.items || [];
+
+    const captured = payments.find(p => p.status === 'captured');
+    if (captured) {
+      return { status: 'success', paymentId: captured.id, method: normalizeMethod(captured.method) };
+    }
+    if (payments.some(p => p.status === 'authorized' || p.status === 'created')) {
+      return { status: 'pending' };
+    }
+    if (payments.length > 0 && payments.every(p => p.status === 'failed')) {
+      const last = payments[payments.length - 1];
+      return {
+        status: 'failed',
+        paymentId: last.id,
+        error: { code: last.error_code, message: last.error_description }
+      };
+    }
+    return { status: 'pending' };
+  },
+
+  async refund(config, { transaction, amount, notes = {} }) {
+    const paymentId = transaction.gateway?.paymentId;
+    if (!paymentId) {
+      throw new Error('Razorpay payment ID missing on transaction');
+    }
+
+    const refund = await request(config, 'post', `/payments/${paymentId}/refund`, { amount, notes });
+    return {
+      refundId: refund.id,
+      status: refund.status === 'processed' ? 'processed' : 'pending'
+    };
+  },
+
+  verifyWebhook(config, rawBody, headers) {
+    const secret = config?.razorpay?.webhookSecret;
+    const signature = headers['x-razorpay-signature'];
+    if (!secret || !signature || !rawBody) return false;
+    return safeEqual(hmacHex(secret, rawBody), signature);
+  },
+
+  parseWebhook(body, headers, rawBody) {
+    const payment = body?.payload?.payment?.entity || {};
+    const order = body?.payload?.order?.entity || {};
+    const typeMap = {
+      'payment.captured': 'payment.captured',
+      'order.paid': 'payment.captured',
+      'payment.failed': 'payment.failed'
+    };
+
+    return {
+      // Razorpay sends a unique id per event delivery attempt group
+      eventId: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody || JSON.stringify(body)).digest('hex'),
+      type: typeMap[body?.event] || 'ignored',
+      gatewayEvent: body?.event,
+      gatewayOrderId: payment.order_id || order.id || null,
+      paymentId: payment.id || null,
+      amount: payment.amount ?? order.amount_paid ?? null,
+      method: normalizeMethod(payment.method),
+      error: payment.error_code ? { code: payment.error_code, message: payment.error_description } : null
+    };
+  }
+};
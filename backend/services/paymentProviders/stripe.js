@@ -0,0 +1,168 @@
+const axios = require('axios');
+const { REQUEST_TIMEOUT, hmacHex, safeEqual, normalizeMethod } = require('./utils');
+
+/**
+ * Stripe adapter (Payment Intents REST API, no SDK required)
+ * The checkout confirms the intent in the browser with Stripe.js.
+ * STRIPE_API_BASE points the adapter at another API host.
+ */
+
+// Reject webhook signatures older than this (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const apiBase = () => process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1';
+
+const credentials = (config) => {
+  const stripe = config?.stripe || {};
+  if (!stripe.secretKey || !stripe.publishableKey) {
+    throw new Error('Stripe API keys are not configured');
+  }
+  return stripe;
+};
+
+// Stripe takes form-encoded bodies with bracketed keys for nested objects
+const formEncode = (data, prefix = '', params = new URLSearchParams()) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      formEncode(value, name, params);
+    } else {
+      params.append(name, String(value));
+    }
+  });
+  return params;
+};
+
+const request = async (config, method, path, data) => {
+  const { secretKey } = credentials(config);
+  try {
+    const response = await axios({
+      method,
+      url: `${apiBase()}${path}`,
+      data: data ? formEncode(data).toString() : undefined,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.error?.message || error.message || 'Stripe request failed');
+  }
+};
+
+const intentStatus = (intent) => {
+  if (intent.status === 'succeeded') return 'success';
+  if (intent.status === 'canceled') return 'failed';
+  if (intent.status === 'requires_payment_method' && intent.last_payment_error) return 'failed';
+  return 'pending';
+};
+
+const intentMethod = (intent) => normalizeMethod(
+  intent.payment_method_types?.length === 1 ? intent.payment_method_types[0] : 'card'
+);
+
+module.exports = {
+  name: 'stripe',
+
+  async createOrder(config, { amount, currency = 'INR', receipt, notes = {} }) {
+    const intent = await request(config, 'post', '/payment_intents', {
+      amount,
+      currency: currency.toLowerCase(),
+      description: `Order ${receipt}`,
+      metadata: notes,
+      automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+      gatewayOrderId: intent.id,
+      amount: intent.amount,
+      currency: String(intent.currency || currency).toUpperCase(),
+      checkout: {
+        publishableKey: config.stripe.publishableKey,
+        clientSecret: intent.client_secret
+      }
+    };
+  },
+
+  // Stripe.js confirms in the browser without a signature, so read the intent back
+  async verifyPayment(config, { gatewayOrderId }) {
+    const result = await this.fetchStatus(config, { gateway: { orderId: gatewayOrderId } });
+    return {
+      verified: result.status === 'success',
+      pending: result.status === 'pending',
+      paymentId: result.paymentId,
+      method: result.method,
+      error: result.error
+    };
+  },
+
+  async fetchStatus(config, transaction) {
+    const intent = await request(config, 'get', `/payment_intents/${transaction.gateway.orderId}`);
+    const status = intentStatus(intent);
+
+    return {
+      status,
+      paymentId: intent.latest_charge || intent.id,
+      method: intentMethod(intent),
+      error: status === 'failed'
+        ? { code: intent.last_payment_error?.code || intent.status, message: intent.last_payment_error?.message || intent.cancellation_reason }
+        : undefined
+    };
+  },
+
+  async refund(config, { transaction, amount, notes = {} }) {
+    const refund = await request(config, 'post', '/refunds', {
+      payment_intent: transaction.gateway.orderId,
+      amount,
+      metadata: notes
+    });
+
+    if (refund.status === 'failed' || refund.status === 'canceled') {
+      throw new Error(refund.failure_reason || 'Stripe refund failed');
+    }
+    return {
+      refundId: refund.id,
+      status: refund.status === 'succeeded' ? 'processed' : 'pending'
+    };
+  },
+
+  verifyWebhook(config, rawBody, headers) {
+    const secret = config?.stripe?.webhookSecret;
+    const header = headers['stripe-signature'];
+    if (!secret || !header || !rawBody) return false;
+
+    // Header format: t=<timestamp>,v1=<signature>[,v1=<signature>...]
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = hmacHex(secret, `${timestamp}.${rawBody}`);
+    return signatures.some(signature => safeEqual(expected, signature));
+  },
+
+  parseWebhook(body) {
+    const intent = body?.data?.object || {};
+    const typeMap = {
+      'payment_intent.succeeded': 'payment.captured',
+      'payment_intent.payment_failed': 'payment.failed'
+    };
+
+    return {
+      eventId: body?.id || `${intent.id || 'unknown'}:${body?.type || 'unknown'}`,
+      type: typeMap[body?.type] || 'ignored',
+      gatewayEvent: body?.type,
+      gatewayOrderId: intent.object === 'payment_intent' ? intent.id : null,
+      paymentId: intent.latest_charge || intent.id || null,
+      amount: intent.amount_received || intent.amount || null,
+      method: intent.object === 'payment_intent' ? intentMethod(intent) : null,
+      error: intent.last_payment_error
+        ? { code: intent.last_payment_error.code, message: intent.last_payment_error.message }
+        : null
+    };
+  }
+};
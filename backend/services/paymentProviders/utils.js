@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers shared by the payment provider adapters
+ */
+
+const REQUEST_TIMEOUT = 15000;
+
+const hmacHex = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Constant-time string comparison for signatures
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Gateway-side order/transaction id from our receipt
+ * Gateways limit the length and character set, and need a fresh id per attempt.
+ */
+const attemptId = (receipt, maxLength = 35) => {
+  const suffix = `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+  const prefix = String(receipt || 'ORDER').replace(/[^A-Za-z0-9]/g, '');
+  return `${prefix.slice(0, Math.max(0, maxLength - suffix.length - 1))}_${suffix}`;
+};
+
+/**
+ * Map a gateway payment mode to PaymentTransaction.method
+ */
+const normalizeMethod = (value) => {
+  const mode = String(value || '').toLowerCase();
+  if (!mode) return null;
+  if (mode.startsWith('upi')) return 'upi';
+  if (['card', 'cc', 'dc', 'credit_card', 'debit_card', 'emi'].includes(mode)) return 'card';
+  if (['nb', 'netbanking', 'net_banking'].includes(mode)) return 'netbanking';
+  if (['wallet', 'ppi', 'paytm_wallet', 'balance'].includes(mode)) return 'wallet';
+  return null;
+};
+
+/**
+ * Body of a webhook as an object, whether it arrived as JSON or form data
+ */
+const parseRawBody = (rawBody) => {
+  const text = String(rawBody || '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+};
+
+module.exports = {
+  REQUEST_TIMEOUT,
+  hmacHex,
+  sha256Hex,
+  safeEqual,
+  attemptId,
+  normalizeMethod,
+  parseRawBody
+};
@@ -2,9 +2,59 @@ const BaseService = require('./BaseService');
 const Theater = require('../models/Theater');
 const Order = require('../models/Order');
 const PaymentTransaction = require('../models/PaymentTransaction');
-const paymentServiceUtil = require('../services/PaymentService');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const paymentProviders = require('./paymentProviders');
 const mongoose = require('mongoose');
 const TheaterOrders = require('../models/TheaterOrders');
+const eventBus = require('./eventBus');
+const StockService = require('./StockService');
+const rawMaterialService = require('./RawMaterialService');
+const stockLocationService = require('./StockLocationService');
+const shiftService = require('./ShiftService');
+const loyaltyService = require('./LoyaltyService');
+const { getUserRole } = require('../middleware/auth');
+const { summarizeTenders } = require('../utils/tenderUtils');
+const { serviceError } = require('../utils/serviceError');
+const { roundAmount } = require('../utils/money');
+
+// Staff pages that receive live payment events
+const PAYMENT_EVENT_PAGES = [
+  'OnlinePOSInterface',
+  'ProfessionalPOSInterface',
+  'OfflinePOSInterface',
+  'TheaterOrderHistory',
+  'OnlineOrderHistory',
+  'KioskOrderHistory',
+  'OrderManagement'
+];
+
+// Transaction statuses that are still waiting on the gateway
+const OPEN_TRANSACTION_STATUSES = ['initiated', 'pending', 'processing'];
+
+const TRANSACTION_METHODS = ['card', 'upi', 'netbanking', 'wallet', 'cash'];
+
+// Order payment statuses a failed gateway attempt must never overwrite
+const SETTLED_ORDER_STATUSES = ['paid', 'refunded', 'partially_refunded'];
+
+// A refund claim older than this is left over from a crashed refund and can be taken again
+const REFUND_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// A webhook event still `processing` after this was dropped mid-way (crash, restart) and is handled again
+const WEBHOOK_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Public URL of this API, used for gateway server-to-server callbacks
+const callbackBaseUrl = () => (process.env.PAYMENT_CALLBACK_BASE_URL?.trim() || 'http://localhost:8080').replace(/\/$/, '');
+
+const frontendBaseUrl = () => (process.env.BASE_URL?.trim() || process.env.FRONTEND_URL?.trim() || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Where redirect checkouts (PhonePe) return to
+ * Only our own frontend is allowed, so the gateway can't be used as an open redirect.
+ */
+const resolveReturnUrl = (returnUrl) => {
+  const base = frontendBaseUrl();
+  return typeof returnUrl === 'string' && returnUrl.startsWith(`${base}/`) ? returnUrl : `${base}/`;
+};
 
 /**
  * Payment Service
@@ -71,6 +121,11 @@ class PaymentService extends BaseService {
         merchantId: gatewayConfig.paytm.merchantId,
         testMode: gatewayConfig.paytm.testMode || false
       };
+    } else if (gatewayConfig.provider === 'stripe' && gatewayConfig.stripe?.enabled) {
+      publicConfig.stripe = {
+        publishableKey: gatewayConfig.stripe.publishableKey,
+        testMode: gatewayConfig.stripe.testMode || false
+      };
     }
 
     return publicConfig;
@@ -78,10 +133,12 @@ class PaymentService extends BaseService {
 
   /**
    * Create payment order
+   * A split payment is charged one tender at a time: the given tender, else the first one still unpaid.
+   * @param {Object} options - { returnUrl, tenderId } returnUrl is the page redirect checkouts come back to
    */
-  async createPaymentOrder(orderId, paymentMethod) {
+  async createPaymentOrder(orderId, paymentMethod, { returnUrl, tenderId } = {}) {
     if (!orderId) {
-      throw new Error('Order ID is required');
+      throw serviceError('Order ID is required', 400, 'ORDER_REQUIRED');
     }
 
     // Try to find order in regular Order collection first
@@ -106,33 +163,1092 @@ class PaymentService extends BaseService {
     }
 
     if (!order) {
-      throw new Error('Order not found');
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
     }
 
     const theater = await Theater.findById(theaterId).maxTimeMS(20000);
     if (!theater) {
-      throw new Error('Theater not found');
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
     }
 
     const orderTypeOrSource = order.source || order.orderType || 'counter';
-    const channel = paymentServiceUtil.determineChannel(orderTypeOrSource);
-
-    // Use payment service to create order
-    const result = await paymentServiceUtil.createPaymentOrder(
-      theater,
-      order,
-      paymentMethod,
-      channel
-    );
+    const channel = paymentProviders.determineChannel(orderTypeOrSource);
+    const gatewayConfig = paymentProviders.getGatewayConfig(theater, channel);
+
+    if (!gatewayConfig || !gatewayConfig.enabled || !gatewayConfig.provider || gatewayConfig.provider === 'none'
+      || !gatewayConfig[gatewayConfig.provider]?.enabled) {
+      throw serviceError(`Payment gateway not configured for ${channel} orders`, 400, 'GATEWAY_NOT_CONFIGURED');
+    }
+
+    const tender = this._resolvePayableTender(order, tenderId);
+    const adapter = paymentProviders.getProvider(gatewayConfig.provider);
+    const total = tender ? tender.amount : (order.pricing?.total ?? order.totalAmount ?? 0);
+    const currency = order.pricing?.currency || 'INR';
 
-    return result;
+    const gatewayOrder = await adapter.createOrder(gatewayConfig, {
+      amount: Math.round(total * 100),
+      currency,
+      receipt: order.orderNumber,
+      notes: {
+        orderId: String(order._id),
+        theaterId: String(theaterId),
+        channel,
+        ...(tender && { tenderId: String(tender._id) })
+      },
+      callbackUrl: `${callbackBaseUrl()}/api/payments/webhook/${gatewayConfig.provider}/${theaterId}`,
+      returnUrl: resolveReturnUrl(returnUrl)
+    });
+
+    const transaction = await PaymentTransaction.create({
+      theaterId,
+      orderId: order._id,
+      tenderId: tender?._id || null,
+      gateway: {
+        provider: gatewayConfig.provider,
+        channel,
+        orderId: gatewayOrder.gatewayOrderId
+      },
+      amount: { value: total, currency },
+      status: 'initiated',
+      method: TRANSACTION_METHODS.includes(paymentMethod) ? paymentMethod : 'upi',
+      customer: {
+        name: order.customerInfo?.name,
+        email: order.customerInfo?.email,
+        phone: order.customerInfo?.phoneNumber || order.customerInfo?.phone
+      },
+      metadata: {
+        orderType: orderTypeOrSource,
+        gatewayUsed: gatewayConfig.provider,
+        channel
+      }
+    });
+
+    return {
+      paymentOrder: {
+        orderId: gatewayOrder.gatewayOrderId,
+        amount: gatewayOrder.amount,
+        currency: gatewayOrder.currency || currency,
+        transactionId: String(transaction._id),
+        provider: gatewayConfig.provider,
+        tenderId: tender ? String(tender._id) : null,
+        ...gatewayOrder.checkout
+      },
+      provider: gatewayConfig.provider,
+      channel,
+      orderType: orderTypeOrSource,
+      isTheaterOrdersArray
+    };
   }
 
   /**
-   * Verify payment
+   * Tender a gateway checkout pays: the requested one, else the first non-cash tender not yet paid
+   * Orders without tenders (legacy orders collection) are charged in full. Paid orders, and orders
+   * whose tenders leave nothing for the gateway, are refused so they can't be charged twice.
+   */
+  _resolvePayableTender(order, tenderId) {
+    if (SETTLED_ORDER_STATUSES.includes(order.payment?.status)) {
+      throw serviceError('This order has already been paid', 409, 'ORDER_ALREADY_PAID');
+    }
+
+    const tenders = order.payment?.tenders || [];
+    const payable = (tender) => tender.method !== 'cash' && ['pending', 'failed'].includes(tender.status);
+
+    if (tenderId) {
+      const tender = tenders.find(t => String(t._id) === String(tenderId));
+      if (!tender) {
+        throw serviceError('Tender not found on this order', 404, 'TENDER_NOT_FOUND');
+      }
+      if (!payable(tender)) {
+        throw serviceError(`The ${tender.method} tender can't be paid through the gateway`, 400, 'TENDER_NOT_PAYABLE');
+      }
+      return tender;
+    }
+
+    if (tenders.length === 0) return null;
+    const tender = tenders.find(payable);
+    if (!tender) {
+      throw serviceError('This order has nothing left to pay through the gateway', 409, 'ORDER_ALREADY_PAID');
+    }
+    return tender;
+  }
+
+  /**
+   * Map an order source/type to the theater gateway channel (kiosk | online)
+   */
+  determineChannel(orderTypeOrSource) {
+    return paymentProviders.determineChannel(orderTypeOrSource);
+  }
+
+  /**
+   * Get the gateway configuration for a theater channel
+   */
+  getGatewayConfig(theater, channel) {
+    return paymentProviders.getGatewayConfig(theater, channel);
+  }
+
+  /**
+   * Load the theater gateway config and adapter used by a transaction
+   */
+  async _loadTransactionContext(transaction) {
+    const theater = await Theater.findById(transaction.theaterId).maxTimeMS(20000);
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+
+    const channel = transaction.gateway?.channel === 'kiosk' ? 'kiosk' : 'online';
+    const gatewayConfig = paymentProviders.getGatewayConfig(theater, channel);
+    const adapter = paymentProviders.getProvider(transaction.gateway?.provider);
+    return { theater, gatewayConfig, adapter };
+  }
+
+  /**
+   * Verify a payment completed in the gateway checkout
+   * Razorpay checkouts are verified by signature; the other providers are
+   * confirmed with the gateway's status API.
    */
   async verifyPayment(verificationData) {
-    return paymentServiceUtil.verifyPayment(verificationData);
+    const { transactionId, gatewayOrderId } = verificationData;
+
+    let transaction = null;
+    if (transactionId && mongoose.Types.ObjectId.isValid(transactionId)) {
+      transaction = await PaymentTransaction.findById(transactionId).maxTimeMS(20000);
+    } else if (gatewayOrderId) {
+      // Older checkouts only send the gateway order id
+      transaction = await PaymentTransaction.findOne({ 'gateway.orderId': gatewayOrderId }).maxTimeMS(20000);
+    } else {
+      throw serviceError('Transaction ID is required', 400, 'TRANSACTION_REQUIRED');
+    }
+
+    if (!transaction) {
+      throw serviceError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    if (gatewayOrderId && transaction.gateway?.orderId !== gatewayOrderId) {
+      throw serviceError('Transaction order ID does not match', 400, 'ORDER_MISMATCH');
+    }
+
+    if (transaction.status === 'success') {
+      return { success: true, message: 'Payment already verified', transaction };
+    }
+
+    const { gatewayConfig, adapter } = await this._loadTransactionContext(transaction);
+    const result = await adapter.verifyPayment(gatewayConfig, {
+      ...verificationData,
+      gatewayOrderId: transaction.gateway.orderId
+    });
+
+    // Webhook or reconciliation settles it once the gateway has an outcome
+    if (result.pending) {
+      throw serviceError('Payment is still being processed', 409, 'PAYMENT_PENDING');
+    }
+
+    if (!result.verified) {
+      await this.settleTransaction(transaction, 'failed', {
+        source: 'verify',
+        error: result.error || {
+          code: 'SIGNATURE_VERIFICATION_FAILED',
+          message: 'Payment signature verification failed'
+        }
+      });
+      throw serviceError('Payment verification failed', 400, 'VERIFICATION_FAILED');
+    }
+
+    const settled = await this.settleTransaction(transaction, 'success', {
+      source: 'verify',
+      paymentId: result.paymentId,
+      signature: result.signature,
+      method: result.method
+    });
+
+    return {
+      success: true,
+      message: 'Payment verified successfully',
+      order: settled.order,
+      transaction: settled.transaction
+    };
+  }
+
+  /**
+   * Move a transaction to success or failed and mirror it on the order
+   * Guarded on the current status, so checkout verify, webhooks and
+   * reconciliation can race without settling a transaction twice.
+   * @param {string} outcome - 'success' | 'failed'
+   * @param {Object} details - { source, paymentId, signature, method, error, webhookData }
+   */
+  async settleTransaction(transaction, outcome, details = {}) {
+    const now = new Date();
+    const update = { status: outcome, 'metadata.notes': `Settled by ${details.source || 'unknown'}` };
+
+    if (outcome === 'success') {
+      update.completedAt = now;
+      if (details.paymentId) update['gateway.paymentId'] = details.paymentId;
+      if (details.signature) update['gateway.signature'] = details.signature;
+      if (TRANSACTION_METHODS.includes(details.method)) update.method = details.method;
+    } else {
+      update.failedAt = now;
+      if (details.error) update.error = details.error;
+    }
+    if (details.webhookData) update.webhookData = details.webhookData;
+
+    // A failure never overrides a success; a success may follow an earlier failed attempt
+    const fromStatuses = outcome === 'success'
+      ? [...OPEN_TRANSACTION_STATUSES, 'failed']
+      : OPEN_TRANSACTION_STATUSES;
+
+    const updated = await PaymentTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $in: fromStatuses } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await PaymentTransaction.findById(transaction._id).maxTimeMS(20000);
+      return { changed: false, transaction: current || transaction, order: null };
+    }
+
+    const order = await this.updateOrderPayment(updated, outcome === 'success'
+      ? { status: 'paid', paidAt: now }
+      : { status: 'failed' });
+
+    if (outcome === 'success') {
+      this.publishPaymentCaptured(updated, order);
+    }
+    // Points are earned once the whole order is paid (a split payment may still have tenders to go)
+    if (order?.payment?.status === 'paid') {
+      await loyaltyService.awardForOrder(String(updated.theaterId), order).catch(error =>
+        console.error('Failed to award loyalty points:', error.message)
+      );
+    }
+
+    console.log(`💳 Transaction ${updated._id} settled as ${outcome} (${details.source || 'unknown'})`);
+    return { changed: true, transaction: updated, order };
+  }
+
+  /**
+   * Mirror a transaction on the order's payment block (theaterorders array or legacy orders)
+   * A transaction paying one tender of a split payment settles that tender; the order is paid
+   * once its tenders cover the total. A failed or expired transaction never marks a paid or refunded order failed.
+   */
+  async updateOrderPayment(transaction, fields) {
+    if (transaction.tenderId) {
+      const order = await this._updateTenderPayment(transaction, fields);
+      if (order) return order;
+    }
+
+    const now = new Date();
+    const orderObjectId = new mongoose.Types.ObjectId(String(transaction.orderId));
+
+    const paymentFields = {
+      ...fields,
+      transactionId: String(transaction._id),
+      provider: transaction.gateway?.provider
+    };
+    if (transaction.gateway?.orderId) paymentFields.gatewayOrderId = transaction.gateway.orderId;
+    if (transaction.gateway?.paymentId) paymentFields.gatewayPaymentId = transaction.gateway.paymentId;
+    if (transaction.gateway?.provider === 'razorpay') {
+      if (transaction.gateway.paymentId) paymentFields.razorpayPaymentId = transaction.gateway.paymentId;
+      if (transaction.gateway.orderId) paymentFields.razorpayOrderId = transaction.gateway.orderId;
+      if (transaction.gateway.signature) paymentFields.razorpaySignature = transaction.gateway.signature;
+    }
+
+    const nestedSet = { 'orderList.$.updatedAt': now, updatedAt: now };
+    const legacySet = { updatedAt: now };
+    for (const [key, value] of Object.entries(paymentFields)) {
+      nestedSet[`orderList.$.payment.${key}`] = value;
+      legacySet[`payment.${key}`] = value;
+    }
+
+    // A failed or expired attempt leaves an order that was paid some other way (or refunded) alone
+    const failed = fields.status !== 'paid';
+    const collection = mongoose.connection.db.collection('theaterorders');
+    const result = await collection.findOneAndUpdate(
+      failed
+        ? { orderList: { $elemMatch: { _id: orderObjectId, 'payment.status': { $nin: SETTLED_ORDER_STATUSES } } } }
+        : { 'orderList._id': orderObjectId },
+      { $set: nestedSet },
+      { returnDocument: 'after' }
+    );
+
+    if (result.value) {
+      return result.value.orderList.find(o => String(o._id) === String(orderObjectId)) || null;
+    }
+
+    if (failed) {
+      const doc = await collection.findOne(
+        { 'orderList._id': orderObjectId },
+        { projection: { 'orderList.$': 1 } }
+      );
+      if (doc) return doc.orderList[0];
+    }
+
+    const legacy = await Order.findOneAndUpdate(
+      failed ? { _id: orderObjectId, 'payment.status': { $nin: SETTLED_ORDER_STATUSES } } : { _id: orderObjectId },
+      { $set: legacySet },
+      { new: true }
+    ).lean();
+    if (legacy || !failed) return legacy;
+    return Order.findById(orderObjectId).lean();
+  }
+
+  /**
+   * Settle the tender a transaction paid and recalculate the order's payment status from its tenders
+   * @returns {Promise<Object|null>} Updated order, or null when the tender is not on a theaterorders order
+   */
+  async _updateTenderPayment(transaction, fields) {
+    const now = new Date();
+    const collection = mongoose.connection.db.collection('theaterorders');
+    const orderObjectId = new mongoose.Types.ObjectId(String(transaction.orderId));
+    const tenderPath = 'orderList.$.payment.tenders.$[tender]';
+
+    const tenderSet = {
+      [`${tenderPath}.status`]: fields.status === 'paid' ? 'paid' : 'failed',
+      [`${tenderPath}.transactionId`]: String(transaction._id),
+      [`${tenderPath}.provider`]: transaction.gateway?.provider,
+      'orderList.$.payment.transactionId': String(transaction._id),
+      'orderList.$.payment.provider': transaction.gateway?.provider,
+      'orderList.$.updatedAt': now,
+      updatedAt: now
+    };
+    if (fields.paidAt) tenderSet[`${tenderPath}.paidAt`] = fields.paidAt;
+    if (transaction.gateway?.orderId) tenderSet['orderList.$.payment.gatewayOrderId'] = transaction.gateway.orderId;
+    if (transaction.gateway?.paymentId) {
+      tenderSet[`${tenderPath}.gatewayPaymentId`] = transaction.gateway.paymentId;
+      tenderSet['orderList.$.payment.gatewayPaymentId'] = transaction.gateway.paymentId;
+    }
+
+    // A paid tender stays paid, so a late failure for another attempt at it changes nothing
+    const tenderObjectId = new mongoose.Types.ObjectId(String(transaction.tenderId));
+    const unpaidTender = { _id: tenderObjectId, status: { $ne: 'paid' } };
+    const result = await collection.findOneAndUpdate(
+      { orderList: { $elemMatch: { _id: orderObjectId, 'payment.tenders': { $elemMatch: unpaidTender } } } },
+      { $set: tenderSet },
+      {
+        arrayFilters: [{ 'tender._id': tenderObjectId, 'tender.status': { $ne: 'paid' } }],
+        returnDocument: 'after'
+      }
+    );
+    if (!result.value) {
+      const doc = await collection.findOne(
+        { 'orderList._id': orderObjectId },
+        { projection: { 'orderList.$': 1 } }
+      );
+      return doc?.orderList[0] || null;
+    }
+
+    const order = result.value.orderList.find(o => String(o._id) === String(orderObjectId));
+    if (!order) return null;
+
+    const total = order.pricing?.total ?? order.totalAmount ?? 0;
+    const { status, amountPaid } = summarizeTenders(order.payment.tenders, total);
+    // Refunded orders keep their refund status
+    if (['refunded', 'partially_refunded'].includes(order.payment.status)) return order;
+
+    const paymentSet = {
+      'orderList.$.payment.status': status,
+      'orderList.$.payment.amountPaid': amountPaid
+    };
+    if (status === 'paid' && !order.payment.paidAt) paymentSet['orderList.$.payment.paidAt'] = now;
+
+    const updated = await collection.findOneAndUpdate(
+      { 'orderList._id': orderObjectId },
+      { $set: paymentSet },
+      { returnDocument: 'after' }
+    );
+    return updated.value?.orderList.find(o => String(o._id) === String(orderObjectId)) || order;
+  }
+
+  /**
+   * Handle a gateway webhook
+   * The signature is checked against the theater's online and kiosk config for the
+   * provider, then the event is applied once per gateway event id.
+   */
+  async handleWebhook(provider, theaterId, { rawBody, headers, body }) {
+    const adapter = paymentProviders.getProvider(provider);
+
+    const theater = mongoose.Types.ObjectId.isValid(theaterId)
+      ? await Theater.findById(theaterId).maxTimeMS(20000)
+      : null;
+    if (!theater) {
+      throw serviceError('Theater not found', 404, 'THEATER_NOT_FOUND');
+    }
+
+    const verified = ['online', 'kiosk'].some(channel => {
+      const config = paymentProviders.getGatewayConfig(theater, channel);
+      return config?.provider === provider && adapter.verifyWebhook(config, rawBody, headers);
+    });
+    if (!verified) {
+      throw serviceError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+    }
+
+    const event = adapter.parseWebhook(body, headers, rawBody);
+    const record = await this._claimWebhookEvent(provider, theater._id, event, body);
+    if (!record) {
+      return { eventId: event.eventId, status: 'duplicate' };
+    }
+
+    try {
+      const transaction = event.type !== 'ignored' && event.gatewayOrderId
+        ? await PaymentTransaction.findOne({
+            theaterId: theater._id,
+            'gateway.provider': provider,
+            'gateway.orderId': event.gatewayOrderId
+          }).maxTimeMS(20000)
+        : null;
+
+      if (!transaction) {
+        await this._finishWebhookEvent(record, 'ignored');
+        return { eventId: event.eventId, status: 'ignored' };
+      }
+
+      const settled = await this.settleTransaction(
+        transaction,
+        event.type === 'payment.captured' ? 'success' : 'failed',
+        {
+          source: 'webhook',
+          paymentId: event.paymentId,
+          method: event.method,
+          error: event.error || { code: 'PAYMENT_FAILED', message: 'Payment failed at gateway' },
+          webhookData: { event: event.gatewayEvent, eventId: event.eventId, receivedAt: new Date() }
+        }
+      );
+
+      await this._finishWebhookEvent(record, 'processed', { transactionId: transaction._id });
+      return {
+        eventId: event.eventId,
+        status: 'processed',
+        transactionId: transaction._id,
+        changed: settled.changed
+      };
+    } catch (error) {
+      await this._finishWebhookEvent(record, 'failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a webhook event id; returns null when the event was already handled
+   * Failed events, and events left `processing` longer than WEBHOOK_CLAIM_TTL_MS, can be claimed
+   * again so gateway retries get another chance.
+   */
+  async _claimWebhookEvent(provider, theaterId, event, payload) {
+    try {
+      return await PaymentWebhookEvent.create({
+        provider,
+        eventId: event.eventId,
+        theaterId,
+        type: event.type,
+        gatewayEvent: event.gatewayEvent,
+        gatewayOrderId: event.gatewayOrderId,
+        payload
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      return PaymentWebhookEvent.findOneAndUpdate(
+        {
+          provider,
+          eventId: event.eventId,
+          $or: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lt: new Date(Date.now() - WEBHOOK_CLAIM_TTL_MS) } }
+          ]
+        },
+        { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+    }
+  }
+
+  async _finishWebhookEvent(record, status, extra = {}) {
+    await PaymentWebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status, processedAt: new Date(), ...extra } }
+    );
+  }
+
+  /**
+   * Reconcile transactions stuck waiting on the gateway
+   * Asks the gateway for the real status; transactions still open after
+   * expireAfterHours are marked failed.
+   * @param {Object} options
+   * @param {number} options.olderThanMinutes - Only check transactions idle for at least this long
+   * @param {number} options.expireAfterHours - Give up on open transactions older than this
+   * @param {number} options.limit - Max transactions per sweep
+   */
+  async reconcileStaleTransactions({ olderThanMinutes = 15, expireAfterHours = 24, limit = 100 } = {}) {
+    const now = Date.now();
+    const transactions = await PaymentTransaction.find({
+      status: { $in: OPEN_TRANSACTION_STATUSES },
+      'gateway.provider': { $nin: ['cash', 'manual'] },
+      'gateway.orderId': { $exists: true, $ne: null },
+      updatedAt: { $lte: new Date(now - olderThanMinutes * 60 * 1000) }
+    })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .maxTimeMS(20000);
+
+    const summary = { checked: 0, captured: 0, failed: 0, expired: 0, pending: 0, errors: 0 };
+
+    for (const transaction of transactions) {
+      summary.checked++;
+      try {
+        const { gatewayConfig, adapter } = await this._loadTransactionContext(transaction);
+        const gatewayStatus = await adapter.fetchStatus(gatewayConfig, transaction);
+        const startedAt = new Date(transaction.initiatedAt || transaction.createdAt).getTime();
+
+        if (gatewayStatus.status === 'success') {
+          await this.settleTransaction(transaction, 'success', {
+            source: 'reconciliation',
+            paymentId: gatewayStatus.paymentId,
+            method: gatewayStatus.method
+          });
+          summary.captured++;
+        } else if (gatewayStatus.status === 'failed') {
+          await this.settleTransaction(transaction, 'failed', {
+            source: 'reconciliation',
+            error: gatewayStatus.error || { code: 'PAYMENT_FAILED', message: 'Payment failed at gateway' }
+          });
+          summary.failed++;
+        } else if (now - startedAt > expireAfterHours * 60 * 60 * 1000) {
+          await this.settleTransaction(transaction, 'failed', {
+            source: 'reconciliation',
+            error: { code: 'PAYMENT_EXPIRED', message: 'No completed payment received from gateway' }
+          });
+          summary.expired++;
+        } else {
+          // Touch updatedAt so other stale transactions are checked first next sweep
+          await PaymentTransaction.updateOne({ _id: transaction._id }, { $set: { status: 'pending' } });
+          summary.pending++;
+        }
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Reconciliation failed for transaction ${transaction._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Refund an order in full or in part
+   * The money goes back per tender: to the given tender, or else from the last tender paid backwards.
+   * Gateway tenders are refunded through the gateway adapter, cash tenders from the drawer, and
+   * card/UPI tenders paid outside the gateway are recorded as manual refunds.
+   * Refunded items are restocked as MonthlyStock RETURNED entries, with their recipe ingredients.
+   * @param {string} orderId - Order ID (theaterorders)
+   * @param {number} [amount] - Amount in INR; defaults to the value of `items`, or everything left
+   * @param {string} reason - Why the refund was issued
+   * @param {Array<{productId: string, quantity: number}>} [items] - Items being returned
+   * @param {Object} options - { theaterId, user, tenderId }
+   */
+  async refund(orderId, amount, reason, items = [], { theaterId, user, tenderId } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(theaterId)) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    const collection = mongoose.connection.db.collection('theaterorders');
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const orderObjectId = new mongoose.Types.ObjectId(orderId);
+
+    // Claim the order before reading it, so two refunds can't race past the balance check and the
+    // totals written at the end are the ones read under the claim. The claim holds the time it was
+    // taken, so one left behind by a crash runs out.
+    const claimedAt = new Date();
+    const claimed = await collection.updateOne(
+      {
+        theater: theaterObjectId,
+        orderList: {
+          $elemMatch: {
+            _id: orderObjectId,
+            'payment.refundInProgress': { $not: { $gt: new Date(claimedAt.getTime() - REFUND_CLAIM_TTL_MS) } }
+          }
+        }
+      },
+      { $set: { 'orderList.$.payment.refundInProgress': claimedAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      const exists = await collection.findOne(
+        { theater: theaterObjectId, 'orderList._id': orderObjectId },
+        { projection: { _id: 1 } }
+      );
+      if (!exists) {
+        throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+      }
+      throw serviceError('A refund is already in progress for this order', 409, 'REFUND_IN_PROGRESS');
+    }
+
+    const releaseClaim = () => collection.updateOne(
+      { theater: theaterObjectId, orderList: { $elemMatch: { _id: orderObjectId, 'payment.refundInProgress': claimedAt } } },
+      { $unset: { 'orderList.$.payment.refundInProgress': '' } }
+    );
+
+    let prepared;
+    try {
+      const doc = await collection.findOne(
+        { theater: theaterObjectId, 'orderList._id': orderObjectId },
+        { projection: { 'orderList.$': 1 } }
+      );
+      prepared = await this._prepareRefund(doc?.orderList?.[0], amount, items, { user, tenderId });
+    } catch (error) {
+      await releaseClaim();
+      throw error;
+    }
+    const { order, total, alreadyRefunded, refundItems, allocations } = prepared;
+
+    // Each tender is refunded on its own; money that has already gone back is kept even if a later tender fails
+    const issued = [];
+    let refundError = null;
+    for (const allocation of allocations) {
+      try {
+        const transaction = await this._findTenderTransaction(orderObjectId, allocation.tender);
+        const result = allocation.tender && allocation.tender.method !== 'cash' && !transaction
+          ? { method: 'manual', refundId: `MANUAL-${Date.now()}`, status: 'processed' }
+          : await this._issueRefund(transaction, allocation.amount, reason, order);
+        issued.push({ ...allocation, transaction, result });
+      } catch (error) {
+        refundError = error;
+        break;
+      }
+    }
+
+    if (issued.length === 0) {
+      await releaseClaim();
+      throw refundError;
+    }
+
+    // Cash handed back comes out of the drawer of whoever gave the refund
+    const refundShift = user ? await shiftService.getOpenShift(theaterId, user.userId) : null;
+
+    const now = new Date();
+    const issuedAmount = roundAmount(issued.reduce((sum, entry) => sum + entry.amount, 0));
+    const totalRefunded = roundAmount(alreadyRefunded + issuedAmount);
+    const fullyRefunded = totalRefunded >= total;
+    const refundedBy = user ? {
+      userId: mongoose.Types.ObjectId.isValid(user.userId) ? new mongoose.Types.ObjectId(user.userId) : null,
+      username: user.username || null,
+      role: user.role || user.userType || null
+    } : null;
+    // Returned items are recorded once, on the first tender refunded, and only when the whole
+    // refund went through; after a partial failure they can be returned with the next refund
+    const returnedItems = refundError ? [] : refundItems;
+    const refundEntries = issued.map((entry, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      amount: entry.amount,
+      reason: reason || '',
+      method: entry.result.method,
+      tenderId: entry.tender?._id || null,
+      refundId: entry.result.refundId,
+      status: entry.result.status,
+      items: index > 0 ? [] : returnedItems.map(item => ({
+        productId: new mongoose.Types.ObjectId(String(item.productId)),
+        name: item.name,
+        quantity: item.quantity
+      })),
+      refundedBy,
+      shiftId: refundShift?._id || null,
+      createdAt: now
+    }));
+
+    const orderSet = {
+      'orderList.$.payment.status': fullyRefunded ? 'refunded' : 'partially_refunded',
+      'orderList.$.payment.refundAmount': totalRefunded,
+      'orderList.$.updatedAt': now,
+      updatedAt: now
+    };
+    const arrayFilters = [];
+    issued.filter(entry => entry.tender).forEach((entry, index) => {
+      const tenderRefunded = roundAmount((entry.tender.refundedAmount || 0) + entry.amount);
+      orderSet[`orderList.$.payment.tenders.$[t${index}].refundedAmount`] = tenderRefunded;
+      orderSet[`orderList.$.payment.tenders.$[t${index}].status`] = tenderRefunded >= entry.tender.amount ? 'refunded' : 'partially_refunded';
+      arrayFilters.push({ [`t${index}._id`]: entry.tender._id });
+    });
+
+    const result = await collection.findOneAndUpdate(
+      { theater: theaterObjectId, 'orderList._id': orderObjectId },
+      {
+        $set: orderSet,
+        $unset: { 'orderList.$.payment.refundInProgress': '' },
+        $push: { 'orderList.$.payment.refunds': { $each: refundEntries } }
+      },
+      { returnDocument: 'after', ...(arrayFilters.length > 0 && { arrayFilters }) }
+    );
+    const updatedOrder = result.value?.orderList.find(o => String(o._id) === orderId) || null;
+
+    for (const entry of issued.filter(e => e.transaction)) {
+      const { transaction, result: refundResult } = entry;
+      const transactionRefunded = roundAmount((transaction.refund?.amount || 0) + entry.amount);
+      await PaymentTransaction.updateOne({ _id: transaction._id }, {
+        $set: {
+          status: transactionRefunded >= (transaction.amount?.value ?? 0) ? 'refunded' : 'partially_refunded',
+          'refund.amount': transactionRefunded,
+          'refund.status': refundResult.status,
+          'refund.refundId': refundResult.refundId,
+          'refund.reason': reason || '',
+          'refund.initiatedAt': transaction.refund?.initiatedAt || now,
+          'refund.completedAt': refundResult.status === 'processed' ? now : null
+        }
+      });
+    }
+
+    await this._restockRefundItems(theaterId, order, returnedItems, now);
+
+    // Points spent and earned on the order are reversed by the share of it refunded so far
+    await loyaltyService.reverseOrder(theaterId, order, total > 0 ? totalRefunded / total : 1).catch(error =>
+      console.error('Failed to reverse loyalty points:', error.message)
+    );
+
+    const methods = [...new Set(refundEntries.map(entry => entry.method))];
+    eventBus.publish(eventBus.EVENT_TYPES.PAYMENT_REFUNDED, {
+      theaterId,
+      pages: PAYMENT_EVENT_PAGES,
+      data: {
+        orderId,
+        orderNumber: order.orderNumber,
+        amount: issuedAmount,
+        totalRefunded,
+        paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+        method: methods.length === 1 ? methods[0] : 'split'
+      }
+    });
+
+    console.log(`↩️  Refunded ₹${issuedAmount} on order ${order.orderNumber} (${methods.join(' + ')})`);
+
+    if (refundError) {
+      throw serviceError(
+        `Refunded ₹${issuedAmount.toFixed(2)}, but the rest failed: ${refundError.message}`,
+        refundError.statusCode || 502,
+        refundError.code || 'PARTIAL_REFUND'
+      );
+    }
+
+    return {
+      order: updatedOrder,
+      refund: refundEntries[0],
+      refunds: refundEntries,
+      refundable: roundAmount(total - totalRefunded)
+    };
+  }
+
+  /**
+   * Check a refund against the order as read under the refund claim and split it over the tenders
+   * @returns {Promise<Object>} { order, total, alreadyRefunded, refundItems, refundAmount, allocations }
+   */
+  async _prepareRefund(order, amount, items, { user, tenderId }) {
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    const paymentStatus = order.payment?.status;
+    if (!['paid', 'partially_refunded'].includes(paymentStatus)) {
+      throw serviceError('Only paid orders can be refunded', 400, 'ORDER_NOT_PAID');
+    }
+
+    const total = order.pricing?.total ?? order.totalAmount ?? 0;
+    const alreadyRefunded = order.payment?.refundAmount || 0;
+    const refundable = roundAmount(total - alreadyRefunded);
+    if (refundable <= 0) {
+      throw serviceError('Order has already been fully refunded', 400, 'ALREADY_REFUNDED');
+    }
+
+    const refundItems = this._resolveRefundItems(order, items, amount === undefined || amount === null);
+    const refundAmount = amount === undefined || amount === null
+      ? this._itemsRefundValue(order, refundItems, refundable)
+      : roundAmount(Number(amount));
+
+    if (!(refundAmount > 0)) {
+      throw serviceError('Refund amount must be greater than zero', 400, 'INVALID_REFUND_AMOUNT');
+    }
+    if (refundAmount > refundable) {
+      throw serviceError(`Refund amount exceeds the refundable balance of ₹${refundable.toFixed(2)}`, 400, 'REFUND_EXCEEDS_BALANCE');
+    }
+
+    const allocations = this._allocateRefund(order, refundAmount, tenderId);
+    await this._checkRefundLimit(user, refundAmount);
+
+    return { order, total, alreadyRefunded, refundItems, refundAmount, allocations };
+  }
+
+  /**
+   * Split a refund over the order's tenders
+   * With a tender given the whole amount goes back to it; otherwise the last tender paid is refunded
+   * first. Orders without paid tenders (taken before split tenders) are refunded as one payment.
+   * @returns {Array<{tender: Object|null, amount: number}>}
+   */
+  _allocateRefund(order, refundAmount, tenderId) {
+    const tenders = (order.payment?.tenders || [])
+      .filter(tender => ['paid', 'partially_refunded'].includes(tender.status));
+    const tenderRefundable = (tender) => roundAmount(tender.amount - (tender.refundedAmount || 0));
+
+    if (tenders.length === 0) {
+      if (tenderId) {
+        throw serviceError('Tender not found on this order', 404, 'TENDER_NOT_FOUND');
+      }
+      return [{ tender: null, amount: refundAmount }];
+    }
+
+    if (tenderId) {
+      const tender = tenders.find(t => String(t._id) === String(tenderId));
+      if (!tender) {
+        throw serviceError('Tender not found or not paid', 404, 'TENDER_NOT_FOUND');
+      }
+      if (refundAmount > tenderRefundable(tender)) {
+        throw serviceError(`Only ₹${tenderRefundable(tender).toFixed(2)} can go back to the ${tender.method} tender`, 400, 'REFUND_EXCEEDS_TENDER');
+      }
+      return [{ tender, amount: refundAmount }];
+    }
+
+    const allocations = [];
+    let remaining = refundAmount;
+    for (const tender of [...tenders].reverse()) {
+      if (remaining <= 0) break;
+      const amount = roundAmount(Math.min(remaining, tenderRefundable(tender)));
+      if (amount > 0) {
+        allocations.push({ tender, amount });
+        remaining = roundAmount(remaining - amount);
+      }
+    }
+    if (remaining > 0) {
+      throw serviceError('Refund amount exceeds what was paid by tender', 400, 'REFUND_EXCEEDS_BALANCE');
+    }
+    return allocations;
+  }
+
+  /**
+   * Gateway transaction that paid a tender; for orders without tenders, the latest successful one
+   */
+  async _findTenderTransaction(orderObjectId, tender) {
+    if (tender) {
+      return tender.transactionId && mongoose.Types.ObjectId.isValid(tender.transactionId)
+        ? PaymentTransaction.findById(tender.transactionId).maxTimeMS(20000)
+        : null;
+    }
+
+    return PaymentTransaction.findOne({
+      orderId: orderObjectId,
+      status: { $in: ['success', 'partially_refunded'] }
+    }).sort({ createdAt: -1 }).maxTimeMS(20000);
+  }
+
+  /**
+   * Match requested refund items against the order, excluding quantities already refunded
+   * With no items and no amount, everything not yet refunded is returned.
+   */
+  _resolveRefundItems(order, items, defaultToAll) {
+    const orderItems = order.items || [];
+    const refundedQty = {};
+    for (const previous of order.payment?.refunds || []) {
+      for (const item of previous.items || []) {
+        const key = String(item.productId);
+        refundedQty[key] = (refundedQty[key] || 0) + (item.quantity || 0);
+      }
+    }
+
+    const remaining = (orderItem) => {
+      const key = String(orderItem.productId);
+      const sameProductQty = orderItems
+        .filter(i => String(i.productId) === key)
+        .reduce((sum, i) => sum + (i.quantity || 0), 0);
+      return Math.max(0, sameProductQty - (refundedQty[key] || 0));
+    };
+
+    if (!items || items.length === 0) {
+      if (!defaultToAll) return [];
+      const byProduct = new Map();
+      for (const orderItem of orderItems) {
+        if (!byProduct.has(String(orderItem.productId))) {
+          byProduct.set(String(orderItem.productId), orderItem);
+        }
+      }
+      return [...byProduct.values()]
+        .map(i => ({
+          productId: String(i.productId),
+          name: i.name || i.productName,
+          quantity: remaining(i),
+          unitPrice: i.unitPrice ?? i.price ?? 0
+        }))
+        .filter(i => i.quantity > 0);
+    }
+
+    return items.map(item => {
+      const orderItem = orderItems.find(i => String(i.productId) === String(item.productId));
+      if (!orderItem) {
+        throw serviceError(`Product ${item.productId} is not part of this order`, 400, 'INVALID_REFUND_ITEM');
+      }
+
+      const quantity = parseInt(item.quantity, 10);
+      if (!(quantity > 0) || quantity > remaining(orderItem)) {
+        throw serviceError(`Only ${remaining(orderItem)} of ${orderItem.name || orderItem.productName} can be refunded`, 400, 'INVALID_REFUND_QUANTITY');
+      }
+
+      return {
+        productId: String(orderItem.productId),
+        name: orderItem.name || orderItem.productName,
+        quantity,
+        unitPrice: orderItem.unitPrice ?? orderItem.price ?? 0
+      };
+    });
+  }
+
+  /**
+   * Value of returned items including their share of tax/charges, capped at the refundable balance
+   */
+  _itemsRefundValue(order, refundItems, refundable) {
+    const itemsValue = refundItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+    const subtotal = order.pricing?.subtotal || 0;
+    const total = order.pricing?.total ?? order.totalAmount ?? 0;
+    const value = subtotal > 0 ? itemsValue * (total / subtotal) : itemsValue;
+    return Math.min(roundAmount(value), refundable);
+  }
+
+  /**
+   * Enforce the per-role refund limit (Role.refundLimit, null = no limit)
+   */
+  async _checkRefundLimit(user, refundAmount) {
+    if (!user || user.role === 'super_admin' || user.userType === 'super_admin') return;
+
+    const role = await getUserRole(user);
+    if (!role) {
+      throw serviceError('No role assigned', 403, 'NO_ROLE_ASSIGNED');
+    }
+
+    if (role.refundLimit !== null && role.refundLimit !== undefined && refundAmount > role.refundLimit) {
+      throw serviceError(
+        `Refunds above ₹${Number(role.refundLimit).toFixed(2)} need approval from a higher role`,
+        403,
+        'REFUND_LIMIT_EXCEEDED'
+      );
+    }
+  }
+
+  /**
+   * Send the refund to the gateway, or record it as a cash refund
+   */
+  async _issueRefund(transaction, refundAmount, reason, order) {
+    const provider = transaction?.gateway?.provider;
+    if (!transaction || !provider || ['cash', 'manual'].includes(provider)) {
+      return {
+        method: 'cash',
+        refundId: `CASH-${Date.now()}`,
+        status: 'processed'
+      };
+    }
+
+    const { gatewayConfig, adapter } = await this._loadTransactionContext(transaction);
+    if (typeof adapter.refund !== 'function') {
+      throw serviceError(`Refunds are not supported for ${provider}`, 400, 'REFUND_NOT_SUPPORTED');
+    }
+
+    try {
+      const result = await adapter.refund(gatewayConfig, {
+        transaction,
+        amount: Math.round(refundAmount * 100),
+        notes: { orderNumber: order.orderNumber, reason: reason || '' },
+        callbackUrl: `${callbackBaseUrl()}/api/payments/webhook/${provider}/${transaction.theaterId}`
+      });
+      return { method: 'gateway', refundId: result.refundId, status: result.status };
+    } catch (error) {
+      throw serviceError(`Gateway refund failed: ${error.message}`, 502, 'GATEWAY_REFUND_FAILED');
+    }
+  }
+
+  /**
+   * Put refunded items back into stock as RETURNED entries, on the counter or kiosk they were sold
+   * from, and the ingredients their recipes used back into raw material stock. Combos go back as
+   * their components.
+   */
+  async _restockRefundItems(theaterId, order, refundItems, date) {
+    const entries = refundItems.flatMap(item => this._stockItemsForRefund(order, item));
+
+    // Don't fail the refund on any of these - the money has already moved
+    for (const entry of entries) {
+      try {
+        await StockService.addStockEntry(theaterId, entry.productId, {
+          date,
+          type: 'RETURNED',
+          quantity: entry.quantity,
+          notes: `Refund on order ${order.orderNumber}`
+        });
+      } catch (error) {
+        console.error(`❌ Restock failed for product ${entry.productId}:`, error.message);
+      }
+
+      try {
+        await stockLocationService.recordReturn(theaterId, entry.locationId, entry.productId, entry.quantity);
+      } catch (error) {
+        console.error(`❌ Location restock failed for product ${entry.productId}:`, error.message);
+      }
+
+      try {
+        await rawMaterialService.returnForRefund(theaterId, entry.productId, entry.quantity, {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          date
+        });
+      } catch (error) {
+        console.error(`❌ Ingredient return failed for product ${entry.productId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stock products behind a refunded item: the item itself, or the components of a combo
+   * Combo lines with different swaps are used up in order, skipping the quantity earlier refunds
+   * already returned, so each line's components go back at most once.
+   */
+  _stockItemsForRefund(order, refundItem) {
+    const key = String(refundItem.productId);
+    const comboLines = (order.items || []).filter(i =>
+      String(i.productId) === key && i.isCombo && i.comboItems?.length
+    );
+    if (comboLines.length === 0) {
+      const line = (order.items || []).find(i => String(i.productId) === key);
+      return [{ productId: refundItem.productId, quantity: refundItem.quantity, locationId: line?.locationId || null }];
+    }
+
+    let alreadyReturned = (order.payment?.refunds || [])
+      .flatMap(previous => previous.items || [])
+      .filter(item => String(item.productId) === key)
+      .reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+    const components = [];
+    let remaining = refundItem.quantity;
+    for (const line of comboLines) {
+      if (remaining <= 0) break;
+      const skipped = Math.min(alreadyReturned, line.quantity || 0);
+      alreadyReturned -= skipped;
+      const combos = Math.min(remaining, (line.quantity || 0) - skipped);
+      if (combos <= 0) continue;
+      line.comboItems.forEach(component => {
+        components.push({
+          productId: String(component.productId),
+          quantity: component.quantity * combos,
+          locationId: component.locationId || null
+        });
+      });
+      remaining -= combos;
+    }
+    return components;
+  }
+
+  /**
+   * Publish payment.captured for a successful transaction
+   */
+  publishPaymentCaptured(transaction, order = null) {
+    return eventBus.publish(eventBus.EVENT_TYPES.PAYMENT_CAPTURED, {
+      theaterId: transaction.theaterId,
+      pages: PAYMENT_EVENT_PAGES,
+      data: {
+        transactionId: String(transaction._id),
+        orderId: transaction.orderId ? String(transaction.orderId) : null,
+        orderNumber: order?.orderNumber || null,
+        amount: transaction.amount?.value ?? null,
+        currency: transaction.amount?.currency || 'INR',
+        method: transaction.method || null,
+        provider: transaction.gateway?.provider || null,
+        channel: transaction.gateway?.channel || null,
+        paymentId: transaction.gateway?.paymentId || null
+      }
+    });
   }
 
   /**
@@ -0,0 +1,184 @@
+/**
+ * Availability Utility
+ * Schedules that limit when and where a product, or every product in a category, can be ordered.
+ *
+ * A product or category stores its rules in `availability`:
+ *   { days: [0-6], timeRanges: [{ start: 'HH:mm', end: 'HH:mm' }], startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD',
+ *     screens: [screen or QR name], kioskTypes: [kioskTypeId] }
+ * Every part is optional - an empty list or a missing date doesn't restrict anything.
+ * Days (Sunday = 0), times and dates are the theater's wall clock; a time range that ends before it
+ * starts runs past midnight. Screens only apply to orders placed from a screen, and kiosk types only
+ * to kiosks set up for a kiosk type.
+ */
+
+const { serviceError } = require('./serviceError');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const availabilityError = (message) => serviceError(message, 400, 'INVALID_AVAILABILITY');
+
+/**
+ * Read availability from a JSON or multipart body (multipart sends it as a JSON string)
+ * @returns {Object|null|undefined} undefined when the field wasn't sent
+ */
+const parseAvailability = (value) => {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') return value;
+  if (!value.trim()) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw availabilityError('Availability is not valid JSON');
+  }
+};
+
+/**
+ * Whether any part of a set of rules restricts ordering
+ */
+const hasRules = (rules) => Boolean(rules) && (
+  rules.days?.length > 0 ||
+  rules.timeRanges?.length > 0 ||
+  Boolean(rules.startDate) ||
+  Boolean(rules.endDate) ||
+  rules.screens?.length > 0 ||
+  rules.kioskTypes?.length > 0
+);
+
+const uniqueStrings = (values) =>
+  [...new Set((Array.isArray(values) ? values : []).map(value => String(value || '').trim()).filter(Boolean))];
+
+/**
+ * Validate and clean the availability sent by the product or category form
+ * @returns {Object|null} Rules ready to store, or null when nothing is restricted
+ */
+const normalizeAvailability = (rules) => {
+  if (!rules) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    throw availabilityError('Availability must be an object');
+  }
+
+  const days = [...new Set((rules.days || []).map(day => parseInt(day)))].sort((a, b) => a - b);
+  if (days.some(day => Number.isNaN(day) || day < 0 || day > 6)) {
+    throw availabilityError('Days must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const timeRanges = (rules.timeRanges || []).map(range => {
+    const start = String(range?.start || '').trim();
+    const end = String(range?.end || '').trim();
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      throw availabilityError('Times must be in HH:mm format');
+    }
+    if (start === end) {
+      throw availabilityError(`Time range ${start}-${end} needs a different start and end`);
+    }
+    return { start, end };
+  });
+
+  const startDate = rules.startDate ? String(rules.startDate).trim() : null;
+  const endDate = rules.endDate ? String(rules.endDate).trim() : null;
+  if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+    throw availabilityError('Dates must be in YYYY-MM-DD format');
+  }
+  if (startDate && endDate && startDate > endDate) {
+    throw availabilityError('The end date must be on or after the start date');
+  }
+
+  const kioskTypes = uniqueStrings(rules.kioskTypes);
+  if (kioskTypes.some(id => !OBJECT_ID_PATTERN.test(id))) {
+    throw availabilityError('Kiosk types must be kiosk type IDs');
+  }
+
+  const normalized = {
+    days,
+    timeRanges,
+    startDate,
+    endDate,
+    screens: uniqueStrings(rules.screens),
+    kioskTypes
+  };
+  return hasRules(normalized) ? normalized : null;
+};
+
+/**
+ * Day of week, time and date on the theater's wall clock
+ * @returns {Object} { day: 0-6, time: 'HH:mm', date: 'YYYY-MM-DD' }
+ */
+const wallClock = (now = new Date(), timeZone = 'Asia/Kolkata') => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday),
+    time: `${parts.hour}:${parts.minute}`,
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+const inTimeRange = (time, { start, end }) =>
+  start < end ? time >= start && time < end : time >= start || time < end;
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Why a set of rules doesn't allow ordering right now, for the customer or cashier
+ * @param {Object} context - { now, timeZone, screen, qrName, kioskType }
+ * @returns {string|null} null when the rules allow it
+ */
+const getUnavailableReason = (rules, { now = new Date(), timeZone = 'Asia/Kolkata', screen, qrName, kioskType } = {}) => {
+  if (!hasRules(rules)) return null;
+  const clock = wallClock(now, timeZone);
+
+  if (rules.startDate && clock.date < rules.startDate) {
+    return `Available from ${rules.startDate}`;
+  }
+  if (rules.endDate && clock.date > rules.endDate) {
+    return 'No longer available';
+  }
+  if (rules.days?.length > 0 && !rules.days.includes(clock.day)) {
+    return `Available on ${rules.days.map(day => DAY_NAMES[day]).join(', ')}`;
+  }
+  if (rules.timeRanges?.length > 0 && !rules.timeRanges.some(range => inTimeRange(clock.time, range))) {
+    return `Available ${rules.timeRanges.map(range => `${range.start}-${range.end}`).join(', ')}`;
+  }
+  if (rules.screens?.length > 0 && (screen || qrName) &&
+      !rules.screens.some(name => sameName(name, screen) || sameName(name, qrName))) {
+    return 'Not available on this screen';
+  }
+  if (rules.kioskTypes?.length > 0 && kioskType &&
+      !rules.kioskTypes.some(id => String(id) === String(kioskType))) {
+    return 'Not available at this kiosk';
+  }
+  return null;
+};
+
+/**
+ * Whether a product can be ordered now, checking its category's rules and then its own
+ * @param {Object|null} category - The product's category, if known
+ * @returns {Object} { isAvailableNow, availabilityReason }
+ */
+const checkAvailability = (product, category, context = {}) => {
+  const reason = getUnavailableReason(category?.availability, context) ||
+    getUnavailableReason(product?.availability, context);
+  return { isAvailableNow: !reason, availabilityReason: reason };
+};
+
+module.exports = {
+  parseAvailability,
+  normalizeAvailability,
+  hasRules,
+  wallClock,
+  getUnavailableReason,
+  checkAvailability
+};
@@ -0,0 +1,119 @@
+/**
+ * Combo Utility
+ * Helpers for combo products - products sold as a bundle of other products.
+ *
+ * A combo stores its components as comboItems: [{ productId, quantity, swapOptions: [productId] }].
+ * Each entry is a "slot": the customer gets `quantity` of `productId`, or of one of its swap options.
+ */
+
+const { serviceError } = require('./serviceError');
+
+const isCombo = (product) => Boolean(product?.isCombo && Array.isArray(product.comboItems) && product.comboItems.length > 0);
+
+/**
+ * Map of product id → product for a theater's product list
+ */
+const buildProductMap = (productList = []) => new Map(productList.map(p => [String(p._id), p]));
+
+/**
+ * Products a slot can be filled with: the default component first, then its swap options
+ */
+const getSlotOptions = (comboItem) => [
+  String(comboItem.productId),
+  ...(comboItem.swapOptions || []).map(String).filter(id => id !== String(comboItem.productId))
+];
+
+/**
+ * Units of a component product on hand; null when the product doesn't track stock
+ */
+const getComponentStock = (product) => {
+  if (!product || product.isActive === false || product.isAvailable === false) return 0;
+  if (product.inventory?.trackStock === false) return null;
+  return Math.max(0, product.inventory?.currentStock ?? product.stockQuantity ?? 0);
+};
+
+/**
+ * How many of a combo can be sold from component stock
+ * A slot is as available as its best-stocked option; the combo is limited by its scarcest slot.
+ * @returns {number|null} null when no component tracks stock
+ */
+const getComboStock = (combo, productMap) => {
+  let comboStock = null;
+
+  for (const comboItem of combo.comboItems || []) {
+    const quantity = comboItem.quantity || 1;
+    let slotStock = 0;
+    let slotUnlimited = false;
+
+    for (const optionId of getSlotOptions(comboItem)) {
+      const stock = getComponentStock(productMap.get(optionId));
+      if (stock === null) {
+        slotUnlimited = true;
+        break;
+      }
+      slotStock = Math.max(slotStock, Math.floor(stock / quantity));
+    }
+
+    if (!slotUnlimited) {
+      comboStock = comboStock === null ? slotStock : Math.min(comboStock, slotStock);
+    }
+  }
+
+  return comboStock;
+};
+
+/**
+ * Combo items with component names, for display and the swap picker
+ */
+const describeComboItems = (combo, productMap) => (combo.comboItems || []).map(comboItem => {
+  const product = productMap.get(String(comboItem.productId));
+  return {
+    productId: comboItem.productId,
+    productName: product?.name || 'Unavailable item',
+    quantity: comboItem.quantity || 1,
+    swapOptions: (comboItem.swapOptions || [])
+      .map(optionId => productMap.get(String(optionId)))
+      .filter(Boolean)
+      .map(option => ({
+        productId: option._id,
+        productName: option.name,
+        isAvailable: getComponentStock(option) !== 0
+      }))
+  };
+});
+
+/**
+ * Work out which products an ordered combo is made of
+ * @param {Array} selections - [{ slot, productId }] swaps chosen by the customer; unset slots use the default
+ * @returns {Array} [{ productId, productName, quantity }] per combo, one entry per slot
+ */
+const resolveComboComponents = (combo, productMap, selections = []) => {
+  return (combo.comboItems || []).map((comboItem, slot) => {
+    const selection = (selections || []).find(s => Number(s.slot) === slot);
+    const chosenId = selection?.productId ? String(selection.productId) : String(comboItem.productId);
+
+    if (!getSlotOptions(comboItem).includes(chosenId)) {
+      throw serviceError(`${combo.name} does not offer that choice`, 400, 'INVALID_COMBO_SELECTION');
+    }
+
+    const product = productMap.get(chosenId);
+    if (!product) {
+      throw serviceError(`An item in ${combo.name} is no longer available`, 400, 'COMBO_COMPONENT_UNAVAILABLE');
+    }
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      quantity: comboItem.quantity || 1
+    };
+  });
+};
+
+module.exports = {
+  isCombo,
+  buildProductMap,
+  getComponentStock,
+  getComboStock,
+  describeComboItems,
+  resolveComboComponents
+};
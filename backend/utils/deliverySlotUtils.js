@@ -0,0 +1,101 @@
+/**
+ * Delivery slot helpers for scheduled seat orders
+ * A seat order can be delivered now, at the screen's interval or at a chosen time. Scheduled
+ * orders stay off the kitchen display until the theater's lead time before the slot.
+ */
+
+const MINUTE = 60 * 1000;
+
+const DELIVERY_SLOT_TYPES = ['now', 'interval', 'time'];
+
+// Minutes before the slot a scheduled order reaches the kitchen
+const DEFAULT_PRE_ORDER_LEAD_MINUTES = 15;
+
+// How far ahead a seat order can be scheduled
+const MAX_SLOT_AHEAD_HOURS = 24;
+
+// Minutes after the target time a delivery still counts as on time
+const ON_TIME_GRACE_MINUTES = 5;
+
+/**
+ * Whether a requested slot is for later rather than now
+ */
+const isScheduledSlot = (slot) => Boolean(slot && slot.type && slot.type !== 'now');
+
+/**
+ * Slot stored on the order
+ * Orders whose lead time has already begun are released straight away.
+ * @param {Object} options - { type, targetTime, show, leadMinutes, now }
+ */
+const buildDeliverySlot = ({ type, targetTime, show = null, leadMinutes = DEFAULT_PRE_ORDER_LEAD_MINUTES, now = new Date() }) => {
+  const target = new Date(targetTime);
+  const releaseAt = new Date(Math.max(target.getTime() - leadMinutes * MINUTE, now.getTime()));
+  return {
+    type,
+    targetTime: target,
+    showtimeId: show?._id || null,
+    movieTitle: show?.movieTitle || null,
+    leadMinutes,
+    releaseAt,
+    releasedAt: releaseAt.getTime() <= now.getTime() ? now : null
+  };
+};
+
+/**
+ * Whether a scheduled order is still waiting for its lead time
+ */
+const isHeld = (order, now = new Date()) =>
+  Boolean(order.deliverySlot?.releaseAt) && new Date(order.deliverySlot.releaseAt).getTime() > now.getTime();
+
+/**
+ * Whether a scheduled order's lead time has come but it hasn't been announced to the kitchen yet
+ */
+const isDueForRelease = (order, now = new Date()) =>
+  Boolean(order.deliverySlot?.releaseAt) && !order.deliverySlot.releasedAt && !isHeld(order, now);
+
+/**
+ * When a scheduled order reached the seat (or was completed), or null
+ */
+const deliveredAt = (order) => order.timestamps?.servedAt || order.timestamps?.completedAt || null;
+
+/**
+ * Whether a delivered scheduled order arrived by its target time (plus the grace minutes)
+ */
+const isOnTime = (order, graceMinutes = ON_TIME_GRACE_MINUTES) =>
+  new Date(deliveredAt(order)).getTime() <= new Date(order.deliverySlot.targetTime).getTime() + graceMinutes * MINUTE;
+
+/**
+ * On-time delivery of scheduled seat orders
+ * @param {Array} orders - Delivered orders with a deliverySlot target time
+ * @returns {Object} { scheduled, onTime, late, onTimeRate, avgLateMinutes }
+ */
+const onTimeSummary = (orders = [], graceMinutes = ON_TIME_GRACE_MINUTES) => {
+  const lateMs = orders
+    .filter(order => !isOnTime(order, graceMinutes))
+    .map(order => new Date(deliveredAt(order)).getTime() - new Date(order.deliverySlot.targetTime).getTime());
+  const onTime = orders.length - lateMs.length;
+
+  return {
+    scheduled: orders.length,
+    onTime,
+    late: lateMs.length,
+    onTimeRate: orders.length > 0 ? Math.round((onTime / orders.length) * 1000) / 10 : null,
+    avgLateMinutes: lateMs.length > 0
+      ? Math.round(lateMs.reduce((sum, ms) => sum + ms, 0) / lateMs.length / 6000) / 10
+      : 0
+  };
+};
+
+module.exports = {
+  DELIVERY_SLOT_TYPES,
+  DEFAULT_PRE_ORDER_LEAD_MINUTES,
+  MAX_SLOT_AHEAD_HOURS,
+  ON_TIME_GRACE_MINUTES,
+  isScheduledSlot,
+  buildDeliverySlot,
+  isHeld,
+  isDueForRelease,
+  deliveredAt,
+  isOnTime,
+  onTimeSummary
+};
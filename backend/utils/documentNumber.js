@@ -0,0 +1,36 @@
+/**
+ * Document Number Utility
+ * Day-sequenced numbers for a theater's documents - purchase orders, receipts, transfers,
+ * stock counts and shifts - e.g. PO-20240115-003. Each model keeps a unique index on
+ * { theaterId, <number field> }, so two requests can't save the same number.
+ */
+
+/**
+ * Next document number for the day, e.g. PO-20240115-003
+ */
+const nextNumber = async (model, field, prefix, theaterId, date = new Date()) => {
+  const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  const dayPrefix = `${prefix}-${day}-`;
+  const count = await model.countDocuments({
+    theaterId,
+    [field]: { $regex: `^${dayPrefix}` }
+  });
+  return `${dayPrefix}${String(count + 1).padStart(3, '0')}`;
+};
+
+/**
+ * Save a document numbered with nextNumber, retrying if another request took the number first
+ */
+const createNumbered = async (model, field, prefix, data) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const number = await nextNumber(model, field, prefix, data.theaterId);
+    try {
+      return await model.create({ ...data, [field]: number });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) throw error;
+    }
+  }
+  return null;
+};
+
+module.exports = { nextNumber, createNumbered };
@@ -8,6 +8,13 @@ const nodemailer = require('nodemailer');
 const ExcelJS = require('exceljs');
 const { getTheaterEmailAddresses } = require('./stockEmailHelper');
 
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Get SMTP configuration from database
  */
@@ -769,6 +776,86 @@ async function sendExpiredStockNotification(theater, products) {
   }
 }
 
+/**
+ * Send low feedback score alert email
+ */
+async function sendFeedbackAlert(theater, feedback) {
+  try {
+    // Get email addresses from email notification endpoint
+    const emailAddresses = await getTheaterEmailAddresses(theater._id || theater);
+    
+    if (!emailAddresses || emailAddresses.length === 0) {
+      console.warn(`⚠️  Theater ${theater.name} has no active email notifications configured. Skipping feedback alert.`);
+      return { success: false, error: 'No active email notifications configured for theater' };
+    }
+    
+    const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+    const tags = (feedback.tags || []).map(tag => tag.replace(/_/g, ' '));
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .header { background-color: #EF4444; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; }
+          .alert { background-color: #FEE2E2; border-left: 4px solid #EF4444; padding: 15px; margin: 20px 0; }
+          .product-list { margin: 20px 0; }
+          .product-item { padding: 10px; border-bottom: 1px solid #ddd; }
+          .stars { color: #F59E0B; letter-spacing: 2px; }
+          .footer { background-color: #F3F4F6; padding: 15px; text-align: center; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>👎 Low Feedback Score</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${escapeHtml(theater.name)} Team,</p>
+          
+          <div class="alert">
+            <strong>Order ${escapeHtml(feedback.orderNumber)}</strong> was rated
+            <span class="stars">${stars(feedback.serviceRating)}</span> for service.
+            ${tags.length > 0 ? `<br>Issues: ${escapeHtml(tags.join(', '))}` : ''}
+          </div>
+          
+          ${feedback.comment ? `<p><strong>Comment:</strong> "${escapeHtml(feedback.comment)}"</p>` : ''}
+          
+          ${feedback.items?.length > 0 ? `
+          <h3>Item Ratings:</h3>
+          <div class="product-list">
+            ${feedback.items.map(item => `
+              <div class="product-item">
+                <strong>${escapeHtml(item.productName)}</strong>
+                <span class="stars">${stars(item.rating)}</span>
+              </div>
+            `).join('')}
+          </div>
+          ` : ''}
+          
+          <p>Customer phone: ${escapeHtml(feedback.phoneNumber)}</p>
+          
+          <p>Best regards,<br>YQPayNow System</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated notification. Please do not reply to this email.</p>
+        </div>
+      </body>
+      </html>
+    `;
+    
+    return await sendEmail({
+      to: emailAddresses,
+      subject: `👎 Low Feedback Score - ${theater.name} - ${feedback.orderNumber}`,
+      html
+    });
+  } catch (error) {
+    console.error('❌ Error sending feedback alert:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   sendStockExpirationWarning,
   sendLowStockAlert,
@@ -776,6 +863,7 @@ module.exports = {
   sendDailySalesReport,
   sendDailyStockReport,
   sendExpiredStockNotification,
+  sendFeedbackAlert,
   getSMTPConfig,
   createTransporter
 };
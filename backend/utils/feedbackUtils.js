@@ -0,0 +1,55 @@
+/**
+ * Order feedback helpers
+ * Customers rate an order once it has been served or completed: the service, each product, and
+ * optionally what went wrong. Low scores are emailed to the theater.
+ */
+
+// Order statuses a customer can leave feedback in
+const FEEDBACK_STATUSES = ['served', 'completed'];
+
+// What can go wrong with an order
+const FEEDBACK_TAGS = ['cold', 'late', 'wrong_item', 'missing_item', 'poor_quality', 'spilled'];
+
+// Ratings at or below this are low scores
+const LOW_SCORE_THRESHOLD = 2;
+
+const roundRating = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Whether the service or any item was rated at or below the threshold
+ */
+const isLowScore = ({ serviceRating, items = [] }) =>
+  serviceRating <= LOW_SCORE_THRESHOLD || items.some(item => item.rating <= LOW_SCORE_THRESHOLD);
+
+/**
+ * Match the rated items to the order's lines
+ * Ratings for products not in the order are dropped, and a product ordered on several lines is rated once.
+ * @returns {Array} [{ productId, productName, rating }]
+ */
+const matchRatedItems = (order, ratings = []) => {
+  const orderProducts = new Map();
+  for (const item of order.items || []) {
+    const productId = String(item.productId || item.product || '');
+    if (productId && !orderProducts.has(productId)) {
+      orderProducts.set(productId, item.productName || item.name || '');
+    }
+  }
+
+  const rated = new Map();
+  for (const { productId, rating } of ratings) {
+    const id = String(productId);
+    if (orderProducts.has(id)) {
+      rated.set(id, { productId: id, productName: orderProducts.get(id), rating });
+    }
+  }
+  return [...rated.values()];
+};
+
+module.exports = {
+  FEEDBACK_STATUSES,
+  FEEDBACK_TAGS,
+  LOW_SCORE_THRESHOLD,
+  roundRating,
+  isLowScore,
+  matchRatedItems
+};
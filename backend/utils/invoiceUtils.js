@@ -0,0 +1,127 @@
+/**
+ * Invoice Utility
+ * Helpers for GST tax invoices - financial years, invoice numbers, place of supply and amounts in words.
+ *
+ * Invoices are numbered per theater per financial year (April - March, Indian time):
+ *   INV/24-25/00001, INV/24-25/00002, ...
+ * The last number issued is kept on the theater's orders document in invoiceCounters, keyed like FY2024_25.
+ */
+
+const INVOICE_PREFIX = 'INV';
+const IST_OFFSET_MINUTES = 330;
+
+// GST state codes - the first two digits of a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+/**
+ * Financial year a date falls in
+ * @returns {Object} { key: 'FY2024_25' (counter key), label: '24-25' (printed in the number) }
+ */
+const getFinancialYear = (date = new Date()) => {
+  const local = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  const endYear = String(startYear + 1).slice(-2);
+  return {
+    key: `FY${startYear}_${endYear}`,
+    label: `${String(startYear).slice(-2)}-${endYear}`
+  };
+};
+
+const formatInvoiceNumber = (label, sequence) =>
+  `${INVOICE_PREFIX}/${label}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Aggregation expression building the same number as formatInvoiceNumber from a counter field,
+ * so the number can be assigned inside the update that increments the counter
+ * @param {string} label - Financial year label
+ * @param {string} counterPath - e.g. '$invoiceCounters.FY2024_25'
+ */
+const invoiceNumberExpression = (label, counterPath) => ({
+  $concat: [
+    `${INVOICE_PREFIX}/${label}/`,
+    {
+      $cond: [
+        { $lt: [counterPath, 100000] },
+        { $substrCP: [{ $toString: { $add: [counterPath, 100000] } }, 1, 5] },
+        { $toString: counterPath }
+      ]
+    }
+  ]
+});
+
+const getStateCode = (gstin) => {
+  const code = String(gstin || '').trim().slice(0, 2);
+  return GST_STATE_CODES[code] ? code : null;
+};
+
+/**
+ * Whether a sale is to another state (IGST) rather than within the theater's state (CGST + SGST)
+ * Only a buyer GSTIN from a different state makes it inter-state; sales to consumers are local.
+ */
+const isInterState = (theaterGstin, buyerGstin) => {
+  const theaterState = getStateCode(theaterGstin);
+  const buyerState = getStateCode(buyerGstin);
+  return Boolean(theaterState && buyerState && theaterState !== buyerState);
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Write a whole number in words the Indian way (thousand, lakh, crore)
+ */
+const numberToWords = (value) => {
+  let n = Math.floor(value);
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n) parts.push(belowThousand(n));
+  return parts.join(' ');
+};
+
+/**
+ * Invoice amount in words, e.g. "Rupees One Hundred Eighteen and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  return `Rupees ${numberToWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  getFinancialYear,
+  formatInvoiceNumber,
+  invoiceNumberExpression,
+  getStateCode,
+  isInterState,
+  amountInWords
+};
@@ -107,6 +107,50 @@ async function checkAndNotifyLowStock(theaterId, productId, currentStock) {
   }
 }
 
+/**
+ * Check a raw material after its stock went down and send an alert when it is at or below its minimum
+ * @param {string} theaterId - Theater ID
+ * @param {Object} rawMaterial - RawMaterial document after the change
+ * @returns {Promise<boolean>} - Returns true if notification was sent
+ */
+async function checkAndNotifyLowRawMaterial(theaterId, rawMaterial) {
+  try {
+    if (!rawMaterial.minStock || rawMaterial.currentStock > rawMaterial.minStock) {
+      return false;
+    }
+
+    const notificationKey = `${theaterId}_raw_${rawMaterial._id}`;
+    const lastNotification = recentNotifications.get(notificationKey);
+    const fourHoursAgo = Date.now() - (4 * 60 * 60 * 1000);
+
+    if (lastNotification && lastNotification > fourHoursAgo) {
+      return false;
+    }
+
+    const theater = await Theater.findById(theaterId).select('name email');
+    if (!theater || !theater.email) {
+      return false;
+    }
+
+    console.log(`📧 Sending low ingredient alert for ${rawMaterial.name} (Stock: ${rawMaterial.currentStock}${rawMaterial.unit}, Threshold: ${rawMaterial.minStock}${rawMaterial.unit})`);
+    const result = await sendLowStockAlert(theater, [{
+      productName: `${rawMaterial.name} (${rawMaterial.unit})`,
+      balance: Math.max(0, rawMaterial.currentStock),
+      lowStockAlert: rawMaterial.minStock
+    }]);
+
+    if (result.success) {
+      recentNotifications.set(notificationKey, Date.now());
+      return true;
+    }
+
+    return false;
+  } catch (error) {
+    console.error('❌ Error checking low raw material stock:', error);
+    return false;
+  }
+}
+
 /**
  * Check low stock for multiple products (batch check)
  * @param {string} theaterId - Theater ID
@@ -127,6 +171,7 @@ async function checkLowStockBatch(theaterId, products) {
 
 module.exports = {
   checkAndNotifyLowStock,
+  checkAndNotifyLowRawMaterial,
   checkLowStockBatch
 };
 
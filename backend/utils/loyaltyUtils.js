@@ -0,0 +1,154 @@
+/**
+ * Loyalty points helpers
+ * A loyalty program covers one theater or a chain of theaters; customers, identified by phone
+ * number, share one points balance across every theater in the program.
+ *
+ * Points are earned per rupee paid, times the customer's tier multiplier. The tier comes from the
+ * points earned over the last TIER_WINDOW_MONTHS. Each earn entry expires `expiryMonths` after it
+ * was earned, and redemptions use up the entries that expire first.
+ */
+
+const { roundAmount } = require('./money');
+
+// How far back earned points count towards the tier
+const TIER_WINDOW_MONTHS = 12;
+
+const DEFAULT_TIERS = [
+  { name: 'member', minPoints: 0, multiplier: 1 },
+  { name: 'silver', minPoints: 1000, multiplier: 1.25 },
+  { name: 'gold', minPoints: 5000, multiplier: 1.5 }
+];
+
+const DEFAULT_LOYALTY_RULES = {
+  earnPointsPerRupee: 0.1, // 1 point per ₹10 paid
+  pointValue: 0.25, // ₹ off per point redeemed
+  minRedeemPoints: 100,
+  maxRedeemPercent: 50, // Share of the order total points can pay
+  expiryMonths: 12,
+  tiers: DEFAULT_TIERS
+};
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Fill in missing rules with the defaults and sort tiers from lowest to highest
+ */
+const normalizeLoyaltyRules = (rules = {}) => {
+  const tiers = Array.isArray(rules.tiers) && rules.tiers.length > 0 ? rules.tiers : DEFAULT_TIERS;
+  return {
+    earnPointsPerRupee: toNumber(rules.earnPointsPerRupee, DEFAULT_LOYALTY_RULES.earnPointsPerRupee),
+    pointValue: toNumber(rules.pointValue, DEFAULT_LOYALTY_RULES.pointValue),
+    minRedeemPoints: Math.floor(toNumber(rules.minRedeemPoints, DEFAULT_LOYALTY_RULES.minRedeemPoints)),
+    maxRedeemPercent: toNumber(rules.maxRedeemPercent, DEFAULT_LOYALTY_RULES.maxRedeemPercent),
+    expiryMonths: Math.floor(toNumber(rules.expiryMonths, DEFAULT_LOYALTY_RULES.expiryMonths)),
+    tiers: tiers
+      .map(tier => ({
+        name: String(tier.name).trim().toLowerCase(),
+        minPoints: Math.floor(toNumber(tier.minPoints, 0)),
+        multiplier: toNumber(tier.multiplier, 1)
+      }))
+      .sort((a, b) => a.minPoints - b.minPoints)
+  };
+};
+
+/**
+ * Tier for the points earned in the tier window, and the tier after it
+ * @returns {Object} { tier, nextTier, pointsToNextTier } - nextTier is null at the top tier
+ */
+const resolveTier = (rules, qualifyingPoints) => {
+  const { tiers } = normalizeLoyaltyRules(rules);
+  let index = 0;
+  tiers.forEach((tier, position) => {
+    if (qualifyingPoints >= tier.minPoints) index = position;
+  });
+  const nextTier = tiers[index + 1] || null;
+  return {
+    tier: tiers[index],
+    nextTier,
+    pointsToNextTier: nextTier ? Math.max(0, nextTier.minPoints - qualifyingPoints) : 0
+  };
+};
+
+/**
+ * Whole points earned on an amount paid
+ */
+const pointsForAmount = (amount, rules, multiplier = 1) => {
+  const { earnPointsPerRupee } = normalizeLoyaltyRules(rules);
+  return Math.max(0, Math.floor(roundAmount((parseFloat(amount) || 0) * earnPointsPerRupee * multiplier)));
+};
+
+/**
+ * Rupee value of a number of points
+ */
+const pointsValue = (points, rules) => roundAmount(points * normalizeLoyaltyRules(rules).pointValue);
+
+/**
+ * Most points that can go towards an order, given the balance and the program's cap
+ */
+const maxRedeemablePoints = (rules, orderTotal, balance) => {
+  const { pointValue, maxRedeemPercent } = normalizeLoyaltyRules(rules);
+  if (!(pointValue > 0)) return 0;
+  const capPoints = Math.floor(roundAmount((orderTotal * maxRedeemPercent / 100) / pointValue));
+  return Math.max(0, Math.min(Math.floor(balance), capPoints));
+};
+
+/**
+ * When points earned now expire (null when they never do)
+ */
+const getExpiryDate = (rules, earnedAt = new Date()) => {
+  const { expiryMonths } = normalizeLoyaltyRules(rules);
+  if (!(expiryMonths > 0)) return null;
+  const expiresAt = new Date(earnedAt);
+  expiresAt.setMonth(expiresAt.getMonth() + expiryMonths);
+  return expiresAt;
+};
+
+/**
+ * Start of the window whose earned points count towards the tier
+ */
+const getTierWindowStart = (now = new Date()) => {
+  const start = new Date(now);
+  start.setMonth(start.getMonth() - TIER_WINDOW_MONTHS);
+  return start;
+};
+
+/**
+ * Take points from earn entries, those expiring first before the rest
+ * @param {Array} entries - Earn entries with points left: [{ _id, remaining, expiresAt }]
+ * @returns {Array|null} [{ entryId, points }], or null when the entries don't hold enough points
+ */
+const allocateRedemption = (entries, points) => {
+  const ordered = [...entries].sort((a, b) => {
+    const aExpiry = a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity;
+    const bExpiry = b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity;
+    return aExpiry - bExpiry || new Date(a.createdAt) - new Date(b.createdAt);
+  });
+
+  const allocations = [];
+  let needed = points;
+  for (const entry of ordered) {
+    if (needed <= 0) break;
+    const take = Math.min(entry.remaining, needed);
+    if (take > 0) {
+      allocations.push({ entryId: entry._id, points: take });
+      needed -= take;
+    }
+  }
+  return needed > 0 ? null : allocations;
+};
+
+module.exports = {
+  TIER_WINDOW_MONTHS,
+  DEFAULT_LOYALTY_RULES,
+  normalizeLoyaltyRules,
+  resolveTier,
+  pointsForAmount,
+  pointsValue,
+  maxRedeemablePoints,
+  getExpiryDate,
+  getTierWindowStart,
+  allocateRedemption
+};
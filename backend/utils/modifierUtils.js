@@ -0,0 +1,141 @@
+/**
+ * Modifier Utility
+ * Helpers for product modifiers - option groups such as size, extra cheese or caramel vs salted.
+ *
+ * A product stores its groups in `variants`:
+ *   [{ name, required, minSelections, maxSelections, options: [{ label, price, isAvailable }] }]
+ * maxSelections of 0 means "any number". An order item keeps what was picked as
+ *   variants: [{ name, option, price }]
+ */
+
+const { serviceError } = require('./serviceError');
+
+const modifierError = (message, code) => serviceError(message, 400, code);
+
+const hasModifiers = (product) =>
+  Array.isArray(product?.variants) && product.variants.some(group => group.options?.length > 0);
+
+/**
+ * How many options a customer must / may pick from a group
+ */
+const getSelectionLimits = (group) => {
+  const min = Math.max(group.required ? 1 : 0, parseInt(group.minSelections) || 0);
+  const max = parseInt(group.maxSelections) || group.options.length;
+  return { min, max };
+};
+
+/**
+ * Validate and clean modifier groups sent by the product form
+ * @param {Array} groups - [{ name, required, minSelections, maxSelections, options: [{ label, price, isAvailable }] }]
+ * @returns {Array} Groups ready to store on the product
+ */
+const normalizeModifierGroups = (groups) => {
+  if (!Array.isArray(groups)) {
+    throw modifierError('Modifier groups must be a list', 'INVALID_MODIFIERS');
+  }
+
+  const groupNames = new Set();
+  return groups.map(group => {
+    const name = String(group?.name || '').trim();
+    if (!name) {
+      throw modifierError('Every modifier group needs a name', 'INVALID_MODIFIERS');
+    }
+    if (groupNames.has(name.toLowerCase())) {
+      throw modifierError(`Modifier group "${name}" is listed twice`, 'INVALID_MODIFIERS');
+    }
+    groupNames.add(name.toLowerCase());
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw modifierError(`Modifier group "${name}" needs at least one option`, 'INVALID_MODIFIERS');
+    }
+
+    const labels = new Set();
+    const options = group.options.map(option => {
+      const label = String(option?.label || '').trim();
+      const price = parseFloat(option?.price) || 0;
+      if (!label) {
+        throw modifierError(`Every option in "${name}" needs a label`, 'INVALID_MODIFIERS');
+      }
+      if (labels.has(label.toLowerCase())) {
+        throw modifierError(`Option "${label}" is listed twice in "${name}"`, 'INVALID_MODIFIERS');
+      }
+      if (price < 0) {
+        throw modifierError(`Price for "${label}" cannot be negative`, 'INVALID_MODIFIERS');
+      }
+      labels.add(label.toLowerCase());
+      return { label, price, isAvailable: option.isAvailable !== false };
+    });
+
+    const normalized = {
+      name,
+      required: group.required === true || group.required === 'true',
+      minSelections: Math.max(0, parseInt(group.minSelections) || 0),
+      maxSelections: Math.max(0, parseInt(group.maxSelections) || 0),
+      options
+    };
+
+    const { min, max } = getSelectionLimits(normalized);
+    if (min > options.length || min > max) {
+      throw modifierError(`Selection limits for "${name}" cannot be met`, 'INVALID_MODIFIERS');
+    }
+
+    return normalized;
+  });
+};
+
+/**
+ * Check a customer's picks against the product's groups and price them
+ * @param {Object} product - Product from the product list
+ * @param {Array} selections - [{ name, option }]
+ * @returns {Array} [{ name, option, price }] in the product's group order
+ */
+const resolveModifiers = (product, selections = []) => {
+  const groups = hasModifiers(product) ? product.variants : [];
+  const picks = Array.isArray(selections) ? selections : [];
+
+  for (const pick of picks) {
+    if (!groups.some(group => group.name === pick?.name)) {
+      throw modifierError(`${product.name} has no "${pick?.name}" option`, 'INVALID_MODIFIER_SELECTION');
+    }
+  }
+
+  return groups.flatMap(group => {
+    const chosen = [...new Set(picks.filter(pick => pick.name === group.name).map(pick => pick.option))];
+    const { min, max } = getSelectionLimits(group);
+
+    if (chosen.length < min) {
+      throw modifierError(
+        min === 1 ? `Choose a ${group.name} for ${product.name}` : `Choose at least ${min} ${group.name} for ${product.name}`,
+        'INVALID_MODIFIER_SELECTION'
+      );
+    }
+    if (chosen.length > max) {
+      throw modifierError(`Choose at most ${max} ${group.name} for ${product.name}`, 'INVALID_MODIFIER_SELECTION');
+    }
+
+    return chosen.map(label => {
+      const option = group.options.find(o => o.label === label);
+      if (!option) {
+        throw modifierError(`"${label}" is not a ${group.name} option for ${product.name}`, 'INVALID_MODIFIER_SELECTION');
+      }
+      if (option.isAvailable === false) {
+        throw modifierError(`${label} is not available right now`, 'MODIFIER_UNAVAILABLE');
+      }
+      return { name: group.name, option: option.label, price: parseFloat(option.price) || 0 };
+    });
+  });
+};
+
+/**
+ * Extra charge per unit for the picked modifiers
+ */
+const getModifierTotal = (modifiers = []) =>
+  modifiers.reduce((sum, modifier) => sum + (parseFloat(modifier.price) || 0), 0);
+
+module.exports = {
+  modifierError,
+  hasModifiers,
+  normalizeModifierGroups,
+  resolveModifiers,
+  getModifierTotal
+};
@@ -0,0 +1,8 @@
+/**
+ * Money Utility
+ * Amounts are rupees held as numbers, rounded to paise after every calculation.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+module.exports = { roundAmount };
@@ -4,16 +4,38 @@
  * Mirrors frontend logic for consistency
  */
 
+const { roundAmount } = require('./money');
+
+/**
+ * Split a tax amount into CGST + SGST (supply within the state) or IGST (supply to another state)
+ * CGST takes the rounded half; SGST the rest, so the parts always add up to the tax.
+ */
+const splitTax = (taxAmount, interState) => {
+  const tax = roundAmount(taxAmount);
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundAmount(tax / 2);
+  return { cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+};
+
 /**
  * Calculate order totals with dynamic GST and discount handling
  * @param {Array} orderItems - Array of order items with product data
- * @returns {Object} Object containing subtotal, tax, total, and totalDiscount
+ *   (an item may carry couponDiscount: its share of an order coupon, as an amount)
+ * @param {Object} options - { interState: tax as IGST instead of CGST + SGST,
+ *   loyaltyDiscount: value of loyalty points redeemed - paid off the total after tax, so the tax is unchanged }
+ * @returns {Object} Object containing subtotal, tax, total, totalDiscount, couponDiscount and loyaltyDiscount,
+ *   the tax split (taxableValue, cgst, sgst, igst) and taxLines: the same per item, in item order
  */
-const calculateOrderTotals = (orderItems = []) => {
+const calculateOrderTotals = (orderItems = [], { interState = false, loyaltyDiscount = 0 } = {}) => {
   let calculatedSubtotal = 0; // Original prices (before discount)
   let calculatedTax = 0;
   let calculatedDiscount = 0;
+  let calculatedCouponDiscount = 0;
+  let calculatedTaxableValue = 0;
   let hasIncludeGST = false; // Track if any item has GST INCLUDE
+  const taxLines = [];
   
   orderItems.forEach(item => {
     const price = parseFloat(item.unitPrice) || 0;
@@ -30,37 +52,60 @@ const calculateOrderTotals = (orderItems = []) => {
     
     const discountPercentage = parseFloat(item.discountPercentage || item.product?.pricing?.discountPercentage || item.product?.discountPercentage) || 0;
     
+    const couponDiscount = parseFloat(item.couponDiscount) || 0;
+    
     const lineTotal = price * qty;
     
     // Add original price to subtotal (before discount)
     calculatedSubtotal += lineTotal;
+    calculatedCouponDiscount += couponDiscount;
     
     if (gstType === 'INCLUDE') {
       // GST INCLUDE - Price already includes GST
       // Step 1: Calculate discount amount on original price
       const discountAmount = discountPercentage > 0 ? lineTotal * (discountPercentage / 100) : 0;
       
-      // Step 2: Apply discount to get price after discount
-      const priceAfterDiscount = lineTotal - discountAmount;
+      // Step 2: Apply product discount and coupon share to get price after discount
+      const priceAfterDiscount = Math.max(0, lineTotal - discountAmount - couponDiscount);
       
       // Step 3: Extract GST from the discounted price (for display only)
       const taxAmount = priceAfterDiscount * (taxRate / (100 + taxRate));
       
       calculatedTax += taxAmount;
       calculatedDiscount += discountAmount;
+      calculatedTaxableValue += priceAfterDiscount - taxAmount;
+      taxLines.push({
+        taxRate,
+        gstType,
+        discountAmount: roundAmount(discountAmount + couponDiscount),
+        taxableValue: roundAmount(priceAfterDiscount - taxAmount),
+        taxAmount: roundAmount(taxAmount),
+        ...splitTax(taxAmount, interState),
+        lineTotal: roundAmount(priceAfterDiscount)
+      });
     } else {
       // GST EXCLUDE - GST is added on top
       // Calculate discount on the original price
       const discountAmount = discountPercentage > 0 ? lineTotal * (discountPercentage / 100) : 0;
       
-      // Apply discount first
-      const discountedLineTotal = lineTotal - discountAmount;
+      // Apply product discount and coupon share first
+      const discountedLineTotal = Math.max(0, lineTotal - discountAmount - couponDiscount);
       
       // Calculate tax on the discounted amount
       const taxAmount = discountedLineTotal * (taxRate / 100);
       
       calculatedTax += taxAmount;
       calculatedDiscount += discountAmount;
+      calculatedTaxableValue += discountedLineTotal;
+      taxLines.push({
+        taxRate,
+        gstType,
+        discountAmount: roundAmount(discountAmount + couponDiscount),
+        taxableValue: roundAmount(discountedLineTotal),
+        taxAmount: roundAmount(taxAmount),
+        ...splitTax(taxAmount, interState),
+        lineTotal: roundAmount(discountedLineTotal + taxAmount)
+      });
     }
   });
   
@@ -68,19 +113,28 @@ const calculateOrderTotals = (orderItems = []) => {
   const roundedSubtotal = Math.round(calculatedSubtotal * 100) / 100;
   const roundedTax = Math.round(calculatedTax * 100) / 100;
   const roundedDiscount = Math.round(calculatedDiscount * 100) / 100;
+  const roundedCouponDiscount = Math.round(calculatedCouponDiscount * 100) / 100;
   
   // Calculate total based on GST type:
-  // - For GST INCLUDE: Total = Subtotal - Discount (tax already included)
-  // - For GST EXCLUDE: Total = Subtotal - Discount + Tax
+  // - For GST INCLUDE: Total = Subtotal - Discount - Coupon (tax already included)
+  // - For GST EXCLUDE: Total = Subtotal - Discount - Coupon + Tax
   const calculatedTotal = hasIncludeGST 
-    ? roundedSubtotal - roundedDiscount  // GST INCLUDE
-    : roundedSubtotal - roundedDiscount + roundedTax;  // GST EXCLUDE
+    ? roundedSubtotal - roundedDiscount - roundedCouponDiscount  // GST INCLUDE
+    : roundedSubtotal - roundedDiscount - roundedCouponDiscount + roundedTax;  // GST EXCLUDE
+  
+  // Points can't take the total below zero
+  const roundedLoyaltyDiscount = roundAmount(Math.min(parseFloat(loyaltyDiscount) || 0, Math.max(0, calculatedTotal)));
   
   return { 
     subtotal: roundedSubtotal, // Original price (before discount)
     tax: roundedTax, 
-    total: Math.round(calculatedTotal * 100) / 100,
-    totalDiscount: roundedDiscount
+    total: Math.round((calculatedTotal - roundedLoyaltyDiscount) * 100) / 100,
+    totalDiscount: roundedDiscount,
+    couponDiscount: roundedCouponDiscount,
+    loyaltyDiscount: roundedLoyaltyDiscount,
+    taxableValue: roundAmount(calculatedTaxableValue),
+    ...splitTax(roundedTax, interState),
+    taxLines
   };
 };
 
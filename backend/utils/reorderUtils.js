@@ -0,0 +1,140 @@
+/**
+ * Reorder helpers
+ * Check a past order's items against the theater's current product list so a customer can
+ * put the same order back in their cart. Each line is priced, stock-checked and checked against
+ * its availability rules as it would be ordered today; picked modifiers and combo choices are
+ * kept when they are still offered.
+ */
+
+const { isCombo, getComponentStock, describeComboItems, resolveComboComponents } = require('./comboUtils');
+const { resolveModifiers, getModifierTotal } = require('./modifierUtils');
+const { checkAvailability } = require('./availabilityUtils');
+const { roundAmount } = require('./money');
+
+/**
+ * Unit price of a product today, before discount - the same price createOrder charges
+ */
+const getCurrentUnitPrice = (product, modifiers = []) =>
+  roundAmount((product.pricing?.sellingPrice || product.pricing?.basePrice || 0) + getModifierTotal(modifiers));
+
+/**
+ * Units that can be sold of the chosen combo components; null when none of them track stock
+ */
+const getChosenComboStock = (components, productMap) => components.reduce((stock, component) => {
+  const onHand = getComponentStock(productMap.get(String(component.productId)));
+  if (onHand === null) return stock;
+  const units = Math.floor(onHand / (component.quantity || 1));
+  return stock === null ? units : Math.min(stock, units);
+}, null);
+
+/**
+ * Product fields the customer cart keeps for a line
+ */
+const toCartProduct = (product, productMap) => {
+  const firstImage = Array.isArray(product.images) ? product.images[0] : null;
+  return {
+    _id: product._id,
+    name: product.name,
+    price: getCurrentUnitPrice(product),
+    image: firstImage?.url || firstImage || product.image || product.imageUrl || product.productImage || null,
+    taxRate: product.pricing?.taxRate || product.taxRate || 0,
+    gstType: product.pricing?.gstType || product.gstType || 'EXCLUDE',
+    discountPercentage: product.pricing?.discountPercentage || product.discountPercentage || 0,
+    ...(isCombo(product) && { comboItems: describeComboItems(product, productMap) })
+  };
+};
+
+/**
+ * Check one order item against today's product list
+ * @param {Object} item - Order item: { productId, productName, quantity, unitPrice, variants, comboItems }
+ * @param {Map} productMap - From buildProductMap
+ * @param {Object} [availability] - { categoryMap, context } for the product and category availability rules
+ * @returns {Object} { productId, name, orderedQuantity, quantity, previousPrice, price, available, repriced,
+ *   limited, reason, modifiers, comboSelections, product }
+ */
+const buildReorderLine = (item, productMap, { categoryMap = new Map(), context = {} } = {}) => {
+  const orderedQuantity = parseInt(item.quantity) || 1;
+  const line = {
+    productId: String(item.productId),
+    name: item.productName || item.name || 'Item',
+    orderedQuantity,
+    quantity: 0,
+    previousPrice: roundAmount(parseFloat(item.unitPrice ?? item.price) || 0),
+    price: null,
+    available: false,
+    repriced: false,
+    limited: false,
+    reason: null,
+    modifiers: [],
+    comboSelections: [],
+    product: null
+  };
+
+  const product = productMap.get(line.productId);
+  if (!product || product.isActive === false || product.isAvailable === false) {
+    return { ...line, reason: 'No longer on the menu' };
+  }
+
+  const { isAvailableNow, availabilityReason } = checkAvailability(product, categoryMap.get(String(product.categoryId)), context);
+  if (!isAvailableNow) {
+    return { ...line, name: product.name, reason: availabilityReason };
+  }
+
+  let modifiers;
+  let comboSelections = [];
+  let components = null;
+  try {
+    modifiers = resolveModifiers(product, (item.variants || []).filter(variant => variant.option));
+    if (isCombo(product)) {
+      // Order items keep one component per combo slot, in slot order
+      comboSelections = (item.comboItems || []).map((component, slot) => ({ slot, productId: String(component.productId) }));
+      components = resolveComboComponents(product, productMap, comboSelections);
+    }
+  } catch (error) {
+    return { ...line, name: product.name, reason: error.message };
+  }
+
+  const stock = components ? getChosenComboStock(components, productMap) : getComponentStock(product);
+  if (stock === 0) {
+    return { ...line, name: product.name, reason: 'Out of stock' };
+  }
+
+  const price = getCurrentUnitPrice(product, modifiers);
+  const quantity = stock === null ? orderedQuantity : Math.min(orderedQuantity, stock);
+
+  return {
+    ...line,
+    name: product.name,
+    quantity,
+    price,
+    available: true,
+    repriced: price !== line.previousPrice,
+    limited: quantity < orderedQuantity,
+    reason: quantity < orderedQuantity ? `Only ${quantity} left` : null,
+    modifiers,
+    comboSelections,
+    product: toCartProduct(product, productMap)
+  };
+};
+
+/**
+ * Check every item of an order
+ * @param {Object} [availability] - Passed to buildReorderLine
+ * @returns {Object} { items, availableCount, unavailableCount, repricedCount, limitedCount }
+ */
+const buildReorder = (order, productMap, availability) => {
+  const items = (order.items || []).map(item => buildReorderLine(item, productMap, availability));
+  return {
+    items,
+    availableCount: items.filter(line => line.available).length,
+    unavailableCount: items.filter(line => !line.available).length,
+    repricedCount: items.filter(line => line.repriced).length,
+    limitedCount: items.filter(line => line.limited).length
+  };
+};
+
+module.exports = {
+  getCurrentUnitPrice,
+  buildReorderLine,
+  buildReorder
+};
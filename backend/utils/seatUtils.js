@@ -0,0 +1,39 @@
+/**
+ * Seat Utility
+ * Helpers for screen seats as printed on seat QR codes (SingleQRCode.qrDetails[].seats), e.g. "A1", "B12", "AA3".
+ */
+
+/**
+ * Split a seat into its row letters and seat number
+ * @param {string} seat - e.g. "B12"
+ * @returns {Object} { row: 'B', number: 12 } - seats without row letters get row ''
+ */
+const parseSeat = (seat) => {
+  const match = String(seat || '').trim().toUpperCase().match(/^([A-Z]*)[\s-]*(\d*)/);
+  return {
+    row: match ? match[1] : '',
+    number: match ? parseInt(match[2]) || 0 : 0
+  };
+};
+
+/**
+ * Order rows the way they run in the hall: A..Z, then AA, AB...
+ */
+const compareRows = (a, b) => a.length - b.length || a.localeCompare(b);
+
+/**
+ * Sort comparator for seats: by row, then seat number
+ */
+const compareSeats = (a, b) => {
+  const seatA = parseSeat(a);
+  const seatB = parseSeat(b);
+  return compareRows(seatA.row, seatB.row) ||
+    seatA.number - seatB.number ||
+    String(a || '').localeCompare(String(b || ''));
+};
+
+module.exports = {
+  parseSeat,
+  compareRows,
+  compareSeats
+};
@@ -0,0 +1,19 @@
+/**
+ * Service Error
+ * Errors the services throw for the client to act on (not found, limit reached, invalid input...).
+ * Controllers send anything below 500 back as-is with its code, see BaseController.serviceError.
+ */
+
+/**
+ * Build an error carrying an HTTP status and machine-readable code
+ * @param {Object} [details] - Extra data for the client (retry times, conflicting rows...)
+ */
+const serviceError = (message, statusCode, code, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = { serviceError };
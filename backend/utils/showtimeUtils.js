@@ -0,0 +1,335 @@
+/**
+ * Showtime Utility
+ * Ordering windows for screen QR codes worked out from a screen's showtimes, and the CSV showtime import.
+ *
+ * Around each show the time falls into one of these phases:
+ *   pre_show  - the window before the film starts          (ordering open)
+ *   in_show   - the film is running                        (open only with orderDuringShow)
+ *   interval  - from a little before the interval to its end (ordering open)
+ *   blackout  - the climax at the end of the film and any blackouts entered for the show (ordering paused)
+ */
+
+const DEFAULT_SHOWTIME_SETTINGS = {
+  preShowMinutes: 30,
+  intervalLeadMinutes: 10,
+  climaxBlackoutMinutes: 20,
+  orderDuringShow: false
+};
+
+const OPEN_PHASES = ['pre_show', 'interval'];
+
+// Phases that win when shows on a screen overlap (the next show's pre-show running into the last one's climax)
+const PHASE_PRIORITY = ['blackout', 'interval', 'pre_show', 'in_show'];
+
+// Showtimes further than this from now don't say anything about ordering on the screen
+const SCHEDULE_LOOKBACK_HOURS = 6;
+const SCHEDULE_LOOKAHEAD_HOURS = 24;
+
+const MINUTE = 60 * 1000;
+
+const showtimeSettings = (settings = {}) => ({
+  ...DEFAULT_SHOWTIME_SETTINGS,
+  ...Object.fromEntries(Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null))
+});
+
+/**
+ * Interval start and end of a show, or null when it runs straight through
+ */
+const intervalOf = (show) => {
+  if (!show.intervalStart) return null;
+  const start = new Date(show.intervalStart).getTime();
+  return { start, end: start + (show.intervalMinutes ?? 15) * MINUTE };
+};
+
+/**
+ * Phase a show is in at a time (null outside the show and its pre-show window)
+ */
+const showPhaseAt = (show, time, settings) => {
+  const start = new Date(show.startTime).getTime();
+  const end = new Date(show.endTime).getTime();
+  if (time < start - settings.preShowMinutes * MINUTE || time >= end) return null;
+
+  const inBlackout = time >= end - settings.climaxBlackoutMinutes * MINUTE ||
+    (show.blackouts || []).some(b => time >= new Date(b.start).getTime() && time < new Date(b.end).getTime());
+  if (inBlackout) return 'blackout';
+
+  const interval = intervalOf(show);
+  if (interval && time >= interval.start - settings.intervalLeadMinutes * MINUTE && time < interval.end) {
+    return 'interval';
+  }
+  return time < start ? 'pre_show' : 'in_show';
+};
+
+/**
+ * Times at which the phase on a screen can change
+ */
+const phaseBoundaries = (shows, settings) => {
+  const points = new Set();
+  shows.forEach(show => {
+    const start = new Date(show.startTime).getTime();
+    const end = new Date(show.endTime).getTime();
+    points.add(start - settings.preShowMinutes * MINUTE);
+    points.add(start);
+    points.add(end - settings.climaxBlackoutMinutes * MINUTE);
+    points.add(end);
+    const interval = intervalOf(show);
+    if (interval) {
+      points.add(interval.start - settings.intervalLeadMinutes * MINUTE);
+      points.add(interval.end);
+    }
+    (show.blackouts || []).forEach(b => {
+      points.add(new Date(b.start).getTime());
+      points.add(new Date(b.end).getTime());
+    });
+  });
+  return [...points].sort((a, b) => a - b);
+};
+
+/**
+ * Screen phase at a time across all its shows
+ * @returns {Object} { phase, show, open } - phase null between shows
+ */
+const phaseAt = (shows, time, settings) => {
+  let best = { phase: null, show: null };
+  shows.forEach(show => {
+    const phase = showPhaseAt(show, time, settings);
+    if (phase && (!best.phase || PHASE_PRIORITY.indexOf(phase) < PHASE_PRIORITY.indexOf(best.phase))) {
+      best = { phase, show };
+    }
+  });
+  const open = OPEN_PHASES.includes(best.phase) || (best.phase === 'in_show' && settings.orderDuringShow);
+  return { ...best, open };
+};
+
+const toShowSummary = (show) => show && {
+  _id: show._id,
+  screen: show.screen,
+  movieTitle: show.movieTitle,
+  language: show.language || '',
+  startTime: show.startTime,
+  endTime: show.endTime,
+  intervalStart: show.intervalStart || null,
+  intervalEnd: intervalOf(show) ? new Date(intervalOf(show).end) : null
+};
+
+/**
+ * Whether a screen is taking orders now, and until when
+ * Screens without showtimes around now aren't scheduled and always take orders.
+ * @param {Array} shows - The screen's showtimes
+ * @param {Date} now
+ * @param {Object} settings - Theater showtime settings (defaults in DEFAULT_SHOWTIME_SETTINGS)
+ * @returns {Object} { scheduled, open, phase, show, closesAt, opensAt, nextShow }
+ */
+const orderingWindow = (shows = [], now = new Date(), settings = {}) => {
+  const config = showtimeSettings(settings);
+  const time = now.getTime();
+  const relevant = shows
+    .filter(show => new Date(show.endTime).getTime() > time - SCHEDULE_LOOKBACK_HOURS * 60 * MINUTE &&
+      new Date(show.startTime).getTime() < time + SCHEDULE_LOOKAHEAD_HOURS * 60 * MINUTE)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  if (relevant.length === 0) {
+    return { scheduled: false, open: true, phase: null, show: null, closesAt: null, opensAt: null, nextShow: null };
+  }
+
+  const current = phaseAt(relevant, time, config);
+  const upcoming = phaseBoundaries(relevant, config).filter(point => point > time);
+
+  // Walk forward to where ordering flips: the end of this open stretch, or the start of the next one
+  const flipAt = upcoming.find(point => phaseAt(relevant, point, config).open !== current.open) ?? null;
+  const nextShow = relevant.find(show => new Date(show.startTime).getTime() > time) || null;
+
+  return {
+    scheduled: true,
+    open: current.open,
+    phase: current.phase,
+    show: toShowSummary(current.show),
+    closesAt: current.open && flipAt !== null ? new Date(flipAt) : null,
+    opensAt: !current.open && flipAt !== null ? new Date(flipAt) : null,
+    nextShow: toShowSummary(nextShow)
+  };
+};
+
+/**
+ * Why a screen isn't taking orders, for the customer
+ */
+const closedMessage = (window, timeZone = 'Asia/Kolkata') => {
+  const at = (date) => new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', timeZone });
+  const opens = window.opensAt ? ` Ordering opens again at ${at(window.opensAt)}.` : '';
+  if (window.phase === 'blackout') {
+    return `Ordering is paused for the climax of ${window.show?.movieTitle || 'the film'}.${opens}`;
+  }
+  if (window.phase === 'in_show') {
+    return `Ordering is closed while ${window.show?.movieTitle || 'the film'} is playing.${opens}`;
+  }
+  return window.opensAt ? `Ordering is closed between shows.${opens}` : 'There are no more shows on this screen today.';
+};
+
+/**
+ * Milliseconds a time zone is ahead of UTC at an instant
+ */
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock date and time in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @returns {Date|null} null when either doesn't parse
+ */
+const zonedDateTime = (date, time, timeZone = 'Asia/Kolkata') => {
+  const dateMatch = String(date || '').trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const timeMatch = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!dateMatch || !timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) return null;
+
+  const wallClock = Date.UTC(dateMatch[1], dateMatch[2] - 1, dateMatch[3], timeMatch[1], timeMatch[2]);
+  if (Number.isNaN(wallClock)) return null;
+  return new Date(wallClock - zoneOffset(new Date(wallClock), timeZone));
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+const CSV_COLUMNS = {
+  screen: ['screen', 'screen name', 'qr name'],
+  movieTitle: ['movie', 'movie title', 'film', 'title'],
+  language: ['language'],
+  date: ['date', 'show date'],
+  start: ['start', 'start time', 'show time', 'showtime'],
+  end: ['end', 'end time'],
+  duration: ['duration', 'runtime', 'duration minutes'],
+  interval: ['interval', 'interval time', 'interval start'],
+  intervalMinutes: ['interval minutes', 'interval length']
+};
+
+/**
+ * Showtimes from an imported CSV
+ * Columns: screen, movie, date (YYYY-MM-DD), start (HH:mm), end or duration (minutes), and optionally
+ * language, interval (HH:mm) and interval minutes. Times are wall-clock in the theater's time zone;
+ * an end or interval earlier than the start is taken to be after midnight.
+ * @returns {Object} { showtimes, errors: [{ line, error }] } - each showtime keeps the CSV line it came from
+ */
+const parseShowtimeCsv = (text, timeZone = 'Asia/Kolkata') => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.toLowerCase().replace(/[_-]+/g, ' ').trim());
+  const indexOf = (field) => columns.findIndex(name => CSV_COLUMNS[field].includes(name));
+  const index = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, indexOf(field)]));
+
+  const missing = ['screen', 'movieTitle', 'date', 'start'].filter(field => index[field] === -1);
+  if (index.end === -1 && index.duration === -1) missing.push('end or duration');
+  if (missing.length > 0) {
+    return { showtimes: [], errors: [{ line: 1, error: `Missing column: ${missing.join(', ')}` }] };
+  }
+
+  const showtimes = [];
+  const errors = [];
+  rows.forEach((cells, rowIndex) => {
+    const line = rowIndex + 2;
+    const value = (field) => (index[field] === -1 ? '' : cells[index[field]] || '');
+    const fail = (error) => errors.push({ line, error });
+
+    const startTime = zonedDateTime(value('date'), value('start'), timeZone);
+    if (!value('screen')) return fail('Screen is required');
+    if (!value('movieTitle')) return fail('Movie is required');
+    if (!startTime) return fail('Date must be YYYY-MM-DD and start HH:mm');
+
+    // Times earlier than the start belong to the next day
+    const afterStart = (time) => {
+      const at = zonedDateTime(value('date'), time, timeZone);
+      return at && at <= startTime ? new Date(at.getTime() + 24 * 60 * MINUTE) : at;
+    };
+
+    let endTime = null;
+    if (value('end')) {
+      endTime = afterStart(value('end'));
+      if (!endTime) return fail('End must be HH:mm');
+    } else {
+      const duration = parseInt(value('duration'));
+      if (!(duration > 0)) return fail('End or duration is required');
+      endTime = new Date(startTime.getTime() + duration * MINUTE);
+    }
+
+    let intervalStart = null;
+    if (value('interval')) {
+      intervalStart = afterStart(value('interval'));
+      if (!intervalStart || intervalStart >= endTime) return fail('Interval must be an HH:mm time during the show');
+    }
+    const intervalMinutes = value('intervalMinutes') ? parseInt(value('intervalMinutes')) : undefined;
+    if (intervalMinutes !== undefined && !(intervalMinutes > 0)) return fail('Interval minutes must be a number');
+
+    showtimes.push({
+      line,
+      screen: value('screen'),
+      movieTitle: value('movieTitle'),
+      language: value('language'),
+      startTime,
+      endTime,
+      intervalStart,
+      ...(intervalMinutes !== undefined && { intervalMinutes })
+    });
+  });
+
+  return { showtimes, errors };
+};
+
+module.exports = {
+  DEFAULT_SHOWTIME_SETTINGS,
+  showtimeSettings,
+  orderingWindow,
+  closedMessage,
+  zonedDateTime,
+  parseCsv,
+  parseShowtimeCsv
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { serviceError } = require('./serviceError');
+const { roundAmount } = require('./money');
+
+/**
+ * Tender Utility
+ * Helpers for split tender payments - an order paid part in cash and part by card or UPI.
+ *
+ * An order keeps its tenders in `payment.tenders`:
+ *   [{ method, amount, tendered, change, reference, status, transactionId, provider, refundedAmount, paidAt }]
+ * `amount` is what the tender pays towards the order; for cash, `tendered` is what the customer
+ * handed over and `change` what was given back. The order is paid once its paid tenders cover the total.
+ */
+
+const TENDER_METHODS = ['cash', 'card', 'upi', 'wallet', 'bank_transfer'];
+
+const tenderError = (message, code) => serviceError(message, 400, code);
+
+/**
+ * Tenders for a new order
+ * Without tenders the order is paid in full by its single payment method, as before.
+ * Cash is taken at the counter, and a card or UPI tender with a reference (terminal slip, UTR)
+ * was paid outside the gateway, so both are paid straight away; other tenders wait for the gateway.
+ * These are the cashier's word for it, so only staff orders are built from the request (see buildOrderPayment).
+ * @param {Array} tenders - [{ method, amount, tendered, reference }]; the last amount defaults to the balance
+ * @param {number} total - Order total
+ * @param {Object} fallback - { method, status, transactionId } of a single-method order
+ * @returns {Array} Tenders ready to store on the order
+ */
+const buildTenders = (tenders, total, fallback = {}) => {
+  const now = new Date();
+
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    const paid = fallback.status === 'paid';
+    return [{
+      _id: new mongoose.Types.ObjectId(),
+      method: fallback.method || 'cash',
+      amount: roundAmount(total),
+      tendered: null,
+      change: 0,
+      reference: null,
+      status: paid ? 'paid' : 'pending',
+      transactionId: fallback.transactionId || null,
+      refundedAmount: 0,
+      paidAt: paid ? now : null
+    }];
+  }
+
+  // The last tender may leave out its amount to pay whatever the others don't cover
+  const lastIndex = tenders.length - 1;
+  const hasAmount = (tender) => tender.amount !== undefined && tender.amount !== null && tender.amount !== '';
+  const otherTenders = tenders.slice(0, lastIndex).reduce((sum, tender) => sum + roundAmount(Number(tender.amount)), 0);
+
+  const built = tenders.map((tender, index) => {
+    const method = tender.method;
+    if (!TENDER_METHODS.includes(method)) {
+      throw tenderError(`Unknown payment method "${method}"`, 'INVALID_TENDER');
+    }
+
+    const amount = index === lastIndex && !hasAmount(tender)
+      ? roundAmount(total - otherTenders)
+      : roundAmount(Number(tender.amount));
+    if (!(amount > 0)) {
+      throw tenderError('Every tender needs an amount greater than zero', 'INVALID_TENDER');
+    }
+
+    let tendered = null;
+    let change = 0;
+    if (method === 'cash' && tender.tendered !== undefined && tender.tendered !== null && tender.tendered !== '') {
+      tendered = roundAmount(Number(tender.tendered));
+      if (!(tendered >= amount)) {
+        throw tenderError(`Cash received (₹${tendered.toFixed(2)}) is less than the cash tender of ₹${amount.toFixed(2)}`, 'INSUFFICIENT_CASH_TENDERED');
+      }
+      change = roundAmount(tendered - amount);
+    }
+
+    const reference = tender.reference ? String(tender.reference).trim() : null;
+    const paid = method === 'cash' || !!reference;
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      method,
+      amount,
+      tendered,
+      change,
+      reference,
+      status: paid ? 'paid' : 'pending',
+      refundedAmount: 0,
+      paidAt: paid ? now : null
+    };
+  });
+
+  const tenderTotal = roundAmount(built.reduce((sum, tender) => sum + tender.amount, 0));
+  if (Math.abs(tenderTotal - roundAmount(total)) >= 0.01) {
+    throw tenderError(
+      `Tenders add up to ₹${tenderTotal.toFixed(2)} but the order total is ₹${roundAmount(total).toFixed(2)}`,
+      'TENDER_TOTAL_MISMATCH'
+    );
+  }
+
+  return built;
+};
+
+/**
+ * Order-level payment method: the tender's method, or 'split' when there is more than one
+ */
+const paymentMethodOf = (tenders = []) => {
+  const methods = [...new Set(tenders.map(tender => tender.method))];
+  return methods.length === 1 ? methods[0] : 'split';
+};
+
+/**
+ * What has been paid towards an order and the payment status that follows from it
+ * Paid once the paid tenders cover the total; failed when every tender failed.
+ * @returns {Object} { status, amountPaid, balanceDue, changeDue }
+ */
+const summarizeTenders = (tenders = [], total = 0) => {
+  const amountPaid = roundAmount(tenders
+    .filter(tender => tender.status !== 'pending' && tender.status !== 'failed')
+    .reduce((sum, tender) => sum + (tender.amount || 0), 0));
+  const balanceDue = roundAmount(Math.max(0, total - amountPaid));
+
+  let status = 'pending';
+  if (tenders.length > 0 && balanceDue < 0.01) {
+    status = 'paid';
+  } else if (tenders.length > 0 && tenders.every(tender => tender.status === 'failed')) {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    amountPaid,
+    balanceDue,
+    changeDue: roundAmount(tenders.reduce((sum, tender) => sum + (tender.change || 0), 0))
+  };
+};
+
+/**
+ * Payment block for a new order
+ * Only staff can record money taken at the counter (tenders, references, a paid status). Anyone
+ * else's order is a single pending payment that only the gateway settles.
+ * @param {Object} orderData - { tenders, paymentMethod, paymentStatus, transactionId }
+ * @param {Object} options - { staff: the order was placed by a signed-in staff member }
+ */
+const buildOrderPayment = (orderData, total, { staff = false } = {}) => {
+  const tenders = staff
+    ? buildTenders(orderData.tenders, total, {
+      method: orderData.paymentMethod,
+      status: orderData.paymentStatus,
+      transactionId: orderData.transactionId
+    })
+    : buildTenders(null, total, { method: orderData.paymentMethod, status: 'pending' });
+  const { status, amountPaid, changeDue } = summarizeTenders(tenders, total);
+
+  return {
+    method: paymentMethodOf(tenders),
+    status,
+    paidAt: status === 'paid' ? new Date() : null,
+    amountPaid,
+    changeDue,
+    tenders,
+    transactionId: (staff && orderData.transactionId) || null
+  };
+};
+
+/**
+ * Tenders of an order; orders taken before split tenders count as one tender for the whole total
+ */
+const orderTenders = (order) => {
+  if (order.payment?.tenders?.length) return order.payment.tenders;
+
+  const paymentStatus = order.payment?.status || order.paymentStatus;
+  return [{
+    method: order.payment?.method || order.paymentMethod || 'cash',
+    amount: order.pricing?.total ?? order.totalAmount ?? 0,
+    status: ['paid', 'refunded', 'partially_refunded'].includes(paymentStatus) ? 'paid' : (paymentStatus || 'pending'),
+    refundedAmount: order.payment?.refundAmount || 0
+  }];
+};
+
+/**
+ * Money taken per payment method across orders, by tender rather than by order
+ * Pending and failed tenders are left out; refunds are netted off the tender they went back to.
+ * @returns {Array} [{ method, tenders, orders, amount, refunded, net }] largest first
+ */
+const tenderBreakdown = (orders = []) => {
+  const byMethod = {};
+
+  orders.forEach(order => {
+    const seen = new Set();
+    orderTenders(order)
+      .filter(tender => tender.status !== 'pending' && tender.status !== 'failed')
+      .forEach(tender => {
+        const row = byMethod[tender.method] || (byMethod[tender.method] = { method: tender.method, tenders: 0, orders: 0, amount: 0, refunded: 0 });
+        row.tenders += 1;
+        if (!seen.has(tender.method)) {
+          row.orders += 1;
+          seen.add(tender.method);
+        }
+        row.amount += tender.amount || 0;
+        row.refunded += tender.refundedAmount || 0;
+      });
+  });
+
+  return Object.values(byMethod)
+    .map(row => ({
+      ...row,
+      amount: roundAmount(row.amount),
+      refunded: roundAmount(row.refunded),
+      net: roundAmount(row.amount - row.refunded)
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+module.exports = {
+  TENDER_METHODS,
+  tenderError,
+  buildTenders,
+  buildOrderPayment,
+  paymentMethodOf,
+  summarizeTenders,
+  orderTenders,
+  tenderBreakdown
+};
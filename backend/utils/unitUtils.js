@@ -0,0 +1,41 @@
+/**
+ * Unit helpers for raw materials
+ * Stock is kept in a base unit (g, ml or pcs); recipes and deliveries may use larger units.
+ */
+
+const { serviceError } = require('./serviceError');
+
+// unit → { base unit, multiplier to the base unit }
+const UNITS = {
+  g: { base: 'g', factor: 1 },
+  kg: { base: 'g', factor: 1000 },
+  ml: { base: 'ml', factor: 1 },
+  l: { base: 'ml', factor: 1000 },
+  pcs: { base: 'pcs', factor: 1 }
+};
+
+const BASE_UNITS = ['g', 'ml', 'pcs'];
+
+/**
+ * Units a quantity may be entered in for a material kept in baseUnit
+ */
+const compatibleUnits = (baseUnit) => Object.keys(UNITS).filter(unit => UNITS[unit].base === baseUnit);
+
+/**
+ * Convert a quantity to the material's base unit
+ * @throws {Error} 400 INVALID_UNIT when the units measure different things (e.g. kg for a material kept in ml)
+ */
+const toBaseQuantity = (quantity, unit, baseUnit) => {
+  const definition = UNITS[unit || baseUnit];
+  if (!definition || definition.base !== baseUnit) {
+    throw serviceError(`Unit ${unit} cannot be used for a material measured in ${baseUnit}`, 400, 'INVALID_UNIT');
+  }
+  return quantity * definition.factor;
+};
+
+module.exports = {
+  UNITS,
+  BASE_UNITS,
+  compatibleUnits,
+  toBaseQuantity
+};
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Reference
+ * The staff member behind a change, as stored on documents (createdBy, approvedBy...)
+ */
+
+/**
+ * { userId, username } of the signed-in user, or undefined for system changes
+ */
+const toUser = (user) => (user ? {
+  userId: mongoose.Types.ObjectId.isValid(user.userId) ? user.userId : undefined,
+  username: user.username
+} : undefined);
+
+/**
+ * { userId, username, at } for steps that record when they happened (opened, approved, dispatched...)
+ */
+const toUserAt = (user) => ({ ...toUser(user), at: new Date() });
+
+module.exports = { toUser, toUserAt };
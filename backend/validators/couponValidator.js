@@ -0,0 +1,86 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Coupon Validators
+ */
+const couponFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, - or _'),
+    field('discountType').isIn(['flat', 'percent']).withMessage('Discount type must be flat or percent'),
+    field('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    body('description').optional().isString().isLength({ max: 200 }),
+    body('maxDiscountAmount').optional({ nullable: true }).isFloat({ gt: 0 })
+      .withMessage('Maximum discount must be greater than 0'),
+    body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value cannot be negative'),
+    body('applicableCategories').optional().isArray(),
+    body('applicableCategories.*').isMongoId().withMessage('Invalid category ID'),
+    body('applicableProducts').optional().isArray(),
+    body('applicableProducts.*').isMongoId().withMessage('Invalid product ID'),
+    body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Invalid valid from date'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Invalid valid until date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perPhoneLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per customer limit must be at least 1'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const couponValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('isActive').optional().isIn(['true', 'false'])
+  ],
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...couponFields(false)
+  ],
+
+  update: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('couponId').isMongoId().withMessage('Valid coupon ID is required'),
+    ...couponFields(true)
+  ],
+
+  remove: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('couponId').isMongoId().withMessage('Valid coupon ID is required')
+  ],
+
+  validateCode: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('code').isString().trim().notEmpty().withMessage('Coupon code is required'),
+    body('items').isArray({ min: 1 }).withMessage('Cart must have at least one item'),
+    body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.comboSelections').optional().isArray(),
+    body('items.*.variants').optional().isArray(),
+    body('phone').optional({ nullable: true, checkFalsy: true }).isString()
+  ],
+
+  report: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { couponValidator, validate };
@@ -0,0 +1,74 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { FEEDBACK_TAGS } = require('../utils/feedbackUtils');
+
+/**
+ * Customer Validators
+ */
+const customerValidator = {
+  orders: [
+    query('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  order: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required')
+  ],
+
+  feedback: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('serviceRating').isInt({ min: 1, max: 5 }).withMessage('Rate the service from 1 to 5 stars').toInt(),
+    body('items').optional().isArray({ max: 100 }).withMessage('Items must be an array'),
+    body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.rating').isInt({ min: 1, max: 5 }).withMessage('Rate each item from 1 to 5 stars').toInt(),
+    body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Comment must be 1000 characters or less'),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('tags.*').isIn(FEEDBACK_TAGS).withMessage(`Tags must be one of: ${FEEDBACK_TAGS.join(', ')}`)
+  ],
+
+  loyalty: [
+    query('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+
+  notifications: [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+
+  notification: [
+    param('notificationId').isMongoId().withMessage('Valid notification ID is required')
+  ],
+
+  favorites: [
+    query('theaterId').optional().isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  favorite: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('productId').isMongoId().withMessage('Valid product ID is required')
+  ],
+
+  importFavorites: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('productIds').isArray({ max: 200 }).withMessage('productIds must be a list'),
+    body('productIds.*').isMongoId().withMessage('Valid product IDs are required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { customerValidator, validate };
@@ -0,0 +1,54 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Delivery Validators
+ */
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const orderParam = param('orderId').isMongoId().withMessage('Valid order ID is required');
+
+const deliveryValidator = {
+  theater: [theaterParam],
+
+  order: [theaterParam, orderParam],
+
+  assign: [
+    theaterParam,
+    orderParam,
+    body('runnerId').isMongoId().withMessage('Valid runner ID is required')
+  ],
+
+  settings: [
+    theaterParam,
+    body('autoAssign').optional().isBoolean().withMessage('autoAssign must be true or false'),
+    body('preOrderLeadMinutes').optional().isInt({ min: 0, max: 180 }).toInt()
+      .withMessage('Pre-order lead time must be 0-180 minutes')
+  ],
+
+  duty: [
+    theaterParam,
+    body('onDuty').isBoolean().withMessage('onDuty must be true or false')
+  ],
+
+  report: [
+    theaterParam,
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { deliveryValidator, validate };
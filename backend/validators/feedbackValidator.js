@@ -0,0 +1,41 @@
+const { param, query, validationResult } = require('express-validator');
+const { FEEDBACK_TAGS } = require('../utils/feedbackUtils');
+
+/**
+ * Feedback Validators
+ */
+const feedbackValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('rating').optional().isInt({ min: 1, max: 5 }).toInt(),
+    query('tag').optional().isIn(FEEDBACK_TAGS).withMessage('Invalid tag'),
+    query('lowScore').optional().isBoolean(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ],
+
+  summary: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { feedbackValidator, validate };
@@ -0,0 +1,71 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const ruleFields = [
+  body('rules').optional().isObject().withMessage('Rules must be an object'),
+  body('rules.earnPointsPerRupee').optional().isFloat({ min: 0 }).withMessage('Points per rupee must be zero or more').toFloat(),
+  body('rules.pointValue').optional().isFloat({ min: 0.01 }).withMessage('Point value must be at least ₹0.01').toFloat(),
+  body('rules.minRedeemPoints').optional().isInt({ min: 1 }).withMessage('Minimum redemption must be at least 1 point').toInt(),
+  body('rules.maxRedeemPercent').optional().isFloat({ min: 1, max: 100 }).withMessage('Maximum redemption must be between 1 and 100%').toFloat(),
+  body('rules.expiryMonths').optional().isInt({ min: 0, max: 120 }).withMessage('Expiry must be between 0 and 120 months').toInt(),
+  body('rules.tiers').optional().isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 tiers are allowed'),
+  body('rules.tiers.*.name').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Every tier needs a name'),
+  body('rules.tiers.*.minPoints').isInt({ min: 0 }).withMessage('Tier points must be zero or more').toInt(),
+  body('rules.tiers.*.multiplier').isFloat({ min: 1, max: 10 }).withMessage('Tier multiplier must be between 1 and 10').toFloat()
+];
+
+/**
+ * Loyalty Validators
+ */
+const loyaltyValidator = {
+  theater: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  saveTheaterProgram: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Program name is required'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    ...ruleFields
+  ],
+
+  createProgram: [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Program name is required'),
+    body('theaters').isArray({ min: 1 }).withMessage('Pick at least one theater'),
+    body('theaters.*').isMongoId().withMessage('Valid theater IDs are required'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    ...ruleFields
+  ],
+
+  updateProgram: [
+    param('programId').isMongoId().withMessage('Valid program ID is required'),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Program name is required'),
+    body('theaters').optional().isArray({ min: 1 }).withMessage('Pick at least one theater'),
+    body('theaters.*').isMongoId().withMessage('Valid theater IDs are required'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    ...ruleFields
+  ],
+
+  account: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('phoneNumber').isString().trim().isLength({ min: 10, max: 16 }).withMessage('Valid phone number is required'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { loyaltyValidator, validate };
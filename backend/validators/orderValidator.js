@@ -1,4 +1,5 @@
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { DELIVERY_SLOT_TYPES } = require('../utils/deliverySlotUtils');
 
 /**
  * Order Validators
@@ -14,12 +15,48 @@ const orderValidator = {
     body('theaterId').isMongoId().withMessage('Valid theater ID is required'),
     body('items').isArray({ min: 1 }).withMessage('Order must have at least one item'),
     body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
-    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.specialInstructions').optional().isString().isLength({ max: 500 }),
+    body('items.*.comboSelections').optional().isArray(),
+    body('items.*.comboSelections.*.slot').optional().isInt({ min: 0 }),
+    body('items.*.comboSelections.*.productId').optional().isMongoId().withMessage('Invalid combo choice'),
+    body('items.*.variants').optional().isArray(),
+    body('items.*.variants.*.name').optional().isString().withMessage('Invalid modifier group'),
+    body('items.*.variants.*.option').optional().isString().withMessage('Invalid modifier option'),
+    body('couponCode').optional({ nullable: true, checkFalsy: true }).isString().trim().isLength({ max: 30 })
+      .withMessage('Invalid coupon code'),
+    body('loyaltyPoints').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Invalid loyalty points').toInt(),
+    body('locationId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid stock location'),
+    body('kioskType').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid kiosk type'),
+    body('shiftId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid shift'),
+    body('tenders').optional({ nullable: true }).isArray({ max: 10 }).withMessage('Tenders must be a list'),
+    body('tenders.*.method').isIn(['cash', 'card', 'upi', 'wallet', 'bank_transfer']).withMessage('Invalid tender payment method'),
+    body('tenders.*.amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Tender amount must be greater than zero'),
+    body('tenders.*.tendered').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Invalid cash received'),
+    body('tenders.*.reference').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('deliverySlot.type').optional().isIn(DELIVERY_SLOT_TYPES).withMessage('Delivery slot must be now, interval or time'),
+    body('deliverySlot.targetTime').if(body('deliverySlot.type').equals('time'))
+      .isISO8601().withMessage('A delivery time is required'),
+    body('customerInfo.gstin').optional({ nullable: true, checkFalsy: true }).trim().toUpperCase()
+      .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid GSTIN')
+  ],
+
+  invoice: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    query('format').optional().isIn(['json', 'html', 'pdf']).withMessage('Format must be json, html or pdf')
   ],
 
   updateStatus: [
     body('status').isIn(['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'])
       .withMessage('Invalid order status')
+  ],
+
+  kitchenBump: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('status').isIn(['preparing', 'ready'])
+      .withMessage('Kitchen can only move orders to preparing or ready')
   ]
 };
 
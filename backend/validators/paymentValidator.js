@@ -0,0 +1,35 @@
+const { body, param, validationResult } = require('express-validator');
+
+/**
+ * Payment Validators
+ */
+const paymentValidator = {
+  refund: [
+    param('theaterId').isMongoId().withMessage('Invalid theater ID'),
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero'),
+    body('reason').trim().notEmpty().withMessage('Refund reason is required')
+      .isLength({ max: 500 }).withMessage('Refund reason is too long'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('tenderId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid tender ID')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg || 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { paymentValidator, validate };
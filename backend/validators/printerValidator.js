@@ -0,0 +1,67 @@
+const { body, param, validationResult } = require('express-validator');
+
+const PRINT_SOURCES = ['pos', 'offline-pos', 'kiosk', 'qr_code', 'online'];
+
+/**
+ * Printer Validators
+ */
+const printerFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Printer name is required'),
+    body('role').optional().isIn(['receipt', 'kitchen']).withMessage('Role must be receipt or kitchen'),
+    body('paperWidth').optional().isIn([58, 80]).withMessage('Paper width must be 58 or 80 mm').toInt(),
+    field('connection.type').isIn(['network', 'device']).withMessage('Connection must be network or device'),
+    field('connection.address').isString().trim().isLength({ min: 1, max: 200 })
+      .withMessage('Printer address is required'),
+    body('connection').optional().custom(connection => connection.type !== 'network' ||
+      /^[A-Za-z0-9.-]+(:\d{1,5})?$/.test(String(connection.address).trim()))
+      .withMessage('A network printer address must be host or host:port'),
+    body('sources').optional().isArray(),
+    body('sources.*').optional().isIn(PRINT_SOURCES).withMessage(`Sources must be ${PRINT_SOURCES.join(', ')}`),
+    body('categoryIds').optional().isArray(),
+    body('categoryIds.*').optional().isMongoId().withMessage('Invalid category'),
+    body('copies').optional().isInt({ min: 1, max: 5 }).withMessage('Copies must be between 1 and 5').toInt(),
+    body('printLogo').optional().isBoolean(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const printerValidator = {
+  theater: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...printerFields(false)
+  ],
+
+  update: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('printerId').isMongoId().withMessage('Valid printer ID is required'),
+    ...printerFields(true)
+  ],
+
+  remove: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('printerId').isMongoId().withMessage('Valid printer ID is required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { printerValidator, validate };
@@ -1,5 +1,8 @@
 const { body, query, validationResult } = require('express-validator');
 
+// Availability arrives as an object in JSON bodies and as a JSON string in multipart ones
+const isAvailabilityObject = (value) => typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value));
+
 /**
  * Product Validators
  */
@@ -11,13 +14,28 @@ const productValidator = {
     query('search').optional().isLength({ min: 1 }),
     query('status').optional().isIn(['active', 'inactive', 'out_of_stock', 'discontinued']),
     query('sortBy').optional().isIn(['name', 'price', 'createdAt', 'updatedAt', 'rating']),
-    query('sortOrder').optional().isIn(['asc', 'desc'])
+    query('sortOrder').optional().isIn(['asc', 'desc']),
+    query('kioskType').optional().isMongoId().withMessage('Kiosk type must be a valid ID')
   ],
 
   create: [
     body('name').notEmpty().trim().withMessage('Product name is required'),
     body('categoryId').isMongoId().withMessage('Valid category ID is required'),
-    body('pricing.basePrice').optional().isFloat({ min: 0 }).withMessage('Base price must be a positive number')
+    body('pricing.basePrice').optional().isFloat({ min: 0 }).withMessage('Base price must be a positive number'),
+    body('hsnCode').optional({ nullable: true, checkFalsy: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+    body('isCombo').optional().isBoolean().withMessage('isCombo must be true or false'),
+    body('comboItems').if(body('comboItems').isArray()).custom(items => items.every(item =>
+      item && item.productId && (item.quantity === undefined || parseInt(item.quantity) >= 1)
+    )).withMessage('Each combo item needs a product and a quantity of at least 1'),
+    body('variants').if(body('variants').isArray()).custom(groups => groups.every(group =>
+      group && group.name && Array.isArray(group.options)
+    )).withMessage('Each modifier group needs a name and a list of options'),
+    body('availability').optional({ nullable: true }).custom(isAvailabilityObject).withMessage('Availability must be an object')
+  ],
+
+  update: [
+    body('hsnCode').optional({ nullable: true, checkFalsy: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+    body('availability').optional({ nullable: true }).custom(isAvailabilityObject).withMessage('Availability must be an object')
   ]
 };
 
@@ -0,0 +1,100 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Purchase Order Validators
+ */
+const theaterAndOrder = [
+  param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+  param('poId').isMongoId().withMessage('Valid purchase order ID is required')
+];
+
+const orderFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('supplierId').isMongoId().withMessage('Valid supplier ID is required'),
+    field('items').isArray({ min: 1 }).withMessage('Add at least one item'),
+    body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+    body('orderDate').optional().isISO8601().withMessage('Invalid order date'),
+    body('expectedDeliveryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expected delivery date'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ];
+};
+
+// Lines of a goods receipt or supplier return
+const movementFields = [
+  body('items').isArray({ min: 1 }).withMessage('Add at least one item'),
+  body('items.*.itemId').isMongoId().withMessage('Valid purchase order item ID is required'),
+  body('items.*.quantity').isInt({ min: 0 }).withMessage('Quantity cannot be negative'),
+  body('items.*.batchNumber').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('date').optional().isISO8601().withMessage('Invalid date'),
+  body('notes').optional().isString().isLength({ max: 500 })
+];
+
+const purchaseOrderValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['draft', 'ordered', 'partially_received', 'received', 'cancelled']),
+    query('supplierId').optional().isMongoId()
+  ],
+
+  getById: theaterAndOrder,
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...orderFields(false),
+    body('status').optional().isIn(['draft', 'ordered']).withMessage('Status must be draft or ordered')
+  ],
+
+  update: [
+    ...theaterAndOrder,
+    ...orderFields(true)
+  ],
+
+  updateStatus: [
+    ...theaterAndOrder,
+    body('status').isIn(['ordered', 'cancelled']).withMessage('Status must be ordered or cancelled')
+  ],
+
+  remove: theaterAndOrder,
+
+  receive: [
+    ...theaterAndOrder,
+    ...movementFields,
+    body('items.*.expireDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+    body('invoiceNumber').optional().isString().trim().isLength({ max: 50 })
+  ],
+
+  returnGoods: [
+    ...theaterAndOrder,
+    ...movementFields
+  ],
+
+  report: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('supplierId').optional().isMongoId()
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { purchaseOrderValidator, validate };
@@ -0,0 +1,98 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { UNITS, BASE_UNITS } = require('../utils/unitUtils');
+
+/**
+ * Raw Material Validators
+ */
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const materialParam = param('materialId').isMongoId().withMessage('Valid raw material ID is required');
+const productParam = param('productId').isMongoId().withMessage('Valid product ID is required');
+
+const materialFields = [
+  body('minStock').optional().isFloat({ min: 0 }).withMessage('Minimum stock cannot be negative'),
+  body('costPerUnit').optional().isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+  body('isActive').optional().isBoolean()
+];
+
+const rawMaterialValidator = {
+  list: [
+    theaterParam,
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('isActive').optional().isIn(['true', 'false']),
+    query('lowStock').optional().isIn(['true', 'false'])
+  ],
+
+  create: [
+    theaterParam,
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    body('unit').isIn(BASE_UNITS).withMessage(`Unit must be one of ${BASE_UNITS.join(', ')}`),
+    ...materialFields
+  ],
+
+  update: [
+    theaterParam,
+    materialParam,
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty'),
+    ...materialFields
+  ],
+
+  remove: [theaterParam, materialParam],
+
+  movements: [
+    theaterParam,
+    materialParam,
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('type').optional().isIn(['received', 'consumed', 'wastage', 'count'])
+  ],
+
+  recordMovement: [
+    theaterParam,
+    materialParam,
+    body('type').isIn(['received', 'wastage', 'count']).withMessage('Type must be received, wastage or count'),
+    body('quantity').isFloat({ min: 0 }).withMessage('Quantity cannot be negative'),
+    body('unit').optional().isIn(Object.keys(UNITS)).withMessage('Unknown unit'),
+    body('costPerUnit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+    body('date').optional().isISO8601().withMessage('Invalid date'),
+    body('notes').optional().isString().isLength({ max: 300 })
+  ],
+
+  recipes: [theaterParam],
+
+  recipe: [theaterParam, productParam],
+
+  saveRecipe: [
+    theaterParam,
+    productParam,
+    body('yield').optional().isFloat({ gt: 0 }).withMessage('Yield must be greater than 0'),
+    body('ingredients').isArray({ min: 1 }).withMessage('Add at least one ingredient'),
+    body('ingredients.*.rawMaterialId').isMongoId().withMessage('Valid raw material ID is required'),
+    body('ingredients.*.quantity').isFloat({ gt: 0 }).withMessage('Ingredient quantity must be greater than 0'),
+    body('ingredients.*.unit').optional().isIn(Object.keys(UNITS)).withMessage('Unknown unit'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  report: [
+    theaterParam,
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { rawMaterialValidator, validate };
@@ -14,6 +14,7 @@ const roleValidator = {
     body('description').optional().trim(),
     body('permissions').optional().isArray().withMessage('Permissions must be an array'),
     body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+    body('refundLimit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Refund limit must be zero or more'),
     body('isGlobal').optional().isBoolean().withMessage('isGlobal must be boolean'),
     body('isDefault').optional().isBoolean().withMessage('isDefault must be boolean')
   ],
@@ -22,6 +23,7 @@ const roleValidator = {
     body('description').optional().trim(),
     body('permissions').optional().isArray().withMessage('Permissions must be an array'),
     body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+    body('refundLimit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Refund limit must be zero or more'),
     body('isGlobal').optional().isBoolean().withMessage('isGlobal must be boolean'),
     body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
   ]
@@ -0,0 +1,64 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Shift Validators
+ */
+const shiftValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ],
+
+  theater: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  open: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be zero or more').toFloat(),
+    body('drawer').optional().isString().trim().isLength({ max: 60 }),
+    body('notes').optional().isString().trim().isLength({ max: 500 })
+  ],
+
+  shift: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('shiftId').isMongoId().withMessage('Valid shift ID is required')
+  ],
+
+  cash: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('shiftId').isMongoId().withMessage('Valid shift ID is required'),
+    body('type').isIn(['in', 'out']).withMessage('Type must be in or out'),
+    body('category').optional().isIn(['petty_cash', 'drop', 'float', 'other'])
+      .withMessage('Category must be petty_cash, drop, float or other'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero').toFloat(),
+    body('reason').optional().isString().trim().isLength({ max: 200 })
+  ],
+
+  close: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('shiftId').isMongoId().withMessage('Valid shift ID is required'),
+    body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be zero or more').toFloat(),
+    body('notes').optional().isString().trim().isLength({ max: 500 })
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { shiftValidator, validate };
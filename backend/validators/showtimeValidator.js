@@ -0,0 +1,83 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Showtime Validators
+ */
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+
+const showtimeFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('screen').isString().trim().notEmpty().withMessage('Screen is required'),
+    field('movieTitle').isString().trim().notEmpty().withMessage('Movie title is required')
+      .isLength({ max: 200 }).withMessage('Movie title is too long'),
+    body('language').optional().isString().trim().isLength({ max: 50 }),
+    field('startTime').isISO8601().withMessage('Valid start time is required'),
+    field('endTime').isISO8601().withMessage('Valid end time is required'),
+    body('intervalStart').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid interval time'),
+    body('intervalMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Interval must be 1 to 60 minutes').toInt(),
+    body('blackouts').optional().isArray({ max: 10 }).withMessage('Blackouts must be a list'),
+    body('blackouts.*.start').isISO8601().withMessage('Valid blackout start is required'),
+    body('blackouts.*.end').isISO8601().withMessage('Valid blackout end is required'),
+    body('blackouts.*.reason').optional().isString().trim().isLength({ max: 100 })
+  ];
+};
+
+const showtimeValidator = {
+  theater: [theaterParam],
+
+  list: [
+    theaterParam,
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ],
+
+  ordering: [
+    theaterParam,
+    query('screen').isString().trim().notEmpty().withMessage('Screen is required')
+  ],
+
+  settings: [
+    theaterParam,
+    body('preShowMinutes').optional().isInt({ min: 0, max: 180 }).withMessage('Pre-show window must be 0 to 180 minutes').toInt(),
+    body('intervalLeadMinutes').optional().isInt({ min: 0, max: 60 }).withMessage('Interval lead must be 0 to 60 minutes').toInt(),
+    body('climaxBlackoutMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Climax blackout must be 0 to 120 minutes').toInt(),
+    body('orderDuringShow').optional().isBoolean().withMessage('orderDuringShow must be true or false').toBoolean()
+  ],
+
+  create: [theaterParam, ...showtimeFields(false)],
+
+  update: [
+    theaterParam,
+    param('showtimeId').isMongoId().withMessage('Valid showtime ID is required'),
+    ...showtimeFields(true)
+  ],
+
+  showtime: [
+    theaterParam,
+    param('showtimeId').isMongoId().withMessage('Valid showtime ID is required')
+  ],
+
+  import: [
+    theaterParam,
+    body('csv').isString().notEmpty().withMessage('CSV text is required')
+      .isLength({ max: 1000000 }).withMessage('CSV is too large')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { showtimeValidator, validate };
@@ -0,0 +1,39 @@
+const { body, query, validationResult } = require('express-validator');
+
+/**
+ * SMS / OTP Validators
+ */
+const smsValidator = {
+  sendOtp: [
+    body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    body('purpose').optional().isString().isLength({ max: 50 }).withMessage('Invalid purpose')
+  ],
+
+  verifyOtp: [
+    body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    body('otp').trim().matches(/^\d{4,8}$/).withMessage('OTP must be 4 to 8 digits'),
+    body('purpose').optional().isString().isLength({ max: 50 }).withMessage('Invalid purpose')
+  ],
+
+  otpStatus: [
+    query('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    query('purpose').optional().isString().isLength({ max: 50 }).withMessage('Invalid purpose')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg || 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { smsValidator, validate };
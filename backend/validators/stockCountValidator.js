@@ -0,0 +1,62 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Stock Count Validators
+ */
+const countParams = [
+  param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+  param('countId').isMongoId().withMessage('Valid count ID is required')
+];
+
+const stockCountValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['open', 'submitted', 'approved', 'cancelled']),
+    query('search').optional().isString().isLength({ max: 100 })
+  ],
+
+  get: countParams,
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('categoryIds').isArray({ min: 1 }).withMessage('Pick at least one category'),
+    body('categoryIds.*').isMongoId().withMessage('Invalid category'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  updateItems: [
+    ...countParams,
+    body('items').isArray({ min: 1 }).withMessage('Nothing to record'),
+    body('items.*').custom(line => Boolean(line?.itemId || line?.barcode)).withMessage('Each line needs an item or a barcode'),
+    body('items.*.itemId').optional().isMongoId().withMessage('Invalid count item'),
+    body('items.*.barcode').optional().isString().trim().isLength({ min: 1, max: 64 }).withMessage('Invalid barcode'),
+    body('items.*.quantity').isInt().withMessage('Quantity must be a whole number'),
+    body('items.*.mode').optional().isIn(['set', 'add']).withMessage('Mode must be set or add')
+  ],
+
+  approve: [
+    ...countParams,
+    body('reason').isString().trim().isLength({ min: 1, max: 300 }).withMessage('A reason for the adjustments is required')
+  ],
+
+  action: countParams
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { stockCountValidator, validate };
@@ -0,0 +1,104 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Stock Location Validators
+ */
+const ORDER_SOURCES = ['qr_code', 'staff', 'online', 'app', 'pos', 'kiosk'];
+
+const locationFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Location name is required'),
+    body('type').optional().isIn(['store', 'counter', 'kiosk']).withMessage('Invalid location type'),
+    body('kioskTypeId').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid kiosk type'),
+    body('orderSources').optional().isArray().withMessage('Order sources must be a list'),
+    body('orderSources.*').optional().isIn(ORDER_SOURCES).withMessage('Invalid order source'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const transferParams = [
+  param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+  param('transferId').isMongoId().withMessage('Valid transfer ID is required')
+];
+
+const stockLocationValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('isActive').optional().isIn(['true', 'false'])
+  ],
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...locationFields(false)
+  ],
+
+  update: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('locationId').isMongoId().withMessage('Valid location ID is required'),
+    ...locationFields(true)
+  ],
+
+  remove: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('locationId').isMongoId().withMessage('Valid location ID is required')
+  ],
+
+  balances: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+    query('search').optional().isString().isLength({ max: 100 })
+  ],
+
+  transfers: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['requested', 'dispatched', 'received', 'cancelled']),
+    query('locationId').optional().isMongoId().withMessage('Invalid location ID')
+  ],
+
+  requestTransfer: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('fromLocationId').isMongoId().withMessage('Pick the location to send from'),
+    body('toLocationId').isMongoId().withMessage('Pick the location to send to'),
+    body('items').isArray({ min: 1 }).withMessage('Add at least one product'),
+    body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  dispatchTransfer: [
+    ...transferParams,
+    body('items').optional().isArray(),
+    body('items.*.itemId').optional().isMongoId().withMessage('Invalid transfer item'),
+    body('items.*.quantity').optional().isInt({ min: 0 }).withMessage('Quantity cannot be negative')
+  ],
+
+  receiveTransfer: [
+    ...transferParams,
+    body('items').optional().isArray(),
+    body('items.*.itemId').optional().isMongoId().withMessage('Invalid transfer item'),
+    body('items.*.quantity').optional().isInt({ min: 0 }).withMessage('Quantity cannot be negative'),
+    body('items.*.reason').optional().isString().isLength({ max: 200 })
+  ],
+
+  cancelTransfer: transferParams
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { stockLocationValidator, validate };
@@ -0,0 +1,63 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Supplier Validators
+ */
+const supplierFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Supplier name is required'),
+    body('contactPerson').optional().isString().trim().isLength({ max: 100 }),
+    body('phone').optional({ checkFalsy: true }).isString().trim().matches(/^[0-9+\-\s]{6,20}$/)
+      .withMessage('Invalid phone number'),
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email address'),
+    body('gstNumber').optional({ checkFalsy: true }).isString().trim().matches(/^[0-9A-Za-z]{15}$/)
+      .withMessage('GST number must be 15 characters'),
+    body('address').optional().isString().isLength({ max: 300 }),
+    body('paymentTerms').optional().isString().isLength({ max: 100 }),
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const supplierValidator = {
+  list: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('isActive').optional().isIn(['true', 'false'])
+  ],
+
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...supplierFields(false)
+  ],
+
+  update: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('supplierId').isMongoId().withMessage('Valid supplier ID is required'),
+    ...supplierFields(true)
+  ],
+
+  remove: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('supplierId').isMongoId().withMessage('Valid supplier ID is required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { supplierValidator, validate };
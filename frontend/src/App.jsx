@@ -38,6 +38,7 @@ const CustomerCart = React.lazy(() => import('./pages/customer/CustomerCart'));
 const CustomerOrderHistory = React.lazy(() => import('./pages/customer/CustomerOrderHistory'));
 const CustomerOrderDetails = React.lazy(() => import('./pages/customer/CustomerOrderDetails'));
 const CustomerFavorites = React.lazy(() => import('./pages/customer/CustomerFavorites'));
+const CustomerLoyalty = React.lazy(() => import('./pages/customer/CustomerLoyalty'));
 const CustomerHelpSupport = React.lazy(() => import('./pages/customer/CustomerHelpSupport'));
 const CustomerCheckout = React.lazy(() => import('./pages/customer/CustomerCheckout'));
 const CustomerPhoneEntry = React.lazy(() => import('./pages/customer/CustomerPhoneEntry'));
@@ -90,6 +91,19 @@ const ViewCart = React.lazy(() => import('./pages/theater/ViewCart'));
 const ProfessionalPOSInterface = React.lazy(() => import('./pages/theater/ProfessionalPOSInterface'));
 const OnlineOrderHistory = React.lazy(() => import('./pages/theater/OnlineOrderHistory'));
 const KioskOrderHistory = React.lazy(() => import('./pages/theater/KioskOrderHistory'));
+const TheaterKitchenDisplay = React.lazy(() => import('./pages/theater/TheaterKitchenDisplay')); // 🍳 Kitchen Display
+const TheaterCoupons = React.lazy(() => import('./pages/theater/TheaterCoupons')); // 🏷️ Coupons
+const TheaterDispatchBoard = React.lazy(() => import('./pages/theater/TheaterDispatchBoard')); // 🛵 Seat Delivery
+const TheaterRunnerView = React.lazy(() => import('./pages/theater/TheaterRunnerView')); // 🛵 Runner queue
+const TheaterSuppliers = React.lazy(() => import('./pages/theater/TheaterSuppliers')); // 🚚 Suppliers
+const TheaterPurchaseOrders = React.lazy(() => import('./pages/theater/TheaterPurchaseOrders')); // 🚚 Purchase orders
+const TheaterRawMaterials = React.lazy(() => import('./pages/theater/TheaterRawMaterials')); // 🌽 Ingredients & recipes
+const TheaterStockTransfers = React.lazy(() => import('./pages/theater/TheaterStockTransfers')); // 🔁 Counter stock & transfers
+const TheaterStockTakes = React.lazy(() => import('./pages/theater/TheaterStockTakes')); // 📋 Physical stock counts
+const TheaterShifts = React.lazy(() => import('./pages/theater/TheaterShifts')); // 💵 Cashier shifts & Z reports
+const TheaterShowtimes = React.lazy(() => import('./pages/theater/TheaterShowtimes')); // 🎬 Showtimes & seat ordering windows
+const TheaterLoyalty = React.lazy(() => import('./pages/theater/TheaterLoyalty')); // ⭐ Loyalty points
+const TheaterFeedback = React.lazy(() => import('./pages/theater/TheaterFeedback')); // ⭐ Customer ratings & feedback
 const AddProduct = React.lazy(() => import('./pages/theater/AddProduct'));
 const TheaterReports = React.lazy(() => import('./pages/theater/TheaterReports')); // ✅ Theater Reports
 const TestAddProductDropdowns = React.lazy(() => import('./components/TestAddProductDropdowns'));
@@ -148,6 +162,7 @@ function App() {
                 <Route path="/customer/order-history" element={<CustomerOrderHistory />} />
                 <Route path="/customer/order-details/:orderId" element={<CustomerOrderDetails />} />
                 <Route path="/customer/favorites" element={<CustomerFavorites />} />
+                <Route path="/customer/loyalty" element={<CustomerLoyalty />} />
                 <Route path="/customer/help-support" element={<CustomerHelpSupport />} />
                 <Route path="/customer/checkout" element={<CustomerCheckout />} />
                 <Route path="/customer/phone-entry" element={<CustomerPhoneEntry />} />
@@ -220,6 +235,19 @@ function App() {
                 <Route path="/offline-pos/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['OfflinePOSInterface']}><OfflinePOSInterface /></RoleBasedRoute>} />
                 <Route path="/online-order-history/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['OnlineOrderHistory']}><OnlineOrderHistory /></RoleBasedRoute>} />
                 <Route path="/kiosk-order-history/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['KioskOrderHistory']}><KioskOrderHistory /></RoleBasedRoute>} />
+                <Route path="/theater-kitchen/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterKitchenDisplay']}><TheaterKitchenDisplay /></RoleBasedRoute>} />
+                <Route path="/theater-coupons/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterCoupons']}><TheaterCoupons /></RoleBasedRoute>} />
+                <Route path="/theater-dispatch/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterDispatchBoard']}><TheaterDispatchBoard /></RoleBasedRoute>} />
+                <Route path="/theater-runner/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterRunnerView']}><TheaterRunnerView /></RoleBasedRoute>} />
+                <Route path="/theater-suppliers/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterSuppliers']}><TheaterSuppliers /></RoleBasedRoute>} />
+                <Route path="/theater-purchase-orders/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterPurchaseOrders']}><TheaterPurchaseOrders /></RoleBasedRoute>} />
+                <Route path="/theater-raw-materials/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterRawMaterials']}><TheaterRawMaterials /></RoleBasedRoute>} />
+                <Route path="/theater-stock-transfers/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterStockTransfers']}><TheaterStockTransfers /></RoleBasedRoute>} />
+                <Route path="/theater-stock-takes/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterStockTakes']}><TheaterStockTakes /></RoleBasedRoute>} />
+                <Route path="/theater-shifts/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterShifts']}><TheaterShifts /></RoleBasedRoute>} />
+                <Route path="/theater-showtimes/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterShowtimes']}><TheaterShowtimes /></RoleBasedRoute>} />
+                <Route path="/theater-loyalty/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterLoyalty']}><TheaterLoyalty /></RoleBasedRoute>} />
+                <Route path="/theater-feedback/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterFeedback']}><TheaterFeedback /></RoleBasedRoute>} />
                 <Route path="/view-cart/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']}><ViewCart /></RoleBasedRoute>} />
                 <Route path="/theater-order-pos/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['ProfessionalPOSInterface']}><ProfessionalPOSInterface /></RoleBasedRoute>} />
                 <Route path="/theater-add-product/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterAddProductWithId']}><AddProduct /></RoleBasedRoute>} />
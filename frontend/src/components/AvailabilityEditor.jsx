@@ -0,0 +1,135 @@
+import React from 'react';
+import { DAY_LABELS } from '../utils/availabilityUtils';
+
+/**
+ * Availability Editor
+ * Admin fields for when and where a product or category can be ordered: days of the week, time ranges,
+ * a date range, screens and kiosk types. Anything left empty doesn't restrict ordering.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Form from toAvailabilityForm
+ * @param {Function} props.onChange - Called with the new form
+ * @param {Array} [props.kioskTypes] - [{ _id or id, name }] to pick from
+ */
+const AvailabilityEditor = ({ value, onChange, kioskTypes = [] }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggle = (field, item) => update({
+    [field]: value[field].includes(item) ? value[field].filter(existing => existing !== item) : [...value[field], item]
+  });
+
+  const updateRange = (index, changes) => update({
+    timeRanges: value.timeRanges.map((range, i) => (i === index ? { ...range, ...changes } : range))
+  });
+
+  return (
+    <div className="availability-editor">
+      <div className="form-group">
+        <label>Days (none ticked = every day)</label>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+          {DAY_LABELS.map((label, day) => (
+            <label key={label} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <input
+                type="checkbox"
+                checked={value.days.includes(day)}
+                onChange={() => toggle('days', day)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Times (none = all day; a range ending before it starts runs past midnight)</label>
+        {value.timeRanges.map((range, index) => (
+          <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <input
+              type="time"
+              value={range.start}
+              onChange={(e) => updateRange(index, { start: e.target.value })}
+              className="form-control"
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={range.end}
+              onChange={(e) => updateRange(index, { end: e.target.value })}
+              className="form-control"
+            />
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => update({ timeRanges: value.timeRanges.filter((_, i) => i !== index) })}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => update({ timeRanges: [...value.timeRanges, { start: '', end: '' }] })}
+        >
+          + Add Time Range
+        </button>
+      </div>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label>From Date</label>
+          <input
+            type="date"
+            value={value.startDate}
+            onChange={(e) => update({ startDate: e.target.value })}
+            className="form-control"
+          />
+        </div>
+        <div className="form-group">
+          <label>Until Date</label>
+          <input
+            type="date"
+            value={value.endDate}
+            min={value.startDate || undefined}
+            onChange={(e) => update({ endDate: e.target.value })}
+            className="form-control"
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Screens (comma separated, empty = all screens)</label>
+        <input
+          type="text"
+          value={value.screens}
+          onChange={(e) => update({ screens: e.target.value })}
+          className="form-control"
+          placeholder="e.g. Screen 1, Gold Lounge"
+        />
+      </div>
+
+      {kioskTypes.length > 0 && (
+        <div className="form-group">
+          <label>Kiosk Types (none ticked = all kiosks)</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+            {kioskTypes.map(kioskType => {
+              const id = String(kioskType._id || kioskType.id);
+              return (
+                <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                  <input
+                    type="checkbox"
+                    checked={value.kioskTypes.includes(id)}
+                    onChange={() => toggle('kioskTypes', id)}
+                  />
+                  {kioskType.name}
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityEditor;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { fetchShiftReport, closeShift } from '../utils/shiftSession';
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * Close Shift Modal
+ * Cash-up at the end of a shift: the cashier counts the drawer and the difference from the
+ * expected cash is recorded with the Z report.
+ * Uses the theater modal styles (TheaterGlobalModals.css).
+ *
+ * @param {Object} shift - Open shift being closed
+ * @param {string} theaterId - Theater the shift belongs to
+ * @param {Function} onClose - Close without closing the shift
+ * @param {Function} onClosed - Called with the closed shift
+ */
+const CloseShiftModal = ({ shift, theaterId, onClose, onClosed }) => {
+  const [expectedCash, setExpectedCash] = useState(null);
+  const [countedCash, setCountedCash] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchShiftReport(theaterId, shift._id)
+      .then(report => setExpectedCash(report.cash.expected))
+      .catch(err => setError(err.message));
+  }, [theaterId, shift._id]);
+
+  const counted = parseFloat(countedCash);
+  const variance = expectedCash !== null && !Number.isNaN(counted) ? counted - expectedCash : null;
+
+  const handleSubmit = async () => {
+    if (Number.isNaN(counted) || counted < 0) {
+      setError('Enter the cash counted in the drawer');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const closed = await closeShift(theaterId, shift._id, { countedCash: counted, notes: notes.trim() });
+      onClosed(closed);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Close Shift {shift.shiftNumber}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '20px', height: '20px'}}>
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="edit-form">
+            <div className="form-group">
+              <label>Expected Cash in Drawer</label>
+              <input
+                type="text"
+                value={expectedCash === null ? 'Calculating...' : formatAmount(expectedCash)}
+                className="form-control"
+                readOnly
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Counted Cash (₹)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={countedCash}
+                onChange={(e) => setCountedCash(e.target.value)}
+                className="form-control"
+                placeholder="Count the drawer, float included"
+                autoFocus
+              />
+              {variance !== null && (
+                <small style={{ color: variance < 0 ? '#DC2626' : variance > 0 ? '#D97706' : '#059669', fontWeight: 600 }}>
+                  {variance < 0 ? `Short by ${formatAmount(-variance)}` : variance > 0 ? `Over by ${formatAmount(variance)}` : 'Drawer balances'}
+                </small>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Notes</label>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="form-control"
+                placeholder="Explain any difference"
+                rows="3"
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose} disabled={submitting}>
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleSubmit} disabled={submitting || countedCash === ''}>
+            {submitting ? 'Closing...' : 'Close Shift'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloseShiftModal;
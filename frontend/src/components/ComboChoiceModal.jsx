@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { describeCombo, getDefaultComboSelections } from '../utils/comboUtils';
+import '../styles/components/ComboChoiceModal.css';
+
+/**
+ * Combo Choice Modal
+ * Lets the customer or cashier pick swaps (e.g. "any 500ml drink") before a combo is added.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Combo product from the products API
+ * @param {Function} props.onConfirm - Called with comboSelections: [{ slot, productId }]
+ * @param {Function} props.onClose
+ */
+const ComboChoiceModal = ({ product, onConfirm, onClose }) => {
+  const [selections, setSelections] = useState(() => getDefaultComboSelections(product));
+
+  const selectOption = (slot, productId) => {
+    setSelections(prev => prev.map(s => (s.slot === slot ? { slot, productId } : s)));
+  };
+
+  return (
+    <div className="combo-choice-overlay" onClick={onClose}>
+      <div className="combo-choice-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="combo-choice-header">
+          <h3>{product.name}</h3>
+          <button type="button" className="combo-choice-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="combo-choice-body">
+          {product.comboItems.map((comboItem, slot) => {
+            const options = [
+              { productId: comboItem.productId, productName: comboItem.productName, isAvailable: true },
+              ...(comboItem.swapOptions || [])
+            ];
+            const selected = selections.find(s => s.slot === slot)?.productId;
+
+            return (
+              <div key={slot} className="combo-choice-slot">
+                <div className="combo-choice-slot-title">
+                  {comboItem.quantity > 1 ? `${comboItem.quantity}× ` : ''}
+                  {options.length > 1 ? `Choose ${comboItem.productName} or swap` : comboItem.productName}
+                </div>
+                {options.length > 1 && options.map(option => (
+                  <label
+                    key={String(option.productId)}
+                    className={`combo-choice-option ${option.isAvailable === false ? 'unavailable' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name={`combo-slot-${slot}`}
+                      checked={String(selected) === String(option.productId)}
+                      disabled={option.isAvailable === false}
+                      onChange={() => selectOption(slot, String(option.productId))}
+                    />
+                    <span>{option.productName}</span>
+                    {option.isAvailable === false && <small>Sold out</small>}
+                  </label>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="combo-choice-footer">
+          <div className="combo-choice-summary">{describeCombo(product, selections)}</div>
+          <button type="button" className="combo-choice-confirm" onClick={() => onConfirm(selections)}>
+            Add to Cart
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComboChoiceModal;
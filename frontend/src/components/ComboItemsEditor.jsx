@@ -0,0 +1,94 @@
+import React from 'react';
+import { isComboProduct } from '../utils/comboUtils';
+
+const emptyRow = () => ({ productId: '', quantity: 1, swapOptions: [] });
+
+/**
+ * Combo Items Editor
+ * Admin rows for the products in a combo: product, quantity and the products a customer may swap it for.
+ *
+ * @param {Object} props
+ * @param {Array} props.products - Theater products to choose from (combos are left out)
+ * @param {Array} props.value - [{ productId, quantity, swapOptions: [productId] }]
+ * @param {Function} props.onChange - Called with the new rows
+ * @param {string} [props.excludeId] - The combo being edited
+ */
+const ComboItemsEditor = ({ products, value, onChange, excludeId = null }) => {
+  const rows = value.length > 0 ? value : [emptyRow()];
+  const choices = products.filter(p => !isComboProduct(p) && String(p._id) !== String(excludeId));
+
+  const updateRow = (index, changes) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (index) => {
+    onChange(rows.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="combo-items-editor">
+      {rows.map((row, index) => (
+        <div key={index} className="form-grid" style={{ alignItems: 'flex-start', marginBottom: '12px' }}>
+          <div className="form-group">
+            <label>Item {index + 1}</label>
+            <select
+              value={row.productId}
+              onChange={(e) => updateRow(index, { productId: e.target.value })}
+              className="form-control"
+            >
+              <option value="">Select product...</option>
+              {choices.map(product => (
+                <option key={product._id} value={String(product._id)}>
+                  {product.name}{product.quantity ? ` (${product.quantity})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Quantity</label>
+            <input
+              type="number"
+              min="1"
+              value={row.quantity}
+              onChange={(e) => updateRow(index, { quantity: parseInt(e.target.value) || 1 })}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label>Can be swapped for</label>
+            <select
+              multiple
+              value={row.swapOptions}
+              onChange={(e) => updateRow(index, {
+                swapOptions: Array.from(e.target.selectedOptions, option => option.value)
+              })}
+              className="form-control"
+              style={{ minHeight: '80px' }}
+            >
+              {choices.filter(product => String(product._id) !== row.productId).map(product => (
+                <option key={product._id} value={String(product._id)}>
+                  {product.name}{product.quantity ? ` (${product.quantity})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          {rows.length > 1 && (
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => removeRow(index)}
+              style={{ alignSelf: 'center' }}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+      <button type="button" className="btn-secondary" onClick={() => onChange([...rows, emptyRow()])}>
+        + Add Item
+      </button>
+    </div>
+  );
+};
+
+export default ComboItemsEditor;
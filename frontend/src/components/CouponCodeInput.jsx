@@ -0,0 +1,56 @@
+import React from 'react';
+import '../styles/components/CouponCodeInput.css';
+
+/**
+ * Coupon Code Input
+ * "Apply code" field for carts - pair with the useCouponCode hook.
+ *
+ * @param {Object} props - Values returned by useCouponCode plus an optional className
+ */
+const CouponCodeInput = ({ code, setCode, coupon, error, applying, applyCoupon, removeCoupon, className = '' }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applyCoupon();
+  };
+
+  if (coupon) {
+    return (
+      <div className={`coupon-code ${className}`}>
+        <div className="coupon-code-applied">
+          <div className="coupon-code-applied-info">
+            <span className="coupon-code-tag">🏷️ {coupon.code}</span>
+            <span className="coupon-code-saving">
+              You save ₹{Number(coupon.discountAmount || 0).toFixed(2)}
+              {coupon.description ? ` · ${coupon.description}` : ''}
+            </span>
+          </div>
+          <button type="button" className="coupon-code-remove" onClick={removeCoupon}>
+            Remove
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className={`coupon-code ${className}`} onSubmit={handleSubmit}>
+      <div className="coupon-code-row">
+        <input
+          type="text"
+          className="coupon-code-input"
+          placeholder="Enter coupon code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          maxLength={30}
+          disabled={applying}
+        />
+        <button type="submit" className="coupon-code-apply" disabled={applying || !code.trim()}>
+          {applying ? 'Applying...' : 'Apply'}
+        </button>
+      </div>
+      {error && <div className="coupon-code-error">{error}</div>}
+    </form>
+  );
+};
+
+export default CouponCodeInput;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { formatTier } from '../utils/loyaltyUtils';
+import '../styles/components/LoyaltyRedeemInput.css';
+
+/**
+ * Loyalty Redeem Input
+ * Points balance and "redeem points" field for carts - pair with the useLoyaltyPoints hook.
+ *
+ * @param {Object} props - account plus the values returned by useLoyaltyPoints, and an optional className
+ */
+const LoyaltyRedeemInput = ({ account, points, setPoints, maxPoints, discount, error, redeemMaxPoints, clearPoints, className = '' }) => {
+  if (!account) return null;
+
+  const canRedeem = account.balance >= account.rules.minRedeemPoints && maxPoints >= account.rules.minRedeemPoints;
+
+  return (
+    <div className={`loyalty-redeem ${className}`}>
+      <div className="loyalty-redeem-header">
+        <span className="loyalty-redeem-balance">⭐ {account.balance} points</span>
+        {account.tier && <span className={`loyalty-redeem-tier tier-${account.tier.name}`}>{formatTier(account.tier)}</span>}
+      </div>
+
+      {canRedeem ? (
+        <>
+          <div className="loyalty-redeem-row">
+            <input
+              type="number"
+              className="loyalty-redeem-input"
+              placeholder={`Up to ${maxPoints} points`}
+              value={points || ''}
+              min={0}
+              max={maxPoints}
+              onChange={(e) => setPoints(e.target.value)}
+            />
+            {points > 0 ? (
+              <button type="button" className="loyalty-redeem-clear" onClick={clearPoints}>
+                Remove
+              </button>
+            ) : (
+              <button type="button" className="loyalty-redeem-max" onClick={redeemMaxPoints}>
+                Use {maxPoints}
+              </button>
+            )}
+          </div>
+          {error
+            ? <div className="loyalty-redeem-error">{error}</div>
+            : discount > 0 && <div className="loyalty-redeem-saving">You save ₹{discount.toFixed(2)} with points</div>}
+        </>
+      ) : (
+        <div className="loyalty-redeem-note">
+          Redeem from {account.rules.minRedeemPoints} points · 1 point = ₹{account.rules.pointValue}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoyaltyRedeemInput;
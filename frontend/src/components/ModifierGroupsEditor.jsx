@@ -0,0 +1,141 @@
+import React from 'react';
+
+const emptyOption = () => ({ label: '', price: 0, isAvailable: true });
+const emptyGroup = () => ({ name: '', required: false, minSelections: 0, maxSelections: 1, options: [emptyOption()] });
+
+/**
+ * Modifier Groups Editor
+ * Admin rows for a product's modifier groups (size, extras, flavour...) and their priced options.
+ *
+ * @param {Object} props
+ * @param {Array} props.value - [{ name, required, minSelections, maxSelections, options: [{ label, price, isAvailable }] }]
+ * @param {Function} props.onChange - Called with the new groups
+ */
+const ModifierGroupsEditor = ({ value, onChange }) => {
+  const updateGroup = (index, changes) => {
+    onChange(value.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+  };
+
+  const updateOption = (groupIndex, optionIndex, changes) => {
+    const options = value[groupIndex].options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option));
+    updateGroup(groupIndex, { options });
+  };
+
+  return (
+    <div className="modifier-groups-editor">
+      {value.map((group, groupIndex) => (
+        <div key={groupIndex} style={{ border: '1px solid #e5e7eb', borderRadius: '8px', padding: '12px', marginBottom: '12px' }}>
+          <div className="form-grid" style={{ alignItems: 'flex-end' }}>
+            <div className="form-group">
+              <label>Group Name</label>
+              <input
+                type="text"
+                value={group.name}
+                onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                className="form-control"
+                placeholder="e.g. Size, Extra Toppings"
+              />
+            </div>
+            <div className="form-group">
+              <label>Min Picks</label>
+              <input
+                type="number"
+                min="0"
+                value={group.minSelections}
+                onChange={(e) => updateGroup(groupIndex, { minSelections: parseInt(e.target.value) || 0 })}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Max Picks (0 = any)</label>
+              <input
+                type="number"
+                min="0"
+                value={group.maxSelections}
+                onChange={(e) => updateGroup(groupIndex, { maxSelections: parseInt(e.target.value) || 0 })}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={group.required}
+                  onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })}
+                />
+                Required
+              </label>
+            </div>
+          </div>
+
+          {group.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="form-grid" style={{ alignItems: 'flex-end', marginTop: '8px' }}>
+              <div className="form-group">
+                <label>Option {optionIndex + 1}</label>
+                <input
+                  type="text"
+                  value={option.label}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { label: e.target.value })}
+                  className="form-control"
+                  placeholder="e.g. Large, Caramel"
+                />
+              </div>
+              <div className="form-group">
+                <label>Extra Price (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={option.price}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { price: parseFloat(e.target.value) || 0 })}
+                  className="form-control"
+                />
+              </div>
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={option.isAvailable !== false}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { isAvailable: e.target.checked })}
+                  />
+                  Available
+                </label>
+              </div>
+              {group.options.length > 1 && (
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => updateGroup(groupIndex, { options: group.options.filter((_, i) => i !== optionIndex) })}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+            >
+              + Add Option
+            </button>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => onChange(value.filter((_, i) => i !== groupIndex))}
+            >
+              Remove Group
+            </button>
+          </div>
+        </div>
+      ))}
+      <button type="button" className="btn-secondary" onClick={() => onChange([...value, emptyGroup()])}>
+        + Add Modifier Group
+      </button>
+    </div>
+  );
+};
+
+export default ModifierGroupsEditor;
@@ -0,0 +1,445 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { FormGroup, FormInput, Button } from './GlobalDesignSystem';
+import config from '../config';
+import { getAuthToken } from '../utils/authHelper';
+import {
+  DEFAULT_PRINT_AGENT_URL,
+  getPrintAgentUrl,
+  setPrintAgentUrl,
+  getPrintAgentKey,
+  setPrintAgentKey,
+  checkPrintAgent,
+  printTestPage,
+  loadPrintProfile
+} from '../utils/receiptPrinting';
+
+const SOURCES = [
+  { value: 'pos', label: 'POS' },
+  { value: 'offline-pos', label: 'Offline POS' },
+  { value: 'kiosk', label: 'Kiosk' },
+  { value: 'qr_code', label: 'QR orders' },
+  { value: 'online', label: 'Online' }
+];
+
+const AGENT_STATUS_LABELS = {
+  connected: '● Connected',
+  key_rejected: '● Wrong key',
+  offline: '● Not running'
+};
+
+const emptyForm = {
+  name: '',
+  role: 'receipt',
+  paperWidth: 80,
+  connectionType: 'network',
+  address: '',
+  sources: [],
+  categoryIds: [],
+  copies: 1,
+  printLogo: true,
+  isActive: true
+};
+
+/**
+ * Printer Settings
+ * The theater's thermal printers, what each one prints, and the print agent on this computer
+ */
+const PrinterSettings = ({ theaterId }) => {
+  const [printers, setPrinters] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [agentUrl, setAgentUrl] = useState(getPrintAgentUrl());
+  const [agentKey, setAgentKey] = useState(getPrintAgentKey());
+  const [agentStatus, setAgentStatus] = useState(null);
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getAuthToken()}`
+  }), []);
+
+  const loadPrinters = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.api.baseUrl}/printers/${theaterId}`, { headers: authHeaders });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || 'Failed to load printers');
+      }
+      setPrinters(result.data || []);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, authHeaders]);
+
+  useEffect(() => {
+    if (!theaterId) return;
+    loadPrinters();
+    fetch(`${config.api.baseUrl}/theater-categories/${theaterId}?limit=100`, { headers: authHeaders })
+      .then(res => res.json())
+      .then(data => setCategories(data.data?.categories || (Array.isArray(data.data) ? data.data : [])))
+      .catch(() => {
+        // Kitchen printers then print every item
+      });
+    checkPrintAgent().then(setAgentStatus);
+  }, [theaterId, authHeaders, loadPrinters]);
+
+  const categoryNames = useMemo(() => {
+    const names = {};
+    categories.forEach(category => {
+      names[String(category._id)] = category.categoryName || category.name;
+    });
+    return names;
+  }, [categories]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+    setMessage(null);
+  };
+
+  const openEdit = (printer) => {
+    setEditingId(printer._id);
+    setFormData({
+      name: printer.name,
+      role: printer.role,
+      paperWidth: printer.paperWidth,
+      connectionType: printer.connection?.type || 'network',
+      address: printer.connection?.address || '',
+      sources: printer.sources || [],
+      categoryIds: (printer.categoryIds || []).map(String),
+      copies: printer.copies || 1,
+      printLogo: printer.printLogo !== false,
+      isActive: printer.isActive !== false
+    });
+    setShowForm(true);
+    setMessage(null);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleSource = (source) => {
+    setFormData(prev => ({
+      ...prev,
+      sources: prev.sources.includes(source)
+        ? prev.sources.filter(item => item !== source)
+        : [...prev.sources, source]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const payload = {
+      name: formData.name.trim(),
+      role: formData.role,
+      paperWidth: Number(formData.paperWidth),
+      connection: { type: formData.connectionType, address: formData.address.trim() },
+      sources: formData.role === 'receipt' ? formData.sources : [],
+      categoryIds: formData.role === 'kitchen' ? formData.categoryIds : [],
+      copies: Number(formData.copies) || 1,
+      printLogo: formData.printLogo,
+      isActive: formData.isActive
+    };
+
+    try {
+      const response = await fetch(
+        `${config.api.baseUrl}/printers/${theaterId}${editingId ? `/${editingId}` : ''}`,
+        { method: editingId ? 'PUT' : 'POST', headers: authHeaders, body: JSON.stringify(payload) }
+      );
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.details?.[0]?.msg || result.message || result.error || 'Failed to save printer');
+      }
+      setShowForm(false);
+      setMessage({ type: 'success', text: `Printer ${payload.name} saved` });
+      await loadPrinters();
+      // Tills on this computer pick up the change straight away
+      loadPrintProfile(theaterId, { refresh: true }).catch(() => {});
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (printer) => {
+    if (!window.confirm(`Delete printer ${printer.name}?`)) return;
+    try {
+      const response = await fetch(`${config.api.baseUrl}/printers/${theaterId}/${printer._id}`, {
+        method: 'DELETE',
+        headers: authHeaders
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || 'Failed to delete printer');
+      }
+      await loadPrinters();
+      loadPrintProfile(theaterId, { refresh: true }).catch(() => {});
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleTestPrint = async (printer) => {
+    setMessage(null);
+    try {
+      await printTestPage(printer);
+      setMessage({ type: 'success', text: `Test page sent to ${printer.name}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `${printer.name}: ${error.message}` });
+    }
+  };
+
+  const handleSaveAgentUrl = async () => {
+    setPrintAgentUrl(agentUrl.trim());
+    setAgentUrl(getPrintAgentUrl());
+    setPrintAgentKey(agentKey.trim());
+    setAgentStatus(null);
+    setAgentStatus(await checkPrintAgent());
+  };
+
+  const describeRouting = (printer) => {
+    if (printer.role === 'receipt') {
+      return printer.sources?.length
+        ? printer.sources.map(source => SOURCES.find(item => item.value === source)?.label || source).join(', ')
+        : 'All orders';
+    }
+    return printer.categoryIds?.length
+      ? printer.categoryIds.map(id => categoryNames[String(id)] || 'Unknown category').join(', ')
+      : 'All items';
+  };
+
+  return (
+    <div className="settings-section">
+      <div className="section-header">
+        <h3>Printers</h3>
+        <p style={{ fontSize: '14px', color: '#6b7280', marginTop: '8px' }}>
+          Thermal receipt and kitchen printers. The POS, kiosk and offline POS send print jobs to the print agent running on the counter computer.
+        </p>
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '10px 14px',
+          borderRadius: '6px',
+          marginBottom: '16px',
+          fontSize: '14px',
+          background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+          color: message.type === 'error' ? '#991B1B' : '#065F46'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Print agent on this computer */}
+      <div className="config-grid">
+        <FormGroup
+          label="Print Agent Address (this computer)"
+          help={`Start it with: node backend/scripts/print-agent.js (default ${DEFAULT_PRINT_AGENT_URL})`}
+        >
+          <FormInput
+            type="text"
+            value={agentUrl}
+            onChange={(e) => setAgentUrl(e.target.value)}
+            placeholder={DEFAULT_PRINT_AGENT_URL}
+          />
+        </FormGroup>
+        <FormGroup
+          label="Print Agent Key (this computer)"
+          help="The PRINT_AGENT_KEY the agent was started with"
+        >
+          <FormInput
+            type="password"
+            value={agentKey}
+            onChange={(e) => setAgentKey(e.target.value)}
+            autoComplete="off"
+          />
+        </FormGroup>
+        <FormGroup label="Agent Status">
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <span style={{ fontSize: '14px', fontWeight: 600, color: agentStatus === 'connected' ? '#059669' : '#DC2626' }}>
+              {agentStatus === null ? 'Checking...' : AGENT_STATUS_LABELS[agentStatus]}
+            </span>
+            <Button variant="secondary" size="sm" onClick={handleSaveAgentUrl}>
+              Save & Check
+            </Button>
+          </div>
+        </FormGroup>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '24px 0 12px' }}>
+        <h4 style={{ fontSize: '16px', fontWeight: '600', margin: 0 }}>Theater Printers</h4>
+        {!showForm && (
+          <Button variant="primary" size="sm" onClick={openCreate}>
+            + Add Printer
+          </Button>
+        )}
+      </div>
+
+      {showForm && (
+        <form className="edit-form" onSubmit={handleSubmit} style={{ border: '1px solid #e5e7eb', borderRadius: '8px', padding: '16px', marginBottom: '16px' }}>
+          <div className="config-grid">
+            <FormGroup label="Name" required>
+              <FormInput
+                type="text"
+                value={formData.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+                placeholder="e.g. Counter 1, Kitchen"
+                required
+              />
+            </FormGroup>
+            <FormGroup label="Prints">
+              <select className="form-input" value={formData.role} onChange={(e) => handleChange('role', e.target.value)}>
+                <option value="receipt">Customer receipts</option>
+                <option value="kitchen">Kitchen tickets</option>
+              </select>
+            </FormGroup>
+            <FormGroup label="Paper Width">
+              <select className="form-input" value={formData.paperWidth} onChange={(e) => handleChange('paperWidth', e.target.value)}>
+                <option value={80}>80 mm</option>
+                <option value={58}>58 mm</option>
+              </select>
+            </FormGroup>
+            <FormGroup label="Connection">
+              <select className="form-input" value={formData.connectionType} onChange={(e) => handleChange('connectionType', e.target.value)}>
+                <option value="network">Network (IP)</option>
+                <option value="device">USB / serial device</option>
+              </select>
+            </FormGroup>
+            <FormGroup
+              label={formData.connectionType === 'network' ? 'Printer IP[:port]' : 'Device path'}
+              required
+            >
+              <FormInput
+                type="text"
+                value={formData.address}
+                onChange={(e) => handleChange('address', e.target.value)}
+                placeholder={formData.connectionType === 'network' ? '192.168.1.50:9100' : '/dev/usb/lp0 or COM3'}
+                required
+              />
+            </FormGroup>
+            <FormGroup label="Copies">
+              <FormInput
+                type="number"
+                min="1"
+                max="5"
+                value={formData.copies}
+                onChange={(e) => handleChange('copies', e.target.value)}
+              />
+            </FormGroup>
+          </div>
+
+          {formData.role === 'receipt' ? (
+            <FormGroup label="Print receipts for" help="Leave all unchecked to print every order">
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+                {SOURCES.map(source => (
+                  <label key={source.value} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+                    <input
+                      type="checkbox"
+                      checked={formData.sources.includes(source.value)}
+                      onChange={() => toggleSource(source.value)}
+                    />
+                    {source.label}
+                  </label>
+                ))}
+              </div>
+            </FormGroup>
+          ) : (
+            <FormGroup label="Print items from categories" help="Leave empty to print every item">
+              <select
+                multiple
+                className="form-input"
+                value={formData.categoryIds}
+                onChange={(e) => handleChange('categoryIds', Array.from(e.target.selectedOptions, option => option.value))}
+                style={{ minHeight: '100px' }}
+              >
+                {categories.map(category => (
+                  <option key={category._id} value={String(category._id)}>
+                    {category.categoryName || category.name}
+                  </option>
+                ))}
+              </select>
+            </FormGroup>
+          )}
+
+          <div style={{ display: 'flex', gap: '24px', marginBottom: '16px' }}>
+            {formData.role === 'receipt' && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+                <input type="checkbox" checked={formData.printLogo} onChange={(e) => handleChange('printLogo', e.target.checked)} />
+                Print theater logo
+              </label>
+            )}
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+              <input type="checkbox" checked={formData.isActive} onChange={(e) => handleChange('isActive', e.target.checked)} />
+              Active
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+            <Button variant="secondary" onClick={() => setShowForm(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" loading={saving}>
+              {editingId ? 'Save Printer' : 'Add Printer'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p style={{ fontSize: '14px', color: '#6b7280' }}>Loading printers...</p>
+      ) : printers.length === 0 ? (
+        <div style={{ background: '#f3f4f6', padding: '32px', borderRadius: '8px', textAlign: 'center', border: '1px dashed #d1d5db' }}>
+          <div style={{ fontSize: '36px', marginBottom: '8px' }}>🖨️</div>
+          <div style={{ fontSize: '14px', color: '#6b7280' }}>
+            No printers yet. Receipts print through the browser until one is added.
+          </div>
+        </div>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Prints</th>
+              <th>Address</th>
+              <th>Routing</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {printers.map(printer => (
+              <tr key={printer._id}>
+                <td>{printer.name} <span style={{ color: '#6b7280', fontSize: '12px' }}>({printer.paperWidth} mm)</span></td>
+                <td>{printer.role === 'receipt' ? 'Receipts' : 'Kitchen tickets'}</td>
+                <td>{printer.connection?.address}</td>
+                <td>{describeRouting(printer)}</td>
+                <td>{printer.isActive ? 'Active' : 'Inactive'}</td>
+                <td>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <Button variant="secondary" size="sm" onClick={() => handleTestPrint(printer)}>Test</Button>
+                    <Button variant="secondary" size="sm" onClick={() => openEdit(printer)}>Edit</Button>
+                    <Button variant="error" size="sm" onClick={() => handleDelete(printer)}>Delete</Button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PrinterSettings;
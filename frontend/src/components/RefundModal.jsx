@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import config from '../config';
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * Refund Modal
+ * Full, per-item or custom-amount refund of a paid order.
+ * Uses the theater modal styles (TheaterGlobalModals.css).
+ *
+ * @param {Object} order - Order being refunded (needs items, pricing and payment)
+ * @param {string} theaterId - Theater the order belongs to
+ * @param {Function} onClose - Close without refunding
+ * @param {Function} onRefunded - Called with the API result after a successful refund
+ */
+const RefundModal = ({ order, theaterId, onClose, onRefunded }) => {
+  const [mode, setMode] = useState('full');
+  const [quantities, setQuantities] = useState({});
+  const [customAmount, setCustomAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const total = order?.pricing?.total ?? order?.totalAmount ?? 0;
+  const alreadyRefunded = order?.payment?.refundAmount || 0;
+  const refundable = Math.max(0, Math.round((total - alreadyRefunded) * 100) / 100);
+
+  // Items grouped by product with the quantity still refundable
+  const refundableItems = useMemo(() => {
+    const refundedQty = {};
+    (order?.payment?.refunds || []).forEach(refund => {
+      (refund.items || []).forEach(item => {
+        const key = String(item.productId);
+        refundedQty[key] = (refundedQty[key] || 0) + (item.quantity || 0);
+      });
+    });
+
+    const byProduct = {};
+    (order?.items || order?.products || []).forEach(item => {
+      const key = String(item.productId);
+      if (!byProduct[key]) {
+        byProduct[key] = {
+          productId: key,
+          name: item.name || item.productName || 'Item',
+          unitPrice: item.unitPrice ?? item.price ?? 0,
+          quantity: 0
+        };
+      }
+      byProduct[key].quantity += item.quantity || 0;
+    });
+
+    return Object.values(byProduct)
+      .map(item => ({ ...item, remaining: Math.max(0, item.quantity - (refundedQty[item.productId] || 0)) }))
+      .filter(item => item.remaining > 0);
+  }, [order]);
+
+  useEffect(() => {
+    setMode('full');
+    setQuantities({});
+    setCustomAmount('');
+    setReason('');
+    setError('');
+  }, [order]);
+
+  // Item refunds include the items' share of tax, same as the backend
+  const itemsAmount = useMemo(() => {
+    const itemsValue = refundableItems.reduce(
+      (sum, item) => sum + item.unitPrice * (quantities[item.productId] || 0), 0
+    );
+    const subtotal = order?.pricing?.subtotal || 0;
+    const value = subtotal > 0 ? itemsValue * (total / subtotal) : itemsValue;
+    return Math.min(Math.round(value * 100) / 100, refundable);
+  }, [refundableItems, quantities, order, total, refundable]);
+
+  const refundAmount = mode === 'full'
+    ? refundable
+    : mode === 'items'
+      ? itemsAmount
+      : Number(customAmount) || 0;
+
+  const setQuantity = (productId, value, max) => {
+    const quantity = Math.max(0, Math.min(max, parseInt(value, 10) || 0));
+    setQuantities(prev => ({ ...prev, [productId]: quantity }));
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+
+    if (!reason.trim()) {
+      setError('Please enter a reason for the refund');
+      return;
+    }
+    if (!(refundAmount > 0)) {
+      setError(mode === 'items' ? 'Select at least one item to refund' : 'Enter a refund amount');
+      return;
+    }
+    if (refundAmount > refundable) {
+      setError(`Refund cannot exceed ${formatAmount(refundable)}`);
+      return;
+    }
+
+    const body = { reason: reason.trim() };
+    if (mode === 'items') {
+      body.items = Object.entries(quantities)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([productId, quantity]) => ({ productId, quantity }));
+    } else if (mode === 'amount') {
+      body.amount = refundAmount;
+    }
+
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('authToken') || localStorage.getItem('token');
+      const response = await fetch(`${config.api.baseUrl}/payments/refunds/${theaterId}/${order._id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to issue refund');
+      }
+
+      onRefunded?.(data.data);
+    } catch (err) {
+      setError(err.message || 'Failed to issue refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!order) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Refund Order #{order.orderNumber}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '20px', height: '20px'}}>
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="edit-form">
+            <div className="form-group">
+              <label>Refundable Balance</label>
+              <input
+                type="text"
+                value={`${formatAmount(refundable)} of ${formatAmount(total)}${alreadyRefunded > 0 ? ` (${formatAmount(alreadyRefunded)} already refunded)` : ''}`}
+                className="form-control"
+                readOnly
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Refund Type</label>
+              <select value={mode} onChange={(e) => setMode(e.target.value)} className="form-control">
+                <option value="full">Full refund (restock all items)</option>
+                <option value="items" disabled={refundableItems.length === 0}>Selected items</option>
+                <option value="amount">Custom amount (no restock)</option>
+              </select>
+            </div>
+
+            {mode === 'items' && (
+              <div className="form-group">
+                <label>Items to Refund</label>
+                {refundableItems.map(item => (
+                  <div
+                    key={item.productId}
+                    style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '8px' }}
+                  >
+                    <span style={{ flex: 1 }}>
+                      {item.name} <small style={{ color: '#6b7280' }}>({formatAmount(item.unitPrice)} × {item.remaining} left)</small>
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={item.remaining}
+                      value={quantities[item.productId] || 0}
+                      onChange={(e) => setQuantity(item.productId, e.target.value, item.remaining)}
+                      className="form-control"
+                      style={{ width: '90px' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {mode === 'amount' && (
+              <div className="form-group">
+                <label>Amount (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max={refundable}
+                  step="0.01"
+                  value={customAmount}
+                  onChange={(e) => setCustomAmount(e.target.value)}
+                  className="form-control"
+                  placeholder={`Up to ${refundable.toFixed(2)}`}
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>Reason</label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="form-control"
+                placeholder="Why is this order being refunded?"
+                rows="3"
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose} disabled={submitting}>
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleSubmit} disabled={submitting || refundable <= 0}>
+            {submitting ? 'Refunding...' : `Refund ${formatAmount(refundAmount)}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefundModal;
@@ -20,6 +20,19 @@ const pageNameMapping = {
   'TheaterOrderHistory': 'order-history',
   'OnlineOrderHistory': 'online-order-history',
   'KioskOrderHistory': 'kiosk-order-history',
+  'TheaterKitchenDisplay': 'kitchen-display',
+  'TheaterCoupons': 'coupons',
+  'TheaterDispatchBoard': 'dispatch-board',
+  'TheaterRunnerView': 'runner-view',
+  'TheaterSuppliers': 'suppliers',
+  'TheaterPurchaseOrders': 'purchase-orders',
+  'TheaterRawMaterials': 'raw-materials',
+  'TheaterStockTransfers': 'stock-transfers',
+  'TheaterStockTakes': 'stock-takes',
+  'TheaterShifts': 'shifts',
+  'TheaterShowtimes': 'showtimes',
+  'TheaterLoyalty': 'loyalty',
+  'TheaterFeedback': 'feedback',
   'TheaterRoles': 'theater-roles',
   'TheaterRoleAccess': 'theater-role-access',
   'TheaterQRCodeNames': 'qr-code-names',
@@ -58,6 +71,32 @@ const getRouteFromPageId = (pageId, theaterId) => {
     'online-order-history': `/online-order-history/${theaterId}`,
     'KioskOrderHistory': `/kiosk-order-history/${theaterId}`,
     'kiosk-order-history': `/kiosk-order-history/${theaterId}`,
+    'TheaterKitchenDisplay': `/theater-kitchen/${theaterId}`,
+    'kitchen-display': `/theater-kitchen/${theaterId}`,
+    'TheaterCoupons': `/theater-coupons/${theaterId}`,
+    'coupons': `/theater-coupons/${theaterId}`,
+    'TheaterDispatchBoard': `/theater-dispatch/${theaterId}`,
+    'dispatch-board': `/theater-dispatch/${theaterId}`,
+    'TheaterRunnerView': `/theater-runner/${theaterId}`,
+    'runner-view': `/theater-runner/${theaterId}`,
+    'TheaterSuppliers': `/theater-suppliers/${theaterId}`,
+    'suppliers': `/theater-suppliers/${theaterId}`,
+    'TheaterPurchaseOrders': `/theater-purchase-orders/${theaterId}`,
+    'purchase-orders': `/theater-purchase-orders/${theaterId}`,
+    'TheaterRawMaterials': `/theater-raw-materials/${theaterId}`,
+    'raw-materials': `/theater-raw-materials/${theaterId}`,
+    'TheaterStockTransfers': `/theater-stock-transfers/${theaterId}`,
+    'stock-transfers': `/theater-stock-transfers/${theaterId}`,
+    'TheaterStockTakes': `/theater-stock-takes/${theaterId}`,
+    'stock-takes': `/theater-stock-takes/${theaterId}`,
+    'TheaterShifts': `/theater-shifts/${theaterId}`,
+    'shifts': `/theater-shifts/${theaterId}`,
+    'TheaterShowtimes': `/theater-showtimes/${theaterId}`,
+    'showtimes': `/theater-showtimes/${theaterId}`,
+    'TheaterLoyalty': `/theater-loyalty/${theaterId}`,
+    'loyalty': `/theater-loyalty/${theaterId}`,
+    'TheaterFeedback': `/theater-feedback/${theaterId}`,
+    'feedback': `/theater-feedback/${theaterId}`,
     'TheaterAddProductWithId': `/theater-add-product/${theaterId}`,
     'add-product': `/theater-add-product/${theaterId}`,
     'TheaterRoles': `/theater-roles/${theaterId}`,
@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import ShiftReportModal from './ShiftReportModal';
+import CloseShiftModal from './CloseShiftModal';
+import {
+  CASH_CATEGORIES,
+  getCachedShift,
+  fetchCurrentShift,
+  openShift,
+  recordCashMovement,
+  fetchShiftReport
+} from '../utils/shiftSession';
+import '../styles/TheaterGlobalModals.css'; // Global theater modal styles
+
+const DRAWER_KEY = 'pos_drawer';
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '20px', height: '20px'}}>
+    <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+  </svg>
+);
+
+const buttonStyle = {
+  background: 'white',
+  color: '#6B0E9B',
+  border: 'none',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: 600,
+  cursor: 'pointer'
+};
+
+/**
+ * Shift Panel
+ * The cashier's shift bar on the POS: open a shift with a float, move cash in and out of the
+ * drawer, print the X report and cash up at close.
+ *
+ * @param {string} theaterId - Theater the POS belongs to
+ */
+const ShiftPanel = ({ theaterId }) => {
+  const [shift, setShift] = useState(() => getCachedShift(theaterId));
+  const [modal, setModal] = useState(null);
+  const [report, setReport] = useState(null);
+  const [form, setForm] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!theaterId) return;
+    fetchCurrentShift(theaterId)
+      .then(setShift)
+      .catch(err => console.warn('Shift not loaded:', err.message));
+  }, [theaterId]);
+
+  const openModal = (name, initialForm = {}) => {
+    setForm(initialForm);
+    setError('');
+    setModal(name);
+  };
+
+  const closeModal = () => {
+    if (!submitting) setModal(null);
+  };
+
+  const run = useCallback(async (action) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await action();
+      setModal(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  const handleOpenShift = () => run(async () => {
+    const drawer = (form.drawer || '').trim();
+    localStorage.setItem(DRAWER_KEY, drawer);
+    setShift(await openShift(theaterId, {
+      openingFloat: parseFloat(form.openingFloat) || 0,
+      drawer,
+      notes: (form.notes || '').trim()
+    }));
+  });
+
+  const handleCashMovement = () => run(async () => {
+    const amount = parseFloat(form.amount);
+    if (!(amount > 0)) throw new Error('Enter an amount');
+    setShift(await recordCashMovement(theaterId, shift._id, {
+      type: form.type,
+      category: form.category,
+      amount,
+      reason: (form.reason || '').trim()
+    }));
+  });
+
+  const showReport = async (shiftId) => {
+    try {
+      setReport(await fetchShiftReport(theaterId, shiftId));
+    } catch (err) {
+      alert(`Failed to load report: ${err.message}`);
+    }
+  };
+
+  const handleClosed = (closedShift) => {
+    setModal(null);
+    setShift(null);
+    // The Z report goes straight to the screen so it can be printed for the cash-up
+    showReport(closedShift._id);
+  };
+
+  const offline = !navigator.onLine;
+
+  return (
+    <>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        flexWrap: 'wrap',
+        background: shift ? '#6B0E9B' : '#FEF3C7',
+        color: shift ? 'white' : '#92400E',
+        padding: '8px 16px',
+        fontSize: '14px'
+      }}>
+        {shift ? (
+          <span>
+            🧾 <strong>{shift.shiftNumber}</strong>
+            {shift.drawer ? ` · ${shift.drawer}` : ''}
+            {` · ${shift.cashier?.username || ''} since ${new Date(shift.openedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`}
+            {` · Float ${formatAmount(shift.openingFloat)}`}
+          </span>
+        ) : (
+          <span>⚠️ No shift open - orders are not counted towards a cash drawer</span>
+        )}
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {shift ? (
+            <>
+              <button style={buttonStyle} disabled={offline} onClick={() => openModal('cash', { type: 'out', category: 'petty_cash' })}>
+                💵 Cash In/Out
+              </button>
+              <button style={buttonStyle} disabled={offline} onClick={() => showReport(shift._id)}>
+                📊 X Report
+              </button>
+              <button style={buttonStyle} disabled={offline} onClick={() => openModal('close')}>
+                🔒 Close Shift
+              </button>
+            </>
+          ) : (
+            <button
+              style={{ ...buttonStyle, background: '#6B0E9B', color: 'white' }}
+              disabled={offline}
+              onClick={() => openModal('open', { openingFloat: '', drawer: localStorage.getItem(DRAWER_KEY) || '' })}
+            >
+              ▶ Open Shift
+            </button>
+          )}
+        </div>
+      </div>
+
+      {modal === 'open' && (
+        <div className="modal-overlay" onClick={closeModal}>
+          <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Open Shift</h2>
+              <button className="close-btn" onClick={closeModal}><CloseIcon /></button>
+            </div>
+            <div className="modal-body">
+              <div className="edit-form">
+                <div className="form-group">
+                  <label>Opening Float (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.openingFloat}
+                    onChange={(e) => setForm(prev => ({ ...prev, openingFloat: e.target.value }))}
+                    className="form-control"
+                    placeholder="Cash in the drawer to give change"
+                    autoFocus
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Drawer / Counter</label>
+                  <input
+                    type="text"
+                    value={form.drawer}
+                    onChange={(e) => setForm(prev => ({ ...prev, drawer: e.target.value }))}
+                    className="form-control"
+                    placeholder="e.g. Counter 1"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Notes</label>
+                  <textarea
+                    value={form.notes || ''}
+                    onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                    className="form-control"
+                    rows="2"
+                  />
+                </div>
+                {error && <div className="error-message">{error}</div>}
+              </div>
+            </div>
+            <div className="modal-actions">
+              <button className="cancel-btn" onClick={closeModal} disabled={submitting}>Cancel</button>
+              <button className="btn-primary" onClick={handleOpenShift} disabled={submitting}>
+                {submitting ? 'Opening...' : 'Open Shift'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {modal === 'cash' && (
+        <div className="modal-overlay" onClick={closeModal}>
+          <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Cash In / Out</h2>
+              <button className="close-btn" onClick={closeModal}><CloseIcon /></button>
+            </div>
+            <div className="modal-body">
+              <div className="edit-form">
+                <div className="form-group">
+                  <label>Type</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value, category: e.target.value === 'in' ? 'float' : 'petty_cash' }))}
+                    className="form-control"
+                  >
+                    <option value="out">Cash out of drawer</option>
+                    <option value="in">Cash into drawer</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Category</label>
+                  <select
+                    value={form.category}
+                    onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                    className="form-control"
+                  >
+                    {CASH_CATEGORIES.filter(category => !category.type || category.type === form.type).map(category => (
+                      <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Amount (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.amount || ''}
+                    onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                    className="form-control"
+                    autoFocus
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Reason</label>
+                  <input
+                    type="text"
+                    value={form.reason || ''}
+                    onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                    className="form-control"
+                    placeholder="e.g. Milk for the café, safe drop"
+                  />
+                </div>
+                {error && <div className="error-message">{error}</div>}
+              </div>
+            </div>
+            <div className="modal-actions">
+              <button className="cancel-btn" onClick={closeModal} disabled={submitting}>Cancel</button>
+              <button className="btn-primary" onClick={handleCashMovement} disabled={submitting}>
+                {submitting ? 'Saving...' : 'Record'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {modal === 'close' && shift && (
+        <CloseShiftModal
+          shift={shift}
+          theaterId={theaterId}
+          onClose={() => setModal(null)}
+          onClosed={handleClosed}
+        />
+      )}
+
+      {report && (
+        <ShiftReportModal report={report} theaterId={theaterId} onClose={() => setReport(null)} />
+      )}
+    </>
+  );
+};
+
+export default ShiftPanel;
@@ -0,0 +1,112 @@
+import React from 'react';
+
+const METHOD_LABELS = { cash: 'Cash', card: 'Card', upi: 'UPI', wallet: 'Wallet', bank_transfer: 'Bank transfer' };
+const SOURCE_LABELS = { pos: 'POS', kiosk: 'Kiosk', qr_code: 'QR order', online: 'Online', staff: 'Staff', app: 'App' };
+
+const formatAmount = (value) => `₹${(Number(value) || 0).toFixed(2)}`;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', padding: '3px 0', fontSize: '13px' };
+const sectionStyle = { borderTop: '1px dashed #9ca3af', marginTop: '10px', paddingTop: '10px' };
+const headingStyle = { fontSize: '12px', fontWeight: 700, textTransform: 'uppercase', color: '#6b7280', marginBottom: '4px' };
+
+const Row = ({ label, value, strong = false, color }) => (
+  <div style={{ ...rowStyle, fontWeight: strong ? 700 : 400, color }}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+/**
+ * Shift Report
+ * An X (running) or Z (closing) report: sales by payment method and source, refunds and the cash-up
+ */
+const ShiftReport = ({ report }) => {
+  if (!report) return null;
+  const { cash } = report;
+  const variance = cash.variance;
+
+  return (
+    <div style={{ fontFamily: "'Courier New', monospace", color: '#111827' }}>
+      <div style={{ textAlign: 'center', marginBottom: '8px' }}>
+        <div style={{ fontSize: '18px', fontWeight: 700 }}>{report.type} REPORT</div>
+        <div style={{ fontSize: '13px' }}>{report.shiftNumber}{report.drawer ? ` · ${report.drawer}` : ''}</div>
+      </div>
+      <Row label="Cashier" value={report.cashier?.username || '—'} />
+      <Row label="Opened" value={formatDateTime(report.openedAt)} />
+      <Row label={report.type === 'Z' ? 'Closed' : 'As of'} value={formatDateTime(report.closedAt || report.generatedAt)} />
+
+      <div style={sectionStyle}>
+        <div style={headingStyle}>Sales</div>
+        <Row label={`Orders (${report.sales.orders})`} value={formatAmount(report.sales.gross)} />
+        {report.sales.discounts > 0 && <Row label="Discounts given" value={formatAmount(report.sales.discounts)} />}
+        <Row label="Tax included" value={formatAmount(report.sales.tax)} />
+        <Row label={`Refunds (${report.refunds.count})`} value={`-${formatAmount(report.refunds.amount)}`} />
+        <Row label="Net sales" value={formatAmount(report.sales.net)} strong />
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={headingStyle}>By payment method</div>
+        {report.byPaymentMethod.length === 0 && <Row label="No sales yet" value="" />}
+        {report.byPaymentMethod.map(row => (
+          <Row key={row.method} label={`${METHOD_LABELS[row.method] || row.method} (${row.orders})`} value={formatAmount(row.amount)} />
+        ))}
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={headingStyle}>By source</div>
+        {report.bySource.map(row => (
+          <Row key={row.source} label={`${SOURCE_LABELS[row.source] || row.source} (${row.orders})`} value={formatAmount(row.amount)} />
+        ))}
+        {report.cancelled.orders > 0 && (
+          <Row label={`Cancelled (${report.cancelled.orders})`} value={formatAmount(report.cancelled.amount)} color="#6b7280" />
+        )}
+        {report.unpaid.orders > 0 && (
+          <Row label={`Awaiting payment (${report.unpaid.orders})`} value={formatAmount(report.unpaid.amount)} color="#6b7280" />
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={headingStyle}>Cash drawer</div>
+        <Row label="Opening float" value={formatAmount(cash.openingFloat)} />
+        <Row label="Cash sales" value={formatAmount(cash.cashSales)} />
+        <Row label="Cash in" value={formatAmount(cash.cashIn)} />
+        <Row label="Cash out" value={`-${formatAmount(cash.cashOut)}`} />
+        <Row label="Cash refunds" value={`-${formatAmount(cash.cashRefunds)}`} />
+        <Row label="Expected in drawer" value={formatAmount(cash.expected)} strong />
+        {cash.counted !== undefined && (
+          <>
+            <Row label="Counted" value={formatAmount(cash.counted)} strong />
+            <Row
+              label={variance < 0 ? 'Short' : variance > 0 ? 'Over' : 'Variance'}
+              value={formatAmount(Math.abs(variance))}
+              strong
+              color={variance < 0 ? '#DC2626' : variance > 0 ? '#D97706' : '#059669'}
+            />
+          </>
+        )}
+      </div>
+
+      {report.cashMovements?.length > 0 && (
+        <div style={sectionStyle}>
+          <div style={headingStyle}>Cash movements</div>
+          {report.cashMovements.map(movement => (
+            <Row
+              key={movement._id}
+              label={`${formatDateTime(movement.recordedBy?.at)} ${movement.reason || movement.category}`}
+              value={`${movement.type === 'out' ? '-' : '+'}${formatAmount(movement.amount)}`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftReport;
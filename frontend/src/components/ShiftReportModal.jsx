@@ -0,0 +1,71 @@
+import React, { useState, useRef } from 'react';
+import ShiftReport from './ShiftReport';
+import { printShiftReport } from '../utils/receiptPrinting';
+
+/**
+ * Shift Report Modal
+ * Shows an X or Z report and prints it on the receipt printer, or through the browser when there is none.
+ * Uses the theater modal styles (TheaterGlobalModals.css).
+ *
+ * @param {Object} report - Report from GET /api/shifts/:theaterId/:shiftId/report
+ * @param {string} theaterId - Theater the shift belongs to
+ * @param {Function} onClose - Close the modal
+ */
+const ShiftReportModal = ({ report, theaterId, onClose }) => {
+  const [printing, setPrinting] = useState(false);
+  const reportRef = useRef(null);
+
+  const printInBrowser = () => {
+    const printWindow = window.open('', '_blank', 'width=420,height=700');
+    if (!printWindow) {
+      alert('⚠️ Please allow popups to print the report.');
+      return;
+    }
+    printWindow.document.write(`<html><head><title>${report.type} Report ${report.shiftNumber}</title></head><body style="margin:16px">${reportRef.current.innerHTML}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const handlePrint = async () => {
+    setPrinting(true);
+    try {
+      await printShiftReport(theaterId, report);
+    } catch (error) {
+      console.warn('🖨️ Shift report not sent to printer:', error.message);
+      printInBrowser();
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '460px' }}>
+        <div className="modal-header">
+          <h2>{report.type === 'Z' ? 'Z Report' : 'X Report'} · {report.shiftNumber}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '20px', height: '20px'}}>
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body" ref={reportRef}>
+          <ShiftReport report={report} />
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Close
+          </button>
+          <button className="btn-primary" onClick={handlePrint} disabled={printing}>
+            {printing ? 'Printing...' : '🖨️ Print'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftReportModal;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { TENDER_METHOD_LABELS, resolveTenderAmounts, tenderChange } from '../utils/tenderUtils';
+import '../styles/components/TenderInput.css';
+
+const MAX_TENDERS = 4;
+
+const formatAmount = (value) => `₹${(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * Tender Input
+ * Cash received and change for a cash sale, or the parts of a split payment.
+ * The last part of a split always pays the balance.
+ *
+ * @param {Array} rows - [{ method, amount, tendered }] from initialTenders()
+ * @param {Function} onChange - Called with the updated rows
+ * @param {number} total - Order total
+ * @param {Array<string>} methods - Methods a split part can use
+ */
+const TenderInput = ({ rows, onChange, total, methods = ['cash'] }) => {
+  const amounts = resolveTenderAmounts(rows, total);
+  const changes = tenderChange(rows, total);
+
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const cashReceived = (row, index) => (
+    <div className="tender-cash">
+      <label>
+        Cash received
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          className="tender-input"
+          value={row.tendered}
+          onChange={(e) => updateRow(index, 'tendered', e.target.value)}
+          placeholder={amounts[index].toFixed(2)}
+        />
+      </label>
+      {changes[index] !== null && (
+        <span className={`tender-change ${changes[index] < 0 ? 'short' : ''}`}>
+          {changes[index] < 0 ? `Short by ${formatAmount(-changes[index])}` : `Change: ${formatAmount(changes[index])}`}
+        </span>
+      )}
+    </div>
+  );
+
+  if (rows.length === 1) {
+    return rows[0].method === 'cash' ? <div className="tender-input-panel">{cashReceived(rows[0], 0)}</div> : null;
+  }
+
+  return (
+    <div className="tender-input-panel">
+      {rows.map((row, index) => {
+        const isLast = index === rows.length - 1;
+        return (
+          <div key={index} className="tender-row">
+            <div className="tender-row-main">
+              <select
+                className="tender-input"
+                value={row.method}
+                onChange={(e) => updateRow(index, 'method', e.target.value)}
+              >
+                {methods.map(method => (
+                  <option key={method} value={method}>{TENDER_METHOD_LABELS[method] || method}</option>
+                ))}
+              </select>
+              {isLast ? (
+                <span className="tender-balance" title="Pays the rest of the total">
+                  {formatAmount(amounts[index])}
+                </span>
+              ) : (
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="tender-input"
+                  value={row.amount}
+                  onChange={(e) => updateRow(index, 'amount', e.target.value)}
+                  placeholder="Amount"
+                />
+              )}
+              {rows.length > 2 && (
+                <button
+                  type="button"
+                  className="tender-remove"
+                  onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                  title="Remove"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+            {row.method === 'cash' && cashReceived(row, index)}
+          </div>
+        );
+      })}
+      {rows.length < MAX_TENDERS && (
+        <button
+          type="button"
+          className="tender-add"
+          onClick={() => onChange([...rows.slice(0, -1), { method: methods[0], amount: '', tendered: '' }, rows[rows.length - 1]])}
+        >
+          + Add payment
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TenderInput;
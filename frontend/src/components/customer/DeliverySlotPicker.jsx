@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import config from '../../config';
+import { formatTime } from '../../utils/showtimeUtils';
+import { DELIVERY_SLOT_OPTIONS, upcomingInterval } from '../../utils/deliverySlotUtils';
+import './DeliverySlotPicker.css';
+
+/**
+ * Delivery Slot Picker
+ * Lets a seat customer have the order brought now, at the interval or at a set time.
+ * The interval option only shows when the screen has one coming up; "now" is off while the screen isn't taking orders.
+ *
+ * @param {string} theaterId - Theater of the screen
+ * @param {string} screen - Screen QR name
+ * @param {Object} value - { type: 'now' | 'interval' | 'time', time: 'HH:mm' }
+ * @param {Function} onChange - Called with the new value
+ */
+const DeliverySlotPicker = ({ theaterId, screen, value, onChange }) => {
+  const [orderingWindow, setOrderingWindow] = useState(null);
+
+  useEffect(() => {
+    if (!theaterId || !screen) return;
+
+    fetch(`${config.api.baseUrl}/showtimes/${theaterId}/ordering?screen=${encodeURIComponent(screen)}`, {
+      headers: { 'Cache-Control': 'no-cache' }
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setOrderingWindow(data.data);
+      })
+      .catch(error => console.warn('Ordering window not loaded:', error.message));
+  }, [theaterId, screen]);
+
+  const interval = upcomingInterval(orderingWindow);
+  const nowClosed = Boolean(orderingWindow?.scheduled && !orderingWindow.open);
+
+  // Move off an option that has gone away
+  useEffect(() => {
+    if (!orderingWindow) return;
+    if (value.type === 'now' && nowClosed) onChange({ ...value, type: interval ? 'interval' : 'time' });
+    if (value.type === 'interval' && !interval) onChange({ ...value, type: 'now' });
+  }, [orderingWindow, nowClosed, interval, value, onChange]);
+
+  const options = DELIVERY_SLOT_OPTIONS.filter(option => option.id !== 'interval' || interval);
+
+  return (
+    <div className="payment-methods-section delivery-slot-section">
+      <h3 className="section-title">Delivery Time</h3>
+
+      <div className="payment-methods">
+        {options.map(option => {
+          const disabled = option.id === 'now' && nowClosed;
+          return (
+            <div
+              key={option.id}
+              className={`payment-method ${value.type === option.id ? 'selected' : ''} ${disabled ? 'disabled' : ''}`}
+              onClick={() => !disabled && onChange({ ...value, type: option.id })}
+            >
+              <div className="payment-info">
+                <div className="payment-name">
+                  {option.label}
+                  {option.id === 'interval' && ` · ${formatTime(interval.at)}`}
+                </div>
+                <div className="payment-description">
+                  {disabled ? orderingWindow.message : option.description}
+                </div>
+              </div>
+              <div className="payment-radio"></div>
+            </div>
+          );
+        })}
+      </div>
+
+      {value.type === 'time' && (
+        <input
+          type="time"
+          className="delivery-slot-time"
+          value={value.time}
+          onChange={(e) => onChange({ ...value, time: e.target.value })}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
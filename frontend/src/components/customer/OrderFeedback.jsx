@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { customerFetch } from '../../utils/customerSession';
+import { FEEDBACK_TAG_LABELS, canLeaveFeedback, getRateableItems, formatStars } from '../../utils/feedbackUtils';
+import './OrderFeedback.css';
+
+const StarRating = ({ value, onChange, label }) => (
+  <div className="feedback-stars" role="radiogroup" aria-label={label}>
+    {[1, 2, 3, 4, 5].map(star => (
+      <button
+        key={star}
+        type="button"
+        className={`feedback-star ${star <= value ? 'active' : ''}`}
+        onClick={() => onChange(star)}
+        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+        aria-checked={star === value}
+        role="radio"
+      >
+        ★
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Order Feedback
+ * Once an order has been served the customer can rate the service and each item, pick what went
+ * wrong and leave a comment. After that it shows the ratings they gave.
+ *
+ * @param {string} theaterId - Theater of the order
+ * @param {Object} order - The customer's order
+ */
+const OrderFeedback = ({ theaterId, order }) => {
+  const [feedback, setFeedback] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [serviceRating, setServiceRating] = useState(0);
+  const [itemRatings, setItemRatings] = useState({});
+  const [tags, setTags] = useState([]);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const eligible = canLeaveFeedback(order);
+  const items = getRateableItems(order);
+
+  useEffect(() => {
+    if (!eligible || !theaterId || !order?._id) {
+      setLoading(false);
+      return;
+    }
+    customerFetch(`/customers/orders/${theaterId}/${order._id}/feedback`)
+      .then(({ data }) => setFeedback(data))
+      .catch(err => console.warn('Feedback not loaded:', err.message))
+      .finally(() => setLoading(false));
+  }, [eligible, theaterId, order?._id]);
+
+  if (!eligible || loading) return null;
+
+  if (feedback) {
+    return (
+      <div className="order-feedback">
+        <h3 className="order-feedback-title">Your Rating</h3>
+        <div className="order-feedback-row">
+          <span>Service</span>
+          <span className="order-feedback-given">{formatStars(feedback.serviceRating)}</span>
+        </div>
+        {feedback.items.map(item => (
+          <div key={item.productId} className="order-feedback-row">
+            <span>{item.productName}</span>
+            <span className="order-feedback-given">{formatStars(item.rating)}</span>
+          </div>
+        ))}
+        {feedback.tags?.length > 0 && (
+          <div className="feedback-tags">
+            {feedback.tags.map(tag => (
+              <span key={tag} className="feedback-tag active">{FEEDBACK_TAG_LABELS[tag] || tag}</span>
+            ))}
+          </div>
+        )}
+        {feedback.comment && <p className="order-feedback-comment">"{feedback.comment}"</p>}
+      </div>
+    );
+  }
+
+  const toggleTag = (tag) => setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+
+  const handleSubmit = async () => {
+    if (!serviceRating) {
+      setError('Please rate the service');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const { data } = await customerFetch(`/customers/orders/${theaterId}/${order._id}/feedback`, {
+        method: 'POST',
+        body: JSON.stringify({
+          serviceRating,
+          items: Object.entries(itemRatings).map(([productId, rating]) => ({ productId, rating })),
+          tags,
+          comment: comment.trim()
+        })
+      });
+      setFeedback(data);
+    } catch (err) {
+      setError(err.message || 'Failed to send feedback');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="order-feedback">
+      <h3 className="order-feedback-title">How was your order?</h3>
+
+      <div className="order-feedback-row">
+        <span>Service</span>
+        <StarRating value={serviceRating} onChange={setServiceRating} label="Service rating" />
+      </div>
+      {items.map(item => (
+        <div key={item.productId} className="order-feedback-row">
+          <span>{item.name}</span>
+          <StarRating
+            value={itemRatings[item.productId] || 0}
+            onChange={(rating) => setItemRatings(prev => ({ ...prev, [item.productId]: rating }))}
+            label={`${item.name} rating`}
+          />
+        </div>
+      ))}
+
+      <div className="feedback-tags">
+        {Object.entries(FEEDBACK_TAG_LABELS).map(([tag, label]) => (
+          <button
+            key={tag}
+            type="button"
+            className={`feedback-tag ${tags.includes(tag) ? 'active' : ''}`}
+            onClick={() => toggleTag(tag)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        className="order-feedback-input"
+        placeholder="Anything else? (optional)"
+        maxLength={1000}
+        rows={3}
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+      />
+
+      {error && <div className="order-feedback-error">{error}</div>}
+      <button type="button" className="order-feedback-submit" onClick={handleSubmit} disabled={submitting}>
+        {submitting ? 'Sending...' : 'Submit Feedback'}
+      </button>
+    </div>
+  );
+};
+
+export default OrderFeedback;
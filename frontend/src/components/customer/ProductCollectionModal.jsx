@@ -2,15 +2,21 @@
 import { useCart } from '../../contexts/CartContext';
 import { useNavigate, useLocation } from 'react-router-dom';
 import InstantImage from '../InstantImage'; // 🚀 Instant image loading
+import ComboChoiceModal from '../ComboChoiceModal';
+import ProductModal from './ProductModal';
+import { isComboProduct, hasComboChoices, describeCombo, buildComboCartItem, findLastCartLine } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
 import '../../styles/components/customer/ProductCollectionModal.css';
 
 const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
-  const { addItem, removeItem, getItemQuantity, totalItems } = useCart();
+  const { items, addItem, removeItem, getItemQuantity, totalItems } = useCart();
   const navigate = useNavigate();
   const location = useLocation();
   const [selectedVariant, setSelectedVariant] = useState(null);
   const [selectedImage, setSelectedImage] = useState(null);
   const [slideDirection, setSlideDirection] = useState('right');
+  const [showComboChoices, setShowComboChoices] = useState(false);
+  const [showModifiers, setShowModifiers] = useState(false);
 
   useEffect(() => {
     if (isOpen && collection?.variants?.length > 0) {
@@ -46,6 +52,21 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
     }
   }, [isOpen, collection]);
 
+  const toCartItem = (variant) => {
+    const product = variant.originalProduct || variant;
+    return {
+      _id: variant._id,
+      name: `${collection.name} - ${variant.sizeLabel || variant.size}`,
+      price: variant.price,
+      image: variant.image || collection.baseImage,
+      size: variant.size,
+      taxRate: product.taxRate || 0,
+      gstType: product.gstType || 'EXCLUDE',
+      discountPercentage: product.discountPercentage || 0,
+      ...(isComboProduct(product) && { comboItems: product.comboItems })
+    };
+  };
+
   const handleAddToCart = () => {
     if (!selectedVariant) return;
     
@@ -55,16 +76,34 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
       return; // Don't add to cart if not available
     }
     
-    addItem({
-      _id: selectedVariant._id,
-      name: `${collection.name} - ${selectedVariant.sizeLabel || selectedVariant.size}`,
-      price: selectedVariant.price,
-      image: selectedVariant.image || collection.baseImage,
-      size: selectedVariant.size,
-      taxRate: product.taxRate || 0,
-      gstType: product.gstType || 'EXCLUDE',
-      discountPercentage: product.discountPercentage || 0
-    });
+    // Products with modifiers and combos with swaps ask what the customer wants first
+    if (hasModifiers(product)) {
+      setShowModifiers(true);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setShowComboChoices(true);
+      return;
+    }
+    
+    const cartItem = toCartItem(selectedVariant);
+    addItem(isComboProduct(product) ? buildComboCartItem(cartItem) : cartItem);
+  };
+
+  const handleComboConfirm = (selections) => {
+    addItem(buildComboCartItem(toCartItem(selectedVariant), selections));
+    setShowComboChoices(false);
+  };
+
+  const handleModifierConfirm = (modifiers) => {
+    addItem(buildModifierCartItem(toCartItem(selectedVariant), modifiers));
+    setShowModifiers(false);
+  };
+
+  const handleRemoveFromCart = () => {
+    // Combos and products with modifiers may sit in the cart as several lines (one per set of choices) - take from the latest
+    const line = findLastCartLine(items, selectedVariant._id);
+    if (line) removeItem(line);
   };
 
   const handleNavigation = (path) => {
@@ -100,6 +139,7 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
   };
 
   return (
+    <>
     <div className="circular-modal-overlay" onClick={onClose}>
       <div className="circular-modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-top-bar">
@@ -127,6 +167,9 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
           {selectedVariant && (
             <div className="selected-product-quantity">
               {selectedVariant.sizeLabel || selectedVariant.size}
+              {isComboProduct(selectedVariant.originalProduct) && (
+                <span className="combo-contents">{describeCombo(selectedVariant.originalProduct)}</span>
+              )}
             </div>
           )}
 
@@ -181,7 +224,7 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
                   <>
                     <button 
                       className="modal-quantity-btn modal-minus-btn"
-                      onClick={() => removeItem(selectedVariant)}
+                      onClick={handleRemoveFromCart}
                       aria-label="Decrease quantity"
                     >
                       <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
@@ -203,7 +246,7 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
                   </>
                 ) : (
                   <div className="modal-out-of-stock-message">
-                    <span className="out-of-stock-badge-modal">OUT OF STOCK</span>
+                    <span className="out-of-stock-badge-modal">{product.availabilityReason || 'OUT OF STOCK'}</span>
                   </div>
                 )}
               </div>
@@ -246,6 +289,22 @@ const ProductCollectionModal = ({ collection, isOpen, onClose }) => {
         </div>
       </div>
     </div>
+
+    {showComboChoices && selectedVariant && (
+      <ComboChoiceModal
+        product={selectedVariant.originalProduct}
+        onConfirm={handleComboConfirm}
+        onClose={() => setShowComboChoices(false)}
+      />
+    )}
+
+    <ProductModal
+      product={selectedVariant?.originalProduct}
+      isOpen={showModifiers}
+      onClose={() => setShowModifiers(false)}
+      onAddToCart={handleModifierConfirm}
+    />
+    </>
   );
 };
 
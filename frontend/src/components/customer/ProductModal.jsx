@@ -1,11 +1,67 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import config from '../../config';
+import {
+  getModifierGroups,
+  getSelectionLimits,
+  validateModifiers,
+  getModifierTotal
+} from '../../utils/modifierUtils';
 import '../../styles/components/customer/ProductModal.css';
 
-const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0 }) => {
+// Required single-choice groups start on their first available option
+const getDefaultModifiers = (product) => getModifierGroups(product).flatMap(group => {
+  const { min, max } = getSelectionLimits(group);
+  const firstAvailable = group.options.find(option => option.isAvailable !== false);
+  return min === 1 && max === 1 && firstAvailable
+    ? [{ name: group.name, option: firstAvailable.label, price: parseFloat(firstAvailable.price) || 0 }]
+    : [];
+});
+
+/**
+ * Product Modal
+ * Lets the customer, kiosk user or cashier pick a product's modifiers (size, extras...) before adding it.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product with modifier groups in `variants`
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Function} props.onAddToCart - Called with the picked modifiers: [{ name, option, price }]
+ */
+const ProductModal = ({ product, isOpen, onClose, onAddToCart }) => {
+  const [modifiers, setModifiers] = useState([]);
+
+  useEffect(() => {
+    if (isOpen && product) {
+      setModifiers(getDefaultModifiers(product));
+    }
+  }, [isOpen, product]);
+
   if (!isOpen || !product) return null;
 
+  const basePrice = parseFloat(product.price ?? product.pricing?.basePrice ?? product.sellingPrice) || 0;
+  const totalPrice = basePrice + getModifierTotal(modifiers);
+  const validationMessage = validateModifiers(product, modifiers);
+  const image = product.image || product.images?.[0]?.url || product.images?.[0];
+
+  const toggleOption = (group, option) => {
+    const { max } = getSelectionLimits(group);
+    const pick = { name: group.name, option: option.label, price: parseFloat(option.price) || 0 };
+    setModifiers(prev => {
+      const inGroup = prev.filter(m => m.name === group.name);
+      const isPicked = inGroup.some(m => m.option === option.label);
+      if (max === 1) {
+        return [...prev.filter(m => m.name !== group.name), pick];
+      }
+      if (isPicked) {
+        return prev.filter(m => !(m.name === group.name && m.option === option.label));
+      }
+      return inGroup.length < max ? [...prev, pick] : prev;
+    });
+  };
+
   const handleAddToCart = () => {
-    onAddToCart(product);
+    if (validationMessage) return;
+    onAddToCart(modifiers);
   };
 
   const handleBackdropClick = (e) => {
@@ -18,7 +74,7 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
     <div className="product-modal-overlay" onClick={handleBackdropClick}>
       <div className="product-modal">
         <div className="product-modal-header">
-          <button 
+          <button
             className="modal-close-btn"
             onClick={onClose}
             aria-label="Close product details"
@@ -29,15 +85,12 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
 
         <div className="product-modal-content">
           <div className="product-modal-image">
-            {product.image ? (
-              <img 
-                src={product.image.startsWith('http') 
-                  ? product.image 
-                  : `${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}${product.image}`
-                } 
+            {image ? (
+              <img
+                src={image.startsWith('http') || image.startsWith('data:') ? image : `${config.api.baseUrl}${image}`}
                 alt={product.name}
-                onError={(e) => { 
-                  e.target.src = 'https://via.placeholder.com/300x300?text=No+Image';
+                onError={(e) => {
+                  e.target.style.display = 'none';
                 }}
               />
             ) : (
@@ -49,36 +102,72 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
 
           <div className="product-modal-details">
             <h2 className="product-modal-title">{product.name}</h2>
-            
+
+            {product.rating?.count > 0 && (
+              <div className="product-modal-rating">
+                <span className="product-modal-rating-stars">★ {product.rating.average.toFixed(1)}</span>
+                <span className="product-modal-rating-count">
+                  {product.rating.count} rating{product.rating.count > 1 ? 's' : ''}
+                </span>
+              </div>
+            )}
+
             <div className="product-modal-price">
-              ₹{product.price}
+              ₹{basePrice.toFixed(2)}
             </div>
 
-            <div className="product-modal-actions">
-              {cartQuantity > 0 ? (
-                <div className="quantity-controls-modal">
-                  <button 
-                    className="quantity-btn-modal minus"
-                    onClick={() => {/* Handle decrease */}}
-                  >
-                    −
-                  </button>
-                  <span className="quantity-display-modal">{cartQuantity}</span>
-                  <button 
-                    className="quantity-btn-modal plus"
-                    onClick={handleAddToCart}
-                  >
-                    +
-                  </button>
+            {getModifierGroups(product).map(group => {
+              const { min, max } = getSelectionLimits(group);
+              const picked = modifiers.filter(m => m.name === group.name);
+
+              return (
+                <div key={group.name} className="product-modifier-group">
+                  <div className="product-modifier-group-title">
+                    <span>{group.name}</span>
+                    <small>
+                      {min > 0 ? 'Required' : 'Optional'}
+                      {max === 1 ? ' · choose 1' : ` · up to ${max}`}
+                    </small>
+                  </div>
+                  {group.options.map(option => {
+                    const isPicked = picked.some(m => m.option === option.label);
+                    const isDisabled = option.isAvailable === false || (!isPicked && max > 1 && picked.length >= max);
+                    return (
+                      <label
+                        key={option.label}
+                        className={`product-modifier-option ${option.isAvailable === false ? 'unavailable' : ''}`}
+                      >
+                        <input
+                          type={max === 1 ? 'radio' : 'checkbox'}
+                          name={`modifier-${group.name}`}
+                          checked={isPicked}
+                          disabled={isDisabled}
+                          onChange={() => toggleOption(group, option)}
+                        />
+                        <span>{option.label}</span>
+                        <small>
+                          {option.isAvailable === false
+                            ? 'Sold out'
+                            : parseFloat(option.price) > 0 ? `+₹${parseFloat(option.price).toFixed(2)}` : ''}
+                        </small>
+                      </label>
+                    );
+                  })}
                 </div>
-              ) : (
-                <button 
-                  className="add-to-cart-modal-btn"
-                  onClick={handleAddToCart}
-                >
-                  Add to Cart - ₹{product.price}
-                </button>
+              );
+            })}
+
+            <div className="product-modal-actions">
+              {validationMessage && (
+                <div className="product-modifier-hint">{validationMessage}</div>
               )}
+              <button
+                className="add-to-cart-modal-btn"
+                onClick={handleAddToCart}
+                disabled={Boolean(validationMessage)}
+              >
+                Add to Cart - ₹{totalPrice.toFixed(2)}
+              </button>
             </div>
           </div>
         </div>
@@ -87,4 +176,4 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
   );
 };
 
-export default ProductModal;
\ No newline at end of file
+export default ProductModal;
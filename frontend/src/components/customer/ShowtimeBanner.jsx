@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import config from '../../config';
+import { formatTime, formatTimeLeft } from '../../utils/showtimeUtils';
+import './ShowtimeBanner.css';
+
+const REFRESH_INTERVAL = 60000;
+const TICK_INTERVAL = 15000;
+
+const PHASE_LABELS = {
+  pre_show: 'Order before the show',
+  interval: 'Interval ordering',
+  in_show: 'Now playing',
+  blackout: 'Now playing'
+};
+
+/**
+ * Showtime Banner
+ * The current show on a screen and the time left to order from the seat, or when ordering opens again.
+ * Re-checks the server when the window opens or closes, and every minute.
+ *
+ * @param {string} theaterId - Theater of the screen
+ * @param {string} screen - Screen QR name
+ * @param {Object} [initialWindow] - Ordering window from verify-qr, shown until the first refresh
+ * @param {Function} [onChange] - Called with each ordering window
+ */
+const ShowtimeBanner = ({ theaterId, screen, initialWindow = null, onChange }) => {
+  const [orderingWindow, setOrderingWindow] = useState(initialWindow);
+  const [now, setNow] = useState(() => Date.now());
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${config.api.baseUrl}/showtimes/${theaterId}/ordering?screen=${encodeURIComponent(screen)}`,
+        { headers: { 'Cache-Control': 'no-cache' } }
+      );
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setOrderingWindow(data.data);
+        onChange?.(data.data);
+      }
+    } catch (error) {
+      console.warn('Ordering window not loaded:', error.message);
+    }
+  }, [theaterId, screen, onChange]);
+
+  useEffect(() => {
+    if (!theaterId || !screen) return undefined;
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [theaterId, screen, refresh]);
+
+  // Tick the countdown, and refresh the moment the window flips
+  useEffect(() => {
+    const flipAt = orderingWindow?.closesAt || orderingWindow?.opensAt;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (flipAt && Date.now() >= new Date(flipAt).getTime()) refresh();
+    }, TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [orderingWindow, refresh]);
+
+  if (!orderingWindow?.scheduled) return null;
+
+  const show = orderingWindow.show || orderingWindow.nextShow;
+
+  return (
+    <div className={`showtime-banner ${orderingWindow.open ? 'open' : 'closed'}`}>
+      {show && (
+        <div className="showtime-banner-show">
+          <span className="showtime-banner-label">
+            {orderingWindow.show ? PHASE_LABELS[orderingWindow.phase] : 'Next show'}
+          </span>
+          <strong>{show.movieTitle}</strong>
+          <span className="showtime-banner-time">
+            {show.language ? `${show.language} · ` : ''}{formatTime(show.startTime)} – {formatTime(show.endTime)}
+          </span>
+        </div>
+      )}
+      <div className="showtime-banner-status">
+        {orderingWindow.open
+          ? (orderingWindow.closesAt
+            ? <>Ordering closes in <strong>{formatTimeLeft(orderingWindow.closesAt, now)}</strong></>
+            : 'Ordering is open')
+          : orderingWindow.message}
+      </div>
+    </div>
+  );
+};
+
+export default ShowtimeBanner;
@@ -72,6 +72,18 @@ const TheaterLayout = ({ children, pageTitle = 'Theater Dashboard' }) => {
     if (path.includes('/theater-order-history')) return 'order-history';
     if (path.includes('/online-order-history')) return 'online-order-history';
     if (path.includes('/kiosk-order-history')) return 'kiosk-order-history';
+    if (path.includes('/theater-kitchen')) return 'kitchen-display';
+    if (path.includes('/theater-coupons')) return 'coupons';
+    if (path.includes('/theater-suppliers')) return 'suppliers';
+    if (path.includes('/theater-purchase-orders')) return 'purchase-orders';
+    if (path.includes('/theater-raw-materials')) return 'raw-materials';
+    if (path.includes('/theater-stock-transfers')) return 'stock-transfers';
+    if (path.includes('/theater-stock-takes')) return 'stock-takes';
+    if (path.includes('/theater-shifts')) return 'shifts';
+    if (path.includes('/theater-showtimes')) return 'showtimes';
+    if (path.includes('/theater-loyalty')) return 'loyalty';
+    if (path.includes('/theater-feedback')) return 'feedback';
+    if (path.includes('/theater-dispatch')) return 'dispatch-board';
     
     // QR Management
     if (path.includes('/theater-qr-code-names')) return 'qr-code-names';
@@ -163,9 +163,22 @@ const TheaterSidebar = ({ sidebarOpen, setSidebarOpen, sidebarCollapsed, current
     { id: 'professional-pos', icon: 'orderinterface', label: 'Professional POS', path: effectiveTheaterId ? `/theater-order-pos/${effectiveTheaterId}` : '/theater-order-pos' }, // ✅ Professional POS Interface
     { id: 'offline-pos', icon: 'orderinterface', label: 'Offline POS', path: effectiveTheaterId ? `/offline-pos/${effectiveTheaterId}` : '/offline-pos' }, // ✅ Offline POS
     { id: 'view-cart', icon: 'orders', label: 'View Cart', path: effectiveTheaterId ? `/view-cart/${effectiveTheaterId}` : '/view-cart' }, // ✅ View Cart
+    { id: 'shifts', icon: 'orders', label: 'Shifts', path: effectiveTheaterId ? `/theater-shifts/${effectiveTheaterId}` : '/theater-shifts' }, // ✅ Cashier shifts & Z reports
+    { id: 'showtimes', icon: 'qrcode', label: 'Showtimes', path: effectiveTheaterId ? `/theater-showtimes/${effectiveTheaterId}` : '/theater-showtimes' }, // ✅ Showtimes & seat ordering windows
+    { id: 'loyalty', icon: 'categories', label: 'Loyalty Points', path: effectiveTheaterId ? `/theater-loyalty/${effectiveTheaterId}` : '/theater-loyalty' }, // ✅ Loyalty points
+    { id: 'feedback', icon: 'categories', label: 'Feedback', path: effectiveTheaterId ? `/theater-feedback/${effectiveTheaterId}` : '/theater-feedback' }, // ✅ Customer ratings & feedback
     { id: 'order-history', icon: 'orderhistory', label: 'Order History', path: effectiveTheaterId ? `/theater-order-history/${effectiveTheaterId}` : '/theater-order-history' },
     { id: 'online-order-history', icon: 'orderhistory', label: 'Online Orders', path: effectiveTheaterId ? `/online-order-history/${effectiveTheaterId}` : '/online-order-history' },
     { id: 'kiosk-order-history', icon: 'orderhistory', label: 'Kiosk Orders', path: effectiveTheaterId ? `/kiosk-order-history/${effectiveTheaterId}` : '/kiosk-order-history' },
+    { id: 'kitchen-display', icon: 'orders', label: 'Kitchen Display', path: effectiveTheaterId ? `/theater-kitchen/${effectiveTheaterId}` : '/theater-kitchen' }, // ✅ Kitchen Display
+    { id: 'dispatch-board', icon: 'orders', label: 'Seat Delivery', path: effectiveTheaterId ? `/theater-dispatch/${effectiveTheaterId}` : '/theater-dispatch' }, // ✅ Seat Delivery
+    { id: 'runner-view', icon: 'orders', label: 'My Deliveries', path: effectiveTheaterId ? `/theater-runner/${effectiveTheaterId}` : '/theater-runner' }, // ✅ Runner queue
+    { id: 'coupons', icon: 'categories', label: 'Coupons', path: effectiveTheaterId ? `/theater-coupons/${effectiveTheaterId}` : '/theater-coupons' }, // ✅ Coupons
+    { id: 'suppliers', icon: 'categories', label: 'Suppliers', path: effectiveTheaterId ? `/theater-suppliers/${effectiveTheaterId}` : '/theater-suppliers' }, // ✅ Suppliers
+    { id: 'purchase-orders', icon: 'categories', label: 'Purchase Orders', path: effectiveTheaterId ? `/theater-purchase-orders/${effectiveTheaterId}` : '/theater-purchase-orders' }, // ✅ Purchase orders
+    { id: 'raw-materials', icon: 'categories', label: 'Raw Materials', path: effectiveTheaterId ? `/theater-raw-materials/${effectiveTheaterId}` : '/theater-raw-materials' }, // ✅ Ingredients & recipes
+    { id: 'stock-transfers', icon: 'stock', label: 'Stock Transfers', path: effectiveTheaterId ? `/theater-stock-transfers/${effectiveTheaterId}` : '/theater-stock-transfers' }, // ✅ Counter stock & transfers
+    { id: 'stock-takes', icon: 'stock', label: 'Stock-Takes', path: effectiveTheaterId ? `/theater-stock-takes/${effectiveTheaterId}` : '/theater-stock-takes' }, // ✅ Physical stock counts
     { id: 'messages', icon: 'messages', label: 'Messages', path: effectiveTheaterId ? `/theater-messages/${effectiveTheaterId}` : '/theater-messages' },
     { id: 'banner', icon: 'banner', label: 'Theater Banner', path: effectiveTheaterId ? `/theater-banner/${effectiveTheaterId}` : '/theater-banner' }, // ✅ Theater Banner
     { id: 'theater-roles', icon: 'users', label: 'Role Management', path: effectiveTheaterId ? `/theater-roles/${effectiveTheaterId}` : '/theater-roles' }, // ✅ Theater Roles
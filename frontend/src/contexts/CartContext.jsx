@@ -33,6 +33,7 @@ export const useCartActions = () => {
 
 const CART_ACTIONS = {
   ADD_ITEM: 'ADD_ITEM',
+  ADD_ITEMS: 'ADD_ITEMS',
   REMOVE_ITEM: 'REMOVE_ITEM',
   UPDATE_QUANTITY: 'UPDATE_QUANTITY',
   CLEAR_CART: 'CLEAR_CART',
@@ -65,6 +66,20 @@ const cartReducer = (state, action) => {
       }
     }
 
+    // Several lines at once with their quantities (reorder); a line already in the cart is topped up
+    case CART_ACTIONS.ADD_ITEMS: {
+      let items = state.items;
+      for (const line of action.payload) {
+        items = items.some(item => item._id === line._id)
+          ? items.map(item => item._id === line._id ? { ...item, quantity: item.quantity + line.quantity } : item)
+          : [...items, line];
+      }
+      return {
+        ...state,
+        items
+      };
+    }
+
     case CART_ACTIONS.REMOVE_ITEM: {
       const existingItem = state.items.find(item => item._id === action.payload._id);
       
@@ -182,6 +197,10 @@ export const CartProvider = React.memo(({ children }) => {
     dispatch({ type: CART_ACTIONS.ADD_ITEM, payload: product });
   }, []);
 
+  const addItems = useCallback((lines) => {
+    dispatch({ type: CART_ACTIONS.ADD_ITEMS, payload: lines });
+  }, []);
+
   const removeItem = useCallback((product) => {
     dispatch({ type: CART_ACTIONS.REMOVE_ITEM, payload: product });
   }, []);
@@ -198,9 +217,11 @@ export const CartProvider = React.memo(({ children }) => {
   }, []);
 
   // 🚀 OPTIMIZED: Memoized getters
+  // Lines with different combo choices or modifiers share a productId, so their quantities are summed
   const getItemQuantity = useCallback((productId) => {
-    const item = state.items.find(item => item._id === productId);
-    return item ? item.quantity : 0;
+    return state.items
+      .filter(item => item._id === productId || (item.productId && item.productId === productId))
+      .reduce((total, item) => total + item.quantity, 0);
   }, [state.items]);
 
   const getVariantQuantity = useCallback((variantId) => {
@@ -293,6 +314,7 @@ export const CartProvider = React.memo(({ children }) => {
   // 🚀 OPTIMIZED: Memoized actions value
   const actionsValue = useMemo(() => ({
     addItem,
+    addItems,
     removeItem,
     updateQuantity,
     clearCart,
@@ -307,7 +329,7 @@ export const CartProvider = React.memo(({ children }) => {
     getTax,
     getFinalTotal,
     formatPrice,
-  }), [addItem, removeItem, updateQuantity, clearCart, getItemQuantity, getVariantQuantity, getCollectionQuantity, getVariantsByCollection, getTotalItems, getTotalPrice, getSubtotal, getDeliveryCharge, getTax, getFinalTotal, formatPrice]);
+  }), [addItem, addItems, removeItem, updateQuantity, clearCart, getItemQuantity, getVariantQuantity, getCollectionQuantity, getVariantsByCollection, getTotalItems, getTotalPrice, getSubtotal, getDeliveryCharge, getTax, getFinalTotal, formatPrice]);
 
   // 🚀 OPTIMIZED: Combined value for backward compatibility
   const combinedValue = useMemo(() => ({
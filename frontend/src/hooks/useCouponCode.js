@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import config from '../config';
+import { getCustomerToken } from '../utils/customerSession';
+
+// Applied coupon carried from the customer cart to the payment page
+export const CUSTOMER_COUPON_KEY = 'customerCoupon';
+
+export const getStoredCoupon = (storageKey = CUSTOMER_COUPON_KEY) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * "Apply code" state for a cart
+ * The server prices the cart with the coupon, so the totals shown match what the order will be charged.
+ *
+ * @param {string} theaterId - Theater the cart belongs to
+ * @param {Array} items - Cart lines as [{ productId, quantity }]
+ * @param {Object} options
+ * @param {string} options.phone - Customer phone given at the counter. Coupons limited per customer are
+ *   checked against a signed-in customer's verified number instead, as the order will be.
+ * @param {string} options.storageKey - Persist the applied coupon in localStorage under this key
+ * @returns {Object} { code, setCode, coupon, error, applying, applyCoupon, removeCoupon }
+ *   coupon is { code, description, discountAmount, pricing } or null
+ */
+export const useCouponCode = (theaterId, items, { phone = null, storageKey = null } = {}) => {
+  const [code, setCode] = useState('');
+  const [coupon, setCoupon] = useState(() => (storageKey ? getStoredCoupon(storageKey) : null));
+  const [error, setError] = useState('');
+  const [applying, setApplying] = useState(false);
+  const itemsKey = JSON.stringify(items);
+
+  const saveCoupon = useCallback((next) => {
+    setCoupon(next);
+    if (!storageKey) return;
+    if (next) {
+      localStorage.setItem(storageKey, JSON.stringify(next));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  }, [storageKey]);
+
+  const requestPreview = useCallback(async (couponCode) => {
+    const response = await fetch(`${config.api.baseUrl}/coupons/${theaterId}/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(getCustomerToken() && { Authorization: `Bearer ${getCustomerToken()}` })
+      },
+      body: JSON.stringify({ code: couponCode, items: JSON.parse(itemsKey), phone })
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Invalid coupon code');
+    }
+    return data.data;
+  }, [theaterId, itemsKey, phone]);
+
+  const applyCoupon = useCallback(async (codeToApply = code) => {
+    const trimmed = String(codeToApply || '').trim();
+    if (!trimmed || !theaterId || items.length === 0) return;
+
+    setApplying(true);
+    setError('');
+    try {
+      saveCoupon(await requestPreview(trimmed));
+      setCode('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  }, [code, theaterId, items.length, requestPreview, saveCoupon]);
+
+  const removeCoupon = useCallback(() => {
+    saveCoupon(null);
+    setError('');
+  }, [saveCoupon]);
+
+  // Re-price when the cart changes; drop the coupon once it no longer applies
+  const appliedCode = coupon?.code;
+  useEffect(() => {
+    if (!appliedCode || !theaterId || items.length === 0) return undefined;
+
+    let cancelled = false;
+    requestPreview(appliedCode)
+      .then((next) => {
+        if (!cancelled) saveCoupon(next);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        saveCoupon(null);
+        setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [itemsKey, theaterId, phone]);
+
+  return { code, setCode, coupon, error, applying, applyCoupon, removeCoupon };
+};
+
+export default useCouponCode;
@@ -0,0 +1,58 @@
+import { useState, useCallback, useEffect } from 'react';
+import { getPointsValue, getRedeemablePoints, getRedemptionError } from '../utils/loyaltyUtils';
+
+// Points the customer chose to redeem, carried from the cart to the payment page
+export const CUSTOMER_LOYALTY_KEY = 'customerLoyaltyPoints';
+
+export const getStoredPoints = (storageKey = CUSTOMER_LOYALTY_KEY) => parseInt(localStorage.getItem(storageKey)) || 0;
+
+/**
+ * "Redeem points" state for a cart
+ * Only valid points count towards the discount, so the total never shows a redemption the server would refuse.
+ *
+ * @param {Object|null|undefined} account - Loyalty account from /customers/loyalty or the POS lookup;
+ *   undefined while it loads, null when there is none
+ * @param {number} orderTotal - Order total before points
+ * @param {Object} options
+ * @param {string} options.storageKey - Persist the chosen points in localStorage under this key
+ * @returns {Object} { points, setPoints, maxPoints, appliedPoints, discount, error, redeemMaxPoints, clearPoints }
+ */
+export const useLoyaltyPoints = (account, orderTotal, { storageKey = null } = {}) => {
+  const [points, setPointsState] = useState(() => (storageKey ? getStoredPoints(storageKey) : 0));
+
+  const setPoints = useCallback((value) => {
+    const next = Math.max(0, parseInt(value) || 0);
+    setPointsState(next);
+    if (!storageKey) return;
+    if (next > 0) {
+      localStorage.setItem(storageKey, String(next));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  }, [storageKey]);
+
+  // Without an account (signed out, no program) nothing can be redeemed
+  useEffect(() => {
+    if (account === null && points > 0) setPoints(0);
+  }, [account, points, setPoints]);
+
+  const maxPoints = account ? getRedeemablePoints(account, orderTotal) : 0;
+  const error = account ? getRedemptionError(account, points, orderTotal) : null;
+  const appliedPoints = account && !error ? points : 0;
+
+  const redeemMaxPoints = useCallback(() => setPoints(maxPoints), [maxPoints, setPoints]);
+  const clearPoints = useCallback(() => setPoints(0), [setPoints]);
+
+  return {
+    points,
+    setPoints,
+    maxPoints,
+    appliedPoints,
+    discount: getPointsValue(appliedPoints, account),
+    error,
+    redeemMaxPoints,
+    clearPoints
+  };
+};
+
+export default useLoyaltyPoints;
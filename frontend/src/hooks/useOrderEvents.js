@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef } from 'react';
+import config from '../config';
+
+export const ORDER_EVENTS = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  PAYMENT_CAPTURED: 'payment.captured',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  ORDER_ASSIGNED: 'order.assigned',
+  ORDER_RELEASED: 'order.released'
+};
+
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Subscribe to live order/payment events for a theater over the notifications SSE stream
+ * Uses fetch streaming (not EventSource) so the auth token can be sent as a header.
+ *
+ * @param {string} theaterId - Theater to listen to
+ * @param {Function} onEvent - Called with each event ({ id, type, theaterId, data, occurredAt })
+ * @param {Object} options
+ * @param {Array<string>} options.events - Event types to receive (defaults to all order events)
+ * @param {boolean} options.enabled - Set false to pause the subscription
+ * @returns {{ connected: boolean }} connected is false while the stream is down, so callers can fall back to polling
+ */
+export const useOrderEvents = (theaterId, onEvent, { events = null, enabled = true } = {}) => {
+  const [connected, setConnected] = useState(false);
+  const onEventRef = useRef(onEvent);
+  const eventsKey = events ? events.join(',') : '';
+
+  // Always call the latest handler without reconnecting
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!theaterId || !enabled) return undefined;
+
+    let controller = null;
+    let reconnectTimer = null;
+    let stopped = false;
+
+    const connect = async () => {
+      const token = localStorage.getItem('token') || localStorage.getItem('authToken');
+      if (!token || stopped) return;
+
+      const params = new URLSearchParams({ theaterId });
+      if (eventsKey) params.append('events', eventsKey);
+
+      try {
+        controller = new AbortController();
+        const response = await fetch(`${config.api.baseUrl}/notifications/stream?${params.toString()}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          },
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`SSE connection failed: ${response.status}`);
+        }
+
+        setConnected(true);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+          for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+            try {
+              const event = JSON.parse(line.slice(6));
+              if (Object.values(ORDER_EVENTS).includes(event.type)) {
+                onEventRef.current?.(event);
+              }
+            } catch (e) {
+              console.warn('Ignoring malformed order event:', e.message);
+            }
+          }
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.warn('Order event stream error:', error.message);
+      }
+
+      setConnected(false);
+      if (!stopped) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (controller) {
+        controller.abort();
+      }
+      setConnected(false);
+    };
+  }, [theaterId, enabled, eventsKey]);
+
+  return { connected };
+};
+
+export default useOrderEvents;
@@ -139,6 +139,8 @@ const Settings = React.memo(() => {
     otpLength: 6,
     otpExpiry: 300, // 5 minutes in seconds
     maxRetries: 3,
+    resendCooldown: 30, // seconds between OTP sends to the same phone
+    lockoutDuration: 900, // seconds a phone is locked after too many attempts
     enabled: false,
     // Test Phone Number
     testPhoneNumber: ''
@@ -171,7 +173,9 @@ const Settings = React.memo(() => {
       (smsConfig.provider === 'twilio' && smsConfig.twilioAccountSid && smsConfig.twilioAuthToken) ||
       (smsConfig.provider === 'textlocal' && smsConfig.textlocalApiKey) ||
       (smsConfig.provider === 'aws-sns' && smsConfig.awsAccessKeyId && smsConfig.awsSecretAccessKey) ||
-      (smsConfig.provider === 'msg91' && smsConfig.msg91ApiKey)
+      (smsConfig.provider === 'msg91' && smsConfig.msg91ApiKey) ||
+      smsConfig.provider === 'console' ||
+      smsConfig.provider === 'file'
     );
     const mailValid = mailConfig.host && mailConfig.port && mailConfig.username && mailConfig.fromName && mailConfig.fromEmail;
     
@@ -1310,6 +1314,8 @@ const Settings = React.memo(() => {
                   <option value="textlocal">💬 TextLocal</option>
                   <option value="aws-sns">☁️ AWS SNS</option>
                   <option value="msg91">🇮🇳 MSG91</option>
+                  <option value="console">🖥️ Console (local testing)</option>
+                  <option value="file">📄 File outbox (local testing)</option>
                 </select>
                 <small className="help-text">Choose your preferred SMS service provider</small>
               </div>
@@ -1548,6 +1554,34 @@ const Settings = React.memo(() => {
                       <option value="7">7 attempts</option>
                     </select>
                   </div>
+                  <div className="form-group">
+                    <label htmlFor="resend-cooldown" data-required="true">Resend Cooldown</label>
+                    <select
+                      id="resend-cooldown"
+                      value={smsConfig.resendCooldown}
+                      onChange={(e) => handleSMSChange('resendCooldown', parseInt(e.target.value))}
+                      className="form-control"
+                    >
+                      <option value="30">30 seconds</option>
+                      <option value="60">1 minute</option>
+                      <option value="120">2 minutes</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="lockout-duration" data-required="true">Lockout Duration</label>
+                    <select
+                      id="lockout-duration"
+                      value={smsConfig.lockoutDuration}
+                      onChange={(e) => handleSMSChange('lockoutDuration', parseInt(e.target.value))}
+                      className="form-control"
+                    >
+                      <option value="300">5 minutes</option>
+                      <option value="900">15 minutes</option>
+                      <option value="1800">30 minutes</option>
+                      <option value="3600">1 hour</option>
+                    </select>
+                    <small className="help-text">How long a phone is blocked after too many wrong codes or resends</small>
+                  </div>
                   <div className="form-group checkbox-group">
                     <label htmlFor="sms-enabled" className="checkbox-label">
                       <input
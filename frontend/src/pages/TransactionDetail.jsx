@@ -6,6 +6,7 @@ import Pagination from '../components/Pagination';
 import DateFilter from '../components/DateFilter/DateFilter';
 import PageContainer from '../components/PageContainer';
 import VerticalPageHeader from '../components/VerticalPageHeader';
+import RefundModal from '../components/RefundModal';
 import { useToast } from '../contexts/ToastContext';
 import { usePerformanceMonitoring } from '../hooks/usePerformanceMonitoring';
 import { optimizedFetch } from '../utils/apiOptimizer';
@@ -62,6 +63,7 @@ const TransactionDetail = () => {
     endDate: null
   });
   const [downloadingExcel, setDownloadingExcel] = useState(false);
+  const [refundOrder, setRefundOrder] = useState(null);
 
   // Refs
   const abortControllerRef = useRef(null);
@@ -383,6 +385,13 @@ const TransactionDetail = () => {
     setCurrentPage(1);
   }, []);
 
+  // Refund completed - refresh the list so totals and statuses update
+  const handleRefunded = useCallback((result) => {
+    setRefundOrder(null);
+    toast.success(`Refunded ₹${(result?.refund?.amount || 0).toFixed(2)} on order #${result?.order?.orderNumber || ''}`);
+    fetchOrders(true);
+  }, [toast, fetchOrders]);
+
   // Excel Download Handler
   const handleDownloadExcel = useCallback(async () => {
     if (!theaterId) {
@@ -649,6 +658,7 @@ const TransactionDetail = () => {
                       <th>CUSTOMER</th>
                       <th>STATUS</th>
                       <th>AMOUNT</th>
+                      <th>ACTIONS</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -661,6 +671,7 @@ const TransactionDetail = () => {
                         <td><div className="skeleton-line"></div></td>
                         <td><div className="skeleton-line"></div></td>
                         <td><div className="skeleton-line"></div></td>
+                        <td><div className="skeleton-line"></div></td>
                       </tr>
                     ))}
                   </tbody>
@@ -688,6 +699,7 @@ const TransactionDetail = () => {
                       <th style={{ minWidth: '150px' }}>CUSTOMER</th>
                       <th style={{ minWidth: '120px' }}>STATUS</th>
                       <th style={{ minWidth: '120px' }}>AMOUNT</th>
+                      <th style={{ minWidth: '100px' }}>ACTIONS</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -717,6 +729,23 @@ const TransactionDetail = () => {
                         </td>
                         <td className="name-cell" style={{ fontWeight: '600', color: '#059669' }}>
                           {formatCurrency(order.pricing?.total || order.totalAmount || order.total || 0)}
+                          {order.payment?.refundAmount > 0 && (
+                            <div style={{ fontSize: '12px', fontWeight: '500', color: '#dc2626' }}>
+                              −{formatCurrency(order.payment.refundAmount)} refunded
+                            </div>
+                          )}
+                        </td>
+                        <td className="actions-cell">
+                          {(order.payment?.status === 'paid' || order.payment?.status === 'partially_refunded') && (
+                            <button
+                              className="action-btn"
+                              onClick={() => setRefundOrder(order)}
+                              title="Refund"
+                              style={{ padding: '6px 12px', borderRadius: '6px', border: '1px solid #fca5a5', background: '#fef2f2', color: '#dc2626', cursor: 'pointer', fontSize: '13px' }}
+                            >
+                              Refund
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -739,6 +768,16 @@ const TransactionDetail = () => {
           </PageContainer>
         </div>
 
+        {/* Refund Modal */}
+        {refundOrder && (
+          <RefundModal
+            order={refundOrder}
+            theaterId={theaterId}
+            onClose={() => setRefundOrder(null)}
+            onRefunded={handleRefunded}
+          />
+        )}
+
         {/* Date Filter Modal */}
         {showDateFilterModal && (
           <DateFilter
@@ -30,6 +30,32 @@ import '../../styles/QRManagementPage.css';
 import '../../styles/AddTheater.css';
 import '../../styles/TheaterUserDetails.css';
 
+const PAYMENT_PROVIDERS = [
+  { id: 'razorpay', label: 'Razorpay' },
+  { id: 'phonepe', label: 'PhonePe' },
+  { id: 'paytm', label: 'Paytm' },
+  { id: 'stripe', label: 'Stripe' }
+];
+
+const emptyChannelConfig = () => ({
+  enabled: false,
+  provider: 'none',
+  razorpay: { enabled: false, keyId: '', keySecret: '', webhookSecret: '', testMode: true },
+  phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '', testMode: true },
+  paytm: { enabled: false, merchantId: '', merchantKey: '', websiteName: 'DEFAULT', testMode: true },
+  stripe: { enabled: false, publishableKey: '', secretKey: '', webhookSecret: '', testMode: true }
+});
+
+// Keep everything saved on the channel (accepted methods etc.) and fill in missing provider fields
+const mergeChannelConfig = (saved = {}) => {
+  const defaults = emptyChannelConfig();
+  const merged = { ...defaults, ...saved };
+  PAYMENT_PROVIDERS.forEach(({ id }) => {
+    merged[id] = { ...defaults[id], ...saved[id] };
+  });
+  return merged;
+};
+
 const TheaterPaymentGatewaySettings = () => {
   const { theaterId } = useParams();
   const navigate = useNavigate();
@@ -44,22 +70,16 @@ const TheaterPaymentGatewaySettings = () => {
   
   // Show/hide password states
   const [showPasswords, setShowPasswords] = useState({
-    kiosk: { razorpay: false, phonepe: false, paytm: false },
-    online: { razorpay: false, phonepe: false, paytm: false }
+    kiosk: { razorpay: false, phonepe: false, paytm: false, stripe: false },
+    online: { razorpay: false, phonepe: false, paytm: false, stripe: false }
   });
 
   // Payment gateway configurations
-  const [kioskConfig, setKioskConfig] = useState({
-    razorpay: { enabled: false, keyId: '', keySecret: '' },
-    phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
-    paytm: { enabled: false, merchantId: '', merchantKey: '' }
-  });
+  const [kioskConfig, setKioskConfig] = useState(emptyChannelConfig);
+  const [onlineConfig, setOnlineConfig] = useState(emptyChannelConfig);
 
-  const [onlineConfig, setOnlineConfig] = useState({
-    razorpay: { enabled: false, keyId: '', keySecret: '' },
-    phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
-    paytm: { enabled: false, merchantId: '', merchantKey: '' }
-  });
+  // Gateways post payment notifications here (webhook URL per provider)
+  const webhookBaseUrl = new URL(`${config.api.baseUrl}/payments/webhook`, window.location.origin).href;
 
   const fetchTheaters = useCallback(async () => {
     try {
@@ -122,21 +142,13 @@ const TheaterPaymentGatewaySettings = () => {
         console.log('Loading Online Config:', theater.paymentGateway.online);
         
         if (theater.paymentGateway.kiosk) {
-          const newKiosk = {
-            razorpay: theater.paymentGateway.kiosk.razorpay || { enabled: false, keyId: '', keySecret: '' },
-            phonepe: theater.paymentGateway.kiosk.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
-            paytm: theater.paymentGateway.kiosk.paytm || { enabled: false, merchantId: '', merchantKey: '' }
-          };
+          const newKiosk = mergeChannelConfig(theater.paymentGateway.kiosk);
           console.log('Setting Kiosk Config to:', newKiosk);
           setKioskConfig(newKiosk);
         }
         
         if (theater.paymentGateway.online) {
-          const newOnline = {
-            razorpay: theater.paymentGateway.online.razorpay || { enabled: false, keyId: '', keySecret: '' },
-            phonepe: theater.paymentGateway.online.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
-            paytm: theater.paymentGateway.online.paytm || { enabled: false, merchantId: '', merchantKey: '' }
-          };
+          const newOnline = mergeChannelConfig(theater.paymentGateway.online);
           console.log('Setting Online Config to:', newOnline);
           setOnlineConfig(newOnline);
         }
@@ -172,6 +184,16 @@ const TheaterPaymentGatewaySettings = () => {
       return;
     }
 
+    // The active provider must be switched on and have its credentials
+    for (const [channel, channelConfig] of [['kiosk', kioskConfig], ['online', onlineConfig]]) {
+      const active = channelConfig.provider;
+      if (active && active !== 'none' && !channelConfig[active]?.enabled) {
+        const label = PAYMENT_PROVIDERS.find(p => p.id === active)?.label || active;
+        modal?.showError?.(`${label} is the active ${channel} gateway but is disabled. Enable it or choose another provider.`);
+        return;
+      }
+    }
+
     try {
       setSaving(true);
       
@@ -229,6 +251,44 @@ const TheaterPaymentGatewaySettings = () => {
     }));
   };
 
+  const updateProviderField = (setConfig, provider, field, value) => {
+    setConfig(prev => ({
+      ...prev,
+      [provider]: { ...prev[provider], [field]: value }
+    }));
+  };
+
+  const renderSecretField = (channel, config, setConfig, provider, field, label, placeholder, enabled) => (
+    <div className="form-group">
+      <label htmlFor={`${channel}-${provider}-${field}`}>{label}</label>
+      <div style={{ position: 'relative' }}>
+        <input
+          id={`${channel}-${provider}-${field}`}
+          type={showPasswords[channel][provider] ? 'text' : 'password'}
+          value={config[provider]?.[field] || ''}
+          onChange={(e) => updateProviderField(setConfig, provider, field, e.target.value)}
+          disabled={!enabled}
+          placeholder={placeholder}
+          className="form-control"
+          style={{ paddingRight: '40px' }}
+        />
+        <IconButton
+          onClick={() => togglePasswordVisibility(channel, provider)}
+          style={{
+            position: 'absolute',
+            right: '4px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+            padding: '8px'
+          }}
+          size="small"
+        >
+          {showPasswords[channel][provider] ? <VisibilityOff /> : <Visibility />}
+        </IconButton>
+      </div>
+    </div>
+  );
+
   const renderGatewaySection = (channel, config, setConfig, provider, label) => {
     const enabled = config[provider]?.enabled || false;
     
@@ -238,6 +298,9 @@ const TheaterPaymentGatewaySettings = () => {
           <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
             <PaymentIcon style={{ color: '#8b5cf6', fontSize: '24px' }} />
             <h2 style={{ margin: 0 }}>{label}</h2>
+            {config.provider === provider && config.enabled && (
+              <Chip label="Active" color="success" size="small" />
+            )}
           </div>
           <FormControlLabel
             control={
@@ -247,8 +310,10 @@ const TheaterPaymentGatewaySettings = () => {
                   const newEnabled = e.target.checked;
                   setConfig(prev => {
                     const currentProvider = prev[provider] || {};
+                    const deactivate = !newEnabled && prev.provider === provider;
                     return {
                       ...prev,
+                      ...(deactivate && { provider: 'none', enabled: false }),
                       [provider]: { 
                         ...currentProvider,
                         enabled: newEnabled 
@@ -341,6 +406,8 @@ const TheaterPaymentGatewaySettings = () => {
                     </IconButton>
                   </div>
                 </div>
+
+                {renderSecretField(channel, config, setConfig, 'razorpay', 'webhookSecret', 'Webhook Secret', 'Secret set on the Razorpay webhook', enabled)}
               </>
             )}
             
@@ -476,8 +543,67 @@ const TheaterPaymentGatewaySettings = () => {
                     </IconButton>
                   </div>
                 </div>
+
+                <div className="form-group">
+                  <label htmlFor={`${channel}-paytm-websiteName`}>Website Name</label>
+                  <input
+                    id={`${channel}-paytm-websiteName`}
+                    type="text"
+                    value={config.paytm?.websiteName || ''}
+                    onChange={(e) => updateProviderField(setConfig, 'paytm', 'websiteName', e.target.value)}
+                    disabled={!enabled}
+                    placeholder="DEFAULT (WEBSTAGING in test mode)"
+                    className="form-control"
+                  />
+                </div>
+              </>
+            )}
+
+            {provider === 'stripe' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor={`${channel}-stripe-publishableKey`}>Publishable Key</label>
+                  <input
+                    id={`${channel}-stripe-publishableKey`}
+                    type="text"
+                    value={config.stripe?.publishableKey || ''}
+                    onChange={(e) => updateProviderField(setConfig, 'stripe', 'publishableKey', e.target.value)}
+                    disabled={!enabled}
+                    placeholder="pk_test_xxxxxxxxxxxxx"
+                    className="form-control"
+                  />
+                </div>
+
+                {renderSecretField(channel, config, setConfig, 'stripe', 'secretKey', 'Secret Key', 'sk_test_xxxxxxxxxxxxx', enabled)}
+                {renderSecretField(channel, config, setConfig, 'stripe', 'webhookSecret', 'Webhook Signing Secret', 'whsec_xxxxxxxxxxxxx', enabled)}
               </>
             )}
+
+            <div className="form-group">
+              <label htmlFor={`${channel}-${provider}-webhookUrl`}>Webhook / Callback URL</label>
+              <input
+                id={`${channel}-${provider}-webhookUrl`}
+                type="text"
+                value={`${webhookBaseUrl}/${provider}/${selectedTheater}`}
+                readOnly
+                className="form-control"
+                onFocus={(e) => e.target.select()}
+              />
+            </div>
+
+            <div className="form-group">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={config[provider]?.testMode !== false}
+                    onChange={(e) => updateProviderField(setConfig, provider, 'testMode', e.target.checked)}
+                    disabled={!enabled}
+                    color="primary"
+                  />
+                }
+                label="Test mode (sandbox credentials)"
+              />
+            </div>
         </div>
       </div>
     );
@@ -498,9 +624,38 @@ const TheaterPaymentGatewaySettings = () => {
           </div>
         </div>
         
-        {renderGatewaySection(channel, config, setConfig, 'razorpay', 'Razorpay')}
-        {renderGatewaySection(channel, config, setConfig, 'phonepe', 'PhonePe')}
-        {renderGatewaySection(channel, config, setConfig, 'paytm', 'Paytm')}
+        <div className="form-section">
+          <div className="form-group" style={{ maxWidth: '400px' }}>
+            <label htmlFor={`${channel}-active-provider`}>Active Gateway</label>
+            <TextField
+              id={`${channel}-active-provider`}
+              select
+              fullWidth
+              size="small"
+              value={config.enabled ? (config.provider || 'none') : 'none'}
+              onChange={(e) => {
+                const provider = e.target.value;
+                setConfig(prev => ({
+                  ...prev,
+                  provider,
+                  enabled: provider !== 'none',
+                  ...(provider !== 'none' && { [provider]: { ...prev[provider], enabled: true } })
+                }));
+              }}
+              sx={{ bgcolor: 'white' }}
+            >
+              <MenuItem value="none">None (cash only)</MenuItem>
+              {PAYMENT_PROVIDERS.map(({ id, label }) => (
+                <MenuItem key={id} value={id}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <p style={{ margin: '8px 0 0', fontSize: '13px', color: '#6b7280' }}>
+              {channelLabel} payments are taken through this gateway. Switching takes effect for new payments as soon as you save.
+            </p>
+          </div>
+        </div>
+
+        {PAYMENT_PROVIDERS.map(({ id, label }) => renderGatewaySection(channel, config, setConfig, id, label))}
         
         <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '32px', paddingTop: '24px', borderTop: '1px solid var(--border-color)' }}>
           <button
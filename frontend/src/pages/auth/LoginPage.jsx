@@ -44,6 +44,19 @@ const LoginPage = () => {
       'order-history': `/theater-order-history/${theaterId}`,
       'online-order-history': `/online-order-history/${theaterId}`,
       'kiosk-order-history': `/kiosk-order-history/${theaterId}`,
+      'kitchen-display': `/theater-kitchen/${theaterId}`,
+      'coupons': `/theater-coupons/${theaterId}`,
+      'dispatch-board': `/theater-dispatch/${theaterId}`,
+      'runner-view': `/theater-runner/${theaterId}`,
+      'suppliers': `/theater-suppliers/${theaterId}`,
+      'purchase-orders': `/theater-purchase-orders/${theaterId}`,
+      'raw-materials': `/theater-raw-materials/${theaterId}`,
+      'stock-transfers': `/theater-stock-transfers/${theaterId}`,
+      'stock-takes': `/theater-stock-takes/${theaterId}`,
+      'shifts': `/theater-shifts/${theaterId}`,
+      'showtimes': `/theater-showtimes/${theaterId}`,
+      'loyalty': `/theater-loyalty/${theaterId}`,
+      'feedback': `/theater-feedback/${theaterId}`,
       'orders': `/theater-orders/${theaterId}`,
       'qr-management': `/theater-qr-management/${theaterId}`,
       'qr-code-names': `/theater-qr-code-names/${theaterId}`,
@@ -95,6 +108,19 @@ const LoginPage = () => {
       'TheaterOrderHistory': `/theater-order-history/${theaterId}`,
       'OnlineOrderHistory': `/online-order-history/${theaterId}`,
       'KioskOrderHistory': `/kiosk-order-history/${theaterId}`,
+      'TheaterKitchenDisplay': `/theater-kitchen/${theaterId}`,
+      'TheaterCoupons': `/theater-coupons/${theaterId}`,
+      'TheaterDispatchBoard': `/theater-dispatch/${theaterId}`,
+      'TheaterRunnerView': `/theater-runner/${theaterId}`,
+      'TheaterSuppliers': `/theater-suppliers/${theaterId}`,
+      'TheaterPurchaseOrders': `/theater-purchase-orders/${theaterId}`,
+      'TheaterRawMaterials': `/theater-raw-materials/${theaterId}`,
+      'TheaterStockTransfers': `/theater-stock-transfers/${theaterId}`,
+      'TheaterStockTakes': `/theater-stock-takes/${theaterId}`,
+      'TheaterShifts': `/theater-shifts/${theaterId}`,
+      'TheaterShowtimes': `/theater-showtimes/${theaterId}`,
+      'TheaterLoyalty': `/theater-loyalty/${theaterId}`,
+      'TheaterFeedback': `/theater-feedback/${theaterId}`,
       'StaffOrderHistory': `/staff-order-history/${theaterId}`,
       'TheaterAddProductWithId': `/theater-add-product/${theaterId}`,
       'AddProduct': `/theater-add-product/${theaterId}`,
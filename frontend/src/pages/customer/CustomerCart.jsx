@@ -5,6 +5,11 @@ import { getImageSrc } from '../../utils/globalImageCache'; // 🚀 Instant imag
 import { calculateOrderTotals } from '../../utils/orderCalculation'; // 📊 Centralized calculation
 import './../../styles/customer/CustomerCart.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
+import CouponCodeInput from '../../components/CouponCodeInput';
+import { useCouponCode, CUSTOMER_COUPON_KEY } from '../../hooks/useCouponCode';
+import { toOrderLine } from '../../utils/comboUtils';
+import '../../styles/components/ComboChoiceModal.css';
+import '../../styles/components/customer/ProductModal.css';
 
 
 const CustomerCart = () => {
@@ -32,7 +37,7 @@ const CustomerCart = () => {
   }, [location.search]);
 
   // Calculate totals using centralized utility
-  const { subtotal, tax, total, totalDiscount } = useMemo(() => {
+  const cartTotals = useMemo(() => {
     // Map cart items to match the expected format for the utility
     const orderItems = items.map(item => ({
       ...item,
@@ -47,6 +52,26 @@ const CustomerCart = () => {
     return calculateOrderTotals(orderItems);
   }, [items]);
 
+  const couponItems = useMemo(
+    () => items.map(item => toOrderLine(item)),
+    [items]
+  );
+  const couponState = useCouponCode(theaterId, couponItems, {
+    phone: localStorage.getItem('customerPhone'),
+    storageKey: CUSTOMER_COUPON_KEY
+  });
+  const { coupon } = couponState;
+
+  // With a coupon applied, show the server's pricing so the total matches the order
+  const { subtotal, tax, total, totalDiscount } = coupon
+    ? {
+      subtotal: coupon.pricing.subtotal,
+      tax: coupon.pricing.taxAmount,
+      total: coupon.pricing.total,
+      totalDiscount: cartTotals.totalDiscount
+    }
+    : cartTotals;
+
   // Determine GST types for display label
   const gstTypes = useMemo(() => {
     const types = items.map(item => item.gstType || item.pricing?.gstType || 'EXCLUDE');
@@ -77,7 +102,7 @@ const CustomerCart = () => {
       qrName,
       seat,
       cartItems: items,
-      totals: { subtotal, tax, total, totalDiscount }
+      totals: { subtotal, tax, total, totalDiscount, couponDiscount: coupon?.discountAmount || 0 }
     }));
     
     // If already logged in, go directly to payment page
@@ -229,6 +254,8 @@ const CustomerCart = () => {
               
               <div className="cart-item-details">
                 <h3 className="cart-item-name">{item.name}</h3>
+                {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+                {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
                 <div className="cart-item-price-container">
                   {hasDiscount ? (
                     <>
@@ -292,6 +319,15 @@ const CustomerCart = () => {
             <span className="summary-value discount-value">-₹{totalDiscount.toFixed(2)}</span>
           </div>
         )}
+
+        {coupon && (
+          <div className="summary-row discount-row">
+            <span className="summary-label">Coupon ({coupon.code})</span>
+            <span className="summary-value discount-value">-₹{coupon.discountAmount.toFixed(2)}</span>
+          </div>
+        )}
+
+        <CouponCodeInput {...couponState} />
         
         <div className="summary-divider"></div>
         
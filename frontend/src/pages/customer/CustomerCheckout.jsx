@@ -6,6 +6,12 @@ import config from '../../config';
 import '../../styles/customer/CustomerCheckout.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import CouponCodeInput from '../../components/CouponCodeInput';
+import { useCouponCode, CUSTOMER_COUPON_KEY } from '../../hooks/useCouponCode';
+import { toOrderLine } from '../../utils/comboUtils';
+import LoyaltyRedeemInput from '../../components/LoyaltyRedeemInput';
+import { useLoyaltyPoints, CUSTOMER_LOYALTY_KEY } from '../../hooks/useLoyaltyPoints';
+import { customerFetch, getCustomerToken } from '../../utils/customerSession';
 
 
 
@@ -141,7 +147,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
         <div className="cart-item-info">
           <div className="product-details">
             <h3 className="cart-item-name">{item.name}</h3>
-            <p className="cart-item-description">{item.description || 'Double Beef'}</p>
+            <p className="cart-item-description">{item.comboSummary || item.modifierSummary || item.description || 'Double Beef'}</p>
             <div className="cart-item-price">
               {formatPrice(itemTotal)}
             </div>
@@ -181,7 +187,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
 };
 
 // Pricing Summary Component
-const PricingSummary = ({ subtotal, deliveryCharge, tax, total }) => {
+const PricingSummary = ({ subtotal, deliveryCharge, tax, total, coupon, loyalty }) => {
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -205,6 +211,20 @@ const PricingSummary = ({ subtotal, deliveryCharge, tax, total }) => {
         <span className="pricing-label">Tax:</span>
         <span className="pricing-value">{formatPrice(tax)}</span>
       </div>
+
+      {coupon && (
+        <div className="pricing-row">
+          <span className="pricing-label">Coupon ({coupon.code}):</span>
+          <span className="pricing-value">-{formatPrice(coupon.discountAmount)}</span>
+        </div>
+      )}
+
+      {loyalty?.discount > 0 && (
+        <div className="pricing-row">
+          <span className="pricing-label">Points ({loyalty.appliedPoints}):</span>
+          <span className="pricing-value">-{formatPrice(loyalty.discount)}</span>
+        </div>
+      )}
       
       <div className="pricing-row total-row">
         <span className="pricing-label">Total</span>
@@ -246,7 +266,7 @@ const CustomerCheckoutFooter = ({ total, onCheckout, isLoading }) => {
 const CustomerCheckout = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { items: cartItems, updateQuantity, removeItem, subtotal, deliveryCharge, tax, total, formatPrice, isEmpty } = useCart();
+  const { items: cartItems, updateQuantity, removeItem, subtotal: cartSubtotal, deliveryCharge, tax: cartTax, total: cartTotal, formatPrice, isEmpty } = useCart();
   const [isLoading, setIsLoading] = useState(false);
   const [theater, setTheater] = useState(null);
 
@@ -256,6 +276,36 @@ const CustomerCheckout = () => {
   const screenName = urlParams.get('screen');
   const seatId = urlParams.get('seat');
 
+  const couponItems = useMemo(
+    () => cartItems.map(item => toOrderLine(item)),
+    [cartItems]
+  );
+  const couponState = useCouponCode(theaterId, couponItems, {
+    phone: localStorage.getItem('customerPhone'),
+    storageKey: CUSTOMER_COUPON_KEY
+  });
+  const { coupon } = couponState;
+
+  // Signed-in customers can pay part of the order with loyalty points (undefined while loading)
+  const [loyaltyAccount, setLoyaltyAccount] = useState(undefined);
+  useEffect(() => {
+    if (!theaterId || !getCustomerToken()) {
+      setLoyaltyAccount(null);
+      return;
+    }
+    customerFetch(`/customers/loyalty?theaterId=${theaterId}`)
+      .then(({ data }) => setLoyaltyAccount(data))
+      .catch(() => setLoyaltyAccount(null));
+  }, [theaterId]);
+
+  // With a coupon applied, use the server's pricing (delivery is charged on top)
+  const subtotal = coupon ? coupon.pricing.subtotal : cartSubtotal;
+  const tax = coupon ? coupon.pricing.taxAmount : cartTax;
+  const totalBeforePoints = coupon ? coupon.pricing.total : cartTotal - deliveryCharge;
+  const loyaltyState = useLoyaltyPoints(loyaltyAccount, totalBeforePoints, { storageKey: CUSTOMER_LOYALTY_KEY });
+  // Points come off after tax, as calculateOrderTotals does on the server
+  const total = Math.round((totalBeforePoints - loyaltyState.discount + deliveryCharge) * 100) / 100;
+
   // Load theater data like CustomerHome
   useEffect(() => {
     const loadTheater = async () => {
@@ -379,12 +429,18 @@ const CustomerCheckout = () => {
 
           {/* Pricing Summary */}
           {cartItems.length > 0 && (
-            <PricingSummary
-              subtotal={subtotal}
-              deliveryCharge={deliveryCharge}
-              tax={tax}
-              total={total}
-            />
+            <>
+              <CouponCodeInput {...couponState} />
+              <LoyaltyRedeemInput account={loyaltyAccount} {...loyaltyState} />
+              <PricingSummary
+                subtotal={subtotal}
+                deliveryCharge={deliveryCharge}
+                tax={tax}
+                total={total}
+                coupon={coupon}
+                loyalty={loyaltyState}
+              />
+            </>
           )}
         </div>
 
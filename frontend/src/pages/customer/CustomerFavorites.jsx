@@ -9,6 +9,8 @@ import './../../styles/customer/CustomerFavorites.css';
 import './../../styles/customer/CustomerPhoneEntry.css';
 import './../../styles/customer/CustomerOTPVerification.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { getCustomerPhone, saveCustomerSession } from '../../utils/customerSession';
+import { loadFavoriteIds, setFavorite } from '../../utils/customerFavorites';
 
 
 const CustomerFavorites = () => {
@@ -36,10 +38,10 @@ const CustomerFavorites = () => {
   const otpInputRefs = useRef([]);
   const countryCode = '+91';
 
-  // Load favorites from localStorage
+  // Load favorites once the customer is signed in
   useEffect(() => {
     // Check if user is logged in
-    const savedPhone = localStorage.getItem('customerPhone');
+    const savedPhone = getCustomerPhone();
     
     if (savedPhone) {
       // User is logged in
@@ -53,15 +55,28 @@ const CustomerFavorites = () => {
     }
   }, [theaterId]);
   
-  const loadFavorites = () => {
-    const saved = localStorage.getItem('customerFavorites');
-    const favoriteIds = saved ? JSON.parse(saved) : [];
-    console.log('Loaded favorites from localStorage:', favoriteIds);
+  const loadFavorites = async () => {
+    let favoriteIds = [];
+    try {
+      // Saved on the customer's account for this theater
+      favoriteIds = await loadFavoriteIds(theaterId);
+    } catch (error) {
+      console.error('Error loading favorites:', error);
+      if (error.sessionExpired) {
+        setIsLoggedIn(false);
+        setPhoneNumber('');
+        setShowLoginForm(true);
+        setLoginError(error.message);
+        setLoading(false);
+        return;
+      }
+    }
     setFavoriteProducts(favoriteIds);
     
     if (favoriteIds.length > 0 && theaterId) {
       fetchFavoriteProducts(favoriteIds);
     } else {
+      setProducts([]);
       setLoading(false);
     }
   };
@@ -285,7 +300,7 @@ const CustomerFavorites = () => {
       const result = await response.json();
 
       if (result.success) {
-        localStorage.setItem('customerPhone', fullPhone);
+        saveCustomerSession(result.data, fullPhone);
         setIsLoggedIn(true);
         setShowLoginForm(false);
         loadFavorites();
@@ -381,11 +396,15 @@ const CustomerFavorites = () => {
   };
 
   // Remove from favorites
-  const handleRemoveFavorite = (productId) => {
-    const newFavorites = favoriteProducts.filter(id => id !== productId);
-    setFavoriteProducts(newFavorites);
+  const handleRemoveFavorite = async (productId) => {
+    setFavoriteProducts(favoriteProducts.filter(id => id !== productId));
     setProducts(products.filter(p => p._id !== productId));
-    localStorage.setItem('customerFavorites', JSON.stringify(newFavorites));
+    try {
+      await setFavorite(theaterId, productId, false);
+    } catch (error) {
+      console.error('Error removing favorite:', error);
+      loadFavorites();
+    }
   };
 
   // Add to cart
@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useCart } from '../../contexts/CartContext';
 import ProductCollectionModal from '../../components/customer/ProductCollectionModal';
+import ComboChoiceModal from '../../components/ComboChoiceModal';
+import ProductModal from '../../components/customer/ProductModal';
 import BannerCarousel from '../../components/customer/BannerCarousel';
 import OfflineNotice from '../../components/OfflineNotice';
 import CachedImage from '../../components/CachedImage'; // 🖼️ Global image caching
@@ -18,6 +20,11 @@ import config from '../../config';
 import './../../styles/customer/CustomerHome.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import { isComboProduct, hasComboChoices, describeCombo, buildComboCartItem, findLastCartLine } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
+import { customerFetch, getCustomerToken, clearCustomerSession, logoutAllDevices } from '../../utils/customerSession';
+import { loadFavoriteIds, setFavorite } from '../../utils/customerFavorites';
+import { isUnavailableNow } from '../../utils/availabilityUtils';
 
 
 
@@ -43,6 +50,8 @@ const CustomerHome = () => {
   const [screenName, setScreenName] = useState(null);
   const [selectedCollection, setSelectedCollection] = useState(null);
   const [isCollectionModalOpen, setIsCollectionModalOpen] = useState(false);
+  const [comboProduct, setComboProduct] = useState(null); // Combo waiting for the customer's choices
+  const [modifierProduct, setModifierProduct] = useState(null); // Product waiting for its modifiers
   const [showProfileDropdown, setShowProfileDropdown] = useState(false);
   
   const [isVegOnly, setIsVegOnly] = useState(false);
@@ -59,11 +68,14 @@ const CustomerHome = () => {
   const [unreadCount, setUnreadCount] = useState(0);
   const notificationIntervalRef = useRef(null);
   
-  // Favorites state
-  const [favoriteProducts, setFavoriteProducts] = useState(() => {
-    const saved = localStorage.getItem('customerFavorites');
-    return saved ? JSON.parse(saved) : [];
-  });
+  // Favorites state - product ids, kept on the customer's account once they sign in
+  const [favoriteProducts, setFavoriteProducts] = useState([]);
+
+  useEffect(() => {
+    loadFavoriteIds(theaterId)
+      .then(setFavoriteProducts)
+      .catch(error => console.error('❌ Error loading favorites:', error));
+  }, [theaterId]);
 
   // Initialize state from localStorage if URL params are missing
   useEffect(() => {
@@ -157,9 +169,13 @@ const CustomerHome = () => {
       // Fetch fresh data in parallel (background refresh)
       const fetchFreshData = async () => {
         try {
+          // The screen lets the server apply screen-only availability rules
+          const menuParams = new URLSearchParams();
+          if (qrName) menuParams.set('qrName', qrName);
+          if (screenName) menuParams.set('screen', screenName);
           const [theaterRes, productsRes, categoriesRes] = await Promise.all([
             fetch(`${config.api.baseUrl}/theaters/${theaterId}`),
-            fetch(`${config.api.baseUrl}/theater-products/${theaterId}`),
+            fetch(`${config.api.baseUrl}/theater-products/${theaterId}?${menuParams.toString()}`),
             fetch(`${config.api.baseUrl}/theater-categories/${theaterId}`)
           ]);
           
@@ -197,7 +213,8 @@ const CustomerHome = () => {
               const trackStock = p.inventory?.trackStock !== false;
               const currentStock = p.inventory?.currentStock || 0;
               const hasStock = !trackStock || currentStock > 0;
-              const isAvailable = isActive && hasStock;
+              // Outside its availability schedule (breakfast only, weekends...) it is greyed out like an out of stock item
+              const isAvailable = isActive && hasStock && !isUnavailableNow(p);
               
               return {
                 _id: p._id,
@@ -219,6 +236,11 @@ const CustomerHome = () => {
                 currentStock: currentStock,
                 trackStock: trackStock,
                 isAvailable: isAvailable,
+                availabilityReason: isUnavailableNow(p) ? p.availabilityReason : null,
+                isCombo: p.isCombo || false,
+                comboItems: p.comboItems || [],
+                variants: p.variants || [],
+                rating: p.rating || null,
               };
             });
             
@@ -278,7 +300,7 @@ const CustomerHome = () => {
       
       fetchFreshData();
     }
-  }, [theaterId]);
+  }, [theaterId, qrName, screenName]);
 
   // Filter collections based on search query and selected category
   const filterProductCollections = useCallback(() => {
@@ -452,21 +474,12 @@ const CustomerHome = () => {
 
   // Fetch notifications for logged-in customers
   const fetchNotifications = useCallback(async () => {
-    const phoneNumber = localStorage.getItem('customerPhone');
-    if (!phoneNumber) return;
+    if (!getCustomerToken()) return;
 
     try {
-      const response = await fetch(
-        `${config.api.baseUrl}/notifications/customer/${phoneNumber}?limit=20`
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          setNotifications(data.notifications || []);
-          setUnreadCount(data.unreadCount || 0);
-        }
-      }
+      const { data } = await customerFetch('/customers/notifications?limit=20');
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
     } catch (error) {
       console.error('❌ Error fetching notifications:', error);
     }
@@ -474,8 +487,7 @@ const CustomerHome = () => {
 
   // Poll for notifications every 5 seconds if user is logged in
   useEffect(() => {
-    const phoneNumber = localStorage.getItem('customerPhone');
-    if (phoneNumber) {
+    if (getCustomerToken()) {
       // Fetch immediately
       fetchNotifications();
       
@@ -498,19 +510,12 @@ const CustomerHome = () => {
 
   // Mark all notifications as read
   const markAllNotificationsAsRead = async () => {
-    const phoneNumber = localStorage.getItem('customerPhone');
-    if (!phoneNumber) return;
+    if (!getCustomerToken()) return;
 
     try {
-      const response = await fetch(
-        `${config.api.baseUrl}/notifications/customer/${phoneNumber}/read-all`,
-        { method: 'PUT' }
-      );
-      
-      if (response.ok) {
-        setUnreadCount(0);
-        setNotifications(notifications.map(n => ({ ...n, read: true })));
-      }
+      await customerFetch('/customers/notifications/read-all', { method: 'PUT' });
+      setUnreadCount(0);
+      setNotifications(notifications.map(n => ({ ...n, read: true })));
     } catch (error) {
       console.error('❌ Error marking notifications as read:', error);
     }
@@ -682,6 +687,19 @@ const CustomerHome = () => {
     window.history.replaceState({}, '', `${location.pathname}?${params.toString()}`);
   };
 
+  const toCartItem = (product) => ({
+    _id: product._id,
+    name: product.name,
+    price: product.price,
+    image: product.image,
+    quantity: 1,
+    taxRate: product.pricing?.taxRate || product.taxRate || 0,
+    gstType: product.pricing?.gstType || product.gstType || 'EXCLUDE',
+    discountPercentage: product.pricing?.discountPercentage || product.discountPercentage || 0,
+    theaterId: theaterId, // Add theater ID to cart item
+    ...(isComboProduct(product) && { comboItems: product.comboItems })
+  });
+
   // Handle adding product to cart
   const handleAddToCart = (product) => {
     // Check if product is available
@@ -689,17 +707,31 @@ const CustomerHome = () => {
       return; // Don't add to cart if not available
     }
     
-    addItem({
-      _id: product._id,
-      name: product.name,
-      price: product.price,
-      image: product.image,
-      quantity: 1,
-      taxRate: product.pricing?.taxRate || product.taxRate || 0,
-      gstType: product.pricing?.gstType || product.gstType || 'EXCLUDE',
-      discountPercentage: product.pricing?.discountPercentage || product.discountPercentage || 0,
-      theaterId: theaterId // Add theater ID to cart item
-    });
+    // Products with modifiers and combos with swaps ask what the customer wants first
+    if (hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setComboProduct(product);
+      return;
+    }
+    
+    addItem(isComboProduct(product)
+      ? buildComboCartItem(toCartItem(product))
+      : toCartItem(product));
+  };
+
+  // Add a combo once its choices are made
+  const handleComboConfirm = (selections) => {
+    addItem(buildComboCartItem(toCartItem(comboProduct), selections));
+    setComboProduct(null);
+  };
+
+  // Add a product once its modifiers are picked
+  const handleModifierConfirm = (modifiers) => {
+    addItem(buildModifierCartItem(toCartItem(modifierProduct), modifiers));
+    setModifierProduct(null);
   };
 
   // Handle increasing quantity
@@ -710,7 +742,7 @@ const CustomerHome = () => {
     }
     
     const currentQty = getItemQuantity(product._id);
-    if (currentQty > 0) {
+    if (currentQty > 0 && !hasComboChoices(product) && !hasModifiers(product)) {
       updateQuantity(product._id, currentQty + 1);
     } else {
       handleAddToCart(product);
@@ -719,11 +751,13 @@ const CustomerHome = () => {
 
   // Handle decreasing quantity
   const handleDecreaseQuantity = (product) => {
-    const currentQty = getItemQuantity(product._id);
-    if (currentQty > 1) {
-      updateQuantity(product._id, currentQty - 1);
-    } else if (currentQty === 1) {
-      removeItem({ _id: product._id });
+    // Combos and products with modifiers may sit in the cart as several lines (one per set of choices) - take from the latest
+    const line = findLastCartLine(items, product._id);
+    if (!line) return;
+    if (line.quantity > 1) {
+      updateQuantity(line._id, line.quantity - 1);
+    } else {
+      removeItem({ _id: line._id });
     }
   };
 
@@ -736,18 +770,16 @@ const CustomerHome = () => {
   };
 
   // Handle favorite toggle
-  const handleToggleFavorite = (productId) => {
-    console.log('Toggle favorite for product ID:', productId);
-    setFavoriteProducts(prev => {
-      const newFavorites = prev.includes(productId)
-        ? prev.filter(id => id !== productId)
-        : [...prev, productId];
-      
-      console.log('Updated favorites:', newFavorites);
-      // Save to localStorage
-      localStorage.setItem('customerFavorites', JSON.stringify(newFavorites));
-      return newFavorites;
-    });
+  const handleToggleFavorite = async (productId) => {
+    const isFavorite = !favoriteProducts.includes(productId);
+    setFavoriteProducts(prev => isFavorite ? [...prev, productId] : prev.filter(id => id !== productId));
+
+    try {
+      setFavoriteProducts(await setFavorite(theaterId, productId, isFavorite));
+    } catch (error) {
+      console.error('❌ Error saving favorite:', error);
+      setFavoriteProducts(prev => isFavorite ? prev.filter(id => id !== productId) : [...prev, productId]);
+    }
   };
 
   // Handle profile dropdown toggle
@@ -772,15 +804,24 @@ const CustomerHome = () => {
     navigate(`/customer/order-history?${params.toString()}`);
   };
 
-  // Handle logout
-  const handleLogout = () => {
+  // Handle logout - allDevices also ends the customer's sessions on their other devices
+  const handleLogout = async ({ allDevices = false } = {}) => {
     setShowProfileDropdown(false);
+
+    if (allDevices) {
+      try {
+        await logoutAllDevices();
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+    }
     
     // Clear cart items from context
     clearCart();
     
     // Clear customer data from localStorage
-    localStorage.removeItem('customerPhone');
+    clearCustomerSession();
     localStorage.removeItem('cart');
     localStorage.removeItem('yqpay_cart');
     localStorage.removeItem('checkoutData');
@@ -825,6 +866,7 @@ const CustomerHome = () => {
   }
 
   const totalItems = getTotalItems();
+  const isLoggedIn = Boolean(getCustomerToken());
   const defaultEmojis = ['🍔', '🥤', '🥤', '🍿'];
   
   // Debug: Log header values and filtered collections
@@ -880,7 +922,7 @@ const CustomerHome = () => {
             
             <div className="profile-dropdown-container">
               <button 
-                className={`profile-btn ${localStorage.getItem('customerPhone') ? 'logged-in' : ''}`}
+                className={`profile-btn ${isLoggedIn ? 'logged-in' : ''}`}
                 aria-label="User profile"
                 onClick={handleProfileClick}
               >
@@ -888,7 +930,7 @@ const CustomerHome = () => {
                   <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" />
                   <circle cx="12" cy="7" r="4" />
                 </svg>
-                {localStorage.getItem('customerPhone') && (
+                {isLoggedIn && (
                   <span className="login-indicator"></span>
                 )}
               </button>
@@ -896,7 +938,7 @@ const CustomerHome = () => {
               {showProfileDropdown && (
                 <div className="profile-dropdown modern-dropdown">
                   {/* Show Login option if user is NOT logged in */}
-                  {!localStorage.getItem('customerPhone') && (
+                  {!isLoggedIn && (
                     <button 
                       className="dropdown-card login-card"
                       onClick={() => {
@@ -976,6 +1018,30 @@ const CustomerHome = () => {
                     </svg>
                   </button>
                   
+                  <button 
+                    className="dropdown-card"
+                    onClick={() => {
+                      setShowProfileDropdown(false);
+                      const params = new URLSearchParams();
+                      params.set('theaterid', theaterId);
+                      if (theater?.name) params.set('theaterName', theater.name);
+                      navigate(`/customer/loyalty?${params.toString()}`);
+                    }}
+                  >
+                    <div className="card-icon favourites">
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+                      </svg>
+                    </div>
+                    <div className="card-content">
+                      <h3 className="card-title">My Points</h3>
+                      <p className="card-subtitle">Loyalty balance and history</p>
+                    </div>
+                    <svg className="card-arrow" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M9 18l6-6-6-6"/>
+                    </svg>
+                  </button>
+                  
                   <button 
                     className="dropdown-card"
                     onClick={() => {
@@ -1003,10 +1069,10 @@ const CustomerHome = () => {
                   </button>
                   
                   {/* Only show logout if user is logged in */}
-                  {localStorage.getItem('customerPhone') && (
+                  {isLoggedIn && (
                     <button 
                       className="dropdown-card logout-card"
-                      onClick={handleLogout}
+                      onClick={() => handleLogout()}
                     >
                       <div className="card-icon logout-icon">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -1022,6 +1088,27 @@ const CustomerHome = () => {
                       </svg>
                     </button>
                   )}
+
+                  {isLoggedIn && (
+                    <button 
+                      className="dropdown-card logout-card"
+                      onClick={() => handleLogout({ allDevices: true })}
+                    >
+                      <div className="card-icon logout-icon">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <rect x="2" y="3" width="20" height="14" rx="2" ry="2"/>
+                          <path d="M8 21h8M12 17v4"/>
+                        </svg>
+                      </div>
+                      <div className="card-content">
+                        <h3 className="card-title">Logout from all devices</h3>
+                        <p className="card-subtitle">End every session on this phone number</p>
+                      </div>
+                      <svg className="card-arrow" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M9 18l6-6-6-6"/>
+                      </svg>
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -1429,7 +1516,13 @@ const CustomerHome = () => {
                     
                     {/* Product Details */}
                     <div className="product-details">
-                      <h3 className="product-name">{collection.name}</h3>
+                      <h3 className="product-name">
+                        {collection.name}
+                        {isComboProduct(product) && <span className="combo-badge">COMBO</span>}
+                      </h3>
+                      {isComboProduct(product) && collection.variants?.length === 1 && (
+                        <span className="combo-contents">{describeCombo(product)}</span>
+                      )}
                       {collection.isCollection ? (
                         <>
                           <p className="product-collection-info">
@@ -1505,7 +1598,7 @@ const CustomerHome = () => {
                               <circle cx="12" cy="12" r="10" fill="rgba(220, 38, 38, 0.1)" stroke="#dc2626" strokeWidth="2"/>
                               <path d="M15 9L9 15M9 9l6 6" stroke="#dc2626" strokeWidth="2.5" strokeLinecap="round"/>
                             </svg>
-                            <span className="out-of-stock-text">Out of Stock</span>
+                            <span className="out-of-stock-text">{product?.availabilityReason || 'Out of Stock'}</span>
                           </div>
                         )}
                       </div>
@@ -1554,6 +1647,23 @@ const CustomerHome = () => {
         onClose={() => setIsCollectionModalOpen(false)}
       />
 
+      {/* Combo Choices */}
+      {comboProduct && (
+        <ComboChoiceModal
+          product={comboProduct}
+          onConfirm={handleComboConfirm}
+          onClose={() => setComboProduct(null)}
+        />
+      )}
+
+      {/* Modifier Choices */}
+      <ProductModal
+        product={modifierProduct}
+        isOpen={Boolean(modifierProduct)}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleModifierConfirm}
+      />
+
       {/* QR Scanner Modal */}
       {showQRScanner && (
         <div className="qr-scanner-modal">
@@ -4,11 +4,11 @@ import ErrorBoundary from '../../components/ErrorBoundary';
 import OfflineNotice from '../../components/OfflineNotice';
 import useNetworkStatus from '../../hooks/useNetworkStatus';
 import BannerCarousel from '../../components/customer/BannerCarousel';
+import ShowtimeBanner from '../../components/customer/ShowtimeBanner';
 import { getCachedData, setCachedData } from '../../utils/cacheUtils';
 import config from '../../config';
 import '../../styles/customer/CustomerLanding.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
-import { ultraFetch } from '../../utils/ultraFetch';
 
 
 
@@ -81,6 +81,7 @@ const CustomerLanding = () => {
   const [screenName, setScreenName] = useState(null);
   const [seatId, setSeatId] = useState(null);
   const [qrName, setQrName] = useState(null); // QR name from scanned code
+  const [ordering, setOrdering] = useState(null); // Screen QR ordering window from the showtime schedule
 
   // Extract parameters from URL (theater ID, screen name, seat ID, QR name)
   useEffect(() => {
@@ -118,14 +119,16 @@ const CustomerLanding = () => {
   const verifyQRCode = async (qrName, theaterId) => {
     try {
 
-      const apiUrl = `${config.api.baseUrl}/single-qrcodes/verify-qr/${qrName}?theaterId=${theaterId}`;
+      const apiUrl = `${config.api.baseUrl}/single-qrcodes/verify-qr/${encodeURIComponent(qrName)}?theaterId=${theaterId}`;
 
-      const data = await ultraFetch(apiUrl, {
+      // Not cached - the ordering window moves with the showtimes
+      const response = await fetch(apiUrl, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json'
         }
-      }, {}, { cacheTTL: 60000 });
+      });
+      const data = await response.json();
 
       if (!response.ok || !data.success || !data.isActive) {
         // QR code is deactivated or not found
@@ -134,7 +137,8 @@ const CustomerLanding = () => {
         navigate(`/qr-unavailable?theaterid=${theaterId}`);
         return;
       }
-      
+
+      setOrdering(data.data?.ordering || null);
   } catch (error) {
 
       // If verification fails (network error), redirect to error page
@@ -210,8 +214,12 @@ const CustomerLanding = () => {
     }
   }, [theaterId]);
 
+  // Screen QR codes only take orders while the screen's ordering window is open
+  const orderingClosed = Boolean(ordering?.scheduled && !ordering.open);
+
   // Navigation handlers
   const handleOrderFood = () => {
+    if (orderingClosed) return;
     let url = `/customer/order?theaterid=${theaterId}`;
     if (qrName) url += `&qrName=${encodeURIComponent(qrName)}`;
     if (screenName) url += `&screen=${encodeURIComponent(screenName)}`;
@@ -320,11 +328,22 @@ const CustomerLanding = () => {
             />
           </div>
 
+          {/* Current show and time left to order */}
+          {ordering && (
+            <ShowtimeBanner
+              theaterId={theaterId}
+              screen={qrName}
+              initialWindow={ordering}
+              onChange={setOrdering}
+            />
+          )}
+
           {/* Action Buttons Section */}
           <div className="action-section fade-in-delay">
             <button 
               className="order-button primary-button"
               onClick={handleOrderFood}
+              disabled={orderingClosed}
             >
               <span className="button-arrows">»</span>
               FOOD ORDER
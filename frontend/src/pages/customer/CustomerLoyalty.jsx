@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import '../../styles/customer/CustomerLoyalty.css';
+import { customerFetch, getCustomerToken } from '../../utils/customerSession';
+import { LEDGER_LABELS, formatTier } from '../../utils/loyaltyUtils';
+
+
+const CustomerLoyalty = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [account, setAccount] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  // Extract theater info from URL params
+  const urlParams = new URLSearchParams(location.search);
+  const theaterId = urlParams.get('theaterid') || urlParams.get('theaterId');
+  const theaterName = urlParams.get('theaterName');
+  const isLoggedIn = !!getCustomerToken();
+
+  const handleLogin = () => {
+    navigate('/customer/phone-entry', {
+      state: {
+        returnUrl: `${location.pathname}${location.search}`,
+        fromLogin: true
+      }
+    });
+  };
+
+  const fetchLoyalty = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      // Balance, tier and the first page of history for the phone number in the customer session
+      const [accountResult, ledgerResult] = await Promise.all([
+        customerFetch(`/customers/loyalty?theaterId=${theaterId}`),
+        customerFetch(`/customers/loyalty/ledger?theaterId=${theaterId}&page=1&limit=20`)
+      ]);
+      setAccount(accountResult.data);
+      setLedger(ledgerResult.data || []);
+      setPagination(ledgerResult.pagination || null);
+    } catch (err) {
+      console.error('❌ Error fetching loyalty points:', err);
+      setError(err.sessionExpired ? 'Your session has ended. Please verify your phone number again.' : err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    if (theaterId && isLoggedIn) {
+      fetchLoyalty();
+    } else {
+      setLoading(false);
+    }
+  }, [theaterId, isLoggedIn, fetchLoyalty]);
+
+  const handleLoadMore = async () => {
+    if (!pagination || pagination.current >= pagination.pages) return;
+    try {
+      setLoadingMore(true);
+      const result = await customerFetch(
+        `/customers/loyalty/ledger?theaterId=${theaterId}&page=${pagination.current + 1}&limit=20`
+      );
+      setLedger(prev => [...prev, ...(result.data || [])]);
+      setPagination(result.pagination || null);
+    } catch (err) {
+      console.error('❌ Error fetching points history:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleBack = () => {
+    if (theaterId) {
+      const params = new URLSearchParams();
+      params.set('theaterid', theaterId);
+
+      // Get saved values from localStorage to restore state
+      const savedQr = localStorage.getItem('customerQrName');
+      const savedScreen = localStorage.getItem('customerScreenName');
+      const savedSeat = localStorage.getItem('customerSeat');
+
+      if (savedQr) params.set('qrName', savedQr);
+      if (savedScreen) params.set('screen', savedScreen);
+      if (savedSeat) params.set('seat', savedSeat);
+
+      navigate(`/customer/home?${params.toString()}`);
+    } else {
+      navigate(-1);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  const renderContent = () => {
+    if (!isLoggedIn) {
+      return (
+        <div className="loyalty-card loyalty-empty">
+          <p>Verify your phone number to see your points.</p>
+          <button type="button" className="loyalty-primary-btn" onClick={handleLogin}>
+            Login
+          </button>
+        </div>
+      );
+    }
+
+    if (loading) {
+      return (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading your points...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="loyalty-card loyalty-empty">
+          <p>{error}</p>
+          {!getCustomerToken() && (
+            <button type="button" className="loyalty-primary-btn" onClick={handleLogin}>
+              Login
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    if (!account) return null;
+
+    return (
+      <>
+        <div className="loyalty-card loyalty-balance-card">
+          <span className={`loyalty-tier-badge tier-${account.tier?.name}`}>{formatTier(account.tier)}</span>
+          <div className="loyalty-balance">{account.balance}</div>
+          <div className="loyalty-balance-label">points · worth ₹{account.balanceValue.toFixed(2)}</div>
+          {account.nextTier ? (
+            <div className="loyalty-next-tier">
+              {account.pointsToNextTier} more points in 12 months to reach {formatTier(account.nextTier)}
+            </div>
+          ) : (
+            <div className="loyalty-next-tier">You're at the top tier</div>
+          )}
+          {account.expiringSoon?.points > 0 && (
+            <div className="loyalty-expiring">
+              {account.expiringSoon.points} points expire from {formatDate(account.expiringSoon.nextExpiry)}
+            </div>
+          )}
+          <div className="loyalty-rules">
+            Redeem from {account.rules.minRedeemPoints} points · 1 point = ₹{account.rules.pointValue}
+            {account.program?.theaterCount > 1 && ' · Valid at all theaters in the program'}
+          </div>
+        </div>
+
+        <div className="loyalty-card">
+          <h2 className="loyalty-section-title">Points History</h2>
+          {ledger.length === 0 ? (
+            <p className="loyalty-muted">No points yet. Earn points on every order.</p>
+          ) : (
+            <ul className="loyalty-ledger">
+              {ledger.map(entry => (
+                <li key={entry._id} className="loyalty-ledger-row">
+                  <div>
+                    <div className="loyalty-ledger-type">{LEDGER_LABELS[entry.type] || entry.type}</div>
+                    <div className="loyalty-muted">
+                      {formatDate(entry.createdAt)}
+                      {entry.orderNumber && ` · ${entry.orderNumber}`}
+                    </div>
+                  </div>
+                  <span className={`loyalty-ledger-points ${entry.points >= 0 ? 'positive' : 'negative'}`}>
+                    {entry.points >= 0 ? '+' : ''}{entry.points}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {pagination && pagination.current < pagination.pages && (
+            <button type="button" className="loyalty-more-btn" onClick={handleLoadMore} disabled={loadingMore}>
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="loyalty-page">
+      <div className="loyalty-header">
+        <button
+          className="back-button"
+          onClick={handleBack}
+          type="button"
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+            <path d="M15 18L9 12L15 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        </button>
+        <div className="header-content-wrapper">
+          <h1 className="loyalty-title">My Points</h1>
+          {theaterName && <p className="header-phone">{theaterName}</p>}
+        </div>
+      </div>
+
+      <div className="loyalty-content">
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerLoyalty;
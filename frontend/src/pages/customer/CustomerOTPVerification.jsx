@@ -3,15 +3,20 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import config from '../../config';
 import '../../styles/customer/CustomerOTPVerification.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { saveCustomerSession } from '../../utils/customerSession';
 
 
 const CustomerOTPVerification = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const [otp, setOtp] = useState(['', '', '', '']);
+  // OTP length and resend cooldown come from the send-otp response (SMS settings)
+  const otpLength = location.state?.otpLength || 4;
+  const resendAfter = location.state?.resendAfter || 30;
+  const emptyOtp = () => Array(otpLength).fill('');
+  const [otp, setOtp] = useState(emptyOtp);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [resendTimer, setResendTimer] = useState(30);
+  const [resendTimer, setResendTimer] = useState(resendAfter);
   const [canResend, setCanResend] = useState(false);
   const inputRefs = useRef([]);
 
@@ -57,11 +62,11 @@ const CustomerOTPVerification = () => {
     setError('');
 
     // Auto-focus next input
-    if (value && index < 3) {
+    if (value && index < otpLength - 1) {
       inputRefs.current[index + 1]?.focus();
     }
 
-    // Auto-verify if all 4 digits entered
+    // Auto-verify once all digits are entered
     if (value && newOtp.every(digit => digit !== '')) {
       setTimeout(() => handleVerifyOtp(newOtp), 500);
     }
@@ -76,7 +81,7 @@ const CustomerOTPVerification = () => {
 
   const handlePaste = (e) => {
     e.preventDefault();
-    const pastedData = e.clipboardData.getData('text').replace(/\D/g, '').slice(0, 4);
+    const pastedData = e.clipboardData.getData('text').replace(/\D/g, '').slice(0, otpLength);
     const newOtp = [...otp];
     
     for (let i = 0; i < pastedData.length; i++) {
@@ -86,11 +91,11 @@ const CustomerOTPVerification = () => {
     setOtp(newOtp);
     
     // Focus last filled input or next empty input
-    const lastIndex = Math.min(pastedData.length - 1, 3);
+    const lastIndex = Math.min(pastedData.length - 1, otpLength - 1);
     inputRefs.current[lastIndex]?.focus();
 
-    // Auto-verify if 4 digits pasted
-    if (pastedData.length === 4) {
+    // Auto-verify if the full code was pasted
+    if (pastedData.length === otpLength) {
       setTimeout(() => handleVerifyOtp(newOtp), 500);
     }
   };
@@ -98,8 +103,8 @@ const CustomerOTPVerification = () => {
   const handleVerifyOtp = async (otpToVerify = otp) => {
     const otpString = otpToVerify.join('');
     
-    if (otpString.length !== 4) {
-      setError('Please enter complete 4-digit OTP');
+    if (otpString.length !== otpLength) {
+      setError(`Please enter complete ${otpLength}-digit OTP`);
       return;
     }
 
@@ -127,8 +132,8 @@ const CustomerOTPVerification = () => {
 
       if (result.success) {
 
-        // Save phone number to localStorage
-        localStorage.setItem('customerPhone', phoneNumber);
+        // Keep the customer session (token + phone number)
+        saveCustomerSession(result.data, phoneNumber);
         
         // If from login, redirect to return URL
         if (fromLogin && returnUrl) {
@@ -145,13 +150,13 @@ const CustomerOTPVerification = () => {
         }
       } else {
         setError(result.error || 'Invalid OTP. Please try again.');
-        setOtp(['', '', '', '']);
+        setOtp(emptyOtp());
         inputRefs.current[0]?.focus();
       }
     } catch (err) {
 
       setError('Failed to verify OTP. Please try again.');
-      setOtp(['', '', '', '']);
+      setOtp(emptyOtp());
       inputRefs.current[0]?.focus();
     } finally {
       setLoading(false);
@@ -167,7 +172,7 @@ const CustomerOTPVerification = () => {
     try {
 
       // Call API to resend OTP - Use dynamic API URL
-      const apiUrl = `${config.api.baseUrl}/sms/send-otp`;
+      const apiUrl = `${config.api.baseUrl}/sms/resend-otp`;
 
       const response = await fetch(apiUrl, {
         method: 'POST',
@@ -185,11 +190,11 @@ const CustomerOTPVerification = () => {
       if (result.success) {
 
         // Reset timer
-        setResendTimer(30);
+        setResendTimer(result.data?.resendAfter || resendAfter);
         setCanResend(false);
         
         // Clear OTP inputs
-        setOtp(['', '', '', '']);
+        setOtp(emptyOtp());
         inputRefs.current[0]?.focus();
 
         // Start new countdown
@@ -205,7 +210,7 @@ const CustomerOTPVerification = () => {
       }, 1000);
       } else {
 
-        setError(result.message || 'Failed to resend OTP. Please try again.');
+        setError(result.error || result.message || 'Failed to resend OTP. Please try again.');
       }
   } catch (err) {
 
@@ -246,7 +251,7 @@ const CustomerOTPVerification = () => {
         <div className="otp-card">
           <h2>Enter Verification Code</h2>
           <p>
-            We've sent a 4-digit code to
+            We've sent a {otpLength}-digit code to
             <br />
             <span className="phone-number-display">{formatPhoneNumber(phoneNumber)}</span>
           </p>
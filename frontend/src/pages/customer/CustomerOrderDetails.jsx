@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import config from '../../config';
 import './../../styles/customer/CustomerOrderDetails.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { downloadInvoicePdf, openInvoiceHtml } from '../../utils/invoiceDownload';
+import { customerFetch, getCustomerToken } from '../../utils/customerSession';
+import OrderFeedback from '../../components/customer/OrderFeedback'; // ⭐ Ratings once served
 
 
 const CustomerOrderDetails = () => {
@@ -12,6 +14,7 @@ const CustomerOrderDetails = () => {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [invoiceLoading, setInvoiceLoading] = useState(false);
 
   useEffect(() => {
     fetchOrderDetails();
@@ -22,49 +25,13 @@ const CustomerOrderDetails = () => {
       setLoading(true);
       const params = new URLSearchParams(location.search);
       const theaterId = params.get('theaterid');
-      const phoneNumber = params.get('phone');
 
-      if (!theaterId || !phoneNumber) {
+      if (!theaterId) {
         throw new Error('Missing required parameters');
       }
-      
-      console.log('📞 Fetching order details for:', { orderId, phoneNumber, theaterId });
 
-      const response = await fetch(`${config.api.baseUrl}/orders/theater/${theaterId}`);
-      if (!response.ok) throw new Error('Failed to fetch orders');
-
-      const data = await response.json();
-      console.log('📦 All orders received:', data.orders?.length);
-      
-      // Find the specific order by orderId and phone number - check multiple phone field variations
-      const foundOrder = data.orders.find(order => {
-        const orderPhone = order.customerInfo?.phoneNumber || 
-                          order.customerInfo?.phone || 
-                          order.customerPhone ||
-                          order.phone;
-        
-        const matches = order._id === orderId && orderPhone === phoneNumber;
-        
-        if (order._id === orderId) {
-          console.log('🔍 Checking order:', {
-            orderId: order._id,
-            orderPhone: orderPhone,
-            searchPhone: phoneNumber,
-            matches: matches
-          });
-        }
-        
-        return matches;
-      });
-
-      console.log('🎯 Found order:', foundOrder);
-      console.log('📋 Order items:', foundOrder?.items);
-      console.log('💰 Order pricing:', {
-        subtotal: foundOrder?.subtotal,
-        tax: foundOrder?.tax,
-        total: foundOrder?.total,
-        pricing: foundOrder?.pricing
-      });
+      // Only orders placed with the signed-in customer's phone number are returned
+      const { data: foundOrder } = await customerFetch(`/customers/orders/${theaterId}/${orderId}`);
 
       if (!foundOrder) throw new Error('Order not found');
       setOrder(foundOrder);
@@ -78,6 +45,22 @@ const CustomerOrderDetails = () => {
 
   const handleBack = () => navigate(-1);
 
+  const handleInvoice = async (format) => {
+    const params = new URLSearchParams(location.search);
+    setInvoiceLoading(true);
+    try {
+      if (format === 'pdf') {
+        await downloadInvoicePdf(params.get('theaterid'), order, getCustomerToken());
+      } else {
+        await openInvoiceHtml(params.get('theaterid'), order, getCustomerToken());
+      }
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setInvoiceLoading(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="cart-page">
@@ -289,7 +272,25 @@ const CustomerOrderDetails = () => {
             <span className="order-info-label">Payment:</span>
             <span className="order-info-value">{order.paymentMethod || 'N/A'}</span>
           </div>
+          {order.invoiceNumber && (
+            <>
+              <div className="order-info-row">
+                <span className="order-info-label">Invoice:</span>
+                <span className="order-info-value">{order.invoiceNumber}</span>
+              </div>
+              <div className="invoice-actions">
+                <button className="invoice-button" disabled={invoiceLoading} onClick={() => handleInvoice('pdf')}>
+                  Download PDF
+                </button>
+                <button className="invoice-button secondary" disabled={invoiceLoading} onClick={() => handleInvoice('html')}>
+                  View Invoice
+                </button>
+              </div>
+            </>
+          )}
         </div>
+
+        <OrderFeedback theaterId={new URLSearchParams(location.search).get('theaterid')} order={order} />
       </div>
     </div>
   );
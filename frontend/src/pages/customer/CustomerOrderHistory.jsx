@@ -4,15 +4,23 @@ import config from '../../config/index';
 import '../../styles/customer/CustomerOrderHistory.css';
 import '../../styles/customer/CustomerPhoneEntry.css';
 import '../../styles/customer/CustomerOTPVerification.css';
-import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { useUltraFetch } from '../../utils/ultraFetch';
+import { customerFetch, getCustomerPhone, saveCustomerSession } from '../../utils/customerSession';
+import { useCart } from '../../contexts/CartContext';
+import { toReorderCartItem, getReorderNotices, describeReorderLine } from '../../utils/reorderUtils';
 
 
 const CustomerOrderHistory = () => {
   const navigate = useNavigate();
   const location = useLocation();
+  const { addItems } = useCart();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+
+  // Reorder state - the checked order while its changes are shown
+  const [reorderingId, setReorderingId] = useState(null);
+  const [reorderResult, setReorderResult] = useState(null);
   
   // Login state
   const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -33,7 +41,7 @@ const CustomerOrderHistory = () => {
 
   useEffect(() => {
     // Check if user is logged in
-    const savedPhone = localStorage.getItem('customerPhone');
+    const savedPhone = getCustomerPhone();
     
     if (!theaterId) {
 
@@ -46,7 +54,7 @@ const CustomerOrderHistory = () => {
       // User is logged in
       setIsLoggedIn(true);
       setPhoneNumber(savedPhone);
-      fetchOrderHistory(savedPhone);
+      fetchOrderHistory();
     } else {
       // User is not logged in - show login form
       setShowLoginForm(true);
@@ -54,45 +62,24 @@ const CustomerOrderHistory = () => {
     }
   }, [theaterId]);
 
-  const fetchOrderHistory = async (phone) => {
+  const fetchOrderHistory = async () => {
     try {
       setLoading(true);
-      
-      console.log('📞 Fetching order history for phone:', phone);
-
-      const data = await ultraFetch(
-        `${config.api.baseUrl}/orders/theater/${theaterId}`
-      , {}, { cacheTTL: 60000 }).catch(error => { throw new Error('Request failed'); });
-      
-      console.log('📦 Total orders received:', data.orders?.length);
-
-      // Filter orders by phone number - check multiple field variations
-      const customerOrders = data.orders.filter(order => {
-        const orderPhone = order.customerInfo?.phoneNumber || 
-                          order.customerInfo?.phone || 
-                          order.customerPhone ||
-                          order.phone;
-        
-        console.log('🔍 Checking order:', {
-          orderNumber: order.orderNumber,
-          orderPhone: orderPhone,
-          searchPhone: phone,
-          matches: orderPhone === phone
-        });
-        
-        return orderPhone === phone;
-      });
-
-      console.log('✅ Filtered orders for customer:', customerOrders.length);
-
-      // Sort by date (newest first)
-      const sortedOrders = customerOrders.sort((a, b) => 
-        new Date(b.createdAt) - new Date(a.createdAt)
-      );
+      setError('');
 
-      setOrders(sortedOrders);
+      // Orders are looked up by the phone number in the customer session, newest first
+      const data = await customerFetch(`/customers/orders?theaterId=${theaterId}`);
+      setOrders(data.data || []);
     } catch (err) {
       console.error('❌ Error fetching order history:', err);
+      if (err.sessionExpired) {
+        // Session ended - ask for the OTP again
+        setIsLoggedIn(false);
+        setPhoneNumber('');
+        setShowLoginForm(true);
+        setLoginError(err.message);
+        return;
+      }
       setError('Failed to load order history');
     } finally {
       setLoading(false);
@@ -269,15 +256,15 @@ const CustomerOrderHistory = () => {
 
       if (result.success) {
 
-        // Save phone number to localStorage
-        localStorage.setItem('customerPhone', fullPhone);
+        // Keep the customer session (token + phone number)
+        saveCustomerSession(result.data, fullPhone);
         
         // Mark as logged in
         setIsLoggedIn(true);
         setShowLoginForm(false);
         
         // Fetch order history
-        fetchOrderHistory(fullPhone);
+        fetchOrderHistory();
       } else {
         setLoginError(result.error || 'Invalid OTP. Please try again.');
         setOtp(['', '', '', '']);
@@ -380,6 +367,46 @@ const CustomerOrderHistory = () => {
     }
   };
 
+  const goToCart = () => {
+    const params = new URLSearchParams();
+    params.set('theaterid', theaterId);
+    if (theaterName) params.set('theatername', theaterName);
+    const savedQr = localStorage.getItem('customerQrName');
+    const savedSeat = localStorage.getItem('customerSeat');
+    if (savedQr) params.set('qrname', savedQr);
+    if (savedSeat) params.set('seat', savedSeat);
+    navigate(`/customer/cart?${params.toString()}`);
+  };
+
+  // Put a past order back in the cart at today's prices; anything unavailable, repriced or short is shown first
+  const handleReorder = async (order) => {
+    setReorderingId(order._id);
+    try {
+      // The menu's QR and screen, so screen-only items are checked for where the customer is now
+      const params = new URLSearchParams();
+      const savedQr = localStorage.getItem('customerQrName');
+      const savedScreen = localStorage.getItem('customerScreenName');
+      if (savedQr) params.set('qrName', savedQr);
+      if (savedScreen) params.set('screen', savedScreen);
+      const { data } = await customerFetch(`/customers/orders/${theaterId}/${order._id}/reorder?${params.toString()}`);
+      const lines = data.items.filter(line => line.available).map(line => toReorderCartItem(line, theaterId));
+      if (lines.length > 0) {
+        addItems(lines);
+      }
+
+      if (getReorderNotices(data).length === 0) {
+        goToCart();
+      } else {
+        setReorderResult(data);
+      }
+    } catch (err) {
+      console.error('❌ Error reordering:', err);
+      alert(err.message || 'Could not reorder. Please try again.');
+    } finally {
+      setReorderingId(null);
+    }
+  };
+
   const formatPrice = (amount) => {
     return `₹${parseFloat(amount).toFixed(2)}`;
   };
@@ -648,7 +675,6 @@ const CustomerOrderHistory = () => {
                   className="order-number clickable"
                   onClick={() => {
                     const params = new URLSearchParams();
-                    params.set('phone', phoneNumber);
                     params.set('theaterid', theaterId);
                     navigate(`/customer/order-details/${order._id}?${params.toString()}`);
                   }}
@@ -669,11 +695,51 @@ const CustomerOrderHistory = () => {
                     <span className="total-amount">{formatPrice(order.pricing?.total)}</span>
                   </div>
                 </div>
+
+                <button
+                  type="button"
+                  className="reorder-button"
+                  onClick={() => handleReorder(order)}
+                  disabled={reorderingId !== null}
+                >
+                  {reorderingId === order._id ? 'Checking items...' : 'Reorder'}
+                </button>
               </div>
             ))}
           </div>
         )}
       </div>
+
+      {reorderResult && (
+        <div className="reorder-overlay" onClick={() => setReorderResult(null)}>
+          <div className="reorder-sheet" onClick={(e) => e.stopPropagation()}>
+            <h2 className="reorder-title">Order #{reorderResult.orderNumber}</h2>
+            <p className="reorder-summary">
+              {reorderResult.availableCount > 0
+                ? `${reorderResult.availableCount} of ${reorderResult.items.length} items added to your cart. Some items have changed:`
+                : 'None of these items can be ordered right now.'}
+            </p>
+            <ul className="reorder-notices">
+              {getReorderNotices(reorderResult).map((line, index) => (
+                <li key={index} className={`reorder-notice ${line.available ? 'changed' : 'unavailable'}`}>
+                  <span className="reorder-notice-name">{line.orderedQuantity}× {line.name}</span>
+                  <span className="reorder-notice-text">{describeReorderLine(line)}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="reorder-actions">
+              <button type="button" className="reorder-secondary" onClick={() => setReorderResult(null)}>
+                Close
+              </button>
+              {reorderResult.availableCount > 0 && (
+                <button type="button" className="reorder-button" onClick={goToCart}>
+                  View Cart
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import '../../styles/customer/CustomerOrderSuccess.css';
+import { describeDeliverySlot } from '../../utils/deliverySlotUtils';
 
 const CustomerOrderSuccess = () => {
   const navigate = useNavigate();
@@ -218,6 +219,12 @@ const CustomerOrderSuccess = () => {
               <strong>Date:</strong> {dateTime.date} at {dateTime.time}
               <br />
               <strong>Payment:</strong> {getPaymentMethodName(orderData.paymentMethod)}
+              {describeDeliverySlot(orderData.deliverySlot) && (
+                <>
+                  <br />
+                  <strong>Delivery:</strong> {describeDeliverySlot(orderData.deliverySlot)}
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -2,7 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useCart } from '../../contexts/CartContext';
 import config from '../../config/index';
-import { loadRazorpayScript } from '../../utils/razorpayLoader';
+import { launchCheckout, resumeRedirectCheckout, getPendingRedirectCheckout } from '../../utils/paymentCheckout';
+import { getStoredCoupon, CUSTOMER_COUPON_KEY } from '../../hooks/useCouponCode';
+import { toOrderLine } from '../../utils/comboUtils';
+import { toDeliverySlotPayload } from '../../utils/deliverySlotUtils';
+import DeliverySlotPicker from '../../components/customer/DeliverySlotPicker';
+import { useLoyaltyPoints, CUSTOMER_LOYALTY_KEY } from '../../hooks/useLoyaltyPoints';
+import { customerFetch, getCustomerToken } from '../../utils/customerSession';
 import '../../styles/customer/CustomerPayment.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
 
@@ -21,17 +27,28 @@ const CustomerPayment = () => {
     total: 0
   });
   const [theaterInfo, setTheaterInfo] = useState({
+    theaterId: '',
     theaterName: '',
     seat: '',
     qrName: ''
   });
+  const [deliverySlot, setDeliverySlot] = useState({ type: 'now', time: '' });
   const [gatewayConfig, setGatewayConfig] = useState(null);
-  const [razorpayLoaded, setRazorpayLoaded] = useState(false);
+  const [coupon] = useState(() => getStoredCoupon());
+  // Account for points chosen in the cart (undefined while loading)
+  const [loyaltyAccount, setLoyaltyAccount] = useState(undefined);
+  const loyalty = useLoyaltyPoints(loyaltyAccount, orderSummary.total, { storageKey: CUSTOMER_LOYALTY_KEY });
+  const amountDue = Math.round((orderSummary.total - loyalty.discount) * 100) / 100;
 
   const phoneNumber = location.state?.phoneNumber || '';
   const verified = location.state?.verified || false;
 
   useEffect(() => {
+    // Coming back from a redirect checkout - the resume effect below takes over
+    if (getPendingRedirectCheckout()) {
+      return;
+    }
+
     // Redirect if not verified
     if (!phoneNumber || !verified) {
 
@@ -72,13 +89,21 @@ const CustomerPayment = () => {
 
         // Use data from checkout flow
         setCartItems(checkoutData.cartItems);
-        setOrderSummary({
+        // A coupon applied in the cart was priced by the server; use those totals
+        const storedCoupon = getStoredCoupon();
+        setOrderSummary(storedCoupon ? {
+          subtotal: storedCoupon.pricing.subtotal,
+          tax: storedCoupon.pricing.taxAmount,
+          couponDiscount: storedCoupon.discountAmount,
+          total: storedCoupon.pricing.total
+        } : {
           subtotal: checkoutData.totals.subtotal,
           tax: checkoutData.totals.tax,
           total: checkoutData.totals.total
         });
         // Set theater info
         setTheaterInfo({
+          theaterId: checkoutData.theaterId || '',
           theaterName: checkoutData.theaterName || '',
           seat: checkoutData.seat || '',
           qrName: checkoutData.qrName || ''
@@ -117,9 +142,10 @@ const CustomerPayment = () => {
 
         const data = await ultraFetch(`${config.api.baseUrl}/payments/config/${theaterId}/online`, {}, { cacheTTL: 60000 });
 
-        if (data.success && data.config) {
-          setGatewayConfig(data.config);
-          console.log('✅ Gateway config loaded:', data.provider);
+        const gateway = data.data?.config || data.config;
+        if (data.success && gateway?.isEnabled) {
+          setGatewayConfig(gateway);
+          console.log('✅ Gateway config loaded:', gateway.provider);
         } else {
           console.warn('⚠️ No payment gateway configured for this theater');
         }
@@ -129,14 +155,34 @@ const CustomerPayment = () => {
     };
 
     fetchGatewayConfig();
+  }, []);
 
-    // Load Razorpay script
-    loadRazorpayScript().then(loaded => {
-      setRazorpayLoaded(loaded);
-      if (!loaded) {
-        setError('Failed to load payment gateway. Please refresh the page.');
-      }
-    });
+  // Points are checked against the customer's current balance before they are sent with the order
+  useEffect(() => {
+    if (!theaterInfo.theaterId) return;
+    if (!getCustomerToken()) {
+      setLoyaltyAccount(null);
+      return;
+    }
+    customerFetch(`/customers/loyalty?theaterId=${theaterInfo.theaterId}`)
+      .then(({ data }) => setLoyaltyAccount(data))
+      .catch(() => setLoyaltyAccount(null));
+  }, [theaterInfo.theaterId]);
+
+  // Finish a PhonePe payment when the pay page redirects back here
+  useEffect(() => {
+    resumeRedirectCheckout()
+      .then((resumed) => {
+        if (!resumed) return;
+        completeOrder({
+          ...resumed.context?.order,
+          gatewayPaymentId: resumed.transaction?.gateway?.paymentId
+        });
+      })
+      .catch((err) => {
+        setError(err.message || 'Payment verification failed');
+      });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   const paymentMethods = [
@@ -180,13 +226,13 @@ const CustomerPayment = () => {
       return;
     }
 
-    // Check if Razorpay is required and loaded
-    if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod)) {
-      if (!razorpayLoaded) {
-        setError('Payment gateway not ready. Please refresh the page.');
-        return;
-      }
+    if (deliverySlot.type === 'time' && !deliverySlot.time) {
+      setError('Please pick a delivery time');
+      return;
+    }
 
+    // Online methods need the theater's online gateway
+    if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod)) {
       if (!gatewayConfig) {
         setError('Payment gateway not configured for this theater.');
         return;
@@ -232,10 +278,8 @@ const CustomerPayment = () => {
 
 
       // Prepare order items for backend
-      const orderItems = cartItems.map(item => ({
-        productId: item._id, // Product ID from cart
-        quantity: item.quantity
-      }));
+      // Combo lines carry their real product ID and chosen swaps
+      const orderItems = cartItems.map(item => toOrderLine(item));
 
       // Create order in backend
       const orderPayload = {
@@ -248,17 +292,22 @@ const CustomerPayment = () => {
         tableNumber: checkoutData.seat || 'Online Order',
         qrName: checkoutData.qrName,    // ✅ Include QR Name
         seat: checkoutData.seat,        // ✅ Include Seat
+        deliverySlot: checkoutData.seat ? toDeliverySlotPayload(deliverySlot.type, deliverySlot.time) : null,
         items: orderItems,
+        couponCode: coupon?.code,
+        loyaltyPoints: loyalty.appliedPoints || undefined,
         paymentMethod: selectedPaymentMethod,
         orderType: 'qr_order' // Important: This determines 'online' channel
       };
 
 
-      // Call backend API to create order
+      // Call backend API to create order (the customer session lets the order spend their points)
+      const customerToken = getCustomerToken();
       const response = await fetch(`${config.api.baseUrl}/orders/theater`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(customerToken && { Authorization: `Bearer ${customerToken}` })
         },
         body: JSON.stringify(orderPayload)
       });
@@ -268,11 +317,12 @@ const CustomerPayment = () => {
         throw new Error(errorData.error || 'Failed to create order');
       }
 
-      const backendOrder = await response.json();
+      const result = await response.json();
+      const backendOrder = result.data || result;
 
-      // If using Razorpay (UPI, Card, Net Banking)
+      // UPI, Card and Net Banking go through the theater's online gateway
       if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod) && gatewayConfig) {
-        await initiateRazorpayPayment(backendOrder, orderSummary.total, theaterId);
+        await initiateGatewayPayment(backendOrder);
       } else {
         // For cash or other methods, proceed directly to success
         handlePaymentSuccess(backendOrder, null);
@@ -284,99 +334,32 @@ const CustomerPayment = () => {
     }
   };
 
-  // Initiate Razorpay Payment
-  const initiateRazorpayPayment = async (backendOrder, amount, theaterId) => {
+  // Open the online gateway checkout (whichever provider the theater uses)
+  const initiateGatewayPayment = async (backendOrder) => {
     try {
-      // Create Razorpay order
-      const createOrderResponse = await fetch(`${config.api.baseUrl}/payments/create-order`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          orderId: backendOrder._id,
-          amount: Math.round(amount * 100), // Convert to paise
-          currency: 'INR',
-          channel: 'online',
-          notes: {
-            theaterId,
-            qrName: backendOrder.qrName,
-            seat: backendOrder.tableNumber
-          }
-        })
-      });
-
-      const razorpayOrderData = await createOrderResponse.json();
-
-      if (!razorpayOrderData.success) {
-        throw new Error(razorpayOrderData.message || 'Failed to create payment order');
-      }
-
-      // Razorpay options
-      const options = {
-        key: gatewayConfig.keyId,
-        amount: razorpayOrderData.order.amount,
-        currency: razorpayOrderData.order.currency,
-        order_id: razorpayOrderData.order.id,
+      const { transaction } = await launchCheckout({
+        orderId: backendOrder._id,
+        paymentMethod: selectedPaymentMethod,
         name: 'YQPayNow',
         description: `Order #${backendOrder.orderNumber || backendOrder._id}`,
-        handler: async (response) => {
-          // Payment success - verify signature
-          await verifyRazorpayPayment(response, backendOrder);
-        },
         prefill: {
           contact: phoneNumber,
           email: ''
         },
-        theme: {
-          color: '#3399cc'
-        },
-        modal: {
-          ondismiss: () => {
-            setError('Payment cancelled by user');
-            setLoading(false);
-          }
-        }
-      };
-
-      const razorpay = new window.Razorpay(options);
-      razorpay.open();
-    } catch (error) {
-      console.error('Razorpay payment error:', error);
-      setError(error.message || 'Failed to initiate payment');
-      setLoading(false);
-    }
-  };
-
-  // Verify Razorpay Payment
-  const verifyRazorpayPayment = async (razorpayResponse, backendOrder) => {
-    try {
-      const response = await fetch(`${config.api.baseUrl}/payments/verify`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          razorpay_order_id: razorpayResponse.razorpay_order_id,
-          razorpay_payment_id: razorpayResponse.razorpay_payment_id,
-          razorpay_signature: razorpayResponse.razorpay_signature,
-          orderId: backendOrder._id
-        })
+        themeColor: '#3399cc',
+        context: { order: buildSuccessOrder(backendOrder) }
       });
 
-      const data = await response.json();
-
-      if (data.success) {
-        handlePaymentSuccess(backendOrder, razorpayResponse);
-      } else {
-        setError(data.message || 'Payment verification failed');
-        setLoading(false);
-      }
+      handlePaymentSuccess(backendOrder, transaction);
     } catch (error) {
-      console.error('Payment verification error:', error);
-      setError('Payment verification failed');
+      console.error('Gateway payment error:', error);
+      setError(error.message || 'Failed to complete payment');
       setLoading(false);
     }
   };
 
-  // Handle Payment Success
-  const handlePaymentSuccess = (backendOrder, razorpayResponse) => {
+  // Order object for the success page
+  const buildSuccessOrder = (backendOrder) => {
     // Save theater info before clearing (for success page navigation)
     const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || '{}');
     const theaterInfo = {
@@ -386,23 +369,27 @@ const CustomerPayment = () => {
       seat: checkoutData.seat
     };
     
-    // Create order object for success page
-    const orderData = {
+    return {
       orderId: backendOrder.orderNumber || `ORD${Date.now()}`,
       phoneNumber,
       items: cartItems,
-      summary: orderSummary,
+      summary: { ...orderSummary, loyaltyDiscount: loyalty.discount, total: amountDue },
       paymentMethod: selectedPaymentMethod,
       timestamp: new Date().toISOString(),
       backendOrderId: backendOrder._id,
-      razorpayPaymentId: razorpayResponse?.razorpay_payment_id,
+      deliverySlot: backendOrder.deliverySlot || null,
       theaterInfo: theaterInfo
     };
+  };
 
+  // Clear the cart and show the success page
+  const completeOrder = (orderData) => {
     // Clear cart and checkout data
     localStorage.removeItem('cart');
     localStorage.removeItem('checkoutData');
     localStorage.removeItem('yqpay_cart');
+    localStorage.removeItem(CUSTOMER_COUPON_KEY);
+    localStorage.removeItem(CUSTOMER_LOYALTY_KEY);
     clearCart();
     
     // Navigate to success page
@@ -414,6 +401,14 @@ const CustomerPayment = () => {
     });
   };
 
+  // Handle Payment Success
+  const handlePaymentSuccess = (backendOrder, transaction) => {
+    completeOrder({
+      ...buildSuccessOrder(backendOrder),
+      gatewayPaymentId: transaction?.gateway?.paymentId
+    });
+  };
+
   const handleBack = () => {
     navigate('/customer/otp-verification', { state: { phoneNumber } });
   };
@@ -472,12 +467,36 @@ const CustomerPayment = () => {
             </div>
           )}
 
+          {coupon && (
+            <div className="summary-row">
+              <span className="summary-label">Coupon ({coupon.code})</span>
+              <span className="summary-value">-{formatPrice(coupon.discountAmount)}</span>
+            </div>
+          )}
+
+          {loyalty.discount > 0 && (
+            <div className="summary-row">
+              <span className="summary-label">Loyalty points ({loyalty.appliedPoints})</span>
+              <span className="summary-value">-{formatPrice(loyalty.discount)}</span>
+            </div>
+          )}
+
           <div className="summary-row total-row">
             <span className="summary-label">Total Amount</span>
-            <span className="summary-value">{formatPrice(orderSummary.total)}</span>
+            <span className="summary-value">{formatPrice(amountDue)}</span>
           </div>
         </div>
 
+        {/* Delivery Time - seat orders can wait for the interval or a set time */}
+        {theaterInfo.qrName && theaterInfo.seat && (
+          <DeliverySlotPicker
+            theaterId={theaterInfo.theaterId}
+            screen={theaterInfo.qrName}
+            value={deliverySlot}
+            onChange={setDeliverySlot}
+          />
+        )}
+
         {/* Payment Methods Section */}
         <div className="payment-methods-section">
           <h3 className="section-title">Choose Payment Method</h3>
@@ -518,7 +537,7 @@ const CustomerPayment = () => {
           onClick={handlePayNow}
           disabled={loading || !selectedPaymentMethod || cartItems.length === 0}
         >
-          {loading ? 'Processing Payment...' : `Pay ${formatPrice(orderSummary.total)}`}
+          {loading ? 'Processing Payment...' : `Pay ${formatPrice(amountDue)}`}
         </button>
         
         <div className="security-badge">
@@ -3,6 +3,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import config from '../../config';
 import '../../styles/customer/CustomerPhoneEntry.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { getCustomerPhone } from '../../utils/customerSession';
 
 
 const CustomerPhoneEntry = () => {
@@ -22,10 +23,10 @@ const CustomerPhoneEntry = () => {
 
   // Check if user is already logged in
   useEffect(() => {
-    const customerPhone = localStorage.getItem('customerPhone');
+    const customerPhone = getCustomerPhone();
     
     if (customerPhone) {
-      // User is already logged in
+      // User already has a live customer session
       console.log('✅ User already logged in with phone:', customerPhone);
       
       // If coming from login flow, redirect back to returnUrl
@@ -126,6 +127,7 @@ const CustomerPhoneEntry = () => {
             phoneNumber: fullPhoneNumber,
             otpLength: result.data?.otpLength || 4,
             expiresIn: result.data?.expiresIn || 300,
+            resendAfter: result.data?.resendAfter || 30,
             checkoutData: checkoutData,
             fromLogin: fromLogin,
             returnUrl: returnUrl
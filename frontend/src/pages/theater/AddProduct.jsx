@@ -6,6 +6,11 @@ import { useModal } from '../../contexts/ModalContext'
 import { useToast } from '../../contexts/ToastContext';;
 import { useAuth } from '../../contexts/AuthContext';
 import ErrorBoundary from '../../components/ErrorBoundary';
+import ComboItemsEditor from '../../components/ComboItemsEditor';
+import ModifierGroupsEditor from '../../components/ModifierGroupsEditor';
+import AvailabilityEditor from '../../components/AvailabilityEditor';
+import { cleanModifierGroups } from '../../utils/modifierUtils';
+import { toAvailabilityForm, toAvailabilityPayload } from '../../utils/availabilityUtils';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
 import config from '../../config';
 import { 
@@ -154,6 +159,7 @@ const AddProduct = React.memo(() => {
     discount: '',
     taxRate: '',
     gstType: '',
+    hsnCode: '',
 
     // Inventory Management
     lowStockAlert: '',
@@ -188,6 +194,12 @@ const AddProduct = React.memo(() => {
   // Existing products state - to filter dropdown
   const [existingProducts, setExistingProducts] = useState([]);
 
+  // Combo state - a combo bundles existing products and is stocked through them
+  const [isCombo, setIsCombo] = useState(false);
+  const [comboItems, setComboItems] = useState([]);
+  const [modifierGroups, setModifierGroups] = useState([]);
+  const [availability, setAvailability] = useState(() => toAvailabilityForm(null));
+
   // Product Code field state - disabled by default until product is selected
   const [isProductCodeDisabled, setIsProductCodeDisabled] = useState(true);
   
@@ -278,8 +290,8 @@ const AddProduct = React.memo(() => {
 
       const data = await response.json();
 
-      if (data.success && data.data?.products) {
-        const products = data.data.products;
+      const products = Array.isArray(data.data) ? data.data : data.data?.products;
+      if (data.success && products) {
         setExistingProducts(products);
         return products;
       }
@@ -799,6 +811,15 @@ const AddProduct = React.memo(() => {
       return;
     }
 
+    const filledComboItems = comboItems.filter(item => item.productId);
+    if (isCombo && filledComboItems.length === 0) {
+      setValidationModal({ 
+        show: true, 
+        message: 'Add at least one product to the combo.' 
+      });
+      return;
+    }
+
     setIsSubmitting(true);
     setLoading(true);
 
@@ -851,8 +872,13 @@ const AddProduct = React.memo(() => {
           taxRate: formData.taxRate ? parseFloat(formData.taxRate) : 0,
           gstType: formData.gstType || 'EXCLUDE'
         },
+        hsnCode: formData.hsnCode.trim(), // HSN/SAC code printed on tax invoices
+        isCombo,
+        comboItems: isCombo ? filledComboItems : [],
+        variants: isCombo ? [] : cleanModifierGroups(modifierGroups), // Modifier groups
+        availability: toAvailabilityPayload(availability), // Days, times, dates, screens and kiosk types it can be ordered
         inventory: {
-          trackStock: true,
+          trackStock: !isCombo, // Combos are stocked through their items
           currentStock: 0, // Don't use quantity as stock - use stock management page
           minStock: formData.lowStockAlert ? parseInt(formData.lowStockAlert) : 5,
           maxStock: 1000
@@ -917,12 +943,18 @@ const AddProduct = React.memo(() => {
         discount: '',
         taxRate: '',
         gstType: '',
+        hsnCode: '',
         lowStockAlert: '',
         isVeg: '',
         preparationTime: '',
         ingredients: ''
       });
       
+      setIsCombo(false);
+      setComboItems([]);
+      setModifierGroups([]);
+      setAvailability(toAvailabilityForm(null));
+
       // Reset both product code and quantity disabled states to default (disabled)
       setIsProductCodeDisabled(true);
       setIsQuantityDisabled(true);
@@ -951,7 +983,7 @@ const AddProduct = React.memo(() => {
       setIsSubmitting(false);
       setUploadProgress({});
     }
-  }, [formData, files, isSubmitting, uploadFile, navigate, theaterId]);
+  }, [formData, files, isSubmitting, uploadFile, navigate, theaterId, isCombo, comboItems, modifierGroups, availability]);
 
   const handleCancel = useCallback(() => {
     // Check if form has unsaved changes
@@ -1232,9 +1264,63 @@ const AddProduct = React.memo(() => {
                     fullWidth
                   />
                 </Box>
+
+                <Box className="mui-form-group">
+                  <TextField
+                    id="hsnCode"
+                    name="hsnCode"
+                    label="HSN / SAC Code"
+                    value={formData.hsnCode}
+                    onChange={handleInputChange}
+                    placeholder="e.g. 2106"
+                    inputProps={{ inputMode: 'numeric', pattern: '[0-9]{4,8}', maxLength: 8 }}
+                    helperText="Printed on GST tax invoices (4-8 digits)"
+                    fullWidth
+                  />
+                </Box>
               </div>
             </div>
 
+            {/* Combo - bundle of existing products */}
+            <div className="form-section mui-form-section">
+              <h2>Combo</h2>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: isCombo ? '16px' : 0 }}>
+                <input
+                  type="checkbox"
+                  checked={isCombo}
+                  onChange={(e) => setIsCombo(e.target.checked)}
+                />
+                Sell this product as a combo of other products
+              </label>
+              {isCombo && (
+                <ComboItemsEditor
+                  products={existingProducts}
+                  value={comboItems}
+                  onChange={setComboItems}
+                />
+              )}
+            </div>
+
+            {/* Modifiers - sizes, extras and flavours the customer picks */}
+            {!isCombo && (
+              <div className="form-section mui-form-section">
+                <h2>Modifiers</h2>
+                <p style={{ fontSize: '13px', color: '#666', marginTop: 0 }}>
+                  Option prices are added to the selling price.
+                </p>
+                <ModifierGroupsEditor value={modifierGroups} onChange={setModifierGroups} />
+              </div>
+            )}
+
+            {/* Availability - breakfast hours, weekend specials, screen or kiosk only items */}
+            <div className="form-section mui-form-section">
+              <h2>Availability</h2>
+              <p style={{ fontSize: '13px', color: '#666', marginTop: 0 }}>
+                Menus grey the product out outside these times and orders for it are refused. Leave empty to sell it whenever it is active.
+              </p>
+              <AvailabilityEditor value={availability} onChange={setAvailability} kioskTypes={kioskTypes} />
+            </div>
+
             {/* Food Information & Display Settings */}
             <div className="form-section mui-form-section">
               <h2>Food Information & Display</h2>
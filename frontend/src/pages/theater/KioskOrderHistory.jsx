@@ -6,6 +6,7 @@ import PageContainer from '../../components/PageContainer';
 import ErrorBoundary from '../../components/ErrorBoundary';
 import { useModal } from '../../contexts/ModalContext';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
+import { useOrderEvents, ORDER_EVENTS } from '../../hooks/useOrderEvents'; // 📡 Live order events
 import DateFilter from '../../components/DateFilter';
 import Pagination from '../../components/Pagination';
 import config from '../../config';
@@ -16,6 +17,7 @@ import '../../styles/TheaterList.css';
 import '../../styles/AddTheater.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import { describeModifiers, getLineModifiers } from '../../utils/modifierUtils';
 
 
 
@@ -251,6 +253,12 @@ const KioskOrderHistory = () => {
     fetchOrders(true);
   }, [fetchOrders]);
 
+  // 📡 Live order events - skip new online QR orders, they are not shown here
+  useOrderEvents(theaterId, (event) => {
+    if (event.type === ORDER_EVENTS.ORDER_CREATED && event.data?.source === 'qr_code') return;
+    fetchOrders(true);
+  });
+
   // Format currency helper
   const formatCurrency = useCallback((amount) => {
     return new Intl.NumberFormat('en-IN', {
@@ -453,7 +461,7 @@ const KioskOrderHistory = () => {
             const total = item.totalPrice || (qty * rate);
             return `
             <div class="item-row">
-              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}${getLineModifiers(item).length ? `<br><small>+ ${describeModifiers(getLineModifiers(item))}</small>` : ''}</div>
               <div class="item-qty">${qty}</div>
               <div class="item-rate">${rate.toFixed(2)}</div>
               <div class="item-total">${total.toFixed(2)}</div>
@@ -1020,7 +1028,12 @@ const KioskOrderHistory = () => {
                         marginBottom: '6px',
                         fontSize: '12px'
                       }}>
-                        <div style={{ wordBreak: 'break-word' }}>{item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+                        <div style={{ wordBreak: 'break-word' }}>
+                          {item.productName || item.menuItem?.name || item.name || 'Item'}
+                          {getLineModifiers(item).length > 0 && (
+                            <div style={{ fontSize: '10px', color: '#666' }}>+ {describeModifiers(getLineModifiers(item))}</div>
+                          )}
+                        </div>
                         <div style={{ textAlign: 'center' }}>{qty}</div>
                         <div style={{ textAlign: 'right' }}>₹{rate.toFixed(2)}</div>
                         <div style={{ textAlign: 'right', fontWeight: 'bold' }}>₹{total.toFixed(2)}</div>
@@ -3,11 +3,14 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import TheaterLayout from '../../components/theater/TheaterLayout';
 import ErrorBoundary from '../../components/ErrorBoundary';
 import config from '../../config';
-import { loadRazorpayScript } from '../../utils/razorpayLoader';
+import { launchCheckout, resumeRedirectCheckout, getPendingRedirectCheckout } from '../../utils/paymentCheckout';
 import '../../styles/TheaterList.css';
 import '../../styles/KioskPages.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import { toOrderLine } from '../../utils/comboUtils';
+import { describeModifiers, getLineModifiers } from '../../utils/modifierUtils';
+import { printOrder } from '../../utils/receiptPrinting';
 
 
 
@@ -23,7 +26,6 @@ const KioskPayment = () => {
   const [orderDetails, setOrderDetails] = useState(null);
   const [theaterInfo, setTheaterInfo] = useState(null); // Theater information
   const [gatewayConfig, setGatewayConfig] = useState(null);
-  const [razorpayLoaded, setRazorpayLoaded] = useState(false);
   
   // Card payment fields
   const [cardNumber, setCardNumber] = useState('');
@@ -36,12 +38,35 @@ const KioskPayment = () => {
   
   const [errors, setErrors] = useState({});
 
-  // Redirect if no order data
+  // Redirect if no order data (unless coming back from a redirect checkout)
   useEffect(() => {
-    if (!orderData.items || orderData.items.length === 0) {
+    if ((!orderData.items || orderData.items.length === 0) && !getPendingRedirectCheckout() && !showSuccessModal) {
       navigate(`/kiosk-view-cart/${theaterId}`);
     }
-  }, [orderData, theaterId, navigate]);
+  }, [orderData, theaterId, navigate, showSuccessModal]);
+
+  // Finish a PhonePe payment when the pay page redirects back here
+  useEffect(() => {
+    resumeRedirectCheckout({ authToken: localStorage.getItem('authToken') })
+      .then((resumed) => {
+        if (!resumed) return;
+        localStorage.removeItem(`kiosk-cart-${theaterId}`);
+        setOrderData(resumed.context?.orderData || {});
+        setOrderDetails({
+          ...resumed.context?.orderDetails,
+          gatewayPaymentId: resumed.transaction?.gateway?.paymentId
+        });
+        setShowSuccessModal(true);
+        if (resumed.context?.orderDetails?.order) {
+          printOrder(theaterId, resumed.context.orderDetails.order, { channel: 'kiosk' })
+            .catch(error => console.warn('🖨️ Kiosk order not printed:', error.message));
+        }
+      })
+      .catch((error) => {
+        alert(error.message || 'Payment verification failed');
+        navigate(`/kiosk-view-cart/${theaterId}`);
+      });
+  }, [theaterId, navigate]);
 
   // Fetch theater information
   useEffect(() => {
@@ -71,7 +96,7 @@ const KioskPayment = () => {
     }
   }, [theaterId]);
 
-  // Fetch payment gateway configuration and load Razorpay
+  // Fetch payment gateway configuration
   useEffect(() => {
     const initializePayment = async () => {
       try {
@@ -79,19 +104,13 @@ const KioskPayment = () => {
         const response = await fetch(`${config.api.baseUrl}/payments/config/${theaterId}/kiosk`);
         const data = await response.json();
 
-        if (data.success && data.config) {
-          setGatewayConfig(data.config);
-          console.log('✅ Kiosk gateway config loaded:', data.provider);
+        const gateway = data.data?.config || data.config;
+        if (data.success && gateway?.isEnabled) {
+          setGatewayConfig(gateway);
+          console.log('✅ Kiosk gateway config loaded:', gateway.provider);
         } else {
           console.warn('⚠️ No payment gateway configured for kiosk');
         }
-
-        // Load Razorpay script
-        const loaded = await loadRazorpayScript();
-        setRazorpayLoaded(loaded);
-        if (!loaded) {
-          console.error('Failed to load Razorpay SDK');
-        }
       } catch (error) {
         console.error('Error initializing payment:', error);
       }
@@ -144,10 +163,6 @@ const KioskPayment = () => {
   const handleConfirmPayment = async () => {
     // For card, upi, online - check gateway availability
     if (['card', 'upi', 'online'].includes(paymentMethod)) {
-      if (!razorpayLoaded) {
-        alert('Payment gateway not ready. Please refresh the page.');
-        return;
-      }
       if (!gatewayConfig) {
         alert('Payment gateway not configured for this theater.');
         return;
@@ -173,10 +188,8 @@ const KioskPayment = () => {
         customerPhone: orderData.customerPhone,
         customerEmail: orderData.customerEmail || '',
         seatNumber: orderData.seatNumber || '',
-        items: orderData.items.map(item => ({
-          productId: item._id,
+        items: orderData.items.map(item => toOrderLine(item, {
           name: item.name,
-          quantity: item.quantity,
           price: parseFloat(item.sellingPrice || item.pricing?.basePrice) || 0,
           specialInstructions: item.notes || ''
         })),
@@ -184,6 +197,7 @@ const KioskPayment = () => {
         deliveryOption: orderData.deliveryOption || 'pickup',
         orderNotes: orderData.orderNotes || '',
         orderType: 'counter', // Important: This determines 'kiosk' channel
+        kioskType: localStorage.getItem(`kioskType_${theaterId}`) || undefined, // Kiosk-type availability rules
         subtotal: orderData.subtotal,
         tax: orderData.tax,
         totalAmount: orderData.total,
@@ -219,9 +233,9 @@ const KioskPayment = () => {
       if (data.success) {
         const createdOrder = data.order;
 
-        // If using Razorpay (card, UPI, online), initiate payment
+        // Card, UPI and online payments go through the theater's kiosk gateway
         if (['card', 'upi', 'online'].includes(paymentMethod) && gatewayConfig) {
-          await initiateRazorpayPayment(createdOrder, orderData.total);
+          await initiateGatewayPayment(createdOrder);
         } else {
           // For cash, proceed directly to success
           handleOrderSuccess(createdOrder);
@@ -236,126 +250,67 @@ const KioskPayment = () => {
     }
   };
 
-  // Initiate Razorpay Payment for Kiosk
-  const initiateRazorpayPayment = async (createdOrder, amount) => {
+  // Build the success modal details for an order
+  const buildOrderDetails = (createdOrder) => ({
+    orderNumber: createdOrder.orderNumber || createdOrder._id,
+    orderId: createdOrder._id,
+    total: orderData.total,
+    subtotal: orderData.subtotal,
+    tax: orderData.tax,
+    totalDiscount: orderData.totalDiscount || 0,
+    paymentMethod: paymentMethod,
+    customerName: orderData.customerName,
+    items: orderData.items,
+    order: createdOrder
+  });
+
+  // Open the kiosk gateway checkout (whichever provider is configured)
+  const initiateGatewayPayment = async (createdOrder) => {
     try {
-      // Create Razorpay order
-      const token = localStorage.getItem('authToken');
-      const createOrderResponse = await fetch(`${config.api.baseUrl}/payments/create-order`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          orderId: createdOrder._id,
-          amount: Math.round(amount * 100), // Convert to paise
-          currency: 'INR',
-          channel: 'kiosk',
-          notes: {
-            theaterId,
-            customerName: orderData.customerName,
-            seatNumber: orderData.seatNumber
-          }
-        })
-      });
-
-      const razorpayOrderData = await createOrderResponse.json();
-
-      if (!razorpayOrderData.success) {
-        throw new Error(razorpayOrderData.message || 'Failed to create payment order');
-      }
-
-      // Razorpay options
-      const options = {
-        key: gatewayConfig.keyId,
-        amount: razorpayOrderData.order.amount,
-        currency: razorpayOrderData.order.currency,
-        order_id: razorpayOrderData.order.id,
+      const { transaction } = await launchCheckout({
+        orderId: createdOrder._id,
+        paymentMethod,
+        authToken: localStorage.getItem('authToken'),
         name: 'YQPayNow - Kiosk',
         description: `Order #${createdOrder.orderNumber || createdOrder._id}`,
-        handler: async (response) => {
-          // Payment success - verify signature
-          await verifyRazorpayPayment(response, createdOrder);
-        },
         prefill: {
           name: orderData.customerName,
           contact: orderData.customerPhone,
           email: orderData.customerEmail || ''
         },
-        theme: {
-          color: '#3399cc'
-        },
-        modal: {
-          ondismiss: () => {
-            alert('Payment cancelled by user');
-            setProcessing(false);
-          }
-        }
-      };
+        themeColor: '#3399cc',
+        context: { orderData, orderDetails: buildOrderDetails(createdOrder) }
+      });
 
-      const razorpay = new window.Razorpay(options);
-      razorpay.open();
+      handleOrderSuccess(createdOrder, transaction);
     } catch (error) {
-      console.error('Razorpay payment error:', error);
-      alert(error.message || 'Failed to initiate payment');
+      console.error('Gateway payment error:', error);
+      alert(error.message || 'Failed to complete payment');
       setProcessing(false);
     }
   };
 
-  // Verify Razorpay Payment
-  const verifyRazorpayPayment = async (razorpayResponse, createdOrder) => {
-    try {
-      const token = localStorage.getItem('authToken');
-      const response = await fetch(`${config.api.baseUrl}/payments/verify`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          razorpay_order_id: razorpayResponse.razorpay_order_id,
-          razorpay_payment_id: razorpayResponse.razorpay_payment_id,
-          razorpay_signature: razorpayResponse.razorpay_signature,
-          orderId: createdOrder._id
-        })
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        handleOrderSuccess(createdOrder, razorpayResponse);
-      } else {
-        alert(data.message || 'Payment verification failed');
-        setProcessing(false);
-      }
-    } catch (error) {
-      console.error('Payment verification error:', error);
-      alert('Payment verification failed');
-      setProcessing(false);
-    }
+  // Send the paid order to the theater's receipt and kitchen printers
+  const printTickets = (createdOrder) => {
+    if (!createdOrder) return;
+    printOrder(theaterId, createdOrder, { channel: 'kiosk' })
+      .then(result => result.failed.forEach(({ printer, error }) => console.warn(`🖨️ ${printer}: ${error}`)))
+      .catch(error => console.warn('🖨️ Kiosk order not printed:', error.message));
   };
 
   // Handle Order Success
-  const handleOrderSuccess = (createdOrder, razorpayResponse = null) => {
+  const handleOrderSuccess = (createdOrder, transaction = null) => {
     // Clear cart from localStorage
     localStorage.removeItem(`kiosk-cart-${theaterId}`);
     
     // Show success modal
     setOrderDetails({
-      orderNumber: createdOrder.orderNumber || createdOrder._id,
-      orderId: createdOrder._id,
-      total: orderData.total,
-      subtotal: orderData.subtotal,
-      tax: orderData.tax,
-      totalDiscount: orderData.totalDiscount || 0,
-      paymentMethod: paymentMethod,
-      razorpayPaymentId: razorpayResponse?.razorpay_payment_id,
-      customerName: orderData.customerName,
-      items: orderData.items
+      ...buildOrderDetails(createdOrder),
+      gatewayPaymentId: transaction?.gateway?.paymentId
     });
     setShowSuccessModal(true);
     setProcessing(false);
+    printTickets(createdOrder);
   };
 
   const handleModalClose = () => {
@@ -363,8 +318,17 @@ const KioskPayment = () => {
     navigate(`/pos/${theaterId}`);
   };
 
+  // Reprint on the receipt printer, or through the browser when there is none
   const handlePrintReceipt = () => {
-    window.print();
+    if (!orderDetails?.order) {
+      window.print();
+      return;
+    }
+    printOrder(theaterId, orderDetails.order, { channel: 'kiosk', kinds: ['receipt'], reprint: true })
+      .then(result => {
+        if (!result.receipt) window.print();
+      })
+      .catch(() => window.print());
   };
 
   const formatCardNumber = (value) => {
@@ -601,7 +565,10 @@ const KioskPayment = () => {
                 <div className="summary-items">
                   {items.map((item, index) => (
                     <div key={item._id || index} className="summary-item">
-                      <span className="item-name">{item.name} x {item.quantity}</span>
+                      <span className="item-name">
+                        {item.name} x {item.quantity}
+                        {item.modifierSummary && <small> ({item.modifierSummary})</small>}
+                      </span>
                     </div>
                   ))}
                 </div>
@@ -728,7 +695,12 @@ const KioskPayment = () => {
                       marginBottom: '6px',
                       fontSize: '11px'
                     }}>
-                      <div style={{ flex: '2' }}>{item.name}</div>
+                      <div style={{ flex: '2' }}>
+                        {item.name}
+                        {getLineModifiers(item).length > 0 && (
+                          <div style={{ fontSize: '10px', color: '#666' }}>+ {describeModifiers(getLineModifiers(item))}</div>
+                        )}
+                      </div>
                       <div style={{ flex: '0.5', textAlign: 'center' }}>{item.quantity}</div>
                       <div style={{ flex: '1', textAlign: 'right' }}>
                         {(item.sellingPrice || item.price).toFixed(2)}
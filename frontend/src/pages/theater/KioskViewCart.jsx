@@ -5,6 +5,9 @@ import CachedImage from '../../components/CachedImage'; // Global image caching
 import { calculateOrderTotals } from '../../utils/orderCalculation'; // 📊 Centralized calculation
 import '../../styles/pages/theater/KioskCart.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import { toOrderLine } from '../../utils/comboUtils';
+import '../../styles/components/ComboChoiceModal.css';
+import '../../styles/components/customer/ProductModal.css';
 
 
 const KioskViewCart = () => {
@@ -90,9 +93,7 @@ const KioskViewCart = () => {
       const orderData = {
         theaterId: theaterId,
         customerName: customerName.trim() || 'Kiosk Customer',
-        items: cart.map(item => ({
-          productId: item._id,
-          quantity: item.quantity,
+        items: cart.map(item => toOrderLine(item, {
           specialInstructions: item.notes || ''
         })),
         orderNotes: orderNotes.trim(),
@@ -200,6 +201,8 @@ const KioskViewCart = () => {
                     </div>
                     <div className="item-details">
                       <h3 className="item-name">{item.name}</h3>
+                      {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+                      {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
                       <p className="item-price">₹{itemPrice.toFixed(2)}</p>
                     </div>
                     <div className="item-actions">
@@ -10,6 +10,7 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import TheaterLayout from '../../components/theater/TheaterLayout';
+import ShiftPanel from '../../components/ShiftPanel'; // 🧾 Cashier shift and cash drawer
 import ErrorBoundary from '../../components/ErrorBoundary';
 import OfflineStatusBadge from '../../components/OfflineStatusBadge';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
@@ -32,6 +33,11 @@ import '../../styles/ImageUpload.css';
 import '../../styles/TheaterOrderInterface.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import ComboChoiceModal from '../../components/ComboChoiceModal';
+import ProductModal from '../../components/customer/ProductModal';
+import { isComboProduct, hasComboChoices, buildComboCartItem, getLineProductId } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
+import { isUnavailableNow } from '../../utils/availabilityUtils';
 
 
 
@@ -48,8 +54,10 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
   };
 
   const getQuantityInCart = () => {
-    const orderItem = currentOrder.find(item => item._id === product._id);
-    return orderItem ? orderItem.quantity : 0;
+    // Lines with different combo choices or modifiers all count towards the product
+    return currentOrder
+      .filter(item => getLineProductId(item) === product._id)
+      .reduce((total, item) => total + item.quantity, 0);
   };
 
   const quantityInCart = getQuantityInCart();
@@ -61,7 +69,9 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
   };
 
   const currentStock = product.inventory?.currentStock ?? product.stockQuantity ?? 0;
-  const isOutOfStock = currentStock <= 0 || !product.isActive || !product.isAvailable;
+  // Items outside their availability schedule can't be sold either
+  const isScheduledOff = isUnavailableNow(product);
+  const isOutOfStock = currentStock <= 0 || !product.isActive || !product.isAvailable || isScheduledOff;
 
   const originalPrice = product.pricing?.basePrice ?? product.sellingPrice ?? 0;
   const discountPercentage = parseFloat(product.discountPercentage || product.pricing?.discountPercentage) || 0;
@@ -153,7 +163,9 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
         {/* Out of Stock Overlay */}
         {isOutOfStock && (
           <div className="modern-out-of-stock-overlay">
-            <span className="out-of-stock-text">OUT OF STOCK</span>
+            <span className="out-of-stock-text">
+              {isScheduledOff ? (product.availabilityReason || 'NOT AVAILABLE NOW') : 'OUT OF STOCK'}
+            </span>
           </div>
         )}
 
@@ -200,7 +212,11 @@ const StaffOrderItem = React.memo(({ item, onUpdateQuantity, onRemove }) => {
   return (
     <div className="pos-order-item">
       <div className="pos-item-content">
-        <div className="pos-item-name">{item.name || 'Unknown Item'}</div>
+        <div className="pos-item-name">
+          {item.name || 'Unknown Item'}
+          {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+          {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
+        </div>
         <div className="pos-item-price">₹{sellingPrice.toFixed(2)}</div>
         
         <div className="pos-quantity-controls">
@@ -320,6 +336,8 @@ const OfflinePOSInterface = () => {
   
   const [customerName, setCustomerName] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
+  const [comboProduct, setComboProduct] = useState(null); // Combo waiting for the cashier's choices
+  const [modifierProduct, setModifierProduct] = useState(null); // Product waiting for its modifiers
   const [orderImages, setOrderImages] = useState([]);
   const isMountedRef = useRef(true);
   
@@ -436,6 +454,33 @@ const OfflinePOSInterface = () => {
     );
   }, []);
 
+  // Products with modifiers and combos with swaps go through a choice modal; each set of choices is its own order line
+  const handleProductSelect = useCallback((product, quantity) => {
+    if (hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setComboProduct(product);
+      return;
+    }
+    addToOrder(isComboProduct(product) ? buildComboCartItem(product) : product, quantity);
+  }, [addToOrder]);
+
+  const handleComboConfirm = useCallback((selections) => {
+    const line = buildComboCartItem(comboProduct, selections);
+    const existingLine = currentOrder.find(item => item._id === line._id);
+    addToOrder(line, (existingLine?.quantity || 0) + 1);
+    setComboProduct(null);
+  }, [comboProduct, currentOrder, addToOrder]);
+
+  const handleModifierConfirm = useCallback((modifiers) => {
+    const line = buildModifierCartItem(modifierProduct, modifiers);
+    const existingLine = currentOrder.find(item => item._id === line._id);
+    addToOrder(line, (existingLine?.quantity || 0) + 1);
+    setModifierProduct(null);
+  }, [modifierProduct, currentOrder, addToOrder]);
+
   const clearOrder = useCallback(() => {
     setCurrentOrder([]);
     setCustomerName('');
@@ -684,6 +729,13 @@ const OfflinePOSInterface = () => {
       _id: item._id,
       name: item.name,
       quantity: item.quantity,
+      ...(item.productId && {
+        productId: item.productId,
+        comboSelections: item.comboSelections,
+        comboSummary: item.comboSummary,
+        modifiers: item.modifiers,
+        modifierSummary: item.modifierSummary
+      }),
       sellingPrice: item.sellingPrice || item.pricing?.basePrice || item.pricing?.salePrice || 0,
       discountPercentage: item.discountPercentage || item.pricing?.discountPercentage || 0,
       taxRate: item.taxRate || item.pricing?.taxRate || 5,
@@ -900,6 +952,9 @@ const OfflinePOSInterface = () => {
           </div>
         </div>
         
+        {/* Cashier Shift */}
+        <ShiftPanel theaterId={theaterId} />
+
         {/* Main POS Layout */}
         <div className="pos-main-container">
           {/* Left Side - Product Menu */}
@@ -939,7 +994,7 @@ const OfflinePOSInterface = () => {
                   <StaffProductCard
                     key={product._id || `product-${index}`}
                     product={product}
-                    onAddToCart={addToOrder}
+                    onAddToCart={handleProductSelect}
                     currentOrder={currentOrder}
                   />
                 ))
@@ -1051,6 +1106,21 @@ const OfflinePOSInterface = () => {
           </div>
         </div>
       </div>
+
+      {comboProduct && (
+        <ComboChoiceModal
+          product={comboProduct}
+          onConfirm={handleComboConfirm}
+          onClose={() => setComboProduct(null)}
+        />
+      )}
+
+      <ProductModal
+        product={modifierProduct}
+        isOpen={Boolean(modifierProduct)}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleModifierConfirm}
+      />
     </TheaterLayout>
   );
 };
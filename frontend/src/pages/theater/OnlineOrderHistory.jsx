@@ -5,6 +5,7 @@ import TheaterLayout from '../../components/theater/TheaterLayout';
 import PageContainer from '../../components/PageContainer';
 import ErrorBoundary from '../../components/ErrorBoundary';
 import { useModal } from '../../contexts/ModalContext';
+import { useOrderEvents, ORDER_EVENTS } from '../../hooks/useOrderEvents'; // 📡 Live order events
 // import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring'; // Temporarily disabled
 import DateFilter from '../../components/DateFilter';
 import Pagination from '../../components/Pagination';
@@ -14,6 +15,7 @@ import '../../styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '../../styles/QRManagementPage.css';
 import '../../styles/TheaterList.css';
 import '../../styles/AddTheater.css';
+import { describeModifiers, getLineModifiers } from '../../utils/modifierUtils';
 // import { useDeepMemo, useComputed } from '../../utils/ultraPerformance'; // Unused
 // import { ultraFetch } from '../../utils/ultraFetch'; // Unused
 
@@ -104,6 +106,12 @@ const OnlineOrderHistory = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [theaterId]); // Only re-fetch when theaterId changes
 
+  // 📡 Live order events - new QR orders, status changes and captured payments
+  useOrderEvents(theaterId, (event) => {
+    if (event.type === ORDER_EVENTS.ORDER_CREATED && event.data?.source !== 'qr_code') return;
+    fetchOrders(true);
+  });
+
   // Fetch orders from backend
   const fetchOrders = useCallback(async (forceRefresh = false) => {
     if (!theaterId) return;
@@ -621,7 +629,7 @@ const OnlineOrderHistory = () => {
             const total = item.totalPrice || (qty * rate);
             return `
             <div class="item-row">
-              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}${getLineModifiers(item).length ? `<br><small>+ ${describeModifiers(getLineModifiers(item))}</small>` : ''}</div>
               <div class="item-qty">${qty}</div>
               <div class="item-rate">${rate.toFixed(2)}</div>
               <div class="item-total">${total.toFixed(2)}</div>
@@ -1140,7 +1148,12 @@ const OnlineOrderHistory = () => {
                         marginBottom: '4px',
                         fontSize: '11px'
                       }}>
-                        <div style={{ flex: 2 }}>{item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+                        <div style={{ flex: 2 }}>
+                          {item.productName || item.menuItem?.name || item.name || 'Item'}
+                          {getLineModifiers(item).length > 0 && (
+                            <div style={{ fontSize: '10px', color: '#666' }}>+ {describeModifiers(getLineModifiers(item))}</div>
+                          )}
+                        </div>
                         <div style={{ flex: 0.5, textAlign: 'center' }}>{qty}</div>
                         <div style={{ flex: 1, textAlign: 'right' }}>₹{rate.toFixed(2)}</div>
                         <div style={{ flex: 1, textAlign: 'right' }}>₹{total.toFixed(2)}</div>
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import TheaterLayout from '../../components/theater/TheaterLayout';
+import ShiftPanel from '../../components/ShiftPanel'; // 🧾 Cashier shift and cash drawer
 import ErrorBoundary from '../../components/ErrorBoundary';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
+import { useOrderEvents } from '../../hooks/useOrderEvents'; // 📡 Live order events
 import { getAuthToken, autoLogin } from '../../utils/authHelper';
 import { getImageSrc, cacheProductImages } from '../../utils/globalImageCache'; // 🚀 Instant image loading
 import { calculateOrderTotals } from '../../utils/orderCalculation'; // 📊 Centralized calculation
@@ -22,6 +24,11 @@ import '../../styles/ImageUpload.css';
 import '../../styles/TheaterOrderInterface.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import ComboChoiceModal from '../../components/ComboChoiceModal';
+import ProductModal from '../../components/customer/ProductModal';
+import { isComboProduct, hasComboChoices, buildComboCartItem, getLineProductId } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
+import { isUnavailableNow } from '../../utils/availabilityUtils';
 
 
 
@@ -40,8 +47,10 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
 
   // Get current quantity in cart
   const getQuantityInCart = () => {
-    const orderItem = currentOrder.find(item => item._id === product._id);
-    return orderItem ? orderItem.quantity : 0;
+    // Lines with different combo choices or modifiers all count towards the product
+    return currentOrder
+      .filter(item => getLineProductId(item) === product._id)
+      .reduce((total, item) => total + item.quantity, 0);
   };
 
   const quantityInCart = getQuantityInCart();
@@ -55,7 +64,9 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
 
   // Check stock using array structure fields
   const currentStock = product.inventory?.currentStock ?? product.stockQuantity ?? 0;
-  const isOutOfStock = currentStock <= 0 || !product.isActive || !product.isAvailable;
+  // Items outside their availability schedule can't be sold either
+  const isScheduledOff = isUnavailableNow(product);
+  const isOutOfStock = currentStock <= 0 || !product.isActive || !product.isAvailable || isScheduledOff;
 
   // Get price from array structure and calculate discount
   const originalPrice = product.pricing?.basePrice ?? product.sellingPrice ?? 0;
@@ -151,7 +162,9 @@ const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) =>
         {/* Out of Stock Overlay */}
         {isOutOfStock && (
           <div className="modern-out-of-stock-overlay">
-            <span className="out-of-stock-text">OUT OF STOCK</span>
+            <span className="out-of-stock-text">
+              {isScheduledOff ? (product.availabilityReason || 'NOT AVAILABLE NOW') : 'OUT OF STOCK'}
+            </span>
           </div>
         )}
 
@@ -196,7 +209,11 @@ const StaffOrderItem = React.memo(({ item, onUpdateQuantity, onRemove }) => {
   return (
     <div className="pos-order-item">
       <div className="pos-item-content">
-        <div className="pos-item-name">{item.name || 'Unknown Item'}</div>
+        <div className="pos-item-name">
+          {item.name || 'Unknown Item'}
+          {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+          {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
+        </div>
         <div className="pos-item-price">₹{(parseFloat(item.sellingPrice) || 0).toFixed(2)}</div>
         
         <div className="pos-quantity-controls">
@@ -299,6 +316,8 @@ const OnlinePOSInterface = () => {
   
   const [customerName, setCustomerName] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
+  const [comboProduct, setComboProduct] = useState(null); // Combo waiting for the cashier's choices
+  const [modifierProduct, setModifierProduct] = useState(null); // Product waiting for its modifiers
   const [orderImages, setOrderImages] = useState([]);
   const [onlineOrders, setOnlineOrders] = useState([]); // Customer orders from QR code
   const [loadingOrders, setLoadingOrders] = useState(false);
@@ -458,6 +477,33 @@ const OnlinePOSInterface = () => {
     );
   }, []);
 
+  // Products with modifiers and combos with swaps go through a choice modal; each set of choices is its own order line
+  const handleProductSelect = useCallback((product, quantity) => {
+    if (hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setComboProduct(product);
+      return;
+    }
+    addToOrder(isComboProduct(product) ? buildComboCartItem(product) : product, quantity);
+  }, [addToOrder]);
+
+  const handleComboConfirm = useCallback((selections) => {
+    const line = buildComboCartItem(comboProduct, selections);
+    const existingLine = currentOrder.find(item => item._id === line._id);
+    addToOrder(line, (existingLine?.quantity || 0) + 1);
+    setComboProduct(null);
+  }, [comboProduct, currentOrder, addToOrder]);
+
+  const handleModifierConfirm = useCallback((modifiers) => {
+    const line = buildModifierCartItem(modifierProduct, modifiers);
+    const existingLine = currentOrder.find(item => item._id === line._id);
+    addToOrder(line, (existingLine?.quantity || 0) + 1);
+    setModifierProduct(null);
+  }, [modifierProduct, currentOrder, addToOrder]);
+
   const clearOrder = useCallback(() => {
     setCurrentOrder([]);
     setCustomerName('');
@@ -765,6 +811,7 @@ const OnlinePOSInterface = () => {
       setLoadingOrders(true);
       const response = await fetch(`${config.api.baseUrl}/orders/theater/${theaterId}?source=qr_code&limit=20&_cacheBuster=${Date.now()}&_random=${Math.random()}`, {
         headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
           'Accept': 'application/json',
           'Cache-Control': 'no-cache, no-store, must-revalidate',
           'Pragma': 'no-cache',
@@ -833,7 +880,12 @@ const OnlinePOSInterface = () => {
   // Track previous theaterId to detect actual theater changes vs initial mount
   const prevTheaterIdRef = useRef(null);
 
-  // Poll for new online orders every 10 seconds
+  // 📡 Live order events - refetch as soon as an order is created, updated or paid
+  const { connected: orderEventsConnected } = useOrderEvents(theaterId, () => {
+    fetchOnlineOrders();
+  });
+
+  // Initial load, then poll only while the live event stream is down
   useEffect(() => {
     if (!theaterId) return;
 
@@ -848,14 +900,16 @@ const OnlinePOSInterface = () => {
 
     fetchOnlineOrders(); // Initial fetch
 
+    if (orderEventsConnected) return;
+
     const interval = setInterval(() => {
       fetchOnlineOrders();
-    }, 1000); // Poll every 1 second (real-time updates)
+    }, 10000); // Fallback polling while the event stream reconnects
 
     return () => {
       clearInterval(interval);
     };
-  }, [theaterId, fetchOnlineOrders]);
+  }, [theaterId, fetchOnlineOrders, orderEventsConnected]);
 
   // Calculate order totals using centralized utility
   const orderTotals = useMemo(() => {
@@ -909,6 +963,13 @@ const OnlinePOSInterface = () => {
       _id: item._id,
       name: item.name,
       quantity: item.quantity,
+      ...(item.productId && {
+        productId: item.productId,
+        comboSelections: item.comboSelections,
+        comboSummary: item.comboSummary,
+        modifiers: item.modifiers,
+        modifierSummary: item.modifierSummary
+      }),
       sellingPrice: item.sellingPrice || item.pricing?.basePrice || item.pricing?.salePrice || 0,
       discountPercentage: item.discountPercentage || item.pricing?.discountPercentage || 0,
       taxRate: item.taxRate || item.pricing?.taxRate || 5,
@@ -1030,6 +1091,9 @@ const OnlinePOSInterface = () => {
           }
         `}</style>
         
+        {/* Cashier Shift */}
+        <ShiftPanel theaterId={theaterId} />
+
         {/* Main POS Layout */}
         <div className="pos-main-container">
           {/* Left Order Panel - Order Queue */}
@@ -1200,7 +1264,7 @@ const OnlinePOSInterface = () => {
                   <StaffProductCard
                     key={product._id || `product-${index}`}
                     product={product}
-                    onAddToCart={addToOrder}
+                    onAddToCart={handleProductSelect}
                     currentOrder={currentOrder}
                   />
                 ))
@@ -1312,6 +1376,21 @@ const OnlinePOSInterface = () => {
           </div>
         </div>
       </div>
+
+      {comboProduct && (
+        <ComboChoiceModal
+          product={comboProduct}
+          onConfirm={handleComboConfirm}
+          onClose={() => setComboProduct(null)}
+        />
+      )}
+
+      <ProductModal
+        product={modifierProduct}
+        isOpen={Boolean(modifierProduct)}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleModifierConfirm}
+      />
     </TheaterLayout>
   );
 };
@@ -7,6 +7,11 @@ import ImageUpload from '../../components/ImageUpload';
 import '../../styles/ProfessionalPOS.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import ComboChoiceModal from '../../components/ComboChoiceModal';
+import ProductModal from '../../components/customer/ProductModal';
+import { isComboProduct, hasComboChoices, buildComboCartItem } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
+import { isUnavailableNow } from '../../utils/availabilityUtils';
 
 
 
@@ -52,8 +57,12 @@ const POSProductCard = React.memo(({ product, onAddToCart }) => {
         <div className="pos-product-price">{formatPrice(product.sellingPrice || 0)}</div>
       </div>
       
-      {/* Stock indicator */}
-      {(product.stockQuantity || 0) <= 0 && (
+      {/* Stock and availability schedule indicator */}
+      {isUnavailableNow(product) ? (
+        <div className="pos-out-of-stock">
+          <span>{product.availabilityReason || 'Not Available Now'}</span>
+        </div>
+      ) : (product.stockQuantity || 0) <= 0 && (
         <div className="pos-out-of-stock">
           <span>Out of Stock</span>
         </div>
@@ -81,6 +90,8 @@ const POSOrderItem = React.memo(({ item, onUpdateQuantity, onRemove }) => {
     <div className="pos-order-item">
       <div className="pos-order-item-info">
         <h5 className="pos-order-item-name">{item.name || 'Unknown Item'}</h5>
+        {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+        {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
         <div className="pos-order-item-price">{formatPrice(item.sellingPrice || 0)}</div>
       </div>
       
@@ -143,6 +154,8 @@ const ProfessionalPOSInterface = () => {
   
   const [customerName, setCustomerName] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
+  const [comboProduct, setComboProduct] = useState(null); // Combo waiting for the cashier's choices
+  const [modifierProduct, setModifierProduct] = useState(null); // Product waiting for its modifiers
   const [orderImages, setOrderImages] = useState([]);
   const isMountedRef = useRef(true);
   
@@ -185,6 +198,31 @@ const ProfessionalPOSInterface = () => {
     );
   }, []);
 
+  // Products with modifiers and combos with swaps go through a choice modal; each set of choices is its own order line
+  const handleProductSelect = useCallback((product) => {
+    // The server refuses items outside their availability schedule
+    if (isUnavailableNow(product)) return;
+    if (hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setComboProduct(product);
+      return;
+    }
+    addToOrder(isComboProduct(product) ? buildComboCartItem(product) : product);
+  }, [addToOrder]);
+
+  const handleComboConfirm = useCallback((selections) => {
+    addToOrder(buildComboCartItem(comboProduct, selections));
+    setComboProduct(null);
+  }, [comboProduct, addToOrder]);
+
+  const handleModifierConfirm = useCallback((modifiers) => {
+    addToOrder(buildModifierCartItem(modifierProduct, modifiers));
+    setModifierProduct(null);
+  }, [modifierProduct, addToOrder]);
+
   const clearOrder = useCallback(() => {
     setCurrentOrder([]);
     setCustomerName('');
@@ -526,7 +564,7 @@ const ProfessionalPOSInterface = () => {
                 <POSProductCard
                   key={product._id || `product-${index}`}
                   product={product}
-                  onAddToCart={addToOrder}
+                  onAddToCart={handleProductSelect}
                 />
               ))
             )}
@@ -643,6 +681,21 @@ const ProfessionalPOSInterface = () => {
           </div>
         </div>
       </div>
+
+      {comboProduct && (
+        <ComboChoiceModal
+          product={comboProduct}
+          onConfirm={handleComboConfirm}
+          onClose={() => setComboProduct(null)}
+        />
+      )}
+
+      <ProductModal
+        product={modifierProduct}
+        isOpen={Boolean(modifierProduct)}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleModifierConfirm}
+      />
     </div>
   );
 };
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import config from '../../config';
 import { getCachedData, setCachedData } from '../../utils/cacheUtils';
 import CachedImage from '../../components/CachedImage'; // Global image caching
@@ -7,11 +7,19 @@ import InstantImage from '../../components/InstantImage'; // 🚀 INSTANT image
 import { cacheProductImages } from '../../utils/globalImageCache'; // 🎨 Batch product image caching
 import '../../styles/pages/theater/SimpleProductList.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
+import ComboChoiceModal from '../../components/ComboChoiceModal';
+import ProductModal from '../../components/customer/ProductModal';
+import { isComboProduct, hasComboChoices, describeCombo, buildComboCartItem, getLineProductId, findLastCartLine } from '../../utils/comboUtils';
+import { hasModifiers, buildModifierCartItem } from '../../utils/modifierUtils';
+import { isUnavailableNow } from '../../utils/availabilityUtils';
 
 
 const SimpleProductList = () => {
   const { theaterId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // A kiosk set up for one kiosk type opens the menu with ?kioskType=<id>; remembered for its orders
+  const kioskType = searchParams.get('kioskType') || localStorage.getItem(`kioskType_${theaterId}`) || '';
   const [products, setProducts] = useState([]);
   const [kioskTypes, setKioskTypes] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -21,12 +29,19 @@ const SimpleProductList = () => {
   const [theaterName, setTheaterName] = useState('');
   const [theaterLogo, setTheaterLogo] = useState('');
   const [bannerImage, setBannerImage] = useState('');
+  const [comboProduct, setComboProduct] = useState(null); // Combo waiting for the customer's choices
+  const [modifierProduct, setModifierProduct] = useState(null); // Product waiting for its modifiers
 
   // Set browser title
   useEffect(() => {
     document.title = 'Menu - YQPayNow';
   }, []);
 
+  useEffect(() => {
+    const fromUrl = searchParams.get('kioskType');
+    if (fromUrl) localStorage.setItem(`kioskType_${theaterId}`, fromUrl);
+  }, [searchParams, theaterId]);
+
   // Load cart from localStorage on mount
   useEffect(() => {
     const savedCart = localStorage.getItem(`kioskCart_${theaterId}`);
@@ -95,7 +110,7 @@ const SimpleProductList = () => {
         fetch(`${config.api.baseUrl}/theater-kiosk-types/${theaterId}`, {
           headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
         }).catch(() => null),
-        fetch(config.helpers.getApiUrl(`/theater-products/${theaterId}`), {
+        fetch(config.helpers.getApiUrl(`/theater-products/${theaterId}${kioskType ? `?kioskType=${kioskType}` : ''}`), {
           headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
         })
       ]);
@@ -176,37 +191,60 @@ const SimpleProductList = () => {
     };
 
     fetchData();
-  }, [theaterId]);
+  }, [theaterId, kioskType]);
 
   // Filter products by selected category
   const filteredProducts = selectedCategory === 'all' 
     ? products 
     : products.filter(p => p.kioskType === selectedCategory);
 
-  // Filter to show only products with available stock
+  // Filter to show only products with available stock that can be ordered at this time
   const availableProducts = filteredProducts.filter(product => {
     const currentStock = product.inventory?.currentStock ?? product.stockQuantity ?? 0;
-    const isAvailable = currentStock > 0 && product.isActive !== false && product.isAvailable !== false;
+    const isAvailable = currentStock > 0 && product.isActive !== false && product.isAvailable !== false && !isUnavailableNow(product);
     return isAvailable;
   });
 
-  // Add to cart
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item._id === product._id);
+  // Add one of a cart line (a product, or a combo with its choices)
+  const addLineToCart = (line) => {
+    const existingItem = cart.find(item => item._id === line._id);
     let updatedCart;
     if (existingItem) {
       updatedCart = cart.map(item => 
-        item._id === product._id 
+        item._id === line._id 
           ? { ...item, quantity: item.quantity + 1 }
           : item
       );
     } else {
-      updatedCart = [...cart, { ...product, quantity: 1 }];
+      updatedCart = [...cart, { ...line, quantity: 1 }];
     }
     setCart(updatedCart);
     localStorage.setItem(`kioskCart_${theaterId}`, JSON.stringify(updatedCart));
   };
 
+  // Add to cart - products with modifiers and combos with swaps ask for the customer's choices first
+  const addToCart = (product) => {
+    if (hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+    if (hasComboChoices(product)) {
+      setComboProduct(product);
+      return;
+    }
+    addLineToCart(isComboProduct(product) ? buildComboCartItem(product) : product);
+  };
+
+  const handleComboConfirm = (selections) => {
+    addLineToCart(buildComboCartItem(comboProduct, selections));
+    setComboProduct(null);
+  };
+
+  const handleModifierConfirm = (modifiers) => {
+    addLineToCart(buildModifierCartItem(modifierProduct, modifiers));
+    setModifierProduct(null);
+  };
+
   // Get cart total
   const getCartTotal = () => {
     return cart.reduce((sum, item) => {
@@ -387,8 +425,10 @@ const SimpleProductList = () => {
                   finalPrice = Number(product.pricing.salePrice);
                 }
                 
-                const cartItem = cart.find(item => item._id === product._id);
-                const quantity = cartItem ? cartItem.quantity : 0;
+                // Lines with different combo choices or modifiers all count towards the product
+                const quantity = cart
+                  .filter(item => getLineProductId(item) === product._id)
+                  .reduce((sum, item) => sum + item.quantity, 0);
                 
                 return (
                   <div 
@@ -407,6 +447,9 @@ const SimpleProductList = () => {
                     </div>
                     <div className="product-card-info">
                       <h3 className="product-card-name">{product.name}</h3>
+                      {isComboProduct(product) && (
+                        <span className="combo-contents">{describeCombo(product)}</span>
+                      )}
                       {(product.quantity || product.size) && (
                         <p className="product-card-size">{product.quantity || product.size}</p>
                       )}
@@ -422,9 +465,10 @@ const SimpleProductList = () => {
                               className="product-qty-btn"
                               onClick={(e) => {
                                 e.stopPropagation();
-                                const index = cart.findIndex(item => item._id === product._id);
+                                const line = findLastCartLine(cart, product._id);
+                                const index = cart.indexOf(line);
                                 let updatedCart;
-                                if (quantity === 1) {
+                                if (line.quantity === 1) {
                                   updatedCart = cart.filter((_, i) => i !== index);
                                 } else {
                                   updatedCart = cart.map((cartItem, i) => 
@@ -442,12 +486,7 @@ const SimpleProductList = () => {
                               className="product-qty-btn"
                               onClick={(e) => {
                                 e.stopPropagation();
-                                const index = cart.findIndex(item => item._id === product._id);
-                                const updatedCart = cart.map((cartItem, i) => 
-                                  i === index ? { ...cartItem, quantity: cartItem.quantity + 1 } : cartItem
-                                );
-                                setCart(updatedCart);
-                                localStorage.setItem(`kioskCart_${theaterId}`, JSON.stringify(updatedCart));
+                                addToCart(product);
                               }}
                             >
                               +
@@ -473,6 +512,21 @@ const SimpleProductList = () => {
           )}
         </div>
       </div>
+
+      {comboProduct && (
+        <ComboChoiceModal
+          product={comboProduct}
+          onConfirm={handleComboConfirm}
+          onClose={() => setComboProduct(null)}
+        />
+      )}
+
+      <ProductModal
+        product={modifierProduct}
+        isOpen={Boolean(modifierProduct)}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleModifierConfirm}
+      />
     </div>
   );
 };
@@ -168,7 +168,9 @@ const StockTableRow = React.memo(({ entry, index, onDateClick, onEdit, onDelete
   const sales = displayData.sales ?? entry.sales ?? 0;
   const damageStock = displayData.damageStock ?? entry.damageStock ?? 0;
   const expiredStock = displayData.expiredStock ?? entry.expiredStock ?? 0;
-  const balance = displayData.balance ?? entry.balance ?? (invordStock - sales - damageStock - expiredStock);
+  const returnedStock = entry.returnedStock || 0;
+  const adjustedStock = entry.adjustedStock || 0;
+  const balance = displayData.balance ?? entry.balance ?? (invordStock - sales - damageStock - expiredStock - returnedStock - adjustedStock);
   
   const handleDateClickInternal = useCallback(() => {
     const entryDate = new Date(entry.entryDate || entry.date);
@@ -216,6 +218,16 @@ const StockTableRow = React.memo(({ entry, index, onDateClick, onEdit, onDelete
           <span className="stock-quantity">{damageStock}</span>
           <span className="stock-label">Damage</span>
         </div>
+        {returnedStock > 0 && (
+          <div style={{ fontSize: '11px', color: '#6B7280', marginTop: '2px' }}>
+            {returnedStock} returned to supplier
+          </div>
+        )}
+        {adjustedStock > 0 && (
+          <div style={{ fontSize: '11px', color: '#6B7280', marginTop: '2px' }}>
+            {adjustedStock} missing at stock-take
+          </div>
+        )}
       </td>
       <td className="balance-cell">
         <div className="stock-badge balance">
@@ -287,7 +299,8 @@ StockTableRow.displayName = 'StockTableRow';
 const StockTableBody = React.memo(({ stockEntries, loading, filters, onDateClick, onEdit, onDelete, onAddStock }) => {
   // Memoize filtered entries to avoid re-filtering on every render
   const addedEntries = useMemo(() => {
-    return stockEntries.filter(entry => entry.type === 'ADDED' || entry.type === 'ADD');
+    // ADJUSTMENT entries are stock found by a stock-take
+    return stockEntries.filter(entry => entry.type === 'ADDED' || entry.type === 'ADD' || entry.type === 'ADJUSTMENT');
   }, [stockEntries]);
 
   // 🚀 INSTANT: Show skeleton only if loading AND no data
@@ -713,7 +726,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
         // Edit mode - populate with entry data
         setFormData({
           date: entry.date ? new Date(entry.date).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
-          type: 'ADDED', // Always ADDED
+          type: entry.type === 'ADJUSTMENT' ? 'ADJUSTMENT' : 'ADDED', // Stock-take adjustments stay adjustments
           quantity: entry.quantity?.toString() || '',
           expireDate: entry.expireDate ? new Date(entry.expireDate).toISOString().split('T')[0] : '',
           damageStock: (entry.displayData?.damageStock || entry.damageStock || 0).toString(),
@@ -857,7 +870,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
     if (validateForm()) {
       const processedData = {
         date: formData.date,
-        type: 'ADDED', // Always Invord Stock
+        type: formData.type === 'ADJUSTMENT' ? 'ADJUSTMENT' : 'ADDED', // Invord Stock unless editing a stock-take adjustment
         quantity: Number(formData.quantity),
         expireDate: formData.expireDate || undefined,
         damageStock: formData.damageStock ? Number(formData.damageStock) : 0,
@@ -1205,6 +1218,22 @@ const StockManagement = React.memo(() => {
     }
   }, [theaterId, productId, getAuthToken]);
 
+  // Units of this product at each counter / kiosk (refreshed whenever the entries change)
+  const [locationBalances, setLocationBalances] = useState(null);
+  useEffect(() => {
+    const authToken = getAuthToken();
+    if (!theaterId || !productId || !authToken) return;
+
+    fetch(`${API_BASE_URL}/stock-locations/${theaterId}/balances?productId=${productId}`, {
+      headers: { 'Authorization': `Bearer ${authToken}`, 'Cache-Control': 'no-cache' }
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setLocationBalances(data.data);
+      })
+      .catch(error => console.warn('Failed to fetch location balances:', error));
+  }, [theaterId, productId, getAuthToken, stockEntries]);
+
   // 🚀 100% API FUNCTIONS WITH COMPREHENSIVE DEBUGGING
   const fetchStockData = useCallback(async () => {
       // Cancel any previous request
@@ -2270,6 +2299,25 @@ const StockManagement = React.memo(() => {
             </div> */}
           </div>
 
+          {/* Stock by Location - only once the theater has counters or kiosks */}
+          {locationBalances?.locations?.length > 1 && locationBalances.products[0] && (
+            <div className="location-balances">
+              <span className="location-balances-title">By location</span>
+              {locationBalances.locations.map(location => (
+                <div key={location._id} className={`location-balance ${location.isActive ? '' : 'inactive'}`}>
+                  <span className="location-balance-name">{location.name}</span>
+                  <span className="location-balance-quantity">{locationBalances.products[0].balances[location._id] || 0}</span>
+                </div>
+              ))}
+              {locationBalances.products[0].inTransit > 0 && (
+                <div className="location-balance transit">
+                  <span className="location-balance-name">In transit</span>
+                  <span className="location-balance-quantity">{locationBalances.products[0].inTransit}</span>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Filters Section - Global Design Pattern */}
           <div className="theater-filters">
             <div className="search-box">
@@ -11,6 +11,8 @@ import { ActionButton, ActionButtons } from '../../components/ActionButton';
 import { useModal } from '../../contexts/ModalContext';
 import { useToast } from '../../contexts/ToastContext';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
+import AvailabilityEditor from '../../components/AvailabilityEditor';
+import { toAvailabilityForm, toAvailabilityPayload } from '../../utils/availabilityUtils';
 import config from '../../config';
 import '../../styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '../../styles/QRManagementPage.css';
@@ -72,12 +74,14 @@ const TheaterCategories = React.memo(() => {
     name: '',
     isActive: true,
     image: null,
-    removeImage: false
+    removeImage: false,
+    availability: toAvailabilityForm(null)
   });
 
   // Image upload states
   const [imageFile, setImageFile] = useState(null);
   const [imageError, setImageError] = useState('');
+  const [kioskTypes, setKioskTypes] = useState([]);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -95,6 +99,17 @@ const TheaterCategories = React.memo(() => {
     };
   }, []);
 
+  // Kiosk types the availability rules can be limited to
+  useEffect(() => {
+    if (!theaterId) return;
+    fetch(`${config.api.baseUrl}/theater-kiosk-types/${theaterId}`, {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setKioskTypes((data?.data?.kioskTypes || []).filter(kioskType => kioskType.isActive)))
+      .catch(error => console.warn('Kiosk types not loaded:', error.message));
+  }, [theaterId]);
+
   // Validate theater access - removed client-side check, backend handles access control
   // useEffect(() => {
   //   if (userType === 'theater_user' && userTheaterId && theaterId !== userTheaterId) {
@@ -333,7 +348,8 @@ const TheaterCategories = React.memo(() => {
       name: category.categoryName || category.name || '',
       isActive: category.isActive,
       image: category.imageUrl || null,
-      removeImage: false
+      removeImage: false,
+      availability: toAvailabilityForm(category.availability)
     });
     setImageFile(null);
     setImageError('');
@@ -383,6 +399,8 @@ const TheaterCategories = React.memo(() => {
       const formDataToSend = new FormData();
       formDataToSend.append('categoryName', formData.name);  // Backend expects 'categoryName'
       formDataToSend.append('isActive', formData.isActive);
+      // Availability applies to every product in the category; sent as JSON alongside the image
+      formDataToSend.append('availability', JSON.stringify(toAvailabilityPayload(formData.availability)));
       
       // Add image file if selected
       if (imageFile) {
@@ -460,7 +478,8 @@ const TheaterCategories = React.memo(() => {
           name: '',
           isActive: true,
           image: null,
-          removeImage: false
+          removeImage: false,
+          availability: toAvailabilityForm(null)
         });
         setImageFile(null);
         setImageError('');
@@ -571,7 +590,8 @@ const TheaterCategories = React.memo(() => {
       name: '',
       isActive: true,
       image: null,
-      removeImage: false
+      removeImage: false,
+      availability: toAvailabilityForm(null)
     });
     setImageFile(null);
     setImageError('');
@@ -959,6 +979,14 @@ const TheaterCategories = React.memo(() => {
                       style={{ marginTop: '8px' }}
                     />
                   </div>
+                  <div className="form-group full-width">
+                    <label>Availability</label>
+                    <AvailabilityEditor
+                      value={formData.availability}
+                      onChange={(availability) => handleInputChange('availability', availability)}
+                      kioskTypes={kioskTypes}
+                    />
+                  </div>
                 </div>
               </div>
               
@@ -1037,6 +1065,14 @@ const TheaterCategories = React.memo(() => {
                       style={{ marginTop: '8px' }}
                     />
                   </div>
+                  <div className="form-group full-width">
+                    <label>Availability</label>
+                    <AvailabilityEditor
+                      value={formData.availability}
+                      onChange={(availability) => handleInputChange('availability', availability)}
+                      kioskTypes={kioskTypes}
+                    />
+                  </div>
                 </div>
               </div>
               
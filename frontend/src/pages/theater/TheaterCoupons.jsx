@@ -0,0 +1,581 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const STATUS_LABELS = {
+  active: 'Active',
+  inactive: 'Inactive',
+  scheduled: 'Scheduled',
+  expired: 'Expired',
+  exhausted: 'Limit Reached'
+};
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  discountValue: '',
+  maxDiscountAmount: '',
+  minOrderValue: '',
+  validFrom: '',
+  validUntil: '',
+  usageLimit: '',
+  perPhoneLimit: '',
+  applicableCategories: [],
+  applicableProducts: [],
+  isActive: true
+};
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+// <input type="datetime-local"> wants local time without seconds or zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+const describeDiscount = (coupon) => (coupon.discountType === 'percent'
+  ? `${coupon.discountValue}% off${coupon.maxDiscountAmount ? ` (up to ${formatAmount(coupon.maxDiscountAmount)})` : ''}`
+  : `${formatAmount(coupon.discountValue)} off`);
+
+// Empty optional fields go to the API as null so an edit can clear them
+const toPayload = (form) => {
+  const number = (value) => (value === '' || value === null ? null : Number(value));
+  return {
+    code: form.code.trim(),
+    description: form.description.trim(),
+    discountType: form.discountType,
+    discountValue: Number(form.discountValue),
+    maxDiscountAmount: form.discountType === 'percent' ? number(form.maxDiscountAmount) : null,
+    minOrderValue: Number(form.minOrderValue) || 0,
+    validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : null,
+    validUntil: form.validUntil ? new Date(form.validUntil).toISOString() : null,
+    usageLimit: number(form.usageLimit),
+    perPhoneLimit: number(form.perPhoneLimit),
+    applicableCategories: form.applicableCategories,
+    applicableProducts: form.applicableProducts,
+    isActive: form.isActive
+  };
+};
+
+/**
+ * Theater Coupons
+ * Create and manage promo codes, and see how often each one is redeemed.
+ */
+const TheaterCoupons = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+  const [report, setReport] = useState({ coupons: [], summary: { redemptions: 0, totalDiscount: 0 } });
+
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const loadCoupons = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+
+      const [couponsResponse, reportResponse] = await Promise.all([
+        fetch(`${config.api.baseUrl}/coupons/${theaterId}?${params.toString()}`, { headers: authHeaders }),
+        fetch(`${config.api.baseUrl}/coupons/${theaterId}/report`, { headers: authHeaders })
+      ]);
+      const couponsData = await couponsResponse.json();
+      const reportData = await reportResponse.json();
+
+      if (!couponsResponse.ok || !couponsData.success) {
+        throw new Error(couponsData.message || 'Failed to load coupons');
+      }
+      setCoupons(couponsData.data || []);
+      setPagination({
+        totalItems: couponsData.pagination?.totalItems || 0,
+        totalPages: couponsData.pagination?.totalPages || 1
+      });
+      if (reportResponse.ok && reportData.success) {
+        setReport(reportData.data);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, authHeaders, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadCoupons, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadCoupons, searchTerm]);
+
+  // Categories and products for the restriction pickers
+  useEffect(() => {
+    if (!theaterId) return;
+    Promise.all([
+      fetch(`${config.api.baseUrl}/theater-categories/${theaterId}?limit=100`, { headers: authHeaders }).then(res => res.json()),
+      fetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=500`, { headers: authHeaders }).then(res => res.json())
+    ])
+      .then(([categoriesData, productsData]) => {
+        setCategories(categoriesData.data?.categories || (Array.isArray(categoriesData.data) ? categoriesData.data : []));
+        setProducts(productsData.data?.products || (Array.isArray(productsData.data) ? productsData.data : []));
+      })
+      .catch(() => {
+        // Pickers stay empty - coupons then apply to the whole order
+      });
+  }, [theaterId, authHeaders]);
+
+  const redemptionsByCoupon = useMemo(() => {
+    const map = {};
+    (report.coupons || []).forEach(row => {
+      map[String(row.couponId)] = row;
+    });
+    return map;
+  }, [report]);
+
+  const activeCount = coupons.filter(coupon => coupon.status === 'active').length;
+
+  const openCreate = useCallback(() => {
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+    setFormError('');
+    setShowModal(true);
+  }, []);
+
+  const openEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      ...emptyForm,
+      ...coupon,
+      maxDiscountAmount: coupon.maxDiscountAmount ?? '',
+      minOrderValue: coupon.minOrderValue || '',
+      usageLimit: coupon.usageLimit ?? '',
+      perPhoneLimit: coupon.perPhoneLimit ?? '',
+      validFrom: toDateTimeInput(coupon.validFrom),
+      validUntil: toDateTimeInput(coupon.validUntil),
+      applicableCategories: (coupon.applicableCategories || []).map(String),
+      applicableProducts: (coupon.applicableProducts || []).map(String)
+    });
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleMultiSelect = (field) => (e) => {
+    handleInputChange(field, Array.from(e.target.selectedOptions, option => option.value));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.code.trim() || !formData.discountValue) {
+      setFormError('Code and discount value are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const url = editingCoupon
+        ? `${config.api.baseUrl}/coupons/${theaterId}/${editingCoupon._id}`
+        : `${config.api.baseUrl}/coupons/${theaterId}`;
+      const response = await fetch(url, {
+        method: editingCoupon ? 'PUT' : 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(toPayload(formData))
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.details?.[0]?.msg || data.message || 'Failed to save coupon');
+      }
+
+      toast.success(editingCoupon ? 'Coupon updated' : 'Coupon created');
+      setShowModal(false);
+      loadCoupons();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (coupon) => {
+    confirm({
+      title: 'Delete Coupon',
+      message: `Delete coupon ${coupon.code}? Orders that already used it keep their discount.`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        const response = await fetch(`${config.api.baseUrl}/coupons/${theaterId}/${coupon._id}`, {
+          method: 'DELETE',
+          headers: authHeaders
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          toast.error(data.message || 'Failed to delete coupon');
+          return;
+        }
+        toast.success('Coupon deleted');
+        loadCoupons();
+      }
+    });
+  };
+
+  const headerButton = useMemo(() => (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      Create Coupon
+    </button>
+  ), [openCreate]);
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Coupons" currentPage="coupons">
+        <PageContainer title="Coupons & Promo Codes" headerButton={headerButton}>
+
+          {/* Stats Section */}
+          <div className="qr-stats">
+            <div className="stat-card">
+              <div className="stat-number">{activeCount}</div>
+              <div className="stat-label">Active on this Page</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{report.summary?.redemptions || 0}</div>
+              <div className="stat-label">Total Redemptions</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{formatAmount(report.summary?.totalDiscount)}</div>
+              <div className="stat-label">Total Discount Given</div>
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div className="theater-filters">
+            <div className="search-box">
+              <input
+                type="text"
+                placeholder="Search coupons by code or description..."
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="search-input"
+              />
+            </div>
+            <div className="filter-controls">
+              <div className="results-count">
+                Showing {coupons.length} of {pagination.totalItems} coupons
+              </div>
+            </div>
+          </div>
+
+          {/* Coupons Table */}
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Code</th>
+                  <th>Discount</th>
+                  <th>Min Order</th>
+                  <th>Valid</th>
+                  <th>Used</th>
+                  <th>Discount Given</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading coupons...</span>
+                    </td>
+                  </tr>
+                ) : coupons.length > 0 ? (
+                  coupons.map((coupon, index) => (
+                    <tr key={coupon._id} className={`theater-row ${coupon.status !== 'active' ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-info">
+                          <div className="qr-name">{coupon.code}</div>
+                          {coupon.description && <div className="qr-type">{coupon.description}</div>}
+                        </div>
+                      </td>
+                      <td>{describeDiscount(coupon)}</td>
+                      <td>{coupon.minOrderValue ? formatAmount(coupon.minOrderValue) : '—'}</td>
+                      <td>{formatDate(coupon.validFrom)} – {formatDate(coupon.validUntil)}</td>
+                      <td>{coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}</td>
+                      <td>{formatAmount(redemptionsByCoupon[String(coupon._id)]?.totalDiscount)}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${coupon.status === 'active' ? 'active' : 'inactive'}`}>
+                          {STATUS_LABELS[coupon.status] || coupon.status}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(coupon)} title="Edit Coupon" />
+                          <ActionButton type="delete" onClick={() => handleDelete(coupon)} title="Delete Coupon" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="empty-cell">
+                      <i className="fas fa-ticket-alt fa-3x"></i>
+                      <h3>No Coupons Found</h3>
+                      <p>Create a coupon to offer discounts at checkout.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Create First Coupon
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              totalItems={pagination.totalItems}
+              itemsPerPage={itemsPerPage}
+              onPageChange={setCurrentPage}
+              itemType="coupons"
+            />
+          )}
+
+          {/* Create / Edit Modal */}
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingCoupon ? `Edit Coupon ${editingCoupon.code}` : 'Create Coupon'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Coupon Code <span style={{ color: 'red' }}>*</span></label>
+                      <input
+                        type="text"
+                        value={formData.code}
+                        onChange={(e) => handleInputChange('code', e.target.value.toUpperCase())}
+                        className="form-control"
+                        placeholder="e.g. POPCORN20"
+                        maxLength={30}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Discount Type</label>
+                      <select
+                        value={formData.discountType}
+                        onChange={(e) => handleInputChange('discountType', e.target.value)}
+                        className="form-control"
+                      >
+                        <option value="percent">Percentage (%)</option>
+                        <option value="flat">Flat Amount (₹)</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Discount Value <span style={{ color: 'red' }}>*</span></label>
+                      <input
+                        type="number"
+                        min="0"
+                        max={formData.discountType === 'percent' ? 100 : undefined}
+                        value={formData.discountValue}
+                        onChange={(e) => handleInputChange('discountValue', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    {formData.discountType === 'percent' && (
+                      <div className="form-group">
+                        <label>Maximum Discount (₹)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.maxDiscountAmount}
+                          onChange={(e) => handleInputChange('maxDiscountAmount', e.target.value)}
+                          className="form-control"
+                          placeholder="No cap"
+                        />
+                      </div>
+                    )}
+                    <div className="form-group">
+                      <label>Minimum Order Value (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.minOrderValue}
+                        onChange={(e) => handleInputChange('minOrderValue', e.target.value)}
+                        className="form-control"
+                        placeholder="0"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid From</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.validFrom}
+                        onChange={(e) => handleInputChange('validFrom', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid Until</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.validUntil}
+                        onChange={(e) => handleInputChange('validUntil', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Total Uses Allowed</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.usageLimit}
+                        onChange={(e) => handleInputChange('usageLimit', e.target.value)}
+                        className="form-control"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Uses per Customer (phone)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.perPhoneLimit}
+                        onChange={(e) => handleInputChange('perPhoneLimit', e.target.value)}
+                        className="form-control"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Only for Categories</label>
+                      <select
+                        multiple
+                        value={formData.applicableCategories}
+                        onChange={handleMultiSelect('applicableCategories')}
+                        className="form-control"
+                        style={{ minHeight: '100px' }}
+                      >
+                        {categories.map(category => (
+                          <option key={category._id} value={String(category._id)}>
+                            {category.categoryName || category.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Only for Products</label>
+                      <select
+                        multiple
+                        value={formData.applicableProducts}
+                        onChange={handleMultiSelect('applicableProducts')}
+                        className="form-control"
+                        style={{ minHeight: '100px' }}
+                      >
+                        {products.map(product => (
+                          <option key={product._id} value={String(product._id)}>
+                            {product.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Description</label>
+                      <textarea
+                        value={formData.description}
+                        onChange={(e) => handleInputChange('description', e.target.value)}
+                        className="form-control"
+                        placeholder="Shown to customers when the code is applied (optional)"
+                        rows="2"
+                        maxLength={200}
+                      />
+                      <small style={{ color: '#6b7280' }}>
+                        Leave categories and products empty to apply the coupon to the whole order.
+                      </small>
+                    </div>
+                    {formError && (
+                      <div className="form-group full-width" style={{ color: '#dc2626' }}>{formError}</div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+                    {saving ? 'Saving...' : editingCoupon ? 'Save Changes' : 'Create Coupon'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterCoupons;
@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { useToast } from '../../contexts/ToastContext';
+import { useOrderEvents, ORDER_EVENTS } from '../../hooks/useOrderEvents';
+import config from '../../config';
+import { formatTime } from '../../utils/showtimeUtils';
+import '../../styles/pages/theater/TheaterDispatchBoard.css';
+
+// How often the board is refreshed while the live event stream is down
+const REFRESH_INTERVAL = 15000;
+
+// Minutes an order may wait for a runner before it is highlighted
+const WAITING_MINUTES = 5;
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${getToken()}`,
+  'Content-Type': 'application/json'
+});
+
+const todayInput = () => {
+  const date = new Date();
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const describeItems = (items) => items.map(item => `${item.quantity}× ${item.name}`).join(', ');
+
+// Dispatch Board - ready screen QR orders by screen and seat row, handed to runners
+const TheaterDispatchBoard = () => {
+  const { theaterId } = useParams();
+  const toast = useToast();
+  const { error: toastError } = toast;
+
+  const [view, setView] = useState('board');
+  const [board, setBoard] = useState({ screens: [], runners: [], unassignedCount: 0, autoAssign: false, preOrderLeadMinutes: 15 });
+  const [leadMinutes, setLeadMinutes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState({});
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [reportDate, setReportDate] = useState(todayInput());
+  const [report, setReport] = useState(null);
+
+  const fetchBoard = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/delivery/${theaterId}/board`, {
+        headers: { ...authHeaders(), 'Cache-Control': 'no-cache' }
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setBoard(data.data);
+      if (data.data?.serverTime) {
+        setClockOffset(new Date(data.data.serverTime).getTime() - Date.now());
+      }
+    } catch (error) {
+      console.error('Dispatch board fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId]);
+
+  const fetchReport = useCallback(async () => {
+    if (!theaterId) return;
+
+    const params = new URLSearchParams({
+      startDate: new Date(`${reportDate}T00:00:00`).toISOString(),
+      endDate: new Date(`${reportDate}T23:59:59.999`).toISOString()
+    });
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/delivery/${theaterId}/report?${params.toString()}`, {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load delivery times');
+      }
+
+      setReport(data.data);
+    } catch (error) {
+      toastError(error.message || 'Failed to load delivery times');
+    }
+  }, [theaterId, reportDate, toastError]);
+
+  const { connected } = useOrderEvents(theaterId, fetchBoard, {
+    events: [ORDER_EVENTS.ORDER_STATUS_CHANGED, ORDER_EVENTS.ORDER_ASSIGNED]
+  });
+
+  useEffect(() => {
+    fetchBoard();
+    if (connected) return undefined;
+    const refreshTimer = setInterval(fetchBoard, REFRESH_INTERVAL);
+    return () => clearInterval(refreshTimer);
+  }, [fetchBoard, connected]);
+
+  useEffect(() => {
+    if (view === 'report') fetchReport();
+  }, [view, fetchReport]);
+
+  // Tick every 30 seconds for the waiting times
+  useEffect(() => {
+    const clockTimer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(clockTimer);
+  }, []);
+
+  const sendRequest = async (key, path, method, body, successMessage) => {
+    setBusy(prev => ({ ...prev, [key]: true }));
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/delivery/${theaterId}${path}`, {
+        method,
+        headers: authHeaders(),
+        ...(body && { body: JSON.stringify(body) })
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+
+      toast.success(successMessage || data.message);
+      return data.data;
+    } catch (error) {
+      toast.error(error.message || 'Request failed');
+      return null;
+    } finally {
+      setBusy(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+      fetchBoard();
+    }
+  };
+
+  const assignOrder = (order, runnerId) => (runnerId
+    ? sendRequest(order._id, `/orders/${order._id}/runner`, 'PUT', { runnerId })
+    : sendRequest(order._id, `/orders/${order._id}/runner`, 'DELETE'));
+
+  const toggleAutoAssign = (enabled) =>
+    sendRequest('settings', '/settings', 'PUT', { autoAssign: enabled }, enabled ? 'Auto-assign on' : 'Auto-assign off');
+
+  // Scheduled seat orders reach the kitchen this many minutes before their slot
+  const saveLeadMinutes = async () => {
+    const minutes = parseInt(leadMinutes, 10);
+    if (leadMinutes === '' || minutes === board.preOrderLeadMinutes) return;
+    if (Number.isNaN(minutes) || minutes < 0 || minutes > 180) {
+      toastError('Pre-order lead time must be 0-180 minutes');
+      setLeadMinutes('');
+      return;
+    }
+    await sendRequest('settings', '/settings', 'PUT', { preOrderLeadMinutes: minutes }, 'Pre-order lead time saved');
+    setLeadMinutes('');
+  };
+
+  const onDutyRunners = board.runners.filter(runner => runner.onDuty);
+
+  const headerButton = (
+    <button className="add-theater-btn" onClick={fetchBoard} disabled={loading}>
+      <span className="btn-icon">⟳</span>
+      Refresh
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout currentPage="dispatch-board" pageTitle="Seat Delivery">
+        <PageContainer title="Seat Delivery" headerButton={headerButton}>
+          <div className="dispatch-page">
+            <div className="dispatch-toolbar">
+              <div className="dispatch-tabs">
+                <button className={`dispatch-tab ${view === 'board' ? 'active' : ''}`} onClick={() => setView('board')}>
+                  Dispatch <span className="dispatch-count">{board.unassignedCount}</span>
+                </button>
+                <button className={`dispatch-tab ${view === 'report' ? 'active' : ''}`} onClick={() => setView('report')}>
+                  Delivery Times
+                </button>
+              </div>
+              {view === 'board' && (
+                <div className="dispatch-actions">
+                  <label className="dispatch-auto-toggle">
+                    <input
+                      type="checkbox"
+                      checked={board.autoAssign}
+                      disabled={!!busy.settings}
+                      onChange={(e) => toggleAutoAssign(e.target.checked)}
+                    />
+                    Auto-assign ready orders
+                  </label>
+                  <label className="dispatch-auto-toggle">
+                    Pre-orders to kitchen
+                    <input
+                      type="number"
+                      className="form-control dispatch-lead-input"
+                      min="0"
+                      max="180"
+                      value={leadMinutes === '' ? board.preOrderLeadMinutes : leadMinutes}
+                      disabled={!!busy.settings}
+                      onChange={(e) => setLeadMinutes(e.target.value)}
+                      onBlur={saveLeadMinutes}
+                    />
+                    min before slot
+                  </label>
+                  <button
+                    className="dispatch-btn"
+                    disabled={!!busy.auto || board.unassignedCount === 0 || onDutyRunners.length === 0}
+                    onClick={() => sendRequest('auto', '/auto-assign', 'POST')}
+                  >
+                    Assign All Now
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {view === 'board' ? (
+              <>
+                <div className="dispatch-runners">
+                  {board.runners.length === 0 ? (
+                    <span className="dispatch-muted">No runners on duty. Runners go on duty from the Runner view.</span>
+                  ) : board.runners.map(runner => (
+                    <div key={runner._id} className={`dispatch-runner ${runner.onDuty ? '' : 'off-duty'}`}>
+                      <span className="dispatch-runner-name">{runner.name}</span>
+                      <span className="dispatch-runner-load">
+                        {runner.activeDeliveries} in hand{runner.onDuty ? '' : ' · off duty'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+
+                {loading ? (
+                  <div className="dispatch-empty">Loading orders...</div>
+                ) : board.screens.length === 0 ? (
+                  <div className="dispatch-empty">
+                    <h3>No seat orders waiting</h3>
+                    <p>Screen orders show up here once the kitchen marks them ready.</p>
+                  </div>
+                ) : board.screens.map(screen => (
+                  <section key={screen.screen} className="dispatch-screen">
+                    <h3 className="dispatch-screen-title">
+                      {screen.screen} <span className="dispatch-count">{screen.orderCount}</span>
+                    </h3>
+                    {screen.rows.map(row => (
+                      <div key={row.row} className="dispatch-row">
+                        <div className="dispatch-row-label">{row.row ? `Row ${row.row}` : 'Seat'}</div>
+                        <div className="dispatch-row-orders">
+                          {row.orders.map(order => {
+                            const waitingMinutes = Math.floor((now + clockOffset - new Date(order.readyAt).getTime()) / 60000);
+                            const isWaiting = !order.assignedTo && waitingMinutes >= WAITING_MINUTES;
+
+                            return (
+                              <div
+                                key={order._id}
+                                className={`dispatch-order ${order.assignedTo ? 'assigned' : ''} ${isWaiting ? 'waiting' : ''}`}
+                              >
+                                <div className="dispatch-order-header">
+                                  <span className="dispatch-seat">{order.seat}</span>
+                                  <span className="dispatch-order-number">#{order.orderNumber}</span>
+                                  <span className="dispatch-muted">{Math.max(0, waitingMinutes)} min</span>
+                                </div>
+                                {order.targetTime && (
+                                  <div className="dispatch-order-slot">Deliver at {formatTime(order.targetTime)}</div>
+                                )}
+                                <div className="dispatch-order-items">{describeItems(order.items)}</div>
+                                {order.specialInstructions && (
+                                  <div className="dispatch-order-note">Note: {order.specialInstructions}</div>
+                                )}
+                                <select
+                                  className="dispatch-runner-select"
+                                  value={order.assignedTo || ''}
+                                  disabled={!!busy[order._id]}
+                                  onChange={(e) => assignOrder(order, e.target.value)}
+                                >
+                                  <option value="">{order.assignedTo ? 'Unassign' : 'Assign runner...'}</option>
+                                  {order.assignedTo && !onDutyRunners.some(r => r._id === order.assignedTo) && (
+                                    <option value={order.assignedTo} disabled>{order.runnerName}</option>
+                                  )}
+                                  {onDutyRunners.map(runner => (
+                                    <option key={runner._id} value={runner._id}>
+                                      {runner.name} ({runner.activeDeliveries})
+                                    </option>
+                                  ))}
+                                </select>
+                                {order.autoAssigned && <div className="dispatch-muted">Auto-assigned</div>}
+                              </div>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    ))}
+                  </section>
+                ))}
+              </>
+            ) : (
+              <div className="dispatch-report">
+                <div className="dispatch-actions">
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={reportDate}
+                    max={todayInput()}
+                    onChange={(e) => setReportDate(e.target.value)}
+                  />
+                  {report && (
+                    <span className="dispatch-muted">
+                      {report.summary.deliveries} deliveries · {report.summary.avgDeliveryMinutes} min average
+                    </span>
+                  )}
+                  {report?.onTime?.scheduled > 0 && (
+                    <span className="dispatch-muted">
+                      Pre-orders: {report.onTime.onTime}/{report.onTime.scheduled} on time ({report.onTime.onTimeRate}%)
+                      {report.onTime.late > 0 && ` · late by ${report.onTime.avgLateMinutes} min on average`}
+                    </span>
+                  )}
+                </div>
+                <table className="dispatch-report-table">
+                  <thead>
+                    <tr>
+                      <th>Runner</th>
+                      <th>Deliveries</th>
+                      <th>Avg. Assigned → Served</th>
+                      <th>Avg. Ready → Served</th>
+                      <th>Slowest</th>
+                      <th>Pre-orders On Time</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {!report || report.runners.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" className="dispatch-muted">No deliveries on this day</td>
+                      </tr>
+                    ) : report.runners.map(row => (
+                      <tr key={row.runnerId}>
+                        <td>{row.runnerName}</td>
+                        <td>{row.deliveries}</td>
+                        <td>{row.avgDeliveryMinutes} min</td>
+                        <td>{row.avgReadyToServedMinutes} min</td>
+                        <td>{row.slowestDeliveryMinutes} min</td>
+                        <td>{row.scheduledDeliveries > 0 ? `${row.onTimeRate}% of ${row.scheduledDeliveries}` : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterDispatchBoard;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { useToast } from '../../contexts/ToastContext';
+import { FEEDBACK_TAG_LABELS, LOW_SCORE_THRESHOLD, formatStars } from '../../utils/feedbackUtils';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/pages/theater/TheaterFeedback.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const EMPTY_SUMMARY = {
+  count: 0,
+  averageServiceRating: 0,
+  lowScoreCount: 0,
+  ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+  tags: [],
+  products: []
+};
+
+/**
+ * Theater Feedback
+ * Customer ratings for served orders: average service score and its spread, the issues customers
+ * report, the lowest-rated products, and every piece of feedback with low scores flagged.
+ * Low scores are also emailed to the theater's notification addresses.
+ */
+const TheaterFeedback = () => {
+  const { theaterId } = useParams();
+  const toast = useToast();
+
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [feedback, setFeedback] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [lowScoreOnly, setLowScoreOnly] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(20);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path) => {
+    const response = await fetch(`${config.api.baseUrl}/feedback/${theaterId}${path}`, { headers: authHeaders });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  const dateParams = useMemo(() => {
+    const params = new URLSearchParams();
+    if (startDate) params.set('startDate', new Date(`${startDate}T00:00:00`).toISOString());
+    if (endDate) params.set('endDate', new Date(`${endDate}T23:59:59.999`).toISOString());
+    return params;
+  }, [startDate, endDate]);
+
+  useEffect(() => {
+    if (!theaterId) return;
+    request(`/summary?${dateParams.toString()}`)
+      .then(({ data }) => setSummary(data || EMPTY_SUMMARY))
+      .catch(error => toast.error(error.message || 'Failed to load feedback summary'));
+  }, [theaterId, dateParams, request, toast]);
+
+  const loadFeedback = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams(dateParams);
+      params.set('page', currentPage);
+      params.set('limit', itemsPerPage);
+      if (tagFilter) params.set('tag', tagFilter);
+      if (lowScoreOnly) params.set('lowScore', 'true');
+
+      const data = await request(`?${params.toString()}`);
+      setFeedback(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load feedback');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, dateParams, currentPage, itemsPerPage, tagFilter, lowScoreOnly, request, toast]);
+
+  useEffect(() => {
+    loadFeedback();
+  }, [loadFeedback]);
+
+  const maxDistribution = Math.max(1, ...Object.values(summary.ratingDistribution));
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Customer Feedback" currentPage="feedback">
+        <PageContainer title="Customer Feedback">
+          <div className="qr-stats">
+            <div className="stat-card">
+              <div className="stat-number">{summary.count ? summary.averageServiceRating.toFixed(1) : '—'}</div>
+              <div className="stat-label">Average Service Rating</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{summary.count}</div>
+              <div className="stat-label">Ratings</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{summary.lowScoreCount}</div>
+              <div className="stat-label">Low Scores (≤ {LOW_SCORE_THRESHOLD}★)</div>
+            </div>
+          </div>
+
+          <div className="feedback-panels">
+            <div className="feedback-panel">
+              <h3>Service Ratings</h3>
+              {[5, 4, 3, 2, 1].map(star => (
+                <div key={star} className="feedback-bar-row">
+                  <span className="feedback-bar-label">{star}★</span>
+                  <div className="feedback-bar">
+                    <div
+                      className={`feedback-bar-fill ${star <= LOW_SCORE_THRESHOLD ? 'low' : ''}`}
+                      style={{ width: `${(summary.ratingDistribution[star] / maxDistribution) * 100}%` }}
+                    />
+                  </div>
+                  <span className="feedback-bar-count">{summary.ratingDistribution[star]}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="feedback-panel">
+              <h3>Reported Issues</h3>
+              {summary.tags.length > 0 ? summary.tags.map(({ tag, count }) => (
+                <div key={tag} className="feedback-bar-row">
+                  <span className="feedback-issue-label">{FEEDBACK_TAG_LABELS[tag] || tag}</span>
+                  <span className="feedback-bar-count">{count}</span>
+                </div>
+              )) : <p className="feedback-muted">No issues reported.</p>}
+            </div>
+
+            <div className="feedback-panel">
+              <h3>Lowest-Rated Products</h3>
+              {summary.products.length > 0 ? summary.products.slice(0, 8).map(product => (
+                <div key={product.productId} className="feedback-bar-row">
+                  <span className="feedback-issue-label">{product.productName}</span>
+                  <span className={`feedback-product-score ${product.average <= LOW_SCORE_THRESHOLD ? 'low' : ''}`}>
+                    ★ {product.average.toFixed(1)}
+                  </span>
+                  <span className="feedback-bar-count">{product.count}</span>
+                </div>
+              )) : <p className="feedback-muted">No products rated yet.</p>}
+            </div>
+          </div>
+
+          <div className="theater-filters">
+            <div className="filter-controls">
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => {
+                  setStartDate(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              />
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => {
+                  setEndDate(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              />
+              <select
+                value={tagFilter}
+                onChange={(e) => {
+                  setTagFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              >
+                <option value="">All Issues</option>
+                {Object.entries(FEEDBACK_TAG_LABELS).map(([tag, label]) => (
+                  <option key={tag} value={tag}>{label}</option>
+                ))}
+              </select>
+              <label className="feedback-low-toggle">
+                <input
+                  type="checkbox"
+                  checked={lowScoreOnly}
+                  onChange={(e) => {
+                    setLowScoreOnly(e.target.checked);
+                    setCurrentPage(1);
+                  }}
+                />
+                {' '}Low scores only
+              </label>
+              <div className="results-count">
+                Showing {feedback.length} of {pagination.totalItems} ratings
+              </div>
+            </div>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th>Date</th>
+                  <th>Order</th>
+                  <th>Service</th>
+                  <th className="name-cell">Items</th>
+                  <th>Issues</th>
+                  <th>Comment</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading feedback...</span>
+                    </td>
+                  </tr>
+                ) : feedback.length > 0 ? (
+                  feedback.map((entry, index) => (
+                    <tr key={entry._id} className={`theater-row ${entry.lowScore ? 'feedback-low-row' : ''}`}>
+                      <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                      <td>{new Date(entry.createdAt).toLocaleString('en-IN')}</td>
+                      <td>
+                        <div>{entry.orderNumber}</div>
+                        <div className="feedback-muted">{entry.phoneNumber}</div>
+                      </td>
+                      <td className="feedback-stars-cell">{formatStars(entry.serviceRating)}</td>
+                      <td className="name-cell">
+                        {entry.items.map(item => (
+                          <div key={item.productId}>
+                            {item.productName} <span className="feedback-stars-cell">{formatStars(item.rating)}</span>
+                          </div>
+                        ))}
+                      </td>
+                      <td>{(entry.tags || []).map(tag => FEEDBACK_TAG_LABELS[tag] || tag).join(', ') || '—'}</td>
+                      <td className="feedback-comment-cell">{entry.comment || '—'}</td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="empty-cell">
+                      <i className="fas fa-star fa-3x"></i>
+                      <h3>No Feedback</h3>
+                      <p>Customers can rate their orders once they have been served.</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              totalItems={pagination.totalItems}
+              itemsPerPage={itemsPerPage}
+              onPageChange={setCurrentPage}
+              itemType="ratings"
+            />
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterFeedback;
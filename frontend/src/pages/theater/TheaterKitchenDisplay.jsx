@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { useModal } from '../../contexts/ModalContext';
+import { useOrderEvents, ORDER_EVENTS } from '../../hooks/useOrderEvents';
+import config from '../../config';
+import '../../styles/pages/theater/TheaterKitchenDisplay.css';
+import { describeModifiers } from '../../utils/modifierUtils';
+import { describeDeliverySlot } from '../../utils/deliverySlotUtils';
+
+// How often the ticket list is refreshed while the live event stream is down
+const REFRESH_INTERVAL = 10000;
+
+// Elapsed minutes after which a ticket is highlighted
+const WARNING_MINUTES = 8;
+const LATE_MINUTES = 15;
+
+const STATUS_LABELS = {
+  pending: 'New',
+  confirmed: 'Confirmed',
+  preparing: 'Preparing'
+};
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Kitchen Display System - live tickets for pending, confirmed and preparing orders
+const TheaterKitchenDisplay = () => {
+  const { theaterId } = useParams();
+  const { showError } = useModal();
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [bumping, setBumping] = useState({});
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [filter, setFilter] = useState('all');
+
+  // Fetch active kitchen tickets
+  const fetchOrders = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/orders/theater/${theaterId}/kitchen`, {
+        headers: {
+          'Authorization': `Bearer ${getToken()}`,
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setOrders(data.data?.orders || []);
+      if (data.data?.serverTime) {
+        // Keep timers in step with the server clock
+        setClockOffset(new Date(data.data.serverTime).getTime() - Date.now());
+      }
+      setLastUpdated(new Date());
+    } catch (error) {
+      console.error('Kitchen orders fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId]);
+
+  // Live order events; payment events don't change kitchen tickets.
+  // Scheduled seat orders arrive as released events once their lead time starts.
+  const { connected } = useOrderEvents(theaterId, fetchOrders, {
+    events: [ORDER_EVENTS.ORDER_CREATED, ORDER_EVENTS.ORDER_STATUS_CHANGED, ORDER_EVENTS.ORDER_RELEASED]
+  });
+
+  useEffect(() => {
+    fetchOrders();
+    if (connected) return undefined;
+    const refreshTimer = setInterval(fetchOrders, REFRESH_INTERVAL);
+    return () => clearInterval(refreshTimer);
+  }, [fetchOrders, connected]);
+
+  // Tick every second for the elapsed-time timers
+  useEffect(() => {
+    const clockTimer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(clockTimer);
+  }, []);
+
+  // Bump a ticket to preparing or ready
+  const bumpOrder = async (order, status) => {
+    setBumping(prev => ({ ...prev, [order._id]: true }));
+
+    try {
+      const response = await fetch(
+        `${config.api.baseUrl}/orders/theater/${theaterId}/${order._id}/kitchen-status`,
+        {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${getToken()}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ status })
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to update order');
+      }
+
+      setOrders(prevOrders =>
+        status === 'ready'
+          ? prevOrders.filter(o => o._id !== order._id)
+          : prevOrders.map(o =>
+              o._id === order._id ? { ...o, status, timestamps: data.data?.timestamps || o.timestamps } : o
+            )
+      );
+    } catch (error) {
+      console.error('Kitchen bump error:', error);
+      showError(error.message || 'Failed to update order status');
+      fetchOrders();
+    } finally {
+      setBumping(prev => {
+        const next = { ...prev };
+        delete next[order._id];
+        return next;
+      });
+    }
+  };
+
+  const counts = useMemo(() => ({
+    all: orders.length,
+    pending: orders.filter(o => o.status === 'pending' || o.status === 'confirmed').length,
+    preparing: orders.filter(o => o.status === 'preparing').length
+  }), [orders]);
+
+  const visibleOrders = useMemo(() => {
+    if (filter === 'pending') return orders.filter(o => o.status === 'pending' || o.status === 'confirmed');
+    if (filter === 'preparing') return orders.filter(o => o.status === 'preparing');
+    return orders;
+  }, [orders, filter]);
+
+  const getTicketClass = (elapsedMinutes) => {
+    if (elapsedMinutes >= LATE_MINUTES) return 'kds-ticket-late';
+    if (elapsedMinutes >= WARNING_MINUTES) return 'kds-ticket-warning';
+    return '';
+  };
+
+  const headerButton = (
+    <button className="add-theater-btn" onClick={fetchOrders} disabled={loading}>
+      <span className="btn-icon">⟳</span>
+      Refresh
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout currentPage="kitchen-display" pageTitle="Kitchen Display">
+        <PageContainer title="Kitchen Display" headerButton={headerButton}>
+          <div className="kds-page">
+            <div className="kds-toolbar">
+              <div className="kds-filters">
+                {[
+                  { id: 'all', label: 'All' },
+                  { id: 'pending', label: 'New' },
+                  { id: 'preparing', label: 'Preparing' }
+                ].map(tab => (
+                  <button
+                    key={tab.id}
+                    className={`kds-filter-btn ${filter === tab.id ? 'active' : ''}`}
+                    onClick={() => setFilter(tab.id)}
+                  >
+                    {tab.label} <span className="kds-filter-count">{counts[tab.id]}</span>
+                  </button>
+                ))}
+              </div>
+              {lastUpdated && (
+                <div className="kds-last-updated">
+                  Updated {lastUpdated.toLocaleTimeString('en-IN')}
+                </div>
+              )}
+            </div>
+
+            {loading ? (
+              <div className="kds-empty">Loading tickets...</div>
+            ) : visibleOrders.length === 0 ? (
+              <div className="kds-empty">
+                <h3>No active orders</h3>
+                <p>New orders will appear here automatically.</p>
+              </div>
+            ) : (
+              <div className="kds-grid">
+                {visibleOrders.map(order => {
+                  const startedAt = new Date(order.queuedAt || order.timestamps?.placedAt || order.createdAt).getTime();
+                  const elapsedMs = now + clockOffset - startedAt;
+                  const elapsedMinutes = Math.floor(elapsedMs / 60000);
+                  const isBumping = !!bumping[order._id];
+
+                  return (
+                    <div
+                      key={order._id}
+                      className={`kds-ticket kds-status-${order.status} ${getTicketClass(elapsedMinutes)}`}
+                    >
+                      <div className="kds-ticket-header">
+                        <div>
+                          <div className="kds-order-number">#{order.orderNumber}</div>
+                          <div className="kds-ticket-meta">
+                            {[order.source, order.screen, order.seat && `Seat ${order.seat}`, order.tableNumber && `Table ${order.tableNumber}`]
+                              .filter(Boolean)
+                              .join(' • ')}
+                          </div>
+                          {order.deliverySlot && (
+                            <div className="kds-slot-badge">{describeDeliverySlot(order.deliverySlot)}</div>
+                          )}
+                        </div>
+                        <div className="kds-ticket-timer">
+                          <div className="kds-elapsed">{formatElapsed(elapsedMs)}</div>
+                          <span className="kds-status-badge">{STATUS_LABELS[order.status] || order.status}</span>
+                        </div>
+                      </div>
+
+                      <ul className="kds-items">
+                        {order.items.map((item, index) => (
+                          <li key={`${order._id}-${index}`} className="kds-item">
+                            <div className="kds-item-line">
+                              <span className="kds-item-qty">{item.quantity}×</span>
+                              <span className="kds-item-name">
+                                {item.name}
+                                {item.variant && <span className="kds-item-variant"> ({item.variant})</span>}
+                              </span>
+                            </div>
+                            {item.variants?.length > 0 && (
+                              <div className="kds-item-variant">+ {describeModifiers(item.variants)}</div>
+                            )}
+                            {item.comboItems?.length > 0 && (
+                              <div className="kds-item-variant">
+                                {item.comboItems.map(component => `${component.quantity}× ${component.productName}`).join(', ')}
+                              </div>
+                            )}
+                            {item.specialInstructions && (
+                              <div className="kds-instructions">⚠ {item.specialInstructions}</div>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+
+                      {order.specialInstructions && (
+                        <div className="kds-order-note">Note: {order.specialInstructions}</div>
+                      )}
+
+                      <div className="kds-ticket-actions">
+                        {order.status !== 'preparing' && (
+                          <button
+                            className="kds-bump-btn kds-bump-preparing"
+                            disabled={isBumping}
+                            onClick={() => bumpOrder(order, 'preparing')}
+                          >
+                            Start Preparing
+                          </button>
+                        )}
+                        <button
+                          className="kds-bump-btn kds-bump-ready"
+                          disabled={isBumping}
+                          onClick={() => bumpOrder(order, 'ready')}
+                        >
+                          Ready
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterKitchenDisplay;
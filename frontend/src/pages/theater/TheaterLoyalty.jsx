@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { useToast } from '../../contexts/ToastContext';
+import { LEDGER_LABELS, formatTier } from '../../utils/loyaltyUtils';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/TheaterGlobalModals.css';
+import '../../styles/pages/theater/TheaterLoyalty.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const toProgramForm = (data) => ({
+  name: data.program?.name || 'Loyalty Points',
+  isActive: data.program ? data.program.isActive !== false : false,
+  earnPointsPerRupee: data.rules.earnPointsPerRupee,
+  pointValue: data.rules.pointValue,
+  minRedeemPoints: data.rules.minRedeemPoints,
+  maxRedeemPercent: data.rules.maxRedeemPercent,
+  expiryMonths: data.rules.expiryMonths,
+  tiers: data.rules.tiers.map(tier => ({ ...tier }))
+});
+
+const toProgramPayload = (form) => ({
+  name: form.name.trim(),
+  isActive: Boolean(form.isActive),
+  rules: {
+    earnPointsPerRupee: parseFloat(form.earnPointsPerRupee) || 0,
+    pointValue: parseFloat(form.pointValue) || 0,
+    minRedeemPoints: parseInt(form.minRedeemPoints) || 0,
+    maxRedeemPercent: parseFloat(form.maxRedeemPercent) || 0,
+    expiryMonths: parseInt(form.expiryMonths) || 0,
+    tiers: form.tiers.map(tier => ({
+      name: tier.name.trim().toLowerCase(),
+      minPoints: parseInt(tier.minPoints) || 0,
+      multiplier: parseFloat(tier.multiplier) || 1
+    }))
+  }
+});
+
+/**
+ * Theater Loyalty
+ * Earn and redeem rules of the theater's loyalty program, its tiers, and a lookup of a member's
+ * balance and points history by phone number. Chain programs are shared by several theaters
+ * and can only be changed by a super admin.
+ */
+const TheaterLoyalty = () => {
+  const { theaterId } = useParams();
+  const toast = useToast();
+
+  const [programData, setProgramData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const [phone, setPhone] = useState('');
+  const [member, setMember] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [lookingUp, setLookingUp] = useState(false);
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${config.api.baseUrl}/loyalty/${theaterId}${path}`, { headers: authHeaders, ...options });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  useEffect(() => {
+    if (!theaterId) return;
+    setLoading(true);
+    request('/program')
+      .then(({ data }) => {
+        setProgramData(data);
+        setForm(toProgramForm(data));
+      })
+      .catch(error => toast.error(error.message || 'Failed to load loyalty program'))
+      .finally(() => setLoading(false));
+  }, [theaterId, request, toast]);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const updateTier = (index, field, value) => setForm(prev => ({
+    ...prev,
+    tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+  }));
+
+  const addTier = () => setForm(prev => ({
+    ...prev,
+    tiers: [...prev.tiers, { name: '', minPoints: '', multiplier: 1 }]
+  }));
+
+  const removeTier = (index) => setForm(prev => ({
+    ...prev,
+    tiers: prev.tiers.filter((_, i) => i !== index)
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError('');
+    try {
+      if (!form.name.trim()) throw new Error('Program name is required');
+      if (form.tiers.some(tier => !tier.name.trim())) throw new Error('Every tier needs a name');
+
+      const { data } = await request('/program', {
+        method: 'PUT',
+        body: JSON.stringify(toProgramPayload(form))
+      });
+      setProgramData(data);
+      setForm(toProgramForm(data));
+      toast.success('Loyalty program saved');
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    if (!phone.trim()) return;
+
+    setLookingUp(true);
+    try {
+      const number = encodeURIComponent(phone.trim());
+      const [accountResult, ledgerResult] = await Promise.all([
+        request(`/accounts/${number}`),
+        request(`/accounts/${number}/ledger?limit=50`)
+      ]);
+      setMember(accountResult.data);
+      setLedger(ledgerResult.data || []);
+    } catch (error) {
+      setMember(null);
+      setLedger([]);
+      toast.error(error.message || 'Member not found');
+    } finally {
+      setLookingUp(false);
+    }
+  };
+
+  const isChain = programData?.isChain;
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Loyalty Points" currentPage="loyalty">
+        <PageContainer title="Loyalty Points">
+          {loading || !form ? (
+            <div className="loading-cell">
+              <div className="loading-spinner"></div>
+              <span>Loading loyalty program...</span>
+            </div>
+          ) : (
+            <div className="loyalty-admin">
+              <div className="loyalty-admin-card">
+                <h3>Program</h3>
+                {isChain && (
+                  <div className="loyalty-admin-note">
+                    "{programData.program.name}" is shared by {programData.program.theaters.length} theaters.
+                    Members earn and spend one balance at all of them. Only a super admin can change its rules.
+                  </div>
+                )}
+                {!programData.program && (
+                  <div className="loyalty-admin-note">
+                    This theater has no loyalty program yet. Save the rules below to start one.
+                  </div>
+                )}
+
+                <div className="edit-form">
+                  <div className="loyalty-form-row">
+                    <div className="form-group">
+                      <label>Program name</label>
+                      <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) => updateField('name', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(form.isActive)}
+                          onChange={(e) => updateField('isActive', e.target.checked)}
+                        />
+                        {' '}Customers earn and redeem points
+                      </label>
+                    </div>
+                  </div>
+
+                  <div className="loyalty-form-row">
+                    <div className="form-group">
+                      <label>Points earned per ₹1 paid</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={form.earnPointsPerRupee}
+                        onChange={(e) => updateField('earnPointsPerRupee', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Value of 1 point (₹)</label>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={form.pointValue}
+                        onChange={(e) => updateField('pointValue', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="loyalty-form-row">
+                    <div className="form-group">
+                      <label>Minimum points per redemption</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.minRedeemPoints}
+                        onChange={(e) => updateField('minRedeemPoints', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Points can pay up to (% of order)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={form.maxRedeemPercent}
+                        onChange={(e) => updateField('maxRedeemPercent', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Points expire after (months, 0 = never)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={form.expiryMonths}
+                        onChange={(e) => updateField('expiryMonths', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Tiers (by points earned in the last 12 months)</label>
+                    {form.tiers.map((tier, index) => (
+                      <div key={index} className="loyalty-tier-row">
+                        <input
+                          type="text"
+                          placeholder="Name"
+                          value={tier.name}
+                          onChange={(e) => updateTier(index, 'name', e.target.value)}
+                          className="form-control"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          placeholder="From points"
+                          value={tier.minPoints}
+                          onChange={(e) => updateTier(index, 'minPoints', e.target.value)}
+                          className="form-control"
+                          disabled={index === 0}
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          step="0.05"
+                          placeholder="Multiplier"
+                          value={tier.multiplier}
+                          onChange={(e) => updateTier(index, 'multiplier', e.target.value)}
+                          className="form-control"
+                        />
+                        {index > 0 && (
+                          <button type="button" className="loyalty-link-btn danger" onClick={() => removeTier(index)}>
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button type="button" className="loyalty-link-btn" onClick={addTier}>+ Add tier</button>
+                  </div>
+
+                  {formError && <div className="error-message">{formError}</div>}
+                  <div className="modal-actions">
+                    <button className="btn-primary" onClick={handleSave} disabled={saving}>
+                      {saving ? 'Saving...' : 'Save Program'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="loyalty-admin-card">
+                <h3>Member Lookup</h3>
+                <form className="loyalty-lookup-form" onSubmit={handleLookup}>
+                  <input
+                    type="tel"
+                    placeholder="Phone number"
+                    value={phone}
+                    onChange={(e) => setPhone(e.target.value)}
+                    className="form-control"
+                  />
+                  <button type="submit" className="btn-primary" disabled={lookingUp || !phone.trim()}>
+                    {lookingUp ? 'Finding...' : 'Find'}
+                  </button>
+                </form>
+
+                {member && (
+                  <>
+                    <div className="loyalty-member-summary">
+                      <div><strong>{member.phoneNumber}</strong></div>
+                      <div>{member.balance} points (₹{member.balanceValue.toFixed(2)})</div>
+                      <div>{formatTier(member.tier)} · {member.qualifyingPoints} points in 12 months</div>
+                      {member.expiringSoon?.points > 0 && (
+                        <div className="loyalty-admin-muted">
+                          {member.expiringSoon.points} points expire from {new Date(member.expiringSoon.nextExpiry).toLocaleDateString('en-IN')}
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="theater-table-container">
+                      <table className="theater-table">
+                        <thead>
+                          <tr>
+                            <th>Date</th>
+                            <th>Entry</th>
+                            <th>Order</th>
+                            <th>Points</th>
+                            <th>Details</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {ledger.length > 0 ? ledger.map(entry => (
+                            <tr key={entry._id} className="theater-row">
+                              <td>{new Date(entry.createdAt).toLocaleString('en-IN')}</td>
+                              <td>{LEDGER_LABELS[entry.type] || entry.type}</td>
+                              <td>{entry.orderNumber || '—'}</td>
+                              <td className={entry.points >= 0 ? 'loyalty-points-positive' : 'loyalty-points-negative'}>
+                                {entry.points >= 0 ? '+' : ''}{entry.points}
+                              </td>
+                              <td className="loyalty-admin-muted">{entry.description || ''}</td>
+                            </tr>
+                          )) : (
+                            <tr>
+                              <td colSpan="5" className="empty-cell">
+                                <p>No points yet.</p>
+                              </td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterLoyalty;
@@ -6,9 +6,11 @@ import PageContainer from '../../components/PageContainer';
 import ErrorBoundary from '../../components/ErrorBoundary';
 import { useModal } from '../../contexts/ModalContext';
 import { usePerformanceMonitoring } from '../../hooks/usePerformanceMonitoring';
+import { useOrderEvents } from '../../hooks/useOrderEvents'; // 📡 Live order events
 import { getCachedData, setCachedData } from '../../utils/cacheUtils';
 import DateFilter from '../../components/DateFilter';
 import Pagination from '../../components/Pagination';
+import RefundModal from '../../components/RefundModal';
 import config from '../../config';
 import apiService from '../../services/apiService';
 import '../../styles/TheaterGlobalModals.css'; // Global theater modal styles
@@ -18,13 +20,16 @@ import '../../styles/AddTheater.css';
 import '../../styles/skeleton.css'; // 🚀 Skeleton loading styles
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import { describeModifiers, getLineModifiers } from '../../utils/modifierUtils';
+import { downloadInvoicePdf, openInvoiceHtml } from '../../utils/invoiceDownload';
+import { printOrder } from '../../utils/receiptPrinting';
 
 
 
 const TheaterOrderHistory = React.memo(() => {
   const { theaterId } = useParams();
   const { user, theaterId: userTheaterId, userType } = useAuth();
-  const { showError } = useModal();
+  const { showError, showSuccess } = useModal();
 
   // PERFORMANCE MONITORING: Track page performance metrics
   usePerformanceMonitoring('TheaterOrderHistory');
@@ -88,6 +93,7 @@ const TheaterOrderHistory = React.memo(() => {
   // Modal states  
   const [showViewModal, setShowViewModal] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [refundOrder, setRefundOrder] = useState(null);
 
   // Refs for cleanup and performance
   const abortControllerRef = useRef(null);
@@ -353,6 +359,13 @@ const TheaterOrderHistory = React.memo(() => {
     }
   }, [itemsPerPage, searchTerm, statusFilter]);
 
+  // 📡 Live order events - reload the current page when orders change or get paid
+  useOrderEvents(theaterId, () => {
+    if (isMountedRef.current && loadOrdersDataRef.current) {
+      loadOrdersDataRef.current(currentPage, itemsPerPage, searchTerm, statusFilter, dateFilter, true, true);
+    }
+  });
+
   // Excel Download Handler
   const handleDownloadExcel = useCallback(async () => {
 
@@ -475,6 +488,33 @@ const TheaterOrderHistory = React.memo(() => {
     setShowViewModal(true);
   }, []);
 
+  // Open refund modal - Memoized
+  const openRefund = useCallback((order) => {
+    setRefundOrder(order);
+  }, []);
+
+  const handleRefunded = useCallback((result) => {
+    setRefundOrder(null);
+    showSuccess(`Refunded ₹${(result?.refund?.amount || 0).toFixed(2)} on order #${result?.order?.orderNumber || ''}`);
+    if (loadOrdersDataRef.current) {
+      loadOrdersDataRef.current(currentPage, itemsPerPage, searchTerm, statusFilter, dateFilter, true, true);
+    }
+  }, [showSuccess, currentPage, itemsPerPage, searchTerm, statusFilter, dateFilter]);
+
+  // Reprint a receipt or kitchen ticket on the theater's thermal printers - Memoized
+  const handleReprint = useCallback(async (order, kind) => {
+    try {
+      const result = await printOrder(theaterId, order, { kinds: [kind], reprint: true });
+      if (result.failed.length > 0) {
+        showError(result.failed.map(({ printer, error }) => `${printer}: ${error}`).join('\n'));
+      } else {
+        showSuccess(kind === 'receipt' ? 'Receipt sent to printer' : 'Kitchen ticket sent to printer');
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  }, [theaterId, showError, showSuccess]);
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
@@ -653,7 +693,7 @@ const TheaterOrderHistory = React.memo(() => {
             const total = item.totalPrice || (qty * rate);
             return `
             <div class="item-row">
-              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+              <div class="item-name">${item.productName || item.menuItem?.name || item.name || 'Item'}${getLineModifiers(item).length ? `<br><small>+ ${describeModifiers(getLineModifiers(item))}</small>` : ''}</div>
               <div class="item-qty">${qty}</div>
               <div class="item-rate">${rate.toFixed(2)}</div>
               <div class="item-total">${total.toFixed(2)}</div>
@@ -885,8 +925,9 @@ const TheaterOrderHistory = React.memo(() => {
   ), []);
 
   // 🚀 OPTIMIZED: Memoized Order Table Row Component
-  const OrderRow = React.memo(({ order, index, currentPage, itemsPerPage, onView, onDownloadPDF }) => {
+  const OrderRow = React.memo(({ order, index, currentPage, itemsPerPage, onView, onDownloadPDF, onRefund }) => {
     const serialNumber = (currentPage - 1) * itemsPerPage + index + 1;
+    const canRefund = order.payment?.status === 'paid' || order.payment?.status === 'partially_refunded';
     
     return (
       <tr key={order._id}>
@@ -910,6 +951,11 @@ const TheaterOrderHistory = React.memo(() => {
         </td>
         <td className="payment-mode-cell">
           <div className="payment-mode">{order.payment?.method ? order.payment.method.charAt(0).toUpperCase() + order.payment.method.slice(1) : 'N/A'}</div>
+          {order.payment?.refundAmount > 0 && (
+            <div className="payment-refund" style={{ fontSize: '12px', color: '#dc2626' }}>
+              {order.payment.status === 'refunded' ? 'Refunded' : `Refunded ${formatCurrency(order.payment.refundAmount)}`}
+            </div>
+          )}
         </td>
         <td className="status-cell">
           <span className={getStatusBadgeClass(order.status)}>
@@ -941,6 +987,18 @@ const TheaterOrderHistory = React.memo(() => {
                 <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
               </svg>
             </button>
+            {canRefund && (
+              <button 
+                className="action-btn refund-btn"
+                onClick={() => onRefund(order)}
+                title="Refund"
+                style={{ margin: '0' }}
+              >
+                <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '16px', height: '16px'}}>
+                  <path d="M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z"/>
+                </svg>
+              </button>
+            )}
           </div>
         </td>
       </tr>
@@ -954,6 +1012,8 @@ const TheaterOrderHistory = React.memo(() => {
       prevProps.itemsPerPage === nextProps.itemsPerPage &&
       prevProps.order.orderNumber === nextProps.order.orderNumber &&
       prevProps.order.status === nextProps.order.status &&
+      prevProps.order.payment?.status === nextProps.order.payment?.status &&
+      prevProps.order.payment?.refundAmount === nextProps.order.payment?.refundAmount &&
       prevProps.order.pricing?.total === nextProps.order.pricing?.total
     );
   });
@@ -1111,6 +1171,7 @@ const TheaterOrderHistory = React.memo(() => {
                     itemsPerPage={itemsPerPage}
                     onView={viewOrder}
                     onDownloadPDF={downloadOrderPDF}
+                    onRefund={openRefund}
                   />
                 ))
               ) : (
@@ -1138,6 +1199,16 @@ const TheaterOrderHistory = React.memo(() => {
           />
         )}
 
+        {/* Refund Modal */}
+        {refundOrder && (
+          <RefundModal
+            order={refundOrder}
+            theaterId={theaterId}
+            onClose={() => setRefundOrder(null)}
+            onRefunded={handleRefunded}
+          />
+        )}
+
         {/* View Modal - Thermal Receipt Style */}
         {showViewModal && selectedOrder && (
           <div className="modal-overlay" onClick={() => setShowViewModal(false)}>
@@ -1212,8 +1283,14 @@ const TheaterOrderHistory = React.memo(() => {
                 }}>
                   <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
                     <span style={{ fontWeight: 'bold' }}>Invoice ID:</span>
-                    <span>{selectedOrder.orderNumber || 'N/A'}</span>
+                    <span>{selectedOrder.invoiceNumber || selectedOrder.orderNumber || 'N/A'}</span>
                   </div>
+                  {selectedOrder.invoiceNumber && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                      <span style={{ fontWeight: 'bold' }}>Order:</span>
+                      <span>{selectedOrder.orderNumber}</span>
+                    </div>
+                  )}
                   <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
                     <span style={{ fontWeight: 'bold' }}>Date:</span>
                     <span>{formatDate(selectedOrder.createdAt)}</span>
@@ -1256,7 +1333,12 @@ const TheaterOrderHistory = React.memo(() => {
                       marginBottom: '6px',
                       fontSize: '12px'
                     }}>
-                      <div style={{ wordBreak: 'break-word' }}>{item.productName || item.menuItem?.name || item.name || 'Item'}</div>
+                      <div style={{ wordBreak: 'break-word' }}>
+                        {item.productName || item.menuItem?.name || item.name || 'Item'}
+                        {getLineModifiers(item).length > 0 && (
+                          <div style={{ fontSize: '10px', color: '#666' }}>+ {describeModifiers(getLineModifiers(item))}</div>
+                        )}
+                      </div>
                       <div style={{ textAlign: 'center' }}>{qty}</div>
                       <div style={{ textAlign: 'right' }}>₹{rate.toFixed(2)}</div>
                       <div style={{ textAlign: 'right', fontWeight: 'bold' }}>₹{total.toFixed(2)}</div>
@@ -1283,6 +1365,25 @@ const TheaterOrderHistory = React.memo(() => {
                       <span>₹{(selectedOrder.pricing?.tax || selectedOrder.tax || selectedOrder.pricing?.gst || selectedOrder.gst).toFixed(2)}</span>
                     </div>
                   )}
+
+                  {/* GST split - IGST for inter-state buyers, otherwise CGST + SGST */}
+                  {selectedOrder.pricing?.igst > 0 ? (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                      <span>IGST:</span>
+                      <span>₹{selectedOrder.pricing.igst.toFixed(2)}</span>
+                    </div>
+                  ) : selectedOrder.pricing?.cgst > 0 && (
+                    <>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                        <span>CGST:</span>
+                        <span>₹{selectedOrder.pricing.cgst.toFixed(2)}</span>
+                      </div>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                        <span>SGST:</span>
+                        <span>₹{selectedOrder.pricing.sgst.toFixed(2)}</span>
+                      </div>
+                    </>
+                  )}
                   
                   {(selectedOrder.pricing?.discount || selectedOrder.discount) && (
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
@@ -1318,6 +1419,44 @@ const TheaterOrderHistory = React.memo(() => {
                   <p style={{ margin: '5px 0', fontWeight: 'bold' }}>Thank you for your order!</p>
                   <p style={{ margin: '5px 0' }}>Generated on {new Date().toLocaleString('en-IN')}</p>
                 </div>
+
+                {/* Thermal reprint */}
+                <div style={{ display: 'flex', gap: '10px', marginTop: '15px', fontFamily: 'inherit' }}>
+                  <button
+                    className="cancel-btn"
+                    style={{ flex: 1 }}
+                    onClick={() => handleReprint(selectedOrder, 'receipt')}
+                  >
+                    Reprint Receipt
+                  </button>
+                  <button
+                    className="cancel-btn"
+                    style={{ flex: 1 }}
+                    onClick={() => handleReprint(selectedOrder, 'kitchen')}
+                  >
+                    Reprint Kitchen Ticket
+                  </button>
+                </div>
+
+                {/* Tax invoice download */}
+                {selectedOrder.invoiceNumber && (
+                  <div style={{ display: 'flex', gap: '10px', marginTop: '15px', fontFamily: 'inherit' }}>
+                    <button
+                      className="submit-btn"
+                      style={{ flex: 1 }}
+                      onClick={() => downloadInvoicePdf(theaterId, selectedOrder).catch(error => showError(error.message))}
+                    >
+                      Download PDF
+                    </button>
+                    <button
+                      className="cancel-btn"
+                      style={{ flex: 1 }}
+                      onClick={() => openInvoiceHtml(theaterId, selectedOrder).catch(error => showError(error.message))}
+                    >
+                      Print Invoice
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -13,6 +13,12 @@ import { getCachedData, setCachedData, clearCachePattern } from '../../utils/cac
 import { optimisticUpdate, optimisticDelete, invalidateRelatedCaches } from '../../utils/crudOptimizer';
 import { getImageSrc } from '../../utils/globalImageCache'; // 🚀 Instant image loading
 import InstantImage from '../../components/InstantImage'; // 🚀 Instant image component
+import ComboItemsEditor from '../../components/ComboItemsEditor';
+import ModifierGroupsEditor from '../../components/ModifierGroupsEditor';
+import AvailabilityEditor from '../../components/AvailabilityEditor';
+import { cleanModifierGroups } from '../../utils/modifierUtils';
+import { isComboProduct, toEditableComboItems } from '../../utils/comboUtils';
+import { toAvailabilityForm, toAvailabilityPayload, describeAvailability, isUnavailableNow } from '../../utils/availabilityUtils';
 import '../../styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '../../styles/TheaterList.css';
 import '../../styles/QRManagementPage.css';
@@ -515,6 +521,14 @@ const ProductRow = React.memo(({ product, index, theaterId, categories = [], kio
       <td>
         <div className="qr-info">
           <div className="qr-name">{product.name}</div>
+          {product.availability && (
+            <div
+              style={{ fontSize: '12px', color: isUnavailableNow(product) ? '#dc2626' : '#6b7280' }}
+              title={product.availabilityReason || 'Availability schedule'}
+            >
+              🕒 {describeAvailability(product.availability)}
+            </div>
+          )}
         </div>
       </td>
 
@@ -1811,6 +1825,7 @@ const TheaterProductList = () => {
       discount: product.pricing?.discountPercentage || product.discount || '',
       taxRate: product.pricing?.taxRate || product.taxRate || '',
       gstType: product.gstType || product.pricing?.gstType || '',
+      hsnCode: product.hsnCode || '',
       stockQuantity: product.inventory?.currentStock ?? product.stockQuantity ?? '',
       unitOfMeasure: product.inventory?.unit || product.unitOfMeasure || 'Piece',
       lowStockAlert: product.inventory?.minStock || product.lowStockAlert || '',
@@ -1818,7 +1833,11 @@ const TheaterProductList = () => {
       isVeg: product.isVeg || product.dietary?.isVeg || '',
       preparationTime: product.preparationTime || product.specifications?.preparationTime || '',
       ingredients: product.specifications?.ingredients?.join(', ') || product.ingredients || '',
-      existingImage: existingImage // Store existing image URL for display
+      existingImage: existingImage, // Store existing image URL for display
+      ...(isComboProduct(product)
+        ? { isCombo: true, comboItems: toEditableComboItems(product.comboItems) }
+        : { variants: product.variants || [] }),
+      availability: toAvailabilityForm(product.availability)
     });
     
     // Reset file
@@ -1944,10 +1963,24 @@ const TheaterProductList = () => {
       // Append all form fields
       Object.keys(editFormData).forEach(key => {
         if (editFormData[key] !== null && editFormData[key] !== undefined && editFormData[key] !== '') {
-          formData.append(key, editFormData[key]);
+          // Combo items, modifier groups and availability travel as JSON in the multipart body
+          if (key === 'comboItems') {
+            formData.append(key, JSON.stringify(editFormData.comboItems.filter(item => item.productId)));
+          } else if (key === 'variants') {
+            formData.append(key, JSON.stringify(cleanModifierGroups(editFormData.variants)));
+          } else if (key === 'availability') {
+            formData.append(key, JSON.stringify(toAvailabilityPayload(editFormData.availability)));
+          } else {
+            formData.append(key, editFormData[key]);
+          }
         }
       });
 
+      // An emptied HSN code is sent so it is cleared rather than left unchanged
+      if (editFormData.hsnCode === '') {
+        formData.append('hsnCode', '');
+      }
+
       // Append files if selected
       if (editFiles.productImage) {
         formData.append('productImage', editFiles.productImage);
@@ -2637,6 +2670,19 @@ const TheaterProductList = () => {
                     </select>
                   </div>
 
+                  <div className="form-group">
+                    <label>HSN / SAC Code</label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={editFormData.hsnCode || ''}
+                      onChange={(e) => handleEditFormChange('hsnCode', e.target.value.replace(/\D/g, ''))}
+                      className="form-control"
+                      placeholder="4-8 digit code for tax invoices"
+                      maxLength={8}
+                    />
+                  </div>
+
                   <div className="form-group">
                     <label>Stock Quantity</label>
                     <input
@@ -2748,6 +2794,39 @@ const TheaterProductList = () => {
                   </div>
 
 
+                  {editFormData.isCombo && (
+                    <div className="form-group">
+                      <label>Combo Items</label>
+                      <ComboItemsEditor
+                        products={products}
+                        value={editFormData.comboItems || []}
+                        onChange={(rows) => handleEditFormChange('comboItems', rows)}
+                        excludeId={editModal.product?._id}
+                      />
+                    </div>
+                  )}
+
+                  {editFormData.variants && (
+                    <div className="form-group">
+                      <label>Modifiers</label>
+                      <ModifierGroupsEditor
+                        value={editFormData.variants}
+                        onChange={(groups) => handleEditFormChange('variants', groups)}
+                      />
+                    </div>
+                  )}
+
+                  {editFormData.availability && (
+                    <div className="form-group">
+                      <label>Availability</label>
+                      <AvailabilityEditor
+                        value={editFormData.availability}
+                        onChange={(availability) => handleEditFormChange('availability', availability)}
+                        kioskTypes={kioskTypes}
+                      />
+                    </div>
+                  )}
+
                   {/* Error Display */}
                   {editErrors.submit && (
                     <div className="error-message" style={{ 
@@ -0,0 +1,972 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/pages/theater/TheaterPurchaseOrders.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partly Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const emptyLine = { productId: '', quantity: '', unitCost: '' };
+
+const emptyForm = {
+  supplierId: '',
+  orderDate: '',
+  expectedDeliveryDate: '',
+  notes: '',
+  items: [emptyLine]
+};
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+// <input type="date"> wants a local yyyy-mm-dd
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const lineTotal = (items) => items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitCost) || 0), 0);
+
+/**
+ * Theater Purchase Orders
+ * Order stock from suppliers, receive it into stock batch by batch, send it back,
+ * and compare what each supplier was paid against what their stock sold for.
+ */
+const TheaterPurchaseOrders = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [view, setView] = useState('orders');
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+
+  const [showForm, setShowForm] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Detail modal: the open order and the receive / return form on it
+  const [detail, setDetail] = useState(null);
+  const [movement, setMovement] = useState(null);
+  const [movementError, setMovementError] = useState('');
+
+  const [reportRange, setReportRange] = useState({ startDate: '', endDate: '' });
+  const [report, setReport] = useState(null);
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const loadOrders = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+      if (statusFilter) params.set('status', statusFilter);
+
+      const response = await fetch(`${config.api.baseUrl}/purchase-orders/${theaterId}?${params.toString()}`, { headers: authHeaders });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load purchase orders');
+      }
+      setOrders(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, statusFilter, authHeaders, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadOrders, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadOrders, searchTerm]);
+
+  // Active suppliers and products for the order form
+  useEffect(() => {
+    if (!theaterId) return;
+    Promise.all([
+      fetch(`${config.api.baseUrl}/suppliers/${theaterId}?isActive=true&limit=100`, { headers: authHeaders }).then(res => res.json()),
+      fetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=500`, { headers: authHeaders }).then(res => res.json())
+    ])
+      .then(([suppliersData, productsData]) => {
+        setSuppliers(suppliersData.data || []);
+        setProducts(productsData.data?.products || (Array.isArray(productsData.data) ? productsData.data : []));
+      })
+      .catch(() => {
+        // Form selects stay empty; the API still validates what is sent
+      });
+  }, [theaterId, authHeaders]);
+
+  const loadReport = useCallback(async () => {
+    if (!theaterId) return;
+    const params = new URLSearchParams();
+    if (reportRange.startDate) params.set('startDate', new Date(`${reportRange.startDate}T00:00:00`).toISOString());
+    if (reportRange.endDate) params.set('endDate', new Date(`${reportRange.endDate}T23:59:59.999`).toISOString());
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/purchase-orders/${theaterId}/report?${params.toString()}`, { headers: authHeaders });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load supplier report');
+      }
+      setReport(data.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load supplier report');
+    }
+  }, [theaterId, reportRange, authHeaders, toast]);
+
+  useEffect(() => {
+    if (view === 'report') loadReport();
+  }, [view, loadReport]);
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`${config.api.baseUrl}/purchase-orders/${theaterId}${path}`, {
+      method,
+      headers: authHeaders,
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const openDetail = async (order) => {
+    try {
+      const data = await request(`/${order._id}`, 'GET');
+      setDetail(data.data);
+      setMovement(null);
+      setMovementError('');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const refreshAfterChange = async (orderId) => {
+    loadOrders();
+    if (orderId) {
+      const data = await request(`/${orderId}`, 'GET').catch(() => null);
+      setDetail(data?.data || null);
+    }
+  };
+
+  // ---- Create / edit ----
+
+  const openCreate = useCallback(() => {
+    setEditingOrder(null);
+    setFormData({ ...emptyForm, orderDate: toDateInput(new Date()) });
+    setFormError('');
+    setShowForm(true);
+  }, []);
+
+  const openEdit = (order) => {
+    setEditingOrder(order);
+    setFormData({
+      supplierId: String(order.supplierId),
+      orderDate: toDateInput(order.orderDate),
+      expectedDeliveryDate: toDateInput(order.expectedDeliveryDate),
+      notes: order.notes || '',
+      items: order.items.map(item => ({
+        productId: String(item.productId),
+        quantity: item.quantity,
+        unitCost: item.unitCost
+      }))
+    });
+    setFormError('');
+    setDetail(null);
+    setShowForm(true);
+  };
+
+  const updateLine = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const handleSubmit = async (status) => {
+    const items = formData.items.filter(item => item.productId);
+    if (!formData.supplierId || items.length === 0) {
+      setFormError('Choose a supplier and at least one product');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const payload = {
+        supplierId: formData.supplierId,
+        items: items.map(item => ({
+          productId: item.productId,
+          quantity: Number(item.quantity),
+          unitCost: Number(item.unitCost) || 0
+        })),
+        orderDate: formData.orderDate ? new Date(`${formData.orderDate}T00:00:00`).toISOString() : undefined,
+        expectedDeliveryDate: formData.expectedDeliveryDate
+          ? new Date(`${formData.expectedDeliveryDate}T00:00:00`).toISOString()
+          : null,
+        notes: formData.notes.trim(),
+        ...(!editingOrder && { status })
+      };
+
+      const data = editingOrder
+        ? await request(`/${editingOrder._id}`, 'PUT', payload)
+        : await request('', 'POST', payload);
+
+      toast.success(data.message);
+      setShowForm(false);
+      loadOrders();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ---- Status, delete ----
+
+  const changeStatus = (order, status) => {
+    const run = async () => {
+      try {
+        const data = await request(`/${order._id}/status`, 'PUT', { status });
+        toast.success(data.message);
+        refreshAfterChange(order._id);
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    if (status === 'cancelled') {
+      confirm({
+        title: 'Cancel Purchase Order',
+        message: `Cancel ${order.poNumber}? This cannot be undone.`,
+        type: 'danger',
+        confirmText: 'Cancel Order',
+        onConfirm: run
+      });
+    } else {
+      run();
+    }
+  };
+
+  const handleDelete = (order) => {
+    confirm({
+      title: 'Delete Purchase Order',
+      message: `Delete draft ${order.poNumber}?`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        try {
+          await request(`/${order._id}`, 'DELETE');
+          toast.success('Purchase order deleted');
+          loadOrders();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  // ---- Receive / return ----
+
+  const startMovement = (type) => {
+    const lines = detail.items.map(item => ({
+      itemId: item._id,
+      productName: item.productName,
+      limit: type === 'receipt'
+        ? item.quantity - item.receivedQuantity
+        : item.receivedQuantity - item.returnedQuantity,
+      quantity: '',
+      batchNumber: '',
+      expireDate: '',
+      unitCost: item.unitCost
+    })).filter(line => line.limit > 0);
+
+    setMovement({ type, lines, date: toDateInput(new Date()), invoiceNumber: '', notes: '', saving: false });
+    setMovementError('');
+  };
+
+  const updateMovementLine = (index, field, value) => {
+    setMovement(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    }));
+  };
+
+  // Batches received for a purchase order item, for the return form
+  const batchesFor = (itemId) => {
+    const item = detail.items.find(i => i._id === itemId);
+    const batches = new Set();
+    (detail.receipts || [])
+      .filter(receipt => receipt.type === 'receipt')
+      .forEach(receipt => receipt.items
+        .filter(line => String(line.productId) === String(item?.productId) && line.batchNumber)
+        .forEach(line => batches.add(line.batchNumber)));
+    return [...batches];
+  };
+
+  const submitMovement = async () => {
+    const lines = movement.lines.filter(line => Number(line.quantity) > 0);
+    if (lines.length === 0) {
+      setMovementError('Enter a quantity for at least one item');
+      return;
+    }
+
+    setMovement(prev => ({ ...prev, saving: true }));
+    setMovementError('');
+    try {
+      const isReceipt = movement.type === 'receipt';
+      const data = await request(`/${detail._id}/${isReceipt ? 'receipts' : 'returns'}`, 'POST', {
+        items: lines.map(line => ({
+          itemId: line.itemId,
+          quantity: Number(line.quantity),
+          batchNumber: line.batchNumber.trim() || null,
+          ...(isReceipt && {
+            expireDate: line.expireDate ? new Date(`${line.expireDate}T23:59:59`).toISOString() : null,
+            unitCost: Number(line.unitCost) || 0
+          })
+        })),
+        date: movement.date ? new Date(`${movement.date}T${new Date().toTimeString().slice(0, 8)}`).toISOString() : undefined,
+        notes: movement.notes.trim(),
+        ...(isReceipt && { invoiceNumber: movement.invoiceNumber.trim() })
+      });
+
+      toast.success(data.message);
+      setMovement(null);
+      refreshAfterChange(detail._id);
+    } catch (error) {
+      setMovementError(error.message);
+      setMovement(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const headerButton = useMemo(() => (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      New Purchase Order
+    </button>
+  ), [openCreate]);
+
+  const closeIcon = (
+    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+    </svg>
+  );
+
+  const canEdit = (order) => ['draft', 'ordered'].includes(order.status);
+  const canReturn = (order) => order.items.some(item => item.receivedQuantity > item.returnedQuantity);
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Purchase Orders" currentPage="purchase-orders">
+        <PageContainer title="Purchase Orders" headerButton={headerButton}>
+
+          <div className="po-toolbar">
+            <div className="po-tabs">
+              <button className={`po-tab ${view === 'orders' ? 'active' : ''}`} onClick={() => setView('orders')}>
+                Purchase Orders
+              </button>
+              <button className={`po-tab ${view === 'report' ? 'active' : ''}`} onClick={() => setView('report')}>
+                Supplier Report
+              </button>
+            </div>
+          </div>
+
+          {view === 'orders' ? (
+            <>
+              {/* Filters */}
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search by PO number or supplier..."
+                    value={searchTerm}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="search-input"
+                  />
+                </div>
+                <div className="filter-controls">
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="status-filter"
+                  >
+                    <option value="">All Statuses</option>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <div className="results-count">
+                    Showing {orders.length} of {pagination.totalItems} purchase orders
+                  </div>
+                </div>
+              </div>
+
+              {/* Purchase Orders Table */}
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="sno-cell">S.No</th>
+                      <th className="name-cell">PO Number</th>
+                      <th>Supplier</th>
+                      <th>Ordered</th>
+                      <th>Expected</th>
+                      <th>Items</th>
+                      <th>Total</th>
+                      <th className="status-cell">Status</th>
+                      <th className="actions-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="9" className="loading-cell">
+                          <div className="loading-spinner"></div>
+                          <span>Loading purchase orders...</span>
+                        </td>
+                      </tr>
+                    ) : orders.length > 0 ? (
+                      orders.map((order, index) => (
+                        <tr key={order._id} className={`theater-row ${order.status === 'cancelled' ? 'inactive' : ''}`}>
+                          <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                          <td className="name-cell">
+                            <div className="qr-info">
+                              <div className="qr-name">{order.poNumber}</div>
+                            </div>
+                          </td>
+                          <td>{order.supplierName}</td>
+                          <td>{formatDate(order.orderDate)}</td>
+                          <td>{formatDate(order.expectedDeliveryDate)}</td>
+                          <td>{order.items.length}</td>
+                          <td>{formatAmount(order.totalCost)}</td>
+                          <td className="status-cell">
+                            <span className={`po-status ${order.status}`}>{STATUS_LABELS[order.status]}</span>
+                          </td>
+                          <td className="actions-cell">
+                            <ActionButtons>
+                              <ActionButton type="view" onClick={() => openDetail(order)} title="View / Receive" />
+                              {canEdit(order) && (
+                                <ActionButton type="edit" onClick={() => openEdit(order)} title="Edit Purchase Order" />
+                              )}
+                              {order.status === 'draft' && (
+                                <ActionButton type="delete" onClick={() => handleDelete(order)} title="Delete Draft" />
+                              )}
+                            </ActionButtons>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="9" className="empty-cell">
+                          <i className="fas fa-file-invoice fa-3x"></i>
+                          <h3>No Purchase Orders Found</h3>
+                          <p>Raise a purchase order to order stock from a supplier.</p>
+                          <button className="add-theater-btn" onClick={openCreate}>
+                            Create First Purchase Order
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {!loading && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={pagination.totalPages}
+                  totalItems={pagination.totalItems}
+                  itemsPerPage={itemsPerPage}
+                  onPageChange={setCurrentPage}
+                  itemType="purchase orders"
+                />
+              )}
+            </>
+          ) : (
+            <>
+              <div className="po-filters">
+                <input
+                  type="date"
+                  className="form-control"
+                  value={reportRange.startDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, startDate: e.target.value }))}
+                />
+                <span className="po-muted">to</span>
+                <input
+                  type="date"
+                  className="form-control"
+                  value={reportRange.endDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, endDate: e.target.value }))}
+                />
+              </div>
+
+              {report && (
+                <div className="qr-stats">
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.netPurchaseCost)}</div>
+                    <div className="stat-label">Paid to Suppliers</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.salesValue)}</div>
+                    <div className="stat-label">Sales Value</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.grossMargin)}</div>
+                    <div className="stat-label">Margin on Sold Stock</div>
+                  </div>
+                </div>
+              )}
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="name-cell">Supplier</th>
+                      <th>POs</th>
+                      <th>Received</th>
+                      <th>Purchase Cost</th>
+                      <th>Returned</th>
+                      <th>Net Paid</th>
+                      <th>Sold</th>
+                      <th>Cost of Sold</th>
+                      <th>Sales Value</th>
+                      <th>In Stock</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {!report || report.suppliers.length === 0 ? (
+                      <tr>
+                        <td colSpan="10" className="empty-cell">
+                          <h3>No purchases in this period</h3>
+                        </td>
+                      </tr>
+                    ) : report.suppliers.map(row => (
+                      <tr key={row.supplierId} className="theater-row">
+                        <td className="name-cell">{row.supplierName}</td>
+                        <td>{row.purchaseOrders}</td>
+                        <td>{row.receivedQuantity}</td>
+                        <td>{formatAmount(row.purchaseCost)}</td>
+                        <td>{row.returnedQuantity} ({formatAmount(row.returnedCost)})</td>
+                        <td>{formatAmount(row.netPurchaseCost)}</td>
+                        <td>{row.soldQuantity}</td>
+                        <td>{formatAmount(row.costOfSold)}</td>
+                        <td>{formatAmount(row.salesValue)}</td>
+                        <td>{row.onHandQuantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="po-muted">
+                Sales value uses each product&apos;s current selling price. Only stock received through purchase orders is counted.
+              </p>
+            </>
+          )}
+
+          {/* Create / Edit Modal */}
+          {showForm && (
+            <div className="modal-overlay" onClick={() => setShowForm(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingOrder ? `Edit ${editingOrder.poNumber}` : 'New Purchase Order'}</h2>
+                  <button className="close-btn" onClick={() => setShowForm(false)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Supplier <span style={{ color: 'red' }}>*</span></label>
+                      <select
+                        value={formData.supplierId}
+                        onChange={(e) => setFormData(prev => ({ ...prev, supplierId: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="">Select supplier...</option>
+                        {suppliers.map(supplier => (
+                          <option key={supplier._id} value={String(supplier._id)}>{supplier.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Order Date</label>
+                      <input
+                        type="date"
+                        value={formData.orderDate}
+                        onChange={(e) => setFormData(prev => ({ ...prev, orderDate: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Expected Delivery</label>
+                      <input
+                        type="date"
+                        value={formData.expectedDeliveryDate}
+                        min={formData.orderDate}
+                        onChange={(e) => setFormData(prev => ({ ...prev, expectedDeliveryDate: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Notes</label>
+                      <textarea
+                        value={formData.notes}
+                        onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                        className="form-control"
+                        rows="2"
+                        maxLength={500}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="po-section">
+                    <h3>Items</h3>
+                    <table className="po-lines">
+                      <thead>
+                        <tr>
+                          <th>Product</th>
+                          <th>Quantity</th>
+                          <th>Unit Cost (₹)</th>
+                          <th>Amount</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {formData.items.map((item, index) => (
+                          <tr key={index}>
+                            <td>
+                              <select
+                                value={item.productId}
+                                onChange={(e) => updateLine(index, 'productId', e.target.value)}
+                                className="form-control"
+                              >
+                                <option value="">Select product...</option>
+                                {products.map(product => (
+                                  <option key={product._id} value={String(product._id)}>{product.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td>
+                              <input
+                                type="number"
+                                min="1"
+                                value={item.quantity}
+                                onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                                className="form-control"
+                              />
+                            </td>
+                            <td>
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={item.unitCost}
+                                onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                                className="form-control"
+                              />
+                            </td>
+                            <td>{formatAmount((Number(item.quantity) || 0) * (Number(item.unitCost) || 0))}</td>
+                            <td>
+                              {formData.items.length > 1 && (
+                                <button
+                                  className="po-remove-btn"
+                                  title="Remove item"
+                                  onClick={() => setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))}
+                                >
+                                  ×
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr>
+                          <td colSpan="3">Total</td>
+                          <td colSpan="2">{formatAmount(lineTotal(formData.items))}</td>
+                        </tr>
+                      </tfoot>
+                    </table>
+                    <button
+                      className="po-link-btn"
+                      onClick={() => setFormData(prev => ({ ...prev, items: [...prev.items, emptyLine] }))}
+                    >
+                      + Add Item
+                    </button>
+                    {formError && <div className="po-error">{formError}</div>}
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowForm(false)}>
+                    Cancel
+                  </button>
+                  {editingOrder ? (
+                    <button className="btn-primary" onClick={() => handleSubmit()} disabled={saving}>
+                      {saving ? 'Saving...' : 'Save Changes'}
+                    </button>
+                  ) : (
+                    <>
+                      <button className="cancel-btn" onClick={() => handleSubmit('draft')} disabled={saving}>
+                        Save as Draft
+                      </button>
+                      <button className="btn-primary" onClick={() => handleSubmit('ordered')} disabled={saving}>
+                        {saving ? 'Saving...' : 'Place Order'}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Detail / Receive / Return Modal */}
+          {detail && (
+            <div className="modal-overlay" onClick={() => setDetail(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{detail.poNumber} · {detail.supplierName}</h2>
+                  <button className="close-btn" onClick={() => setDetail(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="po-section">
+                    <div className="po-summary">
+                      <div><strong>Status</strong><span className={`po-status ${detail.status}`}>{STATUS_LABELS[detail.status]}</span></div>
+                      <div><strong>Ordered</strong>{formatDate(detail.orderDate)}</div>
+                      <div><strong>Expected</strong>{formatDate(detail.expectedDeliveryDate)}</div>
+                      <div><strong>Total</strong>{formatAmount(detail.totalCost)}</div>
+                    </div>
+                    {detail.notes && <div className="po-muted">{detail.notes}</div>}
+
+                    <table className="po-lines">
+                      <thead>
+                        <tr>
+                          <th>Product</th>
+                          <th>Ordered</th>
+                          <th>Received</th>
+                          <th>Returned</th>
+                          <th>Unit Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {detail.items.map(item => (
+                          <tr key={item._id}>
+                            <td>{item.productName}</td>
+                            <td>{item.quantity}</td>
+                            <td>{item.receivedQuantity}</td>
+                            <td>{item.returnedQuantity}</td>
+                            <td>{formatAmount(item.unitCost)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {!movement && (
+                      <div className="po-actions">
+                        {detail.status === 'draft' && (
+                          <button className="btn-primary" onClick={() => changeStatus(detail, 'ordered')}>Place Order</button>
+                        )}
+                        {['ordered', 'partially_received'].includes(detail.status) && (
+                          <button className="btn-primary" onClick={() => startMovement('receipt')}>Receive Goods</button>
+                        )}
+                        {canReturn(detail) && (
+                          <button className="cancel-btn" onClick={() => startMovement('return')}>Return to Supplier</button>
+                        )}
+                        {canEdit(detail) && (
+                          <button className="cancel-btn" onClick={() => openEdit(detail)}>Edit</button>
+                        )}
+                        {canEdit(detail) && (
+                          <button className="cancel-btn" onClick={() => changeStatus(detail, 'cancelled')}>Cancel Order</button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {movement && (
+                    <div className="po-section">
+                      <h3>{movement.type === 'receipt' ? 'Goods Received' : 'Return to Supplier'}</h3>
+                      <div className="po-filters">
+                        <input
+                          type="date"
+                          className="form-control"
+                          value={movement.date}
+                          max={toDateInput(new Date())}
+                          onChange={(e) => setMovement(prev => ({ ...prev, date: e.target.value }))}
+                        />
+                        {movement.type === 'receipt' && (
+                          <input
+                            type="text"
+                            className="form-control"
+                            placeholder="Supplier invoice / challan no."
+                            value={movement.invoiceNumber}
+                            onChange={(e) => setMovement(prev => ({ ...prev, invoiceNumber: e.target.value }))}
+                          />
+                        )}
+                      </div>
+                      <table className="po-lines">
+                        <thead>
+                          <tr>
+                            <th>Product</th>
+                            <th>{movement.type === 'receipt' ? 'Pending' : 'Can Return'}</th>
+                            <th>Quantity</th>
+                            <th>Batch</th>
+                            {movement.type === 'receipt' && <th>Expiry</th>}
+                            {movement.type === 'receipt' && <th>Unit Cost (₹)</th>}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {movement.lines.map((line, index) => (
+                            <tr key={line.itemId}>
+                              <td>{line.productName}</td>
+                              <td>{line.limit}</td>
+                              <td>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={line.limit}
+                                  value={line.quantity}
+                                  onChange={(e) => updateMovementLine(index, 'quantity', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td>
+                                {movement.type === 'receipt' ? (
+                                  <input
+                                    type="text"
+                                    value={line.batchNumber}
+                                    onChange={(e) => updateMovementLine(index, 'batchNumber', e.target.value)}
+                                    className="form-control"
+                                  />
+                                ) : (
+                                  <select
+                                    value={line.batchNumber}
+                                    onChange={(e) => updateMovementLine(index, 'batchNumber', e.target.value)}
+                                    className="form-control"
+                                  >
+                                    <option value="">Oldest first</option>
+                                    {batchesFor(line.itemId).map(batch => (
+                                      <option key={batch} value={batch}>{batch}</option>
+                                    ))}
+                                  </select>
+                                )}
+                              </td>
+                              {movement.type === 'receipt' && (
+                                <td>
+                                  <input
+                                    type="date"
+                                    value={line.expireDate}
+                                    onChange={(e) => updateMovementLine(index, 'expireDate', e.target.value)}
+                                    className="form-control"
+                                  />
+                                </td>
+                              )}
+                              {movement.type === 'receipt' && (
+                                <td>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    value={line.unitCost}
+                                    onChange={(e) => updateMovementLine(index, 'unitCost', e.target.value)}
+                                    className="form-control"
+                                  />
+                                </td>
+                              )}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <textarea
+                        className="form-control"
+                        rows="2"
+                        placeholder={movement.type === 'receipt' ? 'Notes (optional)' : 'Reason for return'}
+                        value={movement.notes}
+                        onChange={(e) => setMovement(prev => ({ ...prev, notes: e.target.value }))}
+                      />
+                      {movementError && <div className="po-error">{movementError}</div>}
+                      <div className="po-actions">
+                        <button className="btn-primary" onClick={submitMovement} disabled={movement.saving}>
+                          {movement.saving ? 'Saving...' : movement.type === 'receipt' ? 'Add to Stock' : 'Record Return'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => setMovement(null)}>Back</button>
+                      </div>
+                    </div>
+                  )}
+
+                  {(detail.receipts || []).length > 0 && (
+                    <div className="po-section">
+                      <h3>Receipts &amp; Returns</h3>
+                      {detail.receipts.map(receipt => (
+                        <div key={receipt._id} className={`po-receipt ${receipt.type}`}>
+                          <strong>{receipt.grnNumber}</strong> · {formatDate(receipt.date)}
+                          {receipt.invoiceNumber && ` · Invoice ${receipt.invoiceNumber}`}
+                          {' · '}{formatAmount(receipt.totalCost)}
+                          <div>
+                            {receipt.items.map(item => (
+                              `${item.quantity}× ${item.productName}${item.batchNumber ? ` (${item.batchNumber})` : ''}`
+                            )).join(', ')}
+                          </div>
+                          {receipt.notes && <div className="po-muted">{receipt.notes}</div>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterPurchaseOrders;
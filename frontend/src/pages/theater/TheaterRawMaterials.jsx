@@ -0,0 +1,966 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/pages/theater/TheaterRawMaterials.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+// Base units and the units quantities may be entered in (same as backend utils/unitUtils.js)
+const UNIT_OPTIONS = {
+  g: ['g', 'kg'],
+  ml: ['ml', 'l'],
+  pcs: ['pcs']
+};
+
+const UNIT_LABELS = { g: 'Grams (g)', ml: 'Millilitres (ml)', pcs: 'Pieces (pcs)' };
+
+const MOVEMENT_LABELS = {
+  received: 'Received',
+  consumed: 'Used in Sales',
+  wastage: 'Wastage',
+  count: 'Stock Count'
+};
+
+const emptyMaterial = { name: '', unit: 'g', minStock: '', costPerUnit: '', isActive: true };
+
+const emptyIngredient = { rawMaterialId: '', quantity: '', unit: '' };
+
+const formatAmount = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`;
+
+const formatQuantity = (value, unit) => `${Number((Number(value) || 0).toFixed(3))} ${unit}`;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+/**
+ * Theater Raw Materials
+ * Ingredient stock, the recipes prepared products are made with, and
+ * how much was really used compared to what the recipes say.
+ */
+const TheaterRawMaterials = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [view, setView] = useState('materials');
+  const [materials, setMaterials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [lowOnly, setLowOnly] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(20);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  // Every active material, for the recipe ingredient picker
+  const [allMaterials, setAllMaterials] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [recipes, setRecipes] = useState([]);
+
+  const [materialForm, setMaterialForm] = useState(null);
+  const [recipeForm, setRecipeForm] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Stock modal: material, its history and the movement being entered
+  const [stockMaterial, setStockMaterial] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [movement, setMovement] = useState({ type: 'received', quantity: '', unit: '', costPerUnit: '', notes: '' });
+
+  const [reportRange, setReportRange] = useState({ startDate: '', endDate: '' });
+  const [report, setReport] = useState(null);
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path, method = 'GET', body) => {
+    const response = await fetch(`${config.api.baseUrl}/raw-materials/${theaterId}${path}`, {
+      method,
+      headers: authHeaders,
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  const loadMaterials = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+      if (lowOnly) params.set('lowStock', 'true');
+
+      const data = await request(`?${params.toString()}`);
+      setMaterials(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load raw materials');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, lowOnly, request, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadMaterials, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadMaterials, searchTerm]);
+
+  const loadRecipes = useCallback(async () => {
+    if (!theaterId) return;
+    try {
+      const [recipesData, materialsData] = await Promise.all([
+        request('/recipes'),
+        request('?isActive=true&limit=200')
+      ]);
+      setRecipes(recipesData.data || []);
+      setAllMaterials(materialsData.data || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load recipes');
+    }
+  }, [theaterId, request, toast]);
+
+  const loadReport = useCallback(async () => {
+    if (!theaterId) return;
+    const params = new URLSearchParams();
+    if (reportRange.startDate) params.set('startDate', new Date(`${reportRange.startDate}T00:00:00`).toISOString());
+    if (reportRange.endDate) params.set('endDate', new Date(`${reportRange.endDate}T23:59:59.999`).toISOString());
+
+    try {
+      const data = await request(`/report?${params.toString()}`);
+      setReport(data.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load consumption report');
+    }
+  }, [theaterId, reportRange, request, toast]);
+
+  useEffect(() => {
+    if (view === 'recipes') loadRecipes();
+    if (view === 'report') loadReport();
+  }, [view, loadRecipes, loadReport]);
+
+  // Products for the recipe picker
+  useEffect(() => {
+    if (!theaterId) return;
+    fetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=500`, { headers: authHeaders })
+      .then(res => res.json())
+      .then(data => setProducts(data.data?.products || (Array.isArray(data.data) ? data.data : [])))
+      .catch(() => {
+        // Picker stays empty
+      });
+  }, [theaterId, authHeaders]);
+
+  const materialById = useMemo(() => new Map(allMaterials.map(material => [String(material._id), material])), [allMaterials]);
+  const productById = useMemo(() => new Map(products.map(product => [String(product._id), product])), [products]);
+
+  // ---- Materials ----
+
+  const openCreateMaterial = useCallback(() => {
+    setMaterialForm({ ...emptyMaterial });
+    setFormError('');
+  }, []);
+
+  const saveMaterial = async () => {
+    if (!materialForm.name.trim()) {
+      setFormError('Name is required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const payload = {
+        name: materialForm.name.trim(),
+        minStock: Number(materialForm.minStock) || 0,
+        costPerUnit: Number(materialForm.costPerUnit) || 0,
+        isActive: materialForm.isActive,
+        ...(!materialForm._id && { unit: materialForm.unit })
+      };
+      const data = materialForm._id
+        ? await request(`/${materialForm._id}`, 'PUT', payload)
+        : await request('', 'POST', payload);
+
+      toast.success(data.message);
+      setMaterialForm(null);
+      loadMaterials();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteMaterial = (material) => {
+    confirm({
+      title: 'Delete Raw Material',
+      message: `Delete ${material.name}?`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        try {
+          await request(`/${material._id}`, 'DELETE');
+          toast.success('Raw material deleted');
+          loadMaterials();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  // ---- Stock movements ----
+
+  const loadMovements = useCallback(async (material) => {
+    try {
+      const data = await request(`/${material._id}/movements?limit=50`);
+      setMovements(data.data || []);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }, [request, toast]);
+
+  const openStock = (material) => {
+    setStockMaterial(material);
+    setMovement({ type: 'received', quantity: '', unit: material.unit, costPerUnit: '', notes: '' });
+    setFormError('');
+    setMovements([]);
+    loadMovements(material);
+  };
+
+  const saveMovement = async () => {
+    if (movement.quantity === '' || Number(movement.quantity) < 0) {
+      setFormError('Enter a quantity');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const data = await request(`/${stockMaterial._id}/movements`, 'POST', {
+        type: movement.type,
+        quantity: Number(movement.quantity),
+        unit: movement.unit,
+        notes: movement.notes.trim(),
+        ...(movement.type === 'received' && movement.costPerUnit !== '' && { costPerUnit: Number(movement.costPerUnit) })
+      });
+
+      toast.success(data.message);
+      setStockMaterial(data.data.rawMaterial);
+      setMovement(prev => ({ ...prev, quantity: '', costPerUnit: '', notes: '' }));
+      loadMovements(data.data.rawMaterial);
+      loadMaterials();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ---- Recipes ----
+
+  const openRecipe = (recipe) => {
+    setRecipeForm(recipe
+      ? {
+        productId: String(recipe.productId),
+        existing: true,
+        yield: recipe.yield,
+        notes: recipe.notes || '',
+        ingredients: recipe.ingredients.map(ingredient => ({
+          rawMaterialId: String(ingredient.rawMaterialId),
+          quantity: ingredient.quantity,
+          unit: ingredient.unit
+        }))
+      }
+      : { productId: '', existing: false, yield: 1, notes: '', ingredients: [{ ...emptyIngredient }] });
+    setFormError('');
+  };
+
+  const updateIngredient = (index, field, value) => {
+    setRecipeForm(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.map((ingredient, i) => {
+        if (i !== index) return ingredient;
+        const next = { ...ingredient, [field]: value };
+        // Picking a material resets the unit to its base unit
+        if (field === 'rawMaterialId') next.unit = materialById.get(value)?.unit || '';
+        return next;
+      })
+    }));
+  };
+
+  const saveRecipe = async () => {
+    const ingredients = recipeForm.ingredients.filter(ingredient => ingredient.rawMaterialId);
+    if (!recipeForm.productId || ingredients.length === 0) {
+      setFormError('Choose a product and at least one ingredient');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      await request(`/recipes/${recipeForm.productId}`, 'PUT', {
+        yield: Number(recipeForm.yield) || 1,
+        notes: recipeForm.notes.trim(),
+        ingredients: ingredients.map(ingredient => ({
+          rawMaterialId: ingredient.rawMaterialId,
+          quantity: Number(ingredient.quantity),
+          unit: ingredient.unit
+        }))
+      });
+      toast.success('Recipe saved');
+      setRecipeForm(null);
+      loadRecipes();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteRecipe = (recipe) => {
+    confirm({
+      title: 'Delete Recipe',
+      message: `Delete the recipe for ${recipe.productName}? Its sales will no longer use up ingredients.`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        try {
+          await request(`/recipes/${recipe.productId}`, 'DELETE');
+          toast.success('Recipe deleted');
+          loadRecipes();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  const headerButton = useMemo(() => (
+    <button className="header-btn" onClick={view === 'recipes' ? () => openRecipe(null) : openCreateMaterial}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      {view === 'recipes' ? 'Add Recipe' : 'Add Raw Material'}
+    </button>
+  ), [view, openCreateMaterial]);
+
+  const closeIcon = (
+    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+    </svg>
+  );
+
+  const lowCount = materials.filter(material => material.isLow).length;
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Raw Materials" currentPage="raw-materials">
+        <PageContainer title="Raw Materials & Recipes" headerButton={headerButton}>
+
+          <div className="rm-tabs">
+            <button className={`rm-tab ${view === 'materials' ? 'active' : ''}`} onClick={() => setView('materials')}>
+              Ingredients
+            </button>
+            <button className={`rm-tab ${view === 'recipes' ? 'active' : ''}`} onClick={() => setView('recipes')}>
+              Recipes
+            </button>
+            <button className={`rm-tab ${view === 'report' ? 'active' : ''}`} onClick={() => setView('report')}>
+              Consumption
+            </button>
+          </div>
+
+          {view === 'materials' && (
+            <>
+              <div className="qr-stats">
+                <div className="stat-card">
+                  <div className="stat-number">{pagination.totalItems}</div>
+                  <div className="stat-label">Raw Materials</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-number">{lowCount}</div>
+                  <div className="stat-label">Low on this Page</div>
+                </div>
+              </div>
+
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search raw materials..."
+                    value={searchTerm}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="search-input"
+                  />
+                </div>
+                <div className="filter-controls">
+                  <label className="rm-muted">
+                    <input
+                      type="checkbox"
+                      checked={lowOnly}
+                      onChange={(e) => {
+                        setLowOnly(e.target.checked);
+                        setCurrentPage(1);
+                      }}
+                    />
+                    {' '}Low stock only
+                  </label>
+                  <div className="results-count">
+                    Showing {materials.length} of {pagination.totalItems} raw materials
+                  </div>
+                </div>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="sno-cell">S.No</th>
+                      <th className="name-cell">Raw Material</th>
+                      <th>In Stock</th>
+                      <th>Minimum</th>
+                      <th>Cost / Unit</th>
+                      <th className="status-cell">Status</th>
+                      <th className="actions-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="7" className="loading-cell">
+                          <div className="loading-spinner"></div>
+                          <span>Loading raw materials...</span>
+                        </td>
+                      </tr>
+                    ) : materials.length > 0 ? (
+                      materials.map((material, index) => (
+                        <tr key={material._id} className={`theater-row ${material.isActive ? '' : 'inactive'}`}>
+                          <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                          <td className="name-cell">
+                            <div className="qr-info">
+                              <div className="qr-name">{material.name}</div>
+                            </div>
+                          </td>
+                          <td className={material.isLow ? 'rm-low' : ''}>{formatQuantity(material.currentStock, material.unit)}</td>
+                          <td>{material.minStock ? formatQuantity(material.minStock, material.unit) : '—'}</td>
+                          <td>{formatAmount(material.costPerUnit)} / {material.unit}</td>
+                          <td className="status-cell">
+                            <span className={`status-badge ${material.isActive && !material.isLow ? 'active' : 'inactive'}`}>
+                              {!material.isActive ? 'Inactive' : material.isLow ? 'Low Stock' : 'OK'}
+                            </span>
+                          </td>
+                          <td className="actions-cell">
+                            <ActionButtons>
+                              <ActionButton type="view" onClick={() => openStock(material)} title="Stock & History" />
+                              <ActionButton
+                                type="edit"
+                                onClick={() => {
+                                  setMaterialForm({ ...material });
+                                  setFormError('');
+                                }}
+                                title="Edit Raw Material"
+                              />
+                              <ActionButton type="delete" onClick={() => deleteMaterial(material)} title="Delete Raw Material" />
+                            </ActionButtons>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="7" className="empty-cell">
+                          <i className="fas fa-seedling fa-3x"></i>
+                          <h3>No Raw Materials Found</h3>
+                          <p>Add the ingredients and consumables your prepared items are made from.</p>
+                          <button className="add-theater-btn" onClick={openCreateMaterial}>
+                            Add First Raw Material
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {!loading && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={pagination.totalPages}
+                  totalItems={pagination.totalItems}
+                  itemsPerPage={itemsPerPage}
+                  onPageChange={setCurrentPage}
+                  itemType="raw materials"
+                />
+              )}
+            </>
+          )}
+
+          {view === 'recipes' && (
+            <div className="theater-table-container">
+              <table className="theater-table">
+                <thead>
+                  <tr>
+                    <th className="name-cell">Product</th>
+                    <th>Yield</th>
+                    <th>Ingredients</th>
+                    <th>Cost / Unit</th>
+                    <th>Selling Price</th>
+                    <th className="actions-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recipes.length > 0 ? recipes.map(recipe => {
+                    const product = productById.get(String(recipe.productId));
+                    const sellingPrice = product?.pricing?.sellingPrice || product?.pricing?.basePrice;
+                    return (
+                      <tr key={recipe._id} className="theater-row">
+                        <td className="name-cell">{recipe.productName}</td>
+                        <td>{recipe.yield}</td>
+                        <td>
+                          {recipe.ingredients.map(ingredient => `${ingredient.quantity}${ingredient.unit} ${ingredient.name}`).join(', ')}
+                        </td>
+                        <td>{formatAmount(recipe.unitCost)}</td>
+                        <td>{sellingPrice ? formatAmount(sellingPrice) : '—'}</td>
+                        <td className="actions-cell">
+                          <ActionButtons>
+                            <ActionButton type="edit" onClick={() => openRecipe(recipe)} title="Edit Recipe" />
+                            <ActionButton type="delete" onClick={() => deleteRecipe(recipe)} title="Delete Recipe" />
+                          </ActionButtons>
+                        </td>
+                      </tr>
+                    );
+                  }) : (
+                    <tr>
+                      <td colSpan="6" className="empty-cell">
+                        <h3>No Recipes Yet</h3>
+                        <p>Give prepared products a recipe so each sale uses up its ingredients.</p>
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {view === 'report' && (
+            <>
+              <div className="rm-filters">
+                <input
+                  type="date"
+                  className="form-control"
+                  value={reportRange.startDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, startDate: e.target.value }))}
+                />
+                <span className="rm-muted">to</span>
+                <input
+                  type="date"
+                  className="form-control"
+                  value={reportRange.endDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, endDate: e.target.value }))}
+                />
+              </div>
+
+              {report && (
+                <div className="qr-stats">
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.theoreticalCost)}</div>
+                    <div className="stat-label">Theoretical Cost</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.actualCost)}</div>
+                    <div className="stat-label">Actual Cost</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-number">{formatAmount(report.summary.actualCost - report.summary.theoreticalCost)}</div>
+                    <div className="stat-label">Difference</div>
+                  </div>
+                </div>
+              )}
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="name-cell">Raw Material</th>
+                      <th>Received</th>
+                      <th>Theoretical</th>
+                      <th>Wastage</th>
+                      <th>Count Variance</th>
+                      <th>Actual</th>
+                      <th>Difference</th>
+                      <th>Cost of Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {!report || report.materials.length === 0 ? (
+                      <tr>
+                        <td colSpan="8" className="empty-cell">
+                          <h3>No ingredient movements in this period</h3>
+                        </td>
+                      </tr>
+                    ) : report.materials.map(row => (
+                      <tr key={row.rawMaterialId} className="theater-row">
+                        <td className="name-cell">{row.name}</td>
+                        <td>{formatQuantity(row.received, row.unit)}</td>
+                        <td>{formatQuantity(row.theoretical, row.unit)}</td>
+                        <td>{formatQuantity(row.wastage, row.unit)}</td>
+                        <td className={row.countVariance < 0 ? 'rm-negative' : ''}>{formatQuantity(row.countVariance, row.unit)}</td>
+                        <td>{formatQuantity(row.actual, row.unit)}</td>
+                        <td className={row.difference > 0 ? 'rm-negative' : ''}>
+                          {formatQuantity(row.difference, row.unit)}
+                          {row.differencePercent !== null && ` (${row.differencePercent}%)`}
+                        </td>
+                        <td>{formatAmount(row.actualCost - row.theoreticalCost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="rm-muted">
+                Theoretical is what recipes say sales should have used. Actual adds wastage and the shortfall found at stock counts.
+              </p>
+            </>
+          )}
+
+          {/* Raw Material Modal */}
+          {materialForm && (
+            <div className="modal-overlay" onClick={() => setMaterialForm(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{materialForm._id ? `Edit ${materialForm.name}` : 'Add Raw Material'}</h2>
+                  <button className="close-btn" onClick={() => setMaterialForm(null)}>{closeIcon}</button>
+                </div>
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Name <span style={{ color: 'red' }}>*</span></label>
+                      <input
+                        type="text"
+                        value={materialForm.name}
+                        onChange={(e) => setMaterialForm(prev => ({ ...prev, name: e.target.value }))}
+                        className="form-control"
+                        placeholder="e.g. Popcorn kernels"
+                        maxLength={100}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Stock Unit</label>
+                      <select
+                        value={materialForm.unit}
+                        disabled={!!materialForm._id}
+                        onChange={(e) => setMaterialForm(prev => ({ ...prev, unit: e.target.value }))}
+                        className="form-control"
+                      >
+                        {Object.entries(UNIT_LABELS).map(([unit, label]) => (
+                          <option key={unit} value={unit}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Low Stock Alert At ({materialForm.unit})</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={materialForm.minStock}
+                        onChange={(e) => setMaterialForm(prev => ({ ...prev, minStock: e.target.value }))}
+                        className="form-control"
+                        placeholder="No alert"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Cost per {materialForm.unit} (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.0001"
+                        value={materialForm.costPerUnit}
+                        onChange={(e) => setMaterialForm(prev => ({ ...prev, costPerUnit: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={materialForm.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => setMaterialForm(prev => ({ ...prev, isActive: e.target.value === 'Active' }))}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                    {formError && <div className="form-group full-width rm-error">{formError}</div>}
+                  </div>
+                </div>
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setMaterialForm(null)}>Cancel</button>
+                  <button className="btn-primary" onClick={saveMaterial} disabled={saving}>
+                    {saving ? 'Saving...' : materialForm._id ? 'Save Changes' : 'Add Raw Material'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Stock Modal */}
+          {stockMaterial && (
+            <div className="modal-overlay" onClick={() => setStockMaterial(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{stockMaterial.name} · {formatQuantity(stockMaterial.currentStock, stockMaterial.unit)} in stock</h2>
+                  <button className="close-btn" onClick={() => setStockMaterial(null)}>{closeIcon}</button>
+                </div>
+                <div className="modal-body">
+                  <div className="rm-section">
+                    <h3>Update Stock</h3>
+                    <div className="rm-movement-form">
+                      <select
+                        value={movement.type}
+                        onChange={(e) => setMovement(prev => ({ ...prev, type: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="received">Received</option>
+                        <option value="wastage">Wastage</option>
+                        <option value="count">Stock Count</option>
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={movement.quantity}
+                        placeholder={movement.type === 'count' ? 'Counted quantity' : 'Quantity'}
+                        onChange={(e) => setMovement(prev => ({ ...prev, quantity: e.target.value }))}
+                        className="form-control"
+                      />
+                      <select
+                        value={movement.unit}
+                        onChange={(e) => setMovement(prev => ({ ...prev, unit: e.target.value }))}
+                        className="form-control"
+                      >
+                        {(UNIT_OPTIONS[stockMaterial.unit] || []).map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                      {movement.type === 'received' && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={movement.costPerUnit}
+                          placeholder={`Cost per ${movement.unit} (₹)`}
+                          onChange={(e) => setMovement(prev => ({ ...prev, costPerUnit: e.target.value }))}
+                          className="form-control"
+                        />
+                      )}
+                      <input
+                        type="text"
+                        value={movement.notes}
+                        placeholder="Notes"
+                        onChange={(e) => setMovement(prev => ({ ...prev, notes: e.target.value }))}
+                        className="form-control"
+                      />
+                      <button className="btn-primary" onClick={saveMovement} disabled={saving}>
+                        {saving ? 'Saving...' : 'Save'}
+                      </button>
+                    </div>
+                    {formError && <div className="rm-error">{formError}</div>}
+                  </div>
+
+                  <div className="rm-section">
+                    <h3>Recent History</h3>
+                    <table className="rm-lines">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Type</th>
+                          <th>Change</th>
+                          <th>Balance</th>
+                          <th>Reference</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {movements.length === 0 ? (
+                          <tr>
+                            <td colSpan="5" className="rm-muted">No stock history yet</td>
+                          </tr>
+                        ) : movements.map(entry => (
+                          <tr key={entry._id}>
+                            <td>{formatDateTime(entry.date)}</td>
+                            <td>{MOVEMENT_LABELS[entry.type]}</td>
+                            <td className={entry.change < 0 ? 'rm-negative' : 'rm-positive'}>
+                              {entry.change > 0 ? '+' : ''}{formatQuantity(entry.change, stockMaterial.unit)}
+                            </td>
+                            <td>{formatQuantity(entry.balanceAfter, stockMaterial.unit)}</td>
+                            <td>
+                              {entry.orderNumber
+                                ? `#${entry.orderNumber} · ${entry.productQuantity}× ${productById.get(String(entry.productId))?.name || ''}`
+                                : entry.notes || entry.createdBy?.username || '—'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Recipe Modal */}
+          {recipeForm && (
+            <div className="modal-overlay" onClick={() => setRecipeForm(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{recipeForm.existing ? 'Edit Recipe' : 'Add Recipe'}</h2>
+                  <button className="close-btn" onClick={() => setRecipeForm(null)}>{closeIcon}</button>
+                </div>
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Product <span style={{ color: 'red' }}>*</span></label>
+                      <select
+                        value={recipeForm.productId}
+                        disabled={recipeForm.existing}
+                        onChange={(e) => setRecipeForm(prev => ({ ...prev, productId: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="">Select product...</option>
+                        {products
+                          .filter(product => recipeForm.existing || !recipes.some(recipe => String(recipe.productId) === String(product._id)))
+                          .map(product => (
+                            <option key={product._id} value={String(product._id)}>{product.name}</option>
+                          ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Yield (product units per batch)</label>
+                      <input
+                        type="number"
+                        min="0.001"
+                        step="any"
+                        value={recipeForm.yield}
+                        onChange={(e) => setRecipeForm(prev => ({ ...prev, yield: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="rm-section">
+                    <h3>Ingredients per batch</h3>
+                    <table className="rm-lines">
+                      <thead>
+                        <tr>
+                          <th>Raw Material</th>
+                          <th>Quantity</th>
+                          <th>Unit</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {recipeForm.ingredients.map((ingredient, index) => {
+                          const material = materialById.get(ingredient.rawMaterialId);
+                          return (
+                            <tr key={index}>
+                              <td>
+                                <select
+                                  value={ingredient.rawMaterialId}
+                                  onChange={(e) => updateIngredient(index, 'rawMaterialId', e.target.value)}
+                                  className="form-control"
+                                >
+                                  <option value="">Select raw material...</option>
+                                  {allMaterials.map(option => (
+                                    <option key={option._id} value={String(option._id)}>{option.name}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="any"
+                                  value={ingredient.quantity}
+                                  onChange={(e) => updateIngredient(index, 'quantity', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td>
+                                <select
+                                  value={ingredient.unit}
+                                  onChange={(e) => updateIngredient(index, 'unit', e.target.value)}
+                                  className="form-control"
+                                  disabled={!material}
+                                >
+                                  {(UNIT_OPTIONS[material?.unit] || []).map(unit => (
+                                    <option key={unit} value={unit}>{unit}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td>
+                                {recipeForm.ingredients.length > 1 && (
+                                  <button
+                                    className="rm-remove-btn"
+                                    title="Remove ingredient"
+                                    onClick={() => setRecipeForm(prev => ({
+                                      ...prev,
+                                      ingredients: prev.ingredients.filter((_, i) => i !== index)
+                                    }))}
+                                  >
+                                    ×
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    <button
+                      className="rm-link-btn"
+                      onClick={() => setRecipeForm(prev => ({ ...prev, ingredients: [...prev.ingredients, { ...emptyIngredient }] }))}
+                    >
+                      + Add Ingredient
+                    </button>
+                    <textarea
+                      className="form-control"
+                      rows="2"
+                      placeholder="Preparation notes (optional)"
+                      value={recipeForm.notes}
+                      onChange={(e) => setRecipeForm(prev => ({ ...prev, notes: e.target.value }))}
+                    />
+                    {formError && <div className="rm-error">{formError}</div>}
+                  </div>
+                </div>
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setRecipeForm(null)}>Cancel</button>
+                  <button className="btn-primary" onClick={saveRecipe} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Recipe'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterRawMaterials;
@@ -62,6 +62,7 @@ const TheaterRoles = () => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
+    refundLimit: '',
     isActive: true
   });
 
@@ -262,6 +263,7 @@ const TheaterRoles = () => {
     setFormData({
       name: role.name || '',
       description: role.description || '',
+      refundLimit: role.refundLimit ?? '',
       isActive: role.isActive !== undefined ? role.isActive : true
     });
     setShowEditModal(true);
@@ -282,6 +284,7 @@ const TheaterRoles = () => {
     setFormData({
       name: '',
       description: '',
+      refundLimit: '',
       isActive: true
     });
     setSelectedRole(null);
@@ -341,6 +344,8 @@ const TheaterRoles = () => {
         },
         body: JSON.stringify({
           ...formData,
+          // Empty refund limit means no limit
+          refundLimit: formData.refundLimit === '' ? null : Number(formData.refundLimit),
           theaterId: theaterId
         }),
       });
@@ -360,6 +365,7 @@ const TheaterRoles = () => {
         setFormData({
           name: '',
           description: '',
+          refundLimit: '',
           isActive: true
         });
         setSelectedRole(null);
@@ -675,6 +681,17 @@ const TheaterRoles = () => {
                       rows="3"
                     />
                   </div>
+                  <div className="form-group">
+                    <label>Refund Limit (₹)</label>
+                    <input 
+                      type="number" 
+                      min="0"
+                      value={formData.refundLimit} 
+                      onChange={(e) => handleInputChange('refundLimit', e.target.value)}
+                      className="form-control"
+                      placeholder="No limit (0 = cannot refund)"
+                    />
+                  </div>
                 </div>
               </div>
               
@@ -746,6 +763,17 @@ const TheaterRoles = () => {
                       rows="3"
                     />
                   </div>
+                  <div className="form-group">
+                    <label>Refund Limit (₹)</label>
+                    <input 
+                      type="number" 
+                      min="0"
+                      value={formData.refundLimit} 
+                      onChange={(e) => handleInputChange('refundLimit', e.target.value)}
+                      className="form-control"
+                      placeholder="No limit (0 = cannot refund)"
+                    />
+                  </div>
                 </div>
               </div>
               
@@ -815,6 +843,15 @@ const TheaterRoles = () => {
                       rows="3"
                     />
                   </div>
+                  <div className="form-group">
+                    <label>Refund Limit</label>
+                    <input 
+                      type="text" 
+                      value={selectedRole?.refundLimit === null || selectedRole?.refundLimit === undefined ? 'No limit' : `₹${selectedRole.refundLimit}`} 
+                      className="form-control"
+                      readOnly
+                    />
+                  </div>
                   <div className="form-group">
                     <label>Permissions Count</label>
                     <input 
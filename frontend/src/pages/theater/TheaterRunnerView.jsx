@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { useToast } from '../../contexts/ToastContext';
+import { useOrderEvents, ORDER_EVENTS } from '../../hooks/useOrderEvents';
+import { describeModifiers } from '../../utils/modifierUtils';
+import config from '../../config';
+import '../../styles/pages/theater/TheaterRunnerView.css';
+
+// How often the queue is refreshed while the live event stream is down
+const REFRESH_INTERVAL = 15000;
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${getToken()}`,
+  'Content-Type': 'application/json'
+});
+
+// Runner View - mobile queue of seat deliveries for the signed-in runner
+const TheaterRunnerView = () => {
+  const { theaterId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+
+  const [queue, setQueue] = useState({ onDuty: false, orders: [] });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState({});
+
+  const fetchQueue = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/delivery/${theaterId}/my-queue`, {
+        headers: { ...authHeaders(), 'Cache-Control': 'no-cache' }
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setQueue(data.data);
+    } catch (error) {
+      console.error('Runner queue fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId]);
+
+  const { connected } = useOrderEvents(theaterId, fetchQueue, {
+    events: [ORDER_EVENTS.ORDER_STATUS_CHANGED, ORDER_EVENTS.ORDER_ASSIGNED]
+  });
+
+  useEffect(() => {
+    fetchQueue();
+    if (connected) return undefined;
+    const refreshTimer = setInterval(fetchQueue, REFRESH_INTERVAL);
+    return () => clearInterval(refreshTimer);
+  }, [fetchQueue, connected]);
+
+  const sendRequest = async (key, path, body) => {
+    setBusy(prev => ({ ...prev, [key]: true }));
+
+    try {
+      const response = await fetch(`${config.api.baseUrl}/delivery/${theaterId}${path}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        ...(body && { body: JSON.stringify(body) })
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message || 'Request failed');
+    } finally {
+      setBusy(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+      fetchQueue();
+    }
+  };
+
+  return (
+    <ErrorBoundary>
+      <div className="runner-page">
+        <header className="runner-header">
+          <button className="runner-back" onClick={() => navigate(-1)} aria-label="Back">←</button>
+          <div className="runner-title">
+            <h1>My Deliveries</h1>
+            <span>{queue.orders.length} to deliver</span>
+          </div>
+          <button
+            className={`runner-duty ${queue.onDuty ? 'on' : ''}`}
+            disabled={!!busy.duty || loading}
+            onClick={() => sendRequest('duty', '/duty', { onDuty: !queue.onDuty })}
+          >
+            {queue.onDuty ? 'On Duty' : 'Off Duty'}
+          </button>
+        </header>
+
+        <main className="runner-queue">
+          {loading ? (
+            <div className="runner-empty">Loading...</div>
+          ) : queue.orders.length === 0 ? (
+            <div className="runner-empty">
+              <h3>Nothing to deliver</h3>
+              <p>{queue.onDuty ? 'New deliveries appear here when they are assigned to you.' : 'Go on duty to receive deliveries.'}</p>
+            </div>
+          ) : queue.orders.map(order => (
+            <div key={order._id} className="runner-order">
+              <div className="runner-order-header">
+                <div>
+                  <div className="runner-seat">{order.seat}</div>
+                  <div className="runner-screen">{order.screen}</div>
+                </div>
+                <div className="runner-order-meta">
+                  <div>#{order.orderNumber}</div>
+                  {order.customerName && <div>{order.customerName}</div>}
+                  {order.paymentStatus !== 'paid' && <div className="runner-unpaid">Collect ₹{Number(order.total).toFixed(2)}</div>}
+                </div>
+              </div>
+
+              <ul className="runner-items">
+                {order.items.map((item, index) => (
+                  <li key={`${order._id}-${index}`}>
+                    <strong>{item.quantity}×</strong> {item.name}
+                    {item.variants?.length > 0 && <span className="runner-item-extra"> + {describeModifiers(item.variants)}</span>}
+                    {item.comboItems?.length > 0 && (
+                      <span className="runner-item-extra">
+                        {' '}({item.comboItems.map(component => `${component.quantity}× ${component.productName}`).join(', ')})
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {order.specialInstructions && (
+                <div className="runner-note">Note: {order.specialInstructions}</div>
+              )}
+
+              <button
+                className="runner-served-btn"
+                disabled={!!busy[order._id]}
+                onClick={() => sendRequest(order._id, `/orders/${order._id}/served`)}
+              >
+                Mark Served
+              </button>
+            </div>
+          ))}
+        </main>
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterRunnerView;
@@ -5,6 +5,7 @@ import TheaterLayout from '../../components/theater/TheaterLayout';
 import PageContainer from '../../components/PageContainer';
 import { FormGroup, FormInput, FormSection, Button } from '../../components/GlobalDesignSystem';
 import ErrorBoundary from '../../components/ErrorBoundary';
+import PrinterSettings from '../../components/PrinterSettings';
 import config from '../../config';
 import '../../styles/Settings.css';
 import { ultraFetch, useUltraFetch } from '../../utils/ultraFetch';
@@ -118,6 +119,7 @@ function TheaterSettings() {
     { id: 'agreement', label: 'Agreement Details', icon: '📋' },
     { id: 'social', label: 'Social Media Accounts', icon: '🌐' },
     { id: 'photos', label: 'Photos & Media', icon: '📸' },
+    { id: 'printers', label: 'Printers', icon: '🖨️' },
     // { id: 'documents', label: 'Documents', icon: '📄' },
     // { id: 'preferences', label: 'Preferences', icon: '⚙️' }
   ];
@@ -1014,6 +1016,11 @@ function TheaterSettings() {
                 </div>
               )}
 
+              {/* Printers Tab */}
+              {activeTab === 'printers' && (
+                <PrinterSettings theaterId={theaterId || userTheaterId} />
+              )}
+
               {/* Documents Tab */}
               {activeTab === 'documents' && (
                 <div className="settings-section">
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import ShiftReportModal from '../../components/ShiftReportModal';
+import CloseShiftModal from '../../components/CloseShiftModal';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useToast } from '../../contexts/ToastContext';
+import { fetchShiftReport } from '../../utils/shiftSession';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/TheaterGlobalModals.css';
+import '../../styles/pages/theater/TheaterShifts.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+const formatAmount = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+const varianceClass = (value) => (value < 0 ? 'short' : value > 0 ? 'over' : '');
+
+/**
+ * Theater Shifts
+ * Cashier shifts across all drawers: floats, cash-up variances and the X/Z report of each shift.
+ * Managers can also close a shift a cashier left open.
+ */
+const TheaterShifts = () => {
+  const { theaterId } = useParams();
+  const toast = useToast();
+
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [dateFilter, setDateFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const [report, setReport] = useState(null);
+  const [closing, setClosing] = useState(null);
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const loadShifts = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+      if (statusFilter) params.set('status', statusFilter);
+      if (dateFilter) {
+        params.set('startDate', new Date(`${dateFilter}T00:00:00`).toISOString());
+        params.set('endDate', new Date(`${dateFilter}T23:59:59.999`).toISOString());
+      }
+
+      const response = await fetch(`${config.api.baseUrl}/shifts/${theaterId}?${params.toString()}`, { headers: authHeaders });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+      }
+      setShifts(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load shifts');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, statusFilter, dateFilter, authHeaders, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadShifts, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadShifts, searchTerm]);
+
+  const showReport = async (shift) => {
+    try {
+      setReport(await fetchShiftReport(theaterId, shift._id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load the shift report');
+    }
+  };
+
+  const handleClosed = (closedShift) => {
+    setClosing(null);
+    toast.success(`Shift ${closedShift.shiftNumber} closed`);
+    loadShifts();
+    showReport(closedShift);
+  };
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Shifts" currentPage="shifts">
+        <PageContainer title="Cashier Shifts">
+          <div className="theater-filters">
+            <div className="search-box">
+              <input
+                type="text"
+                placeholder="Search by shift number, drawer or cashier..."
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="search-input"
+              />
+            </div>
+            <div className="filter-controls">
+              <input
+                type="date"
+                value={dateFilter}
+                onChange={(e) => {
+                  setDateFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              />
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              >
+                <option value="">All Statuses</option>
+                <option value="open">Open</option>
+                <option value="closed">Closed</option>
+              </select>
+              <div className="results-count">
+                Showing {shifts.length} of {pagination.totalItems} shifts
+              </div>
+            </div>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Shift</th>
+                  <th>Cashier</th>
+                  <th>Opened</th>
+                  <th>Closed</th>
+                  <th>Float</th>
+                  <th>Expected</th>
+                  <th>Counted</th>
+                  <th>Variance</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="11" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading shifts...</span>
+                    </td>
+                  </tr>
+                ) : shifts.length > 0 ? (
+                  shifts.map((shift, index) => (
+                    <tr key={shift._id} className="theater-row">
+                      <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-info">
+                          <div className="qr-name">{shift.shiftNumber}</div>
+                          {shift.drawer && <div className="shift-muted">{shift.drawer}</div>}
+                        </div>
+                      </td>
+                      <td>{shift.cashier?.username || '—'}</td>
+                      <td>{formatDateTime(shift.openedAt)}</td>
+                      <td>
+                        {formatDateTime(shift.closedAt)}
+                        {shift.closedBy?.username && shift.closedBy.userId !== shift.cashier?.userId && (
+                          <div className="shift-muted">by {shift.closedBy.username}</div>
+                        )}
+                      </td>
+                      <td>{formatAmount(shift.openingFloat)}</td>
+                      <td>{shift.closing ? formatAmount(shift.closing.expectedCash) : '—'}</td>
+                      <td>{shift.closing ? formatAmount(shift.closing.countedCash) : '—'}</td>
+                      <td className={`shift-variance ${varianceClass(shift.closing?.variance)}`}>
+                        {shift.closing ? formatAmount(shift.closing.variance) : '—'}
+                      </td>
+                      <td className="status-cell">
+                        <span className={`shift-status ${shift.status}`}>{shift.status === 'open' ? 'Open' : 'Closed'}</span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton
+                            type="view"
+                            onClick={() => showReport(shift)}
+                            title={shift.status === 'open' ? 'X Report' : 'Z Report'}
+                          />
+                          {shift.status === 'open' && (
+                            <ActionButton type="delete" onClick={() => setClosing(shift)} title="Close Shift" />
+                          )}
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="11" className="empty-cell">
+                      <i className="fas fa-cash-register fa-3x"></i>
+                      <h3>No Shifts Found</h3>
+                      <p>Cashiers open a shift with their float from the POS.</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              totalItems={pagination.totalItems}
+              itemsPerPage={itemsPerPage}
+              onPageChange={setCurrentPage}
+              itemType="shifts"
+            />
+          )}
+
+          {closing && (
+            <CloseShiftModal
+              shift={closing}
+              theaterId={theaterId}
+              onClose={() => setClosing(null)}
+              onClosed={handleClosed}
+            />
+          )}
+
+          {report && (
+            <ShiftReportModal report={report} theaterId={theaterId} onClose={() => setReport(null)} />
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterShifts;
@@ -0,0 +1,637 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import {
+  DEFAULT_SHOWTIME_SETTINGS,
+  SHOWTIME_CSV_TEMPLATE,
+  emptyShowtimeForm,
+  toShowtimeForm,
+  toShowtimePayload,
+  showtimeWindows,
+  toDateInput,
+  formatTime
+} from '../../utils/showtimeUtils';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/TheaterGlobalModals.css';
+import '../../styles/pages/theater/TheaterShowtimes.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor" style={{width: '20px', height: '20px'}}>
+    <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+  </svg>
+);
+
+/**
+ * Theater Showtimes
+ * The film schedule of each screen, entered by hand or imported from CSV, and the theater's
+ * ordering windows: seat QR ordering opens before each show and around the interval and pauses for the climax.
+ */
+const TheaterShowtimes = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [showtimes, setShowtimes] = useState([]);
+  const [screens, setScreens] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SHOWTIME_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [dateFilter, setDateFilter] = useState(() => toDateInput());
+  const [screenFilter, setScreenFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(20);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  // 'showtime' | 'import' | 'settings'
+  const [modal, setModal] = useState(null);
+  const [editingShowtime, setEditingShowtime] = useState(null);
+  const [formData, setFormData] = useState(() => emptyShowtimeForm());
+  const [settingsForm, setSettingsForm] = useState(DEFAULT_SHOWTIME_SETTINGS);
+  const [csvFile, setCsvFile] = useState(null);
+  const [importErrors, setImportErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${config.api.baseUrl}/showtimes/${theaterId}${path}`, { headers: authHeaders, ...options });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      const error = new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+      error.details = data.details;
+      throw error;
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  const loadShowtimes = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (screenFilter) params.set('screen', screenFilter);
+      if (dateFilter) {
+        params.set('startDate', new Date(`${dateFilter}T00:00:00`).toISOString());
+        params.set('endDate', new Date(`${dateFilter}T23:59:59.999`).toISOString());
+      }
+
+      const data = await request(`?${params.toString()}`);
+      setShowtimes(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load showtimes');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, screenFilter, dateFilter, request, toast]);
+
+  useEffect(() => {
+    loadShowtimes();
+  }, [loadShowtimes]);
+
+  // Screens to pick from and the theater's ordering windows
+  useEffect(() => {
+    if (!theaterId) return;
+    Promise.all([request('/screens'), request('/settings')])
+      .then(([screensData, settingsData]) => {
+        setScreens(screensData.data || []);
+        setSettings(settingsData.data || DEFAULT_SHOWTIME_SETTINGS);
+      })
+      .catch(error => toast.error(error.message || 'Failed to load screens'));
+  }, [theaterId, request, toast]);
+
+  const openModal = (name) => {
+    setFormError('');
+    setImportErrors([]);
+    setModal(name);
+  };
+
+  const closeModal = () => {
+    if (!saving) setModal(null);
+  };
+
+  const openCreate = () => {
+    setEditingShowtime(null);
+    setFormData(emptyShowtimeForm(screenFilter || screens[0] || '', dateFilter || toDateInput()));
+    openModal('showtime');
+  };
+
+  const openEdit = (showtime) => {
+    setEditingShowtime(showtime);
+    setFormData(toShowtimeForm(showtime));
+    openModal('showtime');
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateBlackout = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      blackouts: prev.blackouts.map((blackout, i) => (i === index ? { ...blackout, [field]: value } : blackout))
+    }));
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setFormError('');
+    try {
+      await action();
+      setModal(null);
+    } catch (error) {
+      setFormError(error.message);
+      setImportErrors(error.details?.filter(detail => detail.line) || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = () => run(async () => {
+    if (!formData.screen || !formData.movieTitle.trim() || !formData.date || !formData.start || !formData.end) {
+      throw new Error('Screen, movie, date, start and end are required');
+    }
+    await request(editingShowtime ? `/${editingShowtime._id}` : '', {
+      method: editingShowtime ? 'PUT' : 'POST',
+      body: JSON.stringify(toShowtimePayload(formData))
+    });
+    toast.success(editingShowtime ? 'Showtime updated' : 'Showtime added');
+    loadShowtimes();
+  });
+
+  const handleImport = () => run(async () => {
+    if (!csvFile) throw new Error('Choose a CSV file');
+    const data = await request('/import', {
+      method: 'POST',
+      body: JSON.stringify({ csv: await csvFile.text() })
+    });
+    toast.success(`${data.data.created} showtimes added, ${data.data.updated} updated`);
+    setCsvFile(null);
+    loadShowtimes();
+  });
+
+  const handleSaveSettings = () => run(async () => {
+    const data = await request('/settings', {
+      method: 'PUT',
+      body: JSON.stringify({
+        preShowMinutes: parseInt(settingsForm.preShowMinutes) || 0,
+        intervalLeadMinutes: parseInt(settingsForm.intervalLeadMinutes) || 0,
+        climaxBlackoutMinutes: parseInt(settingsForm.climaxBlackoutMinutes) || 0,
+        orderDuringShow: Boolean(settingsForm.orderDuringShow)
+      })
+    });
+    setSettings(data.data);
+    toast.success('Ordering windows updated');
+  });
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([SHOWTIME_CSV_TEMPLATE], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'showtimes.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDelete = (showtime) => {
+    confirm({
+      title: 'Delete Showtime',
+      message: `Delete ${showtime.movieTitle} on ${showtime.screen} at ${formatTime(showtime.startTime)}?`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        try {
+          await request(`/${showtime._id}`, { method: 'DELETE' });
+          toast.success('Showtime deleted');
+          loadShowtimes();
+        } catch (error) {
+          toast.error(error.message || 'Failed to delete showtime');
+        }
+      }
+    });
+  };
+
+  const headerButton = (
+    <div style={{ display: 'flex', gap: '8px' }}>
+      <button className="header-btn" onClick={() => { setSettingsForm(settings); openModal('settings'); }}>
+        Ordering Windows
+      </button>
+      <button className="header-btn" onClick={() => { setCsvFile(null); openModal('import'); }}>
+        Import CSV
+      </button>
+      <button className="header-btn" onClick={openCreate}>
+        <span className="btn-icon">
+          <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+            <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+          </svg>
+        </span>
+        Add Showtime
+      </button>
+    </div>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Showtimes" currentPage="showtimes">
+        <PageContainer title="Showtimes" headerButton={headerButton}>
+          <div className="theater-filters">
+            <div className="filter-controls">
+              <input
+                type="date"
+                value={dateFilter}
+                onChange={(e) => {
+                  setDateFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              />
+              <select
+                value={screenFilter}
+                onChange={(e) => {
+                  setScreenFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="status-filter"
+              >
+                <option value="">All Screens</option>
+                {screens.map(screen => (
+                  <option key={screen} value={screen}>{screen}</option>
+                ))}
+              </select>
+              <div className="results-count">
+                Showing {showtimes.length} of {pagination.totalItems} showtimes
+              </div>
+            </div>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th>Screen</th>
+                  <th className="name-cell">Movie</th>
+                  <th>Start</th>
+                  <th>Interval</th>
+                  <th>End</th>
+                  <th>Seat Ordering</th>
+                  <th className="status-cell">Source</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading showtimes...</span>
+                    </td>
+                  </tr>
+                ) : showtimes.length > 0 ? (
+                  showtimes.map((showtime, index) => {
+                    const windows = showtimeWindows(showtime, settings);
+                    return (
+                      <tr key={showtime._id} className="theater-row">
+                        <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                        <td>{showtime.screen}</td>
+                        <td className="name-cell">
+                          <div className="qr-info">
+                            <div className="qr-name">{showtime.movieTitle}</div>
+                            {showtime.language && <div className="showtime-muted">{showtime.language}</div>}
+                          </div>
+                        </td>
+                        <td>{formatTime(showtime.startTime)}</td>
+                        <td>
+                          {showtime.intervalStart
+                            ? `${formatTime(showtime.intervalStart)} · ${showtime.intervalMinutes} min`
+                            : '—'}
+                        </td>
+                        <td>{formatTime(showtime.endTime)}</td>
+                        <td>
+                          <div className="showtime-windows">
+                            <span className="open">Opens {formatTime(windows.opensAt)}</span>
+                            {windows.intervalOpensAt && (
+                              <span className="open">Interval {formatTime(windows.intervalOpensAt)} – {formatTime(windows.intervalEnd)}</span>
+                            )}
+                            <span className="paused">Climax from {formatTime(windows.blackoutAt)}</span>
+                            {showtime.blackouts?.length > 0 && (
+                              <span className="paused">{showtime.blackouts.length} blackout{showtime.blackouts.length > 1 ? 's' : ''}</span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="status-cell">
+                          <span className="showtime-source">{showtime.source === 'csv' ? 'CSV' : 'Manual'}</span>
+                        </td>
+                        <td className="actions-cell">
+                          <ActionButtons>
+                            <ActionButton type="edit" onClick={() => openEdit(showtime)} title="Edit Showtime" />
+                            <ActionButton type="delete" onClick={() => handleDelete(showtime)} title="Delete Showtime" />
+                          </ActionButtons>
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="empty-cell">
+                      <i className="fas fa-film fa-3x"></i>
+                      <h3>No Showtimes</h3>
+                      <p>Screens without showtimes take seat orders at any time.</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              totalItems={pagination.totalItems}
+              itemsPerPage={itemsPerPage}
+              onPageChange={setCurrentPage}
+              itemType="showtimes"
+            />
+          )}
+
+          {modal === 'showtime' && (
+            <div className="modal-overlay" onClick={closeModal}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingShowtime ? 'Edit Showtime' : 'Add Showtime'}</h2>
+                  <button className="close-btn" onClick={closeModal}><CloseIcon /></button>
+                </div>
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="showtime-form-row">
+                      <div className="form-group">
+                        <label>Screen</label>
+                        <select
+                          value={formData.screen}
+                          onChange={(e) => handleInputChange('screen', e.target.value)}
+                          className="form-control"
+                        >
+                          <option value="">Select screen</option>
+                          {screens.map(screen => (
+                            <option key={screen} value={screen}>{screen}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label>Date</label>
+                        <input
+                          type="date"
+                          value={formData.date}
+                          onChange={(e) => handleInputChange('date', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                    </div>
+                    <div className="showtime-form-row">
+                      <div className="form-group">
+                        <label>Movie</label>
+                        <input
+                          type="text"
+                          value={formData.movieTitle}
+                          onChange={(e) => handleInputChange('movieTitle', e.target.value)}
+                          className="form-control"
+                          autoFocus
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Language</label>
+                        <input
+                          type="text"
+                          value={formData.language}
+                          onChange={(e) => handleInputChange('language', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                    </div>
+                    <div className="showtime-form-row">
+                      <div className="form-group">
+                        <label>Start</label>
+                        <input
+                          type="time"
+                          value={formData.start}
+                          onChange={(e) => handleInputChange('start', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>End</label>
+                        <input
+                          type="time"
+                          value={formData.end}
+                          onChange={(e) => handleInputChange('end', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                    </div>
+                    <div className="showtime-form-row">
+                      <div className="form-group">
+                        <label>Interval (leave empty if none)</label>
+                        <input
+                          type="time"
+                          value={formData.interval}
+                          onChange={(e) => handleInputChange('interval', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Interval Minutes</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="60"
+                          value={formData.intervalMinutes}
+                          onChange={(e) => handleInputChange('intervalMinutes', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+                    </div>
+                    <div className="form-group">
+                      <label>Blackouts (besides the last {settings.climaxBlackoutMinutes} min climax)</label>
+                      {formData.blackouts.map((blackout, index) => (
+                        <div key={index} className="showtime-blackout">
+                          <input
+                            type="time"
+                            value={blackout.start}
+                            onChange={(e) => updateBlackout(index, 'start', e.target.value)}
+                            className="form-control"
+                          />
+                          <input
+                            type="time"
+                            value={blackout.end}
+                            onChange={(e) => updateBlackout(index, 'end', e.target.value)}
+                            className="form-control"
+                          />
+                          <input
+                            type="text"
+                            value={blackout.reason}
+                            onChange={(e) => updateBlackout(index, 'reason', e.target.value)}
+                            className="form-control"
+                            placeholder="Reason"
+                          />
+                          <button
+                            type="button"
+                            className="showtime-link-btn"
+                            onClick={() => handleInputChange('blackouts', formData.blackouts.filter((_, i) => i !== index))}
+                            title="Remove"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="showtime-link-btn"
+                        onClick={() => handleInputChange('blackouts', [...formData.blackouts, { start: '', end: '', reason: '' }])}
+                      >
+                        + Add blackout
+                      </button>
+                    </div>
+                    {formError && <div className="error-message">{formError}</div>}
+                  </div>
+                </div>
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={closeModal} disabled={saving}>Cancel</button>
+                  <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {modal === 'import' && (
+            <div className="modal-overlay" onClick={closeModal}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>Import Showtimes</h2>
+                  <button className="close-btn" onClick={closeModal}><CloseIcon /></button>
+                </div>
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <p className="showtime-muted">
+                      Columns: screen, movie, date (YYYY-MM-DD), start and end (HH:mm), and optionally language,
+                      interval (HH:mm) and interval minutes. A row for a screen and start time already scheduled replaces it.
+                      Nothing is imported unless every row is valid.
+                    </p>
+                    <button type="button" className="showtime-link-btn" onClick={downloadTemplate}>
+                      Download template
+                    </button>
+                    <div className="form-group">
+                      <label>CSV File</label>
+                      <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        onChange={(e) => setCsvFile(e.target.files[0] || null)}
+                        className="form-control"
+                      />
+                    </div>
+                    {formError && <div className="error-message">{formError}</div>}
+                    {importErrors.length > 0 && (
+                      <ul className="showtime-import-errors">
+                        {importErrors.map((detail, index) => (
+                          <li key={index}>Line {detail.line}: {detail.error}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={closeModal} disabled={saving}>Cancel</button>
+                  <button className="btn-primary" onClick={handleImport} disabled={saving || !csvFile}>
+                    {saving ? 'Importing...' : 'Import'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {modal === 'settings' && (
+            <div className="modal-overlay" onClick={closeModal}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>Ordering Windows</h2>
+                  <button className="close-btn" onClick={closeModal}><CloseIcon /></button>
+                </div>
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Open before the show (minutes)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={settingsForm.preShowMinutes}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, preShowMinutes: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Open before the interval (minutes)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={settingsForm.intervalLeadMinutes}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, intervalLeadMinutes: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Climax blackout before the end (minutes)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={settingsForm.climaxBlackoutMinutes}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, climaxBlackoutMinutes: e.target.value }))}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(settingsForm.orderDuringShow)}
+                          onChange={(e) => setSettingsForm(prev => ({ ...prev, orderDuringShow: e.target.checked }))}
+                        />
+                        {' '}Also take orders while the film is playing (outside blackouts)
+                      </label>
+                    </div>
+                    {formError && <div className="error-message">{formError}</div>}
+                  </div>
+                </div>
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={closeModal} disabled={saving}>Cancel</button>
+                  <button className="btn-primary" onClick={handleSaveSettings} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterShowtimes;
@@ -0,0 +1,783 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/pages/theater/TheaterStockTakes.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const STATUS_LABELS = {
+  open: 'Counting',
+  submitted: 'Awaiting Approval',
+  approved: 'Approved',
+  cancelled: 'Cancelled'
+};
+
+// A camera that keeps seeing the same barcode only counts it again after this long
+const SCAN_REPEAT_DELAY = 1500;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+const formatAmount = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+const isCounted = (item) => item.countedQuantity !== null && item.countedQuantity !== undefined;
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Camera barcode scanner for phones, using the browser's BarcodeDetector
+ */
+const CameraScanner = ({ onScan, onClose }) => {
+  const videoRef = useRef(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let lastCode = '';
+    let lastAt = 0;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector();
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          const code = codes[0]?.rawValue;
+          if (!code) return;
+          if (code === lastCode && Date.now() - lastAt < SCAN_REPEAT_DELAY) return;
+          lastCode = code;
+          lastAt = Date.now();
+          onScan(code);
+        }, 300);
+      } catch {
+        setError('Could not open the camera. Use a barcode scanner or type the barcode instead.');
+      }
+    };
+    start();
+
+    return () => {
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [onScan]);
+
+  return (
+    <div className="stk-camera">
+      {error ? <div className="stk-error">{error}</div> : <video ref={videoRef} muted playsInline />}
+      <button className="cancel-btn" onClick={onClose}>Close Camera</button>
+    </div>
+  );
+};
+
+/**
+ * Theater Stock-Takes
+ * Count stock by category (by hand, with a barcode scanner or a phone camera),
+ * review the variances against the book balance and approve them as adjustments.
+ */
+const TheaterStockTakes = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [counts, setCounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const [categories, setCategories] = useState([]);
+  const [newCount, setNewCount] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Count sheet of the open session
+  const [sheet, setSheet] = useState(null);
+  const [sheetSearch, setSheetSearch] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [barcode, setBarcode] = useState('');
+  const [lastScan, setLastScan] = useState(null);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [approval, setApproval] = useState(null);
+  const barcodeRef = useRef(null);
+
+  const canUseCamera = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices;
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path, method = 'GET', body) => {
+    const response = await fetch(`${config.api.baseUrl}/stock-takes/${theaterId}${path}`, {
+      method,
+      headers: authHeaders,
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  const loadCounts = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+      if (statusFilter) params.set('status', statusFilter);
+
+      const data = await request(`?${params.toString()}`);
+      setCounts(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load stock-takes');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, statusFilter, request, toast]);
+
+  useEffect(() => {
+    if (sheet) return undefined;
+    const timer = setTimeout(loadCounts, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [sheet, loadCounts, searchTerm]);
+
+  useEffect(() => {
+    if (!theaterId) return;
+    fetch(`${config.api.baseUrl}/theater-categories/${theaterId}?limit=100`, { headers: authHeaders })
+      .then(res => res.json())
+      .then(data => setCategories((data.data?.categories || []).filter(category => category.isActive !== false)))
+      .catch(() => {
+        // The category list stays empty; the API still validates what is sent
+      });
+  }, [theaterId, authHeaders]);
+
+  // ---- Sessions ----
+
+  const openNewCount = useCallback(() => {
+    setNewCount({ categoryIds: [], notes: '' });
+    setFormError('');
+  }, []);
+
+  const toggleCategory = (categoryId) => {
+    setNewCount(prev => ({
+      ...prev,
+      categoryIds: prev.categoryIds.includes(categoryId)
+        ? prev.categoryIds.filter(id => id !== categoryId)
+        : [...prev.categoryIds, categoryId]
+    }));
+  };
+
+  const showSheet = (count) => {
+    setSheet(count);
+    setDrafts({});
+    setSheetSearch('');
+    setUncountedOnly(false);
+    setLastScan(null);
+    setBarcode('');
+  };
+
+  const submitNewCount = async () => {
+    if (newCount.categoryIds.length === 0) {
+      setFormError('Pick at least one category to count');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const data = await request('', 'POST', {
+        categoryIds: newCount.categoryIds,
+        notes: newCount.notes.trim()
+      });
+      toast.success(data.message);
+      setNewCount(null);
+      showSheet(data.data);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCount = async (count) => {
+    try {
+      const data = await request(`/${count._id}`);
+      showSheet(data.data);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const closeSheet = useCallback(() => {
+    setSheet(null);
+    setCameraOpen(false);
+  }, []);
+
+  const cancelCount = (count) => {
+    confirm({
+      title: 'Cancel Stock-Take',
+      message: `Cancel ${count.countNumber}? Nothing counted in it will be adjusted.`,
+      type: 'danger',
+      confirmText: 'Cancel Stock-Take',
+      onConfirm: async () => {
+        try {
+          const data = await request(`/${count._id}/cancel`, 'PUT');
+          toast.success(data.message);
+          setSheet(prev => (prev && prev._id === count._id ? data.data : prev));
+          loadCounts();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  // ---- Counting ----
+
+  // Keyed on the id only so the camera scanner isn't restarted by every recorded count
+  const sheetId = sheet?._id;
+  const recordLines = useCallback(async (lines) => {
+    const data = await request(`/${sheetId}/items`, 'PUT', { items: lines });
+    setSheet(data.data);
+    return data.data;
+  }, [request, sheetId]);
+
+  const saveCounted = async (item) => {
+    const value = drafts[item._id];
+    if (value === undefined) return;
+    if (value === '' || Number(value) === item.countedQuantity) {
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[item._id];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      await recordLines([{ itemId: item._id, quantity: Number(value), mode: 'set' }]);
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[item._id];
+        return next;
+      });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Each scan counts one unit of the product with that barcode
+  const recordScan = useCallback(async (code) => {
+    const value = String(code).trim();
+    if (!value) return;
+
+    try {
+      const count = await recordLines([{ barcode: value, quantity: 1, mode: 'add' }]);
+      const item = count.items.find(entry => entry.barcode === value);
+      setLastScan({ ok: true, text: `${item?.productName || value}: ${item?.countedQuantity ?? ''} counted` });
+    } catch (error) {
+      setLastScan({ ok: false, text: error.message });
+    }
+  }, [recordLines]);
+
+  const submitBarcode = (e) => {
+    e.preventDefault();
+    recordScan(barcode);
+    setBarcode('');
+    barcodeRef.current?.focus();
+  };
+
+  const changeStatus = async (action) => {
+    try {
+      const data = await request(`/${sheet._id}/${action}`, 'PUT');
+      toast.success(data.message);
+      setSheet(data.data);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const submitCount = () => {
+    const uncounted = sheet.totals.itemCount - sheet.totals.countedCount;
+    confirm({
+      title: 'Submit Stock-Take',
+      message: uncounted > 0
+        ? `${uncounted} product(s) have not been counted and will not be adjusted. Submit ${sheet.countNumber} for approval?`
+        : `Submit ${sheet.countNumber} for approval?`,
+      confirmText: 'Submit',
+      onConfirm: () => changeStatus('submit')
+    });
+  };
+
+  const approveCount = async () => {
+    if (!approval.reason.trim()) {
+      setFormError('Give a reason for the adjustments');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const data = await request(`/${sheet._id}/approve`, 'PUT', { reason: approval.reason.trim() });
+      toast.success(data.message);
+      setSheet(data.data);
+      setApproval(null);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const visibleItems = useMemo(() => {
+    if (!sheet) return [];
+    const search = sheetSearch.trim().toLowerCase();
+    return sheet.items.filter(item =>
+      (!uncountedOnly || !isCounted(item)) &&
+      (!search || item.productName.toLowerCase().includes(search) || (item.barcode || '').includes(search))
+    );
+  }, [sheet, sheetSearch, uncountedOnly]);
+
+  const headerButton = useMemo(() => (sheet ? (
+    <button className="header-btn" onClick={closeSheet}>
+      ← All Stock-Takes
+    </button>
+  ) : (
+    <button className="header-btn" onClick={openNewCount}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      New Stock-Take
+    </button>
+  )), [sheet, openNewCount, closeSheet]);
+
+  const closeIcon = (
+    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+    </svg>
+  );
+
+  const varianceClass = (value) => (value < 0 ? 'short' : value > 0 ? 'excess' : '');
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Stock-Takes" currentPage="stock-takes">
+        <PageContainer title={sheet ? `Stock-Take ${sheet.countNumber}` : 'Stock-Takes'} headerButton={headerButton}>
+
+          {!sheet && (
+            <>
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search by count number..."
+                    value={searchTerm}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="search-input"
+                  />
+                </div>
+                <div className="filter-controls">
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="status-filter"
+                  >
+                    <option value="">All Statuses</option>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <div className="results-count">
+                    Showing {counts.length} of {pagination.totalItems} stock-takes
+                  </div>
+                </div>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="sno-cell">S.No</th>
+                      <th className="name-cell">Stock-Take</th>
+                      <th>Counted</th>
+                      <th>Short</th>
+                      <th>Excess</th>
+                      <th>Net Variance</th>
+                      <th>Approved</th>
+                      <th className="status-cell">Status</th>
+                      <th className="actions-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="9" className="loading-cell">
+                          <div className="loading-spinner"></div>
+                          <span>Loading stock-takes...</span>
+                        </td>
+                      </tr>
+                    ) : counts.length > 0 ? (
+                      counts.map((count, index) => (
+                        <tr key={count._id} className={`theater-row ${count.status === 'cancelled' ? 'inactive' : ''}`}>
+                          <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                          <td className="name-cell">
+                            <div className="qr-info">
+                              <div className="qr-name">{count.countNumber}</div>
+                              <div className="stk-muted">
+                                {count.categories.map(category => category.categoryName).join(', ')} · {formatDateTime(count.createdAt)}
+                              </div>
+                            </div>
+                          </td>
+                          <td>{count.totals.countedCount} / {count.totals.itemCount}</td>
+                          <td className="stk-variance short">{formatAmount(count.totals.shortValue)}</td>
+                          <td className="stk-variance excess">{formatAmount(count.totals.excessValue)}</td>
+                          <td className={`stk-variance ${varianceClass(count.totals.netValue)}`}>{formatAmount(count.totals.netValue)}</td>
+                          <td>
+                            {count.approvedBy?.at ? (
+                              <>
+                                <div>{count.approvedBy.username}</div>
+                                <div className="stk-muted">{formatDateTime(count.approvedBy.at)}</div>
+                              </>
+                            ) : '—'}
+                          </td>
+                          <td className="status-cell">
+                            <span className={`stk-status ${count.status}`}>{STATUS_LABELS[count.status]}</span>
+                          </td>
+                          <td className="actions-cell">
+                            <ActionButtons>
+                              <ActionButton
+                                type={count.status === 'open' ? 'edit' : 'view'}
+                                onClick={() => openCount(count)}
+                                title={count.status === 'open' ? 'Continue Counting' : 'View Stock-Take'}
+                              />
+                              {['open', 'submitted'].includes(count.status) && (
+                                <ActionButton type="delete" onClick={() => cancelCount(count)} title="Cancel Stock-Take" />
+                              )}
+                            </ActionButtons>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="9" className="empty-cell">
+                          <i className="fas fa-clipboard-check fa-3x"></i>
+                          <h3>No Stock-Takes Found</h3>
+                          <p>Count the stock of one or more categories and correct the balances from the count.</p>
+                          <button className="add-theater-btn" onClick={openNewCount}>
+                            Start First Stock-Take
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {!loading && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={pagination.totalPages}
+                  totalItems={pagination.totalItems}
+                  itemsPerPage={itemsPerPage}
+                  onPageChange={setCurrentPage}
+                  itemType="stock-takes"
+                />
+              )}
+            </>
+          )}
+
+          {sheet && (
+            <div className="stk-sheet">
+              <div className="stk-summary">
+                <div className="stk-summary-card">
+                  <span>Status</span>
+                  <strong><span className={`stk-status ${sheet.status}`}>{STATUS_LABELS[sheet.status]}</span></strong>
+                </div>
+                <div className="stk-summary-card">
+                  <span>Counted</span>
+                  <strong>{sheet.totals.countedCount} / {sheet.totals.itemCount}</strong>
+                </div>
+                <div className="stk-summary-card">
+                  <span>Short</span>
+                  <strong className="stk-variance short">{sheet.totals.shortUnits} · {formatAmount(sheet.totals.shortValue)}</strong>
+                </div>
+                <div className="stk-summary-card">
+                  <span>Excess</span>
+                  <strong className="stk-variance excess">{sheet.totals.excessUnits} · {formatAmount(sheet.totals.excessValue)}</strong>
+                </div>
+                <div className="stk-summary-card">
+                  <span>Net Variance</span>
+                  <strong className={`stk-variance ${varianceClass(sheet.totals.netValue)}`}>{formatAmount(sheet.totals.netValue)}</strong>
+                </div>
+              </div>
+
+              <div className="stk-meta">
+                <span>{sheet.categories.map(category => category.categoryName).join(', ')}</span>
+                <span>Opened by {sheet.openedBy?.username || '—'} on {formatDateTime(sheet.openedBy?.at || sheet.createdAt)}</span>
+                {sheet.submittedBy?.at && <span>Submitted by {sheet.submittedBy.username} on {formatDateTime(sheet.submittedBy.at)}</span>}
+                {sheet.approvedBy?.at && (
+                  <span>Approved by {sheet.approvedBy.username} on {formatDateTime(sheet.approvedBy.at)}: {sheet.reason}</span>
+                )}
+                {sheet.notes && <span>{sheet.notes}</span>}
+              </div>
+
+              {sheet.status === 'open' && (
+                <div className="stk-scan">
+                  <form onSubmit={submitBarcode} className="stk-scan-form">
+                    <input
+                      ref={barcodeRef}
+                      type="text"
+                      inputMode="numeric"
+                      placeholder="Scan or type a barcode, one unit per scan"
+                      value={barcode}
+                      onChange={(e) => setBarcode(e.target.value)}
+                      className="form-control"
+                      autoFocus
+                    />
+                    <button type="submit" className="btn-primary" disabled={!barcode.trim()}>Count</button>
+                    {canUseCamera && !cameraOpen && (
+                      <button type="button" className="cancel-btn" onClick={() => setCameraOpen(true)}>Use Camera</button>
+                    )}
+                  </form>
+                  {lastScan && <div className={`stk-last-scan ${lastScan.ok ? 'ok' : 'failed'}`}>{lastScan.text}</div>}
+                  {cameraOpen && <CameraScanner onScan={recordScan} onClose={() => setCameraOpen(false)} />}
+                </div>
+              )}
+
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search products or barcodes..."
+                    value={sheetSearch}
+                    onChange={(e) => setSheetSearch(e.target.value)}
+                    className="search-input"
+                  />
+                </div>
+                <div className="filter-controls">
+                  <label className="stk-toggle">
+                    <input
+                      type="checkbox"
+                      checked={uncountedOnly}
+                      onChange={(e) => setUncountedOnly(e.target.checked)}
+                    />
+                    Not counted yet
+                  </label>
+                </div>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="name-cell">Product</th>
+                      <th>Barcode</th>
+                      <th>Expected</th>
+                      <th>Counted</th>
+                      <th>Variance</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleItems.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" className="empty-cell">
+                          <h3>No products to show</h3>
+                        </td>
+                      </tr>
+                    ) : visibleItems.map(item => (
+                      <tr key={item._id} className="theater-row">
+                        <td className="name-cell">
+                          {item.productName}
+                          {item.countedBy?.username && <div className="stk-muted">{item.countedBy.username}</div>}
+                        </td>
+                        <td className="stk-muted">{item.barcode || '—'}</td>
+                        <td>{item.expectedQuantity}</td>
+                        <td>
+                          {sheet.status === 'open' ? (
+                            <input
+                              type="number"
+                              min="0"
+                              value={drafts[item._id] ?? (isCounted(item) ? item.countedQuantity : '')}
+                              placeholder="—"
+                              onChange={(e) => setDrafts(prev => ({ ...prev, [item._id]: e.target.value }))}
+                              onBlur={() => saveCounted(item)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                              className="form-control stk-count-input"
+                            />
+                          ) : (isCounted(item) ? item.countedQuantity : '—')}
+                        </td>
+                        <td className={`stk-variance ${varianceClass(item.variance)}`}>
+                          {isCounted(item) ? signed(item.variance) : '—'}
+                        </td>
+                        <td className={`stk-variance ${varianceClass(item.varianceValue)}`}>
+                          {isCounted(item) ? formatAmount(item.varianceValue) : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {['open', 'submitted'].includes(sheet.status) && (
+                <div className="stk-actions">
+                  <button className="cancel-btn" onClick={() => cancelCount(sheet)}>Cancel Stock-Take</button>
+                  {sheet.status === 'open' && (
+                    <button className="btn-primary" onClick={submitCount}>Submit for Approval</button>
+                  )}
+                  {sheet.status === 'submitted' && (
+                    <>
+                      <button className="cancel-btn" onClick={() => changeStatus('reopen')}>Reopen for Recount</button>
+                      <button
+                        className="btn-primary"
+                        onClick={() => {
+                          setApproval({ reason: '' });
+                          setFormError('');
+                        }}
+                      >
+                        Approve &amp; Post Adjustments
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* New Stock-Take Modal */}
+          {newCount && (
+            <div className="modal-overlay" onClick={() => setNewCount(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>New Stock-Take</h2>
+                  <button className="close-btn" onClick={() => setNewCount(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="stk-section">
+                    <h3>Categories to count <span style={{ color: 'red' }}>*</span></h3>
+                    <div className="stk-categories">
+                      {categories.map(category => (
+                        <label key={category._id}>
+                          <input
+                            type="checkbox"
+                            checked={newCount.categoryIds.includes(String(category._id))}
+                            onChange={() => toggleCategory(String(category._id))}
+                          />
+                          {category.categoryName}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="edit-form">
+                    <div className="form-group full-width">
+                      <label>Notes</label>
+                      <textarea
+                        value={newCount.notes}
+                        onChange={(e) => setNewCount(prev => ({ ...prev, notes: e.target.value }))}
+                        className="form-control"
+                        rows="2"
+                        maxLength={500}
+                      />
+                    </div>
+                  </div>
+                  {formError && <div className="stk-section stk-error">{formError}</div>}
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setNewCount(null)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={submitNewCount} disabled={saving}>
+                    {saving ? 'Opening...' : 'Start Counting'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Approve Modal */}
+          {approval && sheet && (
+            <div className="modal-overlay" onClick={() => setApproval(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>Approve {sheet.countNumber}</h2>
+                  <button className="close-btn" onClick={() => setApproval(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="stk-section">
+                    <p>
+                      {sheet.totals.shortUnits} unit(s) short ({formatAmount(sheet.totals.shortValue)}) and{' '}
+                      {sheet.totals.excessUnits} unit(s) over ({formatAmount(sheet.totals.excessValue)}) will be posted
+                      to the stock balances. Uncounted products are left as they are.
+                    </p>
+                  </div>
+                  <div className="edit-form">
+                    <div className="form-group full-width">
+                      <label>Reason <span style={{ color: 'red' }}>*</span></label>
+                      <textarea
+                        value={approval.reason}
+                        onChange={(e) => setApproval({ reason: e.target.value })}
+                        className="form-control"
+                        rows="3"
+                        maxLength={300}
+                        placeholder="e.g. Month-end count, breakage not recorded"
+                      />
+                    </div>
+                  </div>
+                  {formError && <div className="stk-section stk-error">{formError}</div>}
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setApproval(null)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={approveCount} disabled={saving}>
+                    {saving ? 'Posting...' : 'Approve'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterStockTakes;
@@ -0,0 +1,985 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+import '../../styles/pages/theater/TheaterStockTransfers.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const STATUS_LABELS = {
+  requested: 'Requested',
+  dispatched: 'In Transit',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const TYPE_LABELS = {
+  store: 'Store',
+  counter: 'Counter',
+  kiosk: 'Kiosk'
+};
+
+// Order sources a counter or kiosk can fill
+const ORDER_SOURCES = {
+  pos: 'POS',
+  kiosk: 'Kiosk',
+  qr_code: 'QR / Seat',
+  online: 'Online',
+  app: 'App',
+  staff: 'Staff'
+};
+
+const emptyLine = { productId: '', quantity: '' };
+
+const emptyTransfer = {
+  fromLocationId: '',
+  toLocationId: '',
+  notes: '',
+  items: [emptyLine]
+};
+
+const emptyLocation = {
+  name: '',
+  type: 'counter',
+  kioskTypeId: '',
+  orderSources: [],
+  isActive: true
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+/**
+ * Theater Stock Transfers
+ * Keep stock per counter and kiosk, move it between locations
+ * (request → dispatch → receive) and record anything short on arrival.
+ */
+const TheaterStockTransfers = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [view, setView] = useState('transfers');
+  const [locations, setLocations] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [kioskTypes, setKioskTypes] = useState([]);
+
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const [balances, setBalances] = useState(null);
+  const [balanceSearch, setBalanceSearch] = useState('');
+
+  const [transferForm, setTransferForm] = useState(null);
+  const [locationForm, setLocationForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Detail modal: the open transfer and the dispatch / receive form on it
+  const [detail, setDetail] = useState(null);
+  const [step, setStep] = useState(null);
+  const [stepError, setStepError] = useState('');
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const request = useCallback(async (path, method = 'GET', body) => {
+    const response = await fetch(`${config.api.baseUrl}/stock-locations/${theaterId}${path}`, {
+      method,
+      headers: authHeaders,
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.details?.[0]?.msg || data.message || 'Request failed');
+    }
+    return data;
+  }, [theaterId, authHeaders]);
+
+  const loadLocations = useCallback(async () => {
+    if (!theaterId) return;
+    try {
+      const data = await request('');
+      setLocations(data.data || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load locations');
+    }
+  }, [theaterId, request, toast]);
+
+  const loadTransfers = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+      if (statusFilter) params.set('status', statusFilter);
+
+      const data = await request(`/transfers?${params.toString()}`);
+      setTransfers(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, statusFilter, request, toast]);
+
+  const loadBalances = useCallback(async () => {
+    if (!theaterId) return;
+    try {
+      const params = new URLSearchParams();
+      if (balanceSearch.trim()) params.set('search', balanceSearch.trim());
+      const data = await request(`/balances?${params.toString()}`);
+      setBalances(data.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load balances');
+    }
+  }, [theaterId, balanceSearch, request, toast]);
+
+  useEffect(() => {
+    loadLocations();
+  }, [loadLocations]);
+
+  useEffect(() => {
+    if (view !== 'transfers') return undefined;
+    const timer = setTimeout(loadTransfers, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [view, loadTransfers, searchTerm]);
+
+  useEffect(() => {
+    if (view !== 'balances') return undefined;
+    const timer = setTimeout(loadBalances, balanceSearch ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [view, loadBalances, balanceSearch]);
+
+  // Products for the transfer form and kiosk types for the location form
+  useEffect(() => {
+    if (!theaterId) return;
+    Promise.all([
+      fetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=500`, { headers: authHeaders }).then(res => res.json()),
+      fetch(`${config.api.baseUrl}/theater-kiosk-types/${theaterId}?limit=100`, { headers: authHeaders }).then(res => res.json())
+    ])
+      .then(([productsData, kioskTypesData]) => {
+        setProducts(productsData.data?.products || (Array.isArray(productsData.data) ? productsData.data : []));
+        setKioskTypes((kioskTypesData.data?.kioskTypes || []).filter(kt => kt.isActive));
+      })
+      .catch(() => {
+        // Form selects stay empty; the API still validates what is sent
+      });
+  }, [theaterId, authHeaders]);
+
+  const activeLocations = locations.filter(location => location.isActive);
+  const kioskTypeName = (id) => kioskTypes.find(kt => String(kt._id) === String(id))?.name || 'Unknown kiosk type';
+
+  // ---- Transfers ----
+
+  const openTransfer = useCallback(() => {
+    const mainStore = locations.find(location => location.isMain);
+    setTransferForm({ ...emptyTransfer, fromLocationId: mainStore ? String(mainStore._id) : '' });
+    setFormError('');
+  }, [locations]);
+
+  const updateTransferLine = (index, field, value) => {
+    setTransferForm(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const submitTransfer = async () => {
+    const items = transferForm.items.filter(item => item.productId && Number(item.quantity) > 0);
+    if (!transferForm.fromLocationId || !transferForm.toLocationId || items.length === 0) {
+      setFormError('Choose both locations and at least one product');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const data = await request('/transfers', 'POST', {
+        fromLocationId: transferForm.fromLocationId,
+        toLocationId: transferForm.toLocationId,
+        items: items.map(item => ({ productId: item.productId, quantity: Number(item.quantity) })),
+        notes: transferForm.notes.trim()
+      });
+      toast.success(data.message);
+      setTransferForm(null);
+      loadTransfers();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openDetail = (transfer) => {
+    setDetail(transfer);
+    setStep(null);
+    setStepError('');
+  };
+
+  const startStep = (type) => {
+    setStep({
+      type,
+      saving: false,
+      lines: detail.items.map(item => ({
+        itemId: item._id,
+        productName: item.productName,
+        expected: type === 'dispatch' ? item.requestedQuantity : item.dispatchedQuantity,
+        quantity: type === 'dispatch' ? item.requestedQuantity : item.dispatchedQuantity,
+        reason: ''
+      })).filter(line => type === 'dispatch' || line.expected > 0)
+    });
+    setStepError('');
+  };
+
+  const updateStepLine = (index, field, value) => {
+    setStep(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    }));
+  };
+
+  const submitStep = async () => {
+    setStep(prev => ({ ...prev, saving: true }));
+    setStepError('');
+    try {
+      const data = await request(`/transfers/${detail._id}/${step.type}`, 'PUT', {
+        items: step.lines.map(line => ({
+          itemId: line.itemId,
+          quantity: Number(line.quantity) || 0,
+          ...(step.type === 'receive' && { reason: line.reason.trim() })
+        }))
+      });
+      toast.success(data.message);
+      setDetail(data.data);
+      setStep(null);
+      loadTransfers();
+    } catch (error) {
+      setStepError(error.message);
+      setStep(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const cancelTransfer = (transfer) => {
+    confirm({
+      title: 'Cancel Transfer',
+      message: `Cancel ${transfer.transferNumber}? This cannot be undone.`,
+      type: 'danger',
+      confirmText: 'Cancel Transfer',
+      onConfirm: async () => {
+        try {
+          const data = await request(`/transfers/${transfer._id}/cancel`, 'PUT');
+          toast.success(data.message);
+          setDetail(prev => (prev && prev._id === transfer._id ? data.data : prev));
+          loadTransfers();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  // ---- Locations ----
+
+  const openLocation = useCallback((location = null) => {
+    setLocationForm(location
+      ? {
+        _id: location._id,
+        isMain: location.isMain,
+        name: location.name,
+        type: location.type,
+        kioskTypeId: location.kioskTypeId ? String(location.kioskTypeId) : '',
+        orderSources: location.orderSources || [],
+        isActive: location.isActive
+      }
+      : { ...emptyLocation });
+    setFormError('');
+  }, []);
+
+  const toggleSource = (source) => {
+    setLocationForm(prev => ({
+      ...prev,
+      orderSources: prev.orderSources.includes(source)
+        ? prev.orderSources.filter(s => s !== source)
+        : [...prev.orderSources, source]
+    }));
+  };
+
+  const submitLocation = async () => {
+    if (!locationForm.name.trim()) {
+      setFormError('Location name is required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const payload = locationForm.isMain
+        ? { name: locationForm.name.trim() }
+        : {
+          name: locationForm.name.trim(),
+          type: locationForm.type,
+          kioskTypeId: locationForm.kioskTypeId || null,
+          orderSources: locationForm.orderSources,
+          isActive: locationForm.isActive
+        };
+
+      const data = locationForm._id
+        ? await request(`/${locationForm._id}`, 'PUT', payload)
+        : await request('', 'POST', payload);
+      toast.success(data.message);
+      setLocationForm(null);
+      loadLocations();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteLocation = (location) => {
+    confirm({
+      title: 'Delete Location',
+      message: `Delete ${location.name}?`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        try {
+          await request(`/${location._id}`, 'DELETE');
+          toast.success('Location deleted');
+          loadLocations();
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    });
+  };
+
+  const headerButton = useMemo(() => (
+    <button className="header-btn" onClick={() => (view === 'locations' ? openLocation() : openTransfer())}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      {view === 'locations' ? 'New Location' : 'New Transfer'}
+    </button>
+  ), [view, openLocation, openTransfer]);
+
+  const closeIcon = (
+    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+    </svg>
+  );
+
+  const shortOn = (transfer) => transfer.items.reduce((sum, item) => sum + (item.discrepancy || 0), 0);
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Stock Transfers" currentPage="stock-transfers">
+        <PageContainer title="Stock Transfers" headerButton={headerButton}>
+
+          <div className="st-toolbar">
+            <div className="st-tabs">
+              <button className={`st-tab ${view === 'transfers' ? 'active' : ''}`} onClick={() => setView('transfers')}>
+                Transfers
+              </button>
+              <button className={`st-tab ${view === 'balances' ? 'active' : ''}`} onClick={() => setView('balances')}>
+                Stock by Location
+              </button>
+              <button className={`st-tab ${view === 'locations' ? 'active' : ''}`} onClick={() => setView('locations')}>
+                Locations
+              </button>
+            </div>
+          </div>
+
+          {view === 'transfers' && (
+            <>
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search by transfer number..."
+                    value={searchTerm}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="search-input"
+                  />
+                </div>
+                <div className="filter-controls">
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="status-filter"
+                  >
+                    <option value="">All Statuses</option>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <div className="results-count">
+                    Showing {transfers.length} of {pagination.totalItems} transfers
+                  </div>
+                </div>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="sno-cell">S.No</th>
+                      <th className="name-cell">Transfer</th>
+                      <th>From</th>
+                      <th>To</th>
+                      <th>Items</th>
+                      <th>Requested</th>
+                      <th className="status-cell">Status</th>
+                      <th className="actions-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="8" className="loading-cell">
+                          <div className="loading-spinner"></div>
+                          <span>Loading transfers...</span>
+                        </td>
+                      </tr>
+                    ) : transfers.length > 0 ? (
+                      transfers.map((transfer, index) => (
+                        <tr key={transfer._id} className={`theater-row ${transfer.status === 'cancelled' ? 'inactive' : ''}`}>
+                          <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                          <td className="name-cell">
+                            <div className="qr-info">
+                              <div className="qr-name">{transfer.transferNumber}</div>
+                              {shortOn(transfer) > 0 && <div className="st-short">{shortOn(transfer)} short</div>}
+                            </div>
+                          </td>
+                          <td>{transfer.fromLocationName}</td>
+                          <td>{transfer.toLocationName}</td>
+                          <td>{transfer.items.length}</td>
+                          <td>{formatDateTime(transfer.createdAt)}</td>
+                          <td className="status-cell">
+                            <span className={`st-status ${transfer.status}`}>{STATUS_LABELS[transfer.status]}</span>
+                          </td>
+                          <td className="actions-cell">
+                            <ActionButtons>
+                              <ActionButton type="view" onClick={() => openDetail(transfer)} title="View / Dispatch / Receive" />
+                              {transfer.status === 'requested' && (
+                                <ActionButton type="delete" onClick={() => cancelTransfer(transfer)} title="Cancel Transfer" />
+                              )}
+                            </ActionButtons>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="8" className="empty-cell">
+                          <i className="fas fa-exchange-alt fa-3x"></i>
+                          <h3>No Transfers Found</h3>
+                          <p>Request stock from the main store to a counter or kiosk.</p>
+                          <button className="add-theater-btn" onClick={openTransfer}>
+                            Request First Transfer
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {!loading && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={pagination.totalPages}
+                  totalItems={pagination.totalItems}
+                  itemsPerPage={itemsPerPage}
+                  onPageChange={setCurrentPage}
+                  itemType="transfers"
+                />
+              )}
+            </>
+          )}
+
+          {view === 'balances' && (
+            <>
+              <div className="theater-filters">
+                <div className="search-box">
+                  <input
+                    type="text"
+                    placeholder="Search products..."
+                    value={balanceSearch}
+                    onChange={(e) => setBalanceSearch(e.target.value)}
+                    className="search-input"
+                  />
+                </div>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="name-cell">Product</th>
+                      {(balances?.locations || []).map(location => (
+                        <th key={location._id}>{location.name}</th>
+                      ))}
+                      <th>In Transit</th>
+                      <th>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {!balances || balances.products.length === 0 ? (
+                      <tr>
+                        <td colSpan={(balances?.locations.length || 0) + 3} className="empty-cell">
+                          <h3>No stock to show</h3>
+                        </td>
+                      </tr>
+                    ) : balances.products.map(row => (
+                      <tr key={row.productId} className="theater-row">
+                        <td className="name-cell">{row.productName}</td>
+                        {balances.locations.map(location => (
+                          <td key={location._id}>{row.balances[location._id] || 0}</td>
+                        ))}
+                        <td>{row.inTransit}</td>
+                        <td><strong>{row.total}</strong></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="st-muted">
+                Stock received or added on the stock pages goes to the main store. Sales come out of the counter or kiosk they are made at.
+              </p>
+            </>
+          )}
+
+          {view === 'locations' && (
+            <div className="theater-table-container">
+              <table className="theater-table">
+                <thead>
+                  <tr>
+                    <th className="sno-cell">S.No</th>
+                    <th className="name-cell">Location</th>
+                    <th>Type</th>
+                    <th>Sells</th>
+                    <th className="status-cell">Status</th>
+                    <th className="actions-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {locations.map((location, index) => (
+                    <tr key={location._id} className={`theater-row ${location.isActive ? '' : 'inactive'}`}>
+                      <td className="sno-cell">{index + 1}</td>
+                      <td className="name-cell">
+                        {location.name}
+                        {location.isMain && <span className="st-main-badge">Main</span>}
+                      </td>
+                      <td>{TYPE_LABELS[location.type]}</td>
+                      <td>
+                        {location.isMain ? (
+                          <span className="st-muted">Everything not sold elsewhere</span>
+                        ) : [
+                          location.kioskTypeId && `${kioskTypeName(location.kioskTypeId)} products`,
+                          (location.orderSources || []).length > 0 &&
+                            `${location.orderSources.map(source => ORDER_SOURCES[source]).join(', ')} orders`
+                        ].filter(Boolean).join(' · ') || <span className="st-muted">Transfers only</span>}
+                      </td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${location.isActive ? 'active' : 'inactive'}`}>
+                          {location.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openLocation(location)} title="Edit Location" />
+                          {!location.isMain && (
+                            <ActionButton type="delete" onClick={() => deleteLocation(location)} title="Delete Location" />
+                          )}
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* New Transfer Modal */}
+          {transferForm && (
+            <div className="modal-overlay" onClick={() => setTransferForm(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>New Transfer</h2>
+                  <button className="close-btn" onClick={() => setTransferForm(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>From <span style={{ color: 'red' }}>*</span></label>
+                      <select
+                        value={transferForm.fromLocationId}
+                        onChange={(e) => setTransferForm(prev => ({ ...prev, fromLocationId: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="">Select location...</option>
+                        {activeLocations.map(location => (
+                          <option key={location._id} value={String(location._id)}>{location.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>To <span style={{ color: 'red' }}>*</span></label>
+                      <select
+                        value={transferForm.toLocationId}
+                        onChange={(e) => setTransferForm(prev => ({ ...prev, toLocationId: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="">Select location...</option>
+                        {activeLocations
+                          .filter(location => String(location._id) !== transferForm.fromLocationId)
+                          .map(location => (
+                            <option key={location._id} value={String(location._id)}>{location.name}</option>
+                          ))}
+                      </select>
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Notes</label>
+                      <textarea
+                        value={transferForm.notes}
+                        onChange={(e) => setTransferForm(prev => ({ ...prev, notes: e.target.value }))}
+                        className="form-control"
+                        rows="2"
+                        maxLength={500}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="st-section">
+                    <h3>Items</h3>
+                    <table className="st-lines">
+                      <thead>
+                        <tr>
+                          <th>Product</th>
+                          <th>Quantity</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {transferForm.items.map((item, index) => (
+                          <tr key={index}>
+                            <td>
+                              <select
+                                value={item.productId}
+                                onChange={(e) => updateTransferLine(index, 'productId', e.target.value)}
+                                className="form-control"
+                              >
+                                <option value="">Select product...</option>
+                                {products.map(product => (
+                                  <option key={product._id} value={String(product._id)}>{product.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td>
+                              <input
+                                type="number"
+                                min="1"
+                                value={item.quantity}
+                                onChange={(e) => updateTransferLine(index, 'quantity', e.target.value)}
+                                className="form-control"
+                              />
+                            </td>
+                            <td>
+                              {transferForm.items.length > 1 && (
+                                <button
+                                  className="st-remove-btn"
+                                  title="Remove item"
+                                  onClick={() => setTransferForm(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))}
+                                >
+                                  ×
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <button
+                      className="st-link-btn"
+                      onClick={() => setTransferForm(prev => ({ ...prev, items: [...prev.items, emptyLine] }))}
+                    >
+                      + Add Item
+                    </button>
+                    {formError && <div className="st-error">{formError}</div>}
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setTransferForm(null)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={submitTransfer} disabled={saving}>
+                    {saving ? 'Saving...' : 'Request Transfer'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Transfer Detail / Dispatch / Receive Modal */}
+          {detail && (
+            <div className="modal-overlay" onClick={() => setDetail(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{detail.transferNumber} · {detail.fromLocationName} → {detail.toLocationName}</h2>
+                  <button className="close-btn" onClick={() => setDetail(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="st-section">
+                    <div>
+                      <span className={`st-status ${detail.status}`}>{STATUS_LABELS[detail.status]}</span>
+                    </div>
+                    <div className="st-muted">
+                      Requested {formatDateTime(detail.createdAt)}{detail.requestedBy?.username && ` by ${detail.requestedBy.username}`}
+                      {detail.dispatchedBy?.at && ` · Dispatched ${formatDateTime(detail.dispatchedBy.at)}${detail.dispatchedBy.username ? ` by ${detail.dispatchedBy.username}` : ''}`}
+                      {detail.receivedBy?.at && ` · Received ${formatDateTime(detail.receivedBy.at)}${detail.receivedBy.username ? ` by ${detail.receivedBy.username}` : ''}`}
+                    </div>
+                    {detail.notes && <div className="st-muted">{detail.notes}</div>}
+
+                    {!step && (
+                      <table className="st-lines">
+                        <thead>
+                          <tr>
+                            <th>Product</th>
+                            <th>Requested</th>
+                            <th>Dispatched</th>
+                            <th>Received</th>
+                            <th>Short</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {detail.items.map(item => (
+                            <tr key={item._id}>
+                              <td>{item.productName}</td>
+                              <td>{item.requestedQuantity}</td>
+                              <td>{['dispatched', 'received'].includes(detail.status) ? item.dispatchedQuantity : '—'}</td>
+                              <td>{detail.status === 'received' ? item.receivedQuantity : '—'}</td>
+                              <td>
+                                {item.discrepancy > 0 ? (
+                                  <span className="st-short">
+                                    {item.discrepancy}{item.discrepancyReason && ` (${item.discrepancyReason})`}
+                                  </span>
+                                ) : '—'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {!step && (
+                      <div className="st-actions">
+                        {detail.status === 'requested' && (
+                          <button className="btn-primary" onClick={() => startStep('dispatch')}>Dispatch</button>
+                        )}
+                        {detail.status === 'dispatched' && (
+                          <button className="btn-primary" onClick={() => startStep('receive')}>Receive</button>
+                        )}
+                        {detail.status === 'requested' && (
+                          <button className="cancel-btn" onClick={() => cancelTransfer(detail)}>Cancel Transfer</button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {step && (
+                    <div className="st-section">
+                      <h3>{step.type === 'dispatch' ? `Dispatch from ${detail.fromLocationName}` : `Receive at ${detail.toLocationName}`}</h3>
+                      <table className="st-lines">
+                        <thead>
+                          <tr>
+                            <th>Product</th>
+                            <th>{step.type === 'dispatch' ? 'Requested' : 'Dispatched'}</th>
+                            <th>{step.type === 'dispatch' ? 'Sending' : 'Counted'}</th>
+                            {step.type === 'receive' && <th>Reason if short</th>}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {step.lines.map((line, index) => (
+                            <tr key={line.itemId}>
+                              <td>{line.productName}</td>
+                              <td>{line.expected}</td>
+                              <td>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={step.type === 'receive' ? line.expected : undefined}
+                                  value={line.quantity}
+                                  onChange={(e) => updateStepLine(index, 'quantity', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              {step.type === 'receive' && (
+                                <td>
+                                  <input
+                                    type="text"
+                                    value={line.reason}
+                                    disabled={Number(line.quantity) >= line.expected}
+                                    placeholder="Damaged, missing..."
+                                    onChange={(e) => updateStepLine(index, 'reason', e.target.value)}
+                                    className="form-control"
+                                  />
+                                </td>
+                              )}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {step.type === 'receive' && (
+                        <div className="st-muted">Anything short is written off the theater&apos;s stock as damaged.</div>
+                      )}
+                      {stepError && <div className="st-error">{stepError}</div>}
+                      <div className="st-actions">
+                        <button className="btn-primary" onClick={submitStep} disabled={step.saving}>
+                          {step.saving ? 'Saving...' : step.type === 'dispatch' ? 'Dispatch' : 'Receive Stock'}
+                        </button>
+                        <button className="cancel-btn" onClick={() => setStep(null)}>Back</button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Location Modal */}
+          {locationForm && (
+            <div className="modal-overlay" onClick={() => setLocationForm(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{locationForm._id ? 'Edit Location' : 'New Location'}</h2>
+                  <button className="close-btn" onClick={() => setLocationForm(null)}>{closeIcon}</button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Name <span style={{ color: 'red' }}>*</span></label>
+                      <input
+                        type="text"
+                        value={locationForm.name}
+                        onChange={(e) => setLocationForm(prev => ({ ...prev, name: e.target.value }))}
+                        className="form-control"
+                        placeholder="e.g. Counter 2, Lobby Kiosk"
+                        maxLength={60}
+                      />
+                    </div>
+                    {!locationForm.isMain && (
+                      <>
+                        <div className="form-group">
+                          <label>Type</label>
+                          <select
+                            value={locationForm.type}
+                            onChange={(e) => setLocationForm(prev => ({ ...prev, type: e.target.value }))}
+                            className="form-control"
+                          >
+                            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="form-group">
+                          <label>Sells Kiosk Type</label>
+                          <select
+                            value={locationForm.kioskTypeId}
+                            onChange={(e) => setLocationForm(prev => ({ ...prev, kioskTypeId: e.target.value }))}
+                            className="form-control"
+                          >
+                            <option value="">None</option>
+                            {kioskTypes.map(kt => (
+                              <option key={kt._id} value={String(kt._id)}>{kt.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="form-group">
+                          <label>Status</label>
+                          <select
+                            value={locationForm.isActive ? 'true' : 'false'}
+                            onChange={(e) => setLocationForm(prev => ({ ...prev, isActive: e.target.value === 'true' }))}
+                            className="form-control"
+                          >
+                            <option value="true">Active</option>
+                            <option value="false">Inactive</option>
+                          </select>
+                        </div>
+                        <div className="form-group full-width">
+                          <label>Fills Orders From</label>
+                          <div className="st-sources">
+                            {Object.entries(ORDER_SOURCES).map(([source, label]) => (
+                              <label key={source}>
+                                <input
+                                  type="checkbox"
+                                  checked={locationForm.orderSources.includes(source)}
+                                  onChange={() => toggleSource(source)}
+                                />
+                                {label}
+                              </label>
+                            ))}
+                          </div>
+                          <div className="st-muted">
+                            Products of the kiosk type, then orders from these channels, are sold out of this location.
+                          </div>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  {formError && <div className="st-section st-error">{formError}</div>}
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setLocationForm(null)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={submitLocation} disabled={saving}>
+                    {saving ? 'Saving...' : locationForm._id ? 'Save Changes' : 'Create Location'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterStockTransfers;
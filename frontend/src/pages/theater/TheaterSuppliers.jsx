@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '../../components/theater/TheaterLayout';
+import PageContainer from '../../components/PageContainer';
+import Pagination from '../../components/Pagination';
+import ErrorBoundary from '../../components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '../../components/ActionButton';
+import { useModal } from '../../contexts/ModalContext';
+import { useToast } from '../../contexts/ToastContext';
+import config from '../../config';
+import '../../styles/QRManagementPage.css';
+import '../../styles/TheaterList.css';
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('authToken');
+
+const emptyForm = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  gstNumber: '',
+  address: '',
+  paymentTerms: '',
+  notes: '',
+  isActive: true
+};
+
+/**
+ * Theater Suppliers
+ * Vendors that purchase orders are raised against.
+ */
+const TheaterSuppliers = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [pagination, setPagination] = useState({ totalItems: 0, totalPages: 1 });
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const authHeaders = useMemo(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${getToken()}`
+  }), []);
+
+  const loadSuppliers = useCallback(async () => {
+    if (!theaterId) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: currentPage, limit: itemsPerPage });
+      if (searchTerm.trim()) params.set('search', searchTerm.trim());
+
+      const response = await fetch(`${config.api.baseUrl}/suppliers/${theaterId}?${params.toString()}`, { headers: authHeaders });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load suppliers');
+      }
+      setSuppliers(data.data || []);
+      setPagination({
+        totalItems: data.pagination?.totalItems || 0,
+        totalPages: data.pagination?.totalPages || 1
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load suppliers');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, currentPage, itemsPerPage, searchTerm, authHeaders, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadSuppliers, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadSuppliers, searchTerm]);
+
+  const activeCount = suppliers.filter(supplier => supplier.isActive).length;
+
+  const openCreate = useCallback(() => {
+    setEditingSupplier(null);
+    setFormData(emptyForm);
+    setFormError('');
+    setShowModal(true);
+  }, []);
+
+  const openEdit = (supplier) => {
+    setEditingSupplier(supplier);
+    setFormData({ ...emptyForm, ...supplier });
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.name.trim()) {
+      setFormError('Supplier name is required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const url = editingSupplier
+        ? `${config.api.baseUrl}/suppliers/${theaterId}/${editingSupplier._id}`
+        : `${config.api.baseUrl}/suppliers/${theaterId}`;
+      const payload = Object.fromEntries(
+        Object.keys(emptyForm).map(field => [field, typeof formData[field] === 'string' ? formData[field].trim() : formData[field]])
+      );
+      const response = await fetch(url, {
+        method: editingSupplier ? 'PUT' : 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.details?.[0]?.msg || data.message || 'Failed to save supplier');
+      }
+
+      toast.success(editingSupplier ? 'Supplier updated' : 'Supplier created');
+      setShowModal(false);
+      loadSuppliers();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (supplier) => {
+    confirm({
+      title: 'Delete Supplier',
+      message: `Delete supplier ${supplier.name}? Suppliers with purchase orders can only be marked inactive.`,
+      type: 'danger',
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        const response = await fetch(`${config.api.baseUrl}/suppliers/${theaterId}/${supplier._id}`, {
+          method: 'DELETE',
+          headers: authHeaders
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          toast.error(data.message || 'Failed to delete supplier');
+          return;
+        }
+        toast.success('Supplier deleted');
+        loadSuppliers();
+      }
+    });
+  };
+
+  const headerButton = useMemo(() => (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+        </svg>
+      </span>
+      Add Supplier
+    </button>
+  ), [openCreate]);
+
+  const textField = (field, label, props = {}) => (
+    <div className="form-group">
+      <label>{label}</label>
+      <input
+        type="text"
+        value={formData[field]}
+        onChange={(e) => handleInputChange(field, e.target.value)}
+        className="form-control"
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Suppliers" currentPage="suppliers">
+        <PageContainer title="Suppliers" headerButton={headerButton}>
+
+          {/* Stats Section */}
+          <div className="qr-stats">
+            <div className="stat-card">
+              <div className="stat-number">{pagination.totalItems}</div>
+              <div className="stat-label">Total Suppliers</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{activeCount}</div>
+              <div className="stat-label">Active on this Page</div>
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div className="theater-filters">
+            <div className="search-box">
+              <input
+                type="text"
+                placeholder="Search suppliers by name, contact or phone..."
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="search-input"
+              />
+            </div>
+            <div className="filter-controls">
+              <div className="results-count">
+                Showing {suppliers.length} of {pagination.totalItems} suppliers
+              </div>
+            </div>
+          </div>
+
+          {/* Suppliers Table */}
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Supplier</th>
+                  <th>Phone</th>
+                  <th>Email</th>
+                  <th>GST Number</th>
+                  <th>Payment Terms</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading suppliers...</span>
+                    </td>
+                  </tr>
+                ) : suppliers.length > 0 ? (
+                  suppliers.map((supplier, index) => (
+                    <tr key={supplier._id} className={`theater-row ${supplier.isActive ? '' : 'inactive'}`}>
+                      <td className="sno-cell">{(currentPage - 1) * itemsPerPage + index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-info">
+                          <div className="qr-name">{supplier.name}</div>
+                          {supplier.contactPerson && <div className="qr-type">{supplier.contactPerson}</div>}
+                        </div>
+                      </td>
+                      <td>{supplier.phone || '—'}</td>
+                      <td>{supplier.email || '—'}</td>
+                      <td>{supplier.gstNumber || '—'}</td>
+                      <td>{supplier.paymentTerms || '—'}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${supplier.isActive ? 'active' : 'inactive'}`}>
+                          {supplier.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(supplier)} title="Edit Supplier" />
+                          <ActionButton type="delete" onClick={() => handleDelete(supplier)} title="Delete Supplier" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="8" className="empty-cell">
+                      <i className="fas fa-truck fa-3x"></i>
+                      <h3>No Suppliers Found</h3>
+                      <p>Add the vendors you buy stock from to raise purchase orders.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Add First Supplier
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              totalItems={pagination.totalItems}
+              itemsPerPage={itemsPerPage}
+              onPageChange={setCurrentPage}
+              itemType="suppliers"
+            />
+          )}
+
+          {/* Create / Edit Modal */}
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingSupplier ? `Edit ${editingSupplier.name}` : 'Add Supplier'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    {textField('name', <>Supplier Name <span style={{ color: 'red' }}>*</span></>, { maxLength: 100 })}
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                    {textField('contactPerson', 'Contact Person')}
+                    {textField('phone', 'Phone', { type: 'tel' })}
+                    {textField('email', 'Email', { type: 'email' })}
+                    {textField('gstNumber', 'GST Number', { maxLength: 15, placeholder: '15-character GSTIN' })}
+                    {textField('paymentTerms', 'Payment Terms', { placeholder: 'e.g. Net 15, Cash on delivery' })}
+                    <div className="form-group full-width">
+                      <label>Address</label>
+                      <textarea
+                        value={formData.address}
+                        onChange={(e) => handleInputChange('address', e.target.value)}
+                        className="form-control"
+                        rows="2"
+                        maxLength={300}
+                      />
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Notes</label>
+                      <textarea
+                        value={formData.notes}
+                        onChange={(e) => handleInputChange('notes', e.target.value)}
+                        className="form-control"
+                        rows="2"
+                        maxLength={500}
+                      />
+                    </div>
+                    {formError && (
+                      <div className="form-group full-width" style={{ color: '#dc2626' }}>{formError}</div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+                    {saving ? 'Saving...' : editingSupplier ? 'Save Changes' : 'Add Supplier'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterSuppliers;
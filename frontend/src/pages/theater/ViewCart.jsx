@@ -6,12 +6,24 @@ import { getAuthToken, autoLogin } from '../../utils/authHelper';
 import { getImageSrc } from '../../utils/globalImageCache'; // 🚀 Instant image loading
 import { calculateOrderTotals } from '../../utils/orderCalculation'; // 📊 Centralized calculation
 import { useOfflineQueue } from '../../hooks/useOfflineQueue';
-import { loadRazorpayScript } from '../../utils/razorpayLoader'; // 💳 Razorpay script loader
+import { loadRazorpayScript, createPaymentOrder, openCheckout, verifyCheckout, resumeRedirectCheckout } from '../../utils/paymentCheckout'; // 💳 Gateway checkout launcher
 import config from '../../config';
 import '../../styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '../../styles/ViewCart.css';
 import { useDeepMemo, useComputed } from '../../utils/ultraPerformance';
 import { ultraFetch } from '../../utils/ultraFetch';
+import CouponCodeInput from '../../components/CouponCodeInput';
+import { useCouponCode } from '../../hooks/useCouponCode';
+import { getLineProductId, toOrderLine } from '../../utils/comboUtils';
+import { describeModifiers, getLineModifiers } from '../../utils/modifierUtils';
+import { printOrder } from '../../utils/receiptPrinting'; // 🖨️ Thermal printers through the print agent
+import { getActiveShiftId } from '../../utils/shiftSession'; // 🧾 Cashier shift
+import TenderInput from '../../components/TenderInput';
+import { initialTenders, validateTenders, toOrderTenders } from '../../utils/tenderUtils'; // 💵 Cash received & split payments
+import LoyaltyRedeemInput from '../../components/LoyaltyRedeemInput';
+import { useLoyaltyPoints } from '../../hooks/useLoyaltyPoints'; // ⭐ Loyalty points
+import '../../styles/components/ComboChoiceModal.css';
+import '../../styles/components/customer/ProductModal.css';
 
 
 
@@ -58,11 +70,11 @@ const ViewCart = () => {
   const [cartData, setCartData] = useState(getCartData());
   const [orderNotes, setOrderNotes] = useState(cartData?.notes || '');
   const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [tenders, setTenders] = useState(() => initialTenders('cash'));
   const [isLoading, setIsLoading] = useState(false);
   const [customerName, setCustomerName] = useState(cartData?.customerName || 'POS Customer');
   const [gatewayConfig, setGatewayConfig] = useState(null);
   const [gatewayLoading, setGatewayLoading] = useState(true);
-  const [razorpayLoaded, setRazorpayLoaded] = useState(false);
   
   // Extract qrName and seat from URL parameters or cart data (reuse urlParams from above)
   const qrName = urlParams.get('qrname') || cartData?.qrName || null;
@@ -141,7 +153,7 @@ const ViewCart = () => {
     fetchTheaterInfo();
   }, [theaterId]);
 
-  // Fetch payment gateway configuration and load Razorpay script
+  // Fetch payment gateway configuration and preload the Razorpay script
   useEffect(() => {
     const fetchGatewayConfig = async () => {
       try {
@@ -154,14 +166,9 @@ const ViewCart = () => {
           console.log(`✅ Gateway config loaded for ${channel}:`, data.config);
           setGatewayConfig(data.config);
           
-          // Load Razorpay script if gateway is enabled and provider is razorpay
+          // Other providers load their checkout when the payment starts
           if (data.config.isEnabled && data.config.provider === 'razorpay') {
-            console.log('💳 Loading Razorpay SDK...');
-            const loaded = await loadRazorpayScript();
-            setRazorpayLoaded(loaded);
-            if (!loaded) {
-              console.error('❌ Failed to load Razorpay SDK');
-            }
+            loadRazorpayScript();
           }
         } else {
           console.warn('⚠️ No gateway config available');
@@ -182,10 +189,80 @@ const ViewCart = () => {
 
 
   // Calculate totals using centralized utility
-  const { subtotal, tax, total, totalDiscount } = useMemo(() => {
+  const cartTotals = useMemo(() => {
     return calculateOrderTotals(cartData.items || []);
   }, [cartData.items]);
 
+  const couponItems = useMemo(
+    () => (cartData.items || []).map(item => toOrderLine(item)),
+    [cartData.items]
+  );
+  const couponState = useCouponCode(theaterId, couponItems);
+  const { coupon } = couponState;
+
+  // With a coupon applied, show the server's pricing so the total matches the order
+  const { subtotal, tax, total: totalBeforePoints, totalDiscount } = coupon
+    ? {
+      subtotal: coupon.pricing.subtotal,
+      tax: coupon.pricing.taxAmount,
+      total: coupon.pricing.total,
+      totalDiscount: cartTotals.totalDiscount
+    }
+    : cartTotals;
+
+  // Loyalty member looked up by phone number; their points come off the total like a tender
+  const [loyaltyPhone, setLoyaltyPhone] = useState('');
+  const [loyaltyAccount, setLoyaltyAccount] = useState(null);
+  const [loyaltyLookupError, setLoyaltyLookupError] = useState('');
+  const [loyaltyLookingUp, setLoyaltyLookingUp] = useState(false);
+  const loyaltyState = useLoyaltyPoints(loyaltyAccount, totalBeforePoints);
+  const total = Math.round((totalBeforePoints - loyaltyState.discount) * 100) / 100;
+
+  const handleLoyaltyLookup = async () => {
+    const phone = loyaltyPhone.trim();
+    if (!phone) return;
+
+    setLoyaltyLookingUp(true);
+    setLoyaltyLookupError('');
+    try {
+      const response = await fetch(
+        `${config.api.baseUrl}/loyalty/${theaterId}/accounts/${encodeURIComponent(phone)}`,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${getAuthToken()}`
+          }
+        }
+      );
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Loyalty account not found');
+      }
+      setLoyaltyAccount(result.data);
+    } catch (error) {
+      setLoyaltyAccount(null);
+      setLoyaltyLookupError(error.message || 'Loyalty account not found');
+    } finally {
+      setLoyaltyLookingUp(false);
+    }
+  };
+
+  const handleLoyaltyClear = () => {
+    setLoyaltyAccount(null);
+    setLoyaltyPhone('');
+    setLoyaltyLookupError('');
+  };
+
+  // Methods a split payment can mix: cash and whatever the gateway accepts
+  const splitMethods = ['cash', 'card', 'upi'].filter(method =>
+    method === 'cash' || (gatewayConfig?.isEnabled && gatewayConfig?.acceptedMethods?.[method])
+  );
+
+  const selectPaymentMethod = (method) => {
+    setPaymentMethod(method);
+    setTenders(initialTenders(method, splitMethods.find(m => m !== 'cash')));
+  };
+
   // Handle modal close and navigation
   const handleModalClose = () => {
     setShowSuccessModal(false);
@@ -215,9 +292,9 @@ const ViewCart = () => {
   // ============================================
   
   /**
-   * Generate and automatically print receipt for POS orders
+   * Print the receipt through the browser print dialog (used when no thermal printer takes it)
    */
-  const autoPrintReceipt = useCallback((order) => {
+  const printBrowserReceipt = useCallback((order) => {
     try {
       if (!order) {
         console.error('❌ No order data for printing');
@@ -363,8 +440,13 @@ const ViewCart = () => {
           <div class="bill-details">
             <div class="bill-row">
               <span><strong>Invoice ID:</strong></span>
-              <span>${order.orderNumber || 'N/A'}</span>
+              <span>${order.invoiceNumber || order.orderNumber || 'N/A'}</span>
             </div>
+            ${order.invoiceNumber ? `
+            <div class="bill-row">
+              <span><strong>Order:</strong></span>
+              <span>${order.orderNumber}</span>
+            </div>` : ''}
             <div class="bill-row">
               <span><strong>Date:</strong></span>
               <span>${formatDateTime(order.createdAt || new Date())}</span>
@@ -387,8 +469,16 @@ const ViewCart = () => {
             ` : ''}
             <div class="bill-row">
               <span><strong>Payment:</strong></span>
-              <span>${(order.paymentMethod || 'cash').toUpperCase()}</span>
+              <span>${order.payment?.tenders?.length > 1
+                ? order.payment.tenders.map(tender => `${tender.method.toUpperCase()} ₹${Number(tender.amount).toFixed(2)}`).join(' + ')
+                : (order.payment?.method || order.paymentMethod || 'cash').toUpperCase()}</span>
             </div>
+            ${order.payment?.changeDue > 0 ? `
+            <div class="bill-row">
+              <span><strong>Change:</strong></span>
+              <span>₹${order.payment.changeDue.toFixed(2)}</span>
+            </div>
+            ` : ''}
           </div>
 
           <!-- Items Header -->
@@ -406,7 +496,7 @@ const ViewCart = () => {
             const total = item.totalPrice || (qty * rate);
             return `
             <div class="item-row">
-              <div class="item-name">${item.productName || item.name || 'Item'}</div>
+              <div class="item-name">${item.productName || item.name || 'Item'}${getLineModifiers(item).length ? `<br><small>+ ${describeModifiers(getLineModifiers(item))}</small>` : ''}</div>
               <div class="item-qty">${qty}</div>
               <div class="item-rate">₹${rate.toFixed(2)}</div>
               <div class="item-total">₹${total.toFixed(2)}</div>
@@ -437,6 +527,20 @@ const ViewCart = () => {
             </div>
             ` : ''}
             
+            ${order.coupon?.code ? `
+            <div class="total-row">
+              <span>Coupon (${order.coupon.code}):</span>
+              <span>-₹${(order.coupon.discountAmount || 0).toFixed(2)}</span>
+            </div>
+            ` : ''}
+            
+            ${order.loyalty?.pointsRedeemed ? `
+            <div class="total-row">
+              <span>Loyalty (${order.loyalty.pointsRedeemed} pts):</span>
+              <span>-₹${(order.loyalty.discountAmount || 0).toFixed(2)}</span>
+            </div>
+            ` : ''}
+            
             <div class="total-row grand-total">
               <span>Grand Total:</span>
               <span>₹${(order.total || order.totalAmount || total || 0).toFixed(2)}</span>
@@ -541,254 +645,101 @@ const ViewCart = () => {
     }
   }, [theaterInfo, cartData.items, subtotal, tax, total, totalDiscount, orderNotes, qrName, seat]);
 
+  /**
+   * Print the receipt and kitchen tickets on the theater's thermal printers,
+   * falling back to the browser print dialog when no receipt printer could print it
+   */
+  const autoPrintReceipt = useCallback((order, { reprint = false } = {}) => {
+    if (!order) return;
+
+    printOrder(theaterId, order, {
+      channel: source === 'offline-pos' ? 'offline-pos' : 'pos',
+      kinds: reprint ? ['receipt'] : ['receipt', 'kitchen'],
+      reprint
+    })
+      .then((result) => {
+        result.failed.forEach(({ printer, error }) => console.warn(`🖨️ ${printer}: ${error}`));
+        if (!result.receipt) printBrowserReceipt(order);
+      })
+      .catch((error) => {
+        console.warn('🖨️ Thermal printing unavailable:', error.message);
+        printBrowserReceipt(order);
+      });
+  }, [theaterId, source, printBrowserReceipt]);
+
   // ============================================
   // PAYMENT GATEWAY INTEGRATION FUNCTIONS
   // ============================================
 
   /**
-   * Razorpay Payment Integration
+   * Open the configured gateway's checkout and verify the payment
+   * PhonePe leaves the page; the resume effect below finishes it on return.
    */
-  const initiateRazorpayPayment = async (paymentOrder, orderId, orderNumber, authToken) => {
-    return new Promise((resolve, reject) => {
-      if (!window.Razorpay) {
-        reject(new Error('Razorpay SDK not loaded. Please refresh the page.'));
-        return;
-      }
-
-      // Map payment method to Razorpay method
-      const razorpayMethod = paymentMethod === 'card' ? 'card' : 
-                            paymentMethod === 'upi' ? 'upi' : 
-                            paymentMethod === 'netbanking' ? 'netbanking' : null;
-      
-      // Configure payment method options based on selected method
-      const paymentConfig = {};
-      if (razorpayMethod === 'card') {
-        // For card payments, enable all card types
-        paymentConfig.method = 'card';
-        paymentConfig.card = {
-          name: true,
-          email: false
-        };
-      } else if (razorpayMethod === 'upi') {
-        // For UPI payments
-        paymentConfig.method = 'upi';
-      } else if (razorpayMethod === 'netbanking') {
-        paymentConfig.method = 'netbanking';
-      }
-      
-      const options = {
-        key: gatewayConfig.razorpay?.keyId,
-        amount: paymentOrder.amount,
-        currency: paymentOrder.currency || 'INR',
-        name: 'YQ PAY NOW',
-        description: `Order #${orderNumber}`,
-        order_id: paymentOrder.orderId, // Fixed: use orderId instead of id
-        ...paymentConfig, // Apply payment method configuration
-        config: {
-          display: {
-            blocks: {
-              banks: {
-                name: razorpayMethod === 'card' ? 'Pay using Cards' : 
-                      razorpayMethod === 'upi' ? 'Pay using UPI' :
-                      razorpayMethod === 'netbanking' ? 'Pay using Netbanking' : 'Pay Now',
-                instruments: [
-                  {
-                    method: razorpayMethod
-                  }
-                ]
-              }
-            },
-            sequence: ['block.banks'],
-            preferences: {
-              show_default_blocks: false
-            }
-          }
-        },
-        handler: async function(response) {
-          try {
-            console.log('✅ Razorpay payment success:', response);
-            
-            // Verify payment
-            const verifyResponse = await fetch(`${config.api.baseUrl}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-              },
-              body: JSON.stringify({
-                orderId: orderId,
-                paymentId: response.razorpay_payment_id,
-                signature: response.razorpay_signature,
-                razorpayOrderId: response.razorpay_order_id,
-                transactionId: paymentOrder.transactionId
-              })
-            });
-            
-            const verifyData = await verifyResponse.json();
-            
-            if (verifyData.success) {
-              console.log('✅ Payment verified successfully');
-              resolve(verifyData);
-            } else {
-              reject(new Error('Payment verification failed'));
+  const initiateGatewayPayment = async (paymentData, orderId, orderNumber, authToken, method = paymentMethod) => {
+    const { provider, paymentOrder } = paymentData;
+
+    // Razorpay opens straight on the instrument the cashier picked
+    const razorpayMethod = ['card', 'upi', 'netbanking'].includes(method) ? method : null;
+    const razorpayOptions = razorpayMethod ? {
+      method: razorpayMethod,
+      config: {
+        display: {
+          blocks: {
+            banks: {
+              name: razorpayMethod === 'card' ? 'Pay using Cards' :
+                    razorpayMethod === 'upi' ? 'Pay using UPI' : 'Pay using Netbanking',
+              instruments: [{ method: razorpayMethod }]
             }
-          } catch (error) {
-            console.error('❌ Payment verification error:', error);
-            reject(error);
+          },
+          sequence: ['block.banks'],
+          preferences: {
+            show_default_blocks: false
           }
-        },
-        modal: {
-          ondismiss: function() {
-            reject(new Error('Payment cancelled by user'));
-          }
-        },
-        theme: {
-          color: '#6B0E9B'
-        },
-        prefill: {
-          name: customerName || 'Customer',
-          contact: '',
-          email: ''
         }
-      };
-      
-      console.log('💳 Opening Razorpay checkout with options:', {
-        key: options.key?.substring(0, 10) + '...',
-        amount: options.amount,
-        method: options.method,
-        order_id: options.order_id
-      });
-      
-      const razorpay = new window.Razorpay(options);
-      razorpay.open();
+      }
+    } : {};
+
+    console.log(`💳 Opening ${provider} checkout for order ${orderNumber}`);
+    const result = await openCheckout(provider, paymentOrder, {
+      orderId,
+      description: `Order #${orderNumber}`,
+      prefill: {
+        name: customerName || 'Customer',
+        contact: '',
+        email: ''
+      },
+      razorpayOptions,
+      context: { orderNumber, redirectPath: getRedirectPath() }
     });
-  };
-
-  /**
-   * Paytm Payment Integration
-   */
-  const initiatePaytmPayment = async (paymentOrder, orderId, orderNumber, authToken) => {
-    return new Promise((resolve, reject) => {
-      // Display Paytm payment information
-      const paytmInfo = `
-🔷 Paytm Payment Details 🔷
-
-Order Number: ${orderNumber}
-Amount: ₹${(paymentOrder.amount / 100).toFixed(2)}
-
-Transaction ID: ${paymentOrder.txnToken}
-Merchant Order ID: ${paymentOrder.orderId}
-
-Test Mode: ${gatewayConfig.paytm?.testMode ? 'YES' : 'NO'}
 
-Instructions:
-1. Use Paytm app to scan QR code (if available)
-2. Or enter transaction ID in Paytm app
-3. Complete payment using UPI/Card/Wallet
-
-Status: Processing...
-      `.trim();
-
-      const confirmed = window.confirm(paytmInfo + '\n\nClick OK after completing payment, or Cancel to abort.');
-      
-      if (confirmed) {
-        // In production, you would verify payment status here
-        // For now, we'll simulate success
-        setTimeout(async () => {
-          try {
-            // Verify payment with backend
-            const verifyResponse = await fetch(`${config.api.baseUrl}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-              },
-              body: JSON.stringify({
-                orderId: orderId,
-                transactionId: paymentOrder.transactionId,
-                paytmOrderId: paymentOrder.orderId
-              })
-            });
-            
-            const verifyData = await verifyResponse.json();
-            
-            if (verifyData.success) {
-              console.log('✅ Paytm payment verified');
-              resolve(verifyData);
-            } else {
-              reject(new Error('Payment verification failed'));
-            }
-          } catch (error) {
-            console.error('❌ Paytm verification error:', error);
-            reject(error);
-          }
-        }, 1000);
-      } else {
-        reject(new Error('Payment cancelled by user'));
-      }
+    return verifyCheckout({
+      orderId,
+      transactionId: paymentOrder.transactionId,
+      result,
+      authToken
     });
   };
 
-  /**
-   * PhonePe Payment Integration
-   */
-  const initiatePhonePePayment = async (paymentOrder, orderId, orderNumber, authToken) => {
-    return new Promise((resolve, reject) => {
-      // Display PhonePe payment information
-      const phonePeInfo = `
-📱 PhonePe Payment Details 📱
-
-Order Number: ${orderNumber}
-Amount: ₹${(paymentOrder.amount / 100).toFixed(2)}
-
-Merchant Transaction ID: ${paymentOrder.merchantTransactionId}
-Test Mode: ${gatewayConfig.phonepe?.testMode ? 'YES' : 'NO'}
-
-Instructions:
-1. Open PhonePe app
-2. Scan QR code or use UPI ID
-3. Complete payment
-
-Status: Processing...
-      `.trim();
-
-      const confirmed = window.confirm(phonePeInfo + '\n\nClick OK after completing payment, or Cancel to abort.');
-      
-      if (confirmed) {
-        setTimeout(async () => {
-          try {
-            // Verify payment with backend
-            const verifyResponse = await fetch(`${config.api.baseUrl}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-              },
-              body: JSON.stringify({
-                orderId: orderId,
-                transactionId: paymentOrder.transactionId,
-                merchantTransactionId: paymentOrder.merchantTransactionId
-              })
-            });
-            
-            const verifyData = await verifyResponse.json();
-            
-            if (verifyData.success) {
-              console.log('✅ PhonePe payment verified');
-              resolve(verifyData);
-            } else {
-              reject(new Error('Payment verification failed'));
-            }
-          } catch (error) {
-            console.error('❌ PhonePe verification error:', error);
-            reject(error);
+  // Finish a PhonePe payment when the pay page redirects back here
+  useEffect(() => {
+    resumeRedirectCheckout({ authToken: getAuthToken() })
+      .then((resumed) => {
+        if (!resumed) return;
+        sessionStorage.removeItem('cartData');
+        navigate(resumed.context?.redirectPath || getRedirectPath(), {
+          state: {
+            orderSuccess: true,
+            orderNumber: resumed.context?.orderNumber,
+            clearCart: true
           }
-        }, 1000);
-      } else {
-        reject(new Error('Payment cancelled by user'));
-      }
-    });
-  };
+        });
+      })
+      .catch((error) => {
+        console.error('❌ Payment error:', error);
+        alert(`Payment Failed: ${error.message}\n\nPlease try again or use cash payment.`);
+      });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   // ============================================
   // ORDER CONFIRMATION HANDLER
@@ -818,9 +769,18 @@ Status: Processing...
         return;
       }
 
+      // Cash received and the parts of a split payment
+      const tenderError = validateTenders(tenders, total);
+      if (tenderError) {
+        alert(`⚠️ ${tenderError}`);
+        setIsLoading(false);
+        return;
+      }
+
       // ✅ CRITICAL: Check if online payment is selected but gateway is not configured
-      const isCardPayment = paymentMethod === 'card';
-      const isUpiPayment = paymentMethod === 'upi';
+      const tenderMethods = tenders.map(tender => tender.method);
+      const isCardPayment = tenderMethods.includes('card');
+      const isUpiPayment = tenderMethods.includes('upi');
       const isNetbankingPayment = paymentMethod === 'netbanking';
       const isOnlinePayment = isCardPayment || isUpiPayment || isNetbankingPayment;
       
@@ -849,12 +809,15 @@ Status: Processing...
       console.log('✅ All validations passed');
 
       // Check if offline - queue the order instead
+      // Coupons need the server, so offline orders are queued at the regular price
       if (connectionStatus === 'offline') {
         try {
           const offlineOrderData = {
             theaterId: theaterId,
             items: cartData.items.map(item => ({
-              product: item._id,
+              product: getLineProductId(item),
+              ...(item.comboSelections?.length && { comboSelections: item.comboSelections }),
+              ...(item.modifiers?.length && { variants: item.modifiers }),
               name: item.name,
               quantity: item.quantity,
               price: item.sellingPrice,
@@ -866,12 +829,14 @@ Status: Processing...
             customerName: customerName.trim(),
             notes: orderNotes.trim(),
             paymentMethod: paymentMethod,
+            tenders: toOrderTenders(tenders),
             qrName: qrName,
             seat: seat,
-            subtotal: subtotal,
-            tax: tax,
-            totalDiscount: totalDiscount,
-            total: total,
+            subtotal: cartTotals.subtotal,
+            tax: cartTotals.tax,
+            totalDiscount: cartTotals.totalDiscount,
+            total: cartTotals.total,
+            shiftId: getActiveShiftId(theaterId),
             orderType: 'OFFLINE_POS',
             status: 'PENDING',
             createdAt: new Date().toISOString()
@@ -879,12 +844,16 @@ Status: Processing...
 
           // Add to offline queue
           const queuedOrder = addOrder(offlineOrderData);
+
+          // Tills print from the cached print profile, so the kitchen gets the order while offline too
+          printOrder(theaterId, queuedOrder, { channel: 'offline-pos' })
+            .catch(error => console.warn('🖨️ Offline order not printed:', error.message));
           
           // Clear cart data from sessionStorage
           sessionStorage.removeItem('cartData');
           
           // Show success message
-          alert(`✅ Order Queued Offline!\n\nOrder will be synced when connection is restored.\n\nQueue ID: ${queuedOrder.queueId}\n\nCustomer: ${customerName}\nTotal: ₹${total.toFixed(2)}`);
+          alert(`✅ Order Queued Offline!\n\nOrder will be synced when connection is restored.\n\nQueue ID: ${queuedOrder.queueId}\n\nCustomer: ${customerName}\nTotal: ₹${cartTotals.total.toFixed(2)}`);
           
           // Navigate back to appropriate page based on source
           const redirectPath = getRedirectPath();
@@ -911,16 +880,21 @@ Status: Processing...
       const orderData = {
         theaterId: theaterId, // Required by backend validation
         customerName: customerName.trim(),
-        items: cartData.items.map(item => ({
-          productId: item._id,
-          quantity: item.quantity,
+        items: cartData.items.map(item => toOrderLine(item, {
           specialInstructions: item.notes || ''
         })),
         orderNotes: orderNotes.trim(),
+        couponCode: coupon?.code,
+        ...(loyaltyAccount && {
+          customerInfo: { name: customerName.trim(), phoneNumber: loyaltyAccount.phoneNumber } // ⭐ Member earns/redeems points
+        }),
+        loyaltyPoints: loyaltyState.appliedPoints || undefined,
         paymentMethod: paymentMethod,
+        tenders: toOrderTenders(tenders), // ✅ Cash received, or each part of a split payment
         orderType: getOrderType(), // ✅ Add order type for channel detection
         qrName: qrName,  // ✅ Include QR Name
-        seat: seat       // ✅ Include Seat
+        seat: seat,      // ✅ Include Seat
+        shiftId: getActiveShiftId(theaterId) // ✅ Cashier shift the order is taken in
       };
 
       console.log('📤 Sending order data:', orderData);
@@ -966,75 +940,43 @@ Status: Processing...
       
       if (response.ok && result.success) {
         console.log('✅ Order created successfully!');
-        const orderId = result.order._id;
-        const orderNumber = result.order.orderNumber;
+        const createdOrder = result.data || result.order;
+        const orderId = createdOrder._id;
+        const orderNumber = createdOrder.orderNumber;
         console.log('📋 Order ID:', orderId);
         console.log('🎫 Order Number:', orderNumber);
 
-        // ✅ If non-cash payment and gateway enabled, initiate payment
-        const isCardPayment = paymentMethod === 'card' && gatewayConfig?.acceptedMethods?.card;
-        const isUpiPayment = paymentMethod === 'upi' && gatewayConfig?.acceptedMethods?.upi;
+        // ✅ Card / UPI tenders are paid through the gateway, one checkout per tender
+        const gatewayTenders = (createdOrder.payment?.tenders || []).filter(tender =>
+          tender.status === 'pending' && gatewayConfig?.acceptedMethods?.[tender.method]
+        );
         
-        if ((isCardPayment || isUpiPayment) && gatewayConfig?.isEnabled) {
-          if (!razorpayLoaded) {
-            alert('Payment gateway is loading. Please wait a moment and try again.');
-            setIsLoading(false);
-            return;
-          }
-          
+        if (gatewayTenders.length > 0 && gatewayConfig?.isEnabled) {
           try {
-            console.log(`💳 Initiating ${paymentMethod} payment for order ${orderId}`);
-            
-            // Create payment order
-            const paymentResponse = await fetch(`${config.api.baseUrl}/payments/create-order`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-              },
-              body: JSON.stringify({ 
-                orderId: orderId,
-                paymentMethod: paymentMethod
-              })
-            });
-            
-            const paymentData = await paymentResponse.json();
-            
-            if (!paymentData.success) {
-              throw new Error(paymentData.message || 'Failed to initialize payment');
-            }
-            
-            console.log(`✅ Payment order created:`, paymentData);
-            
-            // Show payment UI based on provider
-            const provider = paymentData.provider;
-            
-            // Initiate payment and wait for completion
-            let paymentResult = null;
-            if (provider === 'razorpay') {
-              paymentResult = await initiateRazorpayPayment(paymentData.paymentOrder, orderId, orderNumber, authToken);
-            } else if (provider === 'paytm') {
-              paymentResult = await initiatePaytmPayment(paymentData.paymentOrder, orderId, orderNumber, authToken);
-            } else if (provider === 'phonepe') {
-              paymentResult = await initiatePhonePePayment(paymentData.paymentOrder, orderId, orderNumber, authToken);
-            } else {
-              throw new Error(`Unsupported payment provider: ${provider}`);
-            }
-            
-            // ✅ Only proceed if payment was successfully verified
-            if (!paymentResult || !paymentResult.success) {
-              throw new Error('Payment verification failed. Please try again.');
+            for (const tender of gatewayTenders) {
+              console.log(`💳 Initiating ${tender.method} payment of ₹${tender.amount} for order ${orderId}`);
+              
+              // Create payment order and open the provider's checkout
+              const paymentData = await createPaymentOrder({ orderId, paymentMethod: tender.method, tenderId: tender._id, authToken });
+              console.log(`✅ Payment order created:`, paymentData);
+              
+              const paymentResult = await initiateGatewayPayment(paymentData, orderId, orderNumber, authToken, tender.method);
+              
+              // ✅ Only proceed if payment was successfully verified
+              if (!paymentResult?.transaction) {
+                throw new Error('Payment verification failed. Please try again.');
+              }
             }
             
             console.log('✅ Payment completed and verified successfully');
             
             // Payment success - clear cart and show success
             sessionStorage.removeItem('cartData');
-            setOrderDetails(result.order);
+            setOrderDetails(createdOrder);
             setShowSuccessModal(true);
             
             // 🖨️ AUTO-PRINT: Print receipt automatically for POS orders
-            autoPrintReceipt(result.order);
+            autoPrintReceipt(createdOrder);
             
             const redirectPath = getRedirectPath();
             
@@ -1058,11 +1000,11 @@ Status: Processing...
         } else {
           // ✅ Cash payment - show success directly
           sessionStorage.removeItem('cartData');
-          setOrderDetails(result.order);
+          setOrderDetails(createdOrder);
           setShowSuccessModal(true);
           
           // 🖨️ AUTO-PRINT: Print receipt automatically for POS orders
-          autoPrintReceipt(result.order);
+          autoPrintReceipt(createdOrder);
           
           const redirectPath = getRedirectPath();
           
@@ -1301,6 +1243,8 @@ Status: Processing...
                   
                   <div className="item-details">
                     <h3 className="item-name">{item.name}</h3>
+                    {item.comboSummary && <span className="combo-contents">{item.comboSummary}</span>}
+                    {item.modifierSummary && <span className="modifier-summary">{item.modifierSummary}</span>}
                     <div className="item-price">
                       {formatPrice(item.sellingPrice)} each
                     </div>
@@ -1352,6 +1296,45 @@ Status: Processing...
                     <span className="discount-amount">-{formatPrice(totalDiscount)}</span>
                   </div>
                 )}
+                {coupon && (
+                  <div className="summary-row discount-row">
+                    <span>Coupon ({coupon.code}):</span>
+                    <span className="discount-amount">-{formatPrice(coupon.discountAmount)}</span>
+                  </div>
+                )}
+                <CouponCodeInput {...couponState} />
+                {loyaltyState.discount > 0 && (
+                  <div className="summary-row discount-row">
+                    <span>Loyalty points ({loyaltyState.appliedPoints}):</span>
+                    <span className="discount-amount">-{formatPrice(loyaltyState.discount)}</span>
+                  </div>
+                )}
+                <div className="loyalty-lookup">
+                  <input
+                    type="tel"
+                    className="loyalty-lookup-input"
+                    placeholder="Member phone number"
+                    value={loyaltyPhone}
+                    onChange={(e) => setLoyaltyPhone(e.target.value)}
+                    disabled={!!loyaltyAccount}
+                  />
+                  {loyaltyAccount ? (
+                    <button type="button" className="loyalty-redeem-clear" onClick={handleLoyaltyClear}>
+                      Remove
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      className="loyalty-redeem-max"
+                      onClick={handleLoyaltyLookup}
+                      disabled={loyaltyLookingUp || !loyaltyPhone.trim()}
+                    >
+                      {loyaltyLookingUp ? 'Finding...' : 'Find'}
+                    </button>
+                  )}
+                </div>
+                {loyaltyLookupError && <div className="loyalty-redeem-error">{loyaltyLookupError}</div>}
+                <LoyaltyRedeemInput account={loyaltyAccount} {...loyaltyState} />
                 <div className="summary-divider"></div>
                 <div className="summary-row total-row">
                   <span>Total Amount:</span>
@@ -1374,7 +1357,7 @@ Status: Processing...
                         name="payment"
                         value="cash"
                         checked={paymentMethod === 'cash'}
-                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        onChange={(e) => selectPaymentMethod(e.target.value)}
                       />
                       <span>Cash Payment ✅</span>
                     </label>
@@ -1384,7 +1367,7 @@ Status: Processing...
                         name="payment"
                         value="card"
                         checked={paymentMethod === 'card'}
-                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        onChange={(e) => selectPaymentMethod(e.target.value)}
                         disabled={!gatewayConfig?.isEnabled || !gatewayConfig?.acceptedMethods?.card}
                       />
                       <span>
@@ -1398,7 +1381,7 @@ Status: Processing...
                         name="payment"
                         value="upi"
                         checked={paymentMethod === 'upi'}
-                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        onChange={(e) => selectPaymentMethod(e.target.value)}
                         disabled={!gatewayConfig?.isEnabled || !gatewayConfig?.acceptedMethods?.upi}
                       />
                       <span>
@@ -1406,6 +1389,21 @@ Status: Processing...
                         {(gatewayConfig?.isEnabled && gatewayConfig?.acceptedMethods?.upi) ? ' ✅' : ' ❌ (Not Available)'}
                       </span>
                     </label>
+                    <label className={`payment-option ${splitMethods.length < 2 ? 'disabled' : ''}`}>
+                      <input
+                        type="radio"
+                        name="payment"
+                        value="split"
+                        checked={paymentMethod === 'split'}
+                        onChange={(e) => selectPaymentMethod(e.target.value)}
+                        disabled={splitMethods.length < 2}
+                      />
+                      <span>
+                        Split Payment
+                        {splitMethods.length < 2 ? ' ❌ (Not Available)' : ' ✅'}
+                      </span>
+                    </label>
+                    <TenderInput rows={tenders} onChange={setTenders} total={total} methods={splitMethods} />
                     {gatewayConfig?.isEnabled && (
                       <div style={{ 
                         fontSize: '12px', 
@@ -1471,7 +1469,10 @@ Status: Processing...
                   <p><strong>Order Number:</strong> {orderDetails.orderNumber}</p>
                   <p><strong>Customer:</strong> {orderDetails.customerName}</p>
                   <p><strong>Total:</strong> ₹{orderDetails.total}</p>
-                  <p><strong>Payment:</strong> {orderDetails.paymentMethod.toUpperCase()}</p>
+                  <p><strong>Payment:</strong> {(orderDetails.payment?.method || orderDetails.paymentMethod || '').toUpperCase()}</p>
+                  {orderDetails.payment?.changeDue > 0 && (
+                    <p><strong>Change Due:</strong> ₹{orderDetails.payment.changeDue.toFixed(2)}</p>
+                  )}
                   <p style={{ marginTop: '15px', fontSize: '13px', color: '#10B981' }}>
                     🖨️ Receipt is printing automatically...
                   </p>
@@ -1482,7 +1483,7 @@ Status: Processing...
                   className="modal-secondary-btn" 
                   onClick={(e) => {
                     e.stopPropagation();
-                    autoPrintReceipt(orderDetails);
+                    autoPrintReceipt(orderDetails, { reprint: true });
                   }}
                   style={{
                     background: '#6B7280',
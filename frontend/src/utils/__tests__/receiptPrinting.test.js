@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { EscPosEncoder, toPrintableText, wrapText, fromBase64 } from '../escpos';
+import { buildPrintJobs, normalizeOrderForPrint, renderKitchenTicket } from '../receiptPrinting';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Bytes after ESC or GS taken by each command the receipts use: ESC @, ESC a/E/d n, GS ! n, GS V B n
+const commandLength = (bytes, index) => {
+  if (bytes[index] === ESC) return bytes[index + 1] === 0x40 ? 1 : 2;
+  return bytes[index + 1] === 0x56 ? 3 : 2;
+};
+
+// Printable lines of an ESC/POS stream, with the commands left out
+const printedLines = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === ESC || bytes[i] === GS) {
+      i += commandLength(bytes, i);
+    } else {
+      text += String.fromCharCode(bytes[i]);
+    }
+  }
+  return text.split('\n');
+};
+
+describe('toPrintableText', () => {
+  it('spells out the rupee sign and drops accents the printer cannot show', () => {
+    expect(toPrintableText('₹ 120 Crème brûlée')).toBe('Rs. 120 Creme brulee');
+    expect(toPrintableText('Chai ☕')).toBe('Chai ?');
+  });
+});
+
+describe('wrapText', () => {
+  it('breaks at spaces and splits words longer than a line', () => {
+    expect(wrapText('Large caramel popcorn tub', 12)).toEqual(['Large', 'caramel', 'popcorn tub']);
+    expect(wrapText('Supercalifragilistic', 8)).toEqual(['Supercal', 'ifragili', 'stic']);
+  });
+});
+
+describe('EscPosEncoder.columns', () => {
+  it('puts the amount at the right edge of the paper', () => {
+    const lines = printedLines(new EscPosEncoder({ paperWidth: 58 }).columns('2 x Popcorn', '240.00').encode());
+    expect(lines[0]).toBe(`2 x Popcorn${' '.repeat(15)}240.00`);
+    expect(lines[0]).toHaveLength(32);
+  });
+
+  it('wraps a long item name and keeps the amount on its last line', () => {
+    const lines = printedLines(new EscPosEncoder({ paperWidth: 58 })
+      .columns('1 x Large caramel and cheese popcorn combo', '450.00').encode());
+    expect(lines[0]).toBe('1 x Large caramel and');
+    expect(lines[1]).toBe(`cheese popcorn combo${' '.repeat(6)}450.00`);
+  });
+});
+
+describe('normalizeOrderForPrint', () => {
+  it('brings queued offline orders to the same shape as API orders', () => {
+    const order = normalizeOrderForPrint({
+      queueId: 'Q-7',
+      products: [{ product: 'p1', name: 'Cola', quantity: 2, price: 60, modifiers: [{ label: 'Large' }] }],
+      total: 120
+    });
+
+    expect(order).toMatchObject({ number: 'Q-7', total: 120, offline: true });
+    expect(order.items[0]).toEqual({
+      productId: 'p1', name: 'Cola', quantity: 2, amount: 120, modifiers: ['Large'], components: [], notes: ''
+    });
+  });
+});
+
+describe('buildPrintJobs', () => {
+  const profile = {
+    theater: { name: 'Galaxy Cinemas' },
+    productCategories: { popcorn: 'snacks', cola: 'drinks' },
+    printers: [
+      { _id: 'r1', name: 'Counter', role: 'receipt', paperWidth: 80, sources: ['pos'] },
+      { _id: 'r2', name: 'Kiosk', role: 'receipt', paperWidth: 58, sources: ['kiosk'], copies: 2 },
+      { _id: 'k1', name: 'Snacks', role: 'kitchen', paperWidth: 80, categoryIds: ['snacks'] },
+      { _id: 'k2', name: 'Bar', role: 'kitchen', paperWidth: 80, categoryIds: ['desserts'] }
+    ]
+  };
+  const order = {
+    _id: 'o1',
+    orderNumber: 'ORD-1',
+    source: 'kiosk',
+    items: [
+      { productId: 'popcorn', productName: 'Popcorn', quantity: 1, total: 150, specialInstructions: 'extra butter' },
+      { productId: 'cola', productName: 'Cola', quantity: 1, total: 60 }
+    ],
+    pricing: { subtotal: 210, total: 210 }
+  };
+
+  it('sends the receipt to the printers for the order source and each kitchen ticket to its categories', () => {
+    const jobs = buildPrintJobs(order, profile);
+
+    expect(jobs.map(job => [job.kind, job.printer.name, job.copies])).toEqual([
+      ['receipt', 'Kiosk', 2],
+      ['kitchen', 'Snacks', 1]
+    ]);
+    const receipt = printedLines(fromBase64(jobs[0].data));
+    expect(receipt).toContain(`TOTAL${' '.repeat(17)}Rs. 210.00`);
+  });
+
+  it('still prints a reprint when no receipt printer takes the source', () => {
+    const jobs = buildPrintJobs({ ...order, source: 'online' }, profile, { kinds: ['receipt'], reprint: true });
+
+    expect(jobs.map(job => job.printer.name)).toEqual(['Counter']);
+    expect(printedLines(fromBase64(jobs[0].data))).toContain('** REPRINT **');
+  });
+});
+
+describe('renderKitchenTicket', () => {
+  it('lists what to prepare with notes and no prices', () => {
+    const order = normalizeOrderForPrint({
+      orderNumber: 'ORD-2',
+      qrName: 'Screen 3',
+      seat: 'B7',
+      items: [{ productId: 'p', productName: 'Nachos', quantity: 2, total: 300, specialInstructions: 'no jalapenos' }]
+    });
+
+    const lines = printedLines(renderKitchenTicket(order, order.items, { name: 'Snacks', paperWidth: 80 }));
+
+    expect(lines).toEqual(expect.arrayContaining(['SNACKS', '#ORD-2', 'Screen 3 - Seat B7', '2 x Nachos', '   Note: no jalapenos']));
+    expect(lines.join('\n')).not.toContain('300');
+  });
+});
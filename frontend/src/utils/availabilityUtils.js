@@ -0,0 +1,63 @@
+/**
+ * Availability Utilities
+ * Day, time, date, screen and kiosk type rules that limit when a product or a whole category can be ordered.
+ *
+ * Products and categories keep them as availability: { days: [0-6], timeRanges: [{ start, end }], startDate, endDate, screens, kioskTypes }.
+ * The product API marks every product with isAvailableNow / availabilityReason for the menu asking, and
+ * refuses orders for unavailable products, so menus only need to grey them out or hide them.
+ */
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Editor form for stored rules (screens are typed as a comma-separated list)
+ */
+export const toAvailabilityForm = (availability) => ({
+  days: availability?.days || [],
+  timeRanges: (availability?.timeRanges || []).map(range => ({ start: range.start, end: range.end })),
+  startDate: availability?.startDate || '',
+  endDate: availability?.endDate || '',
+  screens: (availability?.screens || []).join(', '),
+  kioskTypes: (availability?.kioskTypes || []).map(String)
+});
+
+/**
+ * Rules to send to the API from the editor form, or null when nothing is restricted
+ */
+export const toAvailabilityPayload = (form) => {
+  if (!form) return null;
+  const payload = {
+    days: form.days,
+    timeRanges: form.timeRanges.filter(range => range.start && range.end),
+    startDate: form.startDate || null,
+    endDate: form.endDate || null,
+    screens: form.screens.split(',').map(screen => screen.trim()).filter(Boolean),
+    kioskTypes: form.kioskTypes
+  };
+  const restricted = payload.days.length > 0 || payload.timeRanges.length > 0 || payload.startDate ||
+    payload.endDate || payload.screens.length > 0 || payload.kioskTypes.length > 0;
+  return restricted ? payload : null;
+};
+
+/**
+ * Short summary of the rules for product and category lists, e.g. "Sat, Sun · 07:00-11:00"
+ */
+export const describeAvailability = (availability) => {
+  if (!availability) return '';
+  const parts = [];
+  if (availability.days?.length > 0) parts.push(availability.days.map(day => DAY_LABELS[day]).join(', '));
+  if (availability.timeRanges?.length > 0) {
+    parts.push(availability.timeRanges.map(range => `${range.start}-${range.end}`).join(', '));
+  }
+  if (availability.startDate || availability.endDate) {
+    parts.push(`${availability.startDate || '…'} to ${availability.endDate || '…'}`);
+  }
+  if (availability.screens?.length > 0) parts.push(availability.screens.join(', '));
+  if (availability.kioskTypes?.length > 0) parts.push(`${availability.kioskTypes.length} kiosk type(s)`);
+  return parts.join(' · ');
+};
+
+/**
+ * Whether the server says a product can't be ordered right now (products from older APIs count as available)
+ */
+export const isUnavailableNow = (product) => product?.isAvailableNow === false;
@@ -0,0 +1,77 @@
+/**
+ * Combo Utilities
+ * Cart helpers for combo products (a bundle of other products, e.g. popcorn + drink).
+ *
+ * The API returns combos with comboItems: [{ productId, productName, quantity, swapOptions: [{ productId, productName, isAvailable }] }].
+ * A combo in the cart keeps the combo's productId and the chosen swaps as comboSelections: [{ slot, productId }].
+ */
+
+export const isComboProduct = (product) => Boolean(product?.isCombo && product.comboItems?.length);
+
+// True when the customer has to pick something before the combo goes in the cart
+export const hasComboChoices = (product) =>
+  isComboProduct(product) && product.comboItems.some(item => item.swapOptions?.length > 0);
+
+export const getDefaultComboSelections = (product) =>
+  (product.comboItems || []).map((item, slot) => ({ slot, productId: String(item.productId) }));
+
+const getOptionName = (comboItem, productId) => {
+  if (String(comboItem.productId) === String(productId)) return comboItem.productName;
+  return comboItem.swapOptions?.find(option => String(option.productId) === String(productId))?.productName
+    || comboItem.productName;
+};
+
+/**
+ * Readable list of what's in a combo, e.g. "2× Popcorn, 1× Pepsi 500ml"
+ */
+export const describeCombo = (product, selections = getDefaultComboSelections(product)) =>
+  (product.comboItems || []).map((comboItem, slot) => {
+    const selection = selections.find(s => s.slot === slot);
+    return `${comboItem.quantity || 1}× ${getOptionName(comboItem, selection?.productId ?? comboItem.productId)}`;
+  }).join(', ');
+
+/**
+ * Cart line for a combo with the given choices
+ * Each distinct set of choices is its own line, so its _id includes the chosen products.
+ */
+export const buildComboCartItem = (product, selections = getDefaultComboSelections(product)) => {
+  const swapped = selections.filter(s => String(product.comboItems[s.slot]?.productId) !== String(s.productId));
+  return {
+    ...product,
+    _id: swapped.length > 0 ? `${product._id}~${swapped.map(s => `${s.slot}.${s.productId}`).join('~')}` : product._id,
+    productId: product._id,
+    comboSelections: selections,
+    comboSummary: describeCombo(product, selections)
+  };
+};
+
+/**
+ * Product ID a cart line is ordered as - combo and modifier lines carry it separately from their cart key
+ */
+export const getLineProductId = (item) => item.productId || item._id;
+
+/**
+ * Turn combo items from the products API (swap options as objects) into ids for editing
+ */
+export const toEditableComboItems = (comboItems = []) => comboItems.map(item => ({
+  productId: String(item.productId),
+  quantity: item.quantity || 1,
+  swapOptions: (item.swapOptions || []).map(option => String(option.productId ?? option))
+}));
+
+/**
+ * Most recently added cart line for a product, combo choice lines included
+ */
+export const findLastCartLine = (items, productId) =>
+  [...items].reverse().find(item => String(getLineProductId(item)) === String(productId));
+
+/**
+ * Order/preview payload entry for a cart line
+ */
+export const toOrderLine = (item, extra = {}) => ({
+  productId: getLineProductId(item),
+  quantity: item.quantity,
+  ...(item.comboSelections?.length ? { comboSelections: item.comboSelections } : {}),
+  ...(item.modifiers?.length ? { variants: item.modifiers.map(({ name, option }) => ({ name, option })) } : {}),
+  ...extra
+});
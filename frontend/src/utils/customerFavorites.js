@@ -0,0 +1,58 @@
+import { customerFetch, getCustomerToken } from './customerSession';
+
+/**
+ * Customer Favorites
+ * Signed-in customers keep favourites on their account, per theater (/customers/favorites).
+ * Before signing in they live in localStorage and move to the account on the next load.
+ */
+
+const LOCAL_KEY = 'customerFavorites';
+
+const getLocalFavorites = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const toProductIds = (favorites) => favorites.map(favorite => favorite.productId);
+
+/**
+ * Product ids of the customer's favourites at a theater
+ */
+export const loadFavoriteIds = async (theaterId) => {
+  if (!getCustomerToken() || !theaterId) return getLocalFavorites();
+
+  const localIds = getLocalFavorites();
+  if (localIds.length > 0) {
+    const { data } = await customerFetch(`/customers/favorites/${theaterId}/import`, {
+      method: 'POST',
+      body: JSON.stringify({ productIds: localIds })
+    });
+    localStorage.removeItem(LOCAL_KEY);
+    return toProductIds(data);
+  }
+
+  const { data } = await customerFetch(`/customers/favorites?theaterId=${theaterId}`);
+  return toProductIds(data);
+};
+
+/**
+ * Add or remove a favourite
+ * @returns {Promise<Array>} The theater's favourite product ids afterwards
+ */
+export const setFavorite = async (theaterId, productId, isFavorite) => {
+  if (!getCustomerToken() || !theaterId) {
+    const localIds = getLocalFavorites().filter(id => id !== productId);
+    const updated = isFavorite ? [...localIds, productId] : localIds;
+    localStorage.setItem(LOCAL_KEY, JSON.stringify(updated));
+    return updated;
+  }
+
+  const { data } = await customerFetch(`/customers/favorites/${theaterId}/${productId}`, {
+    method: isFavorite ? 'PUT' : 'DELETE'
+  });
+  return toProductIds(data);
+};
@@ -0,0 +1,82 @@
+import config from '../config';
+
+/**
+ * Customer Session
+ * The short-lived customer token from OTP verification, kept apart from the staff login (authHelper.js).
+ * customerPhone stays in localStorage too, for the pages that prefill the number.
+ */
+
+const TOKEN_KEY = 'customerToken';
+const EXPIRES_KEY = 'customerTokenExpiresAt';
+const PHONE_KEY = 'customerPhone';
+
+/**
+ * Store the session returned by POST /sms/verify-otp
+ * @param {Object} session - { token, expiresAt, customer } from the verify response
+ * @param {string} phoneNumber - Number as the page shows it (defaults to the one on the account)
+ */
+export const saveCustomerSession = ({ token, expiresAt, customer }, phoneNumber = customer?.phoneNumber) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(EXPIRES_KEY, expiresAt);
+  localStorage.setItem(PHONE_KEY, phoneNumber);
+};
+
+export const clearCustomerSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(EXPIRES_KEY);
+  localStorage.removeItem(PHONE_KEY);
+};
+
+/**
+ * Customer token, or null when there is none or it has expired
+ */
+export const getCustomerToken = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const expiresAt = localStorage.getItem(EXPIRES_KEY);
+  if (!token || !expiresAt || new Date(expiresAt).getTime() <= Date.now()) {
+    if (token) clearCustomerSession();
+    return null;
+  }
+  return token;
+};
+
+/**
+ * Phone number of the signed-in customer, or null
+ */
+export const getCustomerPhone = () => (getCustomerToken() ? localStorage.getItem(PHONE_KEY) : null);
+
+/**
+ * Call a customer endpoint with the session token
+ * A rejected token ends the session; the error carries sessionExpired so pages can ask for the OTP again.
+ * @param {string} path - Path under the API base URL, e.g. /customers/orders?theaterId=...
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export const customerFetch = async (path, options = {}) => {
+  const response = await fetch(`${config.api.baseUrl}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${getCustomerToken()}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    clearCustomerSession();
+  }
+  if (!response.ok || !data.success) {
+    const error = new Error(data.message || data.error || 'Request failed');
+    error.sessionExpired = response.status === 401;
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * End the customer's sessions on every device
+ */
+export const logoutAllDevices = async () => {
+  await customerFetch('/customers/logout-all', { method: 'POST' });
+  clearCustomerSession();
+};
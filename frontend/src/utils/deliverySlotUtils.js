@@ -0,0 +1,50 @@
+/**
+ * Delivery Slot Utilities
+ * Scheduled seat delivery: now, at the screen's interval or at a chosen time.
+ * The server checks the slot and works out when the order reaches the kitchen.
+ */
+import { formatTime } from './showtimeUtils';
+
+export const DELIVERY_SLOT_OPTIONS = [
+  { id: 'now', label: 'Now', description: 'Delivered to your seat as soon as it is ready' },
+  { id: 'interval', label: 'At the interval', description: 'Waiting at your seat when the interval starts' },
+  { id: 'time', label: 'At a set time', description: 'Pick when you want it' }
+];
+
+/**
+ * Start of the screen's next interval from an ordering window, or null
+ */
+export const upcomingInterval = (orderingWindow, now = Date.now()) => {
+  const show = [orderingWindow?.show, orderingWindow?.nextShow]
+    .find(candidate => candidate?.intervalStart && new Date(candidate.intervalStart).getTime() > now);
+  return show ? { at: show.intervalStart, movieTitle: show.movieTitle } : null;
+};
+
+/**
+ * Next occurrence of an HH:mm time (today, or tomorrow once it has passed)
+ */
+export const timeInputToDate = (time, now = new Date()) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(now);
+  date.setHours(hours, minutes, 0, 0);
+  if (date <= now) date.setDate(date.getDate() + 1);
+  return date;
+};
+
+/**
+ * Slot sent with the order, or null for delivery now
+ */
+export const toDeliverySlotPayload = (type, time) => {
+  if (type === 'interval') return { type };
+  if (type === 'time') return { type, targetTime: timeInputToDate(time)?.toISOString() };
+  return null;
+};
+
+/**
+ * Short label for a scheduled order, e.g. "Interval · 07:55 pm"
+ */
+export const describeDeliverySlot = (slot) => {
+  if (!slot || slot.type === 'now' || !slot.targetTime) return '';
+  return `${slot.type === 'interval' ? 'Interval' : 'Deliver at'} · ${formatTime(slot.targetTime)}`;
+};
@@ -0,0 +1,199 @@
+/**
+ * ESC/POS Encoder
+ * Builds the byte stream a thermal receipt printer understands: text, alignment, emphasis,
+ * QR codes, raster logos and the paper cut.
+ *
+ *   const bytes = new EscPosEncoder({ paperWidth: 80 })
+ *     .align('center').bold(true).line('Popcorn Counter').bold(false)
+ *     .columns('Total', 'Rs. 210.00')
+ *     .cut()
+ *     .encode();
+ *
+ * Text is sent in the printer's default code page, so it is reduced to ASCII: ₹ becomes "Rs."
+ * and accents are dropped.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Characters per line and printable dots per line for the two common paper rolls
+export const PAPER_WIDTHS = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 }
+};
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+export const toPrintableText = (value) => String(value ?? '')
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+/**
+ * Split text into lines of at most `width` characters, breaking at spaces where possible
+ * Leading spaces are kept, so indented lines (modifiers, notes) stay indented.
+ */
+export const wrapText = (value, width) => {
+  const lines = [];
+  toPrintableText(value).split('\n').forEach(paragraph => {
+    let current = null;
+    paragraph.split(' ').forEach(word => {
+      while (word.length > width) {
+        if (current) lines.push(current);
+        current = null;
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (current === null) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current += ` ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+    lines.push(current ?? '');
+  });
+  return lines;
+};
+
+export class EscPosEncoder {
+  constructor({ paperWidth = 80 } = {}) {
+    this.paper = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80];
+    this.widthMultiplier = 1;
+    this.bytes = [];
+    this.initialize();
+  }
+
+  get columnCount() {
+    return Math.floor(this.paper.columns / this.widthMultiplier);
+  }
+
+  raw(bytes) {
+    for (let i = 0; i < bytes.length; i++) this.bytes.push(bytes[i]);
+    return this;
+  }
+
+  initialize() {
+    this.widthMultiplier = 1;
+    return this.raw([ESC, 0x40]);
+  }
+
+  align(alignment) {
+    return this.raw([ESC, 0x61, ALIGNMENTS[alignment] ?? 0]);
+  }
+
+  bold(on) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  /**
+   * Character size, 1-8 times the normal width and height
+   */
+  size(width = 1, height = width) {
+    const w = Math.min(Math.max(width, 1), 8);
+    const h = Math.min(Math.max(height, 1), 8);
+    this.widthMultiplier = w;
+    return this.raw([GS, 0x21, ((w - 1) << 4) | (h - 1)]);
+  }
+
+  text(value) {
+    const text = toPrintableText(value);
+    for (let i = 0; i < text.length; i++) {
+      this.bytes.push(text.charCodeAt(i));
+    }
+    return this;
+  }
+
+  newline(count = 1) {
+    for (let i = 0; i < count; i++) this.bytes.push(0x0a);
+    return this;
+  }
+
+  /**
+   * Print text wrapped to the paper width
+   */
+  line(value = '') {
+    wrapText(value, this.columnCount).forEach(part => this.text(part).newline());
+    return this;
+  }
+
+  /**
+   * Left and right text on one line, e.g. an item and its amount.
+   * A long left side wraps, with the right side on its last line.
+   */
+  columns(left, right) {
+    const rightText = toPrintableText(right);
+    const leftWidth = Math.max(this.columnCount - rightText.length - 1, 1);
+    const lines = wrapText(left, leftWidth);
+    lines.forEach((part, index) => {
+      if (index < lines.length - 1) {
+        this.text(part).newline();
+      } else {
+        this.text(part.padEnd(this.columnCount - rightText.length)).text(rightText).newline();
+      }
+    });
+    return this;
+  }
+
+  rule(character = '-') {
+    return this.text(character.repeat(this.columnCount)).newline();
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  /**
+   * QR code, printed by the printer itself (model 2, error correction M)
+   * @param {number} moduleSize - dot size of one QR module, 1-16
+   */
+  qrcode(value, moduleSize = 6) {
+    const data = toPrintableText(value);
+    const length = data.length + 3;
+    this.raw([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]);
+    this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, Math.min(Math.max(moduleSize, 1), 16)]);
+    this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]);
+    this.raw([GS, 0x28, 0x6b, length & 0xff, (length >> 8) & 0xff, 0x31, 0x50, 0x30]);
+    this.text(data);
+    return this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]);
+  }
+
+  /**
+   * Monochrome raster image
+   * @param {Object} raster - { width (dots, multiple of 8), height, data: bytes, 1 bit per dot, rows left to right }
+   */
+  image(raster) {
+    if (!raster?.data?.length) return this;
+    const bytesPerRow = raster.width / 8;
+    this.raw([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xff, (bytesPerRow >> 8) & 0xff, raster.height & 0xff, (raster.height >> 8) & 0xff]);
+    return this.raw(raster.data);
+  }
+
+  /**
+   * Feed past the cutter and cut, leaving a small hinge
+   */
+  cut() {
+    return this.raw([GS, 0x56, 0x42, 0x00]);
+  }
+
+  encode() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Base64 of a byte stream, as the print agent expects it
+ */
+export const toBase64 = (bytes) => {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (value) => Uint8Array.from(atob(value), character => character.charCodeAt(0));
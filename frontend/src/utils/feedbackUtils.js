@@ -0,0 +1,41 @@
+/**
+ * Order Feedback Utilities
+ * Shared by the customer's rating prompt and the theater's feedback dashboard
+ */
+
+// Order statuses a customer can rate an order in
+export const FEEDBACK_STATUSES = ['served', 'completed'];
+
+// Issue tags a customer can pick, with how they read
+export const FEEDBACK_TAG_LABELS = {
+  cold: 'Cold',
+  late: 'Late',
+  wrong_item: 'Wrong item',
+  missing_item: 'Missing item',
+  poor_quality: 'Poor quality',
+  spilled: 'Spilled'
+};
+
+// Ratings at or below this are low scores (matches the backend)
+export const LOW_SCORE_THRESHOLD = 2;
+
+export const canLeaveFeedback = (order) => FEEDBACK_STATUSES.includes(order?.status);
+
+/**
+ * One entry per product in the order, for rating each item once
+ */
+export const getRateableItems = (order) => {
+  const products = new Map();
+  for (const item of order?.items || []) {
+    const productId = String(item.productId || item.product?._id || item.product || '');
+    if (productId && !products.has(productId)) {
+      products.set(productId, { productId, name: item.productName || item.name || 'Item' });
+    }
+  }
+  return [...products.values()];
+};
+
+/**
+ * "★★★☆☆" for a 1-5 rating
+ */
+export const formatStars = (rating) => '★'.repeat(rating || 0) + '☆'.repeat(5 - (rating || 0));
@@ -0,0 +1,58 @@
+import config from '../config';
+import { getAuthToken } from './authHelper';
+
+/**
+ * Invoice download helpers
+ * Fetch an order's GST tax invoice and save the PDF or open the printable HTML.
+ * Staff send their login token; customers send their customer session token (customerSession.js).
+ */
+
+const fetchInvoice = async (theaterId, orderId, format, token = getAuthToken()) => {
+  const params = new URLSearchParams({ format });
+  const response = await fetch(
+    `${config.api.baseUrl}/orders/theater/${theaterId}/${orderId}/invoice?${params.toString()}`,
+    { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+  );
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || 'Failed to load invoice');
+  }
+  return response.blob();
+};
+
+/**
+ * Save the invoice as a PDF file
+ * @param {Object} order - needs _id and, for the file name, invoiceNumber
+ */
+export const downloadInvoicePdf = async (theaterId, order, token) => {
+  const blob = await fetchInvoice(theaterId, order._id, 'pdf', token);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${(order.invoiceNumber || order.orderNumber || 'invoice').replace(/\//g, '-')}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open the printable HTML invoice in a new tab
+ * The tab is opened before the request so popup blockers treat it as part of the click.
+ */
+export const openInvoiceHtml = async (theaterId, order, token) => {
+  const invoiceWindow = window.open('', '_blank');
+  try {
+    const blob = await fetchInvoice(theaterId, order._id, 'html', token);
+    const url = URL.createObjectURL(blob);
+    if (invoiceWindow) {
+      invoiceWindow.location.href = url;
+    } else {
+      window.location.href = url;
+    }
+  } catch (error) {
+    invoiceWindow?.close();
+    throw error;
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Loyalty Points Utilities
+ * Mirrors the backend redemption rules so carts can show the discount before the order is placed;
+ * the server checks the points again when the order is created.
+ */
+
+// How each ledger entry type reads in the points history
+export const LEDGER_LABELS = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  earn_reversed: 'Earned points reversed',
+  redeem_reversed: 'Points returned',
+  expire: 'Expired'
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Rupee value of a number of points
+ */
+export const getPointsValue = (points, account) => roundAmount((points || 0) * (account?.rules?.pointValue || 0));
+
+/**
+ * Most points that can go towards an order total (balance and the program's cap, whichever is lower)
+ */
+export const getRedeemablePoints = (account, orderTotal) => {
+  const { pointValue, maxRedeemPercent } = account?.rules || {};
+  if (!(pointValue > 0)) return 0;
+  const capPoints = Math.floor(roundAmount((orderTotal * maxRedeemPercent / 100) / pointValue));
+  return Math.max(0, Math.min(Math.floor(account.balance || 0), capPoints));
+};
+
+/**
+ * Why a number of points can't be redeemed on an order, or null when it can
+ */
+export const getRedemptionError = (account, points, orderTotal) => {
+  if (!points) return null;
+  if (points < account.rules.minRedeemPoints) return `Redeem at least ${account.rules.minRedeemPoints} points`;
+  if (points > account.balance) return `Only ${account.balance} points available`;
+  const maxPoints = getRedeemablePoints(account, orderTotal);
+  if (points > maxPoints) return `Points can pay up to ${account.rules.maxRedeemPercent}% of this order (${maxPoints} points)`;
+  return null;
+};
+
+/**
+ * Tier name for display, e.g. "gold" → "Gold"
+ */
+export const formatTier = (tier) => (tier?.name ? tier.name.charAt(0).toUpperCase() + tier.name.slice(1) : '');
@@ -0,0 +1,92 @@
+/**
+ * Modifier Utilities
+ * Cart helpers for product modifiers - option groups like size, extra cheese or caramel vs salted.
+ *
+ * The API returns a product's groups as variants: [{ name, required, minSelections, maxSelections, options: [{ label, price, isAvailable }] }].
+ * A cart line keeps what was picked as modifiers: [{ name, option, price }]; the order API receives them as `variants`.
+ */
+
+export const hasModifiers = (product) =>
+  Array.isArray(product?.variants) && product.variants.some(group => group.options?.length > 0);
+
+export const getModifierGroups = (product) =>
+  hasModifiers(product) ? product.variants.filter(group => group.options?.length > 0) : [];
+
+/**
+ * How many options must / may be picked from a group (maxSelections of 0 means any number)
+ */
+export const getSelectionLimits = (group) => {
+  const min = Math.max(group.required ? 1 : 0, parseInt(group.minSelections) || 0);
+  const max = parseInt(group.maxSelections) || group.options.length;
+  return { min, max };
+};
+
+/**
+ * First problem with the picked modifiers, or null when they can go in the cart
+ */
+export const validateModifiers = (product, modifiers) => {
+  for (const group of getModifierGroups(product)) {
+    const count = modifiers.filter(m => m.name === group.name).length;
+    const { min, max } = getSelectionLimits(group);
+    if (count < min) {
+      return min === 1 ? `Choose a ${group.name}` : `Choose at least ${min} ${group.name}`;
+    }
+    if (count > max) {
+      return `Choose at most ${max} ${group.name}`;
+    }
+  }
+  return null;
+};
+
+export const getModifierTotal = (modifiers = []) =>
+  modifiers.reduce((sum, modifier) => sum + (parseFloat(modifier.price) || 0), 0);
+
+/**
+ * Readable list of picked modifiers, e.g. "Large, Extra Cheese"
+ */
+export const describeModifiers = (modifiers = []) => modifiers.map(modifier => modifier.option).join(', ');
+
+/**
+ * Picked modifiers of a cart line or a saved order item (orders store them as variants)
+ */
+export const getLineModifiers = (item) =>
+  item.modifiers || (item.variants || []).filter(variant => variant.option);
+
+/**
+ * Drop blank groups and options left in the product form before saving
+ */
+export const cleanModifierGroups = (groups = []) => groups
+  .filter(group => group.name?.trim())
+  .map(group => ({ ...group, options: group.options.filter(option => option.label?.trim()) }));
+
+// Raise whichever price fields this cart keeps by the modifiers' extra charge
+const addToPrices = (product, extra) => {
+  const raise = (value) => (parseFloat(value) || 0) + extra;
+  return {
+    ...(product.price !== undefined && { price: raise(product.price) }),
+    ...(product.sellingPrice !== undefined && { sellingPrice: raise(product.sellingPrice) }),
+    ...(product.pricing && {
+      pricing: {
+        ...product.pricing,
+        ...(product.pricing.basePrice !== undefined && { basePrice: raise(product.pricing.basePrice) }),
+        ...(product.pricing.sellingPrice && { sellingPrice: raise(product.pricing.sellingPrice) }),
+        ...(product.pricing.salePrice && { salePrice: raise(product.pricing.salePrice) })
+      }
+    })
+  };
+};
+
+/**
+ * Cart line for a product with the given modifiers
+ * Each distinct set of modifiers is its own line, so its _id includes them.
+ */
+export const buildModifierCartItem = (product, modifiers = []) => ({
+  ...product,
+  _id: modifiers.length > 0
+    ? `${product._id}~${modifiers.map(m => `${m.name}:${m.option}`).join('|')}`
+    : product._id,
+  productId: product._id,
+  modifiers,
+  modifierSummary: describeModifiers(modifiers),
+  ...addToPrices(product, getModifierTotal(modifiers))
+});
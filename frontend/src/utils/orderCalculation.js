@@ -6,9 +6,10 @@
 /**
  * Calculate order totals with dynamic GST and discount handling
  * @param {Array} orderItems - Array of order items with price, quantity, tax, etc.
- * @returns {Object} Object containing subtotal, tax, total, and totalDiscount
+ * @param {Object} options - { loyaltyDiscount: value of loyalty points redeemed, taken off the total after tax }
+ * @returns {Object} Object containing subtotal, tax, total, totalDiscount and loyaltyDiscount
  */
-export const calculateOrderTotals = (orderItems = []) => {
+export const calculateOrderTotals = (orderItems = [], { loyaltyDiscount = 0 } = {}) => {
   let calculatedSubtotal = 0; // Original prices (before discount)
   let calculatedTax = 0;
   let calculatedDiscount = 0;
@@ -98,11 +99,15 @@ export const calculateOrderTotals = (orderItems = []) => {
     ? roundedSubtotal - roundedDiscount  // GST INCLUDE
     : roundedSubtotal - roundedDiscount + roundedTax;  // GST EXCLUDE
   
+  // Points can't take the total below zero (same as the backend)
+  const roundedLoyaltyDiscount = Math.round(Math.min(parseFloat(loyaltyDiscount) || 0, Math.max(0, calculatedTotal)) * 100) / 100;
+  
   return { 
     subtotal: roundedSubtotal, // Original price (before discount)
     tax: roundedTax, 
-    total: Math.round(calculatedTotal * 100) / 100,
-    totalDiscount: roundedDiscount
+    total: Math.round((calculatedTotal - roundedLoyaltyDiscount) * 100) / 100,
+    totalDiscount: roundedDiscount,
+    loyaltyDiscount: roundedLoyaltyDiscount
   };
 };
 
@@ -55,6 +55,19 @@ export const extractPagesFromAppJS = () => {
   { page: 'TheaterOrderHistory', pageName: 'Theater Order History', route: '/theater-order-history/:theaterId', description: 'View and manage theater order history with search and filtering', roles: ['theater_user', 'theater-admin', 'admin'] },
   { page: 'OnlineOrderHistory', pageName: 'Online Order History', route: '/online-order-history/:theaterId', description: 'View and manage online orders from QR code scans with search and filtering', roles: ['theater_user', 'theater-admin', 'admin'] },
   { page: 'KioskOrderHistory', pageName: 'Kiosk Order History', route: '/kiosk-order-history/:theaterId', description: 'View and manage kiosk POS orders with search and filtering', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterKitchenDisplay', pageName: 'Kitchen Display', route: '/theater-kitchen/:theaterId', description: 'Live kitchen tickets for pending and preparing orders with one-tap bump to preparing or ready', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterDispatchBoard', pageName: 'Seat Delivery', route: '/theater-dispatch/:theaterId', description: 'Dispatch ready screen QR orders to runners by screen and seat row, and track delivery times per runner', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterRunnerView', pageName: 'My Deliveries', route: '/theater-runner/:theaterId', description: 'Mobile queue for runners: go on duty, see assigned seat orders and mark them served', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterCoupons', pageName: 'Coupons', route: '/theater-coupons/:theaterId', description: 'Create promo codes with flat or percentage discounts, usage limits and validity windows, and track redemptions', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterSuppliers', pageName: 'Suppliers', route: '/theater-suppliers/:theaterId', description: 'Manage the vendors stock is bought from: contacts, GST number and payment terms', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterPurchaseOrders', pageName: 'Purchase Orders', route: '/theater-purchase-orders/:theaterId', description: 'Raise purchase orders, receive goods into stock by batch, return goods to suppliers and compare purchases with sales', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterRawMaterials', pageName: 'Raw Materials', route: '/theater-raw-materials/:theaterId', description: 'Track ingredient stock, set product recipes that use it up on every sale, and compare theoretical with actual consumption', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterStockTransfers', pageName: 'Stock Transfers', route: '/theater-stock-transfers/:theaterId', description: 'Keep stock per counter and kiosk, and request, dispatch and receive transfers between them', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterStockTakes', pageName: 'Stock-Takes', route: '/theater-stock-takes/:theaterId', description: 'Count stock by category, review variances against the book balance and approve the adjustments', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterShifts', pageName: 'Cashier Shifts', route: '/theater-shifts/:theaterId', description: 'Review cashier shifts, cash-up variances and the X/Z report of each drawer, and close shifts left open', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterShowtimes', pageName: 'Showtimes', route: '/theater-showtimes/:theaterId', description: 'Enter or import the showtimes of each screen and set when seat QR ordering opens and pauses around them', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterLoyalty', pageName: 'Loyalty Points', route: '/theater-loyalty/:theaterId', description: 'Set how customers earn and redeem loyalty points, the tiers and expiry, and look up a member\'s balance and history', roles: ['theater_user', 'theater-admin', 'admin'] },
+  { page: 'TheaterFeedback', pageName: 'Customer Feedback', route: '/theater-feedback/:theaterId', description: 'Customer ratings for served orders: service and product scores, reported issues and low-score alerts', roles: ['theater_user', 'theater-admin', 'admin'] },
   { page: 'TheaterAddProductWithId', pageName: 'Theater Add Product (With ID)', route: '/theater-add-product/:theaterId', description: 'Theater Product Management - Add new products to theater menu (With Theater ID)', roles: ['theater_user', 'theater-admin', 'admin'] },
   { page: 'TheaterRoles', pageName: 'Theater Roles Management', route: '/theater-roles/:theaterId', description: 'Manage theater-specific roles and permissions', roles: ['theater_user', 'theater-admin', 'admin'] },
   { page: 'TheaterRoleAccess', pageName: 'Theater Role Access Management', route: '/theater-role-access/:theaterId', description: 'Manage page access permissions for theater roles', roles: ['theater_user', 'theater-admin', 'admin'] },
@@ -0,0 +1,340 @@
+/**
+ * Payment Checkout Launcher
+ * Opens the checkout of whichever gateway the theater channel uses
+ * (Razorpay, PhonePe, Paytm or Stripe) and verifies the result with the backend.
+ *
+ * Typical use:
+ *   const { order, transaction } = await launchCheckout({ orderId, paymentMethod, authToken });
+ *
+ * PhonePe is a full-page redirect: the page calls resumeRedirectCheckout() on load
+ * to finish the payment when the customer comes back.
+ */
+
+import config from '../config';
+
+const SCRIPTS = {
+  razorpay: 'https://checkout.razorpay.com/v1/checkout.js',
+  stripe: 'https://js.stripe.com/v3/'
+};
+
+const PENDING_CHECKOUT_KEY = 'pendingPaymentCheckout';
+const VERIFY_RETRY_DELAY = 3000;
+const VERIFY_MAX_ATTEMPTS = 10;
+
+const scriptPromises = {};
+
+const cancelledError = () => {
+  const error = new Error('Payment cancelled by user');
+  error.cancelled = true;
+  return error;
+};
+
+const jsonHeaders = (authToken) => ({
+  'Content-Type': 'application/json',
+  ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+});
+
+/**
+ * Load a checkout script once
+ * @returns {Promise<boolean>} false when the script failed to load
+ */
+export const loadCheckoutScript = (src) => {
+  if (!scriptPromises[src]) {
+    scriptPromises[src] = new Promise((resolve) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = () => resolve(true);
+      script.onerror = () => {
+        console.error(`❌ Failed to load checkout script: ${src}`);
+        delete scriptPromises[src];
+        resolve(false);
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return scriptPromises[src];
+};
+
+export const loadRazorpayScript = () => {
+  if (window.Razorpay) return Promise.resolve(true);
+  return loadCheckoutScript(SCRIPTS.razorpay);
+};
+
+const requireScript = async (src, name) => {
+  const loaded = await loadCheckoutScript(src);
+  if (!loaded) {
+    throw new Error(`Failed to load ${name} checkout. Please check your connection and try again.`);
+  }
+};
+
+const openRazorpay = async (paymentOrder, options) => {
+  const loaded = await loadRazorpayScript();
+  if (!loaded) {
+    throw new Error('Failed to load Razorpay checkout. Please check your connection and try again.');
+  }
+
+  return new Promise((resolve, reject) => {
+    const razorpay = new window.Razorpay({
+      key: paymentOrder.keyId,
+      amount: paymentOrder.amount,
+      currency: paymentOrder.currency || 'INR',
+      order_id: paymentOrder.orderId,
+      name: options.name,
+      description: options.description,
+      prefill: options.prefill,
+      theme: { color: options.themeColor },
+      ...options.razorpayOptions,
+      handler: (response) => resolve({
+        razorpayOrderId: response.razorpay_order_id,
+        paymentId: response.razorpay_payment_id,
+        signature: response.razorpay_signature
+      }),
+      modal: {
+        ondismiss: () => reject(cancelledError())
+      }
+    });
+    razorpay.open();
+  });
+};
+
+const openPaytm = async (paymentOrder) => {
+  await requireScript(`${paymentOrder.host}/merchantpgpui/checkoutjs/merchants/${paymentOrder.merchantId}.js`, 'Paytm');
+
+  return new Promise((resolve, reject) => {
+    const checkoutJs = window.Paytm?.CheckoutJS;
+    if (!checkoutJs) {
+      reject(new Error('Paytm checkout is not available'));
+      return;
+    }
+
+    checkoutJs.onLoad(() => {
+      checkoutJs.init({
+        root: '',
+        flow: 'DEFAULT',
+        data: {
+          orderId: paymentOrder.orderId,
+          token: paymentOrder.txnToken,
+          tokenType: 'TXN_TOKEN',
+          amount: (paymentOrder.amount / 100).toFixed(2)
+        },
+        merchant: { redirect: false },
+        handler: {
+          notifyMerchant: (eventName) => {
+            if (eventName === 'APP_CLOSED') reject(cancelledError());
+          },
+          transactionStatus: (data) => {
+            checkoutJs.close();
+            // Status is confirmed server-side; the callback only tells us the customer finished
+            resolve({ paytmOrderId: data?.ORDERID || paymentOrder.orderId, paymentId: data?.TXNID });
+          }
+        }
+      }).then(() => checkoutJs.invoke()).catch(reject);
+    });
+  });
+};
+
+// Stripe has no hosted modal for Payment Intents, so mount the Payment Element in an overlay
+const openStripe = async (paymentOrder, options) => {
+  await requireScript(SCRIPTS.stripe, 'Stripe');
+
+  const stripe = window.Stripe(paymentOrder.publishableKey);
+  const elements = stripe.elements({
+    clientSecret: paymentOrder.clientSecret,
+    appearance: { variables: { colorPrimary: options.themeColor } }
+  });
+
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed', inset: '0', background: 'rgba(0,0,0,0.5)', zIndex: '10000',
+    display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px'
+  });
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    background: '#fff', borderRadius: '12px', padding: '24px', width: '100%', maxWidth: '440px',
+    maxHeight: '90vh', overflowY: 'auto', fontFamily: 'inherit'
+  });
+  const title = document.createElement('h3');
+  title.textContent = `${options.description || 'Payment'} - ${paymentOrder.currency || 'INR'} ${(paymentOrder.amount / 100).toFixed(2)}`;
+  title.style.margin = '0 0 16px';
+  const mount = document.createElement('div');
+  const message = document.createElement('div');
+  Object.assign(message.style, { color: '#dc2626', margin: '12px 0 0', minHeight: '20px', fontSize: '14px' });
+  const actions = document.createElement('div');
+  Object.assign(actions.style, { display: 'flex', gap: '12px', marginTop: '16px' });
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.textContent = 'Cancel';
+  const payButton = document.createElement('button');
+  payButton.type = 'button';
+  payButton.textContent = 'Pay';
+  [cancelButton, payButton].forEach((button) => Object.assign(button.style, {
+    flex: '1', padding: '12px', borderRadius: '8px', border: '1px solid #d1d5db', cursor: 'pointer', fontSize: '15px'
+  }));
+  Object.assign(payButton.style, { background: options.themeColor, color: '#fff', border: 'none' });
+
+  actions.append(cancelButton, payButton);
+  panel.append(title, mount, message, actions);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+
+  const paymentElement = elements.create('payment');
+  paymentElement.mount(mount);
+
+  return new Promise((resolve, reject) => {
+    const close = () => {
+      paymentElement.destroy();
+      overlay.remove();
+    };
+
+    cancelButton.onclick = () => {
+      close();
+      reject(cancelledError());
+    };
+
+    payButton.onclick = async () => {
+      payButton.disabled = true;
+      cancelButton.disabled = true;
+      message.textContent = '';
+
+      const { error, paymentIntent } = await stripe.confirmPayment({
+        elements,
+        redirect: 'if_required',
+        confirmParams: { return_url: window.location.href }
+      });
+
+      if (error) {
+        message.textContent = error.message || 'Payment failed';
+        payButton.disabled = false;
+        cancelButton.disabled = false;
+        return;
+      }
+
+      close();
+      resolve({ paymentIntentId: paymentIntent?.id || paymentOrder.orderId });
+    };
+  });
+};
+
+// Leaves the page; resumeRedirectCheckout() completes it on return
+const redirectToPhonePe = (paymentOrder, options) => {
+  sessionStorage.setItem(PENDING_CHECKOUT_KEY, JSON.stringify({
+    provider: 'phonepe',
+    orderId: options.orderId,
+    transactionId: paymentOrder.transactionId,
+    context: options.context || null
+  }));
+  window.location.assign(paymentOrder.redirectUrl);
+  return new Promise(() => {});
+};
+
+/**
+ * Open the provider checkout for a payment order from POST /payments/create-order
+ * @param {string} provider - razorpay | phonepe | paytm | stripe
+ * @param {Object} paymentOrder - paymentOrder from the create-order response
+ * @param {Object} options - { orderId, name, description, prefill, themeColor, razorpayOptions, context }
+ * @returns {Promise<Object>} Checkout result to send to verifyCheckout
+ */
+export const openCheckout = (provider, paymentOrder, options = {}) => {
+  const checkoutOptions = { name: 'YQ PAY NOW', themeColor: '#6B0E9B', ...options };
+
+  switch (provider) {
+    case 'razorpay':
+      return openRazorpay(paymentOrder, checkoutOptions);
+    case 'paytm':
+      return openPaytm(paymentOrder, checkoutOptions);
+    case 'stripe':
+      return openStripe(paymentOrder, checkoutOptions);
+    case 'phonepe':
+      return redirectToPhonePe(paymentOrder, checkoutOptions);
+    default:
+      return Promise.reject(new Error(`Unsupported payment provider: ${provider}`));
+  }
+};
+
+/**
+ * Create the gateway order for a placed order
+ * Pass tenderId to pay one part of a split payment instead of the whole order.
+ * @returns {Promise<Object>} { paymentOrder, provider, channel }
+ */
+export const createPaymentOrder = async ({ orderId, paymentMethod, tenderId, authToken, returnUrl = window.location.href }) => {
+  const response = await fetch(`${config.api.baseUrl}/payments/create-order`, {
+    method: 'POST',
+    headers: jsonHeaders(authToken),
+    body: JSON.stringify({ orderId, paymentMethod, tenderId, returnUrl })
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to initialize payment');
+  }
+  return data;
+};
+
+/**
+ * Verify a finished checkout with the backend
+ * Retries while the gateway still reports the payment as processing.
+ * @returns {Promise<Object>} { order, transaction }
+ */
+export const verifyCheckout = async ({ orderId, transactionId, result = {}, authToken }) => {
+  for (let attempt = 1; attempt <= VERIFY_MAX_ATTEMPTS; attempt++) {
+    const response = await fetch(`${config.api.baseUrl}/payments/verify`, {
+      method: 'POST',
+      headers: jsonHeaders(authToken),
+      body: JSON.stringify({ orderId, transactionId, ...result })
+    });
+
+    const data = await response.json();
+    if (response.ok && data.success) {
+      return data.data || {};
+    }
+    if (data.code !== 'PAYMENT_PENDING') {
+      throw new Error(data.message || 'Payment verification failed');
+    }
+    await new Promise(resolve => setTimeout(resolve, VERIFY_RETRY_DELAY));
+  }
+
+  throw new Error('Payment is still processing. It will be confirmed automatically once the gateway settles it.');
+};
+
+/**
+ * Create the gateway order, open its checkout and verify the payment
+ * @param {Object} params - { orderId, paymentMethod, authToken, ...openCheckout options }
+ * @returns {Promise<Object>} { order, transaction, provider }
+ */
+export const launchCheckout = async ({ orderId, paymentMethod, authToken, returnUrl, ...options }) => {
+  const { paymentOrder, provider } = await createPaymentOrder({ orderId, paymentMethod, authToken, returnUrl });
+  const result = await openCheckout(provider, paymentOrder, { ...options, orderId });
+  const verified = await verifyCheckout({ orderId, transactionId: paymentOrder.transactionId, result, authToken });
+  return { ...verified, provider };
+};
+
+/**
+ * Checkout waiting to be completed after a redirect (PhonePe), or null
+ */
+export const getPendingRedirectCheckout = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(PENDING_CHECKOUT_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finish a redirect checkout when the customer comes back to the page
+ * @returns {Promise<Object|null>} { order, transaction, provider, context } or null if nothing is pending
+ */
+export const resumeRedirectCheckout = async ({ authToken } = {}) => {
+  const pending = getPendingRedirectCheckout();
+  if (!pending) return null;
+  sessionStorage.removeItem(PENDING_CHECKOUT_KEY);
+
+  const verified = await verifyCheckout({
+    orderId: pending.orderId,
+    transactionId: pending.transactionId,
+    authToken
+  });
+  return { ...verified, provider: pending.provider, context: pending.context };
+};
+
+export default launchCheckout;
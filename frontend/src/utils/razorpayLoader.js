@@ -1,33 +0,0 @@
-/**
- * Razorpay Script Loader Utility
- * Dynamically loads Razorpay checkout script
- */
-
-export const loadRazorpayScript = () => {
-  return new Promise((resolve) => {
-    // Check if Razorpay is already loaded
-    if (window.Razorpay) {
-      resolve(true);
-      return;
-    }
-
-    // Create script element
-    const script = document.createElement('script');
-    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-    script.async = true;
-    
-    script.onload = () => {
-      console.log('✅ Razorpay SDK loaded successfully');
-      resolve(true);
-    };
-    
-    script.onerror = () => {
-      console.error('❌ Failed to load Razorpay SDK');
-      resolve(false);
-    };
-    
-    document.body.appendChild(script);
-  });
-};
-
-export default loadRazorpayScript;
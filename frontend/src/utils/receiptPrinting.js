@@ -0,0 +1,487 @@
+import config from '../config';
+import { getAuthToken } from './authHelper';
+import { EscPosEncoder, PAPER_WIDTHS, toBase64, fromBase64 } from './escpos';
+
+/**
+ * Receipt Printing
+ * Renders customer receipts and kitchen tickets as ESC/POS and sends them to the local print agent
+ * (backend/scripts/print-agent.js), which passes them on to the thermal printers.
+ *
+ * Which printer gets what comes from the theater's print profile (GET /api/printers/:theaterId/profile):
+ *   - receipt printers print the receipt for orders from their sources (pos, offline-pos, kiosk, qr_code, online; all when empty)
+ *   - kitchen printers print a ticket with the order's items from their categories (all when empty)
+ * The profile, with the logo already turned into printer dots, is cached per theater so the offline POS can print too.
+ */
+
+export const DEFAULT_PRINT_AGENT_URL = 'http://127.0.0.1:9130';
+
+const AGENT_URL_KEY = 'printAgentUrl';
+const AGENT_SECRET_KEY = 'printAgentKey';
+const PROFILE_MAX_AGE_MS = 10 * 60 * 1000;
+const LOGO_MAX_DOTS = { width: 256, height: 128 };
+const AGENT_TIMEOUT_MS = 15000;
+
+const profileKey = (theaterId) => `print_profile_${theaterId}`;
+
+export const getPrintAgentUrl = () => localStorage.getItem(AGENT_URL_KEY) || DEFAULT_PRINT_AGENT_URL;
+
+export const setPrintAgentUrl = (url) => {
+  if (url && url !== DEFAULT_PRINT_AGENT_URL) {
+    localStorage.setItem(AGENT_URL_KEY, url.replace(/\/+$/, ''));
+  } else {
+    localStorage.removeItem(AGENT_URL_KEY);
+  }
+};
+
+// The agent's PRINT_AGENT_KEY, entered once on each counter computer
+export const getPrintAgentKey = () => localStorage.getItem(AGENT_SECRET_KEY) || '';
+
+export const setPrintAgentKey = (key) => {
+  if (key) {
+    localStorage.setItem(AGENT_SECRET_KEY, key);
+  } else {
+    localStorage.removeItem(AGENT_SECRET_KEY);
+  }
+};
+
+const readCachedProfile = (theaterId) => {
+  try {
+    return JSON.parse(localStorage.getItem(profileKey(theaterId)));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Turn the theater logo into a 1-bit raster the printer can print
+ * @returns {Promise<Object|null>} { width, height, data (base64) }, or null when the image can't be read
+ */
+const rasterizeLogo = (url) => new Promise((resolve) => {
+  if (!url) return resolve(null);
+
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  const timer = setTimeout(() => resolve(null), 5000);
+
+  image.onload = () => {
+    clearTimeout(timer);
+    try {
+      const scale = Math.min(LOGO_MAX_DOTS.width / image.width, LOGO_MAX_DOTS.height / image.height, 1);
+      const width = Math.max(8, Math.ceil((image.width * scale) / 8) * 8);
+      const height = Math.max(1, Math.round(image.height * scale));
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, image.width * scale, height);
+      const pixels = ctx.getImageData(0, 0, width, height).data;
+
+      // Dark pixels print; transparency was flattened onto white above
+      const data = new Uint8Array((width / 8) * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const offset = (y * width + x) * 4;
+          const luminance = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+          if (luminance < 160) {
+            data[y * (width / 8) + (x >> 3)] |= 0x80 >> (x & 7);
+          }
+        }
+      }
+      resolve({ width, height, data: toBase64(data) });
+    } catch (error) {
+      // A logo served without CORS headers taints the canvas; print without it
+      console.warn('Logo cannot be printed:', error.message);
+      resolve(null);
+    }
+  };
+  image.onerror = () => {
+    clearTimeout(timer);
+    resolve(null);
+  };
+  image.src = url;
+});
+
+/**
+ * Print profile for a theater, from the cache when fresh or when the server can't be reached
+ */
+export const loadPrintProfile = async (theaterId, { refresh = false } = {}) => {
+  const cached = readCachedProfile(theaterId);
+  const isFresh = cached && Date.now() - cached.cachedAt < PROFILE_MAX_AGE_MS;
+  if (cached && (isFresh || !navigator.onLine) && !refresh) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(`${config.api.baseUrl}/printers/${theaterId}/profile`, {
+      headers: { Authorization: `Bearer ${getAuthToken()}` }
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || result.error || 'Failed to load printers');
+    }
+
+    const profile = result.data;
+    const logoUrl = profile.theater?.logoUrl;
+    profile.logo = cached?.logo && cached.theater?.logoUrl === logoUrl ? cached.logo : await rasterizeLogo(logoUrl);
+    profile.cachedAt = Date.now();
+
+    try {
+      localStorage.setItem(profileKey(theaterId), JSON.stringify(profile));
+    } catch (error) {
+      console.warn('Print profile not cached:', error.message);
+    }
+    return profile;
+  } catch (error) {
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const amount = (value) => (Number(value) || 0).toFixed(2);
+
+const formatDateTime = (value) => new Date(value || Date.now()).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Bring the order shapes the tills handle (API orders and offline queued orders) to one shape
+ */
+export const normalizeOrderForPrint = (order) => {
+  const pricing = order.pricing || {};
+  const items = (order.items || order.products || []).map(item => {
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice ?? item.price ?? item.sellingPrice) || 0;
+    return {
+      productId: String(item.productId?._id || item.productId || item.product || item._id || ''),
+      name: item.productName || item.name || 'Item',
+      quantity,
+      amount: Number(item.total ?? item.totalPrice) || unitPrice * quantity,
+      modifiers: (item.variants || item.modifiers || []).map(modifier => modifier.option || modifier.label).filter(Boolean),
+      components: (item.comboItems || []).map(component => `${component.quantity * quantity} x ${component.productName || component.name || 'Item'}`),
+      notes: item.specialInstructions || item.notes || ''
+    };
+  });
+
+  return {
+    id: order._id || null,
+    number: order.orderNumber || order.queueId || '',
+    invoiceNumber: order.invoiceNumber || '',
+    date: order.createdAt || new Date().toISOString(),
+    customerName: order.customerInfo?.name || order.customerName || '',
+    phone: order.customerInfo?.phoneNumber || order.customerInfo?.phone || order.customerPhone || '',
+    paymentMethod: order.payment?.method || order.paymentMethod || '',
+    // Offline queued orders keep the tenders the cashier entered, API orders the stored ones
+    tenders: (order.payment?.tenders || order.tenders || []).map(tender => ({
+      method: tender.method,
+      amount: Number(tender.amount) || 0,
+      tendered: tender.tendered ?? null,
+      change: Number(tender.change) || 0
+    })),
+    seat: order.seat || '',
+    screen: order.qrName || '',
+    source: order.source || '',
+    notes: order.specialInstructions || order.notes || order.orderNotes || '',
+    items,
+    subtotal: pricing.subtotal ?? order.subtotal ?? 0,
+    discount: pricing.discountAmount ?? order.totalDiscount ?? 0,
+    tax: pricing.taxAmount ?? order.tax ?? 0,
+    cgst: pricing.cgst || 0,
+    sgst: pricing.sgst || 0,
+    igst: pricing.igst || 0,
+    total: pricing.total ?? order.total ?? 0,
+    offline: !order._id
+  };
+};
+
+/**
+ * Customer receipt
+ * @param {Object} options - { theaterId (for the tracking QR), reprint }
+ */
+export const renderReceipt = (order, profile, printer, { theaterId, reprint = false } = {}) => {
+  const theater = profile.theater || {};
+  const encoder = new EscPosEncoder({ paperWidth: printer.paperWidth });
+
+  encoder.align('center');
+  if (printer.printLogo !== false && profile.logo) {
+    encoder.image({ ...profile.logo, data: fromBase64(profile.logo.data) }).newline();
+  }
+  encoder.bold(true).size(2, 2).line(theater.name || '').size(1).bold(false);
+  if (theater.address) encoder.line(theater.address);
+  if (theater.phone) encoder.line(`Phone: ${theater.phone}`);
+  if (theater.gstNumber) encoder.line(`GSTIN: ${theater.gstNumber}`);
+  if (theater.fssaiNumber) encoder.line(`FSSAI: ${theater.fssaiNumber}`);
+  encoder.newline().bold(true).line(order.invoiceNumber ? 'TAX INVOICE' : 'RECEIPT').bold(false);
+  if (reprint) encoder.line('** REPRINT **');
+
+  encoder.align('left').rule();
+  if (order.invoiceNumber) encoder.columns('Invoice', order.invoiceNumber);
+  encoder.columns(order.offline ? 'Queued order' : 'Order', order.number);
+  encoder.columns('Date', formatDateTime(order.date));
+  if (order.customerName) encoder.columns('Customer', order.customerName);
+  if (order.screen || order.seat) encoder.columns('Seat', [order.screen, order.seat].filter(Boolean).join(' / '));
+
+  encoder.rule().bold(true).columns('Item', 'Amount').bold(false);
+  order.items.forEach(item => {
+    encoder.columns(`${item.quantity} x ${item.name}`, amount(item.amount));
+    item.modifiers.forEach(modifier => encoder.line(`   + ${modifier}`));
+    item.components.forEach(component => encoder.line(`   - ${component}`));
+  });
+
+  encoder.rule().columns('Subtotal', amount(order.subtotal));
+  if (order.discount > 0) encoder.columns('Discount', `-${amount(order.discount)}`);
+  if (order.igst > 0) {
+    encoder.columns('IGST', amount(order.igst));
+  } else if (order.cgst > 0 || order.sgst > 0) {
+    encoder.columns('CGST', amount(order.cgst)).columns('SGST', amount(order.sgst));
+  } else if (order.tax > 0) {
+    encoder.columns('GST', amount(order.tax));
+  }
+  encoder.bold(true).size(1, 2).columns('TOTAL', `Rs. ${amount(order.total)}`).size(1).bold(false);
+  if (order.tenders.length > 1) {
+    order.tenders.forEach(tender => encoder.columns(`Paid by ${tender.method.toUpperCase()}`, amount(tender.amount)));
+  } else if (order.paymentMethod) {
+    encoder.columns('Paid by', order.paymentMethod.toUpperCase());
+  }
+  order.tenders.filter(tender => tender.tendered !== null).forEach(tender => {
+    encoder.columns('Cash received', amount(tender.tendered)).columns('Change', amount(tender.change));
+  });
+
+  // Customers scan this to follow the order on their phone
+  if (order.id && order.phone && theaterId) {
+    const params = new URLSearchParams({ theaterid: theaterId, phone: order.phone });
+    encoder.newline().align('center')
+      .qrcode(`${window.location.origin}/customer/order-details/${order.id}?${params.toString()}`, 5)
+      .line('Scan to track your order');
+  }
+
+  return encoder.align('center').newline().line('Thank you! Visit again').feed(3).cut().encode();
+};
+
+/**
+ * Kitchen ticket: large order number and the items to prepare, without prices
+ */
+export const renderKitchenTicket = (order, items, printer, { reprint = false } = {}) => {
+  const encoder = new EscPosEncoder({ paperWidth: printer.paperWidth });
+
+  encoder.align('center').bold(true).line(printer.name.toUpperCase());
+  if (reprint) encoder.line('** REPRINT **');
+  encoder.size(2, 2).line(`#${order.number}`).size(1).bold(false);
+  encoder.line(formatDateTime(order.date));
+  if (order.screen || order.seat) {
+    encoder.bold(true).line([order.screen, order.seat && `Seat ${order.seat}`].filter(Boolean).join(' - ')).bold(false);
+  }
+
+  encoder.align('left').rule();
+  items.forEach(item => {
+    encoder.bold(true).size(1, 2).line(`${item.quantity} x ${item.name}`).size(1).bold(false);
+    item.modifiers.forEach(modifier => encoder.line(`   + ${modifier}`));
+    item.components.forEach(component => encoder.line(`   - ${component}`));
+    if (item.notes) encoder.line(`   Note: ${item.notes}`);
+  });
+  encoder.rule();
+  if (order.notes) encoder.bold(true).line(`Order note: ${order.notes}`).bold(false);
+
+  return encoder.feed(3).cut().encode();
+};
+
+const toJob = (kind, printer, bytes, order) => ({
+  id: `${kind}-${order.number || Date.now()}-${printer._id}`,
+  kind,
+  printer: { name: printer.name, connection: printer.connection },
+  copies: printer.copies || 1,
+  data: toBase64(bytes)
+});
+
+/**
+ * Print jobs for an order, following the profile's routing rules
+ * @param {Object} options - { channel: where the order is printed from, kinds: ['receipt', 'kitchen'], reprint, theaterId }
+ */
+export const buildPrintJobs = (rawOrder, profile, { channel, kinds = ['receipt', 'kitchen'], reprint = false, theaterId } = {}) => {
+  const order = normalizeOrderForPrint(rawOrder);
+  const printers = profile.printers || [];
+  const source = channel || order.source || 'pos';
+  const jobs = [];
+
+  if (kinds.includes('receipt')) {
+    const receiptPrinters = printers.filter(printer => printer.role === 'receipt');
+    let targets = receiptPrinters.filter(printer => !printer.sources?.length || printer.sources.includes(source));
+    // A reprint from order history still needs somewhere to go
+    if (targets.length === 0 && reprint) targets = receiptPrinters.slice(0, 1);
+    targets.forEach(printer => {
+      jobs.push(toJob('receipt', printer, renderReceipt(order, profile, printer, { theaterId, reprint }), order));
+    });
+  }
+
+  if (kinds.includes('kitchen')) {
+    const categories = profile.productCategories || {};
+    printers.filter(printer => printer.role === 'kitchen').forEach(printer => {
+      const categoryIds = (printer.categoryIds || []).map(String);
+      const items = order.items.filter(item => categoryIds.length === 0 || categoryIds.includes(categories[item.productId]));
+      if (items.length > 0) {
+        jobs.push(toJob('kitchen', printer, renderKitchenTicket(order, items, printer, { reprint }), order));
+      }
+    });
+  }
+
+  return jobs;
+};
+
+/**
+ * Send jobs to the print agent
+ * @returns {Promise<Array>} [{ id, ok, error }]
+ */
+export const sendPrintJobs = async (jobs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), AGENT_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${getPrintAgentUrl()}/print`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Print-Agent-Key': getPrintAgentKey() },
+      body: JSON.stringify({ jobs: jobs.map(job => ({ id: job.id, printer: job.printer, copies: job.copies, data: job.data })) }),
+      signal: controller.signal
+    });
+    if (response.status === 401) throw new Error('Print agent key is missing or wrong (Settings → Printers)');
+    if (!response.ok) throw new Error(`Print agent error (${response.status})`);
+    return (await response.json()).results || [];
+  } catch (error) {
+    throw new Error(error.name === 'AbortError' || error instanceof TypeError
+      ? 'Print agent is not running on this computer'
+      : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Print an order's receipt and kitchen tickets
+ * @returns {Promise<Object>} { receipt: a receipt printed, kitchen: tickets printed, failed: [{ printer, error }] }
+ *   Rejects when no printer is set up for the request or the agent can't be reached, so callers can fall back.
+ */
+export const printOrder = async (theaterId, order, options = {}) => {
+  const profile = await loadPrintProfile(theaterId);
+  const jobs = buildPrintJobs(order, profile, { ...options, theaterId });
+  if (jobs.length === 0) {
+    throw new Error('No printer is set up for this');
+  }
+
+  const results = await sendPrintJobs(jobs);
+  const succeeded = new Set(results.filter(result => result.ok).map(result => result.id));
+  return {
+    receipt: jobs.some(job => job.kind === 'receipt' && succeeded.has(job.id)),
+    kitchen: jobs.filter(job => job.kind === 'kitchen' && succeeded.has(job.id)).length,
+    failed: results.filter(result => !result.ok).map(result => ({
+      printer: jobs.find(job => job.id === result.id)?.printer.name,
+      error: result.error
+    }))
+  };
+};
+
+const METHOD_LABELS = { cash: 'Cash', card: 'Card', upi: 'UPI', wallet: 'Wallet', bank_transfer: 'Bank transfer' };
+
+/**
+ * X or Z report of a cashier shift
+ */
+export const renderShiftReport = (report, profile, printer) => {
+  const encoder = new EscPosEncoder({ paperWidth: printer.paperWidth });
+  const { cash } = report;
+
+  encoder.align('center').bold(true).line(profile.theater?.name || '').size(2, 2).line(`${report.type} REPORT`).size(1).bold(false);
+  encoder.line(report.drawer ? `${report.shiftNumber} - ${report.drawer}` : report.shiftNumber);
+
+  encoder.align('left').rule();
+  encoder.columns('Cashier', report.cashier?.username || '');
+  encoder.columns('Opened', formatDateTime(report.openedAt));
+  encoder.columns(report.type === 'Z' ? 'Closed' : 'As of', formatDateTime(report.closedAt || report.generatedAt));
+
+  encoder.rule().bold(true).line('SALES').bold(false);
+  encoder.columns(`Orders (${report.sales.orders})`, amount(report.sales.gross));
+  if (report.sales.discounts > 0) encoder.columns('Discounts given', amount(report.sales.discounts));
+  encoder.columns('Tax included', amount(report.sales.tax));
+  encoder.columns(`Refunds (${report.refunds.count})`, `-${amount(report.refunds.amount)}`);
+  encoder.bold(true).columns('Net sales', amount(report.sales.net)).bold(false);
+
+  encoder.rule().bold(true).line('BY PAYMENT METHOD').bold(false);
+  report.byPaymentMethod.forEach(row => encoder.columns(`${METHOD_LABELS[row.method] || row.method} (${row.orders})`, amount(row.amount)));
+  encoder.rule().bold(true).line('BY SOURCE').bold(false);
+  report.bySource.forEach(row => encoder.columns(`${row.source} (${row.orders})`, amount(row.amount)));
+  if (report.cancelled.orders > 0) encoder.columns(`Cancelled (${report.cancelled.orders})`, amount(report.cancelled.amount));
+
+  encoder.rule().bold(true).line('CASH DRAWER').bold(false);
+  encoder.columns('Opening float', amount(cash.openingFloat));
+  encoder.columns('Cash sales', amount(cash.cashSales));
+  encoder.columns('Cash in', amount(cash.cashIn));
+  encoder.columns('Cash out', `-${amount(cash.cashOut)}`);
+  encoder.columns('Cash refunds', `-${amount(cash.cashRefunds)}`);
+  encoder.bold(true).columns('Expected', amount(cash.expected));
+  if (cash.counted !== undefined) {
+    encoder.columns('Counted', amount(cash.counted));
+    encoder.columns(cash.variance < 0 ? 'Short' : cash.variance > 0 ? 'Over' : 'Variance', amount(Math.abs(cash.variance)));
+  }
+  encoder.bold(false);
+
+  if (report.type === 'Z') {
+    encoder.newline(2).line('Cashier signature: ____________').newline().line('Manager signature: ____________');
+  }
+  return encoder.feed(3).cut().encode();
+};
+
+/**
+ * Print a shift report on the till's receipt printer
+ * Rejects when there is no receipt printer or the agent can't be reached, so callers can fall back.
+ */
+export const printShiftReport = async (theaterId, report) => {
+  const profile = await loadPrintProfile(theaterId);
+  const receiptPrinters = (profile.printers || []).filter(printer => printer.role === 'receipt');
+  const printer = receiptPrinters.find(item => !item.sources?.length || item.sources.includes('pos')) || receiptPrinters[0];
+  if (!printer) {
+    throw new Error('No receipt printer is set up');
+  }
+
+  const [result] = await sendPrintJobs([toJob(`${report.type.toLowerCase()}-report`, printer, renderShiftReport(report, profile, printer), { number: report.shiftNumber })]);
+  if (!result?.ok) throw new Error(result?.error || 'Report was not printed');
+};
+
+/**
+ * Whether the print agent answers on this computer
+ * @returns {Promise<string>} 'connected', 'key_rejected' or 'offline'
+ */
+export const checkPrintAgent = async () => {
+  try {
+    const response = await fetch(`${getPrintAgentUrl()}/status`, {
+      headers: { 'X-Print-Agent-Key': getPrintAgentKey() },
+      signal: AbortSignal.timeout(3000)
+    });
+    if (response.status === 401) return 'key_rejected';
+    return response.ok && (await response.json()).ok === true ? 'connected' : 'offline';
+  } catch {
+    return 'offline';
+  }
+};
+
+/**
+ * Print a short test page on a printer
+ */
+export const printTestPage = async (printer) => {
+  const bytes = new EscPosEncoder({ paperWidth: printer.paperWidth })
+    .align('center').bold(true).size(2, 2).line('TEST PRINT').size(1).bold(false)
+    .line(printer.name)
+    .line(`${printer.paperWidth}mm - ${printer.role}`)
+    .line(formatDateTime())
+    .rule()
+    .columns('Left', 'Right')
+    .feed(3)
+    .cut()
+    .encode();
+
+  const [result] = await sendPrintJobs([{ id: `test-${printer._id}`, printer: { name: printer.name, connection: printer.connection }, copies: 1, data: toBase64(bytes) }]);
+  if (!result?.ok) throw new Error(result?.error || 'Test print failed');
+};
+
+export { PAPER_WIDTHS };
@@ -0,0 +1,39 @@
+import { buildComboCartItem } from './comboUtils';
+import { buildModifierCartItem } from './modifierUtils';
+
+/**
+ * Reorder Utilities
+ * Turn a past order, as checked by GET /customers/orders/:theaterId/:orderId/reorder, back into cart lines.
+ * Each line comes priced at today's price with its quantity cut to the stock left; unavailable lines stay out of the cart.
+ */
+
+/**
+ * Cart line for an available reorder line, keeping its modifiers or combo choices
+ */
+export const toReorderCartItem = (line, theaterId) => {
+  const item = { ...line.product, quantity: 1, theaterId };
+  let cartItem = item;
+  if (line.modifiers?.length) {
+    cartItem = buildModifierCartItem(item, line.modifiers);
+  } else if (line.comboSelections?.length) {
+    cartItem = buildComboCartItem(item, line.comboSelections);
+  }
+  return { ...cartItem, quantity: line.quantity };
+};
+
+/**
+ * Lines the customer should look at before checkout: unavailable, repriced or short of stock
+ */
+export const getReorderNotices = (reorder) =>
+  (reorder?.items || []).filter(line => !line.available || line.repriced || line.limited);
+
+/**
+ * What changed for a line since it was ordered, e.g. "Now ₹160.00 (was ₹150.00)"
+ */
+export const describeReorderLine = (line) => {
+  if (!line.available) return line.reason || 'Unavailable';
+  const notes = [];
+  if (line.repriced) notes.push(`Now ₹${line.price.toFixed(2)} (was ₹${line.previousPrice.toFixed(2)})`);
+  if (line.limited) notes.push(`${line.quantity} of ${line.orderedQuantity} added - ${line.reason}`);
+  return notes.join(' · ');
+};
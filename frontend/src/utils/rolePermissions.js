@@ -84,6 +84,19 @@ export const filterNavigationByPermissions = (navigationItems = [], rolePermissi
       'order-history': ['OrderHistory', 'TheaterOrderHistory'],
       'online-order-history': ['OnlineOrderHistory'],
       'kiosk-order-history': ['KioskOrderHistory'],
+      'kitchen-display': ['TheaterKitchenDisplay', 'KitchenDisplay'],
+      'coupons': ['TheaterCoupons', 'Coupons'],
+      'dispatch-board': ['TheaterDispatchBoard'],
+      'runner-view': ['TheaterRunnerView'],
+      'suppliers': ['TheaterSuppliers'],
+      'purchase-orders': ['TheaterPurchaseOrders'],
+      'raw-materials': ['TheaterRawMaterials'],
+      'stock-transfers': ['TheaterStockTransfers'],
+      'stock-takes': ['TheaterStockTakes'],
+      'shifts': ['TheaterShifts'],
+      'showtimes': ['TheaterShowtimes'],
+      'loyalty': ['TheaterLoyalty'],
+      'feedback': ['TheaterFeedback'],
       'qr-management': ['QRManagement', 'TheaterQRManagement'],
       'qr-code-names': ['QRCodeNames', 'TheaterQRCodeNames'],
       'generate-qr': ['GenerateQR', 'TheaterGenerateQR'],
@@ -0,0 +1,101 @@
+import config from '../config';
+import { getAuthToken } from './authHelper';
+
+/**
+ * Shift Session
+ * The cashier's open shift on this till and the shift API calls the POS uses.
+ * The open shift is kept in localStorage so orders taken offline are still tagged with it.
+ */
+
+const shiftKey = (theaterId) => `pos_shift_${theaterId}`;
+
+export const CASH_CATEGORIES = [
+  { value: 'petty_cash', label: 'Petty cash', type: 'out' },
+  { value: 'drop', label: 'Cash drop to safe', type: 'out' },
+  { value: 'float', label: 'Float top-up', type: 'in' },
+  { value: 'other', label: 'Other', type: null }
+];
+
+export const getCachedShift = (theaterId) => {
+  try {
+    return JSON.parse(localStorage.getItem(shiftKey(theaterId)));
+  } catch {
+    return null;
+  }
+};
+
+const cacheShift = (theaterId, shift) => {
+  if (shift?.status === 'open') {
+    localStorage.setItem(shiftKey(theaterId), JSON.stringify(shift));
+  } else {
+    localStorage.removeItem(shiftKey(theaterId));
+  }
+};
+
+/**
+ * Shift ID to tag a new order with, if the cashier has a shift open
+ */
+export const getActiveShiftId = (theaterId) => getCachedShift(theaterId)?._id || null;
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${config.api.baseUrl}/shifts${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${getAuthToken()}`
+    }
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.details?.[0]?.msg || result.message || result.error || 'Shift request failed');
+  }
+  return result.data;
+};
+
+/**
+ * The signed-in cashier's open shift, or null. Falls back to the cached shift when offline.
+ */
+export const fetchCurrentShift = async (theaterId) => {
+  try {
+    const shift = await request(`/${theaterId}/current`);
+    cacheShift(theaterId, shift);
+    return shift;
+  } catch (error) {
+    if (!navigator.onLine) return getCachedShift(theaterId);
+    throw error;
+  }
+};
+
+export const openShift = async (theaterId, { openingFloat, drawer, notes }) => {
+  const shift = await request(`/${theaterId}/open`, {
+    method: 'POST',
+    body: JSON.stringify({ openingFloat, drawer, notes })
+  });
+  cacheShift(theaterId, shift);
+  return shift;
+};
+
+export const recordCashMovement = async (theaterId, shiftId, { type, category, amount, reason }) => {
+  const shift = await request(`/${theaterId}/${shiftId}/cash`, {
+    method: 'POST',
+    body: JSON.stringify({ type, category, amount, reason })
+  });
+  cacheShift(theaterId, shift);
+  return shift;
+};
+
+/**
+ * X report for an open shift, Z report for a closed one
+ */
+export const fetchShiftReport = (theaterId, shiftId) => request(`/${theaterId}/${shiftId}/report`);
+
+export const closeShift = async (theaterId, shiftId, { countedCash, notes }) => {
+  const shift = await request(`/${theaterId}/${shiftId}/close`, {
+    method: 'PUT',
+    body: JSON.stringify({ countedCash, notes })
+  });
+  if (getCachedShift(theaterId)?._id === shift._id) {
+    cacheShift(theaterId, null);
+  }
+  return shift;
+};
@@ -0,0 +1,126 @@
+/**
+ * Showtime Utilities
+ * Showtime form fields <-> API payloads, and the seat ordering windows a showtime gives
+ * (the server works them out the same way in backend/utils/showtimeUtils.js).
+ */
+
+const MINUTE = 60 * 1000;
+
+export const DEFAULT_SHOWTIME_SETTINGS = {
+  preShowMinutes: 30,
+  intervalLeadMinutes: 10,
+  climaxBlackoutMinutes: 20,
+  orderDuringShow: false
+};
+
+export const SHOWTIME_CSV_TEMPLATE = [
+  'screen,movie,language,date,start,end,interval,interval minutes',
+  'Screen 1,Movie Title,Tamil,2025-01-31,18:30,21:20,19:55,15'
+].join('\n');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * YYYY-MM-DD of a date in the browser's time zone
+ */
+export const toDateInput = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * HH:mm of a date in the browser's time zone
+ */
+export const toTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const formatTime = (value) => (value ? new Date(value).toLocaleTimeString('en-IN', {
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+export const emptyShowtimeForm = (screen = '', date = toDateInput()) => ({
+  screen,
+  movieTitle: '',
+  language: '',
+  date,
+  start: '',
+  end: '',
+  interval: '',
+  intervalMinutes: 15,
+  blackouts: []
+});
+
+export const toShowtimeForm = (showtime) => ({
+  screen: showtime.screen,
+  movieTitle: showtime.movieTitle,
+  language: showtime.language || '',
+  date: toDateInput(showtime.startTime),
+  start: toTimeInput(showtime.startTime),
+  end: toTimeInput(showtime.endTime),
+  interval: toTimeInput(showtime.intervalStart),
+  intervalMinutes: showtime.intervalMinutes || 15,
+  blackouts: (showtime.blackouts || []).map(blackout => ({
+    start: toTimeInput(blackout.start),
+    end: toTimeInput(blackout.end),
+    reason: blackout.reason || ''
+  }))
+});
+
+/**
+ * API payload for a showtime form. Times earlier than the start are taken to be after midnight.
+ */
+export const toShowtimePayload = (form) => {
+  const startTime = new Date(`${form.date}T${form.start}`);
+  const afterStart = (time) => {
+    if (!time) return null;
+    const at = new Date(`${form.date}T${time}`);
+    return at <= startTime ? new Date(at.getTime() + 24 * 60 * MINUTE) : at;
+  };
+
+  return {
+    screen: form.screen,
+    movieTitle: form.movieTitle.trim(),
+    language: form.language.trim(),
+    startTime: startTime.toISOString(),
+    endTime: afterStart(form.end).toISOString(),
+    intervalStart: form.interval ? afterStart(form.interval).toISOString() : null,
+    intervalMinutes: parseInt(form.intervalMinutes) || 15,
+    blackouts: form.blackouts
+      .filter(blackout => blackout.start && blackout.end)
+      .map(blackout => ({
+        start: afterStart(blackout.start).toISOString(),
+        end: afterStart(blackout.end).toISOString(),
+        reason: blackout.reason.trim()
+      }))
+  };
+};
+
+/**
+ * When seat ordering opens and pauses around a showtime
+ * @returns {Object} { opensAt, intervalOpensAt, intervalEnd, blackoutAt }
+ */
+export const showtimeWindows = (showtime, settings = DEFAULT_SHOWTIME_SETTINGS) => {
+  const start = new Date(showtime.startTime).getTime();
+  const end = new Date(showtime.endTime).getTime();
+  const interval = showtime.intervalStart ? new Date(showtime.intervalStart).getTime() : null;
+
+  return {
+    opensAt: new Date(start - settings.preShowMinutes * MINUTE),
+    intervalOpensAt: interval ? new Date(interval - settings.intervalLeadMinutes * MINUTE) : null,
+    intervalEnd: interval ? new Date(interval + (showtime.intervalMinutes || 15) * MINUTE) : null,
+    blackoutAt: new Date(end - settings.climaxBlackoutMinutes * MINUTE)
+  };
+};
+
+/**
+ * "12 min" / "1 h 05 min" until a time
+ */
+export const formatTimeLeft = (until, now = Date.now()) => {
+  const minutes = Math.max(0, Math.ceil((new Date(until).getTime() - now) / MINUTE));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${pad(minutes % 60)} min`;
+};
@@ -0,0 +1,84 @@
+/**
+ * Tender Utilities
+ * Payment rows the cashier fills in at the till: cash received for a cash sale, or the parts of a split payment.
+ * Rows are { method, amount, tendered }; the last row of a split pays whatever the others don't cover,
+ * so it is sent without an amount and the server fills it in from the order total.
+ */
+
+export const TENDER_METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  wallet: 'Wallet',
+  bank_transfer: 'Bank transfer'
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Starting rows when the cashier picks a payment method
+ * @param {string} paymentMethod - cash | card | upi | split
+ * @param {string} [otherMethod] - Non-cash method offered for the second part of a split
+ */
+export const initialTenders = (paymentMethod, otherMethod = 'card') => {
+  if (paymentMethod === 'split') {
+    return [
+      { method: 'cash', amount: '', tendered: '' },
+      { method: otherMethod, amount: '', tendered: '' }
+    ];
+  }
+  return [{ method: paymentMethod, amount: '', tendered: '' }];
+};
+
+/**
+ * What each row pays: the amounts typed in, and the balance for the last row
+ */
+export const resolveTenderAmounts = (rows, total) => {
+  const others = rows.slice(0, -1).reduce((sum, row) => sum + (toNumber(row.amount) || 0), 0);
+  return rows.map((row, index) => (
+    index === rows.length - 1 ? roundAmount(total - others) : roundAmount(toNumber(row.amount) || 0)
+  ));
+};
+
+/**
+ * Change to hand back for each cash row with cash received (null when none was entered)
+ */
+export const tenderChange = (rows, total) => {
+  const amounts = resolveTenderAmounts(rows, total);
+  return rows.map((row, index) => {
+    const tendered = toNumber(row.tendered);
+    return row.method === 'cash' && tendered !== null ? roundAmount(tendered - amounts[index]) : null;
+  });
+};
+
+/**
+ * Why the rows can't be sent yet, or null when they are fine
+ */
+export const validateTenders = (rows, total) => {
+  const amounts = resolveTenderAmounts(rows, total);
+  if (rows.length > 1 && rows.slice(0, -1).some(row => !(toNumber(row.amount) > 0))) {
+    return 'Enter an amount for each part of the payment';
+  }
+  if (amounts[amounts.length - 1] <= 0) {
+    return `The parts of the payment add up to more than the total of ₹${total.toFixed(2)}`;
+  }
+  const short = tenderChange(rows, total).findIndex(change => change !== null && change < 0);
+  if (short !== -1) {
+    return `Cash received is less than the ₹${amounts[short].toFixed(2)} paid in cash`;
+  }
+  return null;
+};
+
+/**
+ * Tenders for the order request
+ */
+export const toOrderTenders = (rows) => rows.map((row, index) => ({
+  method: row.method,
+  ...(index < rows.length - 1 && { amount: toNumber(row.amount) }),
+  ...(row.method === 'cash' && toNumber(row.tendered) !== null && { tendered: toNumber(row.tendered) })
+}));